@@ -87,9 +87,30 @@ api.get('/doc/swagger.json',
  *   post:
  *     tags:
  *       - general
- *     description: Logs the user into the application.
+ *     description: Logs the user into the application. Local users with
+ *                  two-factor authentication must also provide a code from
+ *                  their authenticator app or a recovery code, either in the
+ *                  X-MBEE-OTP header with their credentials, or in a second
+ *                  request with the code in the body, which uses the session
+ *                  of the first request.
  *     produces:
  *       - application/json
+ *     parameters:
+ *       - name: X-MBEE-OTP
+ *         description: The two-factor authentication code of the user.
+ *         in: header
+ *         type: string
+ *         required: false
+ *       - in: body
+ *         description: The two-factor authentication code of the user, for
+ *                      the second step of the login.
+ *         name: body
+ *         required: false
+ *         schema:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
  *     responses:
  *       200:
  *         description: OK, Succeeded to login user, returns session token data.
@@ -97,7 +118,8 @@ api.get('/doc/swagger.json',
  *         description: Bad Request, Failed to login due to invalid credentials.
  *       401:
  *         description: Unauthorized, Failed to login due to not having
- *                      permissions.
+ *                      permissions, or due to a missing or invalid
+ *                      two-factor authentication code.
  *       500:
  *         description: Internal Server Error, Failed to login due to a server
  *                      side issue.
@@ -206,6 +228,123 @@ api.route('/logs')
   Middleware.respond
 );
 
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     tags:
+ *       - general
+ *     description: Returns the records of the audit log, which records every
+ *                  org, project, branch, element, artifact, user, group,
+ *                  personal access token and webhook which is created, updated
+ *                  or deleted. Each record contains the user who made the
+ *                  change, the IP address of their request, the time of the
+ *                  change and the changed fields with their values before and
+ *                  after the change. Records are returned from newest to
+ *                  oldest by default. This endpoint is reserved for
+ *                  system-wide admins only.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: actor
+ *         description: Search for records of changes made by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: action
+ *         description: Search for records of a specific type of change, either
+ *                      created, updated or deleted.
+ *         in: query
+ *         type: string
+ *       - name: type
+ *         description: Search for records of changes to a specific type of
+ *                      object, such as org, project, element or user.
+ *         in: query
+ *         type: string
+ *       - name: target
+ *         description: Search for records of changes to the object with a
+ *                      specific ID. The IDs of projects, branches, elements
+ *                      and artifacts include the IDs of their org, project
+ *                      and branch, separated by colons.
+ *         in: query
+ *         type: string
+ *       - name: from
+ *         description: The earliest time of the records to return, either as
+ *                      a date string or a number of milliseconds.
+ *         in: query
+ *         type: string
+ *       - name: to
+ *         description: The latest time of the records to return, either as a
+ *                      date string or a number of milliseconds.
+ *         in: query
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of objects to return. A limit of 0 is
+ *                      equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of objects to skip returning. For example,
+ *                      if 10 objects are found and skip is 5, the first five
+ *                      objects will NOT be returned. NOTE, skip cannot be a
+ *                      negative number.
+ *         in: query
+ *         type: number
+ *       - name: sort
+ *         description: Provide a particular field to sort the results by. The
+ *                      default is -timestamp, which sorts from newest to
+ *                      oldest.
+ *         in: query
+ *         type: string
+ *       - name: after
+ *         description: The cursor of the next page of results, which is
+ *                      returned in the X-Next-Cursor header of the previous
+ *                      page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of matching records is
+ *                      returned in the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET the audit records, returns the
+ *                      audit records' public data.
+ *       400:
+ *         description: Bad Request, Failed to GET the audit records due to
+ *                      improperly formatted query options.
+ *       401:
+ *         description: Unauthorized, Failed to GET the audit records due to
+ *                      not being logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET the audit records due to lack
+ *                      of correct permissions.
+ *       500:
+ *         description: Internal Server Error, Failed to GET the audit records
+ *                      due to a server side issue.
+ */
+api.route('/audit')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('getAudit'),
+  APIController.getAudit,
+  Middleware.pluginPost('getAudit'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+);
+
 /**
  * @swagger
  * /api/orgs:
@@ -265,6 +404,24 @@ api.route('/logs')
  *                      negative number.
  *         in: query
  *         type: number
+ *       - name: after
+ *         description: An opaque cursor returned in the X-Next-Cursor and
+ *                      Link headers of a previous request. Only the objects
+ *                      which follow the cursor in the sort order are returned.
+ *                      The sort option must match the request which returned
+ *                      the cursor. When a limit is provided and a full page is
+ *                      returned, the cursor of the next page is returned in
+ *                      the X-Next-Cursor header, and a Link header with
+ *                      rel="next" contains the URL of the next page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of objects which match the
+ *                      query, ignoring limit, skip and after, is returned in
+ *                      the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *         default: false
  *       - name: sort
  *         description: Provide a particular field to sort the results by.
  *                      You may also add a negative sign in front of the field
@@ -681,6 +838,10 @@ api.route('/orgs')
  *     responses:
  *       200:
  *         description: OK, Succeeded to GET org, returns org public data.
+ *         headers:
+ *           ETag:
+ *             type: string
+ *             description: The revision of the org.
  *       400:
  *         description: Bad Request, Failed to GET org due to invalid data.
  *       401:
@@ -820,6 +981,13 @@ api.route('/orgs')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the org, from the ETag header
+ *                      of a previous response. The request fails if the org
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
  *         description: OK, Succeeded to PUT org, returns org public data.
@@ -832,6 +1000,10 @@ api.route('/orgs')
  *       403:
  *         description: Forbidden, Failed to PUT org due to an existing org with
  *                      same id.
+ *       412:
+ *         description: Precondition Failed, Failed to PUT org due to the
+ *                      org changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
  *         description: Internal Server Error, Failed to PUT org due to a server
  *                      side issue.
@@ -892,6 +1064,13 @@ api.route('/orgs')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the org, from the ETag header
+ *                      of a previous response. The request fails if the org
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
  *         description: OK, Succeeded to PATCH org, returns updated org public
@@ -907,6 +1086,10 @@ api.route('/orgs')
  *                      immutable field.
  *       404:
  *         description: Not Found, FAILED to PATCH org due to not finding org.
+ *       412:
+ *         description: Precondition Failed, Failed to PATCH org due to the
+ *                      org changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
  *         description: Internal Server Error, Failed to PATCH org due to a
  *                      server side issue.
@@ -931,6 +1114,13 @@ api.route('/orgs')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the org, from the ETag header
+ *                      of a previous response. The request fails if the org
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
  *         description: OK, Succeeded to DELETE org, return deleted org ID.
@@ -944,6 +1134,10 @@ api.route('/orgs')
  *                      permissions.
  *       404:
  *         description: Not Found, Failed to DELETE org due to not finding org.
+ *       412:
+ *         description: Precondition Failed, Failed to DELETE org due to the
+ *                      org changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
  *         description: Internal Server Error, Failed to DELETE org due to a
  *                      server side issue.
@@ -1051,6 +1245,24 @@ api.route('/orgs/:orgid')
  *                      negative number.
  *         in: query
  *         type: number
+ *       - name: after
+ *         description: An opaque cursor returned in the X-Next-Cursor and
+ *                      Link headers of a previous request. Only the objects
+ *                      which follow the cursor in the sort order are returned.
+ *                      The sort option must match the request which returned
+ *                      the cursor. When a limit is provided and a full page is
+ *                      returned, the cursor of the next page is returned in
+ *                      the X-Next-Cursor header, and a Link header with
+ *                      rel="next" contains the URL of the next page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of objects which match the
+ *                      query, ignoring limit, skip and after, is returned in
+ *                      the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *         default: false
  *       - name: sort
  *         description: Provide a particular field to sort the results by.
  *                      You may also add a negative sign in front of the field
@@ -1190,6 +1402,24 @@ api.route('/projects')
  *                      negative number.
  *         in: query
  *         type: number
+ *       - name: after
+ *         description: An opaque cursor returned in the X-Next-Cursor and
+ *                      Link headers of a previous request. Only the objects
+ *                      which follow the cursor in the sort order are returned.
+ *                      The sort option must match the request which returned
+ *                      the cursor. When a limit is provided and a full page is
+ *                      returned, the cursor of the next page is returned in
+ *                      the X-Next-Cursor header, and a Link header with
+ *                      rel="next" contains the URL of the next page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of objects which match the
+ *                      query, ignoring limit, skip and after, is returned in
+ *                      the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *         default: false
  *       - name: sort
  *         description: Provide a particular field to sort the results by.
  *                      You may also add a negative sign in front of the field
@@ -1657,6 +1887,10 @@ api.route('/orgs/:orgid/projects')
  *       200:
  *         description: OK, Succeeded to GET project, returns project public
  *                      data.
+ *         headers:
+ *           ETag:
+ *             type: string
+ *             description: The revision of the project.
  *       400:
  *         description: Bad Request, Failed to GET project due to invalid data.
  *       401:
@@ -1823,6 +2057,13 @@ api.route('/orgs/:orgid/projects')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the project, from the ETag header
+ *                      of a previous response. The request fails if the project
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
  *         description: OK, Succeeded to PUT project, return project public
@@ -1839,6 +2080,10 @@ api.route('/orgs/:orgid/projects')
  *       404:
  *         description: Not Found, Failed to PUT project due to org not being
  *                      found.
+ *       412:
+ *         description: Precondition Failed, Failed to PUT project due to the
+ *                      project changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
  *         description: Internal Server Error, Failed to PUT project due to a
  *                      server side issue.
@@ -1905,6 +2150,13 @@ api.route('/orgs/:orgid/projects')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the project, from the ETag header
+ *                      of a previous response. The request fails if the project
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
  *         description: OK, Succeeded to PATCH project, return updated project
@@ -1921,6 +2173,10 @@ api.route('/orgs/:orgid/projects')
  *       404:
  *         description: Not Found, Failed to PATCH project due to not finding
  *                      project.
+ *       412:
+ *         description: Precondition Failed, Failed to PATCH project due to the
+ *                      project changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
  *         description: Internal Server Error, Failed to PATCH project due to a
  *                      server side issue.
@@ -1951,6 +2207,13 @@ api.route('/orgs/:orgid/projects')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the project, from the ETag header
+ *                      of a previous response. The request fails if the project
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
  *         description: OK, Succeeded to DELETE project, return deleted project
@@ -1967,6 +2230,10 @@ api.route('/orgs/:orgid/projects')
  *       404:
  *         description: Not Found, Failed to DELETE project due to not finding
  *                      project.
+ *       412:
+ *         description: Precondition Failed, Failed to DELETE project due to the
+ *                      project changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
  *         description: Internal Server Error, Failed to DELETE project due to
  *                      server side issue.
@@ -2025,18 +2292,18 @@ api.route('/orgs/:orgid/projects/:projectid')
   Middleware.respond
 );
 
-
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/branches:
+ * /api/orgs/{orgid}/projects/{projectid}/types:
  *   get:
  *     tags:
- *       - branches
- *     description: Returns an array of branches, if the requesting user has read
- *                  access on the specified project. Optionally, an array of IDs
- *                  can be provided in the request body or a comma separated
- *                  list in the request parameters to find multiple, specific
- *                  branches.
+ *       - projects
+ *     description: Returns the type profiles of a project. Each profile
+ *                  defines the JSON Schema which the custom data of elements of
+ *                  the type must match, and the types allowed as the parent,
+ *                  source and target of the elements. If strict is true, every
+ *                  element must have a type with a profile. Requesting user
+ *                  must have read access on the project.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2047,65 +2314,10 @@ api.route('/orgs/:orgid/projects/:projectid')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project which contains the searched
- *                      branches.
+ *         description: The ID of the project.
  *         in: path
  *         required: true
  *         type: string
- *       - in: body
- *         schema:
- *           type: array
- *           items:
- *            type: string
- *         description: An array of branch IDs to search for. If both query
- *                      parameter and body are not provided, all branches the
- *                      user has read access to (under the specified project) are
- *                      found.
- *       - name: ids
- *         description: Comma separated list of branch IDs to search for. If
- *                      both query parameter and body are not provided, all
- *                      branches the user has read access to (under the
- *                      specified project) are found.
- *         in: query
- *         type: string
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, source]
- *         in: query
- *         type: string
- *       - name: includeArchived
- *         description: If true, archived objects will be also be searched
- *                      through. Overridden by the archived search option
- *         in: query
- *         type: boolean
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, updatedOn, name, org,
- *                      project, source, tag]
- *         in: query
- *         type: string
- *       - name: limit
- *         description: The maximum number of objects to return. A limit of 0 is
- *                      equivalent to setting no limit.
- *         in: query
- *         type: number
- *       - name: skip
- *         description: The number of objects to skip returning. For example,
- *                      if 10 objects are found and skip is 5, the first five
- *                      objects will NOT be returned. NOTE, skip cannot be a
- *                      negative number.
- *         in: query
- *         type: number
- *       - name: sort
- *         description: Provide a particular field to sort the results by.
- *                      You may also add a negative sign in front of the field
- *                      to indicate sorting in reverse order.
- *         in: query
- *         type: string
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -2113,66 +2325,30 @@ api.route('/orgs/:orgid/projects/:projectid')
  *         in: query
  *         type: boolean
  *         default: false
- *       - name: tag
- *         description: Search for branches with a specific tag value.
- *         in: query
- *         type: boolean
- *       - name: source
- *         description: Search for branches with a specific source branch.
- *         in: query
- *         type: string
- *       - name: name
- *         description: Search for branches with a specific name.
- *         in: query
- *         type: string
- *       - name: createdBy
- *         description: Search for branches created by a specific user.
- *         in: query
- *         type: string
- *       - name: lastModifiedBy
- *         description: Search for branches last modified by a specific user.
- *         in: query
- *         type: string
- *       - name: archived
- *         description: Search only for archived branches.  If false, only returns
- *                      unarchived branches.  Overrides the includeArchived option.
- *         in: query
- *         type: boolean
- *       - name: archivedBy
- *         description: Search for branches archived by a specific user.
- *         in: query
- *         type: string
- *       - name: custom
- *         description: Search for a specific key/value pair in the custom data.
- *                      To find a specific key, separate the keys using dot
- *                      notation. For example, custom.hello
- *         in: query
- *         type: string
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET branches, returns branches' public
- *                      data.
- *       400:
- *         description: Bad Request, Failed to GET branches due to invalid data.
+ *         description: OK, Succeeded to GET type profiles, returns the strict
+ *                      mode and the profile of each type.
  *       401:
- *         description: Unauthorized, Failed to GET branches due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to GET type profiles due to not
+ *                      being logged in.
  *       403:
- *         description: Forbidden, Failed to GET branches due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to GET type profiles due to not having
+ *                      permissions on the project.
  *       404:
- *         description: Not Found, Failed to GET branches due to branches not
- *                      existing.
+ *         description: Not Found, Failed to GET type profiles due to not
+ *                      finding the project.
  *       500:
- *         description: Internal Server Error, Failed to GET branches due to a
- *                      server side issue.
- *   post:
+ *         description: Internal Server Error, Failed to GET type profiles due
+ *                      to server side issue.
+ *   patch:
  *     tags:
- *       - branches
- *     description: Creates multiple branches from the supplied data in the
- *                  request body. Returns the created branches' public data.
- *                  Requesting user must have at least write access on the
- *                  project to create branches.
+ *       - projects
+ *     description: Changes the strict mode and the type profiles of a project.
+ *                  Profiles of types which are not provided are unchanged, and
+ *                  a profile of null removes the profile of the type. Existing
+ *                  elements are not validated against the changed profiles.
+ *                  Requesting user must have admin permissions on the project.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2183,57 +2359,27 @@ api.route('/orgs/:orgid/projects/:projectid')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the projects containing the branches to create.
+ *         description: The ID of the project.
  *         in: path
  *         required: true
  *         type: string
- *       - name: branches
+ *       - name: profiles
+ *         description: The object containing the strict mode and the type
+ *                      profiles to change.
  *         in: body
- *         description: An array of objects containing new branch data.
+ *         required: true
  *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - id
- *               - name
- *               - source
- *             properties:
- *               id:
- *                 type: string
- *                 required: true
- *               name:
- *                 type: string
- *               source:
- *                 type: string
- *                 required: true
- *                 default: null
- *                 description: NOTE The source field needs to be the same
- *                              branch with every branch being created.
- *               tag:
- *                 type: boolean
- *                 default: false
- *                 description: This field defines if a branch is actually a tag.
- *                              A tag can not be updated, nor can the branch
- *                              add, update, or delete elements.
- *               custom:
- *                 type: object
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, source]
- *         in: query
- *         type: string
- *         required: false
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, updatedOn, name, org,
- *                      project, source, tag]
- *         in: query
- *         type: string
+ *           type: object
+ *           properties:
+ *             strict:
+ *               type: boolean
+ *               description: If true, every element created or updated in the
+ *                            project must have a type with a profile.
+ *             types:
+ *               type: object
+ *               description: An object where keys are element types and values
+ *                            are the profiles of the types, or null to remove
+ *                            the profile.
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -2243,29 +2389,55 @@ api.route('/orgs/:orgid/projects/:projectid')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to POST branches, returns branch public
- *                      data.
+ *         description: OK, Succeeded to PATCH type profiles, returns the
+ *                      updated type profiles.
  *       400:
- *         description: Bad Request, Failed to POST branches due to invalid
- *                      branch data.
+ *         description: Bad Request, Failed to PATCH type profiles due to an
+ *                      invalid profile or schema.
  *       401:
- *         description: Unauthorized, Failed to POST branches due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to PATCH type profiles due to not
+ *                      being logged in.
  *       403:
- *         description: Forbidden, Failed to POST branches due to branch ids
- *                      already existing.
+ *         description: Forbidden, Failed to PATCH type profiles due to not
+ *                      having admin permissions on the project.
+ *       404:
+ *         description: Not Found, Failed to PATCH type profiles due to not
+ *                      finding the project, or removing the profile of a type
+ *                      which does not have one.
  *       500:
- *         description: Internal Server Error, Failed to POST branches due to a
- *                      server side issue.
- *   patch:
+ *         description: Internal Server Error, Failed to PATCH type profiles due
+ *                      to server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/types')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getTypeProfiles'),
+  APIController.getTypeProfiles,
+  Middleware.pluginPost('getTypeProfiles'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('patchTypeProfiles'),
+  APIController.patchTypeProfiles,
+  Middleware.pluginPost('patchTypeProfiles'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/types/{typeid}:
+ *   put:
  *     tags:
- *       - branches
- *     description: Updates multiple branches from the data provided in the
- *                  request body. Branches that are currently archived must
- *                  first be unarchived before making any other updates. The
- *                  following fields can be updated [name, custom, archived].
- *                  NOTE, the id is required in the request body,
- *                  but CANNOT be updated.
+ *       - projects
+ *     description: Creates or replaces the profile of an element type.
+ *                  Requesting user must have admin permissions on the project.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2276,48 +2448,48 @@ api.route('/orgs/:orgid/projects/:projectid')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the branches to update.
+ *         description: The ID of the project.
  *         in: path
  *         required: true
  *         type: string
- *       - in: body
- *         name: branches
- *         description: An array of objects containing updates to multiple
- *                      branches.
+ *       - name: typeid
+ *         description: The element type.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: profile
+ *         description: The profile of the type.
+ *         in: body
+ *         required: true
  *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - id
- *             properties:
- *               id:
+ *           type: object
+ *           properties:
+ *             schema:
+ *               type: object
+ *               description: The JSON Schema which the custom data of the
+ *                            elements must match. The supported keywords are
+ *                            type, enum, const, properties, required,
+ *                            additionalProperties, items, minItems, maxItems,
+ *                            minLength, maxLength, pattern, minimum, maximum,
+ *                            title and description.
+ *             parentTypes:
+ *               type: array
+ *               items:
  *                 type: string
- *                 description: The current ID of the branch, cannot be
- *                              updated.
- *               name:
+ *               description: The types allowed as the parent of the elements.
+ *                            By default, any parent is allowed.
+ *             sourceTypes:
+ *               type: array
+ *               items:
  *                 type: string
- *               archived:
- *                 type: boolean
- *               custom:
- *                 type: object
- *                 description: NOTE when updating the custom data, the object
- *                              is completely replaced.
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, source]
- *         in: query
- *         type: string
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, updatedOn, name,
- *                      org, project, tag, source]
- *         in: query
- *         type: string
+ *               description: The types allowed as the source of relationships.
+ *                            By default, any source is allowed.
+ *             targetTypes:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: The types allowed as the target of relationships.
+ *                            By default, any target is allowed.
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -2327,25 +2499,28 @@ api.route('/orgs/:orgid/projects/:projectid')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PATCH branches, returns branches' public
- *                      data.
+ *         description: OK, Succeeded to PUT type profile, returns the updated
+ *                      type profiles.
  *       400:
- *         description: Bad Request, Failed to PATCH branches due to invalid
- *                      request data.
+ *         description: Bad Request, Failed to PUT type profile due to an
+ *                      invalid profile or schema.
  *       401:
- *         description: Unauthorized, Failed to PATCH branches due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to PUT type profile due to not
+ *                      being logged in.
  *       403:
- *         description: Forbidden, Failed to PATCH branches due to updating an
- *                      immutable field.
+ *         description: Forbidden, Failed to PUT type profile due to not having
+ *                      admin permissions on the project.
+ *       404:
+ *         description: Not Found, Failed to PUT type profile due to not finding
+ *                      the project.
  *       500:
- *         description: Internal Server Error, Failed to PATCH branches due to
+ *         description: Internal Server Error, Failed to PUT type profile due to
  *                      server side issue.
  *   delete:
  *     tags:
- *       - branches
- *     description: Deletes multiple branches and any elements name-spaced under
- *                  the specified branch.
+ *       - projects
+ *     description: Removes the profile of an element type. Requesting user must
+ *                  have admin permissions on the project.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2356,25 +2531,14 @@ api.route('/orgs/:orgid/projects/:projectid')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the branches to be
- *                      deleted.
+ *         description: The ID of the project.
  *         in: path
  *         required: true
  *         type: string
- *       - name: branchIDs
- *         description: An array of branch IDs to delete. Can optionally be an
- *                      array of objects containing id key/value pairs.
- *         in: body
- *         required: false
- *         schema:
- *           type: array
- *           items:
- *             type: string
- *       - name: ids
- *         description: Comma separated list of branch IDs to delete.
- *                      If both query parameter and body are provided, the
- *                      query parameter will be prioritized over the body.
- *         in: query
+ *       - name: typeid
+ *         description: The element type.
+ *         in: path
+ *         required: true
  *         type: string
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
@@ -2385,49 +2549,29 @@ api.route('/orgs/:orgid/projects/:projectid')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE branches, return deleted
- *                      branches' ids.
- *       400:
- *         description: Bad Request, Failed to DELETE branches due to invalid
- *                      data.
+ *         description: OK, Succeeded to DELETE type profile, returns the
+ *                      updated type profiles.
  *       401:
- *         description: Unauthorized, Failed to DELETE branches due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to DELETE type profile due to not
+ *                      being logged in.
  *       403:
- *         description: Forbidden, Failed to DELETE branches due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to DELETE type profile due to not
+ *                      having admin permissions on the project.
+ *       404:
+ *         description: Not Found, Failed to DELETE type profile due to not
+ *                      finding the project or the profile.
  *       500:
- *         description: Internal Server Error, Failed to DELETE branches due to a
- *                      server side issue
+ *         description: Internal Server Error, Failed to DELETE type profile due
+ *                      to server side issue.
  */
-api.route('/orgs/:orgid/projects/:projectid/branches')
-.get(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('getBranches'),
-  APIController.getBranches,
-  Middleware.pluginPost('getBranches'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.post(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('postBranches'),
-  APIController.postBranches,
-  Middleware.pluginPost('postBranches'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.patch(
+api.route('/orgs/:orgid/projects/:projectid/types/:typeid')
+.put(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('patchBranches'),
-  APIController.patchBranches,
-  Middleware.pluginPost('patchBranches'),
+  Middleware.pluginPre('putTypeProfile'),
+  APIController.putTypeProfile,
+  Middleware.pluginPost('putTypeProfile'),
   Middleware.logResponse,
   Middleware.respond
 )
@@ -2435,9 +2579,9 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('deleteBranches'),
-  APIController.deleteBranches,
-  Middleware.pluginPre('deleteBranches'),
+  Middleware.pluginPre('deleteTypeProfile'),
+  APIController.deleteTypeProfile,
+  Middleware.pluginPost('deleteTypeProfile'),
   Middleware.logResponse,
   Middleware.respond
 );
@@ -2445,12 +2589,15 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
 
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}:
+ * /api/orgs/{orgid}/projects/{projectid}/branches:
  *   get:
  *     tags:
  *       - branches
- *     description: Finds and returns a branch's public data if the user has
- *                  read permissions on specified project.
+ *     description: Returns an array of branches, if the requesting user has read
+ *                  access on the specified project. Optionally, an array of IDs
+ *                  can be provided in the request body or a comma separated
+ *                  list in the request parameters to find multiple, specific
+ *                  branches.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2461,14 +2608,26 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project which contains the searched
+ *                      branches.
  *         in: path
  *         required: true
  *         type: string
- *       - name: branchid
- *         description: The ID of the branch to find.
- *         in: path
- *         required: true
+ *       - in: body
+ *         schema:
+ *           type: array
+ *           items:
+ *            type: string
+ *         description: An array of branch IDs to search for. If both query
+ *                      parameter and body are not provided, all branches the
+ *                      user has read access to (under the specified project) are
+ *                      found.
+ *       - name: ids
+ *         description: Comma separated list of branch IDs to search for. If
+ *                      both query parameter and body are not provided, all
+ *                      branches the user has read access to (under the
+ *                      specified project) are found.
+ *         in: query
  *         type: string
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
@@ -2476,10 +2635,9 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *                      project, source]
  *         in: query
  *         type: string
- *         required: false
  *       - name: includeArchived
  *         description: If true, archived objects will be also be searched
- *                      through.
+ *                      through. Overridden by the archived search option
  *         in: query
  *         type: boolean
  *       - name: fields
@@ -2487,8 +2645,44 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *                      default the id field is returned. To specifically NOT
  *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, updatedOn, name,
- *                      org, source, project]
+ *                      createdOn, custom, lastModifiedBy, updatedOn, name, org,
+ *                      project, source, tag]
+ *         in: query
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of objects to return. A limit of 0 is
+ *                      equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of objects to skip returning. For example,
+ *                      if 10 objects are found and skip is 5, the first five
+ *                      objects will NOT be returned. NOTE, skip cannot be a
+ *                      negative number.
+ *         in: query
+ *         type: number
+ *       - name: after
+ *         description: An opaque cursor returned in the X-Next-Cursor and
+ *                      Link headers of a previous request. Only the objects
+ *                      which follow the cursor in the sort order are returned.
+ *                      The sort option must match the request which returned
+ *                      the cursor. When a limit is provided and a full page is
+ *                      returned, the cursor of the next page is returned in
+ *                      the X-Next-Cursor header, and a Link header with
+ *                      rel="next" contains the URL of the next page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of objects which match the
+ *                      query, ignoring limit, skip and after, is returned in
+ *                      the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: sort
+ *         description: Provide a particular field to sort the results by.
+ *                      You may also add a negative sign in front of the field
+ *                      to indicate sorting in reverse order.
  *         in: query
  *         type: string
  *       - name: minified
@@ -2498,30 +2692,66 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *         in: query
  *         type: boolean
  *         default: false
- *     responses:
- *       200:
- *         description: OK, Succeeded to GET branch, returns branch public
- *                      data.
- *       400:
- *         description: Bad Request, Failed to GET branch due to invalid data.
- *       401:
- *         description: Unauthorized, Failed to GET branch due to not being
- *                      logged in.
- *       403:
- *         description: Forbidden, Failed to GET branch due to not having
- *                      permissions.
- *       404:
- *         description: Not Found, Failed to GET branch due to branch with
- *                      specified id not existing.
- *       500:
- *         description: Internal Server Error, Failed to GET branch due to a
- *                      server side issue.
- *   post:
- *     tags:
- *       - branches
- *     description: Creates a new branch from the given data in the request
- *                  body. Requesting user must have at least write access on the
- *                  project to create a branch.
+ *       - name: tag
+ *         description: Search for branches with a specific tag value.
+ *         in: query
+ *         type: boolean
+ *       - name: source
+ *         description: Search for branches with a specific source branch.
+ *         in: query
+ *         type: string
+ *       - name: name
+ *         description: Search for branches with a specific name.
+ *         in: query
+ *         type: string
+ *       - name: createdBy
+ *         description: Search for branches created by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: lastModifiedBy
+ *         description: Search for branches last modified by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: archived
+ *         description: Search only for archived branches.  If false, only returns
+ *                      unarchived branches.  Overrides the includeArchived option.
+ *         in: query
+ *         type: boolean
+ *       - name: archivedBy
+ *         description: Search for branches archived by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: custom
+ *         description: Search for a specific key/value pair in the custom data.
+ *                      To find a specific key, separate the keys using dot
+ *                      notation. For example, custom.hello
+ *         in: query
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET branches, returns branches' public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to GET branches due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET branches due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET branches due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET branches due to branches not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET branches due to a
+ *                      server side issue.
+ *   post:
+ *     tags:
+ *       - branches
+ *     description: Creates multiple branches from the supplied data in the
+ *                  request body. Returns the created branches' public data.
+ *                  Requesting user must have at least write access on the
+ *                  project to create branches.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2532,43 +2762,41 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the new branch to create.
- *         in: path
- *         required: true
- *         type: string
- *       - name: branchid
- *         description: The ID of the branch to create.
+ *         description: The ID of the projects containing the branches to create.
  *         in: path
  *         required: true
  *         type: string
- *       - name: branch
- *         description: The object containing the new branch data.
+ *       - name: branches
  *         in: body
- *         required: true
+ *         description: An array of objects containing new branch data.
  *         schema:
- *           type: object
- *           required:
- *             - source
- *           properties:
- *             id:
- *               type: string
- *               description: Must match the id in the request parameters.
- *             name:
- *               type: string
- *             tag:
- *               type: boolean
- *               default: false
- *               description: This will define if the branch is actually a tag
- *                            A tag can not be updated, nor can it create, update,
- *                            or delete elements on the tag.
- *             source:
- *               type: string
- *               required: true
- *               default: null
- *               description: This is a require field so the branch can clone
- *                            the elements from the correct branch.
- *             custom:
- *               type: object
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - id
+ *               - name
+ *               - source
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 required: true
+ *               name:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 required: true
+ *                 default: null
+ *                 description: NOTE The source field needs to be the same
+ *                              branch with every branch being created.
+ *               tag:
+ *                 type: boolean
+ *                 default: false
+ *                 description: This field defines if a branch is actually a tag.
+ *                              A tag can not be updated, nor can the branch
+ *                              add, update, or delete elements.
+ *               custom:
+ *                 type: object
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
@@ -2581,8 +2809,8 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *                      default the id field is returned. To specifically NOT
  *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, updatedOn, name,
- *                       org, project, tag, source
+ *                      createdOn, custom, lastModifiedBy, updatedOn, name, org,
+ *                      project, source, tag]
  *         in: query
  *         type: string
  *       - name: minified
@@ -2594,31 +2822,29 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to POST branch, return branch public
+ *         description: OK, Succeeded to POST branches, returns branch public
  *                      data.
  *       400:
- *         description: Bad Request, Failed to POST branch due to invalid
+ *         description: Bad Request, Failed to POST branches due to invalid
  *                      branch data.
  *       401:
- *         description: Unauthorized, Failed to POST branch due to not being
+ *         description: Unauthorized, Failed to POST branches due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to POST branch due to posting with an
- *                      already existing id.
- *       404:
- *         description: Not Found, Failed to POST branch due to project not being
- *                      found.
+ *         description: Forbidden, Failed to POST branches due to branch ids
+ *                      already existing.
  *       500:
- *         description: Internal Server Error, Failed to POST branch due to a
+ *         description: Internal Server Error, Failed to POST branches due to a
  *                      server side issue.
  *   patch:
  *     tags:
  *       - branches
- *     description: Updates an existing branch. The following fields can be
- *                  updated [name, custom, archived]. Branches that
- *                  are currently archived must first be unarchived before
- *                  making any other updates. Requesting user must have project
- *                  write permissions to update the branch.
+ *     description: Updates multiple branches from the data provided in the
+ *                  request body. Branches that are currently archived must
+ *                  first be unarchived before making any other updates. The
+ *                  following fields can be updated [name, custom, archived].
+ *                  NOTE, the id is required in the request body,
+ *                  but CANNOT be updated.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2629,30 +2855,33 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the branch to be updated.
- *         in: path
- *         required: true
- *         type: string
- *       - name: branchid
- *         description: The ID of the branch to update.
+ *         description: The ID of the project containing the branches to update.
  *         in: path
  *         required: true
  *         type: string
- *       - name: branch
- *         description: The object containing the updated branch data.
- *         in: body
- *         required: true
+ *       - in: body
+ *         name: branches
+ *         description: An array of objects containing updates to multiple
+ *                      branches.
  *         schema:
- *           type: object
- *           properties:
- *             name:
- *               type: string
- *             archived:
- *               type: boolean
- *             custom:
- *               type: object
- *               description: NOTE when updating the custom data, the object
- *                            is completely replaced.
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: The current ID of the branch, cannot be
+ *                              updated.
+ *               name:
+ *                 type: string
+ *               archived:
+ *                 type: boolean
+ *               custom:
+ *                 type: object
+ *                 description: NOTE when updating the custom data, the object
+ *                              is completely replaced.
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
@@ -2665,7 +2894,7 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
  *                      createdOn, custom, lastModifiedBy, updatedOn, name,
- *                      org, source, project, tag]
+ *                      org, project, tag, source]
  *         in: query
  *         type: string
  *       - name: minified
@@ -2677,28 +2906,25 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PATCH branch, return updated branch
- *                      public data.
+ *         description: OK, Succeeded to PATCH branches, returns branches' public
+ *                      data.
  *       400:
- *         description: Bad Request, Failed to PATCH branch due to invalid
- *                      update request data.
+ *         description: Bad Request, Failed to PATCH branches due to invalid
+ *                      request data.
  *       401:
- *         description: Unauthorized, Failed to PATCH branch due to not being
+ *         description: Unauthorized, Failed to PATCH branches due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PATCH branch due to updating an
+ *         description: Forbidden, Failed to PATCH branches due to updating an
  *                      immutable field.
- *       404:
- *         description: Not Found, Failed to PATCH branch due to not finding
- *                      branch.
  *       500:
- *         description: Internal Server Error, Failed to PATCH branch due to a
+ *         description: Internal Server Error, Failed to PATCH branches due to
  *                      server side issue.
  *   delete:
  *     tags:
  *       - branches
- *     description: Deletes the specified branch and any elements name-spaced
- *                  under the branch.
+ *     description: Deletes multiple branches and any elements name-spaced under
+ *                  the specified branch.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2709,15 +2935,25 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the branch to
- *                      be deleted.
+ *         description: The ID of the project containing the branches to be
+ *                      deleted.
  *         in: path
  *         required: true
  *         type: string
- *       - name: branchid
- *         description: The ID of the branch to delete.
- *         in: path
- *         required: true
+ *       - name: branchIDs
+ *         description: An array of branch IDs to delete. Can optionally be an
+ *                      array of objects containing id key/value pairs.
+ *         in: body
+ *         required: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - name: ids
+ *         description: Comma separated list of branch IDs to delete.
+ *                      If both query parameter and body are provided, the
+ *                      query parameter will be prioritized over the body.
+ *         in: query
  *         type: string
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
@@ -2728,32 +2964,29 @@ api.route('/orgs/:orgid/projects/:projectid/branches')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE branch, return deleted branch
- *                      ID.
+ *         description: OK, Succeeded to DELETE branches, return deleted
+ *                      branches' ids.
  *       400:
- *         description: Bad Request, Failed to DELETE branch due to invalid
- *                      branch data.
+ *         description: Bad Request, Failed to DELETE branches due to invalid
+ *                      data.
  *       401:
- *         description: Unauthorized, Failed to DELETE branch due to not being
+ *         description: Unauthorized, Failed to DELETE branches due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to DELETE branch due to not having
- *                      permissions on project.
- *       404:
- *         description: Not Found, Failed to DELETE branch due to not finding
- *                      branch.
+ *         description: Forbidden, Failed to DELETE branches due to not having
+ *                      permissions.
  *       500:
- *         description: Internal Server Error, Failed to DELETE branch due to
- *                      server side issue.
+ *         description: Internal Server Error, Failed to DELETE branches due to a
+ *                      server side issue
  */
-api.route('/orgs/:orgid/projects/:projectid/branches/:branchid')
+api.route('/orgs/:orgid/projects/:projectid/branches')
 .get(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('getBranch'),
-  APIController.getBranch,
-  Middleware.pluginPost('getBranch'),
+  Middleware.pluginPre('getBranches'),
+  APIController.getBranches,
+  Middleware.pluginPost('getBranches'),
   Middleware.logResponse,
   Middleware.respond
 )
@@ -2761,9 +2994,9 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid')
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('postBranch'),
-  APIController.postBranch,
-  Middleware.pluginPost('postBranch'),
+  Middleware.pluginPre('postBranches'),
+  APIController.postBranches,
+  Middleware.pluginPost('postBranches'),
   Middleware.logResponse,
   Middleware.respond
 )
@@ -2771,9 +3004,9 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid')
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('patchBranch'),
-  APIController.patchBranch,
-  Middleware.pluginPost('patchBranch'),
+  Middleware.pluginPre('patchBranches'),
+  APIController.patchBranches,
+  Middleware.pluginPost('patchBranches'),
   Middleware.logResponse,
   Middleware.respond
 )
@@ -2781,9 +3014,9 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid')
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('deleteBranch'),
-  APIController.deleteBranch,
-  Middleware.pluginPost('deleteBranch'),
+  Middleware.pluginPre('deleteBranches'),
+  APIController.deleteBranches,
+  Middleware.pluginPre('deleteBranches'),
   Middleware.logResponse,
   Middleware.respond
 );
@@ -2791,15 +3024,12 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid')
 
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/elements/search:
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}:
  *   get:
  *     tags:
- *       - elements
- *     description: Finds multiple elements using text based search on the
- *                  documentation and name fields. Allows for exact searches by
- *                  quoting the desired string "exact search", or the ability to
- *                  not include a word in a search by using a dash -not. Returns
- *                  the elements public data.
+ *       - branches
+ *     description: Finds and returns a branch's public data if the user has
+ *                  read permissions on specified project.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2815,52 +3045,29 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid')
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch containing the searched elements.
+ *         description: The ID of the branch to find.
  *         in: path
  *         required: true
  *         type: string
- *       - name: q
- *         description: The desired text to be searched for.
- *         in: query
- *         type: string
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, artifact]
+ *                      project, source]
  *         in: query
  *         type: string
  *         required: false
  *       - name: includeArchived
  *         description: If true, archived objects will be also be searched
- *                      through. Overridden by the archived search option
+ *                      through.
  *         in: query
  *         type: boolean
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
- *                      default the username field is returned. To specifically
- *                      NOT include a field, include a '-' in front of the field
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, documentation, lastModifiedBy, name,
- *                      org, parent, project, source, target, type, updatedOn,
- *                      branch]
- *         in: query
- *         type: string
- *       - name: limit
- *         description: The maximum number of objects to return. A limit of 0 is
- *                      equivalent to setting no limit.
- *         in: query
- *         type: number
- *       - name: skip
- *         description: The number of objects to skip returning. For example,
- *                      if 10 objects are found and skip is 5, the first five
- *                      objects will NOT be returned. NOTE, skip cannot be a
- *                      negative number.
- *         in: query
- *         type: number
- *       - name: sort
- *         description: Provide a particular field to sort the results by.
- *                      You may also add a negative sign in front of the field
- *                      to indicate sorting in reverse order.
+ *                      createdOn, custom, lastModifiedBy, updatedOn, name,
+ *                      org, source, project]
  *         in: query
  *         type: string
  *       - name: minified
@@ -2870,96 +3077,34 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid')
  *         in: query
  *         type: boolean
  *         default: false
- *       - name: parent
- *         description: Search for elements with a specific parent.
- *         in: query
- *         type: string
- *       - name: source
- *         description: Search for elements with a specific source.
- *         in: query
- *         type: string
- *       - name: target
- *         description: Search for elements with a specific target.
- *         in: query
- *         type: string
- *       - name: type
- *         description: Search for elements with a specific type.
- *         in: query
- *         type: string
- *       - name: name
- *         description: Search for elements with a specific name.
- *         in: query
- *         type: string
- *       - name: createdBy
- *         description: Search for elements created by a specific user.
- *         in: query
- *         type: string
- *       - name: lastModifiedBy
- *         description: Search for elements last modified by a specific user.
- *         in: query
- *         type: string
- *       - name: archived
- *         description: Search only for archived elements.  If false, only returns
- *                      unarchived elements.  Overrides the includeArchived option.
- *         in: query
- *         type: boolean
- *       - name: archivedBy
- *         description: Search for elements archived by a specific user.
- *         in: query
- *         type: string
- *       - name: custom
- *         description: Search for a specific key/value pair in the custom data.
- *                      To find a specific key, separate the keys using dot
- *                      notation. For example, custom.hello.
- *         in: query
- *         type: string
- *       - name: artifact
- *         description: Search for elements which reference a specific artifact.
- *         in: query
- *         type: string
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET elements, returns elements public
+ *         description: OK, Succeeded to GET branch, returns branch public
  *                      data.
+ *         headers:
+ *           ETag:
+ *             type: string
+ *             description: The revision of the branch.
  *       400:
- *         description: Bad Request, Failed to GET elements due to invalid data.
+ *         description: Bad Request, Failed to GET branch due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to GET elements due to not being
+ *         description: Unauthorized, Failed to GET branch due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to GET elements due to not having
+ *         description: Forbidden, Failed to GET branch due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to GET elements due to a non-existent
- *                      org, project or branch.
+ *         description: Not Found, Failed to GET branch due to branch with
+ *                      specified id not existing.
  *       500:
- *         description: Internal Server Error, Failed to GET elements due to
+ *         description: Internal Server Error, Failed to GET branch due to a
  *                      server side issue.
- */
-api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
-.get(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('searchElements'),
-  APIController.searchElements,
-  Middleware.pluginPost('searchElements'),
-  Middleware.logResponse,
-  Middleware.respond
-);
-
-
-/**
- * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/elements:
- *   get:
+ *   post:
  *     tags:
- *       - elements
- *     description: Returns an array of elements on a specified branch if the
- *                  requesting user has read access on the project. Optionally,
- *                  an array of IDs can be provided in the request body or a
- *                  comma separated list in the request parameters to find
- *                  multiple, specific elements.
+ *       - branches
+ *     description: Creates a new branch from the given data in the request
+ *                  body. Requesting user must have at least write access on the
+ *                  project to create a branch.
  *     produces:
  *       - application/json
  *     parameters:
@@ -2970,166 +3115,93 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project containing the new branch to create.
  *         in: path
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch containing the searched elements.
+ *         description: The ID of the branch to create.
  *         in: path
  *         required: true
  *         type: string
- *       - in: body
+ *       - name: branch
+ *         description: The object containing the new branch data.
+ *         in: body
+ *         required: true
  *         schema:
- *           type: array
- *           items:
- *             type: string
- *         description: An array of element IDs to search for. If both query
- *                      parameter and body are not provided, all elements the
- *                      user has access to (under the specified branch) are
- *                      found.
- *       - name: ids
- *         description: Comma separated list of IDs to search for. If both query
- *                      parameter and body are not provided, all elements the
- *                      user has access to (under the specified branch) are
- *                      found.
- *         in: query
- *         type: string
+ *           type: object
+ *           required:
+ *             - source
+ *           properties:
+ *             id:
+ *               type: string
+ *               description: Must match the id in the request parameters.
+ *             name:
+ *               type: string
+ *             tag:
+ *               type: boolean
+ *               default: false
+ *               description: This will define if the branch is actually a tag
+ *                            A tag can not be updated, nor can it create, update,
+ *                            or delete elements on the tag.
+ *             source:
+ *               type: string
+ *               required: true
+ *               default: null
+ *               description: This is a require field so the branch can clone
+ *                            the elements from the correct branch.
+ *             custom:
+ *               type: object
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, branch, sourceOf,
- *                      targetOf, contains, artifact]
+ *                      project, source]
  *         in: query
  *         type: string
  *         required: false
- *       - name: includeArchived
- *         description: If true, archived objects will be also be searched
- *                      through. Overridden by the archived search option
- *         in: query
- *         type: boolean
- *       - name: subtree
- *         description: If true, returns all searched elements as well as the
- *                      elements in the found element's subtrees.
- *         in: query
- *         type: boolean
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
  *                      default the id field is returned. To specifically NOT
  *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, documentation, lastModifiedBy, name,
- *                      org, parent, project, source, target, type, updatedOn,
- *                      branch, artifact]
+ *                      createdOn, custom, lastModifiedBy, updatedOn, name,
+ *                       org, project, tag, source
  *         in: query
  *         type: string
- *       - name: limit
- *         description: The maximum number of objects to return. A limit of 0 is
- *                      equivalent to setting no limit.
- *         in: query
- *         type: number
- *       - name: skip
- *         description: The number of objects to skip returning. For example,
- *                      if 10 objects are found and skip is 5, the first five
- *                      objects will NOT be returned. NOTE, skip cannot be a
- *                      negative number.
- *         in: query
- *         type: number
- *       - name: sort
- *         description: Provide a particular field to sort the results by.
- *                      You may also add a negative sign in front of the field
- *                      to indicate sorting in reverse order.
- *         in: query
- *         type: string
- *       - name: format
- *         description: The desired format of the response. If jmi1, the
- *                      elements are returned in an array of element objects. If
- *                      jmi2, an object is returned where keys are the element
- *                      ids, and values are the element object. If jmi3, an
- *                      object is returned in a tree-like structure.
- *         in: query
- *         type: string
- *         default: jmi1
- *         enum: [jmi1, jmi2, jmi3]
- *       - name: minified
- *         description: If true, the returned JSON is minified. If false, the
- *                      returned JSON is formatted based on the format specified
- *                      in the config. The default value is false.
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
  *         in: query
  *         type: boolean
  *         default: false
- *       - name: parent
- *         description: Search for elements with a specific parent.
- *         in: query
- *         type: string
- *       - name: source
- *         description: Search for elements with a specific source.
- *         in: query
- *         type: string
- *       - name: target
- *         description: Search for elements with a specific target.
- *         in: query
- *         type: string
- *       - name: type
- *         description: Search for elements with a specific type.
- *         in: query
- *         type: string
- *       - name: name
- *         description: Search for elements with a specific name.
- *         in: query
- *         type: string
- *       - name: createdBy
- *         description: Search for elements created by a specific user.
- *         in: query
- *         type: string
- *       - name: lastModifiedBy
- *         description: Search for elements last modified by a specific user.
- *         in: query
- *         type: string
- *       - name: archived
- *         description: Search only for archived elements. If false, only returns
- *                      unarchived elements. Overrides the includeArchived option.
- *         in: query
- *         type: boolean
- *       - name: archivedBy
- *         description: Search for elements archived by a specific user.
- *         in: query
- *         type: string
- *       - name: custom
- *         description: Search for a specific key/value pair in the custom data.
- *                      To find a specific key, separate the keys using dot
- *                      notation. For example, custom.hello
- *         in: query
- *         type: string
- *       - name: artifact
- *         description: Search for elements which reference a specific artifact.
- *         in: query
- *         type: string
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET elements, returns elements public
+ *         description: OK, Succeeded to POST branch, return branch public
  *                      data.
  *       400:
- *         description: Bad Request, Failed to GET elements due to invalid data.
+ *         description: Bad Request, Failed to POST branch due to invalid
+ *                      branch data.
  *       401:
- *         description: Unauthorized, Failed to GET elements due to not being
+ *         description: Unauthorized, Failed to POST branch due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to GET elements due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to POST branch due to posting with an
+ *                      already existing id.
  *       404:
- *         description: Not Found, Failed to GET elements due to a non-existent
- *                      org, project or branch.
+ *         description: Not Found, Failed to POST branch due to project not being
+ *                      found.
  *       500:
- *         description: Internal Server Error, Failed to GET elements due to
+ *         description: Internal Server Error, Failed to POST branch due to a
  *                      server side issue.
- *   post:
+ *   patch:
  *     tags:
- *       - elements
- *     description: Creates multiple elements from the supplied data in the
- *                  request body. Returns the created element' public data.
- *                  Requesting user must have write permissions on the project
- *                  to create elements.
+ *       - branches
+ *     description: Updates an existing branch. The following fields can be
+ *                  updated [name, custom, archived]. Branches that
+ *                  are currently archived must first be unarchived before
+ *                  making any other updates. Requesting user must have project
+ *                  write permissions to update the branch.
  *     produces:
  *       - application/json
  *     parameters:
@@ -3140,90 +3212,43 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project containing the branch to be updated.
  *         in: path
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch whose elements are being created.
+ *         description: The ID of the branch to update.
  *         in: path
  *         required: true
  *         type: string
- *       - name: body
+ *       - name: branch
+ *         description: The object containing the updated branch data.
  *         in: body
- *         description: An array of objects containing new element data.
+ *         required: true
  *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - id
- *             properties:
- *               id:
- *                 type: string
- *               name:
- *                 type: string
- *               parent:
- *                 type: string
- *                 default: 'model'
- *               source:
- *                 type: string
- *                 description: Required if target is provided.
- *               sourceNamespace:
- *                 type: object
- *                 description: An optional field to specify the namespace of
- *                              the source element. The source's project must
- *                              be in the same organization or the default org.
- *                 properties:
- *                   org:
- *                     type: string
- *                   project:
- *                     type: string
- *                   branch:
- *                     type: string
- *               target:
- *                 type: string
- *                 description: Required if source is provided.
- *               targetNamespace:
- *                 type: object
- *                 description: An optional field to specify the namespace of
- *                              the target element. The targets's project must
- *                              be in the same organization or the default org.
- *                 properties:
- *                   org:
- *                     type: string
- *                   project:
- *                     type: string
- *                   branch:
- *                     type: string
- *               documentation:
- *                 type: string
- *                 default: ''
- *                 description: An optional field to provided notes or
- *                              description about an element.
- *               type:
- *                 type: string
- *                 default: ''
- *               custom:
- *                 type: object
- *               artifact:
- *                 type: string
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             archived:
+ *               type: boolean
+ *             custom:
+ *               type: object
+ *               description: NOTE when updating the custom data, the object
+ *                            is completely replaced.
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, branch, sourceOf,
- *                      targetOf, contains]
+ *                      project, source]
  *         in: query
  *         type: string
- *         required: false
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
  *                      default the id field is returned. To specifically NOT
  *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, documentation, lastModifiedBy, name,
- *                      org, parent, project, source, target, type, updatedOn,
- *                      branch, artifact]
+ *                      createdOn, custom, lastModifiedBy, updatedOn, name,
+ *                      org, source, project, tag]
  *         in: query
  *         type: string
  *       - name: minified
@@ -3233,33 +3258,41 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the branch, from the ETag header
+ *                      of a previous response. The request fails if the branch
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to POST elements, return element public
- *                      data.
+ *         description: OK, Succeeded to PATCH branch, return updated branch
+ *                      public data.
  *       400:
- *         description: Bad Request, Failed to POST elements due to invalid
- *                      element data.
+ *         description: Bad Request, Failed to PATCH branch due to invalid
+ *                      update request data.
  *       401:
- *         description: Unauthorized, Failed to POST elements due to not being
+ *         description: Unauthorized, Failed to PATCH branch due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to POST elements due to permissions
- *                      or already existing elements with matching ids.
+ *         description: Forbidden, Failed to PATCH branch due to updating an
+ *                      immutable field.
  *       404:
- *         description: Not Found, Failed to POST elements due to org, project,
- *                      or branch not existing.
+ *         description: Not Found, Failed to PATCH branch due to not finding
+ *                      branch.
+ *       412:
+ *         description: Precondition Failed, Failed to PATCH branch due to the
+ *                      branch changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
- *         description: Internal Server Error, Failed to POST elements due to a
+ *         description: Internal Server Error, Failed to PATCH branch due to a
  *                      server side issue.
- *   put:
+ *   delete:
  *     tags:
- *       - elements
- *     description: Creates or replaces multiple elements from the supplied data
- *                  in the request body. In an element with a matching ID
- *                  already exists, it is replaced. Returns the element's public
- *                  data. NOTE this route is reserved for system-wide admins
- *                  ONLY.
+ *       - branches
+ *     description: Deletes the specified branch and any elements name-spaced
+ *                  under the branch.
  *     produces:
  *       - application/json
  *     parameters:
@@ -3270,93 +3303,16 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project containing the branch to
+ *                      be deleted.
  *         in: path
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch whose elements are being
- *                      created/replaced.
+ *         description: The ID of the branch to delete.
  *         in: path
  *         required: true
  *         type: string
- *       - name: body
- *         in: body
- *         description: An array of objects containing element data.
- *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - id
- *             properties:
- *               id:
- *                 type: string
- *               name:
- *                 type: string
- *               parent:
- *                 type: string
- *                 default: 'model'
- *               source:
- *                 type: string
- *                 description: Required if target is provided.
- *               sourceNamespace:
- *                 type: object
- *                 description: An optional field to specify the namespace of
- *                              the source element. The source's project must
- *                              be in the same organization or the default org.
- *                 properties:
- *                   org:
- *                     type: string
- *                   project:
- *                     type: string
- *                   branch:
- *                     type: string
- *               target:
- *                 type: string
- *                 description: Required if source is provided.
- *               targetNamespace:
- *                 type: object
- *                 description: An optional field to specify the namespace of
- *                              the target element. The targets's project must
- *                              be in the same organization or the default org.
- *                 properties:
- *                   org:
- *                     type: string
- *                   project:
- *                     type: string
- *                   branch:
- *                     type: string
- *               documentation:
- *                 type: string
- *                 default: ''
- *                 description: An optional field to provided notes or
- *                              description about an element.
- *               type:
- *                 type: string
- *                 default: ''
- *               custom:
- *                 type: object
- *               artifact:
- *                 type: string
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, branch, sourceOf,
- *                      targetOf, contains, artifact]
- *         in: query
- *         type: string
- *         required: false
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, documentation, lastModifiedBy, name,
- *                      org, parent, project, source, target, type, updatedOn,
- *                      branch, artifact]
- *         in: query
- *         type: string
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -3364,36 +3320,93 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the branch, from the ETag header
+ *                      of a previous response. The request fails if the branch
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PUT elements, return element public
- *                      data.
+ *         description: OK, Succeeded to DELETE branch, return deleted branch
+ *                      ID.
  *       400:
- *         description: Bad Request, Failed to PUT elements due to invalid
- *                      element data.
+ *         description: Bad Request, Failed to DELETE branch due to invalid
+ *                      branch data.
  *       401:
- *         description: Unauthorized, Failed to PUT elements due to not being
+ *         description: Unauthorized, Failed to DELETE branch due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PUT elements due to invalid
- *                      permissions.
+ *         description: Forbidden, Failed to DELETE branch due to not having
+ *                      permissions on project.
  *       404:
- *         description: Not Found, Failed to PUT elements because branch,
- *                      project or org did not exist.
+ *         description: Not Found, Failed to DELETE branch due to not finding
+ *                      branch.
+ *       412:
+ *         description: Precondition Failed, Failed to DELETE branch due to the
+ *                      branch changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
- *         description: Internal Server Error, Failed to PUT elements due to a
+ *         description: Internal Server Error, Failed to DELETE branch due to
  *                      server side issue.
- *   patch:
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getBranch'),
+  APIController.getBranch,
+  Middleware.pluginPost('getBranch'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('postBranch'),
+  APIController.postBranch,
+  Middleware.pluginPost('postBranch'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('patchBranch'),
+  APIController.patchBranch,
+  Middleware.pluginPost('patchBranch'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteBranch'),
+  APIController.deleteBranch,
+  Middleware.pluginPost('deleteBranch'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/diff/{otherbranchid}:
+ *   get:
  *     tags:
- *       - elements
- *     description: Updates multiple elements from the data provided in the
- *                  request body. Elements that are currently archived must
- *                  first be unarchived before making any other updates. The
- *                  following fields can be updated [name, custom, archived,
- *                  parent, type, documentation]. NOTE, the id is required in
- *                  the request body, but CANNOT be updated. Requesting user
- *                  must have write permissions on the project to update
- *                  elements.
+ *       - branches
+ *     description: Compares the elements and artifacts of two branches or
+ *                  tags. Returns the elements and artifacts which exist only
+ *                  in the other branch (added), only in the specified branch
+ *                  (removed), and those which exist in both branches with
+ *                  different field values (modified). Modified items list the
+ *                  value of each changed field before (in the specified
+ *                  branch) and after (in the other branch). Requesting user
+ *                  must have read access on the project.
  *     produces:
  *       - application/json
  *     parameters:
@@ -3404,90 +3417,27 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project containing the branches.
  *         in: path
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch whose elements are to be updated.
+ *         description: The ID of the base branch or tag.
  *         in: path
  *         required: true
  *         type: string
- *       - in: body
- *         name: elements
- *         description: An array of objects containing updates to multiple
- *                      elements.
- *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - id
- *             properties:
- *               id:
- *                 type: string
- *                 description: The current ID of the element, cannot be
- *                              updated.
- *               name:
- *                 type: string
- *               source:
- *                 type: string
- *               sourceNamespace:
- *                 type: object
- *                 description: An optional field to specify the namespace of
- *                              the source element. The source's project must
- *                              be in the same organization or the default org.
- *                 properties:
- *                   org:
- *                     type: string
- *                   project:
- *                     type: string
- *                   branch:
- *                     type: string
- *               target:
- *                 type: string
- *               targetNamespace:
- *                 type: object
- *                 description: An optional field to specify the namespace of
- *                              the target element. The target's project must
- *                              be in the same organization or the default org.
- *                 properties:
- *                   org:
- *                     type: string
- *                   project:
- *                     type: string
- *                   branch:
- *                     type: string
- *               documentation:
- *                 type: string
- *               type:
- *                 type: string
- *               custom:
- *                 type: object
- *                 description: NOTE when updating the custom data, the object
- *                              is completely replaced.
- *               archived:
- *                 type: boolean
- *               artifact:
- *                 type: string
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, branch, sourceOf,
- *                      targetOf, contains, artifact]
- *         in: query
+ *       - name: otherbranchid
+ *         description: The ID of the branch or tag to compare against the
+ *                      base branch.
+ *         in: path
+ *         required: true
  *         type: string
- *         required: false
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, documentation, lastModifiedBy, name,
- *                      org, parent, project, source, target, type, updatedOn,
- *                      branch, artifact]
+ *       - name: includeArchived
+ *         description: If true, archived elements and artifacts will be
+ *                      included in the comparison. The default value is false.
  *         in: query
- *         type: string
+ *         type: boolean
+ *         default: false
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -3497,59 +3447,83 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PATCH elements, returns element public
- *                      data.
+ *         description: OK, Succeeded to GET branch differences, returns the
+ *                      added, removed and modified elements and artifacts.
  *       400:
- *         description: Bad Request, Failed to PATCH elements due to invalid
- *                      data.
+ *         description: Bad Request, Failed to GET branch differences due to
+ *                      invalid data.
  *       401:
- *         description: Unauthorized, Failed to PATCH element due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to GET branch differences due to
+ *                      not being logged in.
  *       403:
- *         description: Forbidden, Failed to PATCH elements due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to GET branch differences due to not
+ *                      having permissions on project.
+ *       404:
+ *         description: Not Found, Failed to GET branch differences due to not
+ *                      finding a branch.
  *       500:
- *         description: Internal Server Error, Failed to PATCH elements due to
- *                      server side issue.
- *   delete:
+ *         description: Internal Server Error, Failed to GET branch differences
+ *                      due to server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/diff/:otherbranchid')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getBranchDiff'),
+  APIController.getBranchDiff,
+  Middleware.pluginPost('getBranchDiff'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/merge/{targetbranchid}:
+ *   post:
  *     tags:
- *       - elements
- *     description: Deletes multiple elements and all elements in their
- *                  subtrees.
+ *       - branches
+ *     description: Merges the changes made on a branch into a target branch.
+ *                  One branch must have been created from the other. Elements
+ *                  and artifacts added, modified or removed on the branch since
+ *                  the child branch was created are applied to the target
+ *                  branch. If an element or artifact was changed differently on
+ *                  both branches, the conflicts are returned and no changes are
+ *                  applied. Tags cannot be merged into. Requesting user must
+ *                  have write access on the project, and be allowed to change
+ *                  the target branch by its protection rules. Merging is the
+ *                  only way to change a branch which requires merges.
  *     produces:
  *       - application/json
  *     parameters:
  *       - name: orgid
  *         description: The ID of the organization containing the specified
- *                      project
+ *                      project.
  *         in: path
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project containing the branches.
  *         in: path
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch whose elements are to be deleted.
+ *         description: The ID of the branch whose changes are merged.
  *         in: path
  *         required: true
  *         type: string
- *       - name: elementIDs
- *         description: An array of element IDs to delete. Can optionally be an
- *                      array of objects containing id key/value pairs.
- *         in: body
+ *       - name: targetbranchid
+ *         description: The ID of the branch to merge the changes into.
+ *         in: path
  *         required: true
- *         schema:
- *           type: array
- *           items:
- *             type: string
- *       - name: ids
- *         description: Comma separated list of IDs to delete. If both query
- *                      parameter and body are provided, the query parameter
- *                      will be prioritized over the body.
- *         in: query
  *         type: string
+ *       - name: dryRun
+ *         description: If true, the merge result and conflicts are returned,
+ *                      but no changes are applied to the target branch. The
+ *                      default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -3559,83 +3533,52 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE elements, return deleted
- *                      elements' ids.
+ *         description: OK, Succeeded to POST branch merge, returns the IDs of
+ *                      the added, modified and removed elements and artifacts,
+ *                      and any conflicts.
  *       400:
- *         description: Bad Request, Failed to DELETE elements due to invalid
+ *         description: Bad Request, Failed to POST branch merge due to invalid
  *                      data.
  *       401:
- *         description: Unauthorized, Failed to DELETE element due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to POST branch merge due to not
+ *                      being logged in.
  *       403:
- *         description: Forbidden, Failed to DELETE elements due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to POST branch merge due to not
+ *                      having permissions on project, the target branch being
+ *                      a tag, or the branches not sharing a common ancestor.
+ *       404:
+ *         description: Not Found, Failed to POST branch merge due to not
+ *                      finding a branch.
  *       500:
- *         description: Internal Server Error, Failed to DELETE elements due to
- *                      server side issue.
+ *         description: Internal Server Error, Failed to POST branch merge due
+ *                      to server side issue.
  */
-api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
-.get(
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/merge/:targetbranchid')
+.post(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('getElements'),
-  APIController.getElements,
-  Middleware.pluginPost('getElements'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.post(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('postElements'),
-  APIController.postElements,
-  Middleware.pluginPost('postElements'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.put(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('putElements'),
-  APIController.putElements,
-  Middleware.pluginPost('putElements'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.patch(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('patchElements'),
-  APIController.patchElements,
-  Middleware.pluginPost('patchElements'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.delete(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('deleteElements'),
-  APIController.deleteElements,
-  Middleware.pluginPost('deleteElements'),
+  Middleware.pluginPre('postBranchMerge'),
+  APIController.postBranchMerge,
+  Middleware.pluginPost('postBranchMerge'),
   Middleware.logResponse,
   Middleware.respond
 );
 
-
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/elements/{elementid}:
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/protection:
  *   get:
  *     tags:
- *       - elements
- *     description: Returns an elements public data on a specified branch.
- *                  Requesting user must have read access on the project to find
- *                  elements.
+ *       - branches
+ *     description: Returns the protection rules of a branch. The rules restrict
+ *                  who can create, update and delete the elements of the
+ *                  branch. If adminOnly is true, only project admins can change
+ *                  the elements. If writers is not empty, only the listed users
+ *                  and project admins can change the elements. If requireMerge
+ *                  is true, the elements can only be changed by merging
+ *                  another branch into the branch. Requesting user must have
+ *                  read access on the project to find the branch.
  *     produces:
  *       - application/json
  *     parameters:
@@ -3646,49 +3589,15 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project containing the branch.
  *         in: path
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch containing the searched element.
- *         in: path
- *         required: true
- *         type: string
- *       - name: elementid
- *         description: The ID of the element to find.
+ *         description: The ID of the branch.
  *         in: path
  *         required: true
  *         type: string
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, branch, sourceOf,
- *                      targetOf, contains, artifact]
- *         in: query
- *         type: string
- *         required: false
- *       - name: includeArchived
- *         description: If true, archived objects will be also be searched
- *                      through.
- *         in: query
- *         type: boolean
- *       - name: subtree
- *         description: If true, returns all elements in the search elements
- *                      subtree. If true, returns an array of elements rather
- *                      than a single object.
- *         in: query
- *         type: boolean
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, documentation, lastModifiedBy, name,
- *                      org, parent, project, source, target, type, updatedOn,
- *                      branch, artifact]
- *         in: query
- *         type: string
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -3696,36 +3605,29 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
  *         in: query
  *         type: boolean
  *         default: false
- *       - name: rootpath
- *         description: An option to specify finding the parent, grandparent, etc
- *                      of the query element all the way up to the root element.
- *         in: query
- *         type: boolean
- *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET element, returns element public
- *                      data.
- *       400:
- *         description: Bad Request, Failed to GET element due to invalid data.
+ *         description: OK, Succeeded to GET branch protection, returns the
+ *                      protection rules of the branch.
  *       401:
- *         description: Unauthorized, Failed to GET element due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to GET branch protection due to
+ *                      not being logged in.
  *       403:
- *         description: Forbidden, Failed to GET element due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to GET branch protection due to not
+ *                      having permissions on the project.
  *       404:
- *         description: Not Found, Failed to GET element due to element not
- *                      existing.
+ *         description: Not Found, Failed to GET branch protection due to not
+ *                      finding the branch.
  *       500:
- *         description: Internal Server Error, Failed to GET element due to
- *                      server side issue.
- *   post:
+ *         description: Internal Server Error, Failed to GET branch protection
+ *                      due to server side issue.
+ *   patch:
  *     tags:
- *       - elements
- *     description: Creates a new element from given data in the request body.
- *                  Requesting user must have at least write access on the
- *                  project to create an element.
+ *       - branches
+ *     description: Changes the protection rules of a branch. Rules which are
+ *                  not provided are unchanged. Every listed writer must have
+ *                  write permissions on the project. Requesting user must have
+ *                  admin permissions on the project.
  *     produces:
  *       - application/json
  *     parameters:
@@ -3736,98 +3638,33 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project containing the branch.
  *         in: path
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch containing the new element.
- *         in: path
- *         required: true
- *         type: string
- *       - name: elementid
- *         description: The ID of the element to create.
+ *         description: The ID of the branch to protect.
  *         in: path
  *         required: true
  *         type: string
- *       - name: body
- *         description: The object containing the new element data.
+ *       - name: protection
+ *         description: The object containing the protection rules to change.
  *         in: body
- *         required: false
+ *         required: true
  *         schema:
  *           type: object
  *           properties:
- *             id:
- *               type: string
- *               description: The ID of the element. If provided, it must
- *                      match the element ID provided in the path.
- *             name:
- *               type: string
- *             parent:
- *               type: string
- *               default: 'model'
- *               description: The ID of the parent of the new element.
- *             source:
- *               type: string
- *               description: An optional field that stores the ID of a source
- *                            element. If provided, target is required.
- *             sourceNamespace:
- *               type: object
- *               description: An optional field to specify the namespace of
- *                            the source element. The source's project must
- *                            be in the same organization or the default org.
- *               properties:
- *                 org:
- *                   type: string
- *                 project:
- *                   type: string
- *                 branch:
- *                   type: string
- *             target:
- *               type: string
- *               description: An optional field that stores the ID of a target
- *                            element. If provided, source is required.
- *             targetNamespace:
- *               type: object
- *               description: An optional field to specify the namespace of
- *                            the target element. The target's project must
- *                            be in the same organization or the default org.
- *               properties:
- *                 org:
- *                   type: string
- *                 project:
- *                   type: string
- *                 branch:
- *                   type: string
- *             documentation:
- *               type: string
- *               default: ''
- *               description: The documentation for the element.
- *             type:
- *               type: string
- *               default: ''
- *             custom:
- *               type: object
- *             artifact:
- *               type: string
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, branch, sourceOf,
- *                      targetOf, contains, artifact]
- *         in: query
- *         type: string
- *         required: false
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, documentation, lastModifiedBy, name,
- *                      org, parent, project, source, target, type, updatedOn,
- *                      branch, artifact]
- *         in: query
- *         type: string
+ *             writers:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: The usernames of the users allowed to change the
+ *                            elements. An empty list allows every user with
+ *                            write permissions on the project.
+ *             adminOnly:
+ *               type: boolean
+ *             requireMerge:
+ *               type: boolean
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -3837,31 +3674,61 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to POST element, returns element public
- *                      data.
+ *         description: OK, Succeeded to PATCH branch protection, returns the
+ *                      updated protection rules of the branch.
  *       400:
- *         description: Bad Request, Failed to POST element due to invalid data.
+ *         description: Bad Request, Failed to PATCH branch protection due to
+ *                      invalid rules, or writers without write permissions on
+ *                      the project.
  *       401:
- *         description: Unauthorized, Failed to POST element due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to PATCH branch protection due to
+ *                      not being logged in.
  *       403:
- *         description: Forbidden, Failed to POST element due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to PATCH branch protection due to not
+ *                      having admin permissions on the project.
  *       404:
- *         description: Not Found, Failed to POST element due to branch, project
- *                      or org not existing.
+ *         description: Not Found, Failed to PATCH branch protection due to not
+ *                      finding the branch.
  *       500:
- *         description: Internal Server Error, Failed to POST element due to
- *                      server side issue.
- *   put:
+ *         description: Internal Server Error, Failed to PATCH branch protection
+ *                      due to server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/protection')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getBranchProtection'),
+  APIController.getBranchProtection,
+  Middleware.pluginPost('getBranchProtection'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('patchBranchProtection'),
+  APIController.patchBranchProtection,
+  Middleware.pluginPost('patchBranchProtection'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/xmi:
+ *   get:
  *     tags:
- *       - elements
- *     description: Creates or replaces an element from given data in the
- *                  request body. If an element with the same ID already exists,
- *                  it will be replaced. NOTE this route is reserved for system
- *                  admins ONLY.
+ *       - branches
+ *     description: Exports the elements of a branch as an XMI document. By
+ *                  default the entire branch is exported; the rootid option
+ *                  exports only an element and its descendants. Fields of the
+ *                  elements which have no XMI equivalent are stored in an MBEE
+ *                  extension, so the XMI can be imported without loss.
+ *                  Requesting user must have read access on the project.
  *     produces:
- *       - application/json
+ *       - application/xml
  *     parameters:
  *       - name: orgid
  *         description: The ID of the organization containing the specified
@@ -3870,85 +3737,92 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the specified branch.
+ *         description: The ID of the project containing the branch.
  *         in: path
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch containing the element.
+ *         description: The ID of the branch to export.
  *         in: path
  *         required: true
  *         type: string
- *       - name: elementid
- *         description: The ID of the element to create/replace.
+ *       - name: rootid
+ *         description: The ID of the root element of the exported subtree. The
+ *                      default value is model.
+ *         in: query
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET XMI, returns the XMI document.
+ *       400:
+ *         description: Bad Request, Failed to GET XMI due to invalid options.
+ *       401:
+ *         description: Unauthorized, Failed to GET XMI due to not being logged
+ *                      in.
+ *       403:
+ *         description: Forbidden, Failed to GET XMI due to not having
+ *                      permissions on project.
+ *       404:
+ *         description: Not Found, Failed to GET XMI due to not finding the
+ *                      branch or root element.
+ *       500:
+ *         description: Internal Server Error, Failed to GET XMI due to server
+ *                      side issue.
+ *   post:
+ *     tags:
+ *       - branches
+ *     description: Imports the elements of an XMI document into a branch.
+ *                  Containment maps to the parent of each element, the client
+ *                  and supplier of relationships map to their source and
+ *                  target, and applied stereotypes map to the type of each
+ *                  element. The XMI is either the body of the request, with a
+ *                  content type of application/xml, or an uploaded file.
+ *                  Requesting user must have write access on the project, and
+ *                  must be a system-wide admin to replace existing elements.
+ *     produces:
+ *       - application/json
+ *     consumes:
+ *       - application/xml
+ *       - multipart/form-data
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
  *         in: path
  *         required: true
  *         type: string
- *       - name: body
- *         description: The object containing the element data.
- *         in: body
- *         required: false
- *         schema:
- *           type: object
- *           properties:
- *             id:
- *               type: string
- *               description: The ID of the element. If provided, it must
- *                      match the element ID provided in the path.
- *             name:
- *               type: string
- *             parent:
- *               type: string
- *               default: 'model'
- *               description: The ID of the parent element.
- *             source:
- *               type: string
- *               description: An optional field that stores the ID of a source
- *                            element. If provided, target is required.
- *             sourceNamespace:
- *               type: object
- *               description: An optional field to specify the namespace of
- *                            the source element. The source's project must
- *                            be in the same organization or the default org.
- *               properties:
- *                 org:
- *                   type: string
- *                 project:
- *                   type: string
- *                 branch:
- *                   type: string
- *             target:
- *               type: string
- *               description: An optional field that stores the ID of a target
- *                            element. If provided, source is required.
- *             targetNamespace:
- *               type: object
- *               description: An optional field to specify the namespace of
- *                            the target element. The target's project must
- *                            be in the same organization or the default org.
- *               properties:
- *                 org:
- *                   type: string
- *                 project:
- *                   type: string
- *                 branch:
- *                   type: string
- *             documentation:
- *               type: string
- *               default: ''
- *               description: The documentation for the element.
- *             type:
- *               type: string
- *               default: ''
- *             custom:
- *               type: object
- *             artifact:
- *               type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch to import the elements into.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: file
+ *         in: formData
+ *         description: The XMI file to import, if the XMI is not the body of
+ *                      the request.
+ *         type: file
+ *       - name: parent
+ *         description: The ID of the element which the top level elements of
+ *                      the XMI are added to. The default value is model.
+ *         in: query
+ *         type: string
+ *       - name: replace
+ *         description: If true, existing elements with the same IDs as
+ *                      imported elements are replaced. The default value is
+ *                      false.
+ *         in: query
+ *         type: boolean
+ *         default: false
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, branch, sourceOf,
- *                      targetOf, contains, artifact]
+ *                      of the object. [parent, source, target, project,
+ *                      branch, sourceOf, targetOf, contains, lastModifiedBy,
+ *                      archivedBy, createdBy]
  *         in: query
  *         type: string
  *         required: false
@@ -3956,11 +3830,7 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
  *         description: Comma separated list of specific fields to return. By
  *                      default the id field is returned. To specifically NOT
  *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, documentation, lastModifiedBy, name,
- *                      org, parent, project, source, target, type, updatedOn,
- *                      branch, artifact]
- *
+ *                      (-name).
  *         in: query
  *         type: string
  *       - name: minified
@@ -3972,124 +3842,120 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PUT element, returns element public
- *                      data.
+ *         description: OK, Succeeded to POST XMI, returns the public data of
+ *                      the imported elements.
  *       400:
- *         description: Bad Request, Failed to PUT element due to invalid data.
+ *         description: Bad Request, Failed to POST XMI due to invalid XMI or
+ *                      element data.
  *       401:
- *         description: Unauthorized, Failed to PUT element due to not being
+ *         description: Unauthorized, Failed to POST XMI due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PUT element due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to POST XMI due to not having
+ *                      permissions on project, or elements already existing.
  *       404:
- *         description: Not Found, Failed to PUT element due to branch, project
- *                      or org not existing.
+ *         description: Not Found, Failed to POST XMI due to not finding the
+ *                      branch or the parent element.
  *       500:
- *         description: Internal Server Error, Failed to PUT element due to
- *                      server side issue.
- *   patch:
+ *         description: Internal Server Error, Failed to POST XMI due to server
+ *                      side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/xmi')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getBranchXMI'),
+  APIController.getBranchXMI,
+  Middleware.pluginPost('getBranchXMI'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('postBranchXMI'),
+  APIController.postBranchXMI,
+  Middleware.pluginPost('postBranchXMI'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/elements/search:
+ *   get:
  *     tags:
  *       - elements
- *     description: Updates an existing element. The following fields can be
- *                  updated [name, custom, archived, parent, documentation,
- *                  type]. Elements that are currently archived must first be
- *                  unarchived before making any other updates. Requesting user
- *                  must have at least write access on the project to update an
- *                  element.
+ *     description: Searches the elements of every project and branch in every
+ *                  organization which the requesting user can read. Supports
+ *                  the query syntax and options of the branch element search.
+ *                  Returns an array of the projects and branches containing
+ *                  matching elements, each in the format { org, project,
+ *                  branch, elements }, where elements is the public data of
+ *                  the matching elements, with their score and highlights.
+ *                  The limit and skip options apply to the elements across
+ *                  every project and branch.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
- *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified branch.
- *         in: path
- *         required: true
+ *       - name: q
+ *         description: The desired text to be searched for, using the same
+ *                      syntax as the branch element search. The project and
+ *                      branch fields can also be filtered on, such as
+ *                      project:(proj1 OR proj2) or branch:master.
+ *         in: query
  *         type: string
- *       - name: branchid
- *         description: The ID of the branch containing the element to be
- *                      updated.
- *         in: path
- *         required: true
+ *       - name: project
+ *         description: Search for elements in a specific project.
+ *         in: query
  *         type: string
- *       - name: elementid
- *         description: The ID of the element to update.
- *         in: path
- *         required: true
+ *       - name: branch
+ *         description: Search for elements in a specific branch.
+ *         in: query
  *         type: string
- *       - name: update
- *         description: The object containing the updated element data.
- *         in: body
- *         required: true
- *         schema:
- *           type: object
- *           properties:
- *             name:
- *               type: string
- *             parent:
- *               type: string
- *             source:
- *               type: string
- *             sourceNamespace:
- *               type: object
- *               description: An optional field to specify the namespace of
- *                            the source element. The source's project must
- *                            be in the same organization or the default org.
- *               properties:
- *                 org:
- *                   type: string
- *                 project:
- *                   type: string
- *                 branch:
- *                   type: string
- *             target:
- *               type: string
- *             targetNamespace:
- *               type: object
- *               description: An optional field to specify the namespace of
- *                            the target element. The target's project must
- *                            be in the same organization or the default org.
- *               properties:
- *                 org:
- *                   type: string
- *                 project:
- *                   type: string
- *                 branch:
- *                   type: string
- *             documentation:
- *               type: string
- *             type:
- *               type: string
- *             custom:
- *               type: object
- *               description: NOTE when updating the custom data, the object
- *                            is completely replaced.
- *             archived:
- *               type: boolean
- *             artifact:
- *               type: string
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      parent, source, target, project, branch, sourceOf,
- *                      targetOf, contains, artifact]
+ *                      parent, source, target, project, artifact]
  *         in: query
  *         type: string
  *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through. Overridden by the archived search option
+ *         in: query
+ *         type: boolean
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
  *                      createdOn, custom, documentation, lastModifiedBy, name,
  *                      org, parent, project, source, target, type, updatedOn,
- *                      branch, artifact]
- *
+ *                      branch]
+ *         in: query
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of elements to return, across every
+ *                      project and branch. Defaults to 100 if not provided or
+ *                      0, and is capped at 1000. Both may be configured in
+ *                      server.api.search.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of elements to skip returning, across every
+ *                      project and branch. NOTE, skip cannot be a negative
+ *                      number.
+ *         in: query
+ *         type: number
+ *       - name: sort
+ *         description: Provide a particular field to sort the results by,
+ *                      including the score. You may also add a negative sign
+ *                      in front of the field to indicate sorting in reverse
+ *                      order. By default, the results are sorted by score.
  *         in: query
  *         type: string
  *       - name: minified
@@ -4099,130 +3965,80 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
  *         in: query
  *         type: boolean
  *         default: false
- *     responses:
- *       200:
- *         description: OK, Succeeded to PATCH element, returns element public
- *                      data.
- *       400:
- *         description: Bad Request, Failed to PATCH element due to invalid
- *                      data.
- *       401:
- *         description: Unauthorized, Failed to PATCH element due to not being
- *                      logged in.
- *       403:
- *         description: Forbidden, Failed to PATCH element due to updating an
- *                      immutable field.
- *       404:
- *         description: Not Found, Failed to PATCH element due to element not
- *                      existing.
- *       500:
- *         description: Internal Server Error, Failed to PATCH element due to
- *                      server side issue.
- *   delete:
- *     tags:
- *       -  elements
- *     description: Deletes the specified element and all elements in the
- *                  specified element's subtree.
- *     produces:
- *       - application/json
- *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
+ *       - name: parent
+ *         description: Search for elements with a specific parent.
+ *         in: query
  *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified branch.
- *         in: path
- *         required: true
+ *       - name: source
+ *         description: Search for elements with a specific source.
+ *         in: query
  *         type: string
- *       - name: branchid
- *         description: The ID of the branch containing the element to be
- *                      deleted.
- *         in: path
- *         required: true
+ *       - name: target
+ *         description: Search for elements with a specific target.
+ *         in: query
  *         type: string
- *       - name: elementid
- *         description: The ID of the element to delete.
- *         in: path
- *         required: true
+ *       - name: type
+ *         description: Search for elements with a specific type.
+ *         in: query
  *         type: string
- *       - name: minified
- *         description: If true, the returned JSON is minified. If false, the
- *                      returned JSON is formatted based on the format specified
- *                      in the config. The default value is false.
+ *       - name: name
+ *         description: Search for elements with a specific name.
+ *         in: query
+ *         type: string
+ *       - name: createdBy
+ *         description: Search for elements created by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: lastModifiedBy
+ *         description: Search for elements last modified by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: archived
+ *         description: Search only for archived elements.  If false, only returns
+ *                      unarchived elements.  Overrides the includeArchived option.
  *         in: query
  *         type: boolean
- *         default: false
+ *       - name: archivedBy
+ *         description: Search for elements archived by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: custom
+ *         description: Search for a specific key/value pair in the custom data.
+ *                      To find a specific key, separate the keys using dot
+ *                      notation. For example, custom.hello.
+ *         in: query
+ *         type: string
+ *       - name: artifact
+ *         description: Search for elements which reference a specific artifact.
+ *         in: query
+ *         type: string
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE element, returns deleted
- *                      element's id.
+ *         description: OK, Succeeded to GET elements, returns the groups of
+ *                      elements public data.
  *       400:
- *         description: Bad Request, Failed to DELETE element due to invalid
- *                      data.
+ *         description: Bad Request, Failed to GET elements due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to DELETE element due to not being
+ *         description: Unauthorized, Failed to GET elements due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to DELETE element due to not having
+ *         description: Forbidden, Failed to GET elements due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to DELETE element due to element not
- *                      existing.
+ *         description: Not Found, Failed to GET elements due to no elements
+ *                      being found.
  *       500:
- *         description: Internal Server Error, Failed to DELETE element due to
+ *         description: Internal Server Error, Failed to GET elements due to
  *                      server side issue.
  */
-api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid')
+api.route('/elements/search')
 .get(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('getElement'),
-  APIController.getElement,
-  Middleware.pluginPost('getElement'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.post(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('postElement'),
-  APIController.postElement,
-  Middleware.pluginPost('postElement'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.put(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPost('putElement'),
-  APIController.putElement,
-  Middleware.pluginPost('putElement'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.patch(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('patchElement'),
-  APIController.patchElement,
-  Middleware.pluginPost('patchElement'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.delete(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('deleteElement'),
-  APIController.deleteElement,
-  Middleware.pluginPost('deleteElement'),
+  Middleware.pluginPre('searchAllElements'),
+  APIController.searchAllElements,
+  Middleware.pluginPost('searchAllElements'),
   Middleware.logResponse,
   Middleware.respond
 );
@@ -4230,66 +4046,187 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:element
 
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/artifacts/list:
+ * /api/orgs/{orgid}/elements/search:
  *   get:
  *     tags:
- *       - artifacts
- *     description: Returns a list of artifact blob locations and filenames within a project.
- *                  Requesting user must have read access on the project to list artifacts.
+ *       - elements
+ *     description: Searches the elements of every project and branch in the
+ *                  organization which the requesting user can read. Supports
+ *                  the query syntax and options of the branch element search.
+ *                  Returns an array of the projects and branches containing
+ *                  matching elements, each in the format { org, project,
+ *                  branch, elements }, where elements is the public data of
+ *                  the matching elements, with their score and highlights.
+ *                  The limit and skip options apply to the elements across
+ *                  every project and branch.
  *     produces:
  *       - application/json
  *     parameters:
  *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
+ *         description: The ID of the organization to search.
  *         in: path
  *         required: true
  *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the artifact blob.
- *         in: path
- *         required: true
+ *       - name: q
+ *         description: The desired text to be searched for, using the same
+ *                      syntax as the branch element search. The project and
+ *                      branch fields can also be filtered on, such as
+ *                      project:(proj1 OR proj2) or branch:master.
+ *         in: query
+ *         type: string
+ *       - name: project
+ *         description: Search for elements in a specific project.
+ *         in: query
+ *         type: string
+ *       - name: branch
+ *         description: Search for elements in a specific branch.
+ *         in: query
+ *         type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, artifact]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through. Overridden by the archived search option
+ *         in: query
+ *         type: boolean
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch]
+ *         in: query
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of elements to return, across every
+ *                      project and branch. Defaults to 100 if not provided or
+ *                      0, and is capped at 1000. Both may be configured in
+ *                      server.api.search.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of elements to skip returning, across every
+ *                      project and branch. NOTE, skip cannot be a negative
+ *                      number.
+ *         in: query
+ *         type: number
+ *       - name: sort
+ *         description: Provide a particular field to sort the results by,
+ *                      including the score. You may also add a negative sign
+ *                      in front of the field to indicate sorting in reverse
+ *                      order. By default, the results are sorted by score.
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: parent
+ *         description: Search for elements with a specific parent.
+ *         in: query
+ *         type: string
+ *       - name: source
+ *         description: Search for elements with a specific source.
+ *         in: query
+ *         type: string
+ *       - name: target
+ *         description: Search for elements with a specific target.
+ *         in: query
+ *         type: string
+ *       - name: type
+ *         description: Search for elements with a specific type.
+ *         in: query
+ *         type: string
+ *       - name: name
+ *         description: Search for elements with a specific name.
+ *         in: query
+ *         type: string
+ *       - name: createdBy
+ *         description: Search for elements created by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: lastModifiedBy
+ *         description: Search for elements last modified by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: archived
+ *         description: Search only for archived elements.  If false, only returns
+ *                      unarchived elements.  Overrides the includeArchived option.
+ *         in: query
+ *         type: boolean
+ *       - name: archivedBy
+ *         description: Search for elements archived by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: custom
+ *         description: Search for a specific key/value pair in the custom data.
+ *                      To find a specific key, separate the keys using dot
+ *                      notation. For example, custom.hello.
+ *         in: query
+ *         type: string
+ *       - name: artifact
+ *         description: Search for elements which reference a specific artifact.
+ *         in: query
  *         type: string
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET artifact, returns artifact list.
+ *         description: OK, Succeeded to GET elements, returns the groups of
+ *                      elements public data.
  *       400:
- *         description: Bad Request, Failed to GET artifact list due to invalid data.
+ *         description: Bad Request, Failed to GET elements due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to GET artifact list due to not being
+ *         description: Unauthorized, Failed to GET elements due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to GET artifact list due to not having
+ *         description: Forbidden, Failed to GET elements due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to GET blob list due to artifact not
- *                      existing.
+ *         description: Not Found, Failed to GET elements due to no elements
+ *                      being found or a non-existent org.
  *       500:
- *         description: Internal Server Error, Failed to GET blob list due to
+ *         description: Internal Server Error, Failed to GET elements due to
  *                      server side issue.
  */
-api.route('/orgs/:orgid/projects/:projectid/artifacts/list')
+api.route('/orgs/:orgid/elements/search')
 .get(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('listBlobs'),
-  APIController.listBlobs,
-  Middleware.pluginPost('listBlobs'),
+  Middleware.pluginPre('searchAllElements'),
+  APIController.searchAllElements,
+  Middleware.pluginPost('searchAllElements'),
   Middleware.logResponse,
   Middleware.respond
 );
 
+
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/artifacts/blob:
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/elements/search:
  *   get:
  *     tags:
- *       - artifacts
- *     description: Returns an artifact Blob. Requesting user must have read access
- *                  on the project to find an artifact.
+ *       - elements
+ *     description: Finds multiple elements using text based search on the
+ *                  documentation and name fields, and filters on the fields of
+ *                  the elements. Returns the elements public data in order of
+ *                  relevance, each with its relevance score (score) and the
+ *                  escaped HTML fragments of its matched name and
+ *                  documentation, with each match wrapped in an em tag
+ *                  (highlights).
  *     produces:
- *       - application/octet-stream
+ *       - application/json
+ *       - text/csv
+ *       - application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
  *     parameters:
  *       - name: orgid
  *         description: The ID of the organization containing the specified
@@ -4298,183 +4235,157 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/list')
  *         required: true
  *         type: string
  *       - name: projectid
- *         description: The ID of the project containing the artifact blob.
+ *         description: The ID of the project containing the specified branch.
  *         in: path
  *         required: true
  *         type: string
- *       - name: filename
- *         in: query
- *         description: Artifact filename.
+ *       - name: branchid
+ *         description: The ID of the branch containing the searched elements.
+ *         in: path
  *         required: true
  *         type: string
- *       - name: location
+ *       - name: q
+ *         description: The desired text to be searched for. Quote a phrase
+ *                      to require it ("fuel pump"), end a word with * to match
+ *                      a prefix (pump*), or with ~ to match similar words
+ *                      (pump~ or pump~1). Start a word with + to require it,
+ *                      or with - to exclude it. Filter on any field, including
+ *                      custom data, with field:value, such as
+ *                      type:(Block OR Part), custom.status:open,
+ *                      createdOn:[2020-01-01 TO *] or updatedOn:>=2020-06-01.
+ *                      Start a filter with - to negate it.
  *         in: query
- *         description: Artifact Blob storage location.
- *         required: true
  *         type: string
- *       - name: includeArchived
- *         description: If true, archived objects will be also be searched
- *                      through.
+ *       - name: format
+ *         description: If csv or xlsx, the elements are returned as a
+ *                      spreadsheet where each row is an element, and custom
+ *                      data is flattened into a column per field. By default,
+ *                      the elements are returned as JSON.
+ *         in: query
+ *         type: string
+ *         enum: [csv, xlsx]
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, artifact]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through. Overridden by the archived search option
  *         in: query
  *         type: boolean
- *     responses:
- *       200:
- *         description: OK, Succeeded to GET artifact, returns artifact blob.
- *       400:
- *         description: Bad Request, Failed to GET artifact due to invalid data.
- *       401:
- *         description: Unauthorized, Failed to GET artifact due to not being
- *                      logged in.
- *       403:
- *         description: Forbidden, Failed to GET artifact due to not having
- *                      permissions.
- *       404:
- *         description: Not Found, Failed to GET artifact due to artifact not
- *                      existing.
- *       500:
- *         description: Internal Server Error, Failed to GET artifact due to
- *                      server side issue.
- *
- *   post:
- *     tags:
- *       - artifacts
- *     description: Post an artifact Blob. Requesting user must have write
- *                  access on the project to post an artifact.
- *     produces:
- *       - application/json
- *     consumes: multipart/form-data
- *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch]
+ *         in: query
  *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified artifact.
- *         in: path
- *         required: true
+ *       - name: limit
+ *         description: The maximum number of objects to return. A limit of 0 is
+ *                      equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of objects to skip returning. For example,
+ *                      if 10 objects are found and skip is 5, the first five
+ *                      objects will NOT be returned. NOTE, skip cannot be a
+ *                      negative number.
+ *         in: query
+ *         type: number
+ *       - name: sort
+ *         description: Provide a particular field to sort the results by,
+ *                      including the score. You may also add a negative sign
+ *                      in front of the field to indicate sorting in reverse
+ *                      order. By default, the results are sorted by score.
+ *         in: query
  *         type: string
- *       - name: artifactid
- *         description: The artifact ID.
- *         in: URI
- *         required: true
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: parent
+ *         description: Search for elements with a specific parent.
+ *         in: query
  *         type: string
- *       - name: file
- *         in: formData
- *         description: File blob to upload.
- *         required: true
- *         type: file
- *       - name: filename
- *         in: formData
- *         description: Artifact filename.
- *         required: true
+ *       - name: source
+ *         description: Search for elements with a specific source.
+ *         in: query
  *         type: string
- *       - name: location
- *         in: formData
- *         description: Artifact Blob storage location.
- *         required: true
+ *       - name: target
+ *         description: Search for elements with a specific target.
+ *         in: query
  *         type: string
- *     responses:
- *       200:
- *         description: OK, Succeeded to POST artifact, returns artifact public
- *                      data.
- *       400:
- *         description: Bad Request, Failed to POST artifact due to invalid data.
- *       401:
- *         description: Unauthorized, Failed to POST artifact due to not being
- *                      logged in.
- *       403:
- *         description: Forbidden, Failed to POST artifact due to not having
- *                      permissions.
- *       404:
- *         description: Not Found, Failed to POST artifact due to branch, project
- *                      or org not existing
- *       500:
- *         description: Internal Server Error, Failed to POST artifact due to
- *                      server side issue.
- *
- *   delete:
- *     tags:
- *       - artifacts
- *     description: Deletes an artifact Blob. Requesting user must have read access
- *                  on the project to delete an artifact.
- *     produces:
- *       - application/json
- *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
+ *       - name: type
+ *         description: Search for elements with a specific type.
+ *         in: query
  *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified artifact.
- *         in: path
- *         required: true
+ *       - name: name
+ *         description: Search for elements with a specific name.
+ *         in: query
  *         type: string
- *       - name: artifactid
- *         description: The artifact ID.
- *         in: URI
- *         required: true
+ *       - name: createdBy
+ *         description: Search for elements created by a specific user.
+ *         in: query
  *         type: string
- *       - name: filename
+ *       - name: lastModifiedBy
+ *         description: Search for elements last modified by a specific user.
  *         in: query
- *         description: Artifact filename.
- *         required: true
  *         type: string
- *       - name: location
+ *       - name: archived
+ *         description: Search only for archived elements.  If false, only returns
+ *                      unarchived elements.  Overrides the includeArchived option.
+ *         in: query
+ *         type: boolean
+ *       - name: archivedBy
+ *         description: Search for elements archived by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: custom
+ *         description: Search for a specific key/value pair in the custom data.
+ *                      To find a specific key, separate the keys using dot
+ *                      notation. For example, custom.hello.
+ *         in: query
+ *         type: string
+ *       - name: artifact
+ *         description: Search for elements which reference a specific artifact.
  *         in: query
- *         description: Artifact Blob storage location.
- *         required: true
  *         type: string
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE artifact, returns artifact public
+ *         description: OK, Succeeded to GET elements, returns elements public
  *                      data.
  *       400:
- *         description: Bad Request, Failed to DELETE artifact due to invalid data.
+ *         description: Bad Request, Failed to GET elements due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to DELETE artifact due to not being
+ *         description: Unauthorized, Failed to GET elements due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to DELETE artifact due to not having
+ *         description: Forbidden, Failed to GET elements due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to DELETE artifact due to artifact not
- *                      existing.
+ *         description: Not Found, Failed to GET elements due to a non-existent
+ *                      org, project or branch.
  *       500:
- *         description: Internal Server Error, Failed to DELETE artifact due to
+ *         description: Internal Server Error, Failed to GET elements due to
  *                      server side issue.
  */
-api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search')
 .get(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('getBlob'),
-  APIController.getBlob,
-  Middleware.pluginPost('getBlob'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.post(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('postBlob'),
-  APIController.postBlob,
-  Middleware.pluginPost('postBlob'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.delete(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('deleteBlob'),
-  APIController.deleteBlob,
-  Middleware.pluginPost('deleteBlob'),
+  Middleware.pluginPre('searchElements'),
+  APIController.searchElements,
+  Middleware.pluginPost('searchElements'),
   Middleware.logResponse,
   Middleware.respond
 );
@@ -4482,15 +4393,24 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
 
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/artifacts:
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/elements:
  *   get:
  *     tags:
- *       - artifacts
- *     description: Returns an array of artifacts public data on a specified branch.
- *                  Requesting user must have read access on the project to find
- *                  artifacts.
+ *       - elements
+ *     description: Returns an array of elements on a specified branch if the
+ *                  requesting user has read access on the project. Optionally,
+ *                  an array of IDs can be provided in the request body or a
+ *                  comma separated list in the request parameters to find
+ *                  multiple, specific elements. If the format is ndjson, or the
+ *                  Accept header includes application/x-ndjson, the elements
+ *                  are streamed as they are read from the database with one
+ *                  element per line. Streaming does not support the subtree,
+ *                  depth or asOf options.
  *     produces:
  *       - application/json
+ *       - application/x-ndjson
+ *       - text/csv
+ *       - application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
  *     parameters:
  *       - name: orgid
  *         description: The ID of the organization containing the specified
@@ -4504,7 +4424,7 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch containing the searched artifacts.
+ *         description: The ID of the branch containing the searched elements.
  *         in: path
  *         required: true
  *         type: string
@@ -4513,13 +4433,13 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *           type: array
  *           items:
  *             type: string
- *         description: An array of artifact IDs to search for. If both query
- *                      parameter and body are not provided, all artifacts the
+ *         description: An array of element IDs to search for. If both query
+ *                      parameter and body are not provided, all elements the
  *                      user has access to (under the specified branch) are
  *                      found.
  *       - name: ids
  *         description: Comma separated list of IDs to search for. If both query
- *                      parameter and body are not provided, all artifacts the
+ *                      parameter and body are not provided, all elements the
  *                      user has access to (under the specified branch) are
  *                      found.
  *         in: query
@@ -4527,7 +4447,8 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, branch, referencedBy]
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact]
  *         in: query
  *         type: string
  *         required: false
@@ -4536,14 +4457,19 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *                      through. Overridden by the archived search option
  *         in: query
  *         type: boolean
+ *       - name: subtree
+ *         description: If true, returns all searched elements as well as the
+ *                      elements in the found element's subtrees.
+ *         in: query
+ *         type: boolean
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
  *                      default the id field is returned. To specifically NOT
  *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, description, org,
- *                      project, updatedOn, branch, filename, location, strategy,
- *                      size]
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch, artifact]
  *         in: query
  *         type: string
  *       - name: limit
@@ -4558,7 +4484,25 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *                      negative number.
  *         in: query
  *         type: number
- *       - name: sort
+ *       - name: after
+ *         description: An opaque cursor returned in the X-Next-Cursor and
+ *                      Link headers of a previous request. Only the objects
+ *                      which follow the cursor in the sort order are returned.
+ *                      The sort option must match the request which returned
+ *                      the cursor. When a limit is provided and a full page is
+ *                      returned, the cursor of the next page is returned in
+ *                      the X-Next-Cursor header, and a Link header with
+ *                      rel="next" contains the URL of the next page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of objects which match the
+ *                      query, ignoring limit, skip and after, is returned in
+ *                      the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: sort
  *         description: Provide a particular field to sort the results by.
  *                      You may also add a negative sign in front of the field
  *                      to indicate sorting in reverse order.
@@ -4566,13 +4510,18 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         type: string
  *       - name: format
  *         description: The desired format of the response. If jmi1, the
- *                      artifacts are returned in an array of artifact objects. If
- *                      jmi2, an object is returned where keys are the artifact
- *                      ids, and values are the artifact object.
+ *                      elements are returned in an array of element objects. If
+ *                      jmi2, an object is returned where keys are the element
+ *                      ids, and values are the element object. If jmi3, an
+ *                      object is returned in a tree-like structure. If csv or
+ *                      xlsx, a spreadsheet is returned where each row is an
+ *                      element, and custom data is flattened into a column per
+ *                      field, such as custom.level.priority. If ndjson, the
+ *                      elements are streamed as newline delimited JSON.
  *         in: query
  *         type: string
  *         default: jmi1
- *         enum: [jmi1, jmi2]
+ *         enum: [jmi1, jmi2, jmi3, csv, xlsx, ndjson]
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -4580,25 +4529,41 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         in: query
  *         type: boolean
  *         default: false
- *       - name: description
- *         description: Search for artifacts with a specific description.
+ *       - name: parent
+ *         description: Search for elements with a specific parent.
+ *         in: query
+ *         type: string
+ *       - name: source
+ *         description: Search for elements with a specific source.
+ *         in: query
+ *         type: string
+ *       - name: target
+ *         description: Search for elements with a specific target.
+ *         in: query
+ *         type: string
+ *       - name: type
+ *         description: Search for elements with a specific type.
+ *         in: query
+ *         type: string
+ *       - name: name
+ *         description: Search for elements with a specific name.
  *         in: query
  *         type: string
  *       - name: createdBy
- *         description: Search for artifacts created by a specific user.
+ *         description: Search for elements created by a specific user.
  *         in: query
  *         type: string
  *       - name: lastModifiedBy
- *         description: Search for artifacts last modified by a specific user.
+ *         description: Search for elements last modified by a specific user.
  *         in: query
  *         type: string
  *       - name: archived
- *         description: Search only for archived artifacts. If false, only returns
- *                      unarchived artifacts. Overrides the includeArchived option.
+ *         description: Search only for archived elements. If false, only returns
+ *                      unarchived elements. Overrides the includeArchived option.
  *         in: query
  *         type: boolean
  *       - name: archivedBy
- *         description: Search for artifacts archived by a specific user.
+ *         description: Search for elements archived by a specific user.
  *         in: query
  *         type: string
  *       - name: custom
@@ -4607,33 +4572,63 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *                      notation. For example, custom.hello
  *         in: query
  *         type: string
+ *       - name: artifact
+ *         description: Search for elements which reference a specific artifact.
+ *         in: query
+ *         type: string
+ *       - name: asOf
+ *         description: Returns the state of the elements at a specified point in
+ *                      time, as recorded in the element history. Accepts a date
+ *                      string or a timestamp in milliseconds. Cannot be used
+ *                      with populate, subtree, depth, rootpath, fields or sort.
+ *         in: query
+ *         type: string
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET artifacts, returns artifact public
+ *         description: OK, Succeeded to GET elements, returns elements public
  *                      data.
  *       400:
- *         description: Bad Request, Failed to GET artifacts due to invalid data.
+ *         description: Bad Request, Failed to GET elements due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to GET artifacts due to not being
+ *         description: Unauthorized, Failed to GET elements due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to GET artifacts due to not having
+ *         description: Forbidden, Failed to GET elements due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to GET artifacts due to artifact not
- *                      existing.
+ *         description: Not Found, Failed to GET elements due to a non-existent
+ *                      org, project or branch.
  *       500:
- *         description: Internal Server Error, Failed to GET artifacts due to
+ *         description: Internal Server Error, Failed to GET elements due to
  *                      server side issue.
- *
  *   post:
  *     tags:
- *       - artifacts
- *     description: Creates multiple artifacts from given data in request body.
- *                  Requesting user must have at least write access on the
- *                  project to create an artifact.
+ *       - elements
+ *     description: Creates multiple elements from the supplied data in the
+ *                  request body. Returns the created element' public data.
+ *                  Requesting user must have write permissions on the project
+ *                  to create elements. The elements can also be provided as a
+ *                  CSV or xlsx spreadsheet, where each row is an element and
+ *                  each column is a field, such as name or custom.priority.
+ *                  Each row is validated separately; an object is returned
+ *                  containing the created elements and the row number, ID
+ *                  and error message of each row which failed. Large numbers
+ *                  of elements can be provided as newline delimited JSON with
+ *                  one element per line, which are created in batches as the
+ *                  request is read. Elements must follow the elements they
+ *                  reference. Each batch is committed separately, and an
+ *                  object is returned containing the number of elements
+ *                  created, and the first line and number of elements of each
+ *                  batch. If a batch fails after others were committed, the
+ *                  import stops and the batch is returned in the field error
+ *                  along with its error message.
  *     produces:
  *       - application/json
+ *     consumes:
+ *       - application/json
+ *       - application/x-ndjson
+ *       - text/csv
+ *       - application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
  *     parameters:
  *       - name: orgid
  *         description: The ID of the organization containing the specified
@@ -4647,42 +4642,74 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch containing the new artifacts.
+ *         description: The ID of the branch whose elements are being created.
  *         in: path
  *         required: true
  *         type: string
  *       - name: body
- *         description: An array of objects containing new artifact data.
  *         in: body
- *         required: true
+ *         description: An array of objects containing new element data.
  *         schema:
  *           type: array
  *           items:
  *             type: object
  *             required:
  *               - id
- *               - location
- *               - filename
  *             properties:
  *               id:
  *                 type: string
- *                 description: The ID of the artifact.
- *               description:
+ *               name:
  *                 type: string
- *               filename:
+ *               parent:
  *                 type: string
- *                 description: Blob file name associated with this artifact.
- *               location:
+ *                 default: 'model'
+ *               source:
  *                 type: string
- *                 description: Blob storage location.
+ *                 description: Required if target is provided.
+ *               sourceNamespace:
+ *                 type: object
+ *                 description: An optional field to specify the namespace of
+ *                              the source element. The source's project must
+ *                              be in the same organization or the default org.
+ *                 properties:
+ *                   org:
+ *                     type: string
+ *                   project:
+ *                     type: string
+ *                   branch:
+ *                     type: string
+ *               target:
+ *                 type: string
+ *                 description: Required if source is provided.
+ *               targetNamespace:
+ *                 type: object
+ *                 description: An optional field to specify the namespace of
+ *                              the target element. The targets's project must
+ *                              be in the same organization or the default org.
+ *                 properties:
+ *                   org:
+ *                     type: string
+ *                   project:
+ *                     type: string
+ *                   branch:
+ *                     type: string
+ *               documentation:
+ *                 type: string
+ *                 default: ''
+ *                 description: An optional field to provided notes or
+ *                              description about an element.
+ *               type:
+ *                 type: string
+ *                 default: ''
  *               custom:
  *                 type: object
- *               size:
- *                 type: number
+ *               artifact:
+ *                 type: string
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, branch, referencedBy]
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains]
  *         in: query
  *         type: string
  *         required: false
@@ -4691,9 +4718,9 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *                      default the id field is returned. To specifically NOT
  *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, description, org,
- *                      project, updatedOn, branch, filename, location, strategy,
- *                      size]
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch, artifact]
  *         in: query
  *         type: string
  *       - name: minified
@@ -4705,31 +4732,41 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to POST artifacts, returns artifact public
+ *         description: OK, Succeeded to POST elements, return element public
  *                      data.
  *       400:
- *         description: Bad Request, Failed to POST artifacts due to invalid data.
+ *         description: Bad Request, Failed to POST elements due to invalid
+ *                      element data.
  *       401:
- *         description: Unauthorized, Failed to POST artifacts due to not being
+ *         description: Unauthorized, Failed to POST elements due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to POST artifacts due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to POST elements due to permissions
+ *                      or already existing elements with matching ids.
  *       404:
- *         description: Not Found, Failed to POST artifacts due to branch, project
- *                      or org not existing.
+ *         description: Not Found, Failed to POST elements due to org, project,
+ *                      or branch not existing.
  *       500:
- *         description: Internal Server Error, Failed to POST artifacts due to
+ *         description: Internal Server Error, Failed to POST elements due to a
  *                      server side issue.
- *   patch:
+ *   put:
  *     tags:
- *       - artifacts
- *     description: Updates multiple artifacts. Artifacts that are currently
- *                  archived must first be unarchived before making any other
- *                  updates. Requesting user must have at least write access
- *                  on the project to update an artifact.
+ *       - elements
+ *     description: Creates or replaces multiple elements from the supplied data
+ *                  in the request body. In an element with a matching ID
+ *                  already exists, it is replaced. Returns the element's public
+ *                  data. Large numbers of elements can be provided as newline
+ *                  delimited JSON with one element per line, which are
+ *                  created or replaced in batches as the request is read.
+ *                  Each batch is committed separately, and the number of
+ *                  elements in each batch is returned instead of the elements,
+ *                  as when creating elements from newline delimited JSON.
+ *                  NOTE this route is reserved for system-wide admins ONLY.
  *     produces:
  *       - application/json
+ *     consumes:
+ *       - application/json
+ *       - application/x-ndjson
  *     parameters:
  *       - name: orgid
  *         description: The ID of the organization containing the specified
@@ -4743,15 +4780,14 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         required: true
  *         type: string
  *       - name: branchid
- *         description: The ID of the branch containing the artifacts to be
- *                      updated.
+ *         description: The ID of the branch whose elements are being
+ *                      created/replaced.
  *         in: path
  *         required: true
  *         type: string
- *       - in: body
- *         name: artifacts
- *         description: An array of objects containing updates to multiple
- *                      artifacts.
+ *       - name: body
+ *         in: body
+ *         description: An array of objects containing element data.
  *         schema:
  *           type: array
  *           items:
@@ -4761,28 +4797,64 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *             properties:
  *               id:
  *                 type: string
- *                 description: The current ID of the artifact, cannot be updated.
- *               description:
+ *               _rev:
  *                 type: string
- *                 description: Description of Artifact.
- *               filename:
+ *                 description: The revision of the element, from the
+ *                              ETag header or the field _rev of a
+ *                              previous response. The request fails if
+ *                              the element has changed since.
+ *               name:
  *                 type: string
- *                 description: Filename of Artifact.
- *               location:
+ *               parent:
  *                 type: string
- *                 description: Storage location of Artifact.
+ *                 default: 'model'
+ *               source:
+ *                 type: string
+ *                 description: Required if target is provided.
+ *               sourceNamespace:
+ *                 type: object
+ *                 description: An optional field to specify the namespace of
+ *                              the source element. The source's project must
+ *                              be in the same organization or the default org.
+ *                 properties:
+ *                   org:
+ *                     type: string
+ *                   project:
+ *                     type: string
+ *                   branch:
+ *                     type: string
+ *               target:
+ *                 type: string
+ *                 description: Required if source is provided.
+ *               targetNamespace:
+ *                 type: object
+ *                 description: An optional field to specify the namespace of
+ *                              the target element. The targets's project must
+ *                              be in the same organization or the default org.
+ *                 properties:
+ *                   org:
+ *                     type: string
+ *                   project:
+ *                     type: string
+ *                   branch:
+ *                     type: string
+ *               documentation:
+ *                 type: string
+ *                 default: ''
+ *                 description: An optional field to provided notes or
+ *                              description about an element.
+ *               type:
+ *                 type: string
+ *                 default: ''
  *               custom:
  *                 type: object
- *                 description: NOTE when updating the custom data, the object
- *                              is completely replaced.
- *               size:
- *                 type: number
- *               archived:
- *                 type: boolean
+ *               artifact:
+ *                 type: string
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, branch, referencedBy]
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact]
  *         in: query
  *         type: string
  *         required: false
@@ -4791,9 +4863,9 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *                      default the id field is returned. To specifically NOT
  *                      include a field, include a '-' in front of the field
  *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, description, org,
- *                      project, updatedOn, branch, filename, location, strategy,
- *                      size]
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch, artifact]
  *         in: query
  *         type: string
  *       - name: minified
@@ -4805,27 +4877,301 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PATCH artifacts, returns artifact public
+ *         description: OK, Succeeded to PUT elements, return element public
  *                      data.
  *       400:
- *         description: Bad Request, Failed to PATCH artifacts due to invalid
- *                      data.
+ *         description: Bad Request, Failed to PUT elements due to invalid
+ *                      element data.
  *       401:
- *         description: Unauthorized, Failed to PATCH artifacts due to not being
+ *         description: Unauthorized, Failed to PUT elements due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PATCH artifacts due to updating an
- *                      immutable field.
+ *         description: Forbidden, Failed to PUT elements due to invalid
+ *                      permissions.
  *       404:
- *         description: Not Found, Failed to PATCH artifacts due to artifact not
- *                      existing.
+ *         description: Not Found, Failed to PUT elements because branch,
+ *                      project or org did not exist.
+ *       412:
+ *         description: Precondition Failed, Failed to PUT elements due to
+ *                      elements changing since their provided revisions.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
- *         description: Internal Server Error, Failed to PATCH artifacts due to
+ *         description: Internal Server Error, Failed to PUT elements due to a
+ *                      server side issue.
+ *   patch:
+ *     tags:
+ *       - elements
+ *     description: Updates multiple elements from the data provided in the
+ *                  request body. Elements that are currently archived must
+ *                  first be unarchived before making any other updates. The
+ *                  following fields can be updated [name, custom, archived,
+ *                  parent, type, documentation]. NOTE, the id is required in
+ *                  the request body, but CANNOT be updated. Requesting user
+ *                  must have write permissions on the project to update
+ *                  elements. The updates can also be provided as a CSV or
+ *                  xlsx spreadsheet, where each row is an element and each
+ *                  column is a field, such as name or custom.priority. Each
+ *                  row is validated separately; an object is returned
+ *                  containing the updated elements and the row number, ID and
+ *                  error message of each row which failed.
+ *     produces:
+ *       - application/json
+ *     consumes:
+ *       - application/json
+ *       - text/csv
+ *       - application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch whose elements are to be updated.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - in: body
+ *         name: elements
+ *         description: An array of objects containing updates to multiple
+ *                      elements.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: The current ID of the element, cannot be
+ *                              updated.
+ *               _rev:
+ *                 type: string
+ *                 description: The revision of the element, from the
+ *                              ETag header or the field _rev of a
+ *                              previous response. The request fails if
+ *                              the element has changed since.
+ *               name:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *               sourceNamespace:
+ *                 type: object
+ *                 description: An optional field to specify the namespace of
+ *                              the source element. The source's project must
+ *                              be in the same organization or the default org.
+ *                 properties:
+ *                   org:
+ *                     type: string
+ *                   project:
+ *                     type: string
+ *                   branch:
+ *                     type: string
+ *               target:
+ *                 type: string
+ *               targetNamespace:
+ *                 type: object
+ *                 description: An optional field to specify the namespace of
+ *                              the target element. The target's project must
+ *                              be in the same organization or the default org.
+ *                 properties:
+ *                   org:
+ *                     type: string
+ *                   project:
+ *                     type: string
+ *                   branch:
+ *                     type: string
+ *               documentation:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               custom:
+ *                 type: object
+ *                 description: NOTE when updating the custom data, the object
+ *                              is completely replaced.
+ *               archived:
+ *                 type: boolean
+ *               artifact:
+ *                 type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch, artifact]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to PATCH elements, returns element public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to PATCH elements due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to PATCH element due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to PATCH elements due to not having
+ *                      permissions.
+ *       412:
+ *         description: Precondition Failed, Failed to PATCH elements due to
+ *                      elements changing since their provided revisions.
+ *                      Returns the message and the conflicts as JSON.
+ *       500:
+ *         description: Internal Server Error, Failed to PATCH elements due to
  *                      server side issue.
  *   delete:
  *     tags:
- *       -  artifacts
- *     description: Deletes multiple artifacts.
+ *       - elements
+ *     description: Deletes multiple elements and all elements in their
+ *                  subtrees.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch whose elements are to be deleted.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementIDs
+ *         description: An array of element IDs to delete. Can optionally be an
+ *                      array of objects containing id key/value pairs.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - name: ids
+ *         description: Comma separated list of IDs to delete. If both query
+ *                      parameter and body are provided, the query parameter
+ *                      will be prioritized over the body.
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to DELETE elements, return deleted
+ *                      elements' ids.
+ *       400:
+ *         description: Bad Request, Failed to DELETE elements due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to DELETE element due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to DELETE elements due to not having
+ *                      permissions.
+ *       500:
+ *         description: Internal Server Error, Failed to DELETE elements due to
+ *                      server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getElements'),
+  APIController.getElements,
+  Middleware.pluginPost('getElements'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('postElements'),
+  APIController.postElements,
+  Middleware.pluginPost('postElements'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.put(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('putElements'),
+  APIController.putElements,
+  Middleware.pluginPost('putElements'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('patchElements'),
+  APIController.patchElements,
+  Middleware.pluginPost('patchElements'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteElements'),
+  APIController.deleteElements,
+  Middleware.pluginPost('deleteElements'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/elements/{elementid}/history:
+ *   get:
+ *     tags:
+ *       - elements
+ *     description: Returns the revision history of an element, oldest first.
+ *                  Each revision contains the action performed, the user who
+ *                  performed it, the time it was performed and the fields which
+ *                  changed, with their values before and after the change.
+ *                  Requesting user must have read access on the project.
  *     produces:
  *       - application/json
  *     parameters:
@@ -4840,25 +5186,2698 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         in: path
  *         required: true
  *         type: string
- *       - name: branchid
- *         description: The ID of the branch containing the artifacts to be
- *                      deleted.
- *         in: path
- *         required: true
+ *       - name: branchid
+ *         description: The ID of the branch containing the element.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementid
+ *         description: The ID of the element whose history is returned.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of revisions to return. A limit of 0
+ *                      is equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of revisions to skip over. Used with limit
+ *                      to paginate the history.
+ *         in: query
+ *         type: number
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET element history, returns the
+ *                      revisions' public data.
+ *       400:
+ *         description: Bad Request, Failed to GET element history due to
+ *                      invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET element history due to not
+ *                      being logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET element history due to not
+ *                      having permissions.
+ *       404:
+ *         description: Not Found, Failed to GET element history due to no
+ *                      history existing for the element.
+ *       500:
+ *         description: Internal Server Error, Failed to GET element history due
+ *                      to server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid/history')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getElementHistory'),
+  APIController.getElementHistory,
+  Middleware.pluginPost('getElementHistory'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/elements/{elementid}/lock:
+ *   post:
+ *     tags:
+ *       - elements
+ *     description: Locks an element, and optionally its subtree, to check it
+ *                  out for editing. While the element is locked, only the user
+ *                  who holds the lock can update or delete it. The lock
+ *                  expires after a timeout, and locking the element again
+ *                  extends the lock. Elements locked by other users cannot be
+ *                  locked. Requesting user must have write access on the
+ *                  project.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the element.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementid
+ *         description: The ID of the element to lock.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: subtree
+ *         description: If true, the subtree of the element is locked as well.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: timeout
+ *         description: The number of minutes until the lock expires. Defaults
+ *                      to the timeout in the config, or 60 minutes.
+ *         in: query
+ *         type: number
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact, lockedBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name).
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to lock the element, returns the locked
+ *                      elements' public data.
+ *       400:
+ *         description: Bad Request, Failed to lock the element due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to lock the element due to not
+ *                      being logged in.
+ *       403:
+ *         description: Forbidden, Failed to lock the element due to not having
+ *                      permissions, or the element being locked by another
+ *                      user.
+ *       404:
+ *         description: Not Found, Failed to lock the element due to the
+ *                      element not existing.
+ *       500:
+ *         description: Internal Server Error, Failed to lock the element due to
+ *                      server side issue.
+ *   delete:
+ *     tags:
+ *       - elements
+ *     description: Unlocks an element, and optionally its subtree. Users can
+ *                  release their own locks, and project admins can break the
+ *                  locks of other users. Requesting user must have write
+ *                  access on the project.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the element.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementid
+ *         description: The ID of the element to unlock.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: subtree
+ *         description: If true, the subtree of the element is unlocked as well.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact, lockedBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name).
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to unlock the element, returns the
+ *                      unlocked elements' public data.
+ *       400:
+ *         description: Bad Request, Failed to unlock the element due to
+ *                      invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to unlock the element due to not
+ *                      being logged in.
+ *       403:
+ *         description: Forbidden, Failed to unlock the element due to not
+ *                      having permissions to break the lock of another user.
+ *       404:
+ *         description: Not Found, Failed to unlock the element due to the
+ *                      element not existing.
+ *       500:
+ *         description: Internal Server Error, Failed to unlock the element due
+ *                      to server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid/lock')
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('postElementLock'),
+  APIController.postElementLock,
+  Middleware.pluginPost('postElementLock'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteElementLock'),
+  APIController.deleteElementLock,
+  Middleware.pluginPost('deleteElementLock'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/elements/{elementid}:
+ *   get:
+ *     tags:
+ *       - elements
+ *     description: Returns an elements public data on a specified branch.
+ *                  Requesting user must have read access on the project to find
+ *                  elements.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the searched element.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementid
+ *         description: The ID of the element to find.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through.
+ *         in: query
+ *         type: boolean
+ *       - name: subtree
+ *         description: If true, returns all elements in the search elements
+ *                      subtree. If true, returns an array of elements rather
+ *                      than a single object.
+ *         in: query
+ *         type: boolean
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch, artifact]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: rootpath
+ *         description: An option to specify finding the parent, grandparent, etc
+ *                      of the query element all the way up to the root element.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: asOf
+ *         description: Returns the state of the elements at a specified point in
+ *                      time, as recorded in the element history. Accepts a date
+ *                      string or a timestamp in milliseconds. Cannot be used
+ *                      with populate, subtree, depth, rootpath, fields or sort.
+ *         in: query
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET element, returns element public
+ *                      data.
+ *         headers:
+ *           ETag:
+ *             type: string
+ *             description: The revision of the element.
+ *       400:
+ *         description: Bad Request, Failed to GET element due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET element due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET element due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET element due to element not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET element due to
+ *                      server side issue.
+ *   post:
+ *     tags:
+ *       - elements
+ *     description: Creates a new element from given data in the request body.
+ *                  Requesting user must have at least write access on the
+ *                  project to create an element.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the new element.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementid
+ *         description: The ID of the element to create.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: body
+ *         description: The object containing the new element data.
+ *         in: body
+ *         required: false
+ *         schema:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               description: The ID of the element. If provided, it must
+ *                      match the element ID provided in the path.
+ *             name:
+ *               type: string
+ *             parent:
+ *               type: string
+ *               default: 'model'
+ *               description: The ID of the parent of the new element.
+ *             source:
+ *               type: string
+ *               description: An optional field that stores the ID of a source
+ *                            element. If provided, target is required.
+ *             sourceNamespace:
+ *               type: object
+ *               description: An optional field to specify the namespace of
+ *                            the source element. The source's project must
+ *                            be in the same organization or the default org.
+ *               properties:
+ *                 org:
+ *                   type: string
+ *                 project:
+ *                   type: string
+ *                 branch:
+ *                   type: string
+ *             target:
+ *               type: string
+ *               description: An optional field that stores the ID of a target
+ *                            element. If provided, source is required.
+ *             targetNamespace:
+ *               type: object
+ *               description: An optional field to specify the namespace of
+ *                            the target element. The target's project must
+ *                            be in the same organization or the default org.
+ *               properties:
+ *                 org:
+ *                   type: string
+ *                 project:
+ *                   type: string
+ *                 branch:
+ *                   type: string
+ *             documentation:
+ *               type: string
+ *               default: ''
+ *               description: The documentation for the element.
+ *             type:
+ *               type: string
+ *               default: ''
+ *             custom:
+ *               type: object
+ *             artifact:
+ *               type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch, artifact]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to POST element, returns element public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to POST element due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to POST element due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to POST element due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to POST element due to branch, project
+ *                      or org not existing.
+ *       500:
+ *         description: Internal Server Error, Failed to POST element due to
+ *                      server side issue.
+ *   put:
+ *     tags:
+ *       - elements
+ *     description: Creates or replaces an element from given data in the
+ *                  request body. If an element with the same ID already exists,
+ *                  it will be replaced. NOTE this route is reserved for system
+ *                  admins ONLY.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the element.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementid
+ *         description: The ID of the element to create/replace.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: body
+ *         description: The object containing the element data.
+ *         in: body
+ *         required: false
+ *         schema:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               description: The ID of the element. If provided, it must
+ *                      match the element ID provided in the path.
+ *             name:
+ *               type: string
+ *             parent:
+ *               type: string
+ *               default: 'model'
+ *               description: The ID of the parent element.
+ *             source:
+ *               type: string
+ *               description: An optional field that stores the ID of a source
+ *                            element. If provided, target is required.
+ *             sourceNamespace:
+ *               type: object
+ *               description: An optional field to specify the namespace of
+ *                            the source element. The source's project must
+ *                            be in the same organization or the default org.
+ *               properties:
+ *                 org:
+ *                   type: string
+ *                 project:
+ *                   type: string
+ *                 branch:
+ *                   type: string
+ *             target:
+ *               type: string
+ *               description: An optional field that stores the ID of a target
+ *                            element. If provided, source is required.
+ *             targetNamespace:
+ *               type: object
+ *               description: An optional field to specify the namespace of
+ *                            the target element. The target's project must
+ *                            be in the same organization or the default org.
+ *               properties:
+ *                 org:
+ *                   type: string
+ *                 project:
+ *                   type: string
+ *                 branch:
+ *                   type: string
+ *             documentation:
+ *               type: string
+ *               default: ''
+ *               description: The documentation for the element.
+ *             type:
+ *               type: string
+ *               default: ''
+ *             custom:
+ *               type: object
+ *             artifact:
+ *               type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch, artifact]
+ *
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the element, from the ETag header
+ *                      of a previous response. The request fails if the element
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to PUT element, returns element public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to PUT element due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to PUT element due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to PUT element due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to PUT element due to branch, project
+ *                      or org not existing.
+ *       412:
+ *         description: Precondition Failed, Failed to PUT element due to the
+ *                      element changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
+ *       500:
+ *         description: Internal Server Error, Failed to PUT element due to
+ *                      server side issue.
+ *   patch:
+ *     tags:
+ *       - elements
+ *     description: Updates an existing element. The following fields can be
+ *                  updated [name, custom, archived, parent, documentation,
+ *                  type]. Elements that are currently archived must first be
+ *                  unarchived before making any other updates. Requesting user
+ *                  must have at least write access on the project to update an
+ *                  element.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the element to be
+ *                      updated.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementid
+ *         description: The ID of the element to update.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: update
+ *         description: The object containing the updated element data.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             parent:
+ *               type: string
+ *             source:
+ *               type: string
+ *             sourceNamespace:
+ *               type: object
+ *               description: An optional field to specify the namespace of
+ *                            the source element. The source's project must
+ *                            be in the same organization or the default org.
+ *               properties:
+ *                 org:
+ *                   type: string
+ *                 project:
+ *                   type: string
+ *                 branch:
+ *                   type: string
+ *             target:
+ *               type: string
+ *             targetNamespace:
+ *               type: object
+ *               description: An optional field to specify the namespace of
+ *                            the target element. The target's project must
+ *                            be in the same organization or the default org.
+ *               properties:
+ *                 org:
+ *                   type: string
+ *                 project:
+ *                   type: string
+ *                 branch:
+ *                   type: string
+ *             documentation:
+ *               type: string
+ *             type:
+ *               type: string
+ *             custom:
+ *               type: object
+ *               description: NOTE when updating the custom data, the object
+ *                            is completely replaced.
+ *             archived:
+ *               type: boolean
+ *             artifact:
+ *               type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      parent, source, target, project, branch, sourceOf,
+ *                      targetOf, contains, artifact]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, documentation, lastModifiedBy, name,
+ *                      org, parent, project, source, target, type, updatedOn,
+ *                      branch, artifact]
+ *
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the element, from the ETag header
+ *                      of a previous response. The request fails if the element
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to PATCH element, returns element public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to PATCH element due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to PATCH element due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to PATCH element due to updating an
+ *                      immutable field.
+ *       404:
+ *         description: Not Found, Failed to PATCH element due to element not
+ *                      existing.
+ *       412:
+ *         description: Precondition Failed, Failed to PATCH element due to the
+ *                      element changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
+ *       500:
+ *         description: Internal Server Error, Failed to PATCH element due to
+ *                      server side issue.
+ *   delete:
+ *     tags:
+ *       -  elements
+ *     description: Deletes the specified element and all elements in the
+ *                  specified element's subtree.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the element to be
+ *                      deleted.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: elementid
+ *         description: The ID of the element to delete.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the element, from the ETag header
+ *                      of a previous response. The request fails if the element
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to DELETE element, returns deleted
+ *                      element's id.
+ *       400:
+ *         description: Bad Request, Failed to DELETE element due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to DELETE element due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to DELETE element due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to DELETE element due to element not
+ *                      existing.
+ *       412:
+ *         description: Precondition Failed, Failed to DELETE element due to the
+ *                      element changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
+ *       500:
+ *         description: Internal Server Error, Failed to DELETE element due to
+ *                      server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getElement'),
+  APIController.getElement,
+  Middleware.pluginPost('getElement'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('postElement'),
+  APIController.postElement,
+  Middleware.pluginPost('postElement'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.put(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPost('putElement'),
+  APIController.putElement,
+  Middleware.pluginPost('putElement'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('patchElement'),
+  APIController.patchElement,
+  Middleware.pluginPost('patchElement'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteElement'),
+  APIController.deleteElement,
+  Middleware.pluginPost('deleteElement'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/artifacts/list:
+ *   get:
+ *     tags:
+ *       - artifacts
+ *     description: Returns a list of artifact blob locations and filenames within a project.
+ *                  Requesting user must have read access on the project to list artifacts.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the artifact blob.
+ *         in: path
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET artifact, returns artifact list.
+ *       400:
+ *         description: Bad Request, Failed to GET artifact list due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET artifact list due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET artifact list due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET blob list due to artifact not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET blob list due to
+ *                      server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/artifacts/list')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('listBlobs'),
+  APIController.listBlobs,
+  Middleware.pluginPost('listBlobs'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/artifacts/blob:
+ *   get:
+ *     tags:
+ *       - artifacts
+ *     description: Returns an artifact Blob. Requesting user must have read access
+ *                  on the project to find an artifact.
+ *     produces:
+ *       - application/octet-stream
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the artifact blob.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: filename
+ *         in: query
+ *         description: Artifact filename.
+ *         required: true
+ *         type: string
+ *       - name: location
+ *         in: query
+ *         description: Artifact Blob storage location.
+ *         required: true
+ *         type: string
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through.
+ *         in: query
+ *         type: boolean
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET artifact, returns artifact blob.
+ *       400:
+ *         description: Bad Request, Failed to GET artifact due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET artifact due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET artifact due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET artifact due to artifact not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET artifact due to
+ *                      server side issue.
+ *
+ *   post:
+ *     tags:
+ *       - artifacts
+ *     description: Post an artifact Blob. Requesting user must have write
+ *                  access on the project to post an artifact.
+ *     produces:
+ *       - application/json
+ *     consumes: multipart/form-data
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The artifact ID.
+ *         in: URI
+ *         required: true
+ *         type: string
+ *       - name: file
+ *         in: formData
+ *         description: File blob to upload.
+ *         required: true
+ *         type: file
+ *       - name: filename
+ *         in: formData
+ *         description: Artifact filename.
+ *         required: true
+ *         type: string
+ *       - name: location
+ *         in: formData
+ *         description: Artifact Blob storage location.
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to POST artifact, returns artifact public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to POST artifact due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to POST artifact due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to POST artifact due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to POST artifact due to branch, project
+ *                      or org not existing
+ *       500:
+ *         description: Internal Server Error, Failed to POST artifact due to
+ *                      server side issue.
+ *
+ *   delete:
+ *     tags:
+ *       - artifacts
+ *     description: Deletes an artifact Blob. Requesting user must have read access
+ *                  on the project to delete an artifact.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The artifact ID.
+ *         in: URI
+ *         required: true
+ *         type: string
+ *       - name: filename
+ *         in: query
+ *         description: Artifact filename.
+ *         required: true
+ *         type: string
+ *       - name: location
+ *         in: query
+ *         description: Artifact Blob storage location.
+ *         required: true
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to DELETE artifact, returns artifact public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to DELETE artifact due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to DELETE artifact due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to DELETE artifact due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to DELETE artifact due to artifact not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to DELETE artifact due to
+ *                      server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getBlob'),
+  APIController.getBlob,
+  Middleware.pluginPost('getBlob'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('postBlob'),
+  APIController.postBlob,
+  Middleware.pluginPost('postBlob'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteBlob'),
+  APIController.deleteBlob,
+  Middleware.pluginPost('deleteBlob'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/artifacts:
+ *   get:
+ *     tags:
+ *       - artifacts
+ *     description: Returns an array of artifacts public data on a specified branch.
+ *                  Requesting user must have read access on the project to find
+ *                  artifacts.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the searched artifacts.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - in: body
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         description: An array of artifact IDs to search for. If both query
+ *                      parameter and body are not provided, all artifacts the
+ *                      user has access to (under the specified branch) are
+ *                      found.
+ *       - name: ids
+ *         description: Comma separated list of IDs to search for. If both query
+ *                      parameter and body are not provided, all artifacts the
+ *                      user has access to (under the specified branch) are
+ *                      found.
+ *         in: query
+ *         type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      project, branch, referencedBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through. Overridden by the archived search option
+ *         in: query
+ *         type: boolean
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, lastModifiedBy, description, org,
+ *                      project, updatedOn, branch, filename, location, strategy,
+ *                      size]
+ *         in: query
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of objects to return. A limit of 0 is
+ *                      equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of objects to skip returning. For example,
+ *                      if 10 objects are found and skip is 5, the first five
+ *                      objects will NOT be returned. NOTE, skip cannot be a
+ *                      negative number.
+ *         in: query
+ *         type: number
+ *       - name: after
+ *         description: An opaque cursor returned in the X-Next-Cursor and
+ *                      Link headers of a previous request. Only the objects
+ *                      which follow the cursor in the sort order are returned.
+ *                      The sort option must match the request which returned
+ *                      the cursor. When a limit is provided and a full page is
+ *                      returned, the cursor of the next page is returned in
+ *                      the X-Next-Cursor header, and a Link header with
+ *                      rel="next" contains the URL of the next page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of objects which match the
+ *                      query, ignoring limit, skip and after, is returned in
+ *                      the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: sort
+ *         description: Provide a particular field to sort the results by.
+ *                      You may also add a negative sign in front of the field
+ *                      to indicate sorting in reverse order.
+ *         in: query
+ *         type: string
+ *       - name: format
+ *         description: The desired format of the response. If jmi1, the
+ *                      artifacts are returned in an array of artifact objects. If
+ *                      jmi2, an object is returned where keys are the artifact
+ *                      ids, and values are the artifact object.
+ *         in: query
+ *         type: string
+ *         default: jmi1
+ *         enum: [jmi1, jmi2]
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: description
+ *         description: Search for artifacts with a specific description.
+ *         in: query
+ *         type: string
+ *       - name: createdBy
+ *         description: Search for artifacts created by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: lastModifiedBy
+ *         description: Search for artifacts last modified by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: archived
+ *         description: Search only for archived artifacts. If false, only returns
+ *                      unarchived artifacts. Overrides the includeArchived option.
+ *         in: query
+ *         type: boolean
+ *       - name: archivedBy
+ *         description: Search for artifacts archived by a specific user.
+ *         in: query
+ *         type: string
+ *       - name: custom
+ *         description: Search for a specific key/value pair in the custom data.
+ *                      To find a specific key, separate the keys using dot
+ *                      notation. For example, custom.hello
+ *         in: query
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET artifacts, returns artifact public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to GET artifacts due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET artifacts due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET artifacts due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET artifacts due to artifact not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET artifacts due to
+ *                      server side issue.
+ *
+ *   post:
+ *     tags:
+ *       - artifacts
+ *     description: Creates multiple artifacts from given data in request body.
+ *                  Requesting user must have at least write access on the
+ *                  project to create an artifact.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the new artifacts.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: body
+ *         description: An array of objects containing new artifact data.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - id
+ *               - location
+ *               - filename
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: The ID of the artifact.
+ *               description:
+ *                 type: string
+ *               filename:
+ *                 type: string
+ *                 description: Blob file name associated with this artifact.
+ *               location:
+ *                 type: string
+ *                 description: Blob storage location.
+ *               custom:
+ *                 type: object
+ *               size:
+ *                 type: number
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      project, branch, referencedBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, lastModifiedBy, description, org,
+ *                      project, updatedOn, branch, filename, location, strategy,
+ *                      size]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to POST artifacts, returns artifact public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to POST artifacts due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to POST artifacts due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to POST artifacts due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to POST artifacts due to branch, project
+ *                      or org not existing.
+ *       500:
+ *         description: Internal Server Error, Failed to POST artifacts due to
+ *                      server side issue.
+ *   patch:
+ *     tags:
+ *       - artifacts
+ *     description: Updates multiple artifacts. Artifacts that are currently
+ *                  archived must first be unarchived before making any other
+ *                  updates. Requesting user must have at least write access
+ *                  on the project to update an artifact.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the artifacts to be
+ *                      updated.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - in: body
+ *         name: artifacts
+ *         description: An array of objects containing updates to multiple
+ *                      artifacts.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: The current ID of the artifact, cannot be updated.
+ *               description:
+ *                 type: string
+ *                 description: Description of Artifact.
+ *               filename:
+ *                 type: string
+ *                 description: Filename of Artifact.
+ *               location:
+ *                 type: string
+ *                 description: Storage location of Artifact.
+ *               custom:
+ *                 type: object
+ *                 description: NOTE when updating the custom data, the object
+ *                              is completely replaced.
+ *               size:
+ *                 type: number
+ *               archived:
+ *                 type: boolean
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      project, branch, referencedBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, lastModifiedBy, description, org,
+ *                      project, updatedOn, branch, filename, location, strategy,
+ *                      size]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to PATCH artifacts, returns artifact public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to PATCH artifacts due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to PATCH artifacts due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to PATCH artifacts due to updating an
+ *                      immutable field.
+ *       404:
+ *         description: Not Found, Failed to PATCH artifacts due to artifact not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to PATCH artifacts due to
+ *                      server side issue.
+ *   delete:
+ *     tags:
+ *       -  artifacts
+ *     description: Deletes multiple artifacts.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the artifacts to be
+ *                      deleted.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactIDs
+ *         description: An array of artifact IDs to delete. Can optionally be an
+ *                      array of objects containing id key/value pairs.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - name: ids
+ *         description: Comma separated list of artifact IDs to delete.
+ *                      If both query parameter and body are provided, the
+ *                      query parameter will be prioritized over the body.
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: deleteBlob
+ *         description: If true, deletes the associated blob this artifact
+ *                      document is pointing to based on location and filename.
+ *                      This only applies to blobs that no longer have documents
+ *                      that reference them.
+ *         in: query
+ *         type: boolean
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to DELETE artifacts, returns deleted
+ *                      artifact's id.
+ *       400:
+ *         description: Bad Request, Failed to DELETE artifacts due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to DELETE artifacts due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to DELETE artifacts due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to DELETE artifacts due to artifacts not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to DELETE artifacts due to
+ *                      server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getArtifacts'),
+  APIController.getArtifacts,
+  Middleware.pluginPost('getArtifacts'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('postArtifacts'),
+  APIController.postArtifacts,
+  Middleware.pluginPost('postArtifacts'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('patchArtifacts'),
+  APIController.patchArtifacts,
+  Middleware.pluginPost('patchArtifacts'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteArtifacts'),
+  APIController.deleteArtifacts,
+  Middleware.pluginPost('deleteArtifacts'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/artifacts/{artifactid}:
+ *   get:
+ *     tags:
+ *       - artifacts
+ *     description: Returns an artifact public data on a specified branch.
+ *                  Requesting user must have read access on the project to find
+ *                  an artifact.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the searched artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The artifact ID.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      project, branch, referencedBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through.
+ *         in: query
+ *         type: boolean
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, lastModifiedBy, description, org, project,
+ *                      updatedOn, branch, filename, location, strategy, size]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET artifact, returns artifact public
+ *                      data.
+ *         headers:
+ *           ETag:
+ *             type: string
+ *             description: The revision of the artifact.
+ *       400:
+ *         description: Bad Request, Failed to GET artifact due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET artifact due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET artifact due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET artifact due to artifact not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET artifact due to
+ *                      server side issue.
+ *
+ *   post:
+ *     tags:
+ *       - artifacts
+ *     description: Creates a new artifact from given data in form data body.
+ *                  Requesting user must have at least write access on the
+ *                  project to create an artifact.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the new artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The ID of the artifact to create.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: body
+ *         description: The object containing the new artifact data.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               description: The ID of the artifact. If provided, it must
+ *                      match the artifact ID provided in the path.
+ *             description:
+ *               type: string
+ *             filename:
+ *               type: string
+ *               description: Blob file name associated with this artifact.
+ *             location:
+ *               type: string
+ *               description: Blob storage location.
+ *             custom:
+ *               type: object
+ *             size:
+ *               type: number
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      project, branch, referencedBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, lastModifiedBy, description, org,
+ *                      project, updatedOn, branch, filename, location, strategy,
+ *                      size]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to POST artifact, returns artifact public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to POST artifact due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to POST artifact due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to POST artifact due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to POST artifact due to branch, project
+ *                      or org not existing.
+ *       500:
+ *         description: Internal Server Error, Failed to POST artifact due to
+ *                      server side issue.
+ *   patch:
+ *     tags:
+ *       - artifacts
+ *     description: Updates an existing artifact. Artifacts that are currently
+ *                  archived must first be unarchived before making any other
+ *                  updates. Requesting user must have at least write access
+ *                  on the project to update an artifact.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the artifact to be
+ *                      updated.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The ID of the artifact to update.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: update
+ *         description: The object containing the updated artifact data.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             description:
+ *               type: string
+ *               description: Description of Artifact.
+ *             filename:
+ *               type: string
+ *               description: Filename of Artifact.
+ *             location:
+ *               type: string
+ *               description: Storage location of Artifact.
+ *             custom:
+ *               type: object
+ *               description: NOTE when updating the custom data, the object
+ *                            is completely replaced.
+ *             size:
+ *               type: number
+ *             archived:
+ *               type: boolean
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy,
+ *                      project, branch, referencedBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, lastModifiedBy, description, org,
+ *                      project, updatedOn, branch, filename, location, strategy,
+ *                      size]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the artifact, from the ETag header
+ *                      of a previous response. The request fails if the artifact
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to PATCH artifact, returns artifact public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to PATCH artifact due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to PATCH artifact due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to PATCH artifact due to updating an
+ *                      immutable field.
+ *       404:
+ *         description: Not Found, Failed to PATCH artifact due to artifact not
+ *                      existing.
+ *       412:
+ *         description: Precondition Failed, Failed to PATCH artifact due to the
+ *                      artifact changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
+ *       500:
+ *         description: Internal Server Error, Failed to PATCH artifact due to
+ *                      server side issue.
+ *   delete:
+ *     tags:
+ *       -  artifacts
+ *     description: Deletes the specified artifact.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the artifact to be
+ *                      deleted.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The ID of the artifact to delete.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: deleteBlob
+ *         description: If true, deletes the associated blob this artifact
+ *                      document is pointing to based on location and filename.
+ *                      This only applies to blobs that no longer have documents
+ *                      that reference them.
+ *         in: query
+ *         type: boolean
+ *       - name: If-Match
+ *         description: The revisions of the artifact, from the ETag header
+ *                      of a previous response. The request fails if the artifact
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to DELETE artifact, returns deleted
+ *                      artifact's id.
+ *       400:
+ *         description: Bad Request, Failed to DELETE artifact due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to DELETE artifact due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to DELETE artifact due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to DELETE artifact due to artifact not
+ *                      existing.
+ *       412:
+ *         description: Precondition Failed, Failed to DELETE artifact due to the
+ *                      artifact changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
+ *       500:
+ *         description: Internal Server Error, Failed to DELETE artifact due to
+ *                      server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifactid')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getArtifact'),
+  APIController.getArtifact,
+  Middleware.pluginPost('getArtifact'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('postArtifact'),
+  APIController.postArtifact,
+  Middleware.pluginPost('postArtifact'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('patchArtifact'),
+  APIController.patchArtifact,
+  Middleware.pluginPost('patchArtifact'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteArtifact'),
+  APIController.deleteArtifact,
+  Middleware.pluginPost('deleteArtifact'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/artifacts/{artifactid}/blob:
+ *   get:
+ *     tags:
+ *       - artifacts
+ *     description: Returns an artifact Blob via artifact ID. Requesting user must have
+ *                  read access on the project to find an artifact.
+ *     produces:
+ *       - application/octet-stream
+ *     parameters:
+ *       - name: orgid
+ *         description: The ID of the organization containing the specified
+ *                      project.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: projectid
+ *         description: The ID of the project containing the specified branch.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: branchid
+ *         description: The ID of the branch containing the searched artifact.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: artifactid
+ *         description: The artifact ID.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through.
+ *         in: query
+ *         type: boolean
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET artifact, returns artifact blob.
+ *       400:
+ *         description: Bad Request, Failed to GET artifact due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET artifact due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET artifact due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET artifact due to artifact not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET artifact due to
+ *                      server side issue.
+ */
+api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifactid/blob')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getBlobById'),
+  APIController.getBlobById,
+  Middleware.pluginPost('getBlobById'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     tags:
+ *       - users
+ *     description: Returns an array of users. Optionally, an array of usernames
+ *                  can be provided in the request body or a comma separated
+ *                  list in the request parameters to find multiple, specific
+ *                  users.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         description: An array of usernames to search for. If both query
+ *                      parameter and body are not provided, all users are
+ *                      found.
+ *       - name: usernames
+ *         description: Comma separated list of usernames to search for. If both
+ *                      the query parameter and body are not provided, all
+ *                      users are found.
+ *         in: query
+ *         type: string
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived users will be also be searched
+ *                      through. Overridden by the archived search option
+ *         in: query
+ *         type: boolean
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [admin, archived, archivedBy, archivedOn,
+ *                      createdBy, createdOn, custom, email, fname,
+ *                      lastModifiedBy, lname, username, preferredName,
+ *                      updatedOn]
+ *         in: query
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of objects to return. A limit of 0 is
+ *                      equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of objects to skip returning. For example,
+ *                      if 10 objects are found and skip is 5, the first five
+ *                      objects will NOT be returned. NOTE, skip cannot be a
+ *                      negative number.
+ *         in: query
+ *         type: number
+ *       - name: after
+ *         description: An opaque cursor returned in the X-Next-Cursor and
+ *                      Link headers of a previous request. Only the objects
+ *                      which follow the cursor in the sort order are returned.
+ *                      The sort option must match the request which returned
+ *                      the cursor. When a limit is provided and a full page is
+ *                      returned, the cursor of the next page is returned in
+ *                      the X-Next-Cursor header, and a Link header with
+ *                      rel="next" contains the URL of the next page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of objects which match the
+ *                      query, ignoring limit, skip and after, is returned in
+ *                      the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: sort
+ *         description: Provide a particular field to sort the results by.
+ *                      You may also add a negative sign in front of the field
+ *                      to indicate sorting in reverse order.
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *       - name: fname
+ *         description: A search parameter that will attempt to find matches with
+ *                      the user's first name, or fname field.
+ *         in: query
+ *         type: string
+ *       - name: lname
+ *         description: A search parameter that will attempt to find matches with
+ *                      the user's last name, or lname field.
+ *         in: query
+ *         type: string
+ *       - name: preferredName
+ *         description: A search parameter that will attempt to find matches with
+ *                      the user's preferredName field.
+ *         in: query
+ *         type: string
+ *       - name: email
+ *         description: A search parameter that will attempt to find matches with
+ *                      the user's email field.
+ *         in: query
+ *         type: string
+ *       - name: createdBy
+ *         description: A search parameter that will attempt to find users that
+ *                      were created by a specific person.
+ *         in: query
+ *         type: string
+ *       - name: lastModifiedBy
+ *         description: A search parameter that will attempt to find users that
+ *                      were last modified by a specific person.
+ *         in: query
+ *         type: string
+ *       - name: archived
+ *         description: Search only for archived users.  If false, only returns
+ *                      unarchived users.  Overrides the includeArchived option.
+ *         in: query
+ *         type: boolean
+ *       - name: archivedBy
+ *         description: A search parameter that will attempt to find users that
+ *                      were archived by a specific person.
+ *         in: query
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET users, returns user public data.
+ *       400:
+ *         description: Bad Request, Failed to GET users due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET users due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET users due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET users due to users not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET users due to
+ *                      server side issue.
+ *   post:
+ *     tags:
+ *       - users
+ *     description: Creates multiple users from the data provided in the request
+ *                  body. Returns the created user's public data. NOTE This
+ *                  endpoint is reserved for system-wide admins ONLY.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: users
+ *         description: An array of objects containing new user data.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Required unless running LDAP auth or some custom
+ *                              authentication strategy which does not store
+ *                              passwords.
+ *               fname:
+ *                 type: string
+ *                 description: User's first name.
+ *               lname:
+ *                 type: string
+ *                 description: User's last name.
+ *               preferredName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *                 default: 'local'
+ *               admin:
+ *                 type: boolean
+ *                 description: If true, user is system-wide admin.
+ *               custom:
+ *                 type: object
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [admin, archived, archivedBy, archivedOn,
+ *                      createdBy, createdOn, custom, email, fname,
+ *                      lastModifiedBy, lname, username, preferredName,
+ *                      updatedOn]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to POST users returns public users data.
+ *       400:
+ *         description: Bad Request, Failed to POST users due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to POST users due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to POST users due to not having
+ *                      permissions.
+ *       500:
+ *         description: Internal Server Error, Failed to POST users due to
+ *                      server side issue.
+ *   put:
+ *     tags:
+ *       - users
+ *     description: Creates or replaces multiple users from the data provided in
+ *                  the request body. Returns the user's public data. NOTE This
+ *                  endpoint is reserved for system-wide admins ONLY.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: users
+ *         description: An array of objects containing user data.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Required unless running LDAP auth or some custom
+ *                              authentication strategy which does not store
+ *                              passwords.
+ *               fname:
+ *                 type: string
+ *                 description: User's first name.
+ *               lname:
+ *                 type: string
+ *                 description: User's last name.
+ *               preferredName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *                 default: 'local'
+ *               admin:
+ *                 type: boolean
+ *                 description: If true, user is system-wide admin.
+ *               custom:
+ *                 type: object
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [admin, archived, archivedBy, archivedOn,
+ *                      createdBy, createdOn, custom, email, fname,
+ *                      lastModifiedBy, lname, username, preferredName,
+ *                      updatedOn]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to PUT users returns public users data.
+ *       400:
+ *         description: Bad Request, Failed to PUT users due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to PUT users due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to PUT users due to not having
+ *                      permissions.
+ *       500:
+ *         description: Internal Server Error, Failed to PUT users due to
+ *                      server side issue.
+ *   patch:
+ *     tags:
+ *       - users
+ *     description: Updates multiple users from the data provided in the request
+ *                  body. Users that are currently archived must first be
+ *                  unarchived before making any other updates. The following
+ *                  fields can be updated [custom, archived, fname, lname,
+ *                  preferredName, email, admin]. NOTE, the username is required
+ *                  in the request body, but CANNOT be updated. This endpoint is
+ *                  reserved for admins only, unless user is updating self.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: users
+ *         description: An array of objects containing updates to multiple
+ *                      users.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: The current username of the user, cannot be
+ *                              updated.
+ *               fname:
+ *                 type: string
+ *               lname:
+ *                 type: string
+ *               preferredName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               custom:
+ *                 type: object
+ *                 description: NOTE when updating the custom data, the object
+ *                              is completely replaced.
+ *               archived:
+ *                 type: boolean
+ *               admin:
+ *                 type: boolean
+ *                 description: NOTE only current system-wide admins can update
+ *                              this field.
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [admin, archived, archivedBy, archivedOn,
+ *                      createdBy, createdOn, custom, email, fname,
+ *                      lastModifiedBy, lname, username, preferredName,
+ *                      updatedOn]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to PATCH users, returns user's public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to PATCH users due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to PATCH users due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to PATCH users due to not having
+ *                      permissions.
+ *       500:
+ *         description: Internal Server Error, Failed to PATCH users due to
+ *                      server side issue.
+ *   delete:
+ *     tags:
+ *       - users
+ *     description: Deletes multiple users. Removes them from any orgs or
+ *                  projects which they have permissions on. NOTE this endpoint
+ *                  is reserved for system-wide admins ONLY.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: usernames
+ *         description: An array of usernames to delete. Can optionally be an
+ *                      array of objects containing id key/value pairs.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - name: ids
+ *         description: Comma separated list of usernames to delete.
+ *                      If both query parameter and body are provided, the
+ *                      query parameter will be prioritized over the body.
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to DELETE users, return deleted user's
+ *                      usernames.
+ *       400:
+ *         description: Bad Request, Failed to DELETE users due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to DELETE users due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to DELETE users due to not having
+ *                      permissions.
+ *       500:
+ *         description: Internal Server Error, Failed to DELETE users due to
+ *                      server side issue.
+ */
+api.route('/users')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('getUsers'),
+  APIController.getUsers,
+  Middleware.pluginPost('getUsers'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('postUsers'),
+  APIController.postUsers,
+  Middleware.pluginPost('postUsers'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+)
+.put(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('putUsers'),
+  APIController.putUsers,
+  Middleware.pluginPost('putUsers'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('patchUsers'),
+  APIController.patchUsers,
+  Middleware.pluginPost('patchUsers'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('deleteUsers'),
+  APIController.deleteUsers,
+  Middleware.pluginPost('deleteUsers'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/users/whoami:
+ *   get:
+ *     tags:
+ *       - users
+ *     description: Returns the currently logged in user's public information.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET current user information returns
+ *                      user public data.
+ *       401:
+ *         description: Unauthorized, Failed to GET user information due to not
+ *                      being logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET user information due to not
+ *                      having permissions.
+ *       404:
+ *         description: Not Found, Failed to GET current user information due to
+ *                      not finding user.
+ *       500:
+ *         description: Internal Server Error, Failed to GET user info due to
+ *                      server side issue.
+ */
+api.route('/users/whoami')
+.get(
+  AuthController.authenticate,
+  Middleware.logRoute,
+  Middleware.pluginPre('whoami'),
+  APIController.whoami,
+  Middleware.pluginPost('whoami'),
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/users/search:
+ *   get:
+ *     tags:
+ *       - users
+ *     description: Finds multiple users using text based search on the fname,
+ *                  lname, and preferredName fields. Allows for exact searches by
+ *                  quoting the desired string "exact search", or the ability to
+ *                  not include a word in a search by using a dash -not. Returns
+ *                  the users public data
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: q
+ *         description: The desired text to be searched for.
+ *         in: query
+ *         type: string
+ *       - name: includeArchived
+ *         description: Flag to include archived users in search results. Overridden
+ *                      by the archived search option
+ *         in: query
+ *         type: boolean
+ *         required: false
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
+ *         in: query
  *         type: string
- *       - name: artifactIDs
- *         description: An array of artifact IDs to delete. Can optionally be an
- *                      array of objects containing id key/value pairs.
- *         in: body
- *         required: true
- *         schema:
- *           type: array
- *           items:
- *             type: string
- *       - name: ids
- *         description: Comma separated list of artifact IDs to delete.
- *                      If both query parameter and body are provided, the
- *                      query parameter will be prioritized over the body.
+ *         required: false
+ *       - name: limit
+ *         description: The maximum number of objects to return. A limit of 0 is
+ *                      equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of objects to skip returning. For example,
+ *                      if 10 objects are found and skip is 5, the first five
+ *                      objects will NOT be returned. NOTE, skip cannot be a
+ *                      negative number.
+ *         in: query
+ *         type: number
+ *       - name: sort
+ *         description: Provide a particular field to sort the results by.
+ *                      You may also add a negative sign in front of the field
+ *                      to indicate sorting in reverse order.
  *         in: query
  *         type: string
  *       - name: minified
@@ -4868,71 +7887,30 @@ api.route('/orgs/:orgid/projects/:projectid/artifacts/blob')
  *         in: query
  *         type: boolean
  *         default: false
- *       - name: deleteBlob
- *         description: If true, deletes the associated blob this artifact
- *                      document is pointing to based on location and filename.
- *                      This only applies to blobs that no longer have documents
- *                      that reference them.
- *         in: query
- *         type: boolean
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE artifacts, returns deleted
- *                      artifact's id.
- *       400:
- *         description: Bad Request, Failed to DELETE artifacts due to invalid
+ *         description: OK, Succeeded to GET users, returns users public
  *                      data.
+ *       400:
+ *         description: Bad Request, Failed to GET users due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to DELETE artifacts due to not being
+ *         description: Unauthorized, Failed to GET users due to not being
  *                      logged in.
- *       403:
- *         description: Forbidden, Failed to DELETE artifacts due to not having
- *                      permissions.
  *       404:
- *         description: Not Found, Failed to DELETE artifacts due to artifacts not
- *                      existing.
+ *         description: Not Found, Failed to GET users
  *       500:
- *         description: Internal Server Error, Failed to DELETE artifacts due to
+ *         description: Internal Server Error, Failed to GET users due to
  *                      server side issue.
  */
-api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts')
+api.route('/users/search')
 .get(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('getArtifacts'),
-  APIController.getArtifacts,
-  Middleware.pluginPost('getArtifacts'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.post(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('postArtifacts'),
-  APIController.postArtifacts,
-  Middleware.pluginPost('postArtifacts'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.patch(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('patchArtifacts'),
-  APIController.patchArtifacts,
-  Middleware.pluginPost('patchArtifacts'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.delete(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.pluginPre('deleteArtifacts'),
-  APIController.deleteArtifacts,
-  Middleware.pluginPost('deleteArtifacts'),
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('searchUsers'),
+  APIController.searchUsers,
+  Middleware.pluginPost('searchUsers'),
   Middleware.logResponse,
   Middleware.respond
 );
@@ -4940,56 +7918,38 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts')
 
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/artifacts/{artifactid}:
+ * /api/users/{username}:
  *   get:
  *     tags:
- *       - artifacts
- *     description: Returns an artifact public data on a specified branch.
- *                  Requesting user must have read access on the project to find
- *                  an artifact.
+ *       - users
+ *     description: Finds and returns a users public data.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
- *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified branch.
- *         in: path
- *         required: true
- *         type: string
- *       - name: branchid
- *         description: The ID of the branch containing the searched artifact.
- *         in: path
+ *       - name: username
+ *         description: The username of the user to find.
  *         required: true
  *         type: string
- *       - name: artifactid
- *         description: The artifact ID.
  *         in: path
- *         required: true
- *         type: string
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, branch, referencedBy]
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
  *         in: query
  *         type: string
  *         required: false
- *       - name: includeArchived
+ *       - name: archived
  *         description: If true, archived objects will be also be searched
  *                      through.
  *         in: query
  *         type: boolean
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, description, org, project,
- *                      updatedOn, branch, filename, location, strategy, size]
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [admin, archived, archivedBy, archivedOn,
+ *                      createdBy, createdOn, custom, email, fname,
+ *                      lastModifiedBy, lname, username, preferredName,
+ *                      updatedOn]
  *         in: query
  *         type: string
  *       - name: minified
@@ -5001,91 +7961,161 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET artifact, returns artifact public
- *                      data.
+ *         description: OK, Succeeded to GET user, returns user's public data.
  *       400:
- *         description: Bad Request, Failed to GET artifact due to invalid data.
+ *         description: Bad Request, Failed to GET user due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to GET artifact due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to GET user due to not being logged
+ *                      in.
  *       403:
- *         description: Forbidden, Failed to GET artifact due to not having
+ *         description: Forbidden, Failed to GET user due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to GET artifact due to artifact not
- *                      existing.
+ *         description: Not Found, Failed to GET user due to user not existing.
  *       500:
- *         description: Internal Server Error, Failed to GET artifact due to
- *                      server side issue.
- *
+ *         description: Internal Server Error, Failed to GET user due to server
+ *                      side issue.
  *   post:
  *     tags:
- *       - artifacts
- *     description: Creates a new artifact from given data in form data body.
- *                  Requesting user must have at least write access on the
- *                  project to create an artifact.
+ *       - users
+ *     description: Create a new user from the given data in the request body.
+ *                  NOTE this endpoint is reserved for system-wide admins ONLY.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: username
+ *         description: The username of the user to create.
+ *         required: true
+ *         type: string
+ *         in: path
+ *       - name: user
+ *         description: The object containing the new user data.
+ *         in: body
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             username:
+ *               type: string
+ *               description: The username of the user to create. If provided,
+ *                            this must match the username provided in the path.
+ *             password:
+ *               type: string
+ *               description: The password of the user being created. This field
+ *                            is required unless LDAP authentication is used.
+ *             fname:
+ *               type: string
+ *             lname:
+ *               type: string
+ *             preferredName:
+ *               type: string
+ *             email:
+ *               type: string
+ *             provider:
+ *               type: string
+ *               default: 'local'
+ *             admin:
+ *               type: boolean
+ *             custom:
+ *               type: object
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [admin, archived, archivedBy, archivedOn,
+ *                      createdBy, createdOn, custom, email, fname,
+ *                      lastModifiedBy, lname, username, preferredName,
+ *                      updatedOn]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to POST user, return user's public data.
+ *       400:
+ *         description: Bad Request, Failed to POST user due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to POST user due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to POST user due to using username
+ *                      that already exists.
+ *       500:
+ *         description: Internal Server Error, Failed to POST user due to server
+ *                      side issue.
+ *   put:
+ *     tags:
+ *       - users
+ *     description: Creates or replaces a user from the given data in the
+ *                  request body. If a user with the username already exists,
+ *                  they are replaced. NOTE This endpoint is reserved for
+ *                  system-wide admins ONLY.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
- *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified branch.
- *         in: path
- *         required: true
- *         type: string
- *       - name: branchid
- *         description: The ID of the branch containing the new artifact.
- *         in: path
+ *       - name: username
+ *         description: The username of the user to create/replace.
  *         required: true
  *         type: string
- *       - name: artifactid
- *         description: The ID of the artifact to create.
  *         in: path
- *         required: true
- *         type: string
- *       - name: body
- *         description: The object containing the new artifact data.
+ *       - name: user
+ *         description: The object containing the user data.
  *         in: body
  *         required: true
  *         schema:
  *           type: object
  *           properties:
- *             id:
+ *             username:
  *               type: string
- *               description: The ID of the artifact. If provided, it must
- *                      match the artifact ID provided in the path.
- *             description:
+ *               description: The username of the user. If provided, this must
+ *                            match the username provided in the path.
+ *             password:
  *               type: string
- *             filename:
+ *               description: The password of the user. This field is required
+ *                            unless LDAP authentication is used or some custom
+ *                            authentication strategy that does not store
+ *                            passwords.
+ *             fname:
  *               type: string
- *               description: Blob file name associated with this artifact.
- *             location:
+ *             lname:
  *               type: string
- *               description: Blob storage location.
+ *             preferredName:
+ *               type: string
+ *             email:
+ *               type: string
+ *             provider:
+ *               type: string
+ *               default: 'local'
+ *             admin:
+ *               type: boolean
  *             custom:
  *               type: object
- *             size:
- *               type: number
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, branch, referencedBy]
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
  *         in: query
  *         type: string
  *         required: false
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, description, org,
- *                      project, updatedOn, branch, filename, location, strategy,
- *                      size]
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [admin, archived, archivedBy, archivedOn,
+ *                      createdBy, createdOn, custom, email, fname,
+ *                      lastModifiedBy, lname, username, preferredName,
+ *                      updatedOn]
  *         in: query
  *         type: string
  *       - name: minified
@@ -5097,93 +8127,73 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to POST artifact, returns artifact public
- *                      data.
+ *         description: OK, Succeeded to PUT user, return user's public data.
  *       400:
- *         description: Bad Request, Failed to POST artifact due to invalid data.
+ *         description: Bad Request, Failed to PUT user due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to POST artifact due to not being
+ *         description: Unauthorized, Failed to PUT user due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to POST artifact due to not having
- *                      permissions.
- *       404:
- *         description: Not Found, Failed to POST artifact due to branch, project
- *                      or org not existing.
+ *         description: Forbidden, Failed to PUT user due to an invalid request
+ *                      body.
  *       500:
- *         description: Internal Server Error, Failed to POST artifact due to
- *                      server side issue.
+ *         description: Internal Server Error, Failed to PUT user due to server
+ *                      side issue.
  *   patch:
  *     tags:
- *       - artifacts
- *     description: Updates an existing artifact. Artifacts that are currently
- *                  archived must first be unarchived before making any other
- *                  updates. Requesting user must have at least write access
- *                  on the project to update an artifact.
+ *       - users
+ *     description: Updates an existing user. The following fields can be
+ *                  updated [fname, lname, preferredName, email, custom,
+ *                  archived, admin]. Users that are currently archived must
+ *                  first be unarchived before making any other updates. NOTE
+ *                  this endpoint is reserved for system-wide admins only,
+ *                  unless a user is updating themselves.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
- *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified branch.
- *         in: path
- *         required: true
- *         type: string
- *       - name: branchid
- *         description: The ID of the branch containing the artifact to be
- *                      updated.
- *         in: path
+ *       - name: username
+ *         description: The username of the user to update.
  *         required: true
  *         type: string
- *       - name: artifactid
- *         description: The ID of the artifact to update.
  *         in: path
- *         required: true
- *         type: string
  *       - name: update
- *         description: The object containing the updated artifact data.
+ *         description: The object containing the updated user data.
  *         in: body
  *         required: true
  *         schema:
  *           type: object
  *           properties:
- *             description:
+ *             fname:
  *               type: string
- *               description: Description of Artifact.
- *             filename:
+ *             lname:
  *               type: string
- *               description: Filename of Artifact.
- *             location:
+ *             preferredName:
+ *               type: string
+ *             email:
  *               type: string
- *               description: Storage location of Artifact.
  *             custom:
  *               type: object
  *               description: NOTE when updating the custom data, the object
  *                            is completely replaced.
- *             size:
- *               type: number
  *             archived:
  *               type: boolean
+ *             admin:
+ *               type: boolean
+ *               description: NOTE only current system-wide admins can update
+ *                            this field.
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy,
- *                      project, branch, referencedBy]
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
  *         in: query
  *         type: string
- *         required: false
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
- *                      default the id field is returned. To specifically NOT
- *                      include a field, include a '-' in front of the field
- *                      (-name). [archived, archivedBy, archivedOn, createdBy,
- *                      createdOn, custom, lastModifiedBy, description, org,
- *                      project, updatedOn, branch, filename, location, strategy,
- *                      size]
+ *                      default the username field is returned. To specifically
+ *                      NOT include a field, include a '-' in front of the field
+ *                      (-name). [admin, archived, archivedBy, archivedOn,
+ *                      createdBy, createdOn, custom, email, fname,
+ *                      lastModifiedBy, lname, username, preferredName,
+ *                      updatedOn]
  *         in: query
  *         type: string
  *       - name: minified
@@ -5195,49 +8205,32 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PATCH artifact, returns artifact public
- *                      data.
+ *         description: OK, Succeeded to PATCH user, return user's public data.
  *       400:
- *         description: Bad Request, Failed to PATCH artifact due to invalid
- *                      data.
+ *         description: Bad Request, Failed to PATCH user due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to PATCH artifact due to not being
+ *         description: Unauthorized, Failed to PATCH user due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PATCH artifact due to updating an
+ *         description: Forbidden, Failed to PATCH user due updating an
  *                      immutable field.
  *       404:
- *         description: Not Found, Failed to PATCH artifact due to artifact not
+ *         description: Not Found, Failed ot PATCH user due to user not
  *                      existing.
  *       500:
- *         description: Internal Server Error, Failed to PATCH artifact due to
+ *         description: Internal Server Error, Failed to PATCH user due to
  *                      server side issue.
  *   delete:
  *     tags:
- *       -  artifacts
- *     description: Deletes the specified artifact.
+ *       - users
+ *     description: Deletes the specified user. Removes them from any orgs or
+ *                  projects which they have permissions on. NOTE this endpoint
+ *                  is reserved for system-wide admins ONLY.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
- *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified branch.
- *         in: path
- *         required: true
- *         type: string
- *       - name: branchid
- *         description: The ID of the branch containing the artifact to be
- *                      deleted.
- *         in: path
- *         required: true
- *         type: string
- *       - name: artifactid
- *         description: The ID of the artifact to delete.
+ *       - name: username
+ *         description: The username of the user to delete.
  *         in: path
  *         required: true
  *         type: string
@@ -5248,51 +8241,60 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts')
  *         in: query
  *         type: boolean
  *         default: false
- *       - name: deleteBlob
- *         description: If true, deletes the associated blob this artifact
- *                      document is pointing to based on location and filename.
- *                      This only applies to blobs that no longer have documents
- *                      that reference them.
- *         in: query
- *         type: boolean
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE artifact, returns deleted
- *                      artifact's id.
+ *         description: OK, Succeeded to DELETE user, returns deleted user's
+ *                      username.
  *       400:
- *         description: Bad Request, Failed to DELETE artifact due to invalid
- *                      data.
+ *         description: Bad Request, Failed to DELETE user due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to DELETE artifact due to not being
+ *         description: Unauthorized, Failed to DELETE user due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to DELETE artifact due to not having
+ *         description: Forbidden, Failed to DELETE user due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to DELETE artifact due to artifact not
+ *         description: Not Found, Failed to DELETE user due to user not
  *                      existing.
  *       500:
- *         description: Internal Server Error, Failed to DELETE artifact due to
- *                      server side issue.
+ *         description: Internal Server Error, Failed to DELETE user due to
+ *                      server side issues.
  */
-api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifactid')
+api.route('/users/:username')
 .get(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('getArtifact'),
-  APIController.getArtifact,
-  Middleware.pluginPost('getArtifact'),
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('getUser'),
+  APIController.getUser,
+  Middleware.pluginPost('getUser'),
   Middleware.logResponse,
   Middleware.respond
 )
 .post(
   AuthController.authenticate,
   Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.pluginPre('postArtifact'),
-  APIController.postArtifact,
-  Middleware.pluginPost('postArtifact'),
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('postUser'),
+  APIController.postUser,
+  Middleware.pluginPost('postUser'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+)
+.put(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('putUser'),
+  APIController.putUser,
+  Middleware.pluginPost('putUser'),
+  Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 )
@@ -5300,19 +8302,23 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifa
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.pluginPre('patchArtifact'),
-  APIController.patchArtifact,
-  Middleware.pluginPost('patchArtifact'),
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('patchUser'),
+  APIController.patchUser,
+  Middleware.pluginPost('patchUser'),
   Middleware.logResponse,
   Middleware.respond
 )
 .delete(
   AuthController.authenticate,
   Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.pluginPre('deleteArtifact'),
-  APIController.deleteArtifact,
-  Middleware.pluginPost('deleteArtifact'),
+  Middleware.disableUserAPI,
+  Middleware.pluginPre('deleteUser'),
+  APIController.deleteUser,
+  Middleware.pluginPost('deleteUser'),
+  Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 );
@@ -5320,67 +8326,71 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifa
 
 /**
  * @swagger
- * /api/orgs/{orgid}/projects/{projectid}/branches/{branchid}/artifacts/{artifactid}/blob:
- *   get:
+ * /api/users/{username}/password:
+ *   patch:
  *     tags:
- *       - artifacts
- *     description: Returns an artifact Blob via artifact ID. Requesting user must have
- *                  read access on the project to find an artifact.
+ *       - users
+ *     description: Updates an existing users password. Users can only update
+ *                  their own password.
  *     produces:
- *       - application/octet-stream
+ *       - application/json
  *     parameters:
- *       - name: orgid
- *         description: The ID of the organization containing the specified
- *                      project.
- *         in: path
- *         required: true
- *         type: string
- *       - name: projectid
- *         description: The ID of the project containing the specified branch.
- *         in: path
- *         required: true
- *         type: string
- *       - name: branchid
- *         description: The ID of the branch containing the searched artifact.
- *         in: path
+ *       - name: username
+ *         description: The username of the user to update.
  *         required: true
  *         type: string
- *       - name: artifactid
- *         description: The artifact ID.
  *         in: path
+ *       - in: body
+ *         description: The object containing the updated user data.
+ *         name: passwordInfo
  *         required: true
- *         type: string
- *       - name: includeArchived
- *         description: If true, archived objects will be also be searched
- *                      through.
+ *         schema:
+ *           type: object
+ *           required:
+ *             - oldPassword
+ *             - password
+ *             - confirmPassword
+ *           properties:
+ *             oldPassword:
+ *               type: string
+ *               description: The user's old password.
+ *             password:
+ *               type: string
+ *               description: The user's new password.
+ *             confirmPassword:
+ *               type: string
+ *               description: The users new password a second time, to confirm
+ *                            they match.
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
  *         in: query
  *         type: boolean
+ *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET artifact, returns artifact blob.
+ *         description: OK, Succeeded to PATCH user returns public user data.
  *       400:
- *         description: Bad Request, Failed to GET artifact due to invalid data.
+ *         description: Bad Request, Failed to PATCH user due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to GET artifact due to not being
+ *         description: Unauthorized, Failed to PATCH user due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to GET artifact due to not having
- *                      permissions.
- *       404:
- *         description: Not Found, Failed to GET artifact due to artifact not
- *                      existing.
+ *         description: Forbidden, Failed to PATCH user due updating an
+ *                      immutable field.
  *       500:
- *         description: Internal Server Error, Failed to GET artifact due to
- *                      server side issue.
+ *         description: Internal Server Error, Failed to PATCH user due to
+ *                      server side issues.
  */
-api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifactid/blob')
-.get(
+api.route('/users/:username/password')
+.patch(
   AuthController.authenticate,
-  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.pluginPre('getBlobById'),
-  APIController.getBlobById,
-  Middleware.pluginPost('getBlobById'),
+  Middleware.disableUserPatchPassword,
+  APIController.patchPassword,
+  Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 );
@@ -5388,68 +8398,33 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifa
 
 /**
  * @swagger
- * /api/users:
- *   get:
+ * /api/users/{username}/unlock:
+ *   post:
  *     tags:
  *       - users
- *     description: Returns an array of users. Optionally, an array of usernames
- *                  can be provided in the request body or a comma separated
- *                  list in the request parameters to find multiple, specific
- *                  users.
+ *     description: Unlocks the account of a user which was locked after
+ *                  exceeding the allowed number of failed logins, and clears
+ *                  the failed logins of the user. Requesting user must be a
+ *                  system-wide admin.
  *     produces:
  *       - application/json
  *     parameters:
- *       - in: body
- *         schema:
- *           type: array
- *           items:
- *             type: string
- *         description: An array of usernames to search for. If both query
- *                      parameter and body are not provided, all users are
- *                      found.
- *       - name: usernames
- *         description: Comma separated list of usernames to search for. If both
- *                      the query parameter and body are not provided, all
- *                      users are found.
- *         in: query
+ *       - name: username
+ *         description: The username of the user to unlock.
+ *         required: true
  *         type: string
+ *         in: path
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy]
  *         in: query
  *         type: string
  *         required: false
- *       - name: includeArchived
- *         description: If true, archived users will be also be searched
- *                      through. Overridden by the archived search option
- *         in: query
- *         type: boolean
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
  *                      default the username field is returned. To specifically
  *                      NOT include a field, include a '-' in front of the field
- *                      (-name). [admin, archived, archivedBy, archivedOn,
- *                      createdBy, createdOn, custom, email, fname,
- *                      lastModifiedBy, lname, username, preferredName,
- *                      updatedOn]
- *         in: query
- *         type: string
- *       - name: limit
- *         description: The maximum number of objects to return. A limit of 0 is
- *                      equivalent to setting no limit.
- *         in: query
- *         type: number
- *       - name: skip
- *         description: The number of objects to skip returning. For example,
- *                      if 10 objects are found and skip is 5, the first five
- *                      objects will NOT be returned. NOTE, skip cannot be a
- *                      negative number.
- *         in: query
- *         type: number
- *       - name: sort
- *         description: Provide a particular field to sort the results by.
- *                      You may also add a negative sign in front of the field
- *                      to indicate sorting in reverse order.
+ *                      (-name).
  *         in: query
  *         type: string
  *       - name: minified
@@ -5459,123 +8434,176 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifa
  *         in: query
  *         type: boolean
  *         default: false
- *       - name: fname
- *         description: A search parameter that will attempt to find matches with
- *                      the user's first name, or fname field.
- *         in: query
- *         type: string
- *       - name: lname
- *         description: A search parameter that will attempt to find matches with
- *                      the user's last name, or lname field.
- *         in: query
- *         type: string
- *       - name: preferredName
- *         description: A search parameter that will attempt to find matches with
- *                      the user's preferredName field.
- *         in: query
- *         type: string
- *       - name: email
- *         description: A search parameter that will attempt to find matches with
- *                      the user's email field.
- *         in: query
- *         type: string
- *       - name: createdBy
- *         description: A search parameter that will attempt to find users that
- *                      were created by a specific person.
- *         in: query
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to unlock the user, returns the unlocked
+ *                      user's public data.
+ *       400:
+ *         description: Bad Request, Failed to unlock the user due to invalid
+ *                      data.
+ *       401:
+ *         description: Unauthorized, Failed to unlock the user due to not
+ *                      being logged in.
+ *       403:
+ *         description: Forbidden, Failed to unlock the user due to not being
+ *                      a system-wide admin.
+ *       404:
+ *         description: Not Found, Failed to unlock the user due to the user
+ *                      not existing.
+ *       500:
+ *         description: Internal Server Error, Failed to unlock the user due to
+ *                      server side issues.
+ */
+api.route('/users/:username/unlock')
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('postUserUnlock'),
+  APIController.postUserUnlock,
+  Middleware.pluginPost('postUserUnlock'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/users/{username}/2fa:
+ *   post:
+ *     tags:
+ *       - users
+ *     description: Starts the enrollment of a local user in two-factor
+ *                  authentication. Returns a new secret, its provisioning URI
+ *                  for authenticator apps, and recovery codes which can each
+ *                  be used once in place of a code. Two-factor authentication
+ *                  is enabled once a code is confirmed with
+ *                  /api/users/{username}/2fa/confirm. Users can only enroll
+ *                  themselves.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: username
+ *         description: The username of the user to enroll.
+ *         required: true
  *         type: string
- *       - name: lastModifiedBy
- *         description: A search parameter that will attempt to find users that
- *                      were last modified by a specific person.
+ *         in: path
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
  *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to start the enrollment, returns the
+ *                      secret, provisioning URI and recovery codes.
+ *       401:
+ *         description: Unauthorized, Failed to start the enrollment due to not
+ *                      being logged in.
+ *       403:
+ *         description: Forbidden, Failed to start the enrollment due to
+ *                      enrolling another user, the user not being a local user
+ *                      or two-factor authentication already being enabled.
+ *       500:
+ *         description: Internal Server Error, Failed to start the enrollment
+ *                      due to server side issues.
+ *   delete:
+ *     tags:
+ *       - users
+ *     description: Disables the two-factor authentication of a user. Users can
+ *                  disable their own two-factor authentication, and
+ *                  system-wide admins can disable it for any user.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: username
+ *         description: The username of the user.
+ *         required: true
  *         type: string
- *       - name: archived
- *         description: Search only for archived users.  If false, only returns
- *                      unarchived users.  Overrides the includeArchived option.
+ *         in: path
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
  *         in: query
  *         type: boolean
- *       - name: archivedBy
- *         description: A search parameter that will attempt to find users that
- *                      were archived by a specific person.
- *         in: query
- *         type: string
+ *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET users, returns user public data.
- *       400:
- *         description: Bad Request, Failed to GET users due to invalid data.
+ *         description: OK, Succeeded to disable two-factor authentication,
+ *                      returns the user's public data.
  *       401:
- *         description: Unauthorized, Failed to GET users due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to disable two-factor
+ *                      authentication due to not being logged in.
  *       403:
- *         description: Forbidden, Failed to GET users due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to disable two-factor authentication
+ *                      due to not having permissions or it not being enabled.
  *       404:
- *         description: Not Found, Failed to GET users due to users not
- *                      existing.
+ *         description: Not Found, Failed to disable two-factor authentication
+ *                      due to the user not existing.
  *       500:
- *         description: Internal Server Error, Failed to GET users due to
- *                      server side issue.
+ *         description: Internal Server Error, Failed to disable two-factor
+ *                      authentication due to server side issues.
+ */
+api.route('/users/:username/2fa')
+.post(
+  AuthController.authenticate,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('postTwoFactor'),
+  APIController.postTwoFactor,
+  Middleware.pluginPost('postTwoFactor'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteTwoFactor'),
+  APIController.deleteTwoFactor,
+  Middleware.pluginPost('deleteTwoFactor'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/users/{username}/2fa/confirm:
  *   post:
  *     tags:
  *       - users
- *     description: Creates multiple users from the data provided in the request
- *                  body. Returns the created user's public data. NOTE This
- *                  endpoint is reserved for system-wide admins ONLY.
+ *     description: Enables the two-factor authentication of a local user, once
+ *                  they have confirmed a code of the secret returned by
+ *                  /api/users/{username}/2fa.
  *     produces:
  *       - application/json
  *     parameters:
+ *       - name: username
+ *         description: The username of the user to enable two-factor
+ *                      authentication for.
+ *         required: true
+ *         type: string
+ *         in: path
  *       - in: body
- *         name: users
- *         description: An array of objects containing new user data.
+ *         description: The code from the authenticator app.
+ *         name: body
+ *         required: true
  *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - username
- *             properties:
- *               username:
- *                 type: string
- *               password:
- *                 type: string
- *                 description: Required unless running LDAP auth or some custom
- *                              authentication strategy which does not store
- *                              passwords.
- *               fname:
- *                 type: string
- *                 description: User's first name.
- *               lname:
- *                 type: string
- *                 description: User's last name.
- *               preferredName:
- *                 type: string
- *               email:
- *                 type: string
- *               provider:
- *                 type: string
- *                 default: 'local'
- *               admin:
- *                 type: boolean
- *                 description: If true, user is system-wide admin.
- *               custom:
- *                 type: object
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy]
- *         in: query
- *         type: string
- *         required: false
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the username field is returned. To specifically
- *                      NOT include a field, include a '-' in front of the field
- *                      (-name). [admin, archived, archivedBy, archivedOn,
- *                      createdBy, createdOn, custom, email, fname,
- *                      lastModifiedBy, lname, username, preferredName,
- *                      updatedOn]
- *         in: query
- *         type: string
+ *           type: object
+ *           required:
+ *             - code
+ *           properties:
+ *             code:
+ *               type: string
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -5585,78 +8613,70 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifa
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to POST users returns public users data.
+ *         description: OK, Succeeded to enable two-factor authentication,
+ *                      returns the user's public data.
  *       400:
- *         description: Bad Request, Failed to POST users due to invalid data.
+ *         description: Bad Request, Failed to enable two-factor authentication
+ *                      due to an invalid code.
  *       401:
- *         description: Unauthorized, Failed to POST users due to not being
- *                      logged in.
+ *         description: Unauthorized, Failed to enable two-factor
+ *                      authentication due to not being logged in.
  *       403:
- *         description: Forbidden, Failed to POST users due to not having
- *                      permissions.
+ *         description: Forbidden, Failed to enable two-factor authentication
+ *                      due to the enrollment not having been started.
  *       500:
- *         description: Internal Server Error, Failed to POST users due to
- *                      server side issue.
- *   put:
+ *         description: Internal Server Error, Failed to enable two-factor
+ *                      authentication due to server side issues.
+ */
+api.route('/users/:username/2fa/confirm')
+.post(
+  AuthController.authenticate,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('postTwoFactorConfirm'),
+  APIController.postTwoFactorConfirm,
+  Middleware.pluginPost('postTwoFactorConfirm'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/users/{username}/tokens:
+ *   get:
  *     tags:
  *       - users
- *     description: Creates or replaces multiple users from the data provided in
- *                  the request body. Returns the user's public data. NOTE This
- *                  endpoint is reserved for system-wide admins ONLY.
+ *     description: Returns an array of the personal access tokens of a user.
+ *                  The tokens themselves are never returned. Users can find
+ *                  their own tokens, and system-wide admins can find the
+ *                  tokens of any user.
  *     produces:
  *       - application/json
  *     parameters:
- *       - in: body
- *         name: users
- *         description: An array of objects containing user data.
- *         schema:
- *           type: array
- *           items:
- *             type: object
- *             required:
- *               - username
- *             properties:
- *               username:
- *                 type: string
- *               password:
- *                 type: string
- *                 description: Required unless running LDAP auth or some custom
- *                              authentication strategy which does not store
- *                              passwords.
- *               fname:
- *                 type: string
- *                 description: User's first name.
- *               lname:
- *                 type: string
- *                 description: User's last name.
- *               preferredName:
- *                 type: string
- *               email:
- *                 type: string
- *               provider:
- *                 type: string
- *                 default: 'local'
- *               admin:
- *                 type: boolean
- *                 description: If true, user is system-wide admin.
- *               custom:
- *                 type: object
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy]
- *         in: query
+ *       - name: username
+ *         description: The username of the user the tokens belong to.
+ *         required: true
  *         type: string
- *         required: false
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the username field is returned. To specifically
- *                      NOT include a field, include a '-' in front of the field
- *                      (-name). [admin, archived, archivedBy, archivedOn,
- *                      createdBy, createdOn, custom, email, fname,
- *                      lastModifiedBy, lname, username, preferredName,
- *                      updatedOn]
+ *         in: path
+ *       - name: ids
+ *         description: Comma separated list of token IDs to search for. If not
+ *                      provided, every token of the user is found.
  *         in: query
  *         type: string
+ *       - name: limit
+ *         description: The maximum number of objects to return. A limit of 0
+ *                      is equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of objects to skip returning. For example,
+ *                      if 10 objects are found and skip is 5, the first five
+ *                      objects will NOT be returned. NOTE, skip cannot be a
+ *                      negative number.
+ *         in: query
+ *         type: number
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -5666,80 +8686,77 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifa
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PUT users returns public users data.
+ *         description: OK, Succeeded to GET tokens, returns token public data.
  *       400:
- *         description: Bad Request, Failed to PUT users due to invalid data.
+ *         description: Bad Request, Failed to GET tokens due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to PUT users due to not being
+ *         description: Unauthorized, Failed to GET tokens due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PUT users due to not having
+ *         description: Forbidden, Failed to GET tokens due to not having
  *                      permissions.
  *       500:
- *         description: Internal Server Error, Failed to PUT users due to
+ *         description: Internal Server Error, Failed to GET tokens due to
  *                      server side issue.
- *   patch:
+ *   post:
  *     tags:
  *       - users
- *     description: Updates multiple users from the data provided in the request
- *                  body. Users that are currently archived must first be
- *                  unarchived before making any other updates. The following
- *                  fields can be updated [custom, archived, fname, lname,
- *                  preferredName, email, admin]. NOTE, the username is required
- *                  in the request body, but CANNOT be updated. This endpoint is
- *                  reserved for admins only, unless user is updating self.
+ *     description: Creates one or many personal access tokens for the
+ *                  requesting user. Personal access tokens are sent as Bearer
+ *                  tokens in the Authorization header, and are valid until
+ *                  they expire or are deleted. The token of each created
+ *                  token is returned in the field "token", and cannot be
+ *                  retrieved again. Users can only create their own tokens,
+ *                  and cannot create tokens with a personal access token.
  *     produces:
  *       - application/json
  *     parameters:
- *       - in: body
- *         name: users
- *         description: An array of objects containing updates to multiple
- *                      users.
+ *       - name: username
+ *         description: The username of the requesting user.
+ *         required: true
+ *         type: string
+ *         in: path
+ *       - name: body
+ *         description: An object or an array of objects containing the data of
+ *                      the tokens to create.
+ *         in: body
+ *         required: true
  *         schema:
  *           type: array
  *           items:
  *             type: object
- *             required:
- *               - username
  *             properties:
- *               username:
- *                 type: string
- *                 description: The current username of the user, cannot be
- *                              updated.
- *               fname:
- *                 type: string
- *               lname:
- *                 type: string
- *               preferredName:
- *                 type: string
- *               email:
+ *               name:
  *                 type: string
- *               custom:
- *                 type: object
- *                 description: NOTE when updating the custom data, the object
- *                              is completely replaced.
- *               archived:
- *                 type: boolean
- *               admin:
+ *                 description: The name of the token.
+ *               readOnly:
  *                 type: boolean
- *                 description: NOTE only current system-wide admins can update
- *                              this field.
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy]
- *         in: query
- *         type: string
- *         required: false
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the username field is returned. To specifically
- *                      NOT include a field, include a '-' in front of the field
- *                      (-name). [admin, archived, archivedBy, archivedOn,
- *                      createdBy, createdOn, custom, email, fname,
- *                      lastModifiedBy, lname, username, preferredName,
- *                      updatedOn]
- *         in: query
- *         type: string
+ *                 description: If true, the token can only be used to read
+ *                              data. Defaults to false.
+ *               orgs:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The IDs of the orgs the token is limited to.
+ *               projects:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     org:
+ *                       type: string
+ *                     project:
+ *                       type: string
+ *                 description: The projects the token is limited to. If
+ *                              neither orgs nor projects are provided, the
+ *                              token can access every org and project the
+ *                              user can.
+ *               expiresOn:
+ *                 type: string
+ *                 description: The date and time the token expires. If not
+ *                              provided, the token expires after the maximum
+ *                              age configured for personal access tokens, or
+ *                              never expires if none is configured.
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -5749,41 +8766,47 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifa
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PATCH users, returns user's public
- *                      data.
+ *         description: OK, Succeeded to POST tokens, returns token public data
+ *                      including the token.
  *       400:
- *         description: Bad Request, Failed to PATCH users due to invalid data.
+ *         description: Bad Request, Failed to POST tokens due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to PATCH users due to not being
+ *         description: Unauthorized, Failed to POST tokens due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PATCH users due to not having
+ *         description: Forbidden, Failed to POST tokens due to not having
  *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to POST tokens due to an org or
+ *                      project not existing.
  *       500:
- *         description: Internal Server Error, Failed to PATCH users due to
+ *         description: Internal Server Error, Failed to POST tokens due to
  *                      server side issue.
  *   delete:
  *     tags:
  *       - users
- *     description: Deletes multiple users. Removes them from any orgs or
- *                  projects which they have permissions on. NOTE this endpoint
- *                  is reserved for system-wide admins ONLY.
+ *     description: Deletes multiple personal access tokens of a user, which
+ *                  revokes them. Users can delete their own tokens, and
+ *                  system-wide admins can delete the tokens of any user.
  *     produces:
  *       - application/json
- *     parameters:
- *       - name: usernames
- *         description: An array of usernames to delete. Can optionally be an
- *                      array of objects containing id key/value pairs.
- *         in: body
+ *     parameters:
+ *       - name: username
+ *         description: The username of the user the tokens belong to.
  *         required: true
+ *         type: string
+ *         in: path
+ *       - name: tokenIDs
+ *         description: An array of token IDs to delete.
+ *         in: body
  *         schema:
  *           type: array
  *           items:
  *             type: string
  *       - name: ids
- *         description: Comma separated list of usernames to delete.
- *                      If both query parameter and body are provided, the
- *                      query parameter will be prioritized over the body.
+ *         description: Comma separated list of token IDs to delete. If both
+ *                      query parameter and body are provided, query parameter
+ *                      will be prioritized over the body.
  *         in: query
  *         type: string
  *       - name: minified
@@ -5795,78 +8818,57 @@ api.route('/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts/:artifa
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE users, return deleted user's
- *                      usernames.
+ *         description: OK, Succeeded to DELETE tokens, returns deleted token
+ *                      IDs.
  *       400:
- *         description: Bad Request, Failed to DELETE users due to invalid data.
+ *         description: Bad Request, Failed to DELETE tokens due to invalid
+ *                      data.
  *       401:
- *         description: Unauthorized, Failed to DELETE users due to not being
+ *         description: Unauthorized, Failed to DELETE tokens due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to DELETE users due to not having
+ *         description: Forbidden, Failed to DELETE tokens due to not having
  *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to DELETE tokens due to a token not
+ *                      existing.
  *       500:
- *         description: Internal Server Error, Failed to DELETE users due to
+ *         description: Internal Server Error, Failed to DELETE tokens due to
  *                      server side issue.
  */
-api.route('/users')
+api.route('/users/:username/tokens')
 .get(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('getUsers'),
-  APIController.getUsers,
-  Middleware.pluginPost('getUsers'),
-  Middleware.logResponse,
-  Middleware.respond
-)
-.post(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('postUsers'),
-  APIController.postUsers,
-  Middleware.pluginPost('postUsers'),
+  Middleware.pluginPre('getTokens'),
+  APIController.getTokens,
+  Middleware.pluginPost('getTokens'),
   Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 )
-.put(
+.post(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('putUsers'),
-  APIController.putUsers,
-  Middleware.pluginPost('putUsers'),
+  Middleware.pluginPre('postTokens'),
+  APIController.postTokens,
+  Middleware.pluginPost('postTokens'),
   Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 )
-.patch(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('patchUsers'),
-  APIController.patchUsers,
-  Middleware.pluginPost('patchUsers'),
-  Middleware.logResponse,
-  Middleware.respond
-)
 .delete(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('deleteUsers'),
-  APIController.deleteUsers,
-  Middleware.pluginPost('deleteUsers'),
+  Middleware.pluginPre('deleteTokens'),
+  APIController.deleteTokens,
+  Middleware.pluginPost('deleteTokens'),
   Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
@@ -5875,14 +8877,26 @@ api.route('/users')
 
 /**
  * @swagger
- * /api/users/whoami:
- *   get:
+ * /api/users/{username}/tokens/{tokenid}:
+ *   delete:
  *     tags:
  *       - users
- *     description: Returns the currently logged in user's public information.
+ *     description: Deletes a personal access token of a user, which revokes
+ *                  it. Users can delete their own tokens, and system-wide
+ *                  admins can delete the tokens of any user.
  *     produces:
  *       - application/json
  *     parameters:
+ *       - name: username
+ *         description: The username of the user the token belongs to.
+ *         required: true
+ *         type: string
+ *         in: path
+ *       - name: tokenid
+ *         description: The ID of the token to delete.
+ *         required: true
+ *         type: string
+ *         in: path
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -5892,28 +8906,32 @@ api.route('/users')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET current user information returns
- *                      user public data.
+ *         description: OK, Succeeded to DELETE token, returns deleted token ID.
+ *       400:
+ *         description: Bad Request, Failed to DELETE token due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to GET user information due to not
- *                      being logged in.
+ *         description: Unauthorized, Failed to DELETE token due to not being
+ *                      logged in.
  *       403:
- *         description: Forbidden, Failed to GET user information due to not
- *                      having permissions.
+ *         description: Forbidden, Failed to DELETE token due to not having
+ *                      permissions.
  *       404:
- *         description: Not Found, Failed to GET current user information due to
- *                      not finding user.
+ *         description: Not Found, Failed to DELETE token due to the token not
+ *                      existing.
  *       500:
- *         description: Internal Server Error, Failed to GET user info due to
+ *         description: Internal Server Error, Failed to DELETE token due to
  *                      server side issue.
  */
-api.route('/users/whoami')
-.get(
+api.route('/users/:username/tokens/:tokenid')
+.delete(
   AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.pluginPre('whoami'),
-  APIController.whoami,
-  Middleware.pluginPost('whoami'),
+  Middleware.pluginPre('deleteToken'),
+  APIController.deleteToken,
+  Middleware.pluginPost('deleteToken'),
+  Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 );
@@ -5921,34 +8939,59 @@ api.route('/users/whoami')
 
 /**
  * @swagger
- * /api/users/search:
+ * /api/groups:
  *   get:
  *     tags:
- *       - users
- *     description: Finds multiple users using text based search on the fname,
- *                  lname, and preferredName fields. Allows for exact searches by
- *                  quoting the desired string "exact search", or the ability to
- *                  not include a word in a search by using a dash -not. Returns
- *                  the users public data
+ *       - groups
+ *     description: Returns an array of groups' public data. If no group ids are
+ *                  provided, returns every group in the system. Groups are
+ *                  granted permissions on orgs and projects through the key
+ *                  "group:<id>" in the permissions of the org or project.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: q
- *         description: The desired text to be searched for.
+ *       - name: groupIDs
+ *         description: An array of group IDs to search for. If both query
+ *                      parameter and body are not provided, all groups are
+ *                      found.
+ *         in: body
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - name: ids
+ *         description: Comma separated list of IDs to search for. If both query
+ *                      parameter and body are provided, query parameter will be
+ *                      prioritized over the body.
  *         in: query
  *         type: string
- *       - name: includeArchived
- *         description: Flag to include archived users in search results. Overridden
- *                      by the archived search option
- *         in: query
- *         type: boolean
- *         required: false
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy]
  *         in: query
  *         type: string
  *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through.
+ *         in: query
+ *         type: boolean
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, id, lastModifiedBy, ldap, members,
+ *                      name, updatedOn]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
  *       - name: limit
  *         description: The maximum number of objects to return. A limit of 0 is
  *                      equivalent to setting no limit.
@@ -5967,6 +9010,193 @@ api.route('/users/whoami')
  *                      to indicate sorting in reverse order.
  *         in: query
  *         type: string
+ *       - name: after
+ *         description: The cursor of the next page, returned in the
+ *                      X-Next-Cursor header of a previous request with a
+ *                      limit. Only the groups after the cursor are returned.
+ *                      Must be used with the same sort as the previous request.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of matching groups is
+ *                      returned in the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *       - name: name
+ *         description: A search parameter that will attempt to find matches with
+ *                      the group's name field.
+ *         in: query
+ *         type: string
+ *       - name: ldap
+ *         description: A search parameter that will find the groups synced with
+ *                      a specific LDAP group.
+ *         in: query
+ *         type: string
+ *       - name: createdBy
+ *         description: A search parameter that will attempt to find groups that
+ *                      were created by a specific person.
+ *         in: query
+ *         type: string
+ *       - name: lastModifiedBy
+ *         description: A search parameter that will attempt to find groups that
+ *                      were last modified by a specific person.
+ *         in: query
+ *         type: string
+ *       - name: archived
+ *         description: Search only for archived groups.  If false, only returns
+ *                      unarchived groups.  Overrides the includeArchived option.
+ *         in: query
+ *         type: boolean
+ *       - name: archivedBy
+ *         description: A search parameter that will attempt to find groups that
+ *                      were archived by a specific person.
+ *         in: query
+ *         type: string
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET groups, returns group public data.
+ *       400:
+ *         description: Bad Request, Failed to GET groups due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET groups due to not being
+ *                      logged in.
+ *       404:
+ *         description: Not Found, Failed to GET groups due to groups not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET groups due to
+ *                      server side issue.
+ *   post:
+ *     tags:
+ *       - groups
+ *     description: Creates multiple groups from the data provided in the
+ *                  request body. Returns the created groups' public data. The
+ *                  members must be existing users. NOTE This endpoint is
+ *                  reserved for system-wide admins ONLY.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: groups
+ *         description: An array of objects containing new group data.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The usernames of the members of the group.
+ *               ldap:
+ *                 type: string
+ *                 description: The name of the LDAP group the members are
+ *                              synced with when LDAP users log in.
+ *               custom:
+ *                 type: object
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, id, lastModifiedBy, ldap, members,
+ *                      name, updatedOn]
+ *         in: query
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to POST groups, returns groups' public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to POST groups due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to POST groups due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to POST groups due to not having
+ *                      permissions or groups already existing.
+ *       404:
+ *         description: Not Found, Failed to POST groups due to members not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to POST groups due to
+ *                      server side issue.
+ *   patch:
+ *     tags:
+ *       - groups
+ *     description: Updates multiple groups from the data provided in the
+ *                  request body. Groups that are currently archived must first
+ *                  be unarchived before making any other updates. The following
+ *                  fields can be updated [name, members, ldap, custom,
+ *                  archived]. Updating the members replaces them. NOTE, the id
+ *                  is required in the request body, but CANNOT be updated.
+ *                  This endpoint is reserved for system-wide admins ONLY.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: groups
+ *         description: An array of objects containing updates to multiple
+ *                      groups.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: The current ID of the group, cannot be updated.
+ *               name:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               ldap:
+ *                 type: string
+ *               custom:
+ *                 type: object
+ *                 description: NOTE when updating the custom data, the object
+ *                              is completely replaced.
+ *               archived:
+ *                 type: boolean
+ *       - name: populate
+ *         description: Comma separated list of values to be populated on return
+ *                      of the object. [archivedBy, lastModifiedBy, createdBy]
+ *         in: query
+ *         type: string
+ *         required: false
+ *       - name: fields
+ *         description: Comma separated list of specific fields to return. By
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, id, lastModifiedBy, ldap, members,
+ *                      name, updatedOn]
+ *         in: query
+ *         type: string
  *       - name: minified
  *         description: If true, the returned JSON is minified. If false, the
  *                      returned JSON is formatted based on the format specified
@@ -5976,67 +9206,44 @@ api.route('/users/whoami')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET users, returns users public
+ *         description: OK, Succeeded to PATCH groups, returns groups' public
  *                      data.
  *       400:
- *         description: Bad Request, Failed to GET users due to invalid data.
+ *         description: Bad Request, Failed to PATCH groups due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to GET users due to not being
+ *         description: Unauthorized, Failed to PATCH groups due to not being
  *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to PATCH groups due to not having
+ *                      permissions.
  *       404:
- *         description: Not Found, Failed to GET users
+ *         description: Not Found, Failed to PATCH groups due to groups or
+ *                      members not existing.
  *       500:
- *         description: Internal Server Error, Failed to GET users due to
+ *         description: Internal Server Error, Failed to PATCH groups due to
  *                      server side issue.
- */
-api.route('/users/search')
-.get(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('searchUsers'),
-  APIController.searchUsers,
-  Middleware.pluginPost('searchUsers'),
-  Middleware.logResponse,
-  Middleware.respond
-);
-
-
-/**
- * @swagger
- * /api/users/{username}:
- *   get:
+ *   delete:
  *     tags:
- *       - users
- *     description: Finds and returns a users public data.
+ *       - groups
+ *     description: Deletes multiple groups. Removes them from any orgs or
+ *                  projects which they have permissions on. NOTE this endpoint
+ *                  is reserved for system-wide admins ONLY.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: username
- *         description: The username of the user to find.
+ *       - name: groupIDs
+ *         description: An array of group IDs to delete. Can optionally be an
+ *                      array of objects containing id key/value pairs.
+ *         in: body
  *         required: true
- *         type: string
- *         in: path
- *       - name: populate
- *         description: Comma separated list of values to be populated on return
- *                      of the object. [archivedBy, lastModifiedBy, createdBy]
- *         in: query
- *         type: string
- *         required: false
- *       - name: archived
- *         description: If true, archived objects will be also be searched
- *                      through.
- *         in: query
- *         type: boolean
- *       - name: fields
- *         description: Comma separated list of specific fields to return. By
- *                      default the username field is returned. To specifically
- *                      NOT include a field, include a '-' in front of the field
- *                      (-name). [admin, archived, archivedBy, archivedOn,
- *                      createdBy, createdOn, custom, email, fname,
- *                      lastModifiedBy, lname, username, preferredName,
- *                      updatedOn]
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - name: ids
+ *         description: Comma separated list of group IDs to delete. If both
+ *                      query parameter and body are provided, the query
+ *                      parameter will be prioritized over the body.
  *         in: query
  *         type: string
  *       - name: minified
@@ -6048,77 +9255,105 @@ api.route('/users/search')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to GET user, returns user's public data.
+ *         description: OK, Succeeded to DELETE groups, returns deleted groups'
+ *                      ids.
  *       400:
- *         description: Bad Request, Failed to GET user due to invalid data.
+ *         description: Bad Request, Failed to DELETE groups due to invalid
+ *                      data.
  *       401:
- *         description: Unauthorized, Failed to GET user due to not being logged
- *                      in.
+ *         description: Unauthorized, Failed to DELETE groups due to not being
+ *                      logged in.
  *       403:
- *         description: Forbidden, Failed to GET user due to not having
+ *         description: Forbidden, Failed to DELETE groups due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to GET user due to user not existing.
+ *         description: Not Found, Failed to DELETE groups due to groups not
+ *                      existing.
  *       500:
- *         description: Internal Server Error, Failed to GET user due to server
- *                      side issue.
- *   post:
+ *         description: Internal Server Error, Failed to DELETE groups due to
+ *                      server side issue.
+ */
+api.route('/groups')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  Middleware.pluginPre('getGroups'),
+  APIController.getGroups,
+  Middleware.pluginPost('getGroups'),
+  Middleware.logResponse,
+  Middleware.respond
+)
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('postGroups'),
+  APIController.postGroups,
+  Middleware.pluginPost('postGroups'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+)
+.patch(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('patchGroups'),
+  APIController.patchGroups,
+  Middleware.pluginPost('patchGroups'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+)
+.delete(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('deleteGroups'),
+  APIController.deleteGroups,
+  Middleware.pluginPost('deleteGroups'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+/**
+ * @swagger
+ * /api/groups/{groupid}:
+ *   get:
  *     tags:
- *       - users
- *     description: Create a new user from the given data in the request body.
- *                  NOTE this endpoint is reserved for system-wide admins ONLY.
+ *       - groups
+ *     description: Returns a group's public data.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: username
- *         description: The username of the user to create.
- *         required: true
- *         type: string
+ *       - name: groupid
+ *         description: The ID of the group to return.
  *         in: path
- *       - name: user
- *         description: The object containing the new user data.
- *         in: body
  *         required: true
- *         schema:
- *           type: object
- *           properties:
- *             username:
- *               type: string
- *               description: The username of the user to create. If provided,
- *                            this must match the username provided in the path.
- *             password:
- *               type: string
- *               description: The password of the user being created. This field
- *                            is required unless LDAP authentication is used.
- *             fname:
- *               type: string
- *             lname:
- *               type: string
- *             preferredName:
- *               type: string
- *             email:
- *               type: string
- *             provider:
- *               type: string
- *               default: 'local'
- *             admin:
- *               type: boolean
- *             custom:
- *               type: object
+ *         type: string
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy]
  *         in: query
  *         type: string
  *         required: false
+ *       - name: includeArchived
+ *         description: If true, archived objects will be also be searched
+ *                      through.
+ *         in: query
+ *         type: boolean
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
- *                      default the username field is returned. To specifically
- *                      NOT include a field, include a '-' in front of the field
- *                      (-name). [admin, archived, archivedBy, archivedOn,
- *                      createdBy, createdOn, custom, email, fname,
- *                      lastModifiedBy, lname, username, preferredName,
- *                      updatedOn]
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, id, lastModifiedBy, ldap, members,
+ *                      name, updatedOn]
  *         in: query
  *         type: string
  *       - name: minified
@@ -6130,63 +9365,53 @@ api.route('/users/search')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to POST user, return user's public data.
+ *         description: OK, Succeeded to GET group, returns group's public data.
  *       400:
- *         description: Bad Request, Failed to POST user due to invalid data.
+ *         description: Bad Request, Failed to GET group due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to POST user due to not being
+ *         description: Unauthorized, Failed to GET group due to not being
  *                      logged in.
- *       403:
- *         description: Forbidden, Failed to POST user due to using username
- *                      that already exists.
+ *       404:
+ *         description: Not Found, Failed to GET group due to group not
+ *                      existing.
  *       500:
- *         description: Internal Server Error, Failed to POST user due to server
+ *         description: Internal Server Error, Failed to GET group due to server
  *                      side issue.
- *   put:
+ *   post:
  *     tags:
- *       - users
- *     description: Creates or replaces a user from the given data in the
- *                  request body. If a user with the username already exists,
- *                  they are replaced. NOTE This endpoint is reserved for
- *                  system-wide admins ONLY.
+ *       - groups
+ *     description: Creates a new group from the data provided in the request
+ *                  body. Returns the created group's public data. NOTE This
+ *                  endpoint is reserved for system-wide admins ONLY.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: username
- *         description: The username of the user to create/replace.
+ *       - name: groupid
+ *         description: The ID of the group to create.
+ *         in: path
  *         required: true
  *         type: string
- *         in: path
- *       - name: user
- *         description: The object containing the user data.
+ *       - name: group
+ *         description: The object containing the new group data.
  *         in: body
- *         required: true
+ *         required: false
  *         schema:
  *           type: object
  *           properties:
- *             username:
- *               type: string
- *               description: The username of the user. If provided, this must
- *                            match the username provided in the path.
- *             password:
- *               type: string
- *               description: The password of the user. This field is required
- *                            unless LDAP authentication is used or some custom
- *                            authentication strategy that does not store
- *                            passwords.
- *             fname:
- *               type: string
- *             lname:
- *               type: string
- *             preferredName:
+ *             id:
  *               type: string
- *             email:
+ *               description: Must match the id in the URI.
+ *             name:
  *               type: string
- *             provider:
+ *             members:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: The usernames of the members of the group.
+ *             ldap:
  *               type: string
- *               default: 'local'
- *             admin:
- *               type: boolean
+ *               description: The name of the LDAP group the members are synced
+ *                            with when LDAP users log in.
  *             custom:
  *               type: object
  *       - name: populate
@@ -6197,12 +9422,11 @@ api.route('/users/search')
  *         required: false
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
- *                      default the username field is returned. To specifically
- *                      NOT include a field, include a '-' in front of the field
- *                      (-name). [admin, archived, archivedBy, archivedOn,
- *                      createdBy, createdOn, custom, email, fname,
- *                      lastModifiedBy, lname, username, preferredName,
- *                      updatedOn]
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, id, lastModifiedBy, ldap, members,
+ *                      name, updatedOn]
  *         in: query
  *         type: string
  *       - name: minified
@@ -6214,49 +9438,52 @@ api.route('/users/search')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PUT user, return user's public data.
+ *         description: OK, Succeeded to POST group, returns group's public
+ *                      data.
  *       400:
- *         description: Bad Request, Failed to PUT user due to invalid data.
+ *         description: Bad Request, Failed to POST group due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to PUT user due to not being
+ *         description: Unauthorized, Failed to POST group due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PUT user due to an invalid request
- *                      body.
+ *         description: Forbidden, Failed to POST group due to not having
+ *                      permissions or the group already existing.
+ *       404:
+ *         description: Not Found, Failed to POST group due to members not
+ *                      existing.
  *       500:
- *         description: Internal Server Error, Failed to PUT user due to server
- *                      side issue.
+ *         description: Internal Server Error, Failed to POST group due to
+ *                      server side issue.
  *   patch:
  *     tags:
- *       - users
- *     description: Updates an existing user. The following fields can be
- *                  updated [fname, lname, preferredName, email, custom,
- *                  archived, admin]. Users that are currently archived must
- *                  first be unarchived before making any other updates. NOTE
- *                  this endpoint is reserved for system-wide admins only,
- *                  unless a user is updating themselves.
+ *       - groups
+ *     description: Updates an existing group. The following fields can be
+ *                  updated [name, members, ldap, custom, archived]. Groups that
+ *                  are currently archived must first be unarchived before making
+ *                  any other updates. NOTE This endpoint is reserved for
+ *                  system-wide admins ONLY.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: username
- *         description: The username of the user to update.
+ *       - name: groupid
+ *         description: The ID of the group to update.
+ *         in: path
  *         required: true
  *         type: string
- *         in: path
  *       - name: update
- *         description: The object containing the updated user data.
+ *         description: The object containing the updated group data.
  *         in: body
  *         required: true
  *         schema:
  *           type: object
  *           properties:
- *             fname:
- *               type: string
- *             lname:
- *               type: string
- *             preferredName:
+ *             name:
  *               type: string
- *             email:
+ *             members:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             ldap:
  *               type: string
  *             custom:
  *               type: object
@@ -6264,23 +9491,19 @@ api.route('/users/search')
  *                            is completely replaced.
  *             archived:
  *               type: boolean
- *             admin:
- *               type: boolean
- *               description: NOTE only current system-wide admins can update
- *                            this field.
  *       - name: populate
  *         description: Comma separated list of values to be populated on return
  *                      of the object. [archivedBy, lastModifiedBy, createdBy]
  *         in: query
  *         type: string
+ *         required: false
  *       - name: fields
  *         description: Comma separated list of specific fields to return. By
- *                      default the username field is returned. To specifically
- *                      NOT include a field, include a '-' in front of the field
- *                      (-name). [admin, archived, archivedBy, archivedOn,
- *                      createdBy, createdOn, custom, email, fname,
- *                      lastModifiedBy, lname, username, preferredName,
- *                      updatedOn]
+ *                      default the id field is returned. To specifically NOT
+ *                      include a field, include a '-' in front of the field
+ *                      (-name). [archived, archivedBy, archivedOn, createdBy,
+ *                      createdOn, custom, id, lastModifiedBy, ldap, members,
+ *                      name, updatedOn]
  *         in: query
  *         type: string
  *       - name: minified
@@ -6292,32 +9515,33 @@ api.route('/users/search')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to PATCH user, return user's public data.
+ *         description: OK, Succeeded to PATCH group, returns group's public
+ *                      data.
  *       400:
- *         description: Bad Request, Failed to PATCH user due to invalid data.
+ *         description: Bad Request, Failed to PATCH group due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to PATCH user due to not being
+ *         description: Unauthorized, Failed to PATCH group due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to PATCH user due updating an
- *                      immutable field.
+ *         description: Forbidden, Failed to PATCH group due to not having
+ *                      permissions.
  *       404:
- *         description: Not Found, Failed ot PATCH user due to user not
- *                      existing.
+ *         description: Not Found, Failed to PATCH group due to the group or
+ *                      members not existing.
  *       500:
- *         description: Internal Server Error, Failed to PATCH user due to
+ *         description: Internal Server Error, Failed to PATCH group due to
  *                      server side issue.
  *   delete:
  *     tags:
- *       - users
- *     description: Deletes the specified user. Removes them from any orgs or
- *                  projects which they have permissions on. NOTE this endpoint
- *                  is reserved for system-wide admins ONLY.
+ *       - groups
+ *     description: Deletes a group. Removes it from any orgs or projects which
+ *                  it has permissions on. NOTE This endpoint is reserved for
+ *                  system-wide admins ONLY.
  *     produces:
  *       - application/json
  *     parameters:
- *       - name: username
- *         description: The username of the user to delete.
+ *       - name: groupid
+ *         description: The ID of the group to delete.
  *         in: path
  *         required: true
  *         type: string
@@ -6330,32 +9554,31 @@ api.route('/users/search')
  *         default: false
  *     responses:
  *       200:
- *         description: OK, Succeeded to DELETE user, returns deleted user's
- *                      username.
+ *         description: OK, Succeeded to DELETE group, returns deleted group's
+ *                      id.
  *       400:
- *         description: Bad Request, Failed to DELETE user due to invalid data.
+ *         description: Bad Request, Failed to DELETE group due to invalid data.
  *       401:
- *         description: Unauthorized, Failed to DELETE user due to not being
+ *         description: Unauthorized, Failed to DELETE group due to not being
  *                      logged in.
  *       403:
- *         description: Forbidden, Failed to DELETE user due to not having
+ *         description: Forbidden, Failed to DELETE group due to not having
  *                      permissions.
  *       404:
- *         description: Not Found, Failed to DELETE user due to user not
+ *         description: Not Found, Failed to DELETE group due to the group not
  *                      existing.
  *       500:
- *         description: Internal Server Error, Failed to DELETE user due to
- *                      server side issues.
+ *         description: Internal Server Error, Failed to DELETE group due to
+ *                      server side issue.
  */
-api.route('/users/:username')
+api.route('/groups/:groupid')
 .get(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('getUser'),
-  APIController.getUser,
-  Middleware.pluginPost('getUser'),
+  Middleware.pluginPre('getGroup'),
+  APIController.getGroup,
+  Middleware.pluginPost('getGroup'),
   Middleware.logResponse,
   Middleware.respond
 )
@@ -6364,125 +9587,38 @@ api.route('/users/:username')
   Middleware.expiredPassword,
   Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('postUser'),
-  APIController.postUser,
-  Middleware.pluginPost('postUser'),
+  Middleware.pluginPre('postGroup'),
+  APIController.postGroup,
+  Middleware.pluginPost('postGroup'),
   Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 )
-.put(
+.patch(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('putUser'),
-  APIController.putUser,
-  Middleware.pluginPost('putUser'),
+  Middleware.pluginPre('patchGroup'),
+  APIController.patchGroup,
+  Middleware.pluginPost('patchGroup'),
   Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 )
-.patch(
-  AuthController.authenticate,
-  Middleware.expiredPassword,
-  Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('patchUser'),
-  APIController.patchUser,
-  Middleware.pluginPost('patchUser'),
-  Middleware.logResponse,
-  Middleware.respond
-)
 .delete(
   AuthController.authenticate,
   Middleware.expiredPassword,
   Middleware.logSecurityRoute,
   Middleware.logRoute,
-  Middleware.disableUserAPI,
-  Middleware.pluginPre('deleteUser'),
-  APIController.deleteUser,
-  Middleware.pluginPost('deleteUser'),
-  Middleware.logSecurityResponse,
-  Middleware.logResponse,
-  Middleware.respond
-);
-
-
-/**
- * @swagger
- * /api/users/{username}/password:
- *   patch:
- *     tags:
- *       - users
- *     description: Updates an existing users password. Users can only update
- *                  their own password.
- *     produces:
- *       - application/json
- *     parameters:
- *       - name: username
- *         description: The username of the user to update.
- *         required: true
- *         type: string
- *         in: path
- *       - in: body
- *         description: The object containing the updated user data.
- *         name: passwordInfo
- *         required: true
- *         schema:
- *           type: object
- *           required:
- *             - oldPassword
- *             - password
- *             - confirmPassword
- *           properties:
- *             oldPassword:
- *               type: string
- *               description: The user's old password.
- *             password:
- *               type: string
- *               description: The user's new password.
- *             confirmPassword:
- *               type: string
- *               description: The users new password a second time, to confirm
- *                            they match.
- *       - name: minified
- *         description: If true, the returned JSON is minified. If false, the
- *                      returned JSON is formatted based on the format specified
- *                      in the config. The default value is false.
- *         in: query
- *         type: boolean
- *         default: false
- *     responses:
- *       200:
- *         description: OK, Succeeded to PATCH user returns public user data.
- *       400:
- *         description: Bad Request, Failed to PATCH user due to invalid data.
- *       401:
- *         description: Unauthorized, Failed to PATCH user due to not being
- *                      logged in.
- *       403:
- *         description: Forbidden, Failed to PATCH user due updating an
- *                      immutable field.
- *       500:
- *         description: Internal Server Error, Failed to PATCH user due to
- *                      server side issues.
- */
-api.route('/users/:username/password')
-.patch(
-  AuthController.authenticate,
-  Middleware.logSecurityRoute,
-  Middleware.logRoute,
-  Middleware.disableUserPatchPassword,
-  APIController.patchPassword,
+  Middleware.pluginPre('deleteGroup'),
+  APIController.deleteGroup,
+  Middleware.pluginPost('deleteGroup'),
   Middleware.logSecurityResponse,
   Middleware.logResponse,
   Middleware.respond
 );
 
-
 /**
  * @swagger
  * /api/webhooks:
@@ -6563,6 +9699,24 @@ api.route('/users/:username/password')
  *                      negative number.
  *         in: query
  *         type: number
+ *       - name: after
+ *         description: An opaque cursor returned in the X-Next-Cursor and
+ *                      Link headers of a previous request. Only the objects
+ *                      which follow the cursor in the sort order are returned.
+ *                      The sort option must match the request which returned
+ *                      the cursor. When a limit is provided and a full page is
+ *                      returned, the cursor of the next page is returned in
+ *                      the X-Next-Cursor header, and a Link header with
+ *                      rel="next" contains the URL of the next page.
+ *         in: query
+ *         type: string
+ *       - name: count
+ *         description: If true, the total number of objects which match the
+ *                      query, ignoring limit, skip and after, is returned in
+ *                      the X-Total-Count header.
+ *         in: query
+ *         type: boolean
+ *         default: false
  *       - name: sort
  *         description: Provide a particular field to sort the results by.
  *                      Adding a '-' in front of the field indicates sorting in
@@ -6681,6 +9835,18 @@ api.route('/users/:username/password')
  *                 branch:
  *                   type: string
  *                   description: A branch ID.
+ *             filters:
+ *               type: object
+ *               description: Optional filters of the events which trigger an
+ *                            outgoing webhook.
+ *               properties:
+ *                 type:
+ *                   type: Array
+ *                   description: The element types which trigger the webhook.
+ *                 custom:
+ *                   type: object
+ *                   description: The custom data values which trigger the
+ *                                webhook.
  *             custom:
  *               type: object
  *       - name: populate
@@ -6766,6 +9932,18 @@ api.route('/users/:username/password')
  *                 type: string
  *                 description: A dot-delimited string specifying where to find the
  *                              token in the external request.
+ *             filters:
+ *               type: object
+ *               description: Optional filters of the events which trigger an
+ *                            outgoing webhook.
+ *               properties:
+ *                 type:
+ *                   type: Array
+ *                   description: The element types which trigger the webhook.
+ *                 custom:
+ *                   type: object
+ *                   description: The custom data values which trigger the
+ *                                webhook.
  *             custom:
  *               type: object
  *             archived:
@@ -6994,6 +10172,10 @@ api.route('/webhooks/trigger/:encodedid')
  *       200:
  *         description: OK, Succeeded to GET webhook, returns webhook public
  *                      data.
+ *         headers:
+ *           ETag:
+ *             type: string
+ *             description: The revision of the webhook.
  *       400:
  *         description: Bad Request, Failed to GET webhook due to invalid data.
  *       401:
@@ -7054,6 +10236,18 @@ api.route('/webhooks/trigger/:encodedid')
  *                 type: string
  *                 description: A dot-delimited string specifying where to find the
  *                              token in the external request.
+ *             filters:
+ *               type: object
+ *               description: Optional filters of the events which trigger an
+ *                            outgoing webhook.
+ *               properties:
+ *                 type:
+ *                   type: Array
+ *                   description: The element types which trigger the webhook.
+ *                 custom:
+ *                   type: object
+ *                   description: The custom data values which trigger the
+ *                                webhook.
  *             custom:
  *               type: object
  *             archived:
@@ -7081,6 +10275,13 @@ api.route('/webhooks/trigger/:encodedid')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the webhook, from the ETag header
+ *                      of a previous response. The request fails if the webhook
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
  *         description: OK, Succeeded to PATCH webhook, returns webhook's public
@@ -7094,6 +10295,10 @@ api.route('/webhooks/trigger/:encodedid')
  *       403:
  *         description: Forbidden, Failed to PATCH webhook due to not having
  *                      permissions.
+ *       412:
+ *         description: Precondition Failed, Failed to PATCH webhook due to the
+ *                      webhook changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
  *         description: Internal Server Error, Failed to PATCH webhook due to
  *                      server side issue.
@@ -7117,6 +10322,13 @@ api.route('/webhooks/trigger/:encodedid')
  *         in: query
  *         type: boolean
  *         default: false
+ *       - name: If-Match
+ *         description: The revisions of the webhook, from the ETag header
+ *                      of a previous response. The request fails if the webhook
+ *                      has changed since.
+ *         in: header
+ *         type: string
+ *         required: false
  *     responses:
  *       200:
  *         description: OK, Succeeded to DELETE webhook, return deleted
@@ -7130,6 +10342,10 @@ api.route('/webhooks/trigger/:encodedid')
  *       403:
  *         description: Forbidden, Failed to DELETE webhook due to not having
  *                      permissions.
+ *       412:
+ *         description: Precondition Failed, Failed to DELETE webhook due to the
+ *                      webhook changing since the revision in If-Match.
+ *                      Returns the message and the conflicts as JSON.
  *       500:
  *         description: Internal Server Error, Failed to DELETE webhook due to
  *                      server side issue.
@@ -7173,6 +10389,147 @@ api.route('/webhooks/:webhookid')
 );
 
 
+/**
+ * @swagger
+ * /api/webhooks/{webhookid}/deliveries:
+ *   get:
+ *     tags:
+ *       - webhooks
+ *     description: Finds the deliveries of an outgoing webhook, newest first. A
+ *                  delivery is created each time the webhook is triggered, and
+ *                  records every attempt to send it, including the status code
+ *                  of the response, the latency of the request in milliseconds
+ *                  and any error. Requesting user must have permission to view
+ *                  the webhook.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: webhookid
+ *         description: The ID of the webhook whose deliveries are found.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: status
+ *         description: Search for deliveries with a specific status. [pending,
+ *                      delivered, failed]
+ *         in: query
+ *         type: string
+ *       - name: limit
+ *         description: The maximum number of objects to return. A limit of 0
+ *                      is equivalent to setting no limit.
+ *         in: query
+ *         type: number
+ *       - name: skip
+ *         description: The number of objects to skip returning. For example,
+ *                      if 10 objects are found and skip is 5, the first five
+ *                      objects will NOT be returned. NOTE, skip cannot be a
+ *                      negative number.
+ *         in: query
+ *         type: number
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to GET deliveries, returns delivery public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to GET deliveries due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to GET deliveries due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to GET deliveries due to not having
+ *                      permissions.
+ *       404:
+ *         description: Not Found, Failed to GET deliveries due to webhook not
+ *                      existing.
+ *       500:
+ *         description: Internal Server Error, Failed to GET deliveries due to
+ *                      server side issue.
+ */
+api.route('/webhooks/:webhookid/deliveries')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('getWebhookDeliveries'),
+  APIController.getWebhookDeliveries,
+  Middleware.pluginPost('getWebhookDeliveries'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+);
+
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookid}/deliveries/{deliveryid}/redeliver:
+ *   post:
+ *     tags:
+ *       - webhooks
+ *     description: Sends a delivery of an outgoing webhook again, regardless of
+ *                  its status. The new attempt is added to the attempts of the
+ *                  delivery, and the delivery is retried if it fails.
+ *                  Requesting user must have permission to update the webhook.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: webhookid
+ *         description: The ID of the webhook the delivery belongs to.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: deliveryid
+ *         description: The ID of the delivery to send again.
+ *         in: path
+ *         required: true
+ *         type: string
+ *       - name: minified
+ *         description: If true, the returned JSON is minified. If false, the
+ *                      returned JSON is formatted based on the format specified
+ *                      in the config. The default value is false.
+ *         in: query
+ *         type: boolean
+ *         default: false
+ *     responses:
+ *       200:
+ *         description: OK, Succeeded to POST redelivery, returns delivery public
+ *                      data.
+ *       400:
+ *         description: Bad Request, Failed to POST redelivery due to invalid data.
+ *       401:
+ *         description: Unauthorized, Failed to POST redelivery due to not being
+ *                      logged in.
+ *       403:
+ *         description: Forbidden, Failed to POST redelivery due to not having
+ *                      permissions or the webhook not being an outgoing webhook.
+ *       404:
+ *         description: Not Found, Failed to POST redelivery due to webhook or
+ *                      delivery not existing.
+ *       500:
+ *         description: Internal Server Error, Failed to POST redelivery due to
+ *                      server side issue.
+ */
+api.route('/webhooks/:webhookid/deliveries/:deliveryid/redeliver')
+.post(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logSecurityRoute,
+  Middleware.logRoute,
+  Middleware.pluginPre('redeliverWebhook'),
+  APIController.redeliverWebhook,
+  Middleware.pluginPost('redeliverWebhook'),
+  Middleware.logSecurityResponse,
+  Middleware.logResponse,
+  Middleware.respond
+);
+
 // Catches any invalid api route not defined above.
 api.use('*', APIController.invalidRoute, Middleware.respond);
 
@@ -32,29 +32,42 @@ const db = M.require('db');
 const utils = M.require('lib.utils');
 const middleware = M.require('lib.middleware');
 const migrate = M.require('lib.migrate');
+const webhookQueue = M.require('lib.webhook-queue');
 const Artifact = M.require('models.artifact');
+const AuditRecord = M.require('models.audit-record');
 const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
 const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
+const Group = M.require('models.group');
 const Organization = M.require('models.organization');
 const Project = M.require('models.project');
 const ServerData = M.require('models.server-data');
+const Token = M.require('models.token');
+const Transaction = M.require('models.transaction');
 const User = M.require('models.user');
 const Webhook = M.require('models.webhook');
+const WebhookDelivery = M.require('models.webhook-delivery');
 
 // Initialize express app and export the object
 const app = express();
 module.exports = app;
 
 /**
- * Connect to database, initialize application, and create default admin and
- * default organization if needed.
+ * Connect to database, initialize application, roll back any transactions
+ * which were interrupted, and create default admin and default organization if
+ * needed. Once initialized, resume any pending webhook deliveries. The promise
+ * is stored in app.locals.ready, so that the app can be served once initialized
+ * when it is started from within another process.
  */
-db.connect()
+app.locals.ready = db.connect()
 .then(() => initModels())
+.then(() => db.recoverTransactions())
 .then(() => migrate.getVersion())
 .then(() => createDefaultOrganization())
 .then(() => createDefaultAdmin())
 .then(() => initApp())
+.then(() => webhookQueue.resume())
 .catch(err => {
   M.log.critical(err.stack);
   process.exit(1);
@@ -79,6 +92,17 @@ function initApp() {
     app.use(bodyParser.json({ limit: M.config.server.requestSize || '50mb' }));
     app.use(bodyParser.text());
 
+    // for parsing XML documents, such as XMI, and CSV spreadsheets
+    app.use(bodyParser.text({ limit: M.config.server.requestSize || '50mb',
+      type: ['application/xml', 'text/xml', 'application/vnd.xmi+xml', 'text/csv'] }));
+
+    // for parsing xlsx spreadsheets
+    app.use(bodyParser.raw({ limit: M.config.server.requestSize || '50mb',
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }));
+
+    // Note: application/x-ndjson bodies are not parsed, they are read from the
+    // request stream in batches by the API controller
+
     // for parsing application/xwww-form-urlencoded
     app.use(bodyParser.urlencoded({ limit: M.config.server.requestSize || '50mb',
       extended: true }));
@@ -242,7 +266,8 @@ async function createDefaultAdmin() {
  * @returns {Promise} Returns an empty promise upon completion.
  */
 async function initModels() {
-  await Promise.all([Artifact.init(), Branch.init(), Element.init(),
-    Organization.init(), Project.init(), ServerData.init(), User.init(),
-    Webhook.init()]);
+  await Promise.all([Artifact.init(), AuditRecord.init(), Branch.init(), Deletion.init(),
+    Element.init(), ElementRevision.init(), Group.init(), Organization.init(),
+    Project.init(), ServerData.init(), Token.init(), Transaction.init(), User.init(),
+    Webhook.init(), WebhookDelivery.init()]);
 }
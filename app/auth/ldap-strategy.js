@@ -32,6 +32,8 @@ const path = require('path');
 const ldap = require('ldapjs');
 
 // MBEE modules
+const db = M.require('db');
+const Group = M.require('models.group');
 const Organization = M.require('models.organization');
 const User = M.require('models.user');
 const EventEmitter = M.require('lib.events');
@@ -42,6 +44,8 @@ const utils = M.require('lib.utils');
 
 // Allocate LDAP configuration variable for convenience
 const ldapConfig = M.config.auth.ldap;
+// The last group synchronization, which the next synchronization waits for
+let groupSync = Promise.resolve();
 
 /**
  * @description This function implements handleBasicAuth() in lib/auth.js.
@@ -295,6 +299,11 @@ function ldapSearch(ldapClient, username) {
       opts.attributes.push(ldapConfig.attributes.preferredName);
     }
 
+    // If groups are synced, set the groups as an attribute
+    if (ldapConfig.attributes.groups) {
+      opts.attributes.push(ldapConfig.attributes.groups);
+    }
+
     // Define person
     let person;
     // Execute the search
@@ -414,8 +423,14 @@ async function ldapSync(ldapUserObj) {
     M.log.error(error.message);
     throw new M.DatabaseError('Could not save user data to database', 'warn');
   }
-  // If user created, emit users-created
-  EventEmitter.emit('users-created', [userObject]);
+  // Emit users-created if the user was inserted, otherwise users-updated
+  if (!foundUser) {
+    await EventEmitter.emit('users-created', { actor: userObject, after: [userObject] });
+  }
+  else {
+    await EventEmitter.emit('users-updated',
+      { actor: userObject, before: [foundUser], after: [userObject] });
+  }
 
   let defaultOrg;
   try {
@@ -439,10 +454,70 @@ async function ldapSync(ldapUserObj) {
     throw new M.DatabaseError('Could not save new user permissions to database', 'warn');
   }
 
+  // If groups are synced, sync the groups of the user
+  if (ldapConfig.attributes.groups) {
+    await ldapSyncGroups(userObject._id, ldapUserObj[ldapConfig.attributes.groups]);
+  }
+
   // Return the new user
   return userObject;
 }
 
+/**
+ * @description Synchronizes the members of the groups which are linked to LDAP
+ * groups with the LDAP groups of an authenticated user. The user is added to
+ * each group whose ldap field is one of their LDAP groups, and removed from each
+ * other linked group. LDAP group names are compared case-insensitively.
+ *
+ * The members of the groups are read and written in a transaction, so that
+ * the members added or removed by another request are not overwritten. As a
+ * journaled session does not isolate the transaction, the synchronizations of
+ * the server are also run one at a time.
+ *
+ * @param {string} username - The username of the authenticated user.
+ * @param {(string|string[])} [ldapGroups] - The value of the groups attribute
+ * of the LDAP user, which is a string if the user is in a single LDAP group.
+ */
+async function ldapSyncGroups(username, ldapGroups) {
+  M.log.debug('Synchronizing LDAP groups with local groups.');
+  const memberOf = [].concat(ldapGroups || []).map(g => String(g).toLowerCase());
+
+  // Wait for the previous synchronization, whether or not it succeeded
+  const sync = groupSync.catch(() => {}).then(() => db.withTransaction(async (session) => {
+    // Find the groups which are linked to LDAP groups
+    const groups = (await Group.find({ archived: false }, null, { session: session }))
+    .filter(g => g.ldap);
+
+    const promises = [];
+    groups.forEach((group) => {
+      const isMember = group.members.includes(username);
+      const inLDAPGroup = memberOf.includes(group.ldap.toLowerCase());
+
+      // Add the user to the group
+      if (inLDAPGroup && !isMember) {
+        promises.push(Group.updateOne({ _id: group._id },
+          { members: group.members.concat(username) }, { session: session }));
+      }
+      // Remove the user from the group
+      else if (!inLDAPGroup && isMember) {
+        promises.push(Group.updateOne({ _id: group._id },
+          { members: group.members.filter(m => m !== username) }, { session: session }));
+      }
+    });
+
+    await Promise.all(promises);
+  }));
+  groupSync = sync;
+
+  try {
+    await sync;
+  }
+  catch (error) {
+    M.log.error(error.message);
+    throw new M.DatabaseError('Could not sync the groups of the user', 'warn');
+  }
+}
+
 /**
  * @description Validates a users password with set rules.
  *
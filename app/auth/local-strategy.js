@@ -24,7 +24,9 @@ module.exports = {
   handleBasicAuth,
   handleTokenAuth,
   doLogin,
-  validatePassword
+  validatePassword,
+  recordFailedLogin,
+  isLocked
 };
 
 // MBEE modules
@@ -34,6 +36,20 @@ const sani = M.require('lib.sanitization');
 const utils = M.require('lib.utils');
 const EventEmitter = M.require('lib.events');
 
+// The password policy and lockout used if they are not defined in the config
+const defaultPasswordPolicy = {
+  minLength: 8,
+  digits: 1,
+  lowercase: 1,
+  uppercase: 1,
+  special: 1
+};
+const defaultLockout = {
+  attempts: 5,
+  window: 15,
+  units: 'MINUTES'
+};
+
 /**
  * @description This function implements handleBasicAuth() in lib/auth.js.
  * Function is called with basic auth header or login form input.
@@ -80,56 +96,13 @@ async function handleBasicAuth(req, res, username, password) {
 
   // Check password is valid
   if (!result) {
-    // Add login failure to user's failed logins
-    if (!user.failedlogins) user.failedlogins = [];
-    const loginInfo = {
-      ipaddress: req.connection.remoteAddress,
-      timestamp: Date.now()
-    };
-    user.failedlogins.push(loginInfo);
-
-    // Update the user
-    try {
-      await User.updateOne({ _id: username }, { failedlogins: user.failedlogins });
-    }
-    catch (e) {
-      throw new M.DatabaseError('Failed to update failedLogins', 'critical');
-    }
-
-    // Check if user has entered an incorrect password five times in the past 15 minutes
-    if (user.failedlogins[user.failedlogins.length - 5]
-      && user.failedlogins[user.failedlogins.length - 5].timestamp
-      > Date.now() - 15 * utils.timeConversions.MINUTES) {
-      // Count the number of non-archived admins in the database
-      const admins = await User.find({ admin: true, archived: false }, null);
-      // Check if the user is the only admin
-      if (user.admin && admins.length === 1) {
-        // It is recommended that a listener be registered for this event to notify the proper
-        // administrators/authorities
-        EventEmitter.emit('sole-admin-failed-login-exceeded', user._id);
-        // Throw a critical error
-        throw new M.AuthorizationError('Incorrect login attempts exceeded '
-        + 'on only active admin account.', 'critical');
-      }
-      // Archive the user and throw an error
-      else {
-        User.updateOne({ _id: username }, { archived: true }, (err) => {
-          if (err) {
-            throw new M.DatabaseError('Could not lock user after failed login attempts exceeded',
-              'critical');
-          }
-        });
-        EventEmitter.emit('user-account-locked', user._id);
-        throw new M.AuthorizationError(`Account '${user._id}' has been locked after `
-          + 'exceeding allowed number of failed login attempts. '
-          + 'Please contact your local administrator.', 'warn');
-      }
-    }
-    // User is within allowed number of failed attempts; throw an error
-    else {
-      throw new M.AuthorizationError('Invalid username or password.', 'warn');
-    }
+    // Record the failed login, which locks the account if too many have failed
+    await recordFailedLogin(req, user);
+    throw new M.AuthorizationError('Invalid username or password.', 'warn');
   }
+  // Force the user to change their password if it has expired
+  await checkPasswordAge(user);
+
   // Authenticated, return user
   return user;
 }
@@ -187,6 +160,9 @@ async function handleTokenAuth(req, res, token) {
       // Return error
       throw new M.NotFoundError('No user found.', 'warn');
     }
+    // Force the user to change their password if it has expired
+    await checkPasswordAge(user);
+
     // return User object if authentication was successful
     return user;
   }
@@ -223,34 +199,140 @@ function doLogin(req, res, next) {
 }
 
 /**
- * @description Validates a users password with set rules.
+ * @description Validates a users password with the password policy defined in
+ * the config, or the default policy if none is defined.
  *
  * @param {string} password - Password to validate.
  *
  * @returns {boolean} If password is correctly validated.
  */
 function validatePassword(password) {
-  // No defined password validator, use default
+  const policy = Object.assign({}, defaultPasswordPolicy, M.config.auth.password);
   try {
-    // At least 8 characters
-    const lengthValidator = (password.length >= 8);
-    // At least 1 digit
-    const digitsValidator = (password.match(/[0-9]/g).length >= 1);
-    // At least 1 lowercase letter
-    const lowercaseValidator = (password.match(/[a-z]/g).length >= 1);
-    // At least 1 uppercase letter
-    const uppercaseValidator = (password.match(/[A-Z]/g).length >= 1);
-    // At least 1 special character
-    const specialCharValidator = (password.match(/[-`~!@#$%^&*()_+={}[\]:;'",.<>?/|\\]/g).length >= 1);
-    // Validate the password
-    return (lengthValidator
-      && digitsValidator
-      && lowercaseValidator
-      && uppercaseValidator
-      && specialCharValidator);
+    // Counts the characters of the password which match a pattern
+    const count = (pattern) => (password.match(pattern) || []).length;
+
+    // Validate the length and the number of each kind of character
+    return (password.length >= policy.minLength
+      && count(/[0-9]/g) >= policy.digits
+      && count(/[a-z]/g) >= policy.lowercase
+      && count(/[A-Z]/g) >= policy.uppercase
+      && count(/[-`~!@#$%^&*()_+={}[\]:;'",.<>?/|\\]/g) >= policy.special);
   }
   catch (error) {
     // Explicitly NOT logging error to avoid password logging
     return false;
   }
 }
+
+/**
+ * @description Checks whether the password of a local user is older than the
+ * maximum age defined in the config. If so, the user is required to change
+ * their password before making any further requests.
+ *
+ * @param {User} user - The authenticated user.
+ */
+async function checkPasswordAge(user) {
+  const maxAge = (M.config.auth.password) ? M.config.auth.password.maxAge : undefined;
+  if (!maxAge || user.changePassword || (user.provider && user.provider !== 'local')) {
+    return;
+  }
+
+  // Passwords which were never changed are as old as the user
+  const setOn = new Date(user.passwordUpdatedOn || user.createdOn).getTime();
+  if (Date.now() - setOn > maxAge.expires * utils.timeConversions[maxAge.units]) {
+    try {
+      await User.updateOne({ _id: user._id }, { changePassword: true });
+    }
+    catch (error) {
+      throw new M.DatabaseError('Failed to expire the password of the user.', 'warn');
+    }
+    user.changePassword = true;
+  }
+}
+
+/**
+ * @description Adds a failed login to the failed logins of a user. If the
+ * user has exceeded the allowed number of failed logins within the lockout
+ * window, the account is locked and an error is thrown. Used for failed
+ * passwords as well as failed two-factor codes.
+ *
+ * @param {object} req - Request express object.
+ * @param {User} user - The user who failed to log in.
+ *
+ * @returns {Promise} Resolves if the account was not locked.
+ */
+async function recordFailedLogin(req, user) {
+  // Add login failure to user's failed logins
+  if (!user.failedlogins) user.failedlogins = [];
+  const loginInfo = {
+    ipaddress: (req.connection) ? req.connection.remoteAddress : undefined,
+    timestamp: Date.now()
+  };
+  user.failedlogins.push(loginInfo);
+
+  // Update the user
+  try {
+    await User.updateOne({ _id: user._id }, { failedlogins: user.failedlogins });
+  }
+  catch (e) {
+    throw new M.DatabaseError('Failed to update failedLogins', 'critical');
+  }
+
+  // Check if user has exceeded the allowed number of failed logins within the lockout window
+  const lockout = Object.assign({}, defaultLockout, M.config.auth.lockout);
+  const windowStart = Date.now() - lockout.window * utils.timeConversions[lockout.units];
+  const recentFailures = user.failedlogins.filter(l => l.timestamp > windowStart);
+  if (lockout.attempts > 0 && recentFailures.length >= lockout.attempts) {
+    // Count the number of non-archived admins in the database
+    const admins = await User.find({ admin: true, archived: false }, null);
+    // Check if the user is the only admin
+    if (user.admin && admins.length === 1) {
+      // It is recommended that a listener be registered for this event to notify the proper
+      // administrators/authorities
+      await EventEmitter.emit('sole-admin-failed-login-exceeded',
+        { actor: user._id, ids: [user._id] });
+      // Throw a critical error
+      throw new M.AuthorizationError('Incorrect login attempts exceeded '
+      + 'on only active admin account.', 'critical');
+    }
+    // Archive the user and throw an error
+    try {
+      await User.updateOne({ _id: user._id }, { archived: true, lockedOn: Date.now() });
+    }
+    catch (err) {
+      throw new M.DatabaseError('Could not lock user after failed login attempts exceeded',
+        'critical');
+    }
+    const lockedUser = await User.findOne({ _id: user._id });
+    await EventEmitter.emit('users-updated', { actor: user, before: [user], after: [lockedUser] });
+    await EventEmitter.emit('user-account-locked', { actor: user._id, ids: [user._id] });
+    throw new M.AuthorizationError(`Account '${user._id}' has been locked after `
+      + 'exceeding allowed number of failed login attempts. '
+      + 'Please contact your local administrator.', 'warn');
+  }
+}
+
+/**
+ * @description Checks whether the account of a user is locked after exceeding
+ * the allowed number of failed logins. Accounts which were locked before the
+ * time of locking was recorded are archived, and their failed logins exceeded
+ * the allowed number within the lockout window.
+ *
+ * @param {User} user - The user to check.
+ *
+ * @returns {boolean} True if the account is locked.
+ */
+function isLocked(user) {
+  if (user.lockedOn) return true;
+
+  const lockout = Object.assign({}, defaultLockout, M.config.auth.lockout);
+  const logins = user.failedlogins || [];
+  if (!user.archived || lockout.attempts <= 0 || logins.length < lockout.attempts) {
+    return false;
+  }
+  // The failed logins which locked the account are the last ones
+  const last = new Date(logins[logins.length - 1].timestamp).getTime();
+  const first = new Date(logins[logins.length - lockout.attempts].timestamp).getTime();
+  return last - first <= lockout.window * utils.timeConversions[lockout.units];
+}
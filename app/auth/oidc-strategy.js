@@ -0,0 +1,620 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module auth.oidc-strategy
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description This file implements authentication using an OpenID Connect
+ * (OIDC) provider. Users log in to the UI with the authorization code flow,
+ * which is started and completed on the "/login" route, and API clients send
+ * the JSON Web Tokens (JWTs) issued by the provider as Bearer tokens, which are
+ * validated against the JSON Web Key Set (JWKS) of the provider. Users are
+ * created and updated from the claims of the tokens, which are mapped to user
+ * fields in the configuration the way LDAP attributes are. Users whose provider
+ * is "local" are still authenticated locally.
+ */
+
+// Expose auth strategy functions
+// Note: The export is being done before the import to solve the issues of
+// circular references.
+module.exports = {
+  handleBasicAuth,
+  handleTokenAuth,
+  doLogin,
+  validatePassword,
+  getAuthorizationURL,
+  handleCodeAuth
+};
+
+// Node modules
+const crypto = require('crypto');
+
+// NPM modules
+const request = require('request');
+
+// MBEE modules
+const Organization = M.require('models.organization');
+const User = M.require('models.user');
+const LocalStrategy = M.require('auth.local-strategy');
+const EventEmitter = M.require('lib.events');
+const errors = M.require('lib.errors');
+const sani = M.require('lib.sanitization');
+
+// Allocate OIDC configuration variable for convenience
+const oidcConfig = M.config.auth.oidc;
+
+// The JWT signature algorithms which are accepted, and their hash algorithms
+const algorithms = {
+  RS256: 'sha256',
+  RS384: 'sha384',
+  RS512: 'sha512',
+  ES256: 'sha256',
+  ES384: 'sha384',
+  ES512: 'sha512'
+};
+
+// The DER encoded algorithm identifiers of the supported key types and curves
+const keyAlgorithms = {
+  RSA: '06092a864886f70d0101010500',
+  EC: '06072a8648ce3d0201'
+};
+const curves = {
+  'P-256': '06082a8648ce3d030107',
+  'P-384': '06052b81040022',
+  'P-521': '06052b81040023'
+};
+// The minimum time between fetches of the JWKS, in milliseconds
+const jwksRefreshInterval = 60 * 1000;
+
+// The discovery document and keys of the provider, fetched when first needed
+let discovery = null;
+let jwks = [];
+let jwksFetchedOn = 0;
+
+/**
+ * @description This function implements handleBasicAuth() in lib/auth.js.
+ * Local users are authenticated with the local strategy. Any other user is
+ * authenticated with the resource owner password grant of the provider, and is
+ * synchronized with the claims of the ID token it returns.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {string} username - Username to authenticate.
+ * @param {string} password - Password to authenticate.
+ *
+ * @returns {Promise} Authenticated user object.
+ */
+async function handleBasicAuth(req, res, username, password) {
+  try {
+    // Search locally for the user, and authenticate local users locally
+    const foundUser = await User.findOne({ _id: username, archived: false });
+    if (foundUser && foundUser.provider === 'local') {
+      return await LocalStrategy.handleBasicAuth(req, res, username, password);
+    }
+
+    // Request tokens from the provider with the credentials of the user
+    const tokens = await requestTokens({
+      grant_type: 'password',
+      username: username,
+      password: password,
+      scope: oidcConfig.scope || 'openid profile email'
+    }, 'Invalid username or password.');
+
+    // Validate the ID token and synchronize the user with its claims
+    const claims = await verifyToken(tokens.id_token, oidcConfig.clientID);
+    return await oidcSync(claims, tokens.access_token);
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function implements handleTokenAuth() in lib/auth.js.
+ * Tokens which are JWTs are validated against the JWKS of the provider, and
+ * their user is synchronized with their claims. Any other token is a session
+ * token, which is validated by the local strategy.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {string} token - A JWT issued by the provider, or a session token.
+ *
+ * @returns {Promise} Local user object.
+ */
+async function handleTokenAuth(req, res, token) {
+  // Session tokens are validated locally
+  if (token.split('.').length !== 3) {
+    return LocalStrategy.handleTokenAuth(req, res, token);
+  }
+
+  try {
+    // Validate the JWT and synchronize the user with its claims
+    const claims = await verifyToken(token, oidcConfig.audience || oidcConfig.clientID);
+    return await oidcSync(claims, token);
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function implements doLogin() in lib/auth.js. The session
+ * token is generated by the local strategy.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Callback to express authentication.
+ */
+function doLogin(req, res, next) {
+  LocalStrategy.doLogin(req, res, next);
+}
+
+/**
+ * @description Validates a users password with set rules.
+ *
+ * @param {string} password - Password to validate.
+ * @param {string} provider - The type of authentication strategy (local, oidc).
+ *
+ * @returns {boolean} If password is correctly validated.
+ */
+function validatePassword(password, provider) {
+  // Use the appropriate provider rules
+  switch (provider) {
+    case 'local':
+      // Use default for local provider
+      return LocalStrategy.validatePassword(password);
+    case 'oidc':
+      // Passwords of OIDC users are not stored locally
+      return true;
+    default:
+      // Unknown provider, failed validation
+      // Explicitly NOT logging error to avoid password logging
+      throw new M.ServerError(`Unknown provider: ${provider}`, 'warn');
+  }
+}
+
+/**
+ * @description Starts the authorization code flow. Generates the state, nonce
+ * and PKCE code verifier of the login attempt, stores them in the session and
+ * returns the URL of the authorization endpoint of the provider, which redirects
+ * the user back to the configured redirect URI with an authorization code.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ *
+ * @returns {Promise<string>} The URL the user is redirected to.
+ */
+async function getAuthorizationURL(req, res) {
+  const config = await getDiscovery();
+
+  // Store the state of the login attempt in the session
+  const verifier = base64url(crypto.randomBytes(32));
+  req.session.oidc = {
+    state: crypto.randomBytes(16).toString('hex'),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    verifier: verifier
+  };
+
+  const url = new URL(config.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', oidcConfig.clientID);
+  url.searchParams.set('redirect_uri', oidcConfig.redirectURI);
+  url.searchParams.set('scope', oidcConfig.scope || 'openid profile email');
+  url.searchParams.set('state', req.session.oidc.state);
+  url.searchParams.set('nonce', req.session.oidc.nonce);
+  url.searchParams.set('code_challenge',
+    base64url(crypto.createHash('sha256').update(verifier).digest()));
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+/**
+ * @description Completes the authorization code flow. Ensures the state matches
+ * the state stored in the session, exchanges the authorization code for tokens
+ * and synchronizes the user with the claims of the ID token.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {string} code - The authorization code returned by the provider.
+ * @param {string} state - The state returned by the provider.
+ *
+ * @returns {Promise} Authenticated user object.
+ */
+async function handleCodeAuth(req, res, code, state) {
+  try {
+    // Ensure the login attempt was started in this session
+    const attempt = req.session.oidc;
+    delete req.session.oidc;
+    if (!attempt || typeof state !== 'string' || state !== attempt.state) {
+      throw new M.AuthorizationError('Invalid authorization state.', 'warn');
+    }
+
+    // Exchange the authorization code for tokens
+    const tokens = await requestTokens({
+      grant_type: 'authorization_code',
+      code: code,
+      redirect_uri: oidcConfig.redirectURI,
+      code_verifier: attempt.verifier
+    }, 'Invalid authorization code.');
+
+    // Validate the ID token and synchronize the user with its claims
+    const claims = await verifyToken(tokens.id_token, oidcConfig.clientID, attempt.nonce);
+    return await oidcSync(claims, tokens.access_token);
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/* ------------------------( OIDC Helper Functions )--------------------------*/
+/**
+ * @description Sends a request to the provider and resolves the parsed JSON
+ * body of its response.
+ *
+ * @param {object} options - The options of the request.
+ *
+ * @returns {Promise<object>} The status code and body of the response.
+ */
+function sendRequest(options) {
+  return new Promise((resolve, reject) => {
+    request(Object.assign({ json: true, timeout: 10000 }, options), (err, response, body) => {
+      if (err) {
+        M.log.error(`OIDC request to ${options.url} failed: ${err.message}`);
+        return reject(new M.ServerError('Failed to connect to the OIDC provider.', 'warn'));
+      }
+      return resolve({ statusCode: response.statusCode, body: body });
+    });
+  });
+}
+
+/**
+ * @description Finds the discovery document of the provider, which lists its
+ * endpoints. The document is fetched once and cached.
+ *
+ * @returns {Promise<object>} The discovery document of the provider.
+ */
+async function getDiscovery() {
+  if (!discovery) {
+    const issuer = oidcConfig.issuer.replace(/\/$/, '');
+    const response = await sendRequest({ url: `${issuer}/.well-known/openid-configuration` });
+    if (response.statusCode !== 200 || !response.body
+      || String(response.body.issuer).replace(/\/$/, '') !== issuer) {
+      throw new M.ServerError('Failed to find the configuration of the OIDC provider.', 'warn');
+    }
+    discovery = response.body;
+  }
+  return discovery;
+}
+
+/**
+ * @description Finds a public key of the provider by its key ID. The JWKS of
+ * the provider is cached, and fetched again when a key is not found, since
+ * providers rotate their keys. The JWKS is fetched at most once a minute, so
+ * that tokens with unknown key IDs cannot make every request reach the
+ * provider.
+ *
+ * @param {string} kid - The ID of the key.
+ *
+ * @returns {Promise<string>} The public key, in PEM format.
+ */
+async function getKey(kid) {
+  let jwk = jwks.find(k => k.kid === kid);
+  if (!jwk && Date.now() - jwksFetchedOn >= jwksRefreshInterval) {
+    const config = await getDiscovery();
+    const response = await sendRequest({ url: config.jwks_uri });
+    if (response.statusCode !== 200 || !response.body || !Array.isArray(response.body.keys)) {
+      throw new M.ServerError('Failed to find the keys of the OIDC provider.', 'warn');
+    }
+    jwks = response.body.keys;
+    jwksFetchedOn = Date.now();
+    jwk = jwks.find(k => k.kid === kid);
+  }
+  if (!jwk) {
+    throw new M.AuthorizationError(`Signing key [${kid}] not found.`, 'warn');
+  }
+  return toPEM(jwk);
+}
+
+/**
+ * @description Converts an RSA or EC public key in JWK format to a public key
+ * in PEM format, which every supported version of Node can verify signatures
+ * with.
+ *
+ * @param {object} jwk - The public key.
+ *
+ * @returns {string} The public key, in PEM format.
+ */
+function toPEM(jwk) {
+  let algorithm;
+  let publicKey;
+  if (jwk.kty === 'RSA' && jwk.n && jwk.e) {
+    algorithm = Buffer.from(keyAlgorithms.RSA, 'hex');
+    publicKey = der(0x30, Buffer.concat([derInteger(Buffer.from(jwk.n, 'base64')),
+      derInteger(Buffer.from(jwk.e, 'base64'))]));
+  }
+  else if (jwk.kty === 'EC' && curves.hasOwnProperty(jwk.crv) && jwk.x && jwk.y) {
+    algorithm = Buffer.from(keyAlgorithms.EC + curves[jwk.crv], 'hex');
+    // An uncompressed point of the curve
+    publicKey = Buffer.concat([Buffer.from([0x04]), Buffer.from(jwk.x, 'base64'),
+      Buffer.from(jwk.y, 'base64')]);
+  }
+  else {
+    throw new M.AuthorizationError(`Unsupported signing key [${jwk.kid}].`, 'warn');
+  }
+
+  const spki = der(0x30, Buffer.concat([der(0x30, algorithm),
+    der(0x03, Buffer.concat([Buffer.from([0x00]), publicKey]))]));
+  return `-----BEGIN PUBLIC KEY-----\n${spki.toString('base64').match(/.{1,64}/g).join('\n')}`
+    + '\n-----END PUBLIC KEY-----\n';
+}
+
+/**
+ * @description Converts an ECDSA signature of a JWT, which is the
+ * concatenation of the integers r and s, to the DER encoding used by OpenSSL.
+ *
+ * @param {Buffer} signature - The signature of the JWT.
+ *
+ * @returns {Buffer} The DER encoded signature.
+ */
+function toDERSignature(signature) {
+  const half = signature.length / 2;
+  return der(0x30, Buffer.concat([derInteger(signature.slice(0, half)),
+    derInteger(signature.slice(half))]));
+}
+
+/**
+ * @description Encodes a DER value with its tag and length.
+ *
+ * @param {number} tag - The tag of the value.
+ * @param {Buffer} content - The encoded content of the value.
+ *
+ * @returns {Buffer} The encoded value.
+ */
+function der(tag, content) {
+  const header = [tag];
+  if (content.length < 0x80) {
+    header.push(content.length);
+  }
+  else {
+    // Longer lengths are encoded as the number of bytes of the length, then its bytes
+    const bytes = [];
+    for (let length = content.length; length > 0; length = Math.floor(length / 256)) {
+      bytes.unshift(length % 256);
+    }
+    header.push(0x80 + bytes.length, ...bytes);
+  }
+  return Buffer.concat([Buffer.from(header), content]);
+}
+
+/**
+ * @description Encodes an unsigned big-endian integer as a DER integer.
+ *
+ * @param {Buffer} bytes - The bytes of the integer.
+ *
+ * @returns {Buffer} The encoded integer.
+ */
+function derInteger(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  let value = bytes.slice(start);
+  // A leading zero keeps integers with the high bit set positive
+  if (value[0] >= 0x80) {
+    value = Buffer.concat([Buffer.from([0x00]), value]);
+  }
+  return der(0x02, value);
+}
+
+/**
+ * @description Requests tokens from the token endpoint of the provider, with
+ * the credentials of the client.
+ *
+ * @param {object} form - The parameters of the grant.
+ * @param {string} message - The message of the error thrown if the provider
+ * does not return tokens.
+ *
+ * @returns {Promise<object>} The tokens returned by the provider.
+ */
+async function requestTokens(form, message) {
+  const config = await getDiscovery();
+  const response = await sendRequest({
+    method: 'POST',
+    url: config.token_endpoint,
+    form: Object.assign({
+      client_id: oidcConfig.clientID,
+      client_secret: oidcConfig.clientSecret
+    }, form)
+  });
+
+  if (response.statusCode !== 200 || !response.body || !response.body.id_token) {
+    M.log.warn(`OIDC token request failed with status ${response.statusCode}.`);
+    throw new M.AuthorizationError(message, 'warn');
+  }
+  return response.body;
+}
+
+/**
+ * @description Validates a JWT issued by the provider. The signature must be
+ * valid for a key in the JWKS of the provider, the token must be issued by the
+ * configured issuer for the expected audience, and the token must not have
+ * expired.
+ *
+ * @param {string} token - The JWT.
+ * @param {string} audience - The expected audience of the token.
+ * @param {string} [nonce] - The expected nonce of an ID token.
+ *
+ * @returns {Promise<object>} The claims of the token.
+ */
+async function verifyToken(token, audience, nonce) {
+  const parts = (typeof token === 'string') ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new M.AuthorizationError('Invalid token.', 'warn');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+    claims = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+  }
+  catch (error) {
+    throw new M.AuthorizationError('Invalid token.', 'warn');
+  }
+
+  // Verify the signature of the token
+  if (!algorithms.hasOwnProperty(header.alg)) {
+    throw new M.AuthorizationError(`Unsupported token algorithm [${header.alg}].`, 'warn');
+  }
+  const key = await getKey(header.kid);
+  let signature = Buffer.from(parts[2], 'base64');
+  let valid = false;
+  try {
+    if (header.alg.startsWith('ES')) {
+      signature = toDERSignature(signature);
+    }
+    valid = crypto.createVerify(algorithms[header.alg]).update(`${parts[0]}.${parts[1]}`)
+    .verify(key, signature);
+  }
+  catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    throw new M.AuthorizationError('Invalid token signature.', 'warn');
+  }
+
+  // Verify the claims of the token, allowing a minute of clock skew
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = [].concat(claims.aud);
+  if (String(claims.iss).replace(/\/$/, '') !== oidcConfig.issuer.replace(/\/$/, '')) {
+    throw new M.AuthorizationError('Invalid token issuer.', 'warn');
+  }
+  if (!audiences.includes(audience)) {
+    throw new M.AuthorizationError('Invalid token audience.', 'warn');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + 60 < now
+    || (typeof claims.nbf === 'number' && claims.nbf - 60 > now)) {
+    throw new M.AuthorizationError('Token is expired or session is invalid.', 'warn');
+  }
+  if (nonce && claims.nonce !== nonce) {
+    throw new M.AuthorizationError('Invalid token nonce.', 'warn');
+  }
+
+  return claims;
+}
+
+/**
+ * @description Synchronizes the user of an OIDC token with the database. The
+ * claims are mapped to user fields with the claims in the configuration. If
+ * the token does not contain the username claim, as is common for access tokens,
+ * the claims are found with the userinfo endpoint of the provider. New users
+ * are created with the provider "oidc" and added to the default org, and
+ * existing users are updated if their claims changed. Local users cannot be
+ * authenticated by the provider.
+ *
+ * @param {object} claims - The claims of the token.
+ * @param {string} accessToken - The access token used to find the claims of
+ * the user with the userinfo endpoint.
+ *
+ * @returns {Promise<User>} Synchronized user model object.
+ */
+async function oidcSync(claims, accessToken) {
+  M.log.debug('Synchronizing OIDC user with local database.');
+  const mapping = oidcConfig.claims;
+
+  // Find the claims of the user if the token does not contain them
+  if (!claims[mapping.username]) {
+    const config = await getDiscovery();
+    const response = await sendRequest({ url: config.userinfo_endpoint,
+      headers: { Authorization: `Bearer ${accessToken}` } });
+    if (response.statusCode !== 200 || !response.body || response.body.sub !== claims.sub) {
+      throw new M.AuthorizationError('Failed to find the claims of the user.', 'warn');
+    }
+    claims = response.body; // eslint-disable-line no-param-reassign
+  }
+
+  const username = sani.db(claims[mapping.username]);
+  const userData = {
+    fname: claims[mapping.firstName] || '',
+    preferredName: claims[mapping.preferredName || mapping.firstName] || '',
+    lname: claims[mapping.lastName] || '',
+    email: claims[mapping.email] || ''
+  };
+
+  let foundUser;
+  try {
+    // Search for user in database
+    foundUser = await User.findOne({ _id: username });
+  }
+  catch (error) {
+    throw new M.DatabaseError('Search query on user failed', 'warn');
+  }
+
+  // Only users created by the provider can be authenticated by it, so that the
+  // accounts of local and LDAP users cannot be taken over. Archived users are rejected.
+  if (foundUser && (foundUser.provider !== 'oidc' || foundUser.archived)) {
+    throw new M.AuthorizationError('Invalid username or password.', 'warn');
+  }
+
+  try {
+    // If the user was found, update it with the claims if they changed
+    if (foundUser) {
+      if (Object.keys(userData).every(key => foundUser[key] === userData[key])) {
+        return foundUser;
+      }
+      await User.updateOne({ _id: username }, userData);
+      return await User.findOne({ _id: username });
+    }
+  }
+  catch (error) {
+    M.log.error(error.message);
+    throw new M.DatabaseError('Could not save user data to database', 'warn');
+  }
+
+  let userObject;
+  try {
+    // User not found, create a new one
+    userObject = (await User.insertMany(Object.assign({
+      _id: username,
+      provider: 'oidc',
+      changePassword: false
+    }, userData)))[0];
+  }
+  catch (error) {
+    M.log.error(error.message);
+    throw new M.DatabaseError('Could not save user data to database', 'warn');
+  }
+  // If user created, emit users-created
+  await EventEmitter.emit('users-created', { actor: userObject, after: [userObject] });
+
+  try {
+    // Add the user to the default org
+    const defaultOrg = await Organization.findOne({ _id: M.config.server.defaultOrganizationId });
+    defaultOrg.permissions[userObject._id] = ['read', 'write'];
+    await Organization.updateOne({ _id: M.config.server.defaultOrganizationId },
+      { permissions: defaultOrg.permissions });
+  }
+  catch (error) {
+    M.log.error(error.message);
+    throw new M.DatabaseError('Could not save new user permissions to database', 'warn');
+  }
+
+  return userObject;
+}
+
+/**
+ * @description Encodes a buffer as base64url, which is base64 with URL safe
+ * characters and without padding.
+ *
+ * @param {Buffer} buffer - The buffer to encode.
+ *
+ * @returns {string} The base64url encoded buffer.
+ */
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -26,6 +26,7 @@
 // Node modules
 const fs = require('fs');
 const path = require('path');
+const querystring = require('querystring');
 
 // NPM modules
 const swaggerJSDoc = require('swagger-jsdoc');
@@ -34,10 +35,13 @@ const upload = multer().single('file');
 
 // MBEE modules
 const ArtifactController = M.require('controllers.artifact-controller');
+const AuditController = M.require('controllers.audit-controller');
 const ElementController = M.require('controllers.element-controller');
+const GroupController = M.require('controllers.group-controller');
 const BranchController = M.require('controllers.branch-controller');
 const OrgController = M.require('controllers.organization-controller');
 const ProjectController = M.require('controllers.project-controller');
+const TokenController = M.require('controllers.token-controller');
 const UserController = M.require('controllers.user-controller');
 const User = M.require('models.user');
 const WebhookController = M.require('controllers.webhook-controller');
@@ -49,6 +53,7 @@ const logger = M.require('lib.logger');
 const permissions = M.require('lib.permissions');
 const publicData = M.require('lib.get-public-data');
 const sani = M.require('lib.sanitization');
+const tableConversions = M.require('lib.table-conversions');
 const utils = M.require('lib.utils');
 
 
@@ -59,6 +64,7 @@ module.exports = {
   test,
   version,
   getLogs,
+  getAudit,
   getOrgs,
   postOrgs,
   putOrgs,
@@ -80,6 +86,10 @@ module.exports = {
   putProject,
   patchProject,
   deleteProject,
+  getTypeProfiles,
+  patchTypeProfiles,
+  putTypeProfile,
+  deleteTypeProfile,
   getUsers,
   postUsers,
   putUsers,
@@ -93,17 +103,37 @@ module.exports = {
   deleteUser,
   whoami,
   patchPassword,
+  postUserUnlock,
+  postTwoFactor,
+  postTwoFactorConfirm,
+  deleteTwoFactor,
+  getTokens,
+  postTokens,
+  deleteTokens,
+  deleteToken,
+  getGroups,
+  postGroups,
+  patchGroups,
+  deleteGroups,
+  getGroup,
+  postGroup,
+  patchGroup,
+  deleteGroup,
   getElements,
   postElements,
   putElements,
   patchElements,
   deleteElements,
   searchElements,
+  searchAllElements,
   getElement,
   postElement,
   putElement,
   patchElement,
   deleteElement,
+  getElementHistory,
+  postElementLock,
+  deleteElementLock,
   getBranches,
   postBranches,
   patchBranches,
@@ -112,6 +142,12 @@ module.exports = {
   patchBranch,
   postBranch,
   deleteBranch,
+  getBranchDiff,
+  postBranchMerge,
+  getBranchProtection,
+  patchBranchProtection,
+  getBranchXMI,
+  postBranchXMI,
   getArtifacts,
   patchArtifacts,
   postArtifacts,
@@ -132,6 +168,8 @@ module.exports = {
   getWebhook,
   patchWebhook,
   deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook,
   triggerWebhook,
   invalidRoute
 };
@@ -157,6 +195,392 @@ function formatJSON(obj, minified = false) {
   }
 }
 
+/**
+ * @description This is a utility function that sets the page information of
+ * found documents in the response headers. If there is a next page, its cursor
+ * is set in the header X-Next-Cursor, and a Link header with the rel "next"
+ * is set to the URL of the next page. If the total count was requested, it is
+ * set in the header X-Total-Count.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {object[]} docs - The found documents, returned by a controller's
+ * find function.
+ */
+function setPageHeaders(req, res, docs) {
+  const pageInfo = docs.pageInfo || {};
+
+  // Set the total count, if requested
+  if (pageInfo.hasOwnProperty('total')) {
+    res.header('X-Total-Count', String(pageInfo.total));
+  }
+
+  // Set the cursor and URL of the next page
+  if (pageInfo.next) {
+    const query = Object.assign({}, req.query, { after: pageInfo.next });
+    // The cursor replaces skip, which would otherwise be applied to every page
+    delete query.skip;
+    const url = `${req.originalUrl.split('?')[0]}?${querystring.stringify(query)}`;
+
+    res.header('X-Next-Cursor', pageInfo.next);
+    res.header('Link', `<${url}>; rel="next"`);
+  }
+}
+
+/**
+ * @description This is a utility function that sets the ETag header of a
+ * response to the revision of a document. The revision can be sent back in the
+ * If-Match header of a request to only modify the document if it has not been
+ * changed since.
+ *
+ * @param {object} res - Response express object.
+ * @param {object} doc - The found or updated document.
+ */
+function setETag(res, doc) {
+  // The revision is unknown if the dates were excluded from the document
+  if (doc && (doc.updatedOn || doc.createdOn)) {
+    res.header('ETag', `"${utils.getRevision(doc)}"`);
+  }
+}
+
+/**
+ * @description This is a utility function that returns the revisions in the
+ * If-Match header of a request. If-Match uses the strong comparison of entity
+ * tags (RFC 7232), so weak tags are returned as they were sent, and never match
+ * a revision.
+ *
+ * @param {object} req - Request express object.
+ *
+ * @returns {(string[]|undefined)} The revisions, or undefined if the header was
+ * not provided or matches any revision.
+ */
+function getIfMatch(req) {
+  const header = (req.headers || {})['if-match'];
+  if (typeof header !== 'string' || header.trim() === '') return undefined;
+
+  const revisions = header.split(',').map(t => t.trim())
+  .map(t => ((t.startsWith('W/')) ? t : t.replace(/^"(.*)"$/, '$1')));
+  return (revisions.includes('*')) ? undefined : revisions;
+}
+
+/**
+ * @description This is a utility function that passes the revisions in the
+ * If-Match header of a request to a controller, in the field _rev of the body.
+ * The controller only updates the document if it has one of the revisions.
+ *
+ * @param {object} req - Request express object.
+ */
+function applyIfMatch(req) {
+  const revisions = getIfMatch(req);
+  if (revisions) {
+    req.body._rev = revisions;
+  }
+}
+
+/**
+ * @description This is a utility function that ensures a document has not
+ * changed since the revisions in the If-Match header of a request. The
+ * document is only found if the header was provided.
+ *
+ * @param {object} req - Request express object.
+ * @param {string} id - The ID of the document.
+ * @param {Function} findDocs - A function which finds the document, returning
+ * a promise of an array of documents.
+ *
+ * @throws {PreconditionError}
+ */
+async function checkIfMatch(req, id, findDocs) {
+  const revisions = getIfMatch(req);
+  if (!revisions) return;
+
+  const docs = await findDocs();
+  const current = (docs.length > 0) ? utils.getRevision(docs[0]) : null;
+  if (!revisions.includes(current)) {
+    const error = new M.PreconditionError(`[${id}] has changed since it was read.`, 'warn');
+    error.conflicts = [{ id: id, revisions: revisions, current: current }];
+    throw error;
+  }
+}
+
+/**
+ * @description This is a utility function that formats the response of an
+ * error thrown while modifying documents. If documents have changed since the
+ * revisions they were modified with, the conflicts are returned as JSON along
+ * with the message, containing the ID, the provided revisions and the current
+ * revision of each document.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Error} error - The error which was thrown.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ *
+ * @returns {Function} The result of the next middleware.
+ */
+function formatErrorResponse(req, res, error, next) {
+  if (!Array.isArray(error.conflicts)) {
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  const json = formatJSON({ message: error.message, conflicts: error.conflicts });
+  utils.formatResponse(req, res, json, errors.getStatusCode(error));
+  res.header('Content-Type', 'application/json');
+  return next();
+}
+
+/**
+ * @description This is a utility function that returns the spreadsheet format
+ * of a request body, based on its content type.
+ *
+ * @param {object} req - Request express object.
+ *
+ * @returns {(string|undefined)} Either 'csv' or 'xlsx', or undefined if the
+ * body is not a spreadsheet.
+ */
+function getTableFormat(req) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+  if (contentType === 'text/csv') return 'csv';
+  if (contentType === tableConversions.xlsxContentType) return 'xlsx';
+  return undefined;
+}
+
+/**
+ * @description This is a utility function that sets the response to a CSV or
+ * xlsx spreadsheet of elements. Custom data is flattened into a column per
+ * field. Spreadsheets are downloaded rather than displayed, and their values
+ * are not sanitized as HTML so that they can be imported without changes.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {object[]} elements - The elements in the spreadsheet.
+ * @param {object} options - The options used to find the elements.
+ * @param {string} format - The format of the spreadsheet, either csv or xlsx.
+ */
+function setElementTable(req, res, elements, options, format) {
+  const table = tableConversions.elementsToTable(
+    elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+  );
+
+  // Set filename
+  res.header('Content-Disposition', `attachment; filename=elements.${format}`);
+
+  // Sets the message to the spreadsheet and the status code to 200
+  res.locals = {
+    message: (format === 'csv') ? tableConversions.toCSV(table) : tableConversions.toXLSX(table),
+    statusCode: 200,
+    contentType: (format === 'csv') ? 'text/csv' : tableConversions.xlsxContentType
+  };
+}
+
+/**
+ * @description This is a utility function that creates or updates the
+ * elements in a CSV or xlsx spreadsheet in the body of a request. Each row of
+ * the spreadsheet is an element. Rows which fail validation are reported with
+ * their row number instead of failing the entire import.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ * @param {string} format - The format of the spreadsheet, either csv or xlsx.
+ * @param {object} options - The parsed query options.
+ * @param {boolean} minified - Whether or not to minify the response.
+ * @param {boolean} update - If true, the elements are updated rather than created.
+ *
+ * @returns {Promise} Resolves once the response is set.
+ */
+async function importElementTable(req, res, next, format, options, minified, update) {
+  try {
+    // Convert the rows of the spreadsheet into elements
+    const table = (format === 'csv')
+      ? tableConversions.parseCSV(req.body)
+      : tableConversions.parseXLSX(req.body);
+    const converted = tableConversions.tableToElements(table);
+
+    // Import the elements
+    // NOTE: importElements() sanitizes input params
+    const result = await ElementController.importElements(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, converted.elements,
+      Object.assign({ update: update }, options));
+
+    // Report the row number of each element which failed
+    const report = sani.html({
+      elements: result.elements.map(e => publicData.getPublicData(req.user, e, 'element',
+        options)),
+      errors: result.errors.map(e => ({
+        row: converted.rows[e.index],
+        id: e.id,
+        message: e.message
+      }))
+    });
+
+    // Sets the message to the import report and the status code to 200
+    res.locals = {
+      message: formatJSON(report, minified),
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * @description This is a utility function that checks whether a request body
+ * is newline delimited JSON, based on its content type.
+ *
+ * @param {object} req - Request express object.
+ *
+ * @returns {boolean} True if the body is newline delimited JSON.
+ */
+function isNDJSON(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim() === 'application/x-ndjson';
+}
+
+/**
+ * @description This is a utility function that streams elements as newline
+ * delimited JSON. The elements are read from a database cursor and written to
+ * the response as they are read, one element per line, so that the elements
+ * never have to be held in memory at once. Errors which occur before the first
+ * element is written are returned as a normal error response. Once streaming
+ * has started the status can no longer change, so later errors are logged and
+ * end the response early.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ * @param {string[]} [elemIDs] - The IDs of the elements to stream.
+ * @param {object} options - The parsed query options.
+ *
+ * @returns {Promise} Resolves once every element has been written.
+ */
+async function streamElements(req, res, next, elemIDs, options) {
+  let cursor;
+  let element;
+  try {
+    // Open a cursor over the elements
+    // NOTE: findCursor() sanitizes input params
+    cursor = await ElementController.findCursor(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, elemIDs, options);
+    element = await cursor.next();
+
+    // Verify at least one element was found
+    if (element === null) {
+      throw new M.NotFoundError('No elements found.', 'warn');
+    }
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Stop streaming if the client closes the connection
+  let closed = false;
+  res.once('close', () => { closed = true; });
+
+  res.status(200);
+  res.header('Content-Type', 'application/x-ndjson');
+  try {
+    while (element !== null && !closed) {
+      const line = JSON.stringify(sani.html(
+        publicData.getPublicData(req.user, element, 'element', options)
+      ));
+
+      // If the response buffer is full, wait for it to drain before reading more
+      if (!res.write(`${line}\n`)) {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve) => {
+          const done = () => {
+            res.removeListener('drain', done);
+            res.removeListener('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+      element = await cursor.next(); // eslint-disable-line no-await-in-loop
+    }
+  }
+  catch (error) {
+    M.log.error('Failed to stream elements.');
+    M.log.error(error);
+  }
+  await cursor.close();
+  res.end();
+
+  // Mark the response as sent, so that it is only logged
+  res.locals = {
+    message: '',
+    statusCode: 200,
+    streamed: true
+  };
+  next();
+}
+
+/**
+ * @description This is a utility function that creates or replaces the
+ * elements in a newline delimited JSON request body. The body is read from
+ * the request stream and the elements are created in batches as they are
+ * read, rather than parsing the entire body at once. Each batch is created
+ * after the previous one, so elements must follow the elements they
+ * reference, such as their parent. Each batch is committed on its own, so the
+ * response reports the number of elements in each committed batch rather than
+ * the elements themselves. If a batch fails after others were committed, the
+ * import stops and the failed batch and its error are added to the report.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ * @param {Function} next - Middleware callback to trigger the next function.
+ * @param {object} options - The parsed query options.
+ * @param {boolean} minified - Whether or not to minify the response.
+ * @param {boolean} replace - If true, the elements are created or replaced
+ * rather than created.
+ *
+ * @returns {Promise} Resolves once the response is set.
+ */
+async function importElementStream(req, res, next, options, minified, replace) {
+  const report = { elements: 0, batches: [] };
+  let current = null;
+  try {
+    const batchSize = (M.config.server.api.ndjson && M.config.server.api.ndjson.batchSize)
+      || 1000;
+
+    await utils.handleNDJSON(req, batchSize, async (batch, firstLine) => {
+      current = { batch: report.batches.length + 1, firstLine: firstLine };
+
+      // Create the elements of the batch
+      // NOTE: create() and createOrReplace() sanitize input params
+      const elements = (replace)
+        ? await ElementController.createOrReplace(req.user, req.params.orgid,
+          req.params.projectid, req.params.branchid, batch, Object.assign({}, options))
+        : await ElementController.create(req.user, req.params.orgid,
+          req.params.projectid, req.params.branchid, batch, Object.assign({}, options));
+
+      report.batches.push(Object.assign(current, { elements: elements.length }));
+      report.elements += elements.length;
+      current = null;
+    });
+  }
+  catch (error) {
+    // If no batch was committed, return the error and its status
+    if (report.batches.length === 0) {
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+
+    // Otherwise report the committed batches along with the failed batch
+    report.error = Object.assign(current || { batch: report.batches.length + 1 },
+      { message: error.message });
+  }
+
+  // Sets the message to the import report and the status code to 200
+  res.locals = {
+    message: formatJSON(sani.html(report), minified),
+    statusCode: 200
+  };
+  next();
+}
+
 /**
  * @description Generates the Swagger specification based on the Swagger JSDoc
  * in the API routes file.
@@ -373,6 +797,88 @@ function getLogs(req, res, next) {
   next();
 }
 
+/**
+ * GET /api/audit
+ *
+ * @description Returns the records of the audit log, from newest to oldest by
+ * default. Reserved for system-wide admins only.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the audit records' public data.
+ */
+async function getAudit(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    actor: 'string',
+    action: 'string',
+    type: 'string',
+    target: 'string',
+    from: 'string',
+    to: 'string',
+    limit: 'number',
+    skip: 'number',
+    sort: 'string',
+    after: 'string',
+    count: 'boolean',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Get the audit records
+    const records = await AuditController.find(req.user, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, records);
+
+    const publicRecordData = sani.html(
+      records.map(r => publicData.getPublicData(req.user, r, 'audit', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(publicRecordData, minified);
+
+    // Sets the message to the public audit record data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
 /* ----------------------( Organization API Endpoints )---------------------- */
 /**
  * GET /api/orgs
@@ -407,6 +913,8 @@ async function getOrgs(req, res, next) {
     limit: 'number',
     skip: 'number',
     sort: 'string',
+    after: 'string',
+    count: 'boolean',
     ids: 'array',
     minified: 'boolean',
     name: 'string',
@@ -462,6 +970,8 @@ async function getOrgs(req, res, next) {
     // Get all organizations the requesting user has access to
     // NOTE: find() sanitizes arrOrgID.
     const orgs = await OrgController.find(req.user, ids, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, orgs);
     // Verify orgs array is not empty
     if (orgs.length === 0) {
       throw new M.NotFoundError('No orgs found.', 'warn');
@@ -659,7 +1169,7 @@ async function putOrgs(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -746,7 +1256,7 @@ async function patchOrgs(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -885,6 +1395,9 @@ async function getOrg(req, res, next) {
       orgs.map(o => publicData.getPublicData(req.user, o, 'org', options))
     );
 
+    // Set the revision of the org in the ETag header
+    setETag(res, orgs[0]);
+
     // Format JSON
     const json = formatJSON(orgsPublicData[0], minified);
 
@@ -1048,6 +1561,9 @@ async function putOrg(req, res, next) {
   // Set the org ID in the body equal req.params.orgid
   req.body.id = req.params.orgid;
 
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -1063,6 +1579,9 @@ async function putOrg(req, res, next) {
       orgs.map(o => publicData.getPublicData(req.user, o, 'org', options))
     );
 
+    // Set the revision of the org in the ETag header
+    setETag(res, orgs[0]);
+
     // Format JSON
     const json = formatJSON(orgsPublicData[0], minified);
 
@@ -1075,7 +1594,7 @@ async function putOrg(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -1136,6 +1655,9 @@ async function patchOrg(req, res, next) {
   // Set body org id
   req.body.id = req.params.orgid;
 
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -1151,6 +1673,9 @@ async function patchOrg(req, res, next) {
       orgs.map(o => publicData.getPublicData(req.user, o, 'org', options))
     );
 
+    // Set the revision of the org in the ETag header
+    setETag(res, orgs[0]);
+
     // Format JSON
     const json = formatJSON(orgsPublicData[0], minified);
 
@@ -1163,7 +1688,7 @@ async function patchOrg(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -1213,6 +1738,10 @@ async function deleteOrg(req, res, next) {
   }
 
   try {
+    // Ensure the org has not changed since the revision in the If-Match header
+    await checkIfMatch(req, req.params.orgid, () => OrgController.find(req.user, req.params.orgid,
+      { includeArchived: true }));
+
     // Remove the specified organization
     // NOTE: remove() sanitizes req.params.orgid
     const orgIDs = await OrgController.remove(req.user, req.params.orgid, options);
@@ -1230,7 +1759,7 @@ async function deleteOrg(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -1264,6 +1793,8 @@ async function getAllProjects(req, res, next) {
     limit: 'number',
     skip: 'number',
     sort: 'string',
+    after: 'string',
+    count: 'boolean',
     minified: 'boolean',
     name: 'string',
     visibility: 'string',
@@ -1304,6 +1835,8 @@ async function getAllProjects(req, res, next) {
   try {
     // Get all projects the requesting user has access to
     const projects = await ProjectController.find(req.user, null, undefined, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, projects);
     // Verify project array is not empty
     if (projects.length === 0) {
       throw new M.NotFoundError('No projects found.', 'warn');
@@ -1361,6 +1894,8 @@ async function getProjects(req, res, next) {
     skip: 'number',
     ids: 'array',
     sort: 'string',
+    after: 'string',
+    count: 'boolean',
     minified: 'boolean',
     name: 'string',
     visibility: 'string',
@@ -1417,6 +1952,8 @@ async function getProjects(req, res, next) {
     // Get all projects the requesting user has access to in a specified org
     // NOTE: find() sanitizes req.params.orgid and ids
     const projects = await ProjectController.find(req.user, req.params.orgid, ids, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, projects);
 
     // Verify project array is not empty
     if (projects.length === 0) {
@@ -1614,7 +2151,7 @@ async function putProjects(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -1701,7 +2238,7 @@ async function patchProjects(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -1842,6 +2379,9 @@ async function getProject(req, res, next) {
       projects.map(p => publicData.getPublicData(req.user, p, 'project', options))
     );
 
+    // Set the revision of the project in the ETag header
+    setETag(res, projects[0]);
+
     // Format JSON
     const json = formatJSON(publicProjectData[0], minified);
 
@@ -2004,6 +2544,9 @@ async function putProject(req, res, next) {
   // Set the orgid in req.body in case it wasn't provided
   req.body.id = req.params.projectid;
 
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -2019,6 +2562,9 @@ async function putProject(req, res, next) {
       projects.map(p => publicData.getPublicData(req.user, p, 'project', options))
     );
 
+    // Set the revision of the project in the ETag header
+    setETag(res, projects[0]);
+
     // Format JSON
     const json = formatJSON(publicProjectData[0], minified);
 
@@ -2031,7 +2577,7 @@ async function putProject(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -2092,6 +2638,9 @@ async function patchProject(req, res, next) {
   // Set the orgid in req.body in case it wasn't provided
   req.body.id = req.params.projectid;
 
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -2107,6 +2656,9 @@ async function patchProject(req, res, next) {
       projects.map(p => publicData.getPublicData(req.user, p, 'project', options))
     );
 
+    // Set the revision of the project in the ETag header
+    setETag(res, projects[0]);
+
     // Format JSON
     const json = formatJSON(publicProjectData[0], minified);
 
@@ -2119,7 +2671,7 @@ async function patchProject(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -2169,6 +2721,10 @@ async function deleteProject(req, res, next) {
   }
 
   try {
+    // Ensure the project has not changed since the revision in the If-Match header
+    await checkIfMatch(req, req.params.projectid, () => ProjectController.find(req.user,
+      req.params.orgid, req.params.projectid, { includeArchived: true }));
+
     // Remove the specified project
     // NOTE: remove() sanitizes req.params.orgid and req.params.projectid
     const projectIDs = await ProjectController.remove(req.user, req.params.orgid,
@@ -2187,23 +2743,23 @@ async function deleteProject(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
-/* -----------------------( User API Endpoints )------------------------------*/
 /**
- * GET /api/users
+ * GET /api/orgs/:orgid/projects/:projectid/types
  *
- * @description Gets multiple users by ID or all users in the system.
+ * @description Gets the type profiles of a project, and whether the project is
+ * in strict mode.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with users' public data
+ * @returns {object} Response object with the type profiles of the project
  */
-async function getUsers(req, res, next) {
+async function getTypeProfiles(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -2214,19 +2770,231 @@ async function getUsers(req, res, next) {
 
   // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    archived: 'boolean',
-    includeArchived: 'boolean',
-    fields: 'array',
-    limit: 'number',
-    skip: 'number',
-    sort: 'string',
-    usernames: 'array',
-    minified: 'boolean',
-    fname: 'string',
-    preferredName: 'string',
-    lname: 'string',
-    email: 'string',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Find the project
+    // NOTE: find() sanitizes req.params.orgid and req.params.projectid
+    const projects = await ProjectController.find(req.user, req.params.orgid,
+      req.params.projectid, options);
+    // If no project found, return 404 error
+    if (projects.length === 0) {
+      throw new M.NotFoundError(
+        `Project [${req.params.projectid}] not found.`, 'warn'
+      );
+    }
+
+    const publicProjectData = publicData.getPublicData(req.user, projects[0], 'project', {});
+
+    // Format JSON
+    const json = formatJSON(sani.html(publicProjectData.typeProfiles), minified);
+
+    // Sets the message to the type profiles and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * @description This is a utility function that changes the type profiles of
+ * the project in the request, and responds with the updated type profiles.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ * @param {object} profiles - The type profiles to change, in the format of the
+ * parameter profiles of ProjectController.updateTypeProfiles().
+ *
+ * @returns {object} Response object with the updated type profiles
+ */
+async function updateTypeProfiles(req, res, next, profiles) {
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    minified: 'boolean'
+  };
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Update the type profiles
+    // NOTE: updateTypeProfiles() sanitizes req.params.orgid, req.params.projectid
+    // and the profiles
+    const project = await ProjectController.updateTypeProfiles(req.user, req.params.orgid,
+      req.params.projectid, profiles, options);
+
+    const publicProjectData = publicData.getPublicData(req.user, project, 'project', {});
+
+    // Format JSON
+    const json = formatJSON(sani.html(publicProjectData.typeProfiles), minified);
+
+    // Sets the message to the type profiles and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * PATCH /api/orgs/:orgid/projects/:projectid/types
+ *
+ * @description Changes the strict mode and the type profiles of a project.
+ * Profiles of types which are not provided in the body are unchanged, and a
+ * profile of null removes the profile of the type.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the updated type profiles
+ */
+async function patchTypeProfiles(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  return updateTypeProfiles(req, res, next, req.body);
+}
+
+/**
+ * PUT /api/orgs/:orgid/projects/:projectid/types/:typeid
+ *
+ * @description Creates or replaces the profile of an element type.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the updated type profiles
+ */
+async function putTypeProfile(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  return updateTypeProfiles(req, res, next, { types: { [req.params.typeid]: req.body } });
+}
+
+/**
+ * DELETE /api/orgs/:orgid/projects/:projectid/types/:typeid
+ *
+ * @description Removes the profile of an element type.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the updated type profiles
+ */
+async function deleteTypeProfile(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  return updateTypeProfiles(req, res, next, { types: { [req.params.typeid]: null } });
+}
+
+/* -----------------------( User API Endpoints )------------------------------*/
+/**
+ * GET /api/users
+ *
+ * @description Gets multiple users by ID or all users in the system.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with users' public data
+ */
+async function getUsers(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    archived: 'boolean',
+    includeArchived: 'boolean',
+    fields: 'array',
+    limit: 'number',
+    skip: 'number',
+    sort: 'string',
+    after: 'string',
+    count: 'boolean',
+    usernames: 'array',
+    minified: 'boolean',
+    fname: 'string',
+    preferredName: 'string',
+    lname: 'string',
+    email: 'string',
     custom: 'string',
     createdBy: 'string',
     lastModifiedBy: 'string',
@@ -2273,6 +3041,8 @@ async function getUsers(req, res, next) {
     // Get Users
     // NOTE: find() sanitizes req.usernames
     const users = await UserController.find(req.user, usernames, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, users);
 
     const publicUserData = sani.html(
       users.map(u => publicData.getPublicData(req.user, u, 'user', options))
@@ -3285,64 +4055,35 @@ async function patchPassword(req, res, next) {
   }
 }
 
-/* -----------------------( Elements API Endpoints )------------------------- */
 /**
- * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ * POST /api/users/:username/unlock
  *
- * @description Gets all elements or get specified elements.
+ * @description Unlocks the account of a user which was locked after exceeding
+ * the allowed number of failed logins, and clears their failed logins.
+ * NOTE: System-wide admin only.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with elements' public data
+ * @returns {object} Response object with unlocked user's public data
  */
-async function getElements(req, res, next) {
+async function postUserUnlock(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
-  // Define options and ids
+  // Define options
   // Note: Undefined if not set
-  let elemIDs;
   let options;
-  let format;
   let minified = false;
 
   // Define valid option and its parsed type
   const validOptions = {
     populate: 'array',
-    archived: 'boolean',
-    includeArchived: 'boolean',
-    subtree: 'boolean',
-    depth: 'number',
     fields: 'array',
-    limit: 'number',
-    skip: 'number',
-    sort: 'string',
-    ids: 'array',
-    format: 'string',
-    minified: 'boolean',
-    parent: 'string',
-    source: 'string',
-    target: 'string',
-    type: 'string',
-    name: 'string',
-    createdBy: 'string',
-    lastModifiedBy: 'string',
-    archivedBy: 'string',
-    artifact: 'string'
+    minified: 'boolean'
   };
 
-  // Loop through req.query
-  if (req.query) {
-    Object.keys(req.query).forEach((k) => {
-      // If the key starts with custom., add it to the validOptions object
-      if (k.startsWith('custom.')) {
-        validOptions[k] = 'string';
-      }
-    });
-  }
-
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
@@ -3356,33 +4097,6 @@ async function getElements(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Check query for element IDs
-  if (options.ids) {
-    elemIDs = options.ids;
-    delete options.ids;
-  }
-  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'string')) {
-    // No IDs include in options, check body
-    elemIDs = req.body;
-  }
-  // Check element object in body
-  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'object')) {
-    elemIDs = req.body.map(p => p.id);
-  }
-
-  // Check for format conversion option
-  if (options.hasOwnProperty('format')) {
-    const validFormats = ['jmi1', 'jmi2', 'jmi3'];
-    // If the provided format is not valid, error out
-    if (!validFormats.includes(options.format)) {
-      const error = new M.DataFormatError(`The format ${options.format} is not a `
-        + 'valid format.', 'warn');
-      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-    }
-    format = options.format;
-    delete options.format;
-  }
-
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -3390,34 +4104,17 @@ async function getElements(req, res, next) {
   }
 
   try {
-    // Find elements
-    // NOTE: find() sanitizes input params
-    const elements = await ElementController.find(req.user, req.params.orgid, req.params.projectid,
-      req.params.branchid, elemIDs, options);
-    const elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    // Unlock the user
+    // NOTE: unlock() sanitizes req.params.username
+    const user = await UserController.unlock(req.user, req.params.username, options);
+    const publicUserData = sani.html(
+      publicData.getPublicData(req.user, user, 'user', options)
     );
 
-    // Verify elements public data array is not empty
-    if (elementsPublicData.length === 0) {
-      throw new M.NotFoundError('No elements found.', 'warn');
-    }
-
-    // Defaults to JMI type 1 (plain element public data)
-    let retData = elementsPublicData;
-
-    // Check for JMI conversion
-    if (format === 'jmi2') {
-      retData = jmi.convertJMI(1, 2, elementsPublicData, 'id');
-    }
-    else if (format === 'jmi3') {
-      retData = jmi.convertJMI(1, 3, elementsPublicData, 'id');
-    }
-
     // Format JSON
-    const json = formatJSON(retData, minified);
+    const json = formatJSON(publicUserData, minified);
 
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the public user data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -3431,17 +4128,20 @@ async function getElements(req, res, next) {
 }
 
 /**
- * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ * POST /api/users/:username/2fa
  *
- * @description Creates specified elements.
+ * @description Starts the enrollment of a local user in two-factor
+ * authentication, returning the provisioning URI of a new secret and the
+ * recovery codes. Users can only enroll themselves.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with created elements
+ * @returns {object} Response object with the secret, provisioning URI and
+ * recovery codes
  */
-async function postElements(req, res, next) {
+async function postTwoFactor(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -3450,12 +4150,9 @@ async function postElements(req, res, next) {
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    fields: 'array',
-    minified: 'boolean',
-    gzip: 'boolean'
+    minified: 'boolean'
   };
 
   // Sanity Check: there should always be a user in the request
@@ -3474,38 +4171,17 @@ async function postElements(req, res, next) {
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
-    delete options.minified;
-  }
-
-  // Get the element data
-  let elementData;
-  if (req.headers['content-type'] === 'application/gzip') {
-    try {
-      // This function parses incoming gzipped data
-      elementData = await utils.handleGzip(req);
-    }
-    catch (error) {
-      // Error occurred with options, report it
-      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-    }
-  }
-  else {
-    elementData = req.body;
   }
 
   try {
-    // Create the specified elements
-    // NOTE: create() sanitizes input params
-    const elements = await ElementController.create(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, elementData, options);
-    const elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
-    );
+    // Start the enrollment
+    // NOTE: enrollTwoFactor() sanitizes req.params.username
+    const enrollment = await UserController.enrollTwoFactor(req.user, req.params.username);
 
     // Format JSON
-    const json = formatJSON(elementsPublicData, minified);
+    const json = formatJSON(enrollment, minified);
 
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the enrollment and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -3519,18 +4195,18 @@ async function postElements(req, res, next) {
 }
 
 /**
- * PUT /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ * POST /api/users/:username/2fa/confirm
  *
- * @description Creates/replaces specified elements. NOTE: this route is
- * reserved for system-wide admins ONLY.
+ * @description Enables the two-factor authentication of a local user, once they
+ * have confirmed a code of the secret returned by POST /api/users/:username/2fa.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with created/replaced elements
+ * @returns {object} Response object with updated user's public data
  */
-async function putElements(req, res, next) {
+async function postTwoFactorConfirm(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -3539,16 +4215,20 @@ async function putElements(req, res, next) {
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    fields: 'array',
     minified: 'boolean'
   };
 
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
+  // Ensure the code was provided
+  if (!req.body.code) {
+    const error = new M.DataFormatError('Code not in request body.', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
   // Attempt to parse query options
   try {
     // Extract options from request query
@@ -3565,35 +4245,18 @@ async function putElements(req, res, next) {
     delete options.minified;
   }
 
-  // Get the element data
-  let elementData;
-  if (req.headers['content-type'] === 'application/gzip') {
-    try {
-      // This function parses incoming gzipped data
-      elementData = await utils.handleGzip(req);
-    }
-    catch (error) {
-      // Error occurred with options, report it
-      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-    }
-  }
-  else {
-    elementData = req.body;
-  }
-
   try {
-    // Create or replace the specified elements
-    // NOTE: createOrReplace() sanitizes input params
-    const elements = await ElementController.createOrReplace(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, elementData, options);
-    const elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    // Enable two-factor authentication
+    const user = await UserController.confirmTwoFactor(req.user, req.params.username,
+      String(req.body.code));
+    const publicUserData = sani.html(
+      publicData.getPublicData(req.user, user, 'user', options)
     );
 
     // Format JSON
-    const json = formatJSON(elementsPublicData, minified);
+    const json = formatJSON(publicUserData, minified);
 
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the public user data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -3607,17 +4270,18 @@ async function putElements(req, res, next) {
 }
 
 /**
- * PATCH /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ * DELETE /api/users/:username/2fa
  *
- * @description Updates specified elements.
+ * @description Disables the two-factor authentication of a user. Users can
+ * disable their own, and system-wide admins can disable it for any user.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with updated elements
+ * @returns {object} Response object with updated user's public data
  */
-async function patchElements(req, res, next) {
+async function deleteTwoFactor(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -3626,10 +4290,8 @@ async function patchElements(req, res, next) {
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    fields: 'array',
     minified: 'boolean'
   };
 
@@ -3652,35 +4314,18 @@ async function patchElements(req, res, next) {
     delete options.minified;
   }
 
-  // Get the element data
-  let elementData;
-  if (req.headers['content-type'] === 'application/gzip') {
-    try {
-      // This function parses incoming gzipped data
-      elementData = await utils.handleGzip(req);
-    }
-    catch (error) {
-      // Error occurred with options, report it
-      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-    }
-  }
-  else {
-    elementData = req.body;
-  }
-
   try {
-    // Update the specified elements
-    // NOTE: update() sanitizes input params
-    const elements = await ElementController.update(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, elementData, options);
-    const elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    // Disable two-factor authentication
+    // NOTE: disableTwoFactor() sanitizes req.params.username
+    const user = await UserController.disableTwoFactor(req.user, req.params.username);
+    const publicUserData = sani.html(
+      publicData.getPublicData(req.user, user, 'user', options)
     );
 
     // Format JSON
-    const json = formatJSON(elementsPublicData, minified);
+    const json = formatJSON(publicUserData, minified);
 
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the public user data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -3693,19 +4338,20 @@ async function patchElements(req, res, next) {
   }
 }
 
+/* -----------------------( Token API Endpoints )---------------------------- */
 /**
- * DELETE /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ * GET /api/users/:username/tokens
  *
- * @description Deletes multiple elements from an array of element IDs, an array
- * of element objects, or from a comma separated list of element IDs.
+ * @description Gets the personal access tokens of a user. The tokens
+ * themselves are never returned.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with element ids.
+ * @returns {object} Response object with tokens' public data
  */
-async function deleteElements(req, res, next) {
+async function getTokens(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -3717,6 +4363,8 @@ async function deleteElements(req, res, next) {
   // Define valid option and its parsed type
   const validOptions = {
     ids: 'array',
+    limit: 'number',
+    skip: 'number',
     minified: 'boolean'
   };
 
@@ -3733,10 +4381,8 @@ async function deleteElements(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Extract IDs from request
-  const ids = utils.parseRequestIDs(req, options);
-
-  // Remove option IDs
+  // Check query for token IDs
+  const ids = options.ids;
   delete options.ids;
 
   // Check options for minified
@@ -3746,16 +4392,18 @@ async function deleteElements(req, res, next) {
   }
 
   try {
-    // Remove the specified elements
-    // NOTE: remove() sanitizes input params
-    const elements = await ElementController.remove(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, ids, options);
-    const parsedIDs = elements.map(e => utils.parseID(e).pop());
+    // Find the tokens of the user
+    // NOTE: find() sanitizes req.params.username and ids
+    const tokens = await TokenController.find(req.user, req.params.username, ids, options);
+
+    const tokensPublicData = sani.html(
+      tokens.map(t => publicData.getPublicData(req.user, t, 'token', options))
+    );
 
     // Format JSON
-    const json = formatJSON(parsedIDs, minified);
+    const json = formatJSON(tokensPublicData, minified);
 
-    // Sets the message to the deleted element ids and the status code to 200
+    // Sets the message to the public token data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -3769,63 +4417,31 @@ async function deleteElements(req, res, next) {
 }
 
 /**
- * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search
+ * POST /api/users/:username/tokens
  *
- * @description Does a text based search on elements and returns any matches.
+ * @description Creates one or many personal access tokens for the requesting
+ * user. The token of each created token is only returned in this response.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with elements
+ * @returns {object} Response object with the created tokens' public data
  */
-async function searchElements(req, res, next) {
+async function postTokens(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
-  // Define options and query
+  // Define options
   // Note: Undefined if not set
   let options;
-  let query = '';
   let minified = false;
 
   // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    archived: 'boolean',
-    includeArchived: 'boolean',
-    limit: 'number',
-    fields: 'array',
-    skip: 'number',
-    sort: 'string',
-    q: 'string',
-    minified: 'boolean',
-    parent: 'string',
-    source: 'string',
-    target: 'string',
-    type: 'string',
-    name: 'string',
-    createdBy: 'string',
-    lastModifiedBy: 'string',
-    archivedBy: 'string',
-    artifact: 'string'
+    minified: 'boolean'
   };
 
-  // Loop through req.query
-  if (req.query) {
-    Object.keys(req.query).forEach((k) => {
-      // If the key starts with custom., add it to the validOptions object
-      if (k.startsWith('custom.')) {
-        if (req.query[k] === 'true' || req.query[k] === 'false') {
-          validOptions[k] = 'boolean';
-        }
-        else {
-          validOptions[k] = 'string';
-        }
-      }
-    });
-  }
-
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
@@ -3839,12 +4455,6 @@ async function searchElements(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Check options for q (query)
-  if (options.hasOwnProperty('q')) {
-    query = options.q;
-    delete options.q;
-  }
-
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -3852,23 +4462,19 @@ async function searchElements(req, res, next) {
   }
 
   try {
-    // Find elements
-    // NOTE: search() sanitizes input params
-    const elements = await ElementController.search(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, query, options);
-    // Verify elements public data array is not empty
-    if (elements.length === 0) {
-      throw new M.NotFoundError('No elements found.', 'warn');
-    }
+    // Create the tokens
+    // NOTE: create() sanitizes req.params.username and req.body
+    const tokens = await TokenController.create(req.user, req.params.username, req.body,
+      options);
 
-    const elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    const tokensPublicData = sani.html(
+      tokens.map(t => publicData.getPublicData(req.user, t, 'token', options))
     );
 
     // Format JSON
-    const json = formatJSON(elementsPublicData, minified);
+    const json = formatJSON(tokensPublicData, minified);
 
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the public token data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -3882,17 +4488,18 @@ async function searchElements(req, res, next) {
 }
 
 /**
- * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ * DELETE /api/users/:username/tokens
  *
- * @description Gets an element.
+ * @description Deletes multiple personal access tokens of a user, from an
+ * array of token IDs, which revokes them.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with element's public data
+ * @returns {object} Response object with token ids
  */
-async function getElement(req, res, next) {
+async function deleteTokens(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -3901,15 +4508,10 @@ async function getElement(req, res, next) {
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    includeArchived: 'boolean',
-    subtree: 'boolean',
-    depth: 'number',
-    fields: 'array',
-    minified: 'boolean',
-    rootpath: 'boolean'
+    ids: 'array',
+    minified: 'boolean'
   };
 
   // Sanity Check: there should always be a user in the request
@@ -3925,6 +4527,12 @@ async function getElement(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
+  // Extract IDs from request
+  const ids = utils.parseRequestIDs(req, options);
+
+  // Remove option IDs
+  delete options.ids;
+
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -3932,30 +4540,13 @@ async function getElement(req, res, next) {
   }
 
   try {
-    // Find the element
-    // NOTE: find() sanitizes input params
-    const elements = await ElementController.find(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, req.params.elementid, options);
-    // If no element found, return 404 error
-    if (elements.length === 0) {
-      throw new M.NotFoundError(
-        `Element [${req.params.elementid}] not found.`, 'warn'
-      );
-    }
-
-    let elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
-    );
+    // Remove the specified tokens
+    // NOTE: remove() sanitizes req.params.username and ids
+    const tokenIDs = await TokenController.remove(req.user, req.params.username, ids, options);
+    // Format JSON
+    const json = formatJSON(tokenIDs, minified);
 
-    // If the subtree option was not provided, return only the first element
-    if (!options.subtree && !options.rootpath) {
-      elementsPublicData = elementsPublicData[0];
-    }
-
-    // Format JSON
-    const json = formatJSON(elementsPublicData, minified);
-
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the deleted token ids and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -3969,17 +4560,17 @@ async function getElement(req, res, next) {
 }
 
 /**
- * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ * DELETE /api/users/:username/tokens/:tokenid
  *
- * @description Creates an element.
+ * @description Deletes a personal access token of a user, which revokes it.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with created element
+ * @returns {object} Response object with token id
  */
-async function postElement(req, res, next) {
+async function deleteToken(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -3988,30 +4579,14 @@ async function postElement(req, res, next) {
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    fields: 'array',
     minified: 'boolean'
   };
 
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
-  // Singular api: should not accept arrays
-  if (Array.isArray(req.body)) {
-    const error = new M.DataFormatError('Input cannot be an array', 'warn');
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-  }
-
-  // If an ID was provided in the body, ensure it matches the ID in params
-  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.elementid)) {
-    const error = new M.DataFormatError(
-      'Element ID in the body does not match ID in the params.', 'warn'
-    );
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-  }
-
   // Attempt to parse query options
   try {
     // Extract options from request query
@@ -4022,9 +4597,6 @@ async function postElement(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Set the element ID in the body equal req.params.elementid
-  req.body.id = req.params.elementid;
-
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -4032,18 +4604,14 @@ async function postElement(req, res, next) {
   }
 
   try {
-    // Create element with provided parameters
-    // NOTE: create() sanitizes input params
-    const elements = await ElementController.create(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, req.body, options);
-    const elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
-    );
-
+    // Remove the specified token
+    // NOTE: remove() sanitizes req.params.username and req.params.tokenid
+    const tokenIDs = await TokenController.remove(req.user, req.params.username,
+      req.params.tokenid, options);
     // Format JSON
-    const json = formatJSON(elementsPublicData[0], minified);
+    const json = formatJSON(tokenIDs[0], minified);
 
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the deleted token id and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4056,51 +4624,52 @@ async function postElement(req, res, next) {
   }
 }
 
+/* -----------------------( Group API Endpoints )---------------------------- */
 /**
- * PUT /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ * GET /api/groups
  *
- * @description Creates or replaces an element. NOTE: this route is reserved
- * for system-wide admins ONLY.
+ * @description Gets multiple groups by ID or all groups in the system.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with created/replaced element
+ * @returns {object} Response object with groups' public data
  */
-async function putElement(req, res, next) {
+async function getGroups(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
-  // Define options
+  // Define options and ids
   // Note: Undefined if not set
+  let ids;
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
     populate: 'array',
+    archived: 'boolean',
+    includeArchived: 'boolean',
     fields: 'array',
-    minified: 'boolean'
+    limit: 'number',
+    skip: 'number',
+    sort: 'string',
+    after: 'string',
+    count: 'boolean',
+    ids: 'array',
+    minified: 'boolean',
+    name: 'string',
+    ldap: 'string',
+    custom: 'string',
+    createdBy: 'string',
+    lastModifiedBy: 'string',
+    archivedBy: 'string'
   };
 
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
-  // Singular api: should not accept arrays
-  if (Array.isArray(req.body)) {
-    const error = new M.DataFormatError('Input cannot be an array', 'warn');
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-  }
-
-  // If an ID was provided in the body, ensure it matches the ID in params
-  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.elementid)) {
-    const error = new M.DataFormatError(
-      'Element ID in the body does not match ID in the params.', 'warn'
-    );
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-  }
-
   // Attempt to parse query options
   try {
     // Extract options from request query
@@ -4111,8 +4680,19 @@ async function putElement(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Set the element ID in the body equal req.params.elementid
-  req.body.id = req.params.elementid;
+  // Check query for group IDs
+  if (options.ids) {
+    ids = options.ids;
+    delete options.ids;
+  }
+  // Group IDs provided in body
+  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'string')) {
+    ids = req.body;
+  }
+  // Check group object in body
+  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'object')) {
+    ids = req.body.map(g => g.id);
+  }
 
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
@@ -4121,18 +4701,25 @@ async function putElement(req, res, next) {
   }
 
   try {
-    // Create or replace element with provided parameters
-    // NOTE: createOrReplace() sanitizes input params
-    const elements = await ElementController.createOrReplace(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, req.body, options);
-    const elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    // Get Groups
+    // NOTE: find() sanitizes ids
+    const groups = await GroupController.find(req.user, ids, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, groups);
+
+    const publicGroupData = sani.html(
+      groups.map(g => publicData.getPublicData(req.user, g, 'group', options))
     );
 
+    // Verify groups public data array is not empty
+    if (publicGroupData.length === 0) {
+      throw new M.NotFoundError('No groups found.', 'warn');
+    }
+
     // Format JSON
-    const json = formatJSON(elementsPublicData[0], minified);
+    const json = formatJSON(publicGroupData, minified);
 
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the public group data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4146,17 +4733,18 @@ async function putElement(req, res, next) {
 }
 
 /**
- * PATCH /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ * POST /api/groups
  *
- * @description Updates the specified element.
+ * @description Creates multiple groups.
+ * NOTE: System-wide admin only.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with updated element
+ * @returns {object} Response object with groups' public data
  */
-async function patchElement(req, res, next) {
+async function postGroups(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -4165,7 +4753,7 @@ async function patchElement(req, res, next) {
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
     populate: 'array',
     fields: 'array',
@@ -4175,20 +4763,6 @@ async function patchElement(req, res, next) {
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
-  // Singular api: should not accept arrays
-  if (Array.isArray(req.body)) {
-    const error = new M.DataFormatError('Input cannot be an array', 'warn');
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-  }
-
-  // If an ID was provided in the body, ensure it matches the ID in params
-  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.elementid)) {
-    const error = new M.DataFormatError(
-      'Element ID in the body does not match ID in the params.', 'warn'
-    );
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-  }
-
   // Attempt to parse query options
   try {
     // Extract options from request query
@@ -4199,9 +4773,6 @@ async function patchElement(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Set the element ID in the body equal req.params.elementid
-  req.body.id = req.params.elementid;
-
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -4209,18 +4780,17 @@ async function patchElement(req, res, next) {
   }
 
   try {
-    // Updates the specified element
-    // NOTE: update() sanitizes input params
-    const elements = await ElementController.update(req.user, req.params.orgid,
-      req.params.projectid, req.params.branchid, req.body, options);
-    const elementsPublicData = sani.html(
-      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    // Create groups
+    // NOTE: create() sanitizes req.body
+    const groups = await GroupController.create(req.user, req.body, options);
+    const publicGroupData = sani.html(
+      groups.map(g => publicData.getPublicData(req.user, g, 'group', options))
     );
 
     // Format JSON
-    const json = formatJSON(elementsPublicData[0], minified);
+    const json = formatJSON(publicGroupData, minified);
 
-    // Sets the message to the public element data and the status code to 200
+    // Sets the message to the public group data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4234,17 +4804,18 @@ async function patchElement(req, res, next) {
 }
 
 /**
- * DELETE /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ * PATCH /api/groups
  *
- * @description Deletes an element.
+ * @description Updates multiple groups.
+ * NOTE: System-wide admin only.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with deleted element id.
+ * @returns {object} Response object with groups' public data
  */
-async function deleteElement(req, res, next) {
+async function patchGroups(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -4255,6 +4826,8 @@ async function deleteElement(req, res, next) {
 
   // Define valid option and its parsed type
   const validOptions = {
+    populate: 'array',
+    fields: 'array',
     minified: 'boolean'
   };
 
@@ -4278,16 +4851,17 @@ async function deleteElement(req, res, next) {
   }
 
   try {
-    // Remove the specified element
-    // NOTE: remove() sanitizes input params
-    const element = await ElementController.remove(req.user, req.params.orgid, req.params.projectid,
-      req.params.branchid, [req.params.elementid], options);
-    const parsedID = utils.parseID(element[0]).pop();
+    // Update the specified groups
+    // NOTE: update() sanitizes req.body
+    const groups = await GroupController.update(req.user, req.body, options);
+    const publicGroupData = sani.html(
+      groups.map(g => publicData.getPublicData(req.user, g, 'group', options))
+    );
 
     // Format JSON
-    const json = formatJSON(parsedID, minified);
+    const json = formatJSON(publicGroupData, minified);
 
-    // Sets the message to the deleted element id and the status code to 200
+    // Sets the message to the public group data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4300,57 +4874,34 @@ async function deleteElement(req, res, next) {
   }
 }
 
-/* -----------------------( Branches API Endpoints )------------------------- */
 /**
- * GET /api/orgs/:orgid/projects/:projectid/branches
+ * DELETE /api/groups
  *
- * @description Gets all branches or get specified branches.
+ * @description Deletes multiple groups from an array of group IDs or array of
+ * group objects.
+ * NOTE: This function is system-admin ONLY.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with branches' public data
+ * @returns {object} Response object with group ids
  */
-async function getBranches(req, res, next) {
+async function deleteGroups(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
-  // Define options and ids
+  // Define options
   // Note: Undefined if not set
-  let branchIDs;
   let options;
   let minified = false;
 
   // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    archived: 'boolean',
-    includeArchived: 'boolean',
-    fields: 'array',
-    limit: 'number',
-    skip: 'number',
-    sort: 'string',
     ids: 'array',
-    minified: 'boolean',
-    source: 'string',
-    tag: 'boolean',
-    name: 'string',
-    createdBy: 'string',
-    lastModifiedBy: 'string',
-    archivedBy: 'string'
+    minified: 'boolean'
   };
 
-  // Loop through req.query
-  if (req.query) {
-    Object.keys(req.query).forEach((k) => {
-      // If the key starts with custom., add it to the validOptions object
-      if (k.startsWith('custom.')) {
-        validOptions[k] = 'string';
-      }
-    });
-  }
-
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
@@ -4364,19 +4915,11 @@ async function getBranches(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Check query for branch IDs
-  if (options.ids) {
-    branchIDs = options.ids;
-    delete options.ids;
-  }
-  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'string')) {
-    // No IDs include in options, check body
-    branchIDs = req.body;
-  }
-  // Check branch object in body
-  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'object')) {
-    branchIDs = req.body.map(p => p.id);
-  }
+  // Extract IDs from request
+  const ids = utils.parseRequestIDs(req, options);
+
+  // Remove option IDs
+  delete options.ids;
 
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
@@ -4385,23 +4928,13 @@ async function getBranches(req, res, next) {
   }
 
   try {
-    // Find branches
-    // NOTE: find() sanitizes input params
-    const branches = await BranchController.find(req.user, req.params.orgid, req.params.projectid,
-      branchIDs, options);
-    const branchesPublicData = sani.html(
-      branches.map(b => publicData.getPublicData(req.user, b, 'branch', options))
-    );
-
-    // Verify branches public data array is not empty
-    if (branchesPublicData.length === 0) {
-      throw new M.NotFoundError('No branches found.', 'warn');
-    }
-
+    // Remove the specified groups
+    // NOTE: remove() sanitizes ids
+    const groupIDs = await GroupController.remove(req.user, ids, options);
     // Format JSON
-    const json = formatJSON(branchesPublicData, minified);
+    const json = formatJSON(groupIDs, minified);
 
-    // Sets the message to the public branch data and the status code to 200
+    // Sets the message to the deleted group ids and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4415,17 +4948,17 @@ async function getBranches(req, res, next) {
 }
 
 /**
- * POST /api/org/:orgid/projects/:projectid/branches
+ * GET /api/groups/:groupid
  *
- * @description This function creates multiple branches.
+ * @description Gets a group by its id.
  *
- * @param {object} req - request express object
- * @param {object} res - response express object
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with created branches.
+ * @returns {object} Response object with group's public data
  */
-async function postBranches(req, res, next) {
+async function getGroup(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -4437,6 +4970,7 @@ async function postBranches(req, res, next) {
   // Define valid option and its parsed type
   const validOptions = {
     populate: 'array',
+    includeArchived: 'boolean',
     fields: 'array',
     minified: 'boolean'
   };
@@ -4460,35 +4994,25 @@ async function postBranches(req, res, next) {
     delete options.minified;
   }
 
-  // Get the branch data
-  let branchData;
-  if (req.headers['content-type'] === 'application/gzip') {
-    try {
-      // This function parses incoming gzipped data
-      branchData = await utils.handleGzip(req);
-    }
-    catch (error) {
-      // Error occurred with options, report it
-      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  try {
+    // Find the group from its id
+    // NOTE: find() sanitizes req.params.groupid
+    const groups = await GroupController.find(req.user, req.params.groupid, options);
+    // If no group found, return 404 error
+    if (groups.length === 0) {
+      throw new M.NotFoundError(
+        `Group [${req.params.groupid}] not found.`, 'warn'
+      );
     }
-  }
-  else {
-    branchData = req.body;
-  }
 
-  try {
-    // Create the specified branches
-    // NOTE: create() sanitizes req.params.orgid, req.params.projectid, and branchData
-    const branches = await BranchController.create(req.user, req.params.orgid, req.params.projectid,
-      branchData, options);
-    const publicBranchData = sani.html(
-      branches.map(b => publicData.getPublicData(req.user, b, 'branch', options))
+    const publicGroupData = sani.html(
+      groups.map(g => publicData.getPublicData(req.user, g, 'group', options))
     );
 
     // Format JSON
-    const json = formatJSON(publicBranchData, minified);
+    const json = formatJSON(publicGroupData[0], minified);
 
-    // Sets the message to the public branch data and the status code to 200
+    // Sets the message to the public group data and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4502,17 +5026,2259 @@ async function postBranches(req, res, next) {
 }
 
 /**
- * PATCH /api/orgs/:orgid/projects/:projectid/branches
+ * POST /api/groups/:groupid
  *
- * @description Updates specified branches.
+ * @description Creates a new group.
+ * NOTE: System-wide admin only.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with updated branches
+ * @returns {object} Response object with created group
  */
-async function patchBranches(req, res, next) {
+async function postGroup(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // If an ID was provided in the body, ensure it matches the ID in params
+  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.groupid)) {
+    const error = new M.DataFormatError(
+      'Group ID in the body does not match ID in the params.', 'warn'
+    );
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Set the id in req.body in case it wasn't provided
+  req.body.id = req.params.groupid;
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Create group with provided parameters
+    // NOTE: create() sanitizes req.body
+    const groups = await GroupController.create(req.user, req.body, options);
+    const publicGroupData = sani.html(
+      groups.map(g => publicData.getPublicData(req.user, g, 'group', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(publicGroupData[0], minified);
+
+    // Sets the message to the public group data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * PATCH /api/groups/:groupid
+ *
+ * @description Updates the group specified in the URI.
+ * NOTE: System-wide admin only.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with updated group
+ */
+async function patchGroup(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // If an ID was provided in the body, ensure it matches the ID in params
+  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.groupid)) {
+    const error = new M.DataFormatError(
+      'Group ID in the body does not match ID in the params.', 'warn'
+    );
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Set the id in req.body in case it wasn't provided
+  req.body.id = req.params.groupid;
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Update the specified group
+    // NOTE: update() sanitizes req.body
+    const groups = await GroupController.update(req.user, req.body, options);
+    const publicGroupData = sani.html(
+      groups.map(g => publicData.getPublicData(req.user, g, 'group', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(publicGroupData[0], minified);
+
+    // Sets the message to the public group data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * DELETE /api/groups/:groupid
+ *
+ * @description Deletes a group.
+ * NOTE: System-wide admin only.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with deleted group id
+ */
+async function deleteGroup(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Remove the specified group
+    // NOTE: remove() sanitizes req.params.groupid
+    const groupIDs = await GroupController.remove(req.user, req.params.groupid, options);
+
+    // Format JSON
+    const json = formatJSON(groupIDs[0], minified);
+
+    // Sets the message to the deleted group id and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/* -----------------------( Elements API Endpoints )------------------------- */
+/**
+ * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ *
+ * @description Gets all elements or get specified elements.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with elements' public data
+ */
+async function getElements(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options and ids
+  // Note: Undefined if not set
+  let elemIDs;
+  let options;
+  let format;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    archived: 'boolean',
+    includeArchived: 'boolean',
+    subtree: 'boolean',
+    depth: 'number',
+    fields: 'array',
+    limit: 'number',
+    skip: 'number',
+    sort: 'string',
+    after: 'string',
+    count: 'boolean',
+    ids: 'array',
+    format: 'string',
+    minified: 'boolean',
+    parent: 'string',
+    source: 'string',
+    target: 'string',
+    type: 'string',
+    name: 'string',
+    createdBy: 'string',
+    lastModifiedBy: 'string',
+    archivedBy: 'string',
+    artifact: 'string',
+    asOf: 'string'
+  };
+
+  // Loop through req.query
+  if (req.query) {
+    Object.keys(req.query).forEach((k) => {
+      // If the key starts with custom., add it to the validOptions object
+      if (k.startsWith('custom.')) {
+        validOptions[k] = 'string';
+      }
+    });
+  }
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check query for element IDs
+  if (options.ids) {
+    elemIDs = options.ids;
+    delete options.ids;
+  }
+  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'string')) {
+    // No IDs include in options, check body
+    elemIDs = req.body;
+  }
+  // Check element object in body
+  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'object')) {
+    elemIDs = req.body.map(p => p.id);
+  }
+
+  // Check for format conversion option
+  if (options.hasOwnProperty('format')) {
+    const validFormats = ['jmi1', 'jmi2', 'jmi3', 'csv', 'xlsx', 'ndjson'];
+    // If the provided format is not valid, error out
+    if (!validFormats.includes(options.format)) {
+      const error = new M.DataFormatError(`The format ${options.format} is not a `
+        + 'valid format.', 'warn');
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+    format = options.format;
+    delete options.format;
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  // Stream the elements as newline delimited JSON, if requested
+  if (format === 'ndjson'
+    || (format === undefined && (req.headers.accept || '').includes('application/x-ndjson'))) {
+    return streamElements(req, res, next, elemIDs, options);
+  }
+
+  try {
+    // Find elements
+    // NOTE: find() sanitizes input params
+    const elements = await ElementController.find(req.user, req.params.orgid, req.params.projectid,
+      req.params.branchid, elemIDs, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, elements);
+
+    // Check for spreadsheet conversion
+    if ((format === 'csv' || format === 'xlsx') && elements.length > 0) {
+      setElementTable(req, res, elements, options, format);
+      return next();
+    }
+
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Verify elements public data array is not empty
+    if (elementsPublicData.length === 0) {
+      throw new M.NotFoundError('No elements found.', 'warn');
+    }
+
+    // Defaults to JMI type 1 (plain element public data)
+    let retData = elementsPublicData;
+
+    // Check for JMI conversion
+    if (format === 'jmi2') {
+      retData = jmi.convertJMI(1, 2, elementsPublicData, 'id');
+    }
+    else if (format === 'jmi3') {
+      retData = jmi.convertJMI(1, 3, elementsPublicData, 'id');
+    }
+
+    // Format JSON
+    const json = formatJSON(retData, minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ *
+ * @description Creates specified elements.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with created elements
+ */
+async function postElements(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean',
+    gzip: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  // Import the elements from a spreadsheet, reporting the rows which failed
+  const tableFormat = getTableFormat(req);
+  if (tableFormat) {
+    return importElementTable(req, res, next, tableFormat, options, minified, false);
+  }
+
+  // Create the elements in batches as they are read from the request
+  if (isNDJSON(req)) {
+    return importElementStream(req, res, next, options, minified, false);
+  }
+
+  // Get the element data
+  let elementData;
+  if (req.headers['content-type'] === 'application/gzip') {
+    try {
+      // This function parses incoming gzipped data
+      elementData = await utils.handleGzip(req);
+    }
+    catch (error) {
+      // Error occurred with options, report it
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+  }
+  else {
+    elementData = req.body;
+  }
+
+  try {
+    // Create the specified elements
+    // NOTE: create() sanitizes input params
+    const elements = await ElementController.create(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, elementData, options);
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData, minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * PUT /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ *
+ * @description Creates/replaces specified elements. NOTE: this route is
+ * reserved for system-wide admins ONLY.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with created/replaced elements
+ */
+async function putElements(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  // Create or replace the elements in batches as they are read from the request
+  if (isNDJSON(req)) {
+    return importElementStream(req, res, next, options, minified, true);
+  }
+
+  // Get the element data
+  let elementData;
+  if (req.headers['content-type'] === 'application/gzip') {
+    try {
+      // This function parses incoming gzipped data
+      elementData = await utils.handleGzip(req);
+    }
+    catch (error) {
+      // Error occurred with options, report it
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+  }
+  else {
+    elementData = req.body;
+  }
+
+  try {
+    // Create or replace the specified elements
+    // NOTE: createOrReplace() sanitizes input params
+    const elements = await ElementController.createOrReplace(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, elementData, options);
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData, minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return formatErrorResponse(req, res, error, next);
+  }
+}
+
+/**
+ * PATCH /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ *
+ * @description Updates specified elements.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with updated elements
+ */
+async function patchElements(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  // Import the elements from a spreadsheet, reporting the rows which failed
+  const tableFormat = getTableFormat(req);
+  if (tableFormat) {
+    return importElementTable(req, res, next, tableFormat, options, minified, true);
+  }
+
+  // Get the element data
+  let elementData;
+  if (req.headers['content-type'] === 'application/gzip') {
+    try {
+      // This function parses incoming gzipped data
+      elementData = await utils.handleGzip(req);
+    }
+    catch (error) {
+      // Error occurred with options, report it
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+  }
+  else {
+    elementData = req.body;
+  }
+
+  try {
+    // Update the specified elements
+    // NOTE: update() sanitizes input params
+    const elements = await ElementController.update(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, elementData, options);
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData, minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return formatErrorResponse(req, res, error, next);
+  }
+}
+
+/**
+ * DELETE /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements
+ *
+ * @description Deletes multiple elements from an array of element IDs, an array
+ * of element objects, or from a comma separated list of element IDs.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with element ids.
+ */
+async function deleteElements(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    ids: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Extract IDs from request
+  const ids = utils.parseRequestIDs(req, options);
+
+  // Remove option IDs
+  delete options.ids;
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Remove the specified elements
+    // NOTE: remove() sanitizes input params
+    const elements = await ElementController.remove(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, ids, options);
+    const parsedIDs = elements.map(e => utils.parseID(e).pop());
+
+    // Format JSON
+    const json = formatJSON(parsedIDs, minified);
+
+    // Sets the message to the deleted element ids and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/search
+ *
+ * @description Does a text based search on elements and returns any matches.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with elements
+ */
+async function searchElements(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options and query
+  // Note: Undefined if not set
+  let options;
+  let query = '';
+  let format;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    archived: 'boolean',
+    includeArchived: 'boolean',
+    limit: 'number',
+    fields: 'array',
+    skip: 'number',
+    sort: 'string',
+    q: 'string',
+    format: 'string',
+    minified: 'boolean',
+    parent: 'string',
+    source: 'string',
+    target: 'string',
+    type: 'string',
+    name: 'string',
+    createdBy: 'string',
+    lastModifiedBy: 'string',
+    archivedBy: 'string',
+    artifact: 'string'
+  };
+
+  // Loop through req.query
+  if (req.query) {
+    Object.keys(req.query).forEach((k) => {
+      // If the key starts with custom., add it to the validOptions object
+      if (k.startsWith('custom.')) {
+        if (req.query[k] === 'true' || req.query[k] === 'false') {
+          validOptions[k] = 'boolean';
+        }
+        else {
+          validOptions[k] = 'string';
+        }
+      }
+    });
+  }
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for q (query)
+  if (options.hasOwnProperty('q')) {
+    query = options.q;
+    delete options.q;
+  }
+
+  // Check for spreadsheet format option
+  if (options.hasOwnProperty('format')) {
+    // If the provided format is not valid, error out
+    if (!['csv', 'xlsx'].includes(options.format)) {
+      const error = new M.DataFormatError(`The format ${options.format} is not a `
+        + 'valid format.', 'warn');
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+    format = options.format;
+    delete options.format;
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Find elements
+    // NOTE: search() sanitizes input params
+    const elements = await ElementController.search(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, query, options);
+    // Verify elements public data array is not empty
+    if (elements.length === 0) {
+      throw new M.NotFoundError('No elements found.', 'warn');
+    }
+
+    // Check for spreadsheet conversion
+    if (format) {
+      setElementTable(req, res, elements, options, format);
+      return next();
+    }
+
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Add the score and highlights of each element, which are already escaped
+    elementsPublicData.forEach((e, index) => {
+      e.score = elements[index].score;
+      e.highlights = elements[index].highlights;
+    });
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData, minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * GET /api/orgs/:orgid/elements/search
+ * GET /api/elements/search
+ *
+ * @description Does a text based search on the elements of every project and
+ * branch the requesting user can read, within an org or across every org, and
+ * returns any matches grouped by their project and branch.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with groups of elements
+ */
+async function searchAllElements(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options and query
+  // Note: Undefined if not set
+  let options;
+  let query = '';
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    archived: 'boolean',
+    includeArchived: 'boolean',
+    limit: 'number',
+    fields: 'array',
+    skip: 'number',
+    sort: 'string',
+    q: 'string',
+    minified: 'boolean',
+    parent: 'string',
+    source: 'string',
+    target: 'string',
+    type: 'string',
+    name: 'string',
+    createdBy: 'string',
+    lastModifiedBy: 'string',
+    archivedBy: 'string',
+    artifact: 'string',
+    project: 'string',
+    branch: 'string'
+  };
+
+  // Loop through req.query
+  if (req.query) {
+    Object.keys(req.query).forEach((k) => {
+      // If the key starts with custom., add it to the validOptions object
+      if (k.startsWith('custom.')) {
+        if (req.query[k] === 'true' || req.query[k] === 'false') {
+          validOptions[k] = 'boolean';
+        }
+        else {
+          validOptions[k] = 'string';
+        }
+      }
+    });
+  }
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for q (query)
+  if (options.hasOwnProperty('q')) {
+    query = options.q;
+    delete options.q;
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Find elements, searching every org if no org was provided
+    // NOTE: searchAll() sanitizes input params
+    const groups = await ElementController.searchAll(req.user,
+      (req.params.orgid === undefined) ? null : req.params.orgid, query, options);
+    // Verify the groups of elements are not empty
+    if (groups.length === 0) {
+      throw new M.NotFoundError('No elements found.', 'warn');
+    }
+
+    const groupsPublicData = groups.map((group) => {
+      const elementsPublicData = sani.html(
+        group.elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+      );
+
+      // Add the score and highlights of each element, which are already escaped
+      elementsPublicData.forEach((e, index) => {
+        e.score = group.elements[index].score;
+        e.highlights = group.elements[index].highlights;
+      });
+
+      return {
+        org: group.org,
+        project: group.project,
+        branch: group.branch,
+        elements: elementsPublicData
+      };
+    });
+
+    // Format JSON
+    const json = formatJSON(groupsPublicData, minified);
+
+    // Sets the message to the groups of public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ *
+ * @description Gets an element.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with element's public data
+ */
+async function getElement(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    includeArchived: 'boolean',
+    subtree: 'boolean',
+    depth: 'number',
+    fields: 'array',
+    minified: 'boolean',
+    rootpath: 'boolean',
+    asOf: 'string'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Find the element
+    // NOTE: find() sanitizes input params
+    const elements = await ElementController.find(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.params.elementid, options);
+    // If no element found, return 404 error
+    if (elements.length === 0) {
+      throw new M.NotFoundError(
+        `Element [${req.params.elementid}] not found.`, 'warn'
+      );
+    }
+
+    let elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // If the subtree option was not provided, return only the first element
+    if (!options.subtree && !options.rootpath) {
+      elementsPublicData = elementsPublicData[0];
+      // Set the revision of the element in the ETag header
+      setETag(res, elements[0]);
+    }
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData, minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid/history
+ *
+ * @description Gets the revision history of an element.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the element's revisions
+ */
+async function getElementHistory(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    limit: 'number',
+    skip: 'number',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Find the revisions of the element
+    // NOTE: findHistory() sanitizes input params
+    const revisions = await ElementController.findHistory(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.params.elementid, options);
+
+    // If no revisions found, return 404 error
+    if (revisions.length === 0) {
+      throw new M.NotFoundError(
+        `No history found for element [${req.params.elementid}].`, 'warn'
+      );
+    }
+
+    const revisionsPublicData = sani.html(
+      revisions.map(r => publicData.getPublicData(req.user, r, 'revision', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(revisionsPublicData, minified);
+
+    // Sets the message to the revisions' public data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid/lock
+ *
+ * @description Locks an element, and optionally its subtree.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with locked elements.
+ */
+async function postElementLock(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    subtree: 'boolean',
+    timeout: 'number',
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Locks the specified element
+    // NOTE: lock() sanitizes input params
+    const elements = await ElementController.lock(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.params.elementid, options);
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData, minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * DELETE /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid/lock
+ *
+ * @description Unlocks an element, and optionally its subtree.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with unlocked elements.
+ */
+async function deleteElementLock(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    subtree: 'boolean',
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Unlocks the specified element
+    // NOTE: unlock() sanitizes input params
+    const elements = await ElementController.unlock(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.params.elementid, options);
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData, minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ *
+ * @description Creates an element.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with created element
+ */
+async function postElement(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // If an ID was provided in the body, ensure it matches the ID in params
+  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.elementid)) {
+    const error = new M.DataFormatError(
+      'Element ID in the body does not match ID in the params.', 'warn'
+    );
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Set the element ID in the body equal req.params.elementid
+  req.body.id = req.params.elementid;
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Create element with provided parameters
+    // NOTE: create() sanitizes input params
+    const elements = await ElementController.create(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.body, options);
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData[0], minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * PUT /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ *
+ * @description Creates or replaces an element. NOTE: this route is reserved
+ * for system-wide admins ONLY.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with created/replaced element
+ */
+async function putElement(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // If an ID was provided in the body, ensure it matches the ID in params
+  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.elementid)) {
+    const error = new M.DataFormatError(
+      'Element ID in the body does not match ID in the params.', 'warn'
+    );
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Set the element ID in the body equal req.params.elementid
+  req.body.id = req.params.elementid;
+
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Create or replace element with provided parameters
+    // NOTE: createOrReplace() sanitizes input params
+    const elements = await ElementController.createOrReplace(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.body, options);
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Set the revision of the element in the ETag header
+    setETag(res, elements[0]);
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData[0], minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return formatErrorResponse(req, res, error, next);
+  }
+}
+
+/**
+ * PATCH /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ *
+ * @description Updates the specified element.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with updated element
+ */
+async function patchElement(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // If an ID was provided in the body, ensure it matches the ID in params
+  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.elementid)) {
+    const error = new M.DataFormatError(
+      'Element ID in the body does not match ID in the params.', 'warn'
+    );
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Set the element ID in the body equal req.params.elementid
+  req.body.id = req.params.elementid;
+
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Updates the specified element
+    // NOTE: update() sanitizes input params
+    const elements = await ElementController.update(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.body, options);
+    const elementsPublicData = sani.html(
+      elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+    );
+
+    // Set the revision of the element in the ETag header
+    setETag(res, elements[0]);
+
+    // Format JSON
+    const json = formatJSON(elementsPublicData[0], minified);
+
+    // Sets the message to the public element data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return formatErrorResponse(req, res, error, next);
+  }
+}
+
+/**
+ * DELETE /api/orgs/:orgid/projects/:projectid/branches/:branchid/elements/:elementid
+ *
+ * @description Deletes an element.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with deleted element id.
+ */
+async function deleteElement(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Ensure the element has not changed since the revision in the If-Match header
+    await checkIfMatch(req, req.params.elementid, () => ElementController.find(req.user,
+      req.params.orgid, req.params.projectid, req.params.branchid, req.params.elementid,
+      { includeArchived: true }));
+
+    // Remove the specified element
+    // NOTE: remove() sanitizes input params
+    const element = await ElementController.remove(req.user, req.params.orgid, req.params.projectid,
+      req.params.branchid, [req.params.elementid], options);
+    const parsedID = utils.parseID(element[0]).pop();
+
+    // Format JSON
+    const json = formatJSON(parsedID, minified);
+
+    // Sets the message to the deleted element id and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return formatErrorResponse(req, res, error, next);
+  }
+}
+
+/* -----------------------( Branches API Endpoints )------------------------- */
+/**
+ * GET /api/orgs/:orgid/projects/:projectid/branches
+ *
+ * @description Gets all branches or get specified branches.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with branches' public data
+ */
+async function getBranches(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options and ids
+  // Note: Undefined if not set
+  let branchIDs;
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    archived: 'boolean',
+    includeArchived: 'boolean',
+    fields: 'array',
+    limit: 'number',
+    skip: 'number',
+    sort: 'string',
+    after: 'string',
+    count: 'boolean',
+    ids: 'array',
+    minified: 'boolean',
+    source: 'string',
+    tag: 'boolean',
+    name: 'string',
+    createdBy: 'string',
+    lastModifiedBy: 'string',
+    archivedBy: 'string'
+  };
+
+  // Loop through req.query
+  if (req.query) {
+    Object.keys(req.query).forEach((k) => {
+      // If the key starts with custom., add it to the validOptions object
+      if (k.startsWith('custom.')) {
+        validOptions[k] = 'string';
+      }
+    });
+  }
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check query for branch IDs
+  if (options.ids) {
+    branchIDs = options.ids;
+    delete options.ids;
+  }
+  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'string')) {
+    // No IDs include in options, check body
+    branchIDs = req.body;
+  }
+  // Check branch object in body
+  else if (Array.isArray(req.body) && req.body.every(s => typeof s === 'object')) {
+    branchIDs = req.body.map(p => p.id);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Find branches
+    // NOTE: find() sanitizes input params
+    const branches = await BranchController.find(req.user, req.params.orgid, req.params.projectid,
+      branchIDs, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, branches);
+    const branchesPublicData = sani.html(
+      branches.map(b => publicData.getPublicData(req.user, b, 'branch', options))
+    );
+
+    // Verify branches public data array is not empty
+    if (branchesPublicData.length === 0) {
+      throw new M.NotFoundError('No branches found.', 'warn');
+    }
+
+    // Format JSON
+    const json = formatJSON(branchesPublicData, minified);
+
+    // Sets the message to the public branch data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * POST /api/org/:orgid/projects/:projectid/branches
+ *
+ * @description This function creates multiple branches.
+ *
+ * @param {object} req - request express object
+ * @param {object} res - response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with created branches.
+ */
+async function postBranches(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  // Get the branch data
+  let branchData;
+  if (req.headers['content-type'] === 'application/gzip') {
+    try {
+      // This function parses incoming gzipped data
+      branchData = await utils.handleGzip(req);
+    }
+    catch (error) {
+      // Error occurred with options, report it
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+  }
+  else {
+    branchData = req.body;
+  }
+
+  try {
+    // Create the specified branches
+    // NOTE: create() sanitizes req.params.orgid, req.params.projectid, and branchData
+    const branches = await BranchController.create(req.user, req.params.orgid, req.params.projectid,
+      branchData, options);
+    const publicBranchData = sani.html(
+      branches.map(b => publicData.getPublicData(req.user, b, 'branch', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(publicBranchData, minified);
+
+    // Sets the message to the public branch data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * PATCH /api/orgs/:orgid/projects/:projectid/branches
+ *
+ * @description Updates specified branches.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with updated branches
+ */
+async function patchBranches(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  // Get the branch data
+  let branchData;
+  if (req.headers['content-type'] === 'application/gzip') {
+    try {
+      // This function parses incoming gzipped data
+      branchData = await utils.handleGzip(req);
+    }
+    catch (error) {
+      // Error occurred with options, report it
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+  }
+  else {
+    branchData = req.body;
+  }
+
+  try {
+    // Update the specified branches
+    // NOTE: update() sanitizes input params
+    const branches = await BranchController.update(req.user, req.params.orgid, req.params.projectid,
+      branchData, options);
+    const branchesPublicData = sani.html(
+      branches.map(b => publicData.getPublicData(req.user, b, 'branch', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(branchesPublicData, minified);
+
+    // Sets the message to the public branch data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return formatErrorResponse(req, res, error, next);
+  }
+}
+
+/**
+ * DELETE /api/org/:orgid/projects/:projectid/branches
+ *
+ * @description Deletes multiple branches from an array of branch IDs or
+ * array of branch objects.
+ *
+ * @param {object} req - request express object
+ * @param {object} res - response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with deleted branch IDs.
+ */
+async function deleteBranches(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    ids: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Extract IDs from request
+  const ids = utils.parseRequestIDs(req, options);
+
+  // Remove option IDs
+  delete options.ids;
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Remove the specified branches
+    const branchIDs = await BranchController.remove(req.user, req.params.orgid,
+      req.params.projectid, ids, options);
+    const parsedIDs = branchIDs.map(p => utils.parseID(p).pop());
+
+    // Format JSON
+    const json = formatJSON(parsedIDs, minified);
+
+    // Sets the message to the deleted branch ids and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * GET /api/org/:orgid/projects/:projectid/branches/:branchid
+ *
+ * @description Gets a branch by its branch ID.
+ *
+ * @param {object} req - request express object
+ * @param {object} res - response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with branch's public data
+ */
+async function getBranch(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    populate: 'array',
+    includeArchived: 'boolean',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Find the branch
+    // NOTE: find() sanitizes req.params.branchid, req.params.projectid and req.params.orgid
+    const branch = await BranchController.find(req.user, req.params.orgid, req.params.projectid,
+      req.params.branchid, options);
+    // If no branch found, return 404 error
+    if (branch.length === 0) {
+      throw new M.NotFoundError(
+        `Branch [${req.params.branchid}] not found.`, 'warn'
+      );
+    }
+
+    const publicBranchData = sani.html(
+      branch.map(b => publicData.getPublicData(req.user, b, 'branch', options))
+    );
+
+    // Set the revision of the branch in the ETag header
+    setETag(res, branch[0]);
+
+    // Format JSON
+    const json = formatJSON(publicBranchData[0], minified);
+
+    // Sets the message to the public branch data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid
+ *
+ * @description Creates a branch.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with created branch
+ */
+async function postBranch(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    populate: 'array',
+    fields: 'array',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
+
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // If an ID was provided in the body, ensure it matches the ID in params
+  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.branchid)) {
+    const error = new M.DataFormatError(
+      'Branch ID in the body does not match ID in the params.', 'warn'
+    );
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Set the branch ID in the body equal req.params.branchid
+  req.body.id = req.params.branchid;
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Create branch with provided parameters
+    // NOTE: create() sanitizes input params
+    const branch = await BranchController.create(req.user, req.params.orgid, req.params.projectid,
+      req.body, options);
+    const branchesPublicData = sani.html(
+      branch.map(b => publicData.getPublicData(req.user, b, 'branch', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(branchesPublicData[0], minified);
+
+    // Sets the message to the public branch data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * PATCH /api/orgs/:orgid/projects/:projectid/branches/:branchid
+ *
+ * @description Updates the specified branch.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with updated branch
+ */
+async function patchBranch(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -4531,6 +7297,20 @@ async function patchBranches(req, res, next) {
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
+  // Singular api: should not accept arrays
+  if (Array.isArray(req.body)) {
+    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // If an ID was provided in the body, ensure it matches the ID in params
+  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.branchid)) {
+    const error = new M.DataFormatError(
+      'Branch ID in the body does not match ID in the params.', 'warn'
+    );
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
   // Attempt to parse query options
   try {
     // Extract options from request query
@@ -4541,39 +7321,32 @@ async function patchBranches(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
+  // Set the branch ID in the body equal req.params.branchid
+  req.body.id = req.params.branchid;
+
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
     delete options.minified;
   }
 
-  // Get the branch data
-  let branchData;
-  if (req.headers['content-type'] === 'application/gzip') {
-    try {
-      // This function parses incoming gzipped data
-      branchData = await utils.handleGzip(req);
-    }
-    catch (error) {
-      // Error occurred with options, report it
-      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-    }
-  }
-  else {
-    branchData = req.body;
-  }
-
   try {
-    // Update the specified branches
+    // Updates the specified branch
     // NOTE: update() sanitizes input params
-    const branches = await BranchController.update(req.user, req.params.orgid, req.params.projectid,
-      branchData, options);
-    const branchesPublicData = sani.html(
-      branches.map(b => publicData.getPublicData(req.user, b, 'branch', options))
+    const branch = await BranchController.update(req.user, req.params.orgid, req.params.projectid,
+      req.body, options);
+    const branchPublicData = sani.html(
+      branch.map(b => publicData.getPublicData(req.user, b, 'branch', options))
     );
 
+    // Set the revision of the branch in the ETag header
+    setETag(res, branch[0]);
+
     // Format JSON
-    const json = formatJSON(branchesPublicData, minified);
+    const json = formatJSON(branchPublicData[0], minified);
 
     // Sets the message to the public branch data and the status code to 200
     res.locals = {
@@ -4584,23 +7357,23 @@ async function patchBranches(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
 /**
- * DELETE /api/org/:orgid/projects/:projectid/branches
+ * DELETE /api/orgs/:orgid/projects/:projectid/branches/:branchid
  *
- * @description Deletes multiple branches from an array of branch IDs or
- * array of branch objects.
+ * @description Takes an orgid, projectid, and branchid in the URI and
+ * deletes a branch.
  *
  * @param {object} req - request express object
  * @param {object} res - response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with deleted branch IDs.
+ * @returns {object} Response object with deleted branch ID.
  */
-async function deleteBranches(req, res, next) {
+async function deleteBranch(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -4611,7 +7384,6 @@ async function deleteBranches(req, res, next) {
 
   // Define valid option and its parsed type
   const validOptions = {
-    ids: 'array',
     minified: 'boolean'
   };
 
@@ -4628,12 +7400,6 @@ async function deleteBranches(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Extract IDs from request
-  const ids = utils.parseRequestIDs(req, options);
-
-  // Remove option IDs
-  delete options.ids;
-
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -4641,15 +7407,20 @@ async function deleteBranches(req, res, next) {
   }
 
   try {
-    // Remove the specified branches
-    const branchIDs = await BranchController.remove(req.user, req.params.orgid,
-      req.params.projectid, ids, options);
-    const parsedIDs = branchIDs.map(p => utils.parseID(p).pop());
+    // Ensure the branch has not changed since the revision in the If-Match header
+    await checkIfMatch(req, req.params.branchid, () => BranchController.find(req.user,
+      req.params.orgid, req.params.projectid, req.params.branchid, { includeArchived: true }));
+
+    // Remove the specified branch
+    // NOTE: remove() sanitizes params
+    const branchID = await BranchController.remove(req.user, req.params.orgid, req.params.projectid,
+      req.params.branchid, options);
+    const parsedIDs = utils.parseID(branchID[0]).pop();
 
     // Format JSON
     const json = formatJSON(parsedIDs, minified);
 
-    // Sets the message to the deleted branch ids and the status code to 200
+    // Sets the message to the deleted branch id and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4658,22 +7429,24 @@ async function deleteBranches(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
 /**
- * GET /api/org/:orgid/projects/:projectid/branches/:branchid
+ * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/diff/:otherbranchid
  *
- * @description Gets a branch by its branch ID.
+ * @description Gets the differences in elements and artifacts between two
+ * branches or tags.
  *
- * @param {object} req - request express object
- * @param {object} res - response express object
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with branch's public data
+ * @returns {object} Response object with the added, removed and modified
+ * elements and artifacts
  */
-async function getBranch(req, res, next) {
+async function getBranchDiff(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -4684,9 +7457,7 @@ async function getBranch(req, res, next) {
 
   // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
     includeArchived: 'boolean',
-    fields: 'array',
     minified: 'boolean'
   };
 
@@ -4710,25 +7481,30 @@ async function getBranch(req, res, next) {
   }
 
   try {
-    // Find the branch
-    // NOTE: find() sanitizes req.params.branchid, req.params.projectid and req.params.orgid
-    const branch = await BranchController.find(req.user, req.params.orgid, req.params.projectid,
-      req.params.branchid, options);
-    // If no branch found, return 404 error
-    if (branch.length === 0) {
-      throw new M.NotFoundError(
-        `Branch [${req.params.branchid}] not found.`, 'warn'
-      );
-    }
-
-    const publicBranchData = sani.html(
-      branch.map(b => publicData.getPublicData(req.user, b, 'branch', options))
-    );
+    // Compare the branches
+    // NOTE: diff() sanitizes req.params.orgid, req.params.projectid,
+    // req.params.branchid and req.params.otherbranchid
+    const changes = await BranchController.diff(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.params.otherbranchid, options);
+
+    // Get the public data of the added and removed items
+    const publicDiffData = sani.html({
+      elements: {
+        added: changes.elements.added.map(e => publicData.getPublicData(req.user, e, 'element', {})),
+        removed: changes.elements.removed.map(e => publicData.getPublicData(req.user, e, 'element', {})),
+        modified: changes.elements.modified
+      },
+      artifacts: {
+        added: changes.artifacts.added.map(a => publicData.getPublicData(req.user, a, 'artifact', {})),
+        removed: changes.artifacts.removed.map(a => publicData.getPublicData(req.user, a, 'artifact', {})),
+        modified: changes.artifacts.modified
+      }
+    });
 
     // Format JSON
-    const json = formatJSON(publicBranchData[0], minified);
+    const json = formatJSON(publicDiffData, minified);
 
-    // Sets the message to the public branch data and the status code to 200
+    // Sets the message to the branch differences and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4742,17 +7518,17 @@ async function getBranch(req, res, next) {
 }
 
 /**
- * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid
+ * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid/merge/:targetbranchid
  *
- * @description Creates a branch.
+ * @description Merges the changes made on a branch into a target branch.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with created branch
+ * @returns {object} Response object with the merge result and any conflicts
  */
-async function postBranch(req, res, next) {
+async function postBranchMerge(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -4761,29 +7537,81 @@ async function postBranch(req, res, next) {
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    fields: 'array',
+    dryRun: 'boolean',
     minified: 'boolean'
   };
 
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
-  // Singular api: should not accept arrays
-  if (Array.isArray(req.body)) {
-    const error = new M.DataFormatError('Input cannot be an array', 'warn');
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // If an ID was provided in the body, ensure it matches the ID in params
-  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.branchid)) {
-    const error = new M.DataFormatError(
-      'Branch ID in the body does not match ID in the params.', 'warn'
-    );
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Merge the branches
+    // NOTE: merge() sanitizes req.params.orgid, req.params.projectid,
+    // req.params.branchid and req.params.targetbranchid
+    const result = await BranchController.merge(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.params.targetbranchid, options);
+
+    // Format JSON
+    const json = formatJSON(sani.html(result), minified);
+
+    // Sets the message to the merge result and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
+}
+
+/**
+ * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/protection
+ *
+ * @description Gets the protection rules of a branch.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the protection rules of the branch
+ */
+async function getBranchProtection(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  // Note: Undefined if not set
+  let options;
+  let minified = false;
+
+  // Define valid option and its parsed type
+  const validOptions = {
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) return noUserError(req, res, next);
 
   // Attempt to parse query options
   try {
@@ -4795,9 +7623,6 @@ async function postBranch(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Set the branch ID in the body equal req.params.branchid
-  req.body.id = req.params.branchid;
-
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -4805,18 +7630,23 @@ async function postBranch(req, res, next) {
   }
 
   try {
-    // Create branch with provided parameters
-    // NOTE: create() sanitizes input params
-    const branch = await BranchController.create(req.user, req.params.orgid, req.params.projectid,
-      req.body, options);
-    const branchesPublicData = sani.html(
-      branch.map(b => publicData.getPublicData(req.user, b, 'branch', options))
-    );
+    // Find the branch
+    // NOTE: find() sanitizes req.params.branchid, req.params.projectid and req.params.orgid
+    const branch = await BranchController.find(req.user, req.params.orgid, req.params.projectid,
+      req.params.branchid, options);
+    // If no branch found, return 404 error
+    if (branch.length === 0) {
+      throw new M.NotFoundError(
+        `Branch [${req.params.branchid}] not found.`, 'warn'
+      );
+    }
+
+    const publicBranchData = publicData.getPublicData(req.user, branch[0], 'branch', {});
 
     // Format JSON
-    const json = formatJSON(branchesPublicData[0], minified);
+    const json = formatJSON(sani.html(publicBranchData.protection), minified);
 
-    // Sets the message to the public branch data and the status code to 200
+    // Sets the message to the protection rules and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4830,17 +7660,18 @@ async function postBranch(req, res, next) {
 }
 
 /**
- * PATCH /api/orgs/:orgid/projects/:projectid/branches/:branchid
+ * PATCH /api/orgs/:orgid/projects/:projectid/branches/:branchid/protection
  *
- * @description Updates the specified branch.
+ * @description Changes the protection rules of a branch. Rules which are not
+ * provided in the body are unchanged.
  *
  * @param {object} req - Request express object
  * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with updated branch
+ * @returns {object} Response object with the updated protection rules
  */
-async function patchBranch(req, res, next) {
+async function patchBranchProtection(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
@@ -4849,30 +7680,14 @@ async function patchBranch(req, res, next) {
   let options;
   let minified = false;
 
-  // Define valid option type
+  // Define valid option and its parsed type
   const validOptions = {
-    populate: 'array',
-    fields: 'array',
     minified: 'boolean'
   };
 
   // Sanity Check: there should always be a user in the request
   if (!req.user) return noUserError(req, res, next);
 
-  // Singular api: should not accept arrays
-  if (Array.isArray(req.body)) {
-    const error = new M.DataFormatError('Input cannot be an array', 'warn');
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-  }
-
-  // If an ID was provided in the body, ensure it matches the ID in params
-  if (req.body.hasOwnProperty('id') && (req.body.id !== req.params.branchid)) {
-    const error = new M.DataFormatError(
-      'Branch ID in the body does not match ID in the params.', 'warn'
-    );
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
-  }
-
   // Attempt to parse query options
   try {
     // Extract options from request query
@@ -4883,9 +7698,6 @@ async function patchBranch(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Set the branch ID in the body equal req.params.branchid
-  req.body.id = req.params.branchid;
-
   // Check options for minified
   if (options.hasOwnProperty('minified')) {
     minified = options.minified;
@@ -4893,18 +7705,18 @@ async function patchBranch(req, res, next) {
   }
 
   try {
-    // Updates the specified branch
-    // NOTE: update() sanitizes input params
-    const branch = await BranchController.update(req.user, req.params.orgid, req.params.projectid,
-      req.body, options);
-    const branchPublicData = sani.html(
-      branch.map(b => publicData.getPublicData(req.user, b, 'branch', options))
-    );
+    // Update the protection rules
+    // NOTE: updateProtection() sanitizes req.params.orgid, req.params.projectid,
+    // req.params.branchid and req.body
+    const branch = await BranchController.updateProtection(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, req.body, options);
+
+    const publicBranchData = publicData.getPublicData(req.user, branch, 'branch', {});
 
     // Format JSON
-    const json = formatJSON(branchPublicData[0], minified);
+    const json = formatJSON(sani.html(publicBranchData.protection), minified);
 
-    // Sets the message to the public branch data and the status code to 200
+    // Sets the message to the protection rules and the status code to 200
     res.locals = {
       message: json,
       statusCode: 200
@@ -4918,29 +7730,28 @@ async function patchBranch(req, res, next) {
 }
 
 /**
- * DELETE /api/orgs/:orgid/projects/:projectid/branches/:branchid
+ * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/xmi
  *
- * @description Takes an orgid, projectid, and branchid in the URI and
- * deletes a branch.
+ * @description Exports the elements of a branch, or a subtree of the branch,
+ * as an XMI document.
  *
- * @param {object} req - request express object
- * @param {object} res - response express object
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
  * @param {Function} next - Middleware callback to trigger the next function
  *
- * @returns {object} Response object with deleted branch ID.
+ * @returns {string} The XMI document
  */
-async function deleteBranch(req, res, next) {
+async function getBranchXMI(req, res, next) {
   // Skip controller code if a plugin pre-hook threw an error
   if (res.statusCode !== 200) return next();
 
   // Define options
   // Note: Undefined if not set
   let options;
-  let minified = false;
 
   // Define valid option and its parsed type
   const validOptions = {
-    minified: 'boolean'
+    rootid: 'string'
   };
 
   // Sanity Check: there should always be a user in the request
@@ -4956,26 +7767,22 @@ async function deleteBranch(req, res, next) {
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
   }
 
-  // Check options for minified
-  if (options.hasOwnProperty('minified')) {
-    minified = options.minified;
-    delete options.minified;
-  }
-
   try {
-    // Remove the specified branch
-    // NOTE: remove() sanitizes params
-    const branchID = await BranchController.remove(req.user, req.params.orgid, req.params.projectid,
-      req.params.branchid, options);
-    const parsedIDs = utils.parseID(branchID[0]).pop();
+    // Export the elements
+    // NOTE: exportXMI() sanitizes req.params.orgid, req.params.projectid and
+    // req.params.branchid
+    const xmi = await ElementController.exportXMI(req.user, req.params.orgid,
+      req.params.projectid, req.params.branchid, options);
 
-    // Format JSON
-    const json = formatJSON(parsedIDs, minified);
+    // Set filename
+    res.header('Content-Disposition',
+      `attachment; filename=${req.params.branchid}-${options.rootid || 'model'}.xmi`);
 
-    // Sets the message to the deleted branch id and the status code to 200
+    // Sets the message to the XMI and the status code to 200
     res.locals = {
-      message: json,
-      statusCode: 200
+      message: xmi,
+      statusCode: 200,
+      contentType: 'application/xml'
     };
     next();
   }
@@ -4985,6 +7792,92 @@ async function deleteBranch(req, res, next) {
   }
 }
 
+/**
+ * POST /api/orgs/:orgid/projects/:projectid/branches/:branchid/xmi
+ *
+ * @description Imports the elements of an XMI document into a branch. The XMI
+ * is either the body of the request or an uploaded file.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the imported elements
+ */
+async function postBranchXMI(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  await upload(req, res, async function(err) {
+    // Define options
+    // Note: Undefined if not set
+    let options;
+    let minified = false;
+
+    // Define valid option and its parsed type
+    const validOptions = {
+      parent: 'string',
+      replace: 'boolean',
+      populate: 'array',
+      fields: 'array',
+      minified: 'boolean'
+    };
+
+    // Sanity Check: there should always be a user in the request
+    if (!req.user) return noUserError(req, res, next);
+
+    if (err instanceof multer.MulterError) {
+      // A Multer error occurred when uploading.
+      M.log.error(err);
+      const error = new M.ServerError('XMI upload failed.', 'warn');
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+
+    // Attempt to parse query options
+    try {
+      // Extract options from request query
+      options = utils.parseOptions(req.query, validOptions);
+    }
+    catch (error) {
+      // Error occurred with options, report it
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+
+    // Check options for minified
+    if (options.hasOwnProperty('minified')) {
+      minified = options.minified;
+      delete options.minified;
+    }
+
+    // Get the XMI from the uploaded file or the body of the request
+    const xmi = (req.file) ? req.file.buffer.toString() : req.body;
+
+    try {
+      // Import the elements
+      // NOTE: importXMI() sanitizes input params
+      const elements = await ElementController.importXMI(req.user, req.params.orgid,
+        req.params.projectid, req.params.branchid, xmi, options);
+      const elementsPublicData = sani.html(
+        elements.map(e => publicData.getPublicData(req.user, e, 'element', options))
+      );
+
+      // Format JSON
+      const json = formatJSON(elementsPublicData, minified);
+
+      // Sets the message to the public element data and the status code to 200
+      res.locals = {
+        message: json,
+        statusCode: 200
+      };
+      next();
+    }
+    catch (error) {
+      // If an error was thrown, return it and its status
+      return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    }
+  });
+}
+
 /* -----------------------( Artifacts API Endpoints )------------------------- */
 /**
  * GET /api/orgs/:orgid/projects/:projectid/branches/:branchid/artifacts
@@ -5017,6 +7910,8 @@ async function getArtifacts(req, res, next) {
     limit: 'number',
     skip: 'number',
     sort: 'string',
+    after: 'string',
+    count: 'boolean',
     ids: 'array',
     format: 'string',
     minified: 'boolean',
@@ -5077,6 +7972,8 @@ async function getArtifacts(req, res, next) {
     // NOTE: find() sanitizes input params
     const artifacts = await ArtifactController.find(req.user, req.params.orgid,
       req.params.projectid, req.params.branchid, artIDs, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, artifacts);
     const artifactsPublicData = sani.html(
       artifacts.map(a => publicData.getPublicData(req.user, a, 'artifact', options))
     );
@@ -5306,7 +8203,7 @@ async function patchArtifacts(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -5449,6 +8346,9 @@ async function getArtifact(req, res, next) {
       artifact.map(a => publicData.getPublicData(req.user, a, 'artifact', options))
     );
 
+    // Set the revision of the artifact in the ETag header
+    setETag(res, artifact[0]);
+
     // Format JSON
     const json = formatJSON(publicArtifactData[0], minified);
 
@@ -5618,6 +8518,9 @@ async function patchArtifact(req, res, next) {
   // Set the artifact ID in the body equal req.params.artifactid
   req.body.id = req.params.artifactid;
 
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
   try {
     // Update the specified artifact
     // NOTE: update() sanitizes input params
@@ -5628,6 +8531,9 @@ async function patchArtifact(req, res, next) {
       artifact.map(a => publicData.getPublicData(req.user, a, 'artifact', options))
     );
 
+    // Set the revision of the artifact in the ETag header
+    setETag(res, artifact[0]);
+
     // Format JSON
     const json = formatJSON(artifactsPublicData[0], minified);
 
@@ -5640,7 +8546,7 @@ async function patchArtifact(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -5689,6 +8595,11 @@ async function deleteArtifact(req, res, next) {
     delete options.minified;
   }
   try {
+    // Ensure the artifact has not changed since the revision in the If-Match header
+    await checkIfMatch(req, req.params.artifactid, () => ArtifactController.find(req.user,
+      req.params.orgid, req.params.projectid, req.params.branchid, req.params.artifactid,
+      { includeArchived: true }));
+
     // Remove the specified artifact
     // NOTE: remove() sanitizes input params
     const artIDs = await ArtifactController.remove(req.user, req.params.orgid,
@@ -5707,7 +8618,7 @@ async function deleteArtifact(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -5990,6 +8901,8 @@ async function getWebhooks(req, res, next) {
     skip: 'number',
     lean: 'boolean',
     sort: 'string',
+    after: 'string',
+    count: 'boolean',
     org: 'string',
     project: 'string',
     branch: 'string',
@@ -6053,6 +8966,8 @@ async function getWebhooks(req, res, next) {
   try {
     // Find webhooks
     const webhooks = await WebhookController.find(req.user, webhookIDs, options);
+    // Set the cursor of the next page and the total count in the headers
+    setPageHeaders(req, res, webhooks);
 
     // Get public data of webhooks
     const webhooksPublicData = sani.html(
@@ -6224,7 +9139,7 @@ async function patchWebhooks(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -6369,6 +9284,9 @@ async function getWebhook(req, res, next) {
       publicData.getPublicData(req.user, webhook, 'webhook', options)
     );
 
+    // Set the revision of the webhook in the ETag header
+    setETag(res, webhook);
+
     // Format JSON
     const json = formatJSON(webhookPublicData, minified);
 
@@ -6434,6 +9352,9 @@ async function patchWebhook(req, res, next) {
   // Set body id to params id
   req.body.id = req.params.webhookid;
 
+  // Only modify the document if it has the revision in the If-Match header
+  applyIfMatch(req);
+
   // Attempt to parse query options
   try {
     // Extract options from request query
@@ -6460,6 +9381,9 @@ async function patchWebhook(req, res, next) {
       publicData.getPublicData(req.user, webhook, 'webhook', options)
     );
 
+    // Set the revision of the webhook in the ETag header
+    setETag(res, webhook);
+
     // Format JSON
     const json = formatJSON(webhookPublicData, minified);
 
@@ -6472,7 +9396,7 @@ async function patchWebhook(req, res, next) {
   }
   catch (error) {
     // If an error was thrown, return it and its status
-    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+    return formatErrorResponse(req, res, error, next);
   }
 }
 
@@ -6524,6 +9448,10 @@ async function deleteWebhook(req, res, next) {
   }
 
   try {
+    // Ensure the webhook has not changed since the revision in the If-Match header
+    await checkIfMatch(req, req.params.webhookid,
+      () => WebhookController.find(req.user, req.params.webhookid, { includeArchived: true }));
+
     // Remove the specified webhook
     const webhooks = await WebhookController.remove(req.user, req.params.webhookid, options);
 
@@ -6537,6 +9465,155 @@ async function deleteWebhook(req, res, next) {
     };
     next();
   }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return formatErrorResponse(req, res, error, next);
+  }
+}
+
+/**
+ * GET /api/webhooks/:webhookid/deliveries
+ *
+ * @description Gets the deliveries of an outgoing webhook.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the deliveries' public data.
+ */
+async function getWebhookDeliveries(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    status: 'string',
+    limit: 'number',
+    skip: 'number',
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) {
+    M.log.critical('No requesting user available.');
+    const error = new M.ServerError('Request Failed');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Find the deliveries of the webhook
+    const deliveries = await WebhookController.findDeliveries(req.user,
+      req.params.webhookid, options);
+
+    // Get the public data of the deliveries
+    const deliveriesPublicData = sani.html(
+      deliveries.map((d) => publicData.getPublicData(req.user, d, 'delivery', options))
+    );
+
+    // Format JSON
+    const json = formatJSON(deliveriesPublicData, minified);
+
+    // Sets the message to the public delivery data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
+  catch (error) {
+    // If an error was thrown, return it and its status
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+}
+
+/**
+ * POST /api/webhooks/:webhookid/deliveries/:deliveryid/redeliver
+ *
+ * @description Sends a delivery of an outgoing webhook again.
+ *
+ * @param {object} req - Request express object
+ * @param {object} res - Response express object
+ * @param {Function} next - Middleware callback to trigger the next function
+ *
+ * @returns {object} Response object with the delivery's public data.
+ */
+async function redeliverWebhook(req, res, next) {
+  // Skip controller code if a plugin pre-hook threw an error
+  if (res.statusCode !== 200) return next();
+
+  // Define options
+  let options;
+  let minified = false;
+
+  // Define valid option type
+  const validOptions = {
+    minified: 'boolean'
+  };
+
+  // Sanity Check: there should always be a user in the request
+  if (!req.user) {
+    M.log.critical('No requesting user available.');
+    const error = new M.ServerError('Request Failed');
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Attempt to parse query options
+  try {
+    // Extract options from request query
+    options = utils.parseOptions(req.query, validOptions);
+  }
+  catch (error) {
+    // Error occurred with options, report it
+    return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
+  }
+
+  // Check options for minified
+  if (options.hasOwnProperty('minified')) {
+    minified = options.minified;
+    delete options.minified;
+  }
+
+  try {
+    // Send the delivery again
+    const delivery = await WebhookController.redeliver(req.user, req.params.webhookid,
+      req.params.deliveryid, options);
+
+    // Get the public data of the delivery
+    const deliveryPublicData = sani.html(
+      publicData.getPublicData(req.user, delivery, 'delivery', options)
+    );
+
+    // Format JSON
+    const json = formatJSON(deliveryPublicData, minified);
+
+    // Sets the message to the public delivery data and the status code to 200
+    res.locals = {
+      message: json,
+      statusCode: 200
+    };
+    next();
+  }
   catch (error) {
     // If an error was thrown, return it and its status
     return utils.formatResponse(req, res, error.message, errors.getStatusCode(error), next);
@@ -6613,10 +9690,15 @@ async function triggerWebhook(req, res, next) {
 
     Webhook.verifyAuthority(webhook, decodedToken);
 
-    webhook.triggers.forEach((trigger) => {
-      if (Array.isArray(data)) EventEmitter.emit(trigger, user, ...data);
-      else EventEmitter.emit(trigger, user, data);
-    });
+    // Emit the events within the org, project or branch the webhook is registered to
+    const ids = (webhook.reference) ? utils.parseID(webhook.reference) : [];
+    await Promise.all(webhook.triggers.map(trigger => EventEmitter.emit(trigger, {
+      actor: user,
+      org: ids[0],
+      project: ids[1],
+      branch: ids[2],
+      data: data
+    })));
 
     // Sets the message to "success" and the status code to 200
     res.locals = {
@@ -38,11 +38,13 @@ const Artifact = M.require('models.artifact');
 const Branch = M.require('models.branch');
 const Project = M.require('models.project');
 const Org = M.require('models.organization');
+const db = M.require('db');
 const EventEmitter = M.require('lib.events');
 const sani = M.require('lib.sanitization');
 const validators = M.require('lib.validators');
 const utils = M.require('lib.utils');
 const helper = M.require('lib.controller-utils');
+const branchUtils = M.require('lib.branch-utils');
 const jmi = M.require('lib.jmi-conversions');
 const ArtifactStrategy = M.require(`artifact.${M.config.artifact.strategy}`);
 const errors = M.require('lib.errors');
@@ -92,6 +94,12 @@ if (!ArtifactStrategy.hasOwnProperty('clear')) {
  * @param {string} [options.sort] - Provide a particular field to sort the results by.
  * You may also add a negative sign in front of the field to indicate sorting in
  * reverse order.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found artifacts. Only the artifacts after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching artifacts is counted and returned in the property pageInfo.total of
+ * the found artifacts.
  * @param {string} [options.description] - Search for artifacts with a specific description.
  * @param {string} [options.filename] - Search for artifacts with a specific
  * filename.
@@ -142,7 +150,7 @@ async function find(requestingUser, organizationID, projectID, branchID, artifac
 
   // Initialize and ensure options are valid
   const validatedOptions = utils.validateOptions(options, ['includeArchived', 'populate',
-    'fields', 'limit', 'skip', 'sort'], Artifact);
+    'fields', 'limit', 'skip', 'sort', 'after', 'count'], Artifact);
 
   // Ensure options are valid
   if (options) {
@@ -205,13 +213,19 @@ async function find(requestingUser, organizationID, projectID, branchID, artifac
   }
 
   try {
-    // Find the artifacts
-    return await Artifact.find(searchQuery, validatedOptions.fieldsString,
+    // Find the artifacts after the cursor, if provided
+    const foundArtifacts = await branchUtils.find(Artifact, searchQuery,
+      validatedOptions.fieldsString,
       { limit: validatedOptions.limit,
         skip: validatedOptions.skip,
         sort: validatedOptions.sort,
-        populate: validatedOptions.populateString
+        populate: validatedOptions.populateString,
+        after: validatedOptions.after
       });
+
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundArtifacts, validatedOptions,
+      () => branchUtils.countDocuments(Artifact, searchQuery));
   }
   catch (error) {
     throw errors.captureError(error);
@@ -317,7 +331,7 @@ async function create(requestingUser, organizationID, projectID, branchID,
       artsToCreate.forEach((artifact) => {
         // Ensure keys are valid
         Object.keys(artifact).forEach((k) => {
-          assert.ok(validArtKeys.includes(k), `Invalid key [${k}].`);
+          assert.ok(validArtKeys.includes(k) || k === '_rev', `Invalid key [${k}].`);
         });
 
         // Ensure each art has an id and that its a string
@@ -342,7 +356,7 @@ async function create(requestingUser, organizationID, projectID, branchID,
     const searchQuery = { _id: { $in: arrIDs } };
 
     // Check if the artifacts already exists
-    const existingArtifact = await Artifact.find(searchQuery, '_id');
+    const existingArtifact = await branchUtils.find(Artifact, searchQuery, '_id');
 
     // Ensure no artifacts were found
     if (existingArtifact.length > 0) {
@@ -369,10 +383,14 @@ async function create(requestingUser, organizationID, projectID, branchID,
     // Save artifact object to the database
     const createdArtifacts = await Artifact.insertMany(artObjects);
 
+    // Remove any previous deletions of the artifacts from the branch
+    await branchUtils.clearDeletions(Artifact, createdArtifacts.map(a => a._id));
+
     // Emit the event artifacts-created
-    EventEmitter.emit('artifacts-created', createdArtifacts);
+    await EventEmitter.emit('artifacts-created',
+      { actor: reqUser, org: orgID, project: projID, branch: branID, after: createdArtifacts });
 
-    return await Artifact.find(searchQuery, validatedOptions.fieldsString,
+    return await branchUtils.find(Artifact, searchQuery, validatedOptions.fieldsString,
       { populate: validatedOptions.populateString });
   }
   catch (error) {
@@ -480,7 +498,7 @@ async function update(requestingUser, organizationID, projectID, branchID,
       artsToUpdate.forEach((art) => {
         // Ensure keys are valid
         Object.keys(art).forEach((k) => {
-          assert.ok(validArtKeys.includes(k), `Invalid key [${k}].`);
+          assert.ok(validArtKeys.includes(k) || k === '_rev', `Invalid key [${k}].`);
         });
 
         // Ensure each artifact has an id and that its a string
@@ -504,7 +522,7 @@ async function update(requestingUser, organizationID, projectID, branchID,
     const searchQuery = { _id: { $in: arrIDs } };
 
     // Find existing artifacts
-    const foundArtifact = await Artifact.find(searchQuery, null);
+    const foundArtifact = await branchUtils.find(Artifact, searchQuery, null);
     // Verify the same number of artifacts are found as desired
     if (foundArtifact.length !== arrIDs.length) {
       const foundIDs = foundArtifact.map(a => a._id);
@@ -515,6 +533,9 @@ async function update(requestingUser, organizationID, projectID, branchID,
       );
     }
 
+    // Ensure none of the artifacts have changed since the provided revisions
+    const revisionFilters = helper.checkRevisions(foundArtifact, artsToUpdate, 'artifacts');
+
     // Convert artsToUpdate to JMI type 2
     const jmiType2 = jmi.convertJMI(1, 2, artsToUpdate);
     const bulkArray = [];
@@ -588,21 +609,38 @@ async function update(requestingUser, organizationID, projectID, branchID,
       updateArtifact.lastModifiedBy = reqUser._id;
       updateArtifact.updatedOn = Date.now();
 
-      // Update the artifact
+      // Update the artifact, if it is unchanged since its revision was checked
       bulkArray.push({
         updateOne: {
-          filter: { _id: art._id },
+          filter: Object.assign({ _id: art._id }, revisionFilters[art._id]),
           update: updateArtifact
         }
       });
     });
-    await Artifact.bulkWrite(bulkArray);
 
-    const foundArtifacts = await Artifact.find(searchQuery, validatedOptions.fieldsString,
+    // Update the artifacts in a transaction, so that none are updated if one
+    // has changed since its revision was checked
+    await db.withTransaction(async (session) => {
+      // Copy any inherited artifacts into the branch before they are updated
+      await branchUtils.prepareWrite(Artifact, branch._id, foundArtifact.map(a => a._id),
+        true, session);
+      const result = await Artifact.bulkWrite(bulkArray, { session: session });
+      await helper.checkWrittenRevisions(Artifact, bulkArray, result, 'artifacts', session);
+    });
+
+    const foundArtifacts = await branchUtils.find(Artifact, searchQuery,
+      validatedOptions.fieldsString,
       { populate: validatedOptions.populateString });
 
     // Emit the event artifacts-updated
-    EventEmitter.emit('artifacts-updated', foundArtifacts);
+    await EventEmitter.emit('artifacts-updated', {
+      actor: reqUser,
+      org: orgID,
+      project: projID,
+      branch: branID,
+      before: foundArtifact,
+      after: foundArtifacts
+    });
     return foundArtifacts;
   }
   catch (error) {
@@ -694,7 +732,7 @@ async function remove(requestingUser, organizationID, projectID, branchID,
     const foundArtifactFullPath = [];
 
     // Find the artifacts to delete
-    const foundArtifacts = await Artifact.find(searchQuery, null);
+    const foundArtifacts = await branchUtils.find(Artifact, searchQuery, null);
     const foundArtifactIDs = [];
     foundArtifacts.forEach(a => {
       foundArtifactIDs.push(a._id);
@@ -708,8 +746,12 @@ async function remove(requestingUser, organizationID, projectID, branchID,
       throw new M.NotFoundError('The following artifacts were not found: '
         + `[${notFoundIDs.map(a => utils.parseID(a).pop())}].`, 'warn');
     }
+    // Preserve the artifacts for any branches created from this branch
+    await branchUtils.prepareWrite(Artifact, branch._id, foundArtifactIDs, false);
+
     // Delete the artifacts
     await Artifact.deleteMany(searchQuery);
+    await branchUtils.recordDeletions(Artifact, branch._id, foundArtifactIDs);
 
     const promises = [];
     // Check for delete blob option
@@ -744,7 +786,8 @@ async function remove(requestingUser, organizationID, projectID, branchID,
     await Promise.all(promises);
 
     // Emit the event artifacts-deleted
-    EventEmitter.emit('artifacts-deleted', foundArtifacts);
+    await EventEmitter.emit('artifacts-deleted',
+      { actor: reqUser, org: orgID, project: projID, branch: branID, before: foundArtifacts });
 
     // Return unique IDs of artifacts deleted
     return foundArtifactIDs;
@@ -0,0 +1,136 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module controllers.audit-controller
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Provides an abstraction layer on top of the AuditRecord model
+ * that implements controller logic and behavior for the audit log. Audit
+ * records are created by lib/audit, and can only be found by system-wide
+ * admins.
+ */
+
+// Expose audit controller functions
+// Note: The export is being done before the import to solve the issues of
+// circular references between controllers.
+module.exports = {
+  find
+};
+
+// MBEE modules
+const AuditRecord = M.require('models.audit-record');
+const sani = M.require('lib.sanitization');
+const utils = M.require('lib.utils');
+const errors = M.require('lib.errors');
+const helper = M.require('lib.controller-utils');
+const permissions = M.require('lib.permissions');
+
+/**
+ * @description This function finds records in the audit log. Only system-wide
+ * admins can find audit records. By default, the records are returned from
+ * newest to oldest.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string} [options.actor] - A string that will search for records of
+ * changes made by a specific user.
+ * @param {string} [options.action] - A string that will search for records of
+ * a specific type of change, either created, updated or deleted.
+ * @param {string} [options.type] - A string that will search for records of
+ * changes to a specific type of document, such as element.
+ * @param {string} [options.target] - A string that will search for records of
+ * changes to the document with a specific ID.
+ * @param {(string|number|Date)} [options.from] - The earliest time of the
+ * records to find.
+ * @param {(string|number|Date)} [options.to] - The latest time of the records
+ * to find.
+ * @param {number} [options.limit = 0] - A number that specifies the maximum
+ * number of records to be returned. A limit of 0 is equivalent to setting no
+ * limit.
+ * @param {number} [options.skip = 0] - A non-negative number that specifies the
+ * number of records to skip returning.
+ * @param {string} [options.sort = '-timestamp'] - Provide a particular field to
+ * sort the results by. You may also add a negative sign in front of the field
+ * to indicate sorting in reverse order.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found records. Only the records after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching records is counted and returned in the property pageInfo.total of
+ * the found records.
+ *
+ * @returns {Promise<object[]>} Array of found audit records.
+ *
+ * @example
+ * find({User}, { actor: 'username', action: 'deleted' })
+ * .then(function(records) {
+ *   // Do something with the found records
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function find(requestingUser, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+
+    // Ensure user has permission to find audit records
+    permissions.getAudit(requestingUser);
+
+    // Initialize and ensure options are valid, sorting by newest first by default
+    const validatedOptions = utils.validateOptions(Object.assign({ sort: '-timestamp' },
+      options), ['from', 'to', 'limit', 'skip', 'sort', 'after', 'count'], AuditRecord);
+
+    // Define searchQuery
+    const searchQuery = {};
+
+    // Ensure search options are valid
+    if (options) {
+      // List of valid search options
+      const validSearchOptions = ['actor', 'action', 'type', 'target'];
+
+      // Check each option for valid search queries
+      Object.keys(options).forEach((o) => {
+        // If the search option is valid
+        if (validSearchOptions.includes(o)) {
+          // Ensure the search option is a string
+          if (typeof options[o] !== 'string') {
+            throw new M.DataFormatError(`The option '${o}' is not a string.`, 'warn');
+          }
+          // Add the search option to the searchQuery
+          searchQuery[o] = sani.db(options[o]);
+        }
+      });
+    }
+
+    // Find the records in the date range
+    if (validatedOptions.from || validatedOptions.to) {
+      searchQuery.timestamp = {};
+      if (validatedOptions.from) searchQuery.timestamp.$gte = validatedOptions.from;
+      if (validatedOptions.to) searchQuery.timestamp.$lte = validatedOptions.to;
+    }
+
+    // Find the records after the cursor, if provided
+    const foundRecords = await AuditRecord.find(utils.applyCursor(searchQuery, validatedOptions),
+      null,
+      { limit: validatedOptions.limit,
+        skip: validatedOptions.skip,
+        sort: validatedOptions.sort
+      });
+
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundRecords, validatedOptions,
+      () => AuditRecord.countDocuments(searchQuery));
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
@@ -22,7 +22,10 @@ module.exports = {
   find,
   create,
   update,
-  remove
+  remove,
+  diff,
+  merge,
+  updateProtection
 };
 
 // Node modules
@@ -31,10 +34,13 @@ const assert = require('assert');
 // MBEE modules
 const Artifact = M.require('models.artifact');
 const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
 const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
 const Project = M.require('models.project');
 const Org = M.require('models.organization');
 const Webhook = M.require('models.webhook');
+const db = M.require('db');
 const EventEmitter = M.require('lib.events');
 const sani = M.require('lib.sanitization');
 const utils = M.require('lib.utils');
@@ -42,7 +48,10 @@ const validators = M.require('lib.validators');
 const jmi = M.require('lib.jmi-conversions');
 const errors = M.require('lib.errors');
 const helper = M.require('lib.controller-utils');
+const branchUtils = M.require('lib.branch-utils');
 const permissions = M.require('lib.permissions');
+const ElementController = M.require('controllers.element-controller');
+const ArtifactController = M.require('controllers.artifact-controller');
 
 /**
  * @description This function finds one or many branches. Depending on the given
@@ -72,6 +81,12 @@ const permissions = M.require('lib.permissions');
  * @param {string} [options.sort] - Provide a particular field to sort the results by.
  * You may also add a negative sign in front of the field to indicate sorting in
  * reverse order.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found branches. Only the branches after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching branches is counted and returned in the property pageInfo.total of
+ * the found branches.
  * @param {boolean} [options.tag] - Search for branches with a specific tag
  * value.
  * @param {string} [options.source] - Search for branches with a specific source
@@ -125,7 +140,7 @@ async function find(requestingUser, organizationID, projectID, branches, options
 
     // Initialize and ensure options are valid
     const validatedOptions = utils.validateOptions(options, ['populate',
-      'includeArchived', 'fields', 'limit', 'skip', 'sort'], Branch);
+      'includeArchived', 'fields', 'limit', 'skip', 'sort', 'after', 'count'], Branch);
 
     // Ensure options are valid
     if (options) {
@@ -192,13 +207,18 @@ async function find(requestingUser, organizationID, projectID, branches, options
       throw new M.DataFormatError('Invalid input for finding branches.', 'warn');
     }
 
-    // Find and return branches
-    return await Branch.find(searchQuery, validatedOptions.fieldsString,
+    // Find the branches after the cursor, if provided
+    const foundBranches = await Branch.find(utils.applyCursor(searchQuery, validatedOptions),
+      validatedOptions.fieldsString,
       { limit: validatedOptions.limit,
         skip: validatedOptions.skip,
         sort: validatedOptions.sort,
         populate: validatedOptions.populateString
       });
+
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundBranches, validatedOptions,
+      () => Branch.countDocuments(searchQuery));
   }
   catch (error) {
     throw errors.captureError(error);
@@ -209,8 +229,11 @@ async function find(requestingUser, organizationID, projectID, branches, options
 /**
  * @description This functions creates one or many branches from the provided
  * data. This function is restricted to project writers or system-wide admins ONLY.
- * This function checks for any existing branches with duplicate IDs and duplicates
- * all the model elements in a specific branch in the project that is created.
+ * This function checks for any existing branches with duplicate IDs. New
+ * branches are copy-on-write branches; they do not duplicate the elements and
+ * artifacts of their source branch, and instead find them through the source
+ * branch. Elements and artifacts are only stored on the new branch once they
+ * are changed on either branch.
  *
  * @param {User} requestingUser - The object containing the requesting user.
  * @param {string} organizationID - The ID of the owning organization.
@@ -264,7 +287,6 @@ async function create(requestingUser, organizationID, projectID, branches, optio
     const orgID = sani.db(organizationID);
     const projID = sani.db(projectID);
     let newBranches = [];
-    let elementsCloning;
 
     // Initialize and ensure options are valid
     const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Branch);
@@ -367,180 +389,25 @@ async function create(requestingUser, organizationID, projectID, branches, optio
       branchObj.updatedOn = Date.now();
       branchObj.archivedBy = (branchObj.archived) ? reqUser._id : null;
       branchObj.archivedOn = (branchObj.archived) ? Date.now() : null;
+      // Elements and artifacts are found through the source branch until changed
+      branchObj.copyOnWrite = true;
 
       return branchObj;
     });
 
-    // Try block for creating branches and elements.  If something fails, the catch block
-    // will remove anything that has been partially created.
-    try {
-      // Create the branches
-      newBranches = await Branch.insertMany(branchObjects);
-
-      // Find all the elements in the branch we are branching from
-      const elementsToClone = await Element.find({ branch: sourceID }, null);
-
-      let elementsToCreate = [];
-      // Grabbing all the element ids
-      elementsCloning = elementsToClone.map((e) => e._id);
-
-      // Loop through all the branches
-      newBranches.forEach((branch) => {
-        // Create the new element objects for each element in the cloned from branch
-        elementsToCreate = elementsToCreate.concat(elementsToClone.map((e) => {
-          // Grab the element ID and parent ID
-          const oldElemID = utils.parseID(e._id).pop();
-          const elemID = utils.createID(branch._id, oldElemID);
-          let parentID = null;
-
-          // Verify there is a parent
-          if (e.parent) {
-            // Set the old id to the updated id
-            const oldParentID = utils.parseID(e.parent).pop();
-            parentID = utils.createID(branch._id, oldParentID);
-          }
-
-          // Create the element object
-          const elemObj = {
-            _id: elemID,
-            name: e.name,
-            parent: parentID,
-            project: e.project,
-            branch: branch._id,
-            documentation: e.documentation,
-            type: e.type,
-            custom: e.custom,
-            lastModifiedBy: reqUser._id,
-            createdBy: e.createdBy,
-            createdOn: e.createdOn,
-            updatedOn: Date.now(),
-            archived: e.archived,
-            archivedOn: (e.archivedOn) ? e.archivedOn : null,
-            archivedBy: (e.archivedBy) ? e.archivedBy : null
-          };
-
-          // If the element has a source
-          if (e.source) {
-            // Grab source IDS
-            const IDs = utils.parseID(e.source);
-            const elemSourceID = IDs.pop();
-            const elemSourceBranchID = utils.createID(IDs);
-
-            // Verify element's source is in this project
-            if (elemSourceBranchID === sourceID) {
-              // If the element's source is in this project,
-              // create new ID
-              elemObj.source = utils.createID(branch._id, elemSourceID);
-            }
-            else {
-              // If the element's source is in another project,
-              // keep the original id
-              elemObj.source = e.source;
-            }
-          }
-
-          // If the element has a target
-          if (e.target) {
-            // Grab source IDS
-            const IDs = utils.parseID(e.target);
-            const elemTargetID = IDs.pop();
-            const elemTargetBranchID = utils.createID(IDs);
-
-            // Verify element's target is in this project
-            if (elemTargetBranchID === sourceID) {
-              // If the element's target is in this project,
-              // create new ID
-              elemObj.target = utils.createID(branch._id, elemTargetID);
-            }
-            else {
-              // If the element's target is in another project,
-              // keep the original id
-              elemObj.source = e.target;
-            }
-          }
-          // Return the element object
-          return elemObj;
-        }));
-      });
-
-      // Create the new elements
-      const newElements = await Element.insertMany(elementsToCreate);
-
-      if (newElements.length !== (newBranches.length * elementsCloning.length)) {
-        // Not all elements were created
-        throw new M.DatabaseError('Not all elements were cloned from branch.', 'error');
-      }
-
-      // Find all the artifacts in the branch we are branching from
-      const artifactsToClone = await Artifact.find({ branch: sourceID }, null);
-
-      // Check if there are artifacts to be cloned
-      if (artifactsToClone.length > 0) {
-        // Grabbing all the artifact ids
-        const artifactIDs = artifactsToClone.map((a) => a._id);
-
-        let artifactsToCreate = [];
-
-        // Loop through each branch
-        newBranches.forEach((branch) => {
-          // Loop through each artifact
-          artifactsToCreate = artifactsToCreate.concat(artifactsToClone.map((a) => {
-            // Grab the artifact ID
-            const oldArtID = utils.parseID(a._id).pop();
-            const artID = utils.createID(branch._id, oldArtID);
-
-            return {
-              _id: artID,
-              project: a.project,
-              branch: branch._id,
-              filename: a.filename,
-              location: a.location,
-              custom: a.custom,
-              lastModifiedBy: reqUser._id,
-              createdBy: a.createdBy,
-              createdOn: a.createdOn,
-              updatedOn: Date.now(),
-              archived: a.archived,
-              description: a.description,
-              size: a.size,
-              strategy: a.strategy,
-              archivedOn: (a.archivedOn) ? a.archivedOn : null,
-              archivedBy: (a.archivedBy) ? a.archivedBy : null
-            };
-          }));
-        });
-
-        // Create the new artifacts
-        const newArtifacts = await Artifact.insertMany(artifactsToCreate);
+    // Create the branches in a transaction, so none are created if any fail
+    await db.withTransaction(async (session) => {
+      newBranches = await Branch.insertMany(branchObjects, { session: session });
 
-        if (newArtifacts.length !== (newBranches.length * artifactIDs.length)) {
-          // Not all artifacts were created
-          throw new M.DatabaseError('Not all artifacts were cloned from branch.', 'error');
-        }
+      if (newBranches.length !== branchObjects.length) {
+        // Not all branches were created
+        throw new M.DatabaseError('Not all branches were created.', 'error');
       }
-    }
-    catch (error) {
-      throw await new Promise(async (resolve) => {
-        try {
-          // If there was an error with inserting elements into the branch
-          // Delete any elements created from branch
-          await Element.deleteMany({ branch: { $in: arrIDs } });
-          // Delete the branches
-          await Branch.deleteMany({ _id: { $in: arrIDs } });
-          // Delete the artifacts
-          await Artifact.deleteMany({ branch: { $in: arrIDs } });
-          // Send original error
-          resolve(error);
-        }
-        catch (err) {
-          // Send the new error caused by attempting to delete incomplete branch
-          resolve(err);
-        }
-      });
-    }
+    });
 
     // Emit the event branches-created
-    EventEmitter.emit('branches-created', branchObjects);
+    await EventEmitter.emit('branches-created',
+      { actor: reqUser, org: orgID, project: projID, after: branchObjects });
 
     return await Branch.find({ _id: { $in: arrIDs } },
       validatedOptions.fieldsString,
@@ -677,6 +544,9 @@ async function update(requestingUser, organizationID, projectID, branches, optio
       );
     }
 
+    // Ensure none of the branches have changed since the provided revisions
+    const revisionFilters = helper.checkRevisions(foundBranches, branchesToUpdate, 'branches');
+
     // Convert branchesToUpdate to JMI type 2
     const jmiType2 = jmi.convertJMI(1, 2, branchesToUpdate);
 
@@ -756,24 +626,34 @@ async function update(requestingUser, organizationID, projectID, branches, optio
       updateBranch.lastModifiedBy = reqUser._id;
       updateBranch.updatedOn = Date.now();
 
-      // Update the element
+      // Update the branch, if it is unchanged since its revision was checked
       bulkArray.push({
         updateOne: {
-          filter: { _id: branch._id },
+          filter: Object.assign({ _id: branch._id }, revisionFilters[branch._id]),
           update: updateBranch
         }
       });
     });
 
-    // Update all branches through a bulk write to the database
-    await Branch.bulkWrite(bulkArray);
+    // Update all branches through a bulk write to the database, in a transaction
+    // so that none are updated if one has changed since its revision was checked
+    await db.withTransaction(async (session) => {
+      const result = await Branch.bulkWrite(bulkArray, { session: session });
+      await helper.checkWrittenRevisions(Branch, bulkArray, result, 'branches', session);
+    });
 
 
     const foundUpdatedBranches = await Branch.find(searchQuery, validatedOptions.fieldsString,
       { populate: validatedOptions.populateString });
 
     // Emit the event branches-updated
-    EventEmitter.emit('branches-updated', foundUpdatedBranches);
+    await EventEmitter.emit('branches-updated', {
+      actor: reqUser,
+      org: orgID,
+      project: projID,
+      before: foundBranches,
+      after: foundUpdatedBranches
+    });
 
     return foundUpdatedBranches;
   }
@@ -782,6 +662,114 @@ async function update(requestingUser, organizationID, projectID, branches, optio
   }
 }
 
+/**
+ * @description This function changes the protection rules of a branch. The
+ * provided rules are merged into the current rules of the branch, so rules
+ * which are not provided are unchanged. The protection rules can only be
+ * changed by project admins and system-wide admins.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the branch being protected.
+ * @param {object} protection - The protection rules to change.
+ * @param {string[]} [protection.writers] - The usernames of the users allowed
+ * to change the elements of the branch. An empty list allows every user with
+ * write permissions on the project. Each user must have write permissions on
+ * the project.
+ * @param {boolean} [protection.adminOnly] - If true, only project admins can
+ * change the elements of the branch.
+ * @param {boolean} [protection.requireMerge] - If true, the elements of the
+ * branch can only be changed by merging another branch into it.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string[]} [options.populate] - A list of fields to populate on return of
+ * the found objects. By default, no fields are populated.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id and id fields. To NOT include a field, provide a '-' in
+ * front.
+ *
+ * @returns {Promise<object>} The updated branch.
+ *
+ * @example
+ * updateProtection({User}, 'orgID', 'projID', 'master', { requireMerge: true })
+ * .then(function(branch) {
+ *   // Do something with the protected branch
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function updateProtection(requestingUser, organizationID, projectID, branchID,
+  protection, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType('object', protection, 'Protection');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+    const saniProtection = sani.db(JSON.parse(JSON.stringify(protection)));
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Branch);
+
+    // Ensure the protection rules are valid
+    if (!validators.branch.protection(saniProtection)) {
+      throw new M.DataFormatError('The branch protection object is not properly '
+        + 'formatted.', 'warn');
+    }
+
+    // Find the organization, project and branch and validate they were found
+    const organization = await helper.findAndValidate(Org, orgID);
+    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
+    const branch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID));
+
+    // Permissions check
+    permissions.updateBranchProtection(reqUser, organization, project, branch);
+
+    // Ensure every writer has write permissions on the project
+    const writers = saniProtection.writers || [];
+    const invalidWriters = writers.filter(w => !project.permissions.hasOwnProperty(w)
+      || !project.permissions[w].includes('write'));
+    if (invalidWriters.length > 0) {
+      throw new M.DataFormatError('The following users do not have write permissions on '
+        + `the project: [${invalidWriters.toString()}].`, 'warn');
+    }
+
+    // Merge the changed rules into the current rules
+    const defaultProtection = { writers: [], adminOnly: false, requireMerge: false };
+    const updatedProtection = Object.assign(defaultProtection, branch.protection,
+      saniProtection);
+    updatedProtection.writers = Array.from(new Set(updatedProtection.writers));
+
+    await Branch.updateOne({ _id: branch._id }, {
+      protection: updatedProtection,
+      lastModifiedBy: reqUser._id,
+      updatedOn: Date.now()
+    });
+
+    const foundUpdatedBranch = await Branch.findOne({ _id: branch._id },
+      validatedOptions.fieldsString, { populate: validatedOptions.populateString });
+
+    // Emit the event branches-updated
+    await EventEmitter.emit('branches-updated', {
+      actor: reqUser,
+      org: orgID,
+      project: projID,
+      before: [branch],
+      after: [foundUpdatedBranch]
+    });
+
+    return foundUpdatedBranch;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
 /**
  * @description This function removes one or many branches as well as the
  * elements that belong to them.
@@ -873,18 +861,29 @@ async function remove(requestingUser, organizationID, projectID, branches, optio
       }
     });
 
-    // Delete any elements in the branches
-    await Element.deleteMany(ownedQuery);
+    // Delete the branches and everything they own in a single transaction
+    const retQuery = await db.withTransaction(async (session) => {
+      // Give any copy-on-write branches created from these branches their own copy
+      await branchUtils.detachBranches(foundBranchIDs, session);
+
+      // Delete any elements in the branches
+      await Element.deleteMany(ownedQuery, { session: session });
 
-    // Delete any artifacts in the branches
-    await Artifact.deleteMany(ownedQuery);
+      // Delete the revision history of the elements in the branches
+      await ElementRevision.deleteMany(ownedQuery, { session: session });
 
-    // Delete any webhooks on the branches
-    await Webhook.deleteMany({ reference: ownedQuery.branch });
+      // Delete any artifacts in the branches
+      await Artifact.deleteMany(ownedQuery, { session: session });
 
-    // Delete all the branches
-    const retQuery = await Branch.deleteMany(searchQuery);
+      // Delete the recorded deletions of the branches
+      await Deletion.deleteMany(ownedQuery, { session: session });
 
+      // Delete any webhooks on the branches
+      await Webhook.deleteMany({ reference: ownedQuery.branch }, { session: session });
+
+      // Delete all the branches
+      return Branch.deleteMany(searchQuery, { session: session });
+    });
 
     // Verify that all of the branches were correctly deleted
     if (retQuery.n !== foundBranches.length) {
@@ -892,7 +891,8 @@ async function remove(requestingUser, organizationID, projectID, branches, optio
         + `deleted [${saniBranches.toString()}].`);
     }
     // Emit the event branches-deleted
-    EventEmitter.emit('branches-deleted', foundBranchIDs);
+    await EventEmitter.emit('branches-deleted',
+      { actor: reqUser, org: orgID, project: projID, before: foundBranches });
 
     return foundBranchIDs;
   }
@@ -900,3 +900,584 @@ async function remove(requestingUser, organizationID, projectID, branches, optio
     throw errors.captureError(error);
   }
 }
+
+/**
+ * @description This function compares the elements and artifacts of two
+ * branches or tags in the same project. Elements and artifacts are matched by
+ * their IDs and are reported as added if they only exist in the compared
+ * branch, removed if they only exist in the base branch, and modified if they
+ * exist in both but have differing field values.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the base branch or tag.
+ * @param {string} otherBranchID - The ID of the branch or tag to compare
+ * against the base branch.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {boolean} [options.includeArchived = false] - If true, archived
+ * elements and artifacts will be included in the comparison.
+ *
+ * @returns {Promise<object>} An object containing the differences between the
+ * two branches. The object contains the keys "elements" and "artifacts", each
+ * of which contain the arrays "added", "removed" and "modified". Added and
+ * removed items are the full objects, modified items contain the item's id and
+ * a "changes" object which maps each changed field to its value before (in the
+ * base branch) and after (in the compared branch).
+ *
+ * @example
+ * diff({User}, 'orgID', 'projID', 'master', 'branch1')
+ * .then(function(changes) {
+ *   // Do something with the branch differences
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function diff(requestingUser, organizationID, projectID, branchID, otherBranchID, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType('string', otherBranchID, 'Branch ID');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+    const otherBranID = sani.db(otherBranchID);
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['includeArchived'], Branch);
+    const findOptions = (validatedOptions.includeArchived) ? { includeArchived: true } : {};
+
+    // Find the org and check that it has been found and is not archived
+    const organization = await helper.findAndValidate(Org, orgID);
+
+    // Find the project and check that it has been found and is not archived
+    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
+
+    // Check permissions
+    permissions.readBranch(reqUser, organization, project);
+
+    // Find both branches and check that they have been found and are not archived
+    const branch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID));
+    const otherBranch = await helper.findAndValidate(Branch,
+      utils.createID(orgID, projID, otherBranID));
+
+    // Find the elements and artifacts of both branches
+    const baseElements = await ElementController.find(reqUser, orgID, projID, branID,
+      Object.assign({}, findOptions));
+    const otherElements = await ElementController.find(reqUser, orgID, projID, otherBranID,
+      Object.assign({}, findOptions));
+    const baseArtifacts = await ArtifactController.find(reqUser, orgID, projID, branID,
+      Object.assign({}, findOptions));
+    const otherArtifacts = await ArtifactController.find(reqUser, orgID, projID, otherBranID,
+      Object.assign({}, findOptions));
+
+    return {
+      elements: diffDocuments(baseElements, otherElements, branch._id, otherBranch._id,
+        ['name', 'parent', 'source', 'target', 'documentation', 'type', 'artifact',
+          'custom', 'archived']),
+      artifacts: diffDocuments(baseArtifacts, otherArtifacts, branch._id, otherBranch._id,
+        ['filename', 'location', 'description', 'size', 'strategy', 'custom', 'archived'])
+    };
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description A helper function which compares two lists of documents from
+ * different branches. Documents are matched on the last segment of their IDs
+ * and the provided fields are compared using utils.deepEqual(), after being
+ * normalized by normalizeField().
+ * @private
+ *
+ * @param {object[]} baseDocs - The documents found in the base branch.
+ * @param {object[]} otherDocs - The documents found in the compared branch.
+ * @param {string} baseBranchID - The concatenated ID of the base branch.
+ * @param {string} otherBranchID - The concatenated ID of the compared branch.
+ * @param {string[]} fields - The fields to compare.
+ *
+ * @returns {object} An object containing the arrays "added", "removed" and
+ * "modified".
+ */
+function diffDocuments(baseDocs, otherDocs, baseBranchID, otherBranchID, fields) {
+  const result = { added: [], removed: [], modified: [] };
+
+  // Map the base documents by their id
+  const baseMap = {};
+  baseDocs.forEach((doc) => {
+    baseMap[utils.parseID(doc._id).pop()] = doc;
+  });
+
+  otherDocs.forEach((doc) => {
+    const id = utils.parseID(doc._id).pop();
+    const baseDoc = baseMap[id];
+
+    // If the document does not exist in the base branch, it was added
+    if (!baseDoc) {
+      result.added.push(doc);
+      return;
+    }
+    delete baseMap[id];
+
+    // Compare each field of the documents
+    const changes = {};
+    fields.forEach((field) => {
+      const before = normalizeField(baseDoc[field], field, baseBranchID);
+      const after = normalizeField(doc[field], field, otherBranchID);
+      if (!utils.deepEqual(before, after)) {
+        changes[field] = { before: before, after: after };
+      }
+    });
+
+    // If any fields changed, the document was modified
+    if (Object.keys(changes).length > 0) {
+      result.modified.push({ id: id, changes: changes });
+    }
+  });
+
+  // Any remaining base documents do not exist in the compared branch
+  result.removed = Object.keys(baseMap).map(id => baseMap[id]);
+
+  return result;
+}
+
+/**
+ * @description This function merges the changes made on one branch into
+ * another branch. The two branches must be directly related, meaning one of
+ * them was created from the other. The common ancestor of the branches is the
+ * state of the parent branch at the time the child branch was created, as
+ * defined by the child branch's source and createdOn fields. Elements and
+ * artifacts which were added, modified or removed on the source branch since
+ * the common ancestor are applied to the target branch. If an element or
+ * artifact was changed on both branches, and the changes differ, a conflict is
+ * reported and no changes are applied. Tags cannot be merged into. This
+ * function is restricted to project writers and system-wide admins ONLY.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} sourceBranchID - The ID of the branch whose changes are merged.
+ * @param {string} targetBranchID - The ID of the branch to merge the changes into.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {boolean} [options.dryRun = false] - If true, the merge is computed and
+ * returned, but no changes are applied to the target branch.
+ *
+ * @returns {Promise<object>} An object describing the merge. It contains the
+ * source and target branch IDs, whether the changes were merged, the IDs of the
+ * elements and artifacts added, modified and removed on the target branch, and
+ * an array of conflicts. Each conflict contains the id and type of the
+ * conflicting item, the change made on each branch and a message.
+ *
+ * @example
+ * merge({User}, 'orgID', 'projID', 'branch1', 'master', { dryRun: true })
+ * .then(function(result) {
+ *   // Do something with the merge result
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function merge(requestingUser, organizationID, projectID, sourceBranchID,
+  targetBranchID, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, sourceBranchID);
+    helper.checkParamsDataType('string', targetBranchID, 'Target branch ID');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const sourceID = sani.db(sourceBranchID);
+    const targetID = sani.db(targetBranchID);
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['dryRun'], Branch);
+
+    // Ensure the branches are not the same
+    if (sourceID === targetID) {
+      throw new M.DataFormatError('Cannot merge a branch into itself.', 'warn');
+    }
+
+    // Find the org and check that it has been found and is not archived
+    const organization = await helper.findAndValidate(Org, orgID);
+
+    // Find the project and check that it has been found and is not archived
+    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
+
+    // Find both branches and check that they have been found and are not archived
+    const sourceBranch = await helper.findAndValidate(Branch,
+      utils.createID(orgID, projID, sourceID));
+    const targetBranch = await helper.findAndValidate(Branch,
+      utils.createID(orgID, projID, targetID));
+
+    // Check permissions, merging covers the changes to the elements and artifacts of the target
+    permissions.readBranch(reqUser, organization, project, sourceBranch);
+    permissions.mergeBranch(reqUser, organization, project, targetBranch);
+
+    // Tags cannot be modified, and therefore cannot be merged into
+    if (targetBranch.tag) {
+      throw new M.OperationError(`[${targetID}] is a tag and `
+        + 'does not allow elements to be created, updated, or deleted.', 'warn');
+    }
+
+    // Find the child branch, which was created from the other branch
+    let childBranch;
+    if (sourceBranch.source === targetBranch._id) {
+      childBranch = sourceBranch;
+    }
+    else if (targetBranch.source === sourceBranch._id) {
+      childBranch = targetBranch;
+    }
+    else {
+      throw new M.OperationError(`Branches [${sourceID}] and [${targetID}] do not `
+        + 'share a common ancestor. One branch must be the source of the other.', 'warn');
+    }
+    const forkTime = new Date(childBranch.createdOn).getTime();
+
+    // Find the elements and artifacts on both branches
+    const sourceElements = await branchUtils.find(Element, { branch: sourceBranch._id }, null);
+    const targetElements = await branchUtils.find(Element, { branch: targetBranch._id }, null);
+    const sourceArtifacts = await branchUtils.find(Artifact, { branch: sourceBranch._id }, null);
+    const targetArtifacts = await branchUtils.find(Artifact, { branch: targetBranch._id }, null);
+
+    // Compute the changes to apply to the target branch
+    const elementChanges = mergeDocuments(sourceElements, targetElements, sourceBranch._id,
+      targetBranch._id, forkTime, ['name', 'parent', 'source', 'target', 'documentation',
+        'type', 'artifact', 'custom', 'archived']);
+    const artifactChanges = mergeDocuments(sourceArtifacts, targetArtifacts,
+      sourceBranch._id, targetBranch._id, forkTime, ['filename', 'location', 'description',
+        'size', 'strategy', 'custom', 'archived']);
+
+    // Ensure every element will have a parent on the target branch after the merge
+    const mergedParents = {};
+    targetElements.concat(elementChanges.insert, elementChanges.update).forEach((e) => {
+      mergedParents[e._id] = e.parent;
+    });
+    elementChanges.remove.forEach(e => delete mergedParents[e._id]);
+    Object.keys(mergedParents).forEach((id) => {
+      const parent = mergedParents[id];
+      if (parent && utils.parseID(parent).length === utils.parseID(id).length
+        && !mergedParents.hasOwnProperty(parent)) {
+        const elemID = utils.parseID(id).pop();
+        elementChanges.conflicts.push(Object.assign({ id: elemID },
+          elementChanges.states[elemID], {
+            message: `The parent [${utils.parseID(parent).pop()}] of [${elemID}] `
+            + 'would not exist on the target branch after the merge.'
+          }));
+      }
+    });
+
+    const result = {
+      source: sourceID,
+      target: targetID,
+      dryRun: validatedOptions.dryRun === true,
+      merged: false,
+      elements: {
+        added: elementChanges.insert.map(e => utils.parseID(e._id).pop()),
+        modified: elementChanges.update.map(e => utils.parseID(e._id).pop()),
+        removed: elementChanges.remove.map(e => utils.parseID(e._id).pop())
+      },
+      artifacts: {
+        added: artifactChanges.insert.map(a => utils.parseID(a._id).pop()),
+        modified: artifactChanges.update.map(a => utils.parseID(a._id).pop()),
+        removed: artifactChanges.remove.map(a => utils.parseID(a._id).pop())
+      },
+      conflicts: elementChanges.conflicts.map(c => Object.assign({ type: 'element' }, c))
+      .concat(artifactChanges.conflicts.map(c => Object.assign({ type: 'artifact' }, c)))
+    };
+
+    // If this is a dry run or there are conflicts, do not apply any changes
+    if (result.dryRun || result.conflicts.length > 0) {
+      return result;
+    }
+
+    // Apply the changes and record the revisions in a single transaction, so
+    // the target branch is left unchanged if any write fails
+    await db.withTransaction(async (session) => {
+      // Apply the element and artifact changes to the target branch
+      await applyChanges(Element, elementChanges, reqUser, targetBranch._id, session);
+      await applyChanges(Artifact, artifactChanges, reqUser, targetBranch._id, session);
+
+      // Record the revisions of the merged elements
+      const targetElementMap = {};
+      targetElements.forEach((e) => {
+        targetElementMap[e._id] = e;
+      });
+      await helper.recordElementRevisions(reqUser, 'created', elementChanges.insert, [],
+        session);
+      await helper.recordElementRevisions(reqUser, 'updated', elementChanges.update
+      .map(e => Object.assign({}, targetElementMap[e._id], e)), targetElements, session);
+      await helper.recordElementRevisions(reqUser, 'deleted', elementChanges.remove, [],
+        session);
+
+      // Find all sources/targets which point to removed elements
+      const removedIDs = elementChanges.remove.map(e => e._id);
+      if (removedIDs.length > 0) {
+        const sources = await branchUtils.find(Element, { source: { $in: removedIDs } }, null,
+          { session: session });
+        const targets = await branchUtils.find(Element, { target: { $in: removedIDs } }, null,
+          { session: session });
+        const sourceIDs = sources.map(e => e._id);
+        const relationships = sources.concat(targets.filter(e => !sourceIDs.includes(e._id)));
+
+        // Reset the sources/targets which no longer exist to the undefined element
+        const bulkArray = relationships.map((rel) => {
+          const u = {};
+          if (removedIDs.includes(rel.source)) {
+            u.source = utils.createID(rel.branch, 'undefined');
+          }
+          if (removedIDs.includes(rel.target)) {
+            u.target = utils.createID(rel.branch, 'undefined');
+          }
+          return { updateOne: { filter: { _id: rel._id }, update: u } };
+        });
+
+        if (bulkArray.length > 0) {
+          // Copy any inherited relationships into the branch before they are updated
+          await branchUtils.prepareWrite(Element, targetBranch._id, relationships.map(e => e._id),
+            true, session);
+          await Element.bulkWrite(bulkArray, { session: session });
+
+          // Record the revisions of the updated relationships
+          await helper.recordElementRevisions(reqUser, 'updated', relationships.map((rel, i) => Object
+          .assign({}, rel, bulkArray[i].updateOne.update)), relationships, session);
+        }
+      }
+    });
+
+    // Emit the events for the changed elements and artifacts, once the merge is committed
+    await emitChanges('elements', elementChanges, targetElements,
+      { actor: reqUser, org: orgID, project: projID, branch: targetID });
+    await emitChanges('artifacts', artifactChanges, targetArtifacts,
+      { actor: reqUser, org: orgID, project: projID, branch: targetID });
+
+    result.merged = true;
+    return result;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description A helper function which normalizes a field value for comparison
+ * between branches. References to other documents in the same branch are
+ * stripped of the branch portion of the ID, so that identical references in
+ * different branches are equal. Undefined values are converted to null.
+ * @private
+ *
+ * @param {*} value - The value of the field.
+ * @param {string} field - The name of the field.
+ * @param {string} branchID - The concatenated ID of the branch the value is from.
+ *
+ * @returns {*} The normalized value.
+ */
+function normalizeField(value, field, branchID) {
+  if (['parent', 'source', 'target', 'artifact'].includes(field) && typeof value === 'string'
+    && utils.createID(utils.parseID(value).slice(0, -1)) === branchID) {
+    return utils.parseID(value).pop();
+  }
+  return (value === undefined) ? null : value;
+}
+
+/**
+ * @description A helper function which determines how a document changed on
+ * a branch since the common ancestor. Documents created after the fork time
+ * were added, or modified if they exist on the other branch as well, documents
+ * updated after the fork time were modified, and documents which existed at the
+ * fork time but are missing were removed.
+ * @private
+ *
+ * @param {object} doc - The document on the branch, if it exists.
+ * @param {object} otherDoc - The document on the other branch, if it exists.
+ * @param {number} forkTime - The time the child branch was created.
+ *
+ * @returns {string} One of "added", "modified", "removed", "unchanged" or
+ * "absent".
+ */
+function getChangeState(doc, otherDoc, forkTime) {
+  if (doc) {
+    // Documents which also exist on the other branch, such as after a merge, were modified
+    if (new Date(doc.createdOn).getTime() > forkTime) return (otherDoc) ? 'modified' : 'added';
+    if (doc.updatedOn && new Date(doc.updatedOn).getTime() > forkTime) return 'modified';
+    return 'unchanged';
+  }
+  // If the document existed at the fork time, it was removed
+  return (otherDoc && new Date(otherDoc.createdOn).getTime() <= forkTime) ? 'removed' : 'absent';
+}
+
+/**
+ * @description A helper function which performs a three-way comparison between
+ * the documents on a source and a target branch, and returns the documents
+ * which need to be inserted, updated and removed on the target branch to apply
+ * the source branch changes. Documents changed differently on both branches
+ * are returned as conflicts.
+ * @private
+ *
+ * @param {object[]} sourceDocs - The documents on the source branch.
+ * @param {object[]} targetDocs - The documents on the target branch.
+ * @param {string} sourceBranchID - The concatenated ID of the source branch.
+ * @param {string} targetBranchID - The concatenated ID of the target branch.
+ * @param {number} forkTime - The time the child branch was created.
+ * @param {string[]} fields - The fields to compare and merge.
+ *
+ * @returns {object} An object containing the arrays "insert", "update",
+ * "remove" and "conflicts", and a "states" object mapping each id to its
+ * change on the source and target branches.
+ */
+function mergeDocuments(sourceDocs, targetDocs, sourceBranchID, targetBranchID, forkTime,
+  fields) {
+  const result = { insert: [], update: [], remove: [], conflicts: [], states: {} };
+
+  // Map the documents on both branches by their id
+  const sourceMap = {};
+  const targetMap = {};
+  sourceDocs.forEach((doc) => {
+    sourceMap[utils.parseID(doc._id).pop()] = doc;
+  });
+  targetDocs.forEach((doc) => {
+    targetMap[utils.parseID(doc._id).pop()] = doc;
+  });
+
+  // Get the unique ids from both branches
+  const ids = Object.keys(Object.assign({}, sourceMap, targetMap));
+
+  ids.forEach((id) => {
+    const s = sourceMap[id];
+    const t = targetMap[id];
+    const sourceState = getChangeState(s, t, forkTime);
+    const targetState = getChangeState(t, s, forkTime);
+    result.states[id] = { source: sourceState, target: targetState };
+
+    // If the document did not change on the source branch, there is nothing to merge
+    if (['unchanged', 'absent'].includes(sourceState)) return;
+
+    // If the document changed on both branches, ensure the changes are the same
+    if (!['unchanged', 'absent'].includes(targetState)) {
+      const same = (s && t)
+        ? fields.every(f => utils.deepEqual(normalizeField(s[f], f, sourceBranchID),
+          normalizeField(t[f], f, targetBranchID)))
+        : (!s && !t);
+      if (!same) {
+        result.conflicts.push({
+          id: id,
+          source: sourceState,
+          target: targetState,
+          message: `[${id}] was changed on both the source and target branches.`
+        });
+      }
+      return;
+    }
+
+    // The document was removed on the source branch
+    if (!s) {
+      result.remove.push(t);
+      return;
+    }
+
+    // Copy the merged fields, moving same-branch references onto the target branch
+    const doc = { _id: utils.createID(targetBranchID, id), branch: targetBranchID };
+    fields.concat(['archivedBy', 'archivedOn']).forEach((f) => {
+      const value = normalizeField(s[f], f, sourceBranchID);
+      // If the value was a reference to the source branch, point it to the target branch
+      doc[f] = (value !== s[f] && value !== null) ? utils.createID(targetBranchID, value) : value;
+    });
+
+    if (t) {
+      result.update.push(doc);
+    }
+    else {
+      doc.project = s.project;
+      doc.createdBy = s.createdBy;
+      doc.createdOn = s.createdOn;
+      result.insert.push(doc);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * @description Emits the created, updated and deleted events of the changes
+ * applied to the target branch of a merge.
+ *
+ * @param {string} prefix - The prefix of the events, either "elements" or "artifacts".
+ * @param {object} changes - The changes applied to the target branch, containing
+ * the arrays "insert", "update" and "remove".
+ * @param {object[]} targetDocs - The documents on the target branch before the merge.
+ * @param {object} context - The actor, org, project and branch of the events.
+ *
+ * @returns {Promise} Resolves once the changes are recorded in the audit log.
+ */
+async function emitChanges(prefix, changes, targetDocs, context) {
+  const updatedIDs = changes.update.map(d => d._id);
+  const before = targetDocs.filter(d => updatedIDs.includes(d._id));
+
+  if (changes.insert.length > 0) {
+    await EventEmitter.emit(`${prefix}-created`, Object.assign({ after: changes.insert }, context));
+  }
+  if (changes.update.length > 0) {
+    await EventEmitter.emit(`${prefix}-updated`,
+      Object.assign({ before: before, after: changes.update }, context));
+  }
+  if (changes.remove.length > 0) {
+    await EventEmitter.emit(`${prefix}-deleted`, Object.assign({ before: changes.remove }, context));
+  }
+}
+
+/**
+ * @description A helper function which applies the changes computed by
+ * mergeDocuments() to the database.
+ * @private
+ *
+ * @param {object} model - The model of the changed documents.
+ * @param {object} changes - The changes returned by mergeDocuments().
+ * @param {User} reqUser - The requesting user.
+ * @param {string} branchID - The ID of the branch the changes are applied to.
+ * @param {object} session - The database session of the transaction of the
+ * merge.
+ */
+async function applyChanges(model, changes, reqUser, branchID, session) {
+  const now = Date.now();
+
+  // Insert the added documents
+  if (changes.insert.length > 0) {
+    changes.insert.forEach((doc) => {
+      doc.lastModifiedBy = reqUser._id;
+      // The documents are new to the branch, so they are not inherited by
+      // copy-on-write branches created from it before the merge
+      doc.createdOn = now;
+      doc.updatedOn = now;
+    });
+    await model.insertMany(changes.insert, { session: session });
+    await branchUtils.clearDeletions(model, changes.insert.map(doc => doc._id), session);
+  }
+
+  // Update the modified documents
+  if (changes.update.length > 0) {
+    // Copy any inherited documents into the branch before they are updated
+    await branchUtils.prepareWrite(model, branchID, changes.update.map(doc => doc._id), true,
+      session);
+    await model.bulkWrite(changes.update.map((doc) => {
+      doc.lastModifiedBy = reqUser._id;
+      doc.updatedOn = now;
+      const updateDoc = Object.assign({}, doc);
+      delete updateDoc._id;
+      return { updateOne: { filter: { _id: doc._id }, update: updateDoc } };
+    }), { session: session });
+  }
+
+  // Delete the removed documents
+  if (changes.remove.length > 0) {
+    const removeIDs = changes.remove.map(doc => doc._id);
+    await branchUtils.prepareWrite(model, branchID, removeIDs, false, session);
+    await model.deleteMany({ _id: { $in: removeIDs } }, { session: session });
+    await branchUtils.recordDeletions(model, branchID, removeIDs, session);
+  }
+}
@@ -22,11 +22,19 @@
 // circular references between controllers.
 module.exports = {
   find,
+  findCursor,
   create,
   update,
   createOrReplace,
   remove,
-  search
+  lock,
+  unlock,
+  search,
+  searchAll,
+  findHistory,
+  importXMI,
+  exportXMI,
+  importElements
 };
 
 // Disable eslint rule for logic in nested promises
@@ -34,8 +42,6 @@ module.exports = {
 
 // Node modules
 const assert = require('assert');
-const fs = require('fs');
-const path = require('path');
 
 // MBEE modules
 const Artifact = M.require('models.artifact');
@@ -43,14 +49,19 @@ const Element = M.require('models.element');
 const Branch = M.require('models.branch');
 const Project = M.require('models.project');
 const Org = M.require('models.organization');
+const db = M.require('db');
 const EventEmitter = M.require('lib.events');
 const sani = M.require('lib.sanitization');
 const utils = M.require('lib.utils');
 const validators = M.require('lib.validators');
 const jmi = M.require('lib.jmi-conversions');
+const xmiConversions = M.require('lib.xmi-conversions');
 const errors = M.require('lib.errors');
 const helper = M.require('lib.controller-utils');
+const branchUtils = M.require('lib.branch-utils');
 const permissions = M.require('lib.permissions');
+const jsonSchema = M.require('lib.json-schema');
+const searchService = M.require('lib.search');
 
 /**
  * @description This function finds one or many elements. Depending on the
@@ -85,6 +96,12 @@ const permissions = M.require('lib.permissions');
  * @param {string} [options.sort] - Provide a particular field to sort the
  * results by. You may also add a negative sign in front of the field to
  * indicate sorting in reverse order.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found elements. Only the elements after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching elements is counted and returned in the property pageInfo.total of
+ * the found elements.
  * @param {string} [options.parent] - Search for elements with a specific
  * parent.
  * @param {string} [options.source] - Search for elements with a specific
@@ -103,6 +120,10 @@ const permissions = M.require('lib.permissions');
  * archivedBy value.
  * @param {string} [options.custom....] - Search for any key in custom data. Use
  * dot notation for the keys. Ex: custom.hello = 'world'.
+ * @param {(Date|number|string)} [options.asOf] - A date or timestamp. If
+ * provided, the elements are returned as they were at that point in time,
+ * using their recorded revisions. Cannot be used with the populate, subtree,
+ * depth, rootpath, fields or sort options.
  *
  * @returns {Promise<object[]>} Array of found element objects.
  *
@@ -141,7 +162,19 @@ async function find(requestingUser, organizationID, projectID, branchID, element
 
     // Validate the provided options
     const validatedOptions = utils.validateOptions(options, ['includeArchived',
-      'populate', 'subtree', 'fields', 'limit', 'skip', 'sort', 'rootpath', 'depth'], Element);
+      'populate', 'subtree', 'fields', 'limit', 'skip', 'sort', 'rootpath', 'depth',
+      'asOf', 'after', 'count'], Element);
+
+    // Ensure options which rely on the current state of the model are not used with asOf
+    if (validatedOptions.asOf) {
+      ['populate', 'subtree', 'depth', 'rootpath', 'fields', 'sort', 'after',
+        'count'].forEach((o) => {
+        if (options.hasOwnProperty(o)) {
+          throw new M.DataFormatError(`The option '${o}' cannot be used with the option `
+            + '\'asOf\'.', 'warn');
+        }
+      });
+    }
 
     // Ensure search options are valid
     if (options) {
@@ -235,21 +268,33 @@ async function find(requestingUser, organizationID, projectID, branchID, element
       searchQuery.archived = true;
     }
 
+    // If finding elements at a previous point in time, rebuild them from their revisions
+    if (validatedOptions.asOf) {
+      return await findElementsAsOf(searchQuery, elementsToFind, validatedOptions);
+    }
+
     const promises = [];
 
+    // The query of every element being found, used to count the elements
+    const countQuery = (elementsToFind.length === 0) ? Object.assign({}, searchQuery)
+      : Object.assign({}, searchQuery, { _id: { $in: elementsToFind } });
+
     // If no IDs provided, find all elements in the branch
     if (elementsToFind.length === 0) {
-      // Get the number of elements in the branch
-      const elementCount = await Element.countDocuments(searchQuery);
+      // Get the number of elements in the branch. Elements on copy-on-write
+      // branches are found through the branch lineage, and are not batched.
+      const elementCount = (branch.copyOnWrite) ? 0 : await Element.countDocuments(searchQuery);
 
       // If options.limit is defined an is less that 50k or count is less than 50k, find normally
       if ((validatedOptions.limit > 0 && validatedOptions.limit < 50000) || elementCount < 50000) {
         // Find the elements
-        foundElements = await Element.find(searchQuery, validatedOptions.fieldsString,
+        foundElements = await branchUtils.find(Element, searchQuery,
+          validatedOptions.fieldsString,
           { skip: validatedOptions.skip,
             limit: validatedOptions.limit,
             sort: validatedOptions.sort,
-            populate: validatedOptions.populateString
+            populate: validatedOptions.populateString,
+            after: validatedOptions.after
           });
       }
       else {
@@ -278,7 +323,8 @@ async function find(requestingUser, organizationID, projectID, branchID, element
 
           // Add find operation to array of promises
           promises.push(
-            Element.find(searchQuery, validatedOptions.fieldsString,
+            Element.find(utils.applyCursor(searchQuery, validatedOptions),
+              validatedOptions.fieldsString,
               { skip: batchSkip,
                 limit: batchLimit,
                 sort: validatedOptions.sort,
@@ -299,11 +345,13 @@ async function find(requestingUser, organizationID, projectID, branchID, element
 
         // Add find operation to array of promises
         promises.push(
-          Element.find(searchQuery, validatedOptions.fieldsString,
+          branchUtils.find(Element, Object.assign({}, searchQuery),
+            validatedOptions.fieldsString,
             { skip: validatedOptions.skip,
               limit: validatedOptions.limit,
               sort: validatedOptions.sort,
-              populate: validatedOptions.populateString
+              populate: validatedOptions.populateString,
+              after: validatedOptions.after
             })
           .then((elems) => {
             foundElements = foundElements.concat(elems);
@@ -315,8 +363,180 @@ async function find(requestingUser, organizationID, projectID, branchID, element
     // Wait for promises to resolve before returning elements
     await Promise.all(promises);
 
-    // Return the found elements
-    return foundElements;
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundElements, validatedOptions,
+      () => branchUtils.countDocuments(Element, countQuery));
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function opens a cursor over one or many elements, so that
+ * large numbers of elements can be read without loading all of them into
+ * memory at once. The elements are read from the database as the cursor is
+ * iterated. Supports the same search options as find(), but does not support
+ * the subtree, depth, rootpath and asOf options, which require every element
+ * to be found first. The user making the request must be part of the
+ * specified project or be a system-wide admin.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the owning branch.
+ * @param {(string|string[])} [elements] - The id or array of ids of the
+ * elements to find. If not provided, every element on the branch is found.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string[]} [options.populate] - A list of fields to populate on return
+ * of the found objects. By default, no fields are populated.
+ * @param {boolean} [options.includeArchived = false] - If true, find results
+ * will include archived objects.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id. To NOT include a field, provide a '-' in front.
+ * @param {number} [options.limit = 0] - A number that specifies the maximum
+ * number of documents to be returned to the user. A limit of 0 is equivalent to
+ * setting no limit.
+ * @param {number} [options.skip = 0] - A non-negative number that specifies the
+ * number of documents to skip returning.
+ * @param {string} [options.sort] - Provide a particular field to sort the
+ * results by. You may also add a negative sign in front of the field to
+ * indicate sorting in reverse order.
+ * @param {string} [options.parent] - Search for elements with a specific
+ * parent.
+ * @param {string} [options.source] - Search for elements with a specific
+ * source.
+ * @param {string} [options.target] - Search for elements with a specific
+ * target.
+ * @param {string} [options.type] - Search for elements with a specific type.
+ * @param {string} [options.name] - Search for elements with a specific name.
+ * @param {string} [options.createdBy] - Search for elements with a specific
+ * createdBy value.
+ * @param {string} [options.lastModifiedBy] - Search for elements with a
+ * specific lastModifiedBy value.
+ * @param {string} [options.archived] - Search only for archived elements.  If false,
+ * only returns unarchived elements.  Overrides the includeArchived option.
+ * @param {string} [options.archivedBy] - Search for elements with a specific
+ * archivedBy value.
+ * @param {string} [options.custom....] - Search for any key in custom data. Use
+ * dot notation for the keys. Ex: custom.hello = 'world'.
+ *
+ * @returns {Promise<object>} A cursor with the async function next(), which
+ * returns the next found element or null once every element has been read,
+ * and the async function close().
+ *
+ * @example
+ * const cursor = await findCursor({User}, 'orgID', 'projID', 'branchID', { type: 'Block' });
+ * let element = await cursor.next();
+ * while (element !== null) {
+ *   // Do something with the found element
+ *   element = await cursor.next();
+ * }
+ */
+async function findCursor(requestingUser, organizationID, projectID, branchID, elements,
+  options) {
+  try {
+    // Set options if no elements were provided, but options were
+    if (typeof elements === 'object' && elements !== null && !Array.isArray(elements)) {
+      // Note: assumes input param elements is input option param
+      options = elements; // eslint-disable-line no-param-reassign
+      elements = undefined; // eslint-disable-line no-param-reassign
+    }
+
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType(['undefined', 'object', 'string'], elements, 'Elements');
+
+    // Sanitize input parameters and create function-wide variables
+    const saniElements = (elements !== undefined)
+      ? sani.db(JSON.parse(JSON.stringify(elements)))
+      : undefined;
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+    const searchQuery = { branch: utils.createID(orgID, projID, branID), archived: false };
+
+    // Ensure options which require every element to be found first are not used
+    if (options) {
+      ['subtree', 'depth', 'rootpath', 'asOf'].forEach((o) => {
+        if (options.hasOwnProperty(o)) {
+          throw new M.DataFormatError(`The option '${o}' cannot be used when `
+            + 'streaming elements.', 'warn');
+        }
+      });
+    }
+
+    // Validate the provided options
+    const validatedOptions = utils.validateOptions(options, ['includeArchived',
+      'populate', 'fields', 'limit', 'skip', 'sort'], Element);
+
+    // Ensure search options are valid
+    if (options) {
+      // Create array of valid search options
+      const validSearchOptions = ['parent', 'source', 'target', 'type', 'name',
+        'createdBy', 'lastModifiedBy', 'archived', 'archivedBy', 'artifact'];
+
+      // Loop through provided options, look for validSearchOptions
+      Object.keys(options).forEach((o) => {
+        // If the provided option is a valid search option
+        if (validSearchOptions.includes(o) || o.startsWith('custom.')) {
+          // Ensure the archived search option is a boolean
+          if (o === 'archived' && typeof options[o] !== 'boolean') {
+            throw new M.DataFormatError(`The option '${o}' is not a boolean.`, 'warn');
+          }
+          // Ensure the search option is a string
+          else if (typeof options[o] !== 'string' && o !== 'archived') {
+            throw new M.DataFormatError(`The option '${o}' is not a string.`, 'warn');
+          }
+          // If the search option is an element/artifact reference
+          if (['parent', 'source', 'target', 'artifact'].includes(o)) {
+            // Make value the concatenated ID
+            options[o] = utils.createID(orgID, projID, branID, options[o]);
+          }
+          // Add the search option to the searchQuery
+          searchQuery[o] = sani.db(options[o]);
+        }
+      });
+    }
+
+    // Find the organization and validate that it was found and not archived (unless specified)
+    const organization = await helper.findAndValidate(Org, orgID,
+      ((options && options.archived) || validatedOptions.includeArchived));
+
+    // Find the project and validate that it was found and not archived (unless specified)
+    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID),
+      ((options && options.archived) || validatedOptions.includeArchived));
+
+    // Find the branch and validate that it was found and not archived (unless specified)
+    const branch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID),
+      ((options && options.archived) || validatedOptions.includeArchived));
+
+    // Permissions check
+    permissions.readElement(reqUser, organization, project, branch);
+
+    // If element ids were provided, only find those elements
+    if (saniElements !== undefined) {
+      searchQuery._id = { $in: [].concat(saniElements)
+      .map(e => utils.createID(orgID, projID, branID, e)) };
+    }
+
+    // If the includeArchived field is true, remove archived from the query; return everything
+    if (validatedOptions.includeArchived) {
+      delete searchQuery.archived;
+    }
+    // If the archived field is true, query only for archived elements
+    if (validatedOptions.archived) {
+      searchQuery.archived = true;
+    }
+
+    // Open the cursor
+    return await branchUtils.cursor(Element, searchQuery, validatedOptions.fieldsString,
+      { skip: validatedOptions.skip,
+        limit: validatedOptions.limit,
+        sort: validatedOptions.sort,
+        populate: validatedOptions.populateString
+      });
   }
   catch (error) {
     throw errors.captureError(error);
@@ -389,67 +609,123 @@ async function create(requestingUser, organizationID, projectID, branchID, eleme
     const orgID = sani.db(organizationID);
     const projID = sani.db(projectID);
     const branID = sani.db(branchID);
-    const remainingElements = [];
-    let populatedElements = [];
-    const projectRefs = [];
 
     // Initialize and ensure options are valid
     const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Element);
 
-    // Define array to store element data
-    let elementsToCreate = [];
+    // Validate the elements and find the elements they reference
+    const elementObjects = await prepareElements(reqUser, orgID, projID, branID, saniElements);
 
-    // Check the type of the elements parameter
-    if (Array.isArray(saniElements)) {
-      // elements is an array, create many elements
-      elementsToCreate = saniElements;
-    }
-    else if (typeof saniElements === 'object') {
-      // elements is an object, create a single element
-      elementsToCreate = [saniElements];
-    }
-    else {
-      // elements is not an object or array, throw an error
-      throw new M.DataFormatError('Invalid input for creating elements.', 'warn');
-    }
+    // Create the elements, their revisions and clear their deletions in a single transaction
+    const createdElements = await db.withTransaction(async (session) => {
+      M.log.debug('create(): Before insertMany()');
+      const created = await Element.insertMany(elementObjects, { session: session });
+      M.log.debug('create(): After insertMany()');
 
-    // Create array of id's for lookup and array of valid keys
-    const arrIDs = [];
-    const validElemKeys = ['id', 'name', 'parent', 'source', 'target',
-      'documentation', 'type', 'custom', 'sourceNamespace', 'targetNamespace',
-      'archived', 'artifact'];
+      // Remove any previous deletions of the elements from the branch
+      await branchUtils.clearDeletions(Element, created.map(e => e._id), session);
 
-    M.log.debug('create(): Before element validation');
+      // Record the revisions of the created elements
+      await helper.recordElementRevisions(reqUser, 'created', created, [], session);
+      return created;
+    });
 
-    // Validate the element id, parent, source, target, and namespace fields
-    let index = 1;
+    // Find the created elements, with the requested fields populated
+    const populatedElements = await findCreatedElements(createdElements, validatedOptions);
 
-    // Initialize set for artifact references
-    const artIDSet = new Set();
+    M.log.debug('create(): Before elements-created event emitter');
 
-    elementsToCreate.forEach((elem) => {
-      // Ensure keys are valid
-      Object.keys(elem).forEach((k) => {
-        assert.ok(validElemKeys.includes(k), `Invalid key [${k}].`);
-      });
+    // Emit the event elements-created
+    await EventEmitter.emit('elements-created',
+      { actor: reqUser, org: orgID, project: projID, branch: branID, after: populatedElements });
 
-      // Ensure each element has an id and that it's a string
-      elementIDCheck(elem, index, orgID, projID, branID, arrIDs);
-      // Set the element parent if null
-      elementParentCheck(elem, index, orgID, projID, branID);
-      // If element has a source, ensure it has a target and vice versa
-      sourceAndTargetValidator(elem, index, orgID, projID, branID);
-      // If the element a source- or target- Namespace, ensure it contains the proper fields
-      sourceTargetNamespaceValidator(elem, index, orgID, projID, projectRefs);
-      // Check Artifact reference
-      artifactIDCheck(elem, index, orgID, projID, branID, artIDSet);
-      index++;
-    });
+    return populatedElements;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function updates one or many elements. Multiple fields on
+ * multiple elements can be updated as long as they are valid. If changing an
+ * elements parent, only one element can be updated at a time. If an element
+ * is archived, it must first be unarchived before any other updates occur. The
+ * user must have write permissions on a project or be a system-wide admin to
+ * update elements.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the branch to update elements on.
+ * @param {(object|object[])} elements - Either an array of objects containing
+ * updates to elements, or a single object containing updates.
+ * @param {string} elements.id - The ID of the element being updated. Field
+ * cannot be updated but is required to find element.
+ * @param {string} [elements.name] - The updated name of the element.
+ * @param {string} [elements.parent] - The ID of the new elements parent. Cannot
+ * update element parents in bulk.
+ * @param {string} [elements.source] - The ID of the source element.
+ * @param {object} [elements.sourceNamespace] - The optional namespace of the
+ * source element, if the element is not part of the project. Must include the
+ * key/value pairs 'org', 'project' and 'branch'. The organization must be the
+ * same as the relationships org or be the "default" organization.
+ * @param {string} [elements.target] - The ID of the target element.
+ * @param {object} [elements.targetNamespace] - The optional namespace of the
+ * target element, if the element is not part of the project. Must include the
+ * key/value pairs 'org', 'project' and 'branch'. The organization must be the
+ * same as the relationships org or be the "default" organization.
+ * @param {string} [elements.documentation] - The updated documentation of the
+ * element.
+ * @param {string} [elements.type] - An optional type string.
+ * @param {object} [elements.custom] - The new custom data object. Please note,
+ * updating the custom data object completely replaces the old custom data
+ * object.
+ * @param {boolean} [elements.archived = false] - The updated archived field. If
+ * true, the element will not be able to be found until unarchived.
+ * @param {(string|string[])} [elements._rev] - The revisions of the element,
+ * as returned by utils.getRevision(). If provided, the element is only updated
+ * if it has not changed since one of the revisions.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string[]} [options.populate] - A list of fields to populate on return
+ * of the found objects. By default, no fields are populated.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id, id, and contains. To NOT include a field, provide a '-' in
+ * front.
+ *
+ * @returns {Promise<object[]>} Array of updated element objects.
+ *
+ * @example
+ * update({User}, 'orgID', 'projID', 'branch', [{Elem1}, {Elem22}...], { populate: 'parent' })
+ * .then(function(elements) {
+ *   // Do something with the newly updated elements
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function update(requestingUser, organizationID, projectID, branchID, elements, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType('object', elements, 'Elements');
 
-    M.log.debug('create(): Before JMI2 conversion');
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+    const saniElements = sani.db(JSON.parse(JSON.stringify(elements)));
+    let foundElements = [];
+    let elementsToUpdate = [];
+    const duplicateCheck = {};
+    let foundUpdatedElements = [];
+    const arrIDs = [];
+    const sourceTargetIDs = [];
+    const projectRefs = [];
 
-    // Attempt to convert elements to JMI type 2, to see if duplicate ids exist
-    jmi.convertJMI(1, 2, elementsToCreate, '_id');
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Element);
 
     // Find the organization and validate that it was found and not archived
     const organization = await helper.findAndValidate(Org, orgID);
@@ -458,318 +734,12 @@ async function create(requestingUser, organizationID, projectID, branchID, eleme
     const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
 
     // Find the branch and validate that it was found and not archived
-    const foundBranch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID));
-    // Check that the branch is is not a tag
-    if (foundBranch.tag) {
-      throw new M.OperationError(`[${branID}] is a tag and `
-        + 'does not allow elements to be created, updated, or deleted.', 'warn');
-    }
-
-    // Find any referenced artifacts
-    const artifacts = await Artifact.find(
-      { _id: { $in: Array.from(artIDSet) } }, null
-    );
-
-    // Verify artifacts found
-    if (artifacts.length !== artIDSet.size) {
-      const artNotFound = Array.from(artIDSet).filter(a => !artifacts.includes(a));
-
-      throw new M.DataFormatError(
-        'The following artifact references were not found: '
-        + `[${artNotFound.map((a) => utils.parseID(a).pop())}]`, 'warn'
-      );
-    }
-
-    // Permissions check
-    permissions.createElement(reqUser, organization, project, foundBranch);
-
-    // Find all referenced projects
-    const referencedProjects = await Project.find({ _id: { $in: projectRefs } }, null);
-
-    // Verify that each project has a visibility of 'internal'
-    referencedProjects.forEach((proj) => {
-      if (proj.visibility !== 'internal') {
-        throw new M.PermissionError(`The project [${utils.parseID(proj._id).pop()}] `
-          + `in the org [${utils.parseID(proj._id)[0]}] does not have a visibility `
-          + ' of internal.', 'warn');
-      }
-    });
-
-    M.log.debug('create(): Before finding pre-existing elements');
-
-    let promises = [];
-    for (let i = 0; i < arrIDs.length / 50000; i++) {
-      // Split arrIDs into batches of 50000
-      const tmpQuery = { _id: { $in: arrIDs.slice(i * 50000, i * 50000 + 50000) } };
-      // Attempt to find any elements with matching _id
-      promises.push(Element.find(tmpQuery, '_id')
-      .then((foundElements) => {
-        if (foundElements.length > 0) {
-          // Get array of the foundElements's ids
-          const foundElementIDs = foundElements.map(e => utils.parseID(e._id).pop());
-          // There are one or more elements with conflicting IDs
-          throw new M.OperationError('Elements with the following IDs already exist'
-            + ` [${foundElementIDs.toString()}].`, 'warn');
-        }
-      }));
-    }
-
-    await Promise.all(promises);
-
-    // For each object of element data, create the element object
-    const elementObjects = elementsToCreate.map((elemObj) => {
-      // Set the project, lastModifiedBy and createdBy
-      elemObj.project = utils.createID(orgID, projID);
-      elemObj.branch = utils.createID(orgID, projID, branID);
-      elemObj.lastModifiedBy = reqUser._id;
-      elemObj.createdBy = reqUser._id;
-      elemObj.updatedOn = Date.now();
-      elemObj.archivedBy = (elemObj.archived) ? reqUser._id : null;
-      elemObj.archivedOn = (elemObj.archived) ? Date.now() : null;
-
-      // Add hidden fields
-      elemObj.$parent = elemObj.parent;
-      elemObj.$source = (elemObj.source) ? elemObj.source : null;
-      elemObj.$target = (elemObj.target) ? elemObj.target : null;
-      elemObj.artifact = (elemObj.artifact) ? elemObj.artifact : null;
-      return elemObj;
-    });
-
-    // Convert elemObjects array to JMI type 2 for easier lookup
-    const jmi2 = jmi.convertJMI(1, 2, elementObjects);
-
-    // Define array of elements that need to be searched for in DB
-    const elementsToFind = [];
-
-    // Loop through each element, set its parent, source, target
-    elementObjects.forEach((element) => {
-      // If the element has a parent
-      if (element.$parent) {
-        // If the element's parent is also being created
-        if (jmi2.hasOwnProperty(element.$parent)) {
-          const parentObj = jmi2[element.$parent];
-          element.parent = parentObj._id;
-          delete element.$parent;
-        }
-        else {
-          // Add elements parent to list of elements to search for in DB
-          if (!elementsToFind.includes(element.$parent)) {
-            elementsToFind.push(element.$parent);
-          }
-          remainingElements.push(element);
-        }
-      }
-
-      // If the element has a source
-      if (element.$source) {
-        // If the element's source is also being created
-        if (jmi2.hasOwnProperty(element.$source)) {
-          element.source = element.$source;
-          delete element.$source;
-        }
-        else {
-          // Add elements source to list of elements to search for in DB
-          if (!elementsToFind.includes(element.$source)) {
-            elementsToFind.push(element.$source);
-          }
-          remainingElements.push(element);
-        }
-      }
-
-      // If the element has a target
-      if (element.$target) {
-        // If the element's target is also being created
-        if (jmi2.hasOwnProperty(element.$target)) {
-          element.target = element.$target;
-          delete element.$target;
-        }
-        else {
-          // Add elements target to list of elements to search for in DB
-          if (!elementsToFind.includes(element.$target)) {
-            elementsToFind.push(element.$target);
-          }
-          remainingElements.push(element);
-        }
-      }
-    });
-
-    // Create query for finding elements
-    const findExtraElementsQuery = { _id: { $in: elementsToFind } };
-
-    M.log.debug('create(): Before finding extra elements');
-
-    // Find extra elements, and only return _id for faster lookup
-    const extraElements = await Element.find(findExtraElementsQuery, '_id');
-    // Convert extraElements to JMI type 2 for easier lookup
-    const extraElementsJMI2 = jmi.convertJMI(1, 2, extraElements);
-    // Loop through each remaining element that does not have its parent,
-    // source, or target set yet
-    remainingElements.forEach((element) => {
-      // If the element has a parent
-      if (element.$parent) {
-        if (extraElementsJMI2[element.$parent] && extraElementsJMI2[element.$parent]._id) {
-          element.parent = extraElementsJMI2[element.$parent]._id;
-          delete element.$parent;
-        }
-        else {
-          // Parent not found in db, throw an error
-          throw new M.NotFoundError(`Parent element [${utils.parseID(element.parent).pop()}] `
-            + 'not found.', 'warn');
-        }
-      }
-
-      // If the element is a relationship and has a source
-      if (element.$source) {
-        if (extraElementsJMI2[element.$source] && extraElementsJMI2[element.$source]._id) {
-          element.source = extraElementsJMI2[element.$source]._id;
-          delete element.$source;
-        }
-        else {
-          // Source not found in db, throw an error
-          throw new M.NotFoundError(`Source element [${utils.parseID(element.source).pop()}] `
-            + 'not found.', 'warn');
-        }
-      }
-
-      // If the element is a relationship and has a target
-      if (element.$target) {
-        if (extraElementsJMI2[element.$target] && extraElementsJMI2[element.$target]._id) {
-          element.target = extraElementsJMI2[element.$target]._id;
-          delete element.$target;
-        }
-        else {
-          // Target not found in db, throw an error
-          throw new M.NotFoundError(`Target element [${utils.parseID(element.target).pop()}] `
-            + 'not found.', 'warn');
-        }
-      }
-    });
-
-    M.log.debug('create(): Before insertMany()');
-    const createdElements = await Element.insertMany(elementObjects);
-    M.log.debug('create(): After insertMany()');
-
-    promises = [];
-    const createdIDs = createdElements.map(e => e._id);
-    // Find elements in batches
-    for (let i = 0; i < createdIDs.length / 50000; i++) {
-      // Split elementIDs list into batches of 50000
-      const tmpQuery = { _id: { $in: createdIDs.slice(i * 50000, i * 50000 + 50000) } };
-
-      // Add find operation to promises array
-      promises.push(Element.find(tmpQuery, validatedOptions.fieldsString,
-        { populate: validatedOptions.populateString })
-      .then((_foundElements) => {
-        populatedElements = populatedElements.concat(_foundElements);
-      }));
-    }
-
-    // Return when all elements have been found
-    await Promise.all(promises);
-
-    M.log.debug('create(): Before elements-created event emitter');
-
-    // Emit the event elements-created
-    EventEmitter.emit('elements-created', populatedElements);
-
-    return populatedElements;
-  }
-  catch (error) {
-    throw errors.captureError(error);
-  }
-}
-
-/**
- * @description This function updates one or many elements. Multiple fields on
- * multiple elements can be updated as long as they are valid. If changing an
- * elements parent, only one element can be updated at a time. If an element
- * is archived, it must first be unarchived before any other updates occur. The
- * user must have write permissions on a project or be a system-wide admin to
- * update elements.
- *
- * @param {User} requestingUser - The object containing the requesting user.
- * @param {string} organizationID - The ID of the owning organization.
- * @param {string} projectID - The ID of the owning project.
- * @param {string} branchID - The ID of the branch to update elements on.
- * @param {(object|object[])} elements - Either an array of objects containing
- * updates to elements, or a single object containing updates.
- * @param {string} elements.id - The ID of the element being updated. Field
- * cannot be updated but is required to find element.
- * @param {string} [elements.name] - The updated name of the element.
- * @param {string} [elements.parent] - The ID of the new elements parent. Cannot
- * update element parents in bulk.
- * @param {string} [elements.source] - The ID of the source element.
- * @param {object} [elements.sourceNamespace] - The optional namespace of the
- * source element, if the element is not part of the project. Must include the
- * key/value pairs 'org', 'project' and 'branch'. The organization must be the
- * same as the relationships org or be the "default" organization.
- * @param {string} [elements.target] - The ID of the target element.
- * @param {object} [elements.targetNamespace] - The optional namespace of the
- * target element, if the element is not part of the project. Must include the
- * key/value pairs 'org', 'project' and 'branch'. The organization must be the
- * same as the relationships org or be the "default" organization.
- * @param {string} [elements.documentation] - The updated documentation of the
- * element.
- * @param {string} [elements.type] - An optional type string.
- * @param {object} [elements.custom] - The new custom data object. Please note,
- * updating the custom data object completely replaces the old custom data
- * object.
- * @param {boolean} [elements.archived = false] - The updated archived field. If
- * true, the element will not be able to be found until unarchived.
- * @param {object} [options] - A parameter that provides supported options.
- * @param {string[]} [options.populate] - A list of fields to populate on return
- * of the found objects. By default, no fields are populated.
- * @param {string[]} [options.fields] - An array of fields to return. By default
- * includes the _id, id, and contains. To NOT include a field, provide a '-' in
- * front.
- *
- * @returns {Promise<object[]>} Array of updated element objects.
- *
- * @example
- * update({User}, 'orgID', 'projID', 'branch', [{Elem1}, {Elem22}...], { populate: 'parent' })
- * .then(function(elements) {
- *   // Do something with the newly updated elements
- * })
- * .catch(function(error) {
- *   M.log.error(error);
- * });
- */
-async function update(requestingUser, organizationID, projectID, branchID, elements, options) {
-  try {
-    // Ensure input parameters are correct type
-    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
-    helper.checkParamsDataType('object', elements, 'Elements');
-
-    // Sanitize input parameters and create function-wide variables
-    const reqUser = JSON.parse(JSON.stringify(requestingUser));
-    const orgID = sani.db(organizationID);
-    const projID = sani.db(projectID);
-    const branID = sani.db(branchID);
-    const saniElements = sani.db(JSON.parse(JSON.stringify(elements)));
-    let foundElements = [];
-    let elementsToUpdate = [];
-    const duplicateCheck = {};
-    let foundUpdatedElements = [];
-    const arrIDs = [];
-    const sourceTargetIDs = [];
-    const projectRefs = [];
-
-    // Initialize and ensure options are valid
-    const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Element);
-
-    // Find the organization and validate that it was found and not archived
-    const organization = await helper.findAndValidate(Org, orgID);
-
-    // Find the project and validate that it was found and not archived
-    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
-
-    // Find the branch and validate that it was found and not archived
-    const foundBranch = await helper.findAndValidate(Branch,
-      utils.createID(orgID, projID, branID));
-
-    // Permissions check
-    permissions.updateElement(reqUser, organization, project, foundBranch);
-
+    const foundBranch = await helper.findAndValidate(Branch,
+      utils.createID(orgID, projID, branID));
+
+    // Permissions check
+    permissions.updateElement(reqUser, organization, project, foundBranch);
+
     // Check that the branch is is not a tag
     if (foundBranch.tag) {
       throw new M.OperationError(`[${branID}] is a tag and `
@@ -785,7 +755,7 @@ async function update(requestingUser, organizationID, projectID, branchID, eleme
 
       // Ensure element keys are valid to update in bulk
       const validBulkFields = Element.getValidBulkUpdateFields();
-      validBulkFields.push('id');
+      validBulkFields.push('id', '_rev');
       // For each element
       elementsToUpdate.forEach((e) => {
         // For each key
@@ -860,9 +830,8 @@ async function update(requestingUser, organizationID, projectID, branchID, eleme
     });
 
     // Find any referenced artifacts
-    const artifacts = await Artifact.find(
-      { _id: { $in: Array.from(artIDSet) } }, null
-    );
+    const artifacts = await branchUtils.find(Artifact,
+      { _id: { $in: Array.from(artIDSet) } }, null);
 
     // Verify artifacts found
     if (artifacts.length !== artIDSet.size) {
@@ -895,7 +864,7 @@ async function update(requestingUser, organizationID, projectID, branchID, eleme
       searchQuery._id = { $in: arrIDs.slice(i * 50000, i * 50000 + 50000) };
 
       // Add find operation to promises array
-      promises2.push(Element.find(searchQuery, null)
+      promises2.push(branchUtils.find(Element, Object.assign({}, searchQuery), null)
       .then((_foundElements) => {
         foundElements = foundElements.concat(_foundElements);
       }));
@@ -914,7 +883,13 @@ async function update(requestingUser, organizationID, projectID, branchID, eleme
       );
     }
 
-    const foundSourceTarget = await Element.find(sourceTargetQuery, null);
+    // Ensure none of the elements are locked by other users
+    elementLockCheck(reqUser, foundElements);
+
+    // Ensure none of the elements have changed since the provided revisions
+    const revisionFilters = helper.checkRevisions(foundElements, elementsToUpdate, 'elements');
+
+    const foundSourceTarget = await branchUtils.find(Element, sourceTargetQuery, null);
 
     // Convert elementsToUpdate to JMI type 2
     const jmiType2 = jmi.convertJMI(1, 2, elementsToUpdate);
@@ -1047,17 +1022,33 @@ async function update(requestingUser, organizationID, projectID, branchID, eleme
       updateElement.lastModifiedBy = reqUser._id;
       updateElement.updatedOn = Date.now();
 
-      // Update the element
+      // Update the element, if it is unchanged since its revision was checked
       bulkArray.push({
         updateOne: {
-          filter: { _id: element._id },
+          filter: Object.assign({ _id: element._id }, revisionFilters[element._id]),
           update: updateElement
         }
       });
     });
 
-    // Update all elements through a bulk write to the database
-    await Element.bulkWrite(bulkArray);
+    // Ensure the updated elements match the type profiles of the project
+    await typeProfileCheck(project, foundElements.map(e => Object.assign({}, e,
+      jmiType2[e._id])), foundSourceTarget);
+
+    // Update the elements and record their revisions in a single transaction
+    await db.withTransaction(async (session) => {
+      // Copy any inherited elements into the branch before they are updated
+      await branchUtils.prepareWrite(Element, foundBranch._id, foundElements.map(e => e._id),
+        true, session);
+
+      // Update all elements through a bulk write to the database
+      const result = await Element.bulkWrite(bulkArray, { session: session });
+      await helper.checkWrittenRevisions(Element, bulkArray, result, 'elements', session);
+
+      // Record the revisions of the updated elements
+      await helper.recordElementRevisions(reqUser, 'updated',
+        foundElements.map(e => Object.assign({}, e, jmiType2[e._id])), foundElements, session);
+    });
 
     const promises3 = [];
     // Find elements in batches
@@ -1066,8 +1057,8 @@ async function update(requestingUser, organizationID, projectID, branchID, eleme
       searchQuery._id = { $in: arrIDs.slice(i * 50000, i * 50000 + 50000) };
 
       // Add find operation to promises array
-      promises3.push(Element.find(searchQuery, validatedOptions.fieldsString,
-        { populate: validatedOptions.populateString })
+      promises3.push(branchUtils.find(Element, Object.assign({}, searchQuery),
+        validatedOptions.fieldsString, { populate: validatedOptions.populateString })
       .then((_foundElements) => {
         foundUpdatedElements = foundUpdatedElements.concat(_foundElements);
       }));
@@ -1077,7 +1068,14 @@ async function update(requestingUser, organizationID, projectID, branchID, eleme
     await Promise.all(promises3);
 
     // Emit the event elements-updated
-    EventEmitter.emit('elements-updated', foundUpdatedElements);
+    await EventEmitter.emit('elements-updated', {
+      actor: reqUser,
+      org: orgID,
+      project: projID,
+      branch: branID,
+      before: foundElements,
+      after: foundUpdatedElements
+    });
     return foundUpdatedElements;
   }
   catch (error) {
@@ -1152,8 +1150,9 @@ async function createOrReplace(requestingUser, organizationID, projectID,
     const duplicateCheck = {};
     let foundElements = [];
     let elementsToLookup = [];
-    let createdElements = [];
-    const ts = Date.now();
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Element);
 
     // Find the organization and validate that it was found and not archived
     const organization = await helper.findAndValidate(Org, orgID);
@@ -1221,7 +1220,7 @@ async function createOrReplace(requestingUser, organizationID, projectID,
       searchQuery._id = { $in: arrIDs.slice(i * 50000, i * 50000 + 50000) };
 
       // Add find operation to promises array
-      promises.push(Element.find(searchQuery, null)
+      promises.push(branchUtils.find(Element, Object.assign({}, searchQuery), null)
       .then((_foundElements) => {
         foundElements = foundElements.concat(_foundElements);
       }));
@@ -1232,6 +1231,12 @@ async function createOrReplace(requestingUser, organizationID, projectID,
 
     const foundElementIDs = foundElements.map(e => e._id);
 
+    // Ensure none of the elements are locked by other users
+    elementLockCheck(reqUser, foundElements);
+
+    // Ensure none of the elements have changed since the provided revisions
+    helper.checkRevisions(foundElements, elementsToLookup, 'elements');
+
     // Error Check: ensure user cannot replace root element
     foundElementIDs.forEach((id) => {
       if (Element.getValidRootElements().includes(utils.parseID(id).pop())) {
@@ -1241,102 +1246,38 @@ async function createOrReplace(requestingUser, organizationID, projectID,
       }
     });
 
-    // Create temporary element data
-    // If data directory doesn't exist, create it
-    if (!fs.existsSync(path.join(M.root, 'data'))) {
-      fs.mkdirSync(path.join(M.root, 'data'));
-    }
-
-    // If org directory doesn't exist, create it
-    if (!fs.existsSync(path.join(M.root, 'data', orgID))) {
-      fs.mkdirSync(path.join(M.root, 'data', orgID));
-    }
-
-    // If project directory doesn't exist, create it
-    if (!fs.existsSync(path.join(M.root, 'data', orgID, projID))) {
-      fs.mkdirSync(path.join(M.root, 'data', orgID, projID));
-    }
-
-    // If branch directory doesn't exist, create it
-    if (!fs.existsSync(path.join(M.root, 'data', orgID, projID, branID))) {
-      fs.mkdirSync(path.join(M.root, 'data', orgID, projID, branID));
-    }
-
-    // Write contents to temporary file
-    await new Promise(function(res, rej) {
-      fs.writeFile(path.join(M.root, 'data', orgID, projID, branID, `PUT-backup-elements-${ts}.json`),
-        JSON.stringify(foundElements), function(err) {
-          if (err) rej(err);
-          else res();
-        });
+    // Validate the new elements, which may have the IDs of the replaced elements
+    const elementObjects = await prepareElements(reqUser, orgID, projID, branID,
+      elementsToLookup, foundElementIDs);
+
+    // Delete the replaced elements and create the new elements in a single
+    // transaction, so the replaced elements are kept if any write fails
+    const createdElements = await db.withTransaction(async (session) => {
+      // Preserve the elements for any branches created from this branch
+      await branchUtils.prepareWrite(Element, foundBranch._id, foundElementIDs, false, session);
+
+      // Delete the replaced elements and record their revisions
+      await Element.deleteMany({ _id: { $in: foundElementIDs } }, { session: session });
+      await branchUtils.recordDeletions(Element, foundBranch._id, foundElementIDs, session);
+      await helper.recordElementRevisions(reqUser, 'deleted', foundElements, [], session);
+
+      // Create the new elements and record their revisions
+      const created = await Element.insertMany(elementObjects, { session: session });
+      await branchUtils.clearDeletions(Element, created.map(e => e._id), session);
+      await helper.recordElementRevisions(reqUser, 'created', created, [], session);
+      return created;
     });
 
-    // Delete elements from database
-    await Element.deleteMany({ _id: { $in: foundElementIDs } });
-
-    // Emit the event elements-deleted
-    EventEmitter.emit('elements-deleted', foundElements);
-
-
-    // Try block after elements have been deleted but before being replaced
-    // If element creation fails, the old elements will be restored
-    try {
-      // Create new elements
-      createdElements = await create(reqUser, orgID, projID, branID, elementsToLookup, options);
-    }
-    catch (error) {
-      throw await new Promise(async (res) => {
-        // Reinsert original data
-        try {
-          await Element.insertMany(foundElements);
-          fs.unlinkSync(path.join(M.root, 'data', orgID, projID, branID,
-            `PUT-backup-elements-${ts}.json`));
-
-          // Restoration succeeded; pass the original error
-          res(error);
-        }
-        catch (restoreErr) {
-          // Pass the new error that occurred while attempting to restore elements
-          M.log.error('Problem occurred while attempting to restore deleted elements after '
-            + 'unsuccessful replace operation');
-          res(restoreErr);
-        }
-      });
-    }
-
-    // Code block after elements have been deleted and replaced
+    // Find the created elements, with the requested fields populated
+    const populatedElements = await findCreatedElements(createdElements, validatedOptions);
 
-    // Create file path to temp data file
-    const filePath = path.join(M.root, 'data', orgID, projID, branID, `PUT-backup-elements-${ts}.json`);
-    // Delete the temporary file.
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-
-    // Read all of the files in the branch directory
-    const existingBranchFiles = fs.readdirSync(path.join(M.root, 'data', orgID, projID, branID));
-
-    // If no files exist in the directory, delete it
-    if (existingBranchFiles.length === 0) {
-      fs.rmdirSync(path.join(M.root, 'data', orgID, projID, branID));
-    }
-
-    // Read all of the files in the project directory
-    const existingProjFiles = fs.readdirSync(path.join(M.root, 'data', orgID, projID));
-
-    // If no files exist in the directory, delete it
-    if (existingProjFiles.length === 0) {
-      fs.rmdirSync(path.join(M.root, 'data', orgID, projID));
-    }
-
-    // Read all of the files in the org directory
-    const existingOrgFiles = fs.readdirSync(path.join(M.root, 'data', orgID));
+    // Emit the events elements-deleted and elements-created once the transaction is committed
+    await EventEmitter.emit('elements-deleted',
+      { actor: reqUser, org: orgID, project: projID, branch: branID, before: foundElements });
+    await EventEmitter.emit('elements-created',
+      { actor: reqUser, org: orgID, project: projID, branch: branID, after: populatedElements });
 
-    // If no files exist in the directory, delete it
-    if (existingOrgFiles.length === 0) {
-      fs.rmdirSync(path.join(M.root, 'data', orgID));
-    }
-    return createdElements;
+    return populatedElements;
   }
   catch (error) {
     throw errors.captureError(error);
@@ -1415,7 +1356,7 @@ async function remove(requestingUser, organizationID, projectID, branchID, eleme
     permissions.deleteElement(reqUser, organization, project, foundBranch);
 
     // Find the elements to delete
-    const foundElements = await Element.find({ _id: { $in: elementsToFind } }, null);
+    const foundElements = await branchUtils.find(Element, { _id: { $in: elementsToFind } }, null);
     const foundElementIDs = foundElements.map(e => e._id);
 
     // Check if all elements were found
@@ -1439,7 +1380,7 @@ async function remove(requestingUser, organizationID, projectID, branchID, eleme
 
     uniqueIDs = Object.keys(uniqueIDsObj);
 
-    let promises = [];
+    const promises = [];
     // Error Check: ensure user cannot delete root elements
     uniqueIDs.forEach((id) => {
       const elemID = utils.parseID(id).pop();
@@ -1457,7 +1398,7 @@ async function remove(requestingUser, organizationID, projectID, branchID, eleme
       const batchIDs = uniqueIDs.slice(i * 50000, i * 50000 + 50000);
       // Find batch
       promises.push(
-        Element.find({ _id: { $in: batchIDs } }, null)
+        branchUtils.find(Element, { _id: { $in: batchIDs } }, null)
         .then((e) => {
           elementsToDelete = elementsToDelete.concat(e);
         })
@@ -1466,61 +1407,81 @@ async function remove(requestingUser, organizationID, projectID, branchID, eleme
     // Return when all deletes have completed
     await Promise.all(promises);
 
-    promises = [];
-    // Split elements into batches of 50000 or less
-    for (let i = 0; i < uniqueIDs.length / 50000; i++) {
-      const batchIDs = uniqueIDs.slice(i * 50000, i * 50000 + 50000);
-      // Delete batch
-      promises.push(Element.deleteMany({ _id: { $in: batchIDs } }));
-    }
-    // Return when all deletes have completed
-    await Promise.all(promises);
+    // Ensure none of the elements or their subtrees are locked by other users
+    elementLockCheck(reqUser, elementsToDelete);
 
-    // Emit the event elements-deleted
-    EventEmitter.emit('elements-deleted', elementsToDelete);
+    // Delete the elements and update their relationships in a single transaction
+    await db.withTransaction(async (session) => {
+      // Preserve the elements for any branches created from this branch
+      await branchUtils.prepareWrite(Element, foundBranch._id, uniqueIDs, false, session);
 
-    // Find all sources/targets which point to deleted elements
-    const sources = await Element.find({ source: { $in: uniqueIDs } }, null);
-    const targets = await Element.find({ target: { $in: uniqueIDs } }, null);
+      // Delete the elements in batches of 50000 or less
+      for (let i = 0; i < uniqueIDs.length / 50000; i++) {
+        const batchIDs = uniqueIDs.slice(i * 50000, i * 50000 + 50000);
+        // eslint-disable-next-line no-await-in-loop
+        await Element.deleteMany({ _id: { $in: batchIDs } }, { session: session });
+      }
 
-    // Get only unique elements
-    const sourceIDs = sources.map(e => e._id);
-    const targetsNotInSource = targets.filter(e => !sourceIDs.includes(e._id));
-    const relationships = sources.concat(targetsNotInSource);
+      // Hide the deleted elements if they were inherited from the source branch
+      await branchUtils.recordDeletions(Element, foundBranch._id, uniqueIDs, session);
 
-    const bulkArray = [];
-    promises = [];
-
-    // For each relationship
-    promises.push(relationships.forEach((rel) => {
-      const u = {};
-      // If the source no longer exists, set it to the undefined element
-      if (uniqueIDs.includes(rel.source)) {
-        // Reset source to the undefined element
-        u.source = utils.createID(rel.branch, 'undefined');
-      }
+      // Record the revisions of the deleted elements
+      await helper.recordElementRevisions(reqUser, 'deleted', elementsToDelete, [], session);
 
-      // If the target no longer exists, set it to the undefined element
-      if (uniqueIDs.includes(rel.target)) {
-        // Reset target to the undefined element
-        u.target = utils.createID(rel.branch, 'undefined');
-      }
+      // Find all sources/targets which point to deleted elements
+      const sources = await branchUtils.find(Element, { source: { $in: uniqueIDs } }, null,
+        { session: session });
+      const targets = await branchUtils.find(Element, { target: { $in: uniqueIDs } }, null,
+        { session: session });
 
-      bulkArray.push({
-        updateOne: {
-          filter: { _id: rel._id },
-          update: u
+      // Get only unique elements
+      const sourceIDs = sources.map(e => e._id);
+      const targetsNotInSource = targets.filter(e => !sourceIDs.includes(e._id));
+      const relationships = sources.concat(targetsNotInSource);
+
+      const bulkArray = [];
+
+      // For each relationship
+      relationships.forEach((rel) => {
+        const u = {};
+        // If the source no longer exists, set it to the undefined element
+        if (uniqueIDs.includes(rel.source)) {
+          // Reset source to the undefined element
+          u.source = utils.createID(rel.branch, 'undefined');
+        }
+
+        // If the target no longer exists, set it to the undefined element
+        if (uniqueIDs.includes(rel.target)) {
+          // Reset target to the undefined element
+          u.target = utils.createID(rel.branch, 'undefined');
         }
+
+        bulkArray.push({
+          updateOne: {
+            filter: { _id: rel._id },
+            update: u
+          }
+        });
       });
-    }));
 
-    await Promise.all(promises);
+      // If there are relationships to update, make a bulkWrite() call
+      if (bulkArray.length > 0) {
+        // Copy any inherited relationships into the branch before they are updated
+        await branchUtils.prepareWrite(Element, foundBranch._id, relationships.map(e => e._id),
+          true, session);
 
-    // If there are relationships to update, make a bulkWrite() call
-    if (bulkArray.length > 0) {
-      // Save relationship changes to database
-      await Element.bulkWrite(bulkArray);
-    }
+        // Save relationship changes to database
+        await Element.bulkWrite(bulkArray, { session: session });
+
+        // Record the revisions of the updated relationships
+        await helper.recordElementRevisions(reqUser, 'updated', relationships.map((rel, i) => Object
+        .assign({}, rel, bulkArray[i].updateOne.update)), relationships, session);
+      }
+    });
+
+    // Emit the event elements-deleted
+    await EventEmitter.emit('elements-deleted',
+      { actor: reqUser, org: orgID, project: projID, branch: branID, before: elementsToDelete });
 
     // Return unique IDs of elements deleted
     return uniqueIDs;
@@ -1530,6 +1491,209 @@ async function remove(requestingUser, organizationID, projectID, branchID, eleme
   }
 }
 
+/**
+ * @description This function locks one or many elements, to check them out for
+ * editing. While an element is locked, only the user who holds the lock can
+ * update or delete it. A lock expires after a timeout, and locking an element
+ * again extends the lock. Elements locked by other users cannot be locked
+ * until their lock is released or expires. The user must have write
+ * permissions on a project or be a system-wide admin to lock elements.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the branch to lock elements on.
+ * @param {(string|string[])} elements - The elements to lock. Can either be an
+ * array of element ids or a single element id.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {boolean} [options.subtree = false] - If true, the subtrees of the
+ * elements are locked as well.
+ * @param {number} [options.timeout] - The number of minutes until the locks
+ * expire. Defaults to the timeout in the config, or 60 minutes.
+ * @param {string[]} [options.populate] - A list of fields to populate on return
+ * of the found objects. By default, no fields are populated.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id, id, and contains. To NOT include a field, provide a '-' in
+ * front.
+ *
+ * @returns {Promise<object[]>} Array of locked element objects.
+ *
+ * @example
+ * lock({User}, 'orgID', 'projID', 'branch', ['elem1', 'elem2'], { subtree: true })
+ * .then(function(elements) {
+ *   // Do something with the locked elements
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function lock(requestingUser, organizationID, projectID, branchID, elements, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType(['object', 'string'], elements, 'Elements');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+    const lockConfig = M.config.server.locks || {};
+    const maxTimeout = lockConfig.maxTimeout || 1440;
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['subtree', 'timeout',
+      'populate', 'fields'], Element);
+    const timeout = validatedOptions.timeout || lockConfig.timeout || 60;
+
+    // Ensure the timeout is not longer than the maximum timeout
+    if (timeout > maxTimeout) {
+      throw new M.DataFormatError(`The option 'timeout' cannot be more than ${maxTimeout}`
+        + ' minutes.', 'warn');
+    }
+
+    // Find the elements and ensure they are not locked by other users
+    const { branch, foundElements } = await findElementsToLock(reqUser, orgID, projID,
+      branID, elements, validatedOptions, 'lock');
+    elementLockCheck(reqUser, foundElements);
+    const ids = foundElements.map(e => e._id);
+
+    const lockedOn = Date.now();
+    const lockUpdate = {
+      lockedBy: reqUser._id,
+      lockedOn: lockedOn,
+      lockExpiresOn: lockedOn + timeout * 60000
+    };
+
+    // Copy any inherited elements into the branch before they are locked
+    await branchUtils.prepareWrite(Element, branch._id, ids);
+
+    // Lock the elements in batches of 50000 or less
+    const promises = [];
+    for (let i = 0; i < ids.length / 50000; i++) {
+      const batchIDs = ids.slice(i * 50000, i * 50000 + 50000);
+      promises.push(Element.updateMany({ _id: { $in: batchIDs } }, lockUpdate));
+    }
+    await Promise.all(promises);
+
+    // Find the locked elements
+    const lockedElements = await branchUtils.find(Element, { _id: { $in: ids } },
+      validatedOptions.fieldsString, { populate: validatedOptions.populateString });
+
+    // Emit the event elements-locked
+    await EventEmitter.emit('elements-locked', {
+      actor: reqUser,
+      org: orgID,
+      project: projID,
+      branch: branID,
+      before: foundElements,
+      after: lockedElements
+    });
+
+    return lockedElements;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function unlocks one or many elements. Users can release
+ * their own locks, and project admins and system-wide admins can break the
+ * locks of other users. Elements which are not locked are ignored. The user
+ * must have write permissions on a project or be a system-wide admin to
+ * unlock elements.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the branch to unlock elements on.
+ * @param {(string|string[])} elements - The elements to unlock. Can either be
+ * an array of element ids or a single element id.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {boolean} [options.subtree = false] - If true, the subtrees of the
+ * elements are unlocked as well.
+ * @param {string[]} [options.populate] - A list of fields to populate on return
+ * of the found objects. By default, no fields are populated.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id, id, and contains. To NOT include a field, provide a '-' in
+ * front.
+ *
+ * @returns {Promise<object[]>} Array of unlocked element objects.
+ *
+ * @example
+ * unlock({User}, 'orgID', 'projID', 'branch', ['elem1', 'elem2'])
+ * .then(function(elements) {
+ *   // Do something with the unlocked elements
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function unlock(requestingUser, organizationID, projectID, branchID, elements, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType(['object', 'string'], elements, 'Elements');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['subtree', 'populate', 'fields'],
+      Element);
+
+    // Find the elements
+    const { organization, project, branch, foundElements } = await findElementsToLock(reqUser,
+      orgID, projID, branID, elements, validatedOptions, 'unlock');
+
+    // If any of the elements are locked by other users, the user must be able to break locks
+    if (foundElements.some(e => isLockedByOther(reqUser, e))) {
+      permissions.breakElementLock(reqUser, organization, project, branch);
+    }
+
+    // Only unlock the elements which have a lock, including expired locks
+    const lockedIDs = foundElements.filter(e => e.lockedBy).map(e => e._id);
+    const lockUpdate = { lockedBy: null, lockedOn: null, lockExpiresOn: null };
+
+    // Copy any inherited elements into the branch before they are unlocked
+    await branchUtils.prepareWrite(Element, branch._id, lockedIDs);
+
+    // Unlock the elements in batches of 50000 or less
+    const promises = [];
+    for (let i = 0; i < lockedIDs.length / 50000; i++) {
+      const batchIDs = lockedIDs.slice(i * 50000, i * 50000 + 50000);
+      promises.push(Element.updateMany({ _id: { $in: batchIDs } }, lockUpdate));
+    }
+    await Promise.all(promises);
+
+    // Find the unlocked elements
+    const unlockedElements = await branchUtils.find(Element,
+      { _id: { $in: foundElements.map(e => e._id) } },
+      validatedOptions.fieldsString, { populate: validatedOptions.populateString });
+
+    // Emit the event elements-unlocked
+    if (lockedIDs.length > 0) {
+      await EventEmitter.emit('elements-unlocked', {
+        actor: reqUser,
+        org: orgID,
+        project: projID,
+        branch: branID,
+        before: foundElements.filter(e => lockedIDs.includes(e._id)),
+        after: unlockedElements.filter(e => lockedIDs.includes(e._id))
+      });
+    }
+
+    return unlockedElements;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
 /**
  * @description A non-exposed helper function which finds the subtree of given
  * elements.
@@ -1579,7 +1743,7 @@ async function findElementTree(organizationID, projectID, branchID, elementIDs,
    */
   async function findElementTreeHelper(ids, depth) {
     // Find all elements whose parent is in the list of given ids
-    const elements = await Element.find({ parent: { $in: ids } }, '_id');
+    const elements = await branchUtils.find(Element, { parent: { $in: ids } }, '_id');
     // Get a list of element ids
     const foundIDs = elements.map(e => e._id);
     // Add these elements to the global list of found elements
@@ -1667,7 +1831,7 @@ async function moveElementCheck(organizationID, projectID, branchID, element) {
    * circular reference has been found or returns an empty string.
    */
   async function findElementParentRecursive(e) {
-    const foundElement = await Element.findOne({ _id: e.parent }, null);
+    const foundElement = await branchUtils.findOne(Element, { _id: e.parent }, null);
     // If foundElement is null, reject with error
     if (!foundElement) {
       throw new M.NotFoundError('Parent element '
@@ -1702,10 +1866,14 @@ async function moveElementCheck(organizationID, projectID, branchID, element) {
 }
 
 /**
- * @description A function which searches elements within a certain project
- * using a text-based search. Returns any elements that match the text
- * search, in order of the best matches to the worst. Searches the _id, name,
- * documentation, parent, source and target fields.
+ * @description A function which searches elements within a certain branch.
+ * The query may contain words, phrases, prefixes and fuzzy words, which are
+ * matched against the name and documentation of each element, and filters on
+ * the fields of the elements, such as type:(Block OR Part) or
+ * createdOn:[2020-01-01 TO *]. See {@link module:lib.search} for the full
+ * syntax. Returns the matching elements in order of the best matches to the
+ * worst, each with its relevance score (score) and its highlighted matches
+ * (highlights).
  *
  * @param {User} requestingUser - The object containing the requesting user.
  * @param {string} organizationID - The ID of the owning organization.
@@ -1726,9 +1894,9 @@ async function moveElementCheck(organizationID, projectID, branchID, element) {
  * @param {number} [options.skip = 0] - A non-negative number that specifies the
  * number of documents to skip returning. For example, if 10 documents are found
  * and skip is 5, the first 5 documents will NOT be returned.
- * @param {string} [options.sort] - Provide a particular field to sort the results by.
- * You may also add a negative sign in front of the field to indicate sorting in
- * reverse order.
+ * @param {string} [options.sort] - Provide a particular field to sort the results by,
+ * including the score. You may also add a negative sign in front of the field to
+ * indicate sorting in reverse order. By default, results are sorted by score.
  * @param {string} [options.parent] - Search for elements with a specific
  * parent.
  * @param {string} [options.source] - Search for elements with a specific
@@ -1749,96 +1917,660 @@ async function moveElementCheck(organizationID, projectID, branchID, element) {
  * @param {string} [options.custom....] - Search for any key in custom data. Use
  * dot notation for the keys. Ex: custom.hello = 'world'.
  *
- * @returns {Promise<object[]>} An array of found elements.
+ * @returns {Promise<object[]>} An array of found elements.
+ *
+ * @example
+ * search({User}, 'orgID', 'projID', 'branch', 'fuel pump* type:Block')
+ * .then(function(elements) {
+ *   // Do something with the found elements
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function search(requestingUser, organizationID, projectID, branchID, query, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+    const searchQuery = { archived: false };
+
+    // Validate and set the options
+    const validatedOptions = utils.validateOptions(options, ['includeArchived',
+      'populate', 'fields', 'limit', 'skip', 'sort'], Element);
+
+    // Create the filters of the search options
+    const filters = [];
+
+    // Ensure options are valid
+    if (options) {
+      // Create array of valid search options
+      const validSearchOptions = ['parent', 'source', 'target', 'type', 'name',
+        'createdBy', 'lastModifiedBy', 'archived', 'archivedBy', 'artifact'];
+
+      // Loop through provided options
+      Object.keys(options).forEach((o) => {
+        // If the provided option is a valid search option
+        if (validSearchOptions.includes(o) || o.startsWith('custom.')) {
+          // Ensure the archived search option is a boolean
+          if (o === 'archived' && typeof options[o] !== 'boolean') {
+            throw new M.DataFormatError(`The option '${o}' is not a boolean.`, 'warn');
+          }
+          // Ensure the search option is a string
+          else if (typeof options[o] !== 'string' && o !== 'archived' && !o.startsWith('custom.')) {
+            throw new M.DataFormatError(`The option '${o}' is not a string.`, 'warn');
+          }
+
+          // If the search option is an element/artifact reference
+          if (['parent', 'source', 'target', 'artifact'].includes(o)) {
+            // Make value the concatenated ID
+            options[o] = utils.createID(orgID, projID, branID, options[o]);
+          }
+
+          // Add the archived option to the searchQuery, and the rest to the filters
+          if (o === 'archived') {
+            searchQuery.archived = options[o];
+          }
+          else {
+            filters.push({
+              field: o,
+              kind: 'in',
+              negate: false,
+              values: [sani.db(options[o])]
+            });
+          }
+        }
+      });
+    }
+
+    // Find the organization and validate that it was found and not archived (unless specified)
+    const organization = await helper.findAndValidate(Org, orgID,
+      ((options && options.archived) || validatedOptions.includeArchived));
+
+    // Find the project and validate that it was found and not archived (unless specified)
+    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID),
+      ((options && options.archived) || validatedOptions.includeArchived));
+
+    // Find the branch and validate that it was found and not archived (unless specified)
+    const branch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID),
+      ((options && options.archived) || validatedOptions.includeArchived));
+
+    // Permissions check
+    permissions.readElement(reqUser, organization, project, branch);
+
+    // If the includeArchived field is true, remove archived from the query; return everything
+    if (validatedOptions.includeArchived) {
+      delete searchQuery.archived;
+    }
+    // If the archived field is true, query only for archived elements
+    if (validatedOptions.archived) {
+      searchQuery.archived = true;
+    }
+
+    // Parse the text and filters of the query
+    const parsedQuery = searchService.parseQuery(query || '');
+    parsedQuery.filters = parsedQuery.filters.concat(filters);
+
+    // Search for the elements
+    return await searchService.searchElements([branch._id], parsedQuery, searchQuery,
+      { skip: validatedOptions.skip,
+        limit: validatedOptions.limit,
+        sort: validatedOptions.sort,
+        fields: validatedOptions.fieldsString,
+        populate: validatedOptions.populateString
+      });
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description A function which searches elements across every branch of every
+ * project the requesting user can read, either within a single organization or
+ * across every organization. Supports the same query syntax and options as
+ * search(), and the query and options may also filter on the project and
+ * branch, such as project:(proj1 OR proj2) branch:master. Only the projects
+ * which the user has permission to read elements in are searched. The matching
+ * elements are sorted and paged across every branch, then grouped by the
+ * project and branch containing them, in order of their best matches.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {(string|null)} organizationID - The ID of the organization to search,
+ * or null to search every organization.
+ * @param {string} query - The text-based query to search the database for.
+ * @param {object} [options] - A parameter that provides supported options.
+ * Supports the options of search(), where references to other elements are
+ * given by the element ID alone.
+ * @param {string} [options.project] - Search for elements in a specific
+ * project.
+ * @param {string} [options.branch] - Search for elements in a specific
+ * branch.
+ * @param {number} [options.limit] - The maximum number of elements to return,
+ * which defaults to 100 if not provided or 0, and is capped at 1000. Both may
+ * be configured in server.api.search.
+ *
+ * @returns {Promise<object[]>} An array of groups of found elements, in the
+ * format { org, project, branch, elements }.
+ *
+ * @example
+ * searchAll({User}, null, 'type:Interface "fuel pump"')
+ * .then(function(groups) {
+ *   // Do something with the found elements of each project and branch
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function searchAll(requestingUser, organizationID, query, options) {
+  try {
+    // Ensure input parameters are correct type
+    // If organizationID is null, the user is searching every org and it is valid input
+    if (organizationID === null) {
+      helper.checkParams(requestingUser, options, '');
+    }
+    else {
+      helper.checkParams(requestingUser, options, organizationID);
+    }
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const searchQuery = { archived: false };
+
+    // Validate and set the options
+    const validatedOptions = utils.validateOptions(options, ['includeArchived',
+      'populate', 'fields', 'limit', 'skip', 'sort', 'project', 'branch'], Element);
+
+    // Default and cap the limit, as every readable project and branch may be searched
+    const limits = (M.config.server.api && M.config.server.api.search) || {};
+    const maxLimit = limits.maxLimit || 1000;
+    validatedOptions.limit = Math.min(validatedOptions.limit || limits.defaultLimit || 100,
+      maxLimit);
+
+    // Create the filters of the search options
+    const filters = [];
+
+    // Ensure options are valid
+    if (options) {
+      // Create array of valid search options
+      const validSearchOptions = ['parent', 'source', 'target', 'type', 'name',
+        'createdBy', 'lastModifiedBy', 'archived', 'archivedBy', 'artifact', 'project', 'branch'];
+
+      // Loop through provided options
+      Object.keys(options).forEach((o) => {
+        // If the provided option is a valid search option
+        if (validSearchOptions.includes(o) || o.startsWith('custom.')) {
+          // Ensure the archived search option is a boolean
+          if (o === 'archived' && typeof options[o] !== 'boolean') {
+            throw new M.DataFormatError(`The option '${o}' is not a boolean.`, 'warn');
+          }
+          // Ensure the search option is a string
+          else if (typeof options[o] !== 'string' && o !== 'archived' && !o.startsWith('custom.')) {
+            throw new M.DataFormatError(`The option '${o}' is not a string.`, 'warn');
+          }
+
+          // Add the archived option to the searchQuery, and the rest to the filters
+          if (o === 'archived') {
+            searchQuery.archived = options[o];
+          }
+          else {
+            filters.push({
+              field: o,
+              kind: 'in',
+              negate: false,
+              values: [sani.db(options[o])]
+            });
+          }
+        }
+      });
+    }
+
+    // Archived orgs, projects and branches are only searched if archived elements are
+    const includeArchived = (options && options.archived) || validatedOptions.includeArchived;
+    const containerQuery = (includeArchived) ? {} : { archived: false };
+
+    let orgs = [];
+    // If the user specifies an organization
+    if (orgID !== null) {
+      // Find the organization and validate that it was found and not archived (unless specified)
+      const organization = await helper.findAndValidate(Org, orgID, includeArchived);
+
+      // Permissions check
+      permissions.readOrg(reqUser, organization);
+      orgs = [organization];
+    }
+    // If orgID is null, find every org the user has access to
+    else {
+      orgs = await Org.find((reqUser.admin) ? containerQuery
+        : Object.assign({}, containerQuery, permissions.getPermissionsQuery(reqUser)));
+    }
+
+    // If the includeArchived field is true, remove archived from the query; return everything
+    if (validatedOptions.includeArchived) {
+      delete searchQuery.archived;
+    }
+    // If the archived field is true, query only for archived elements
+    if (validatedOptions.archived) {
+      searchQuery.archived = true;
+    }
+
+    // Parse the text and filters of the query
+    const parsedQuery = searchService.parseQuery(query || '');
+    parsedQuery.filters = parsedQuery.filters.concat(filters);
+
+    // Find the projects the user can read elements in, which match the project filters
+    const projectQuery = Object.assign({ org: { $in: orgs.map(o => o._id) } }, containerQuery);
+    const projectConditions = getProjectConditions(parsedQuery.filters, orgs);
+    if (!reqUser.admin) {
+      // Users can read the internal projects of their orgs and the projects they have a role in
+      projectConditions.push({ $or: [{ visibility: 'internal' },
+        permissions.getPermissionsQuery(reqUser)] });
+    }
+    // Only search projects within the scopes of the personal access token, if used
+    const scopeQuery = permissions.getScopeQuery(reqUser, 'project');
+    if (scopeQuery) projectConditions.push(scopeQuery);
+    if (projectConditions.length > 0) projectQuery.$and = projectConditions;
+    const projects = (orgs.length === 0) ? [] : await Project.find(projectQuery);
+
+    // Find the branches of the projects, which match the branch filters
+    const branches = (projects.length === 0) ? []
+      : (await Branch.find(Object.assign({ project: { $in: projects.map(p => p._id) } },
+        containerQuery)))
+      .filter(b => matchesIDFilters(parsedQuery.filters, 'branch', b._id));
+
+    // Search for the elements
+    const elements = await searchService.searchElements(branches.map(b => b._id), parsedQuery,
+      searchQuery,
+      { skip: validatedOptions.skip,
+        limit: validatedOptions.limit,
+        sort: validatedOptions.sort,
+        fields: validatedOptions.fieldsString,
+        populate: validatedOptions.populateString
+      });
+
+    // Group the elements by their project and branch, in order of their best match
+    const groups = {};
+    elements.forEach((e) => {
+      const ids = utils.parseID(e._id);
+      const branchID = utils.createID(ids[0], ids[1], ids[2]);
+      if (!groups.hasOwnProperty(branchID)) {
+        groups[branchID] = { org: ids[0], project: ids[1], branch: ids[2], elements: [] };
+      }
+      groups[branchID].elements.push(e);
+    });
+
+    return Object.values(groups);
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description Creates the conditions of the filters of a parsed search query
+ * on the project field, which list the IDs of the projects the elements must be
+ * in. The IDs are either concatenated IDs, or project IDs within any of the
+ * searched orgs.
+ * @private
+ *
+ * @param {object[]} filters - The parsed filters of the search query.
+ * @param {object[]} orgs - The searched orgs.
+ *
+ * @returns {object[]} The conditions of the projects, one for each filter.
+ */
+function getProjectConditions(filters, orgs) {
+  return filters.filter(f => f.field === 'project' && f.kind === 'in' && !f.negate)
+  .map(f => ({ _id: { $in: [].concat(...f.values.map(v => ((utils.parseID(v).length > 1)
+    ? [v] : orgs.map(o => utils.createID(o._id, v))))) } }));
+}
+
+/**
+ * @description Checks whether a project or branch matches every filter of a
+ * parsed search query on the project or branch field, which list the IDs the
+ * elements must be in. Used to avoid searching projects and branches which
+ * cannot contain any matching elements.
+ * @private
+ *
+ * @param {object[]} filters - The parsed filters of the search query.
+ * @param {string} field - The filtered field, either 'project' or 'branch'.
+ * @param {string} id - The concatenated ID of the project or branch.
+ *
+ * @returns {boolean} True if the project or branch may contain matching
+ * elements.
+ */
+function matchesIDFilters(filters, field, id) {
+  return filters.filter(f => f.field === field && f.kind === 'in' && !f.negate)
+  .every(f => f.values.some(v => v === id || v === utils.parseID(id).pop()));
+}
+
+/**
+ * @description This function finds the revision history of an element. A
+ * revision is recorded each time the element is created, updated or deleted,
+ * and contains the user who made the change, when the change was made, and
+ * the value of each changed field before and after the change. The history of
+ * deleted elements can still be found. The user making the request must be
+ * part of the specified project or be a system-wide admin.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the owning branch.
+ * @param {string} elementID - The ID of the element whose history is found.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {number} [options.limit = 0] - A number that specifies the maximum
+ * number of revisions to be returned to the user. A limit of 0 is equivalent to
+ * setting no limit.
+ * @param {number} [options.skip = 0] - A non-negative number that specifies the
+ * number of revisions to skip returning.
+ *
+ * @returns {Promise<object[]>} Array of found revisions, ordered from oldest to
+ * newest.
+ *
+ * @example
+ * findHistory({User}, 'orgID', 'projID', 'branchID', 'elem1')
+ * .then(function(revisions) {
+ *   // Do something with the found revisions
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function findHistory(requestingUser, organizationID, projectID, branchID, elementID,
+  options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType('string', elementID, 'Element ID');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+    const elemID = sani.db(elementID);
+
+    // Validate and set the options
+    const validatedOptions = utils.validateOptions(options, ['limit', 'skip'], Element);
+
+    // Find the organization and validate that it was found and not archived
+    const organization = await helper.findAndValidate(Org, orgID);
+
+    // Find the project and validate that it was found and not archived
+    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
+
+    // Find the branch and validate that it was found and not archived
+    const branch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID));
+
+    // Permissions check
+    permissions.readElement(reqUser, organization, project, branch);
+
+    // Find the revisions of the element, oldest first, including those of source branches
+    const revisions = await branchUtils.findRevisions(branch._id,
+      [utils.createID(orgID, projID, branID, elemID)]);
+
+    // Skip and limit the revisions
+    const start = validatedOptions.skip;
+    const end = (validatedOptions.limit) ? start + validatedOptions.limit : undefined;
+    return revisions.slice(start, end);
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function imports the elements of an XMI document into a
+ * branch. Containment in the XMI maps to the parent of each element, the
+ * client and supplier of relationships map to their source and target, and
+ * applied stereotypes map to the type of each element. XMI exported from MBEE
+ * is imported without loss. The elements are created with create(), or with
+ * createOrReplace() if the replace option is provided, and are subject to the
+ * same validation and permissions.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the branch to import the elements into.
+ * @param {string} xmi - The XMI document to import.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string} [options.parent = 'model'] - The ID of the element which the
+ * top level elements of the XMI are added to.
+ * @param {boolean} [options.replace = false] - If true, existing elements with
+ * the same IDs as imported elements are replaced.
+ * @param {string[]} [options.populate] - A list of fields to populate on
+ * return of the imported elements.
+ * @param {string[]} [options.fields] - An array of fields to return.
+ *
+ * @returns {Promise<object[]>} Array of imported element objects.
+ *
+ * @example
+ * importXMI({User}, 'orgID', 'projID', 'branch', '<xmi:XMI>...</xmi:XMI>')
+ * .then(function(elements) {
+ *   // Do something with the imported elements
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function importXMI(requestingUser, organizationID, projectID, branchID, xmi, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType('string', xmi, 'XMI');
+
+    // Separate the import options from the options passed to create
+    const createOptions = Object.assign({}, options);
+    let parentID = 'model';
+    let replace = false;
+
+    if (createOptions.hasOwnProperty('parent')) {
+      if (typeof createOptions.parent !== 'string') {
+        throw new M.DataFormatError('The option \'parent\' is not a string.', 'warn');
+      }
+      parentID = sani.db(createOptions.parent);
+      delete createOptions.parent;
+    }
+
+    if (createOptions.hasOwnProperty('replace')) {
+      if (typeof createOptions.replace !== 'boolean') {
+        throw new M.DataFormatError('The option \'replace\' is not a boolean.', 'warn');
+      }
+      replace = createOptions.replace;
+      delete createOptions.replace;
+    }
+
+    // Convert the XMI into elements
+    const elements = xmiConversions.xmiToElements(xmi, parentID);
+    if (elements.length === 0) {
+      throw new M.DataFormatError('The XMI does not contain any elements.', 'warn');
+    }
+
+    // Create or replace the elements
+    return (replace)
+      ? await createOrReplace(requestingUser, organizationID, projectID, branchID, elements,
+        createOptions)
+      : await create(requestingUser, organizationID, projectID, branchID, elements,
+        createOptions);
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function exports an element and all of its descendants as
+ * an XMI document. By default, the entire branch is exported. Fields of the
+ * elements which have no XMI equivalent are stored in an MBEE extension of
+ * each element, so that the XMI can be imported without loss.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the branch to export elements from.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string} [options.rootid = 'model'] - The ID of the root element of
+ * the exported subtree.
+ *
+ * @returns {Promise<string>} The XMI document.
  *
  * @example
- * search({User}, 'orgID', 'projID', 'branch', 'find these elements')
- * .then(function(elements) {
- *   // Do something with the found elements
+ * exportXMI({User}, 'orgID', 'projID', 'branch', { rootid: 'elem1' })
+ * .then(function(xmi) {
+ *   // Do something with the XMI
  * })
  * .catch(function(error) {
  *   M.log.error(error);
  * });
  */
-async function search(requestingUser, organizationID, projectID, branchID, query, options) {
+async function exportXMI(requestingUser, organizationID, projectID, branchID, options) {
   try {
     // Ensure input parameters are correct type
     helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
 
     // Sanitize input parameters and create function-wide variables
-    const reqUser = JSON.parse(JSON.stringify(requestingUser));
     const orgID = sani.db(organizationID);
     const projID = sani.db(projectID);
     const branID = sani.db(branchID);
-    const searchQuery = { branch: utils.createID(orgID, projID, branID), archived: false };
-
-    // Validate and set the options
-    const validatedOptions = utils.validateOptions(options, ['includeArchived',
-      'populate', 'fields', 'limit', 'skip', 'sort'], Element);
+    let rootID = 'model';
 
-    // Ensure options are valid
-    if (options) {
-      // Create array of valid search options
-      const validSearchOptions = ['parent', 'source', 'target', 'type', 'name',
-        'createdBy', 'lastModifiedBy', 'archived', 'archivedBy', 'artifact'];
+    if (options && options.hasOwnProperty('rootid')) {
+      if (typeof options.rootid !== 'string') {
+        throw new M.DataFormatError('The option \'rootid\' is not a string.', 'warn');
+      }
+      rootID = sani.db(options.rootid);
+    }
 
-      // Loop through provided options
-      Object.keys(options).forEach((o) => {
-        // If the provided option is a valid search option
-        if (validSearchOptions.includes(o) || o.startsWith('custom.')) {
-          // Ensure the archived search option is a boolean
-          if (o === 'archived' && typeof options[o] !== 'boolean') {
-            throw new M.DataFormatError(`The option '${o}' is not a boolean.`, 'warn');
-          }
-          // Ensure the search option is a string
-          else if (typeof options[o] !== 'string' && o !== 'archived' && !o.startsWith('custom.')) {
-            throw new M.DataFormatError(`The option '${o}' is not a string.`, 'warn');
-          }
+    // Find the root element and its descendants, including archived elements
+    const elements = await find(requestingUser, orgID, projID, branID, [rootID],
+      { subtree: true, includeArchived: true });
 
-          // If the search option is an element/artifact reference
-          if (['parent', 'source', 'target', 'artifact'].includes(o)) {
-            // Make value the concatenated ID
-            options[o] = utils.createID(orgID, projID, branID, options[o]);
-          }
+    return xmiConversions.elementsToXMI(elements, utils.createID(orgID, projID, branID, rootID));
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
 
-          // Add the search option to the searchQuery
-          searchQuery[o] = sani.db(options[o]);
-        }
-      });
+/**
+ * @description This function creates or updates elements, and reports the
+ * elements which could not be created or updated instead of failing the
+ * entire import. The elements are first created or updated together. If that
+ * fails, each element is created or updated separately, through the same
+ * validation as create() and update(). Elements which fail are retried while
+ * other elements succeed, since they may reference elements which are created
+ * later in the import.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the owning project.
+ * @param {string} branchID - The ID of the branch to import the elements into.
+ * @param {object[]} elements - An array of element objects to create, or to
+ * update if the option update is true.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {boolean} [options.update = false] - If true, the elements are
+ * updated rather than created.
+ * @param {string[]} [options.populate] - A list of fields to populate on
+ * return of the imported elements.
+ * @param {string[]} [options.fields] - An array of fields to return.
+ *
+ * @returns {Promise<object>} An object containing the array of imported
+ * elements, and an array of errors. Each error contains the index of the
+ * element which failed, its ID and the error message.
+ *
+ * @example
+ * importElements({User}, 'orgID', 'projID', 'branch', [{Elem1}, {Elem2}])
+ * .then(function(result) {
+ *   // Do something with the imported elements and errors
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function importElements(requestingUser, organizationID, projectID, branchID, elements,
+  options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID, branchID);
+    helper.checkParamsDataType('object', elements, 'Elements');
+    if (!Array.isArray(elements)) {
+      throw new M.DataFormatError('Elements must be an array.', 'warn');
     }
 
-    // Find the organization and validate that it was found and not archived (unless specified)
-    const organization = await helper.findAndValidate(Org, orgID,
-      ((options && options.archived) || validatedOptions.includeArchived));
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const branID = sani.db(branchID);
+    const saveOptions = Object.assign({}, options);
+    let updateElements = false;
 
-    // Find the project and validate that it was found and not archived (unless specified)
-    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID),
-      ((options && options.archived) || validatedOptions.includeArchived));
+    if (saveOptions.hasOwnProperty('update')) {
+      if (typeof saveOptions.update !== 'boolean') {
+        throw new M.DataFormatError('The option \'update\' is not a boolean.', 'warn');
+      }
+      updateElements = saveOptions.update;
+      delete saveOptions.update;
+    }
 
-    // Find the branch and validate that it was found and not archived (unless specified)
-    const branch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID),
-      ((options && options.archived) || validatedOptions.includeArchived));
+    // Find the organization, project and branch and validate they were found
+    const organization = await helper.findAndValidate(Org, orgID);
+    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
+    const branch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID));
 
-    // Permissions check
-    permissions.readElement(reqUser, organization, project, branch);
+    // Permissions check, which would otherwise fail for every element
+    if (updateElements) permissions.updateElement(reqUser, organization, project, branch);
+    else permissions.createElement(reqUser, organization, project, branch);
 
-    if (query) searchQuery.$text = query;
-    // If the includeArchived field is true, remove archived from the query; return everything
-    if (validatedOptions.includeArchived) {
-      delete searchQuery.archived;
+    const save = (elems) => ((updateElements)
+      ? update(requestingUser, orgID, projID, branID, elems, saveOptions)
+      : create(requestingUser, orgID, projID, branID, elems, saveOptions));
+
+    // Attempt to import all of the elements at once
+    try {
+      return { elements: await save(elements), errors: [] };
     }
-    // If the archived field is true, query only for archived elements
-    if (validatedOptions.archived) {
-      searchQuery.archived = true;
+    catch (error) {
+      M.log.verbose('Importing elements separately to find the elements which failed.');
+    }
+
+    // Import each element separately, retrying the failed elements while others succeed
+    const imported = {};
+    const failures = {};
+    let pending = elements.map((e, i) => i);
+    let succeeded = true;
+    while (pending.length > 0 && succeeded) {
+      succeeded = false;
+      const failed = [];
+      for (let i = 0; i < pending.length; i++) {
+        const index = pending[i];
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          imported[index] = (await save([elements[index]]))[0];
+          delete failures[index];
+          succeeded = true;
+        }
+        catch (error) {
+          failures[index] = error.message;
+          failed.push(index);
+        }
+      }
+      pending = failed;
     }
 
-    // Search for the elements
-    return await Element.find(searchQuery, validatedOptions.fieldsString,
-      { skip: validatedOptions.skip,
-        limit: validatedOptions.limit,
-        sort: validatedOptions.sort,
-        populate: validatedOptions.populateString
-      });
+    return {
+      elements: Object.keys(imported).sort((a, b) => a - b).map(i => imported[i]),
+      errors: Object.keys(failures).sort((a, b) => a - b).map(i => ({
+        index: Number(i),
+        id: (elements[i] && typeof elements[i] === 'object') ? elements[i].id : undefined,
+        message: failures[i]
+      }))
+    };
   }
   catch (error) {
     throw errors.captureError(error);
@@ -1881,7 +2613,7 @@ async function findElementRootPath(organizationID, projectID, branchID, elementI
   async function findElementTreeHelper(searchID) {
     try {
       // Find the parent of the element
-      const parent = await Element.findOne({ _id: searchID }, 'parent');
+      const parent = await branchUtils.findOne(Element, { _id: searchID }, 'parent');
       // Ensure the parent was found
       if (!parent) {
         throw new M.DataFormatError('Element or parent not found', 'warn');
@@ -2127,3 +2859,592 @@ function artifactIDCheck(elem, index, orgID, projID, branchID, artIDs) {
     throw new M.DataFormatError(error.message, 'warn');
   }
 }
+
+/**
+ * @description Validates the data of elements being created and converts it
+ * into element objects, finding the parents, sources and targets which are not
+ * being created and ensuring the elements match the type profiles of the
+ * project. The elements are not written to the database.
+ *
+ * @param {object} reqUser - The user creating the elements.
+ * @param {string} orgID - The ID of the owning organization.
+ * @param {string} projID - The ID of the owning project.
+ * @param {string} branID - The ID of the branch to create elements on.
+ * @param {(object|object[])} saniElements - The sanitized element data.
+ * @param {string[]} [replacedIDs=[]] - The concatenated IDs of existing
+ * elements which are being replaced, and so may share an ID with a created
+ * element.
+ *
+ * @returns {Promise<object[]>} The element objects to insert.
+ */
+async function prepareElements(reqUser, orgID, projID, branID, saniElements,
+  replacedIDs = []) {
+  const remainingElements = [];
+  const projectRefs = [];
+
+  // Define array to store element data
+  let elementsToCreate = [];
+
+  // Check the type of the elements parameter
+  if (Array.isArray(saniElements)) {
+    // elements is an array, create many elements
+    elementsToCreate = saniElements;
+  }
+  else if (typeof saniElements === 'object') {
+    // elements is an object, create a single element
+    elementsToCreate = [saniElements];
+  }
+  else {
+    // elements is not an object or array, throw an error
+    throw new M.DataFormatError('Invalid input for creating elements.', 'warn');
+  }
+
+  // Create array of id's for lookup and array of valid keys
+  const arrIDs = [];
+  const validElemKeys = ['id', 'name', 'parent', 'source', 'target',
+    'documentation', 'type', 'custom', 'sourceNamespace', 'targetNamespace',
+    'archived', 'artifact'];
+
+  M.log.debug('create(): Before element validation');
+
+  // Validate the element id, parent, source, target, and namespace fields
+  let index = 1;
+
+  // Initialize set for artifact references
+  const artIDSet = new Set();
+
+  elementsToCreate.forEach((elem) => {
+    // Ensure keys are valid
+    Object.keys(elem).forEach((k) => {
+      assert.ok(validElemKeys.includes(k), `Invalid key [${k}].`);
+    });
+
+    // Ensure each element has an id and that it's a string
+    elementIDCheck(elem, index, orgID, projID, branID, arrIDs);
+    // Set the element parent if null
+    elementParentCheck(elem, index, orgID, projID, branID);
+    // If element has a source, ensure it has a target and vice versa
+    sourceAndTargetValidator(elem, index, orgID, projID, branID);
+    // If the element a source- or target- Namespace, ensure it contains the proper fields
+    sourceTargetNamespaceValidator(elem, index, orgID, projID, projectRefs);
+    // Check Artifact reference
+    artifactIDCheck(elem, index, orgID, projID, branID, artIDSet);
+    index++;
+  });
+
+  M.log.debug('create(): Before JMI2 conversion');
+
+  // Attempt to convert elements to JMI type 2, to see if duplicate ids exist
+  jmi.convertJMI(1, 2, elementsToCreate, '_id');
+
+  // Find the organization and validate that it was found and not archived
+  const organization = await helper.findAndValidate(Org, orgID);
+
+  // Find the project and validate that it was found and not archived
+  const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
+
+  // Find the branch and validate that it was found and not archived
+  const foundBranch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branID));
+  // Check that the branch is is not a tag
+  if (foundBranch.tag) {
+    throw new M.OperationError(`[${branID}] is a tag and `
+      + 'does not allow elements to be created, updated, or deleted.', 'warn');
+  }
+
+  // Find any referenced artifacts
+  const artifacts = await branchUtils.find(Artifact,
+    { _id: { $in: Array.from(artIDSet) } }, null);
+
+  // Verify artifacts found
+  if (artifacts.length !== artIDSet.size) {
+    const artNotFound = Array.from(artIDSet).filter(a => !artifacts.includes(a));
+
+    throw new M.DataFormatError(
+      'The following artifact references were not found: '
+      + `[${artNotFound.map((a) => utils.parseID(a).pop())}]`, 'warn'
+    );
+  }
+
+  // Permissions check
+  permissions.createElement(reqUser, organization, project, foundBranch);
+
+  // Find all referenced projects
+  const referencedProjects = await Project.find({ _id: { $in: projectRefs } }, null);
+
+  // Verify that each project has a visibility of 'internal'
+  referencedProjects.forEach((proj) => {
+    if (proj.visibility !== 'internal') {
+      throw new M.PermissionError(`The project [${utils.parseID(proj._id).pop()}] `
+        + `in the org [${utils.parseID(proj._id)[0]}] does not have a visibility `
+        + ' of internal.', 'warn');
+    }
+  });
+
+  M.log.debug('create(): Before finding pre-existing elements');
+
+  // The elements being replaced already exist
+  const replaced = new Set(replacedIDs);
+  const newIDs = arrIDs.filter(id => !replaced.has(id));
+  const promises = [];
+  for (let i = 0; i < newIDs.length / 50000; i++) {
+    // Split newIDs into batches of 50000
+    const tmpQuery = { _id: { $in: newIDs.slice(i * 50000, i * 50000 + 50000) } };
+    // Attempt to find any elements with matching _id
+    promises.push(branchUtils.find(Element, tmpQuery, '_id')
+    .then((foundElements) => {
+      if (foundElements.length > 0) {
+        // Get array of the foundElements's ids
+        const foundElementIDs = foundElements.map(e => utils.parseID(e._id).pop());
+        // There are one or more elements with conflicting IDs
+        throw new M.OperationError('Elements with the following IDs already exist'
+          + ` [${foundElementIDs.toString()}].`, 'warn');
+      }
+    }));
+  }
+
+  await Promise.all(promises);
+
+  // For each object of element data, create the element object
+  const elementObjects = elementsToCreate.map((elemObj) => {
+    // Set the project, lastModifiedBy and createdBy
+    elemObj.project = utils.createID(orgID, projID);
+    elemObj.branch = utils.createID(orgID, projID, branID);
+    elemObj.lastModifiedBy = reqUser._id;
+    elemObj.createdBy = reqUser._id;
+    elemObj.updatedOn = Date.now();
+    elemObj.archivedBy = (elemObj.archived) ? reqUser._id : null;
+    elemObj.archivedOn = (elemObj.archived) ? Date.now() : null;
+
+    // Add hidden fields
+    elemObj.$parent = elemObj.parent;
+    elemObj.$source = (elemObj.source) ? elemObj.source : null;
+    elemObj.$target = (elemObj.target) ? elemObj.target : null;
+    elemObj.artifact = (elemObj.artifact) ? elemObj.artifact : null;
+    return elemObj;
+  });
+
+  // Convert elemObjects array to JMI type 2 for easier lookup
+  const jmi2 = jmi.convertJMI(1, 2, elementObjects);
+
+  // Define array of elements that need to be searched for in DB
+  const elementsToFind = [];
+
+  // Loop through each element, set its parent, source, target
+  elementObjects.forEach((element) => {
+    // If the element has a parent
+    if (element.$parent) {
+      // If the element's parent is also being created
+      if (jmi2.hasOwnProperty(element.$parent)) {
+        const parentObj = jmi2[element.$parent];
+        element.parent = parentObj._id;
+        delete element.$parent;
+      }
+      else {
+        // Add elements parent to list of elements to search for in DB
+        if (!elementsToFind.includes(element.$parent)) {
+          elementsToFind.push(element.$parent);
+        }
+        remainingElements.push(element);
+      }
+    }
+
+    // If the element has a source
+    if (element.$source) {
+      // If the element's source is also being created
+      if (jmi2.hasOwnProperty(element.$source)) {
+        element.source = element.$source;
+        delete element.$source;
+      }
+      else {
+        // Add elements source to list of elements to search for in DB
+        if (!elementsToFind.includes(element.$source)) {
+          elementsToFind.push(element.$source);
+        }
+        remainingElements.push(element);
+      }
+    }
+
+    // If the element has a target
+    if (element.$target) {
+      // If the element's target is also being created
+      if (jmi2.hasOwnProperty(element.$target)) {
+        element.target = element.$target;
+        delete element.$target;
+      }
+      else {
+        // Add elements target to list of elements to search for in DB
+        if (!elementsToFind.includes(element.$target)) {
+          elementsToFind.push(element.$target);
+        }
+        remainingElements.push(element);
+      }
+    }
+  });
+
+  // Create query for finding elements
+  const findExtraElementsQuery = { _id: { $in: elementsToFind } };
+
+  M.log.debug('create(): Before finding extra elements');
+
+  // Find extra elements, and only return _id for faster lookup
+  const extraElements = await branchUtils.find(Element, findExtraElementsQuery, '_id');
+  // Convert extraElements to JMI type 2 for easier lookup
+  const extraElementsJMI2 = jmi.convertJMI(1, 2, extraElements);
+  // Loop through each remaining element that does not have its parent,
+  // source, or target set yet
+  remainingElements.forEach((element) => {
+    // If the element has a parent
+    if (element.$parent) {
+      if (extraElementsJMI2[element.$parent] && extraElementsJMI2[element.$parent]._id) {
+        element.parent = extraElementsJMI2[element.$parent]._id;
+        delete element.$parent;
+      }
+      else {
+        // Parent not found in db, throw an error
+        throw new M.NotFoundError(`Parent element [${utils.parseID(element.parent).pop()}] `
+          + 'not found.', 'warn');
+      }
+    }
+
+    // If the element is a relationship and has a source
+    if (element.$source) {
+      if (extraElementsJMI2[element.$source] && extraElementsJMI2[element.$source]._id) {
+        element.source = extraElementsJMI2[element.$source]._id;
+        delete element.$source;
+      }
+      else {
+        // Source not found in db, throw an error
+        throw new M.NotFoundError(`Source element [${utils.parseID(element.source).pop()}] `
+          + 'not found.', 'warn');
+      }
+    }
+
+    // If the element is a relationship and has a target
+    if (element.$target) {
+      if (extraElementsJMI2[element.$target] && extraElementsJMI2[element.$target]._id) {
+        element.target = extraElementsJMI2[element.$target]._id;
+        delete element.$target;
+      }
+      else {
+        // Target not found in db, throw an error
+        throw new M.NotFoundError(`Target element [${utils.parseID(element.target).pop()}] `
+          + 'not found.', 'warn');
+      }
+    }
+  });
+
+  // Ensure the elements match the type profiles of the project
+  await typeProfileCheck(project, elementObjects, elementObjects);
+
+  return elementObjects;
+}
+
+/**
+ * @description Finds the elements which were created, in batches of 50000,
+ * with the fields and populated fields of the validated options.
+ *
+ * @param {object[]} createdElements - The created elements.
+ * @param {object} validatedOptions - The validated options of the request.
+ *
+ * @returns {Promise<object[]>} The found elements.
+ */
+async function findCreatedElements(createdElements, validatedOptions) {
+  const createdIDs = createdElements.map(e => e._id);
+  const promises = [];
+  let foundElements = [];
+  for (let i = 0; i < createdIDs.length / 50000; i++) {
+    // Split elementIDs list into batches of 50000
+    const tmpQuery = { _id: { $in: createdIDs.slice(i * 50000, i * 50000 + 50000) } };
+
+    // Add find operation to promises array
+    promises.push(branchUtils.find(Element, tmpQuery, validatedOptions.fieldsString,
+      { populate: validatedOptions.populateString })
+    .then((_foundElements) => {
+      foundElements = foundElements.concat(_foundElements);
+    }));
+  }
+
+  // Return when all elements have been found
+  await Promise.all(promises);
+  return foundElements;
+}
+
+/**
+ * @description A helper function which finds the elements being locked or
+ * unlocked, and optionally their subtrees. The org, project and branch are
+ * validated, and the user must have permission to update elements on the
+ * branch.
+ *
+ * @param {User} reqUser - The requesting user.
+ * @param {string} orgID - The id of the organization containing the project.
+ * @param {string} projID - The id of the project containing the branch.
+ * @param {string} branchID - The id of the branch containing the elements.
+ * @param {(string|string[])} elements - The ids of the elements.
+ * @param {object} validatedOptions - The validated options, containing the
+ * subtree option.
+ * @param {string} action - The action being performed, either "lock" or
+ * "unlock", used in error messages.
+ *
+ * @returns {Promise<object>} An object containing the found organization,
+ * project, branch and elements.
+ */
+async function findElementsToLock(reqUser, orgID, projID, branchID, elements,
+  validatedOptions, action) {
+  const saniElements = sani.db(JSON.parse(JSON.stringify(elements)));
+  let elementsToFind = [];
+
+  // Check the type of the elements parameter
+  if (Array.isArray(saniElements) && saniElements.length !== 0
+    && saniElements.every(e => typeof e === 'string')) {
+    elementsToFind = saniElements.map(e => utils.createID(orgID, projID, branchID, e));
+  }
+  else if (typeof saniElements === 'string') {
+    elementsToFind = [utils.createID(orgID, projID, branchID, saniElements)];
+  }
+  else {
+    throw new M.DataFormatError(`Invalid input for ${action}ing elements.`, 'warn');
+  }
+
+  // Find the organization and validate that it was found and not archived
+  const organization = await helper.findAndValidate(Org, orgID);
+
+  // Find the project and validate that it was found and not archived
+  const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
+
+  // Find the branch and validate that it was found and not archived
+  const branch = await helper.findAndValidate(Branch, utils.createID(orgID, projID, branchID));
+
+  // Check that the branch is is not a tag
+  if (branch.tag) {
+    throw new M.OperationError(`[${branchID}] is a tag and does not allow elements to be `
+      + `${action}ed.`, 'warn');
+  }
+
+  // Permissions check
+  permissions.updateElement(reqUser, organization, project, branch);
+
+  // Find the elements, and ensure all of them were found
+  const found = await branchUtils.find(Element, { _id: { $in: elementsToFind } }, '_id');
+  const foundIDs = found.map(e => e._id);
+  const notFoundIDs = elementsToFind.filter(e => !foundIDs.includes(e));
+  if (notFoundIDs.length > 0) {
+    throw new M.NotFoundError('The following elements were not found: '
+      + `[${notFoundIDs.map(e => utils.parseID(e).pop())}].`, 'warn');
+  }
+
+  // Find the subtrees of the elements, if requested
+  const ids = (validatedOptions.subtree)
+    ? Array.from(new Set(await findElementTree(orgID, projID, branchID, elementsToFind)))
+    : elementsToFind;
+
+  // Find the elements in batches of 50000 or less
+  let foundElements = [];
+  const promises = [];
+  for (let i = 0; i < ids.length / 50000; i++) {
+    const batchIDs = ids.slice(i * 50000, i * 50000 + 50000);
+    promises.push(branchUtils.find(Element, { _id: { $in: batchIDs } }, null)
+    .then((e) => {
+      foundElements = foundElements.concat(e);
+    }));
+  }
+  await Promise.all(promises);
+
+  return { organization, project, branch, foundElements };
+}
+
+/**
+ * @description A helper function which checks if an element is locked by a
+ * user other than the requesting user. Expired locks are ignored.
+ *
+ * @param {User} reqUser - The requesting user.
+ * @param {object} element - The element to check.
+ *
+ * @returns {boolean} True if the element is locked by another user.
+ */
+function isLockedByOther(reqUser, element) {
+  return Boolean(element.lockedBy && element.lockedBy !== reqUser._id
+    && element.lockExpiresOn && new Date(element.lockExpiresOn) > Date.now());
+}
+
+/**
+ * @description A helper function which ensures that none of the elements are
+ * locked by users other than the requesting user.
+ *
+ * @param {User} reqUser - The requesting user.
+ * @param {object[]} elements - The elements being changed.
+ *
+ * @throws {OperationError}
+ */
+function elementLockCheck(reqUser, elements) {
+  const locked = elements.filter(e => isLockedByOther(reqUser, e));
+  if (locked.length > 0) {
+    throw new M.OperationError('The following elements are locked by other users: ['
+      + `${locked.map(e => `${utils.parseID(e._id).pop()} (${e.lockedBy})`).join(', ')}].`,
+    'warn');
+  }
+}
+
+/**
+ * @description A helper function which ensures that elements match the type
+ * profiles of their project. The custom data of each element must match the
+ * schema of its type, and its parent, source and target must have one of the
+ * types allowed by the profile. If the project is in strict mode, every element
+ * must have a type with a profile. Root elements are not checked.
+ *
+ * @param {Project} project - The project containing the elements.
+ * @param {object[]} elements - The elements as they will be stored, with the
+ * full IDs of their parent, source and target.
+ * @param {object[]} [relatedElements=[]] - Elements which may be the parent,
+ * source or target of the elements. The types of any other parents, sources and
+ * targets are found in the database.
+ *
+ * @throws {DataFormatError}
+ */
+async function typeProfileCheck(project, elements, relatedElements = []) {
+  const profiles = Object.assign({ strict: false, types: {} }, project.typeProfiles);
+  if (!profiles.strict && Object.keys(profiles.types).length === 0) return;
+
+  // The parent, source and target fields with the lists of their allowed types
+  const references = [['parent', 'parentTypes'], ['source', 'sourceTypes'],
+    ['target', 'targetTypes']];
+  const rootElements = Element.getValidRootElements();
+  const checked = elements.filter(e => !rootElements.includes(utils.parseID(e._id).pop()));
+  const getProfile = (elem) => (profiles.types.hasOwnProperty(elem.type || '')
+    ? profiles.types[elem.type || ''] : null);
+
+  const related = {};
+  relatedElements.forEach((e) => {
+    related[e._id] = e;
+  });
+
+  // Find the types of the referenced elements which are not known yet
+  const unknownIDs = new Set();
+  checked.forEach((elem) => {
+    const profile = getProfile(elem);
+    references.forEach(([field, list]) => {
+      if (profile && profile[list] && elem[field] && !related[elem[field]]) {
+        unknownIDs.add(elem[field]);
+      }
+    });
+  });
+  if (unknownIDs.size > 0) {
+    const foundRelated = await branchUtils.find(Element,
+      { _id: { $in: Array.from(unknownIDs) } }, '_id type');
+    foundRelated.forEach((e) => {
+      related[e._id] = e;
+    });
+  }
+
+  const invalid = [];
+  checked.forEach((elem) => {
+    const profile = getProfile(elem);
+    if (!profile) {
+      if (profiles.strict) {
+        invalid.push(`${utils.parseID(elem._id).pop()} (the type [${elem.type || ''}] `
+          + 'does not have a profile)');
+      }
+      return;
+    }
+
+    const reasons = (profile.schema) ? jsonSchema.validate(profile.schema, elem.custom || {})
+      : [];
+    references.forEach(([field, list]) => {
+      if (!profile[list] || !elem[field]) return;
+      const type = (related[elem[field]]) ? related[elem[field]].type || '' : '';
+      if (!profile[list].includes(type)) {
+        reasons.push(`the ${field} type [${type}] is not one of [${profile[list].join(', ')}]`);
+      }
+    });
+
+    if (reasons.length > 0) {
+      invalid.push(`${utils.parseID(elem._id).pop()} (${reasons.join('; ')})`);
+    }
+  });
+
+  if (invalid.length > 0) {
+    throw new M.DataFormatError('The following elements do not match the type profiles of '
+      + `the project: [${invalid.join(', ')}].`, 'warn');
+  }
+}
+
+/**
+ * @description A helper function which finds the elements on a branch as they
+ * were at a previous point in time. The state of each element is taken from
+ * its latest revision at or before that time. Elements whose first revision is
+ * after that time, and were not created by it, existed before revisions were
+ * recorded, and their previous state is rebuilt from the revision changes.
+ * Elements without any revisions are returned in their current state if they
+ * were created by that time.
+ *
+ * @param {object} searchQuery - The query used to find the current elements.
+ * Equality filters in the query are applied to the previous element states.
+ * @param {string[]} elementIDs - The elements to find. If empty, all elements
+ * on the branch are found.
+ * @param {object} validatedOptions - The validated find options, containing
+ * the asOf date, and optionally skip and limit.
+ *
+ * @returns {Promise<object[]>} Array of elements as they were at the asOf time.
+ */
+async function findElementsAsOf(searchQuery, elementIDs, validatedOptions) {
+  const asOf = validatedOptions.asOf.getTime();
+  const currentQuery = { branch: searchQuery.branch };
+
+  // If specific elements are being found, only search for those elements
+  if (elementIDs.length > 0) {
+    currentQuery._id = { $in: elementIDs };
+  }
+
+  // Find the revisions, oldest first, and the current elements
+  const revisions = await branchUtils.findRevisions(searchQuery.branch,
+    (elementIDs.length > 0) ? elementIDs : undefined);
+  const currentElements = await branchUtils.find(Element, currentQuery, null);
+
+  // Map each element id to its state at the asOf time, or null if it did not exist
+  const states = {};
+  revisions.forEach((rev) => {
+    if (new Date(rev.createdOn).getTime() <= asOf) {
+      // The latest revision at or before the asOf time defines the state
+      states[rev.element] = (rev.action === 'deleted') ? null : rev.snapshot;
+    }
+    else if (!states.hasOwnProperty(rev.element)) {
+      // The first revision is after the asOf time, use the state before that revision
+      let previous = null;
+      if (rev.action === 'deleted') {
+        previous = rev.snapshot;
+      }
+      else if (rev.action === 'updated') {
+        previous = Object.assign({}, rev.snapshot);
+        Object.keys(rev.changes).forEach((f) => {
+          previous[f] = rev.changes[f].before;
+        });
+      }
+
+      // Ensure the element had been created by the asOf time
+      states[rev.element] = (previous && new Date(previous.createdOn).getTime() <= asOf)
+        ? previous
+        : null;
+    }
+  });
+
+  // Add any elements without revisions which were created by the asOf time
+  currentElements.forEach((elem) => {
+    if (!states.hasOwnProperty(elem._id) && new Date(elem.createdOn).getTime() <= asOf) {
+      states[elem._id] = elem;
+    }
+  });
+
+  // Apply the equality filters of the search query, such as archived or custom data
+  const filters = Object.keys(searchQuery).filter(k => !['branch', '_id'].includes(k));
+  const foundElements = Object.keys(states).sort()
+  .map(id => states[id])
+  .filter(elem => elem !== null && filters.every((k) => {
+    const value = k.split('.').reduce((obj, key) => ((obj) ? obj[key] : undefined), elem);
+    return utils.deepEqual(value, searchQuery[k]);
+  }));
+
+  // Apply skip and limit
+  const skip = validatedOptions.skip || 0;
+  return (validatedOptions.limit)
+    ? foundElements.slice(skip, skip + validatedOptions.limit)
+    : foundElements.slice(skip);
+}
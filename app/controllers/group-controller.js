@@ -0,0 +1,670 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module controllers.group-controller
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Provides an abstraction layer on top of the Group model that
+ * implements controller logic and behavior for Groups.
+ */
+
+// Expose group controller functions
+// Note: The export is being done before the import to solve the issues of
+// circular references between controllers.
+module.exports = {
+  find,
+  create,
+  update,
+  remove
+};
+
+// Node modules
+const assert = require('assert');
+
+// MBEE modules
+const Group = M.require('models.group');
+const Organization = M.require('models.organization');
+const Project = M.require('models.project');
+const User = M.require('models.user');
+const EventEmitter = M.require('lib.events');
+const sani = M.require('lib.sanitization');
+const validators = M.require('lib.validators');
+const jmi = M.require('lib.jmi-conversions');
+const utils = M.require('lib.utils');
+const errors = M.require('lib.errors');
+const helper = M.require('lib.controller-utils');
+const permissions = M.require('lib.permissions');
+
+/**
+ * @description This function finds one or many groups. Depending on the given
+ * parameters, this function can find a single group by its id, multiple groups
+ * by their ids, or all groups in the system. Any user can find groups.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {(string|string[])} [groups] - The groups to find. Can either be an
+ * array of group ids, a single group id, or not provided, which defaults to
+ * every group being found.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string[]} [options.populate] - A list of fields to populate on return of
+ * the found objects. By default, no fields are populated.
+ * @param {boolean} [options.includeArchived = false] - If true, find results will include
+ * archived objects.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id field. To NOT include a field, provide a '-' in front.
+ * @param {number} [options.limit = 0] - A number that specifies the maximum
+ * number of documents to be returned to the user. A limit of 0 is equivalent to
+ * setting no limit.
+ * @param {number} [options.skip = 0] - A non-negative number that specifies the
+ * number of documents to skip returning. For example, if 10 documents are found
+ * and skip is 5, the first 5 documents will NOT be returned.
+ * @param {string} [options.name] - A string that will search for matches with
+ * the group name field.
+ * @param {string} [options.ldap] - A string that will search for groups synced
+ * with a specific LDAP group.
+ * @param {string} [options.createdBy] - A string that will search for matches for
+ * groups that were created by a specific person.
+ * @param {string} [options.lastModifiedBy] - A string that will search for matches for
+ * groups that were last modified by a specific person.
+ * @param {string} [options.archived] - Search only for archived groups.  If false,
+ * only returns unarchived groups.  Overrides the includeArchived option.
+ * @param {string} [options.archivedBy] - A string that will search for matches for
+ * groups that were archived by a specific person.
+ * @param {string} [options.sort] - Provide a particular field to sort the results by.
+ * You may also add a negative sign in front of the field to indicate sorting in
+ * reverse order.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found groups. Only the groups after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching groups is counted and returned in the property pageInfo.total of
+ * the found groups.
+ *
+ * @returns {Promise<object[]>} Array of found groups.
+ *
+ * @example
+ * find({User}, ['group1', 'group2'], { populate: 'createdBy' })
+ * .then(function(groups) {
+ *   // Do something with the found groups
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function find(requestingUser, groups, options) {
+  try {
+    // Set options if no groups were provided, but options were
+    if (typeof groups === 'object' && groups !== null && !Array.isArray(groups)) {
+      options = groups; // eslint-disable-line no-param-reassign
+      groups = undefined; // eslint-disable-line no-param-reassign
+    }
+
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType(['undefined', 'object', 'string'], groups, 'Groups');
+
+    // Ensure user has permission to find groups
+    permissions.readGroup(requestingUser);
+
+    // Sanitize input parameters
+    const saniGroups = (groups !== undefined)
+      ? sani.db(JSON.parse(JSON.stringify(groups)))
+      : undefined;
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['populate',
+      'includeArchived', 'fields', 'limit', 'skip', 'sort', 'after', 'count'], Group);
+
+    // Define searchQuery
+    const searchQuery = { archived: false };
+    // If the includeArchived field is true, remove archived from the query; return everything
+    if (validatedOptions.includeArchived) {
+      delete searchQuery.archived;
+    }
+    // If the archived field is true, query only for archived groups
+    if (validatedOptions.archived) {
+      searchQuery.archived = true;
+    }
+
+    // Ensure search options are valid
+    if (options) {
+      // List of valid search options
+      const validSearchOptions = ['name', 'ldap', 'createdBy', 'lastModifiedBy', 'archived',
+        'archivedBy'];
+
+      // Check each option for valid search queries
+      Object.keys(options).forEach((o) => {
+        // If the search option is valid
+        if (validSearchOptions.includes(o) || o.startsWith('custom.')) {
+          // Ensure the archived search option is a boolean
+          if (o === 'archived' && typeof options[o] !== 'boolean') {
+            throw new M.DataFormatError(`The option '${o}' is not a boolean.`, 'warn');
+          }
+          // Ensure the search option is a string
+          else if (typeof options[o] !== 'string' && o !== 'archived') {
+            throw new M.DataFormatError(`The option '${o}' is not a string.`, 'warn');
+          }
+          // Add the search option to the searchQuery
+          searchQuery[o] = sani.db(options[o]);
+        }
+      });
+    }
+
+    // Check the type of the groups parameter
+    if (Array.isArray(saniGroups)) {
+      // An array of group ids, find all
+      searchQuery._id = { $in: saniGroups };
+    }
+    else if (typeof saniGroups === 'string') {
+      // A single group id
+      searchQuery._id = saniGroups;
+    }
+    else if (!((typeof saniGroups === 'object' && saniGroups !== null)
+      || saniGroups === undefined)) {
+      // Invalid parameter, throw an error
+      throw new M.DataFormatError('Invalid input for finding groups.', 'warn');
+    }
+
+    // Find the groups after the cursor, if provided
+    const foundGroups = await Group.find(utils.applyCursor(searchQuery, validatedOptions),
+      validatedOptions.fieldsString,
+      { limit: validatedOptions.limit,
+        skip: validatedOptions.skip,
+        sort: validatedOptions.sort,
+        populate: validatedOptions.populateString
+      });
+
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundGroups, validatedOptions,
+      () => Group.countDocuments(searchQuery));
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This functions creates one or many groups from the provided
+ * data. This function is restricted to system-wide admins ONLY. The members of
+ * each group must be existing users.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {(object|object[])} groups - Either an array of objects containing
+ * group data or a single object containing group data to create.
+ * @param {string} groups.id - The ID of the group being created.
+ * @param {string} [groups.name] - The name of the group.
+ * @param {string[]} [groups.members] - The usernames of the members of the
+ * group.
+ * @param {string} [groups.ldap] - The name of the LDAP group the members of the
+ * group are synced with.
+ * @param {object} [groups.custom] - Any additional key/value pairs for an
+ * object. Must be proper JSON form.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string[]} [options.populate] - A list of fields to populate on return of
+ * the found objects. By default, no fields are populated.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id field. To NOT include a field, provide a '-' in front.
+ *
+ * @returns {Promise<object[]>} Array of created group objects.
+ *
+ * @example
+ * create({User}, [{Group1}, {Group2}, ...], { populate: 'createdBy' })
+ * .then(function(groups) {
+ *   // Do something with the newly created groups
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function create(requestingUser, groups, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType('object', groups, 'Groups');
+
+    // Ensure user has permission to create groups
+    permissions.createGroup(requestingUser);
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniGroups = sani.db(JSON.parse(JSON.stringify(groups)));
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Group);
+
+    // Define array to store group data
+    let groupsToCreate = [];
+
+    // Check the type of the groups parameter
+    if (Array.isArray(saniGroups)) {
+      // groups is an array, create many groups
+      groupsToCreate = saniGroups;
+    }
+    else if (typeof saniGroups === 'object') {
+      // groups is an object, create a single group
+      groupsToCreate = [saniGroups];
+    }
+    else {
+      // groups is not an object or array, throw an error
+      throw new M.DataFormatError('Invalid input for creating groups.', 'warn');
+    }
+
+    // Create array of id's for lookup and array of valid keys
+    const arrIDs = [];
+    const validGroupKeys = ['id', 'name', 'members', 'ldap', 'custom', 'archived'];
+
+    // Check that each group has an id, and add to arrIDs
+    let index = 1;
+    groupsToCreate.forEach((group) => {
+      try {
+        // Ensure keys are valid
+        Object.keys(group).forEach((k) => {
+          assert.ok(validGroupKeys.includes(k), `Invalid key [${k}].`);
+        });
+
+        // Ensure each group has an id and that it's a string
+        assert.ok(group.hasOwnProperty('id'), `Group #${index} does not have an id.`);
+        assert.ok(typeof group.id === 'string', `Group #${index}'s id is not a string.`);
+        // Check if group with same ID is already being created
+        assert.ok(!arrIDs.includes(group.id), 'Multiple groups with the same ID '
+          + `[${group.id}] cannot be created.`);
+        // Ensure the members are an array of strings
+        assert.ok(!group.hasOwnProperty('members') || validators.group.members(group.members),
+          `Group #${index}'s members are not an array of usernames.`);
+      }
+      catch (error) {
+        throw new M.DataFormatError(error.message, 'warn');
+      }
+      arrIDs.push(group.id);
+      group._id = group.id;
+      index++;
+    });
+
+    // Create searchQuery to search for any existing, conflicting groups
+    const searchQuery = { _id: { $in: arrIDs } };
+
+    // Find any existing, conflicting groups
+    const foundGroups = await Group.find(searchQuery, '_id');
+    // If there are any foundGroups, there is a conflict
+    if (foundGroups.length > 0) {
+      // Get arrays of the foundGroups's ids
+      const foundGroupIDs = foundGroups.map(g => g._id);
+
+      // There are one or more groups with conflicting IDs
+      throw new M.OperationError('Groups with the following IDs already exist'
+        + ` [${foundGroupIDs.toString()}].`, 'warn');
+    }
+
+    // Ensure all members are existing users
+    await checkMembers(groupsToCreate);
+
+    // For each object of group data, create the group object
+    const groupObjects = groupsToCreate.map((g) => {
+      // Remove duplicate members
+      g.members = Array.from(new Set(g.members || []));
+      g.lastModifiedBy = reqUser._id;
+      g.createdBy = reqUser._id;
+      g.updatedOn = Date.now();
+      g.archivedBy = (g.archived) ? reqUser._id : null;
+      g.archivedOn = (g.archived) ? Date.now() : null;
+      return g;
+    });
+
+    // Create the groups
+    const createdGroups = await Group.insertMany(groupObjects);
+
+    // Emit the event groups-created
+    await EventEmitter.emit('groups-created', { actor: reqUser, after: createdGroups });
+
+    // Find and return the created groups
+    return await Group.find({ _id: { $in: arrIDs } }, validatedOptions.fieldsString,
+      { populate: validatedOptions.populateString });
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function updates one or many groups. Multiple fields in
+ * multiple groups can be updated at once, provided that the fields are allowed
+ * to be updated. Updating the members of a group replaces the members with the
+ * provided list of usernames. If a group is archived, it must first be
+ * unarchived before any other updates occur. This function is restricted to
+ * system-wide admins ONLY.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {(object|object[])} groups - Either an array of objects containing
+ * updates to groups, or a single object containing updates.
+ * @param {string} groups.id - The ID of the group being updated. Field cannot
+ * be updated but is required to find group.
+ * @param {string} [groups.name] - The updated name of the group.
+ * @param {string[]} [groups.members] - The updated usernames of the members of
+ * the group.
+ * @param {string} [groups.ldap] - The updated name of the LDAP group the
+ * members are synced with.
+ * @param {object} [groups.custom] - The new custom data object. Please note,
+ * updating the custom data object completely replaces the old custom data
+ * object.
+ * @param {boolean} [groups.archived = false] - The updated archived field. If
+ * true, the group will not be able to be found until unarchived, and grants no
+ * permissions to its members.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string[]} [options.populate] - A list of fields to populate on return of
+ * the found objects. By default, no fields are populated.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id field. To NOT include a field, provide a '-' in front.
+ *
+ * @returns {Promise<object[]>} Array of updated group objects.
+ *
+ * @example
+ * update({User}, [{Updated Group 1}, {Updated Group 2}...], { populate: 'createdBy' })
+ * .then(function(groups) {
+ *   // Do something with the newly updated groups
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function update(requestingUser, groups, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType('object', groups, 'Groups');
+
+    // Ensure user has permission to update groups
+    permissions.updateGroup(requestingUser);
+
+    // Sanitize input parameters and create function-wide variables
+    const saniGroups = sani.db(JSON.parse(JSON.stringify(groups)));
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    let groupsToUpdate = [];
+    const duplicateCheck = {};
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Group);
+
+    // Check the type of the groups parameter
+    if (Array.isArray(saniGroups)) {
+      // groups is an array, update many groups
+      groupsToUpdate = saniGroups;
+    }
+    else if (typeof saniGroups === 'object') {
+      // groups is an object, update a single group
+      groupsToUpdate = [saniGroups];
+    }
+    else {
+      throw new M.DataFormatError('Invalid input for updating groups.', 'warn');
+    }
+
+    // Create list of ids
+    const arrIDs = [];
+
+    let index = 1;
+    groupsToUpdate.forEach((group) => {
+      try {
+        // Ensure each group has an id and that its a string
+        assert.ok(group.hasOwnProperty('id'), `Group #${index} does not have an id.`);
+        assert.ok(typeof group.id === 'string', `Group #${index}'s id is not a string.`);
+        // Ensure the members are an array of strings
+        assert.ok(!group.hasOwnProperty('members') || validators.group.members(group.members),
+          `Group #${index}'s members are not an array of usernames.`);
+      }
+      catch (error) {
+        throw new M.DataFormatError(error.message, 'warn');
+      }
+      // If a duplicate ID, throw an error
+      if (duplicateCheck[group.id]) {
+        throw new M.DataFormatError(`Multiple objects with the same ID [${group.id}] exist in`
+          + ' the update.', 'warn');
+      }
+      else {
+        duplicateCheck[group.id] = group.id;
+      }
+      arrIDs.push(group.id);
+      group._id = group.id;
+      index++;
+    });
+
+    // Create searchQuery
+    const searchQuery = { _id: { $in: arrIDs } };
+
+    // Find the groups to update
+    const foundGroups = await Group.find(searchQuery, null);
+    // Verify the same number of groups are found as desired
+    if (foundGroups.length !== arrIDs.length) {
+      const foundIDs = foundGroups.map(g => g._id);
+      const notFound = arrIDs.filter(g => !foundIDs.includes(g));
+      throw new M.NotFoundError(
+        `The following groups were not found: [${notFound.toString()}].`, 'warn'
+      );
+    }
+
+    // Ensure all members are existing users
+    await checkMembers(groupsToUpdate);
+
+    // Convert groupsToUpdate to JMI type 2
+    const jmiType2 = jmi.convertJMI(1, 2, groupsToUpdate);
+    const bulkArray = [];
+    // Get array of editable parameters
+    const validFields = Group.getValidUpdateFields();
+
+    // For each found group
+    foundGroups.forEach((group) => {
+      const updateGroup = jmiType2[group._id];
+      // Remove id and _id field from update object
+      delete updateGroup.id;
+      delete updateGroup._id;
+
+      // Error Check: if group currently archived, it must first be unarchived
+      if (group.archived && (updateGroup.archived === undefined
+        || JSON.parse(updateGroup.archived) !== false)) {
+        throw new M.OperationError(`Group [${group._id}] is archived. `
+          + 'Archived objects cannot be modified.', 'warn');
+      }
+
+      // For each key in the updated object
+      Object.keys(updateGroup).forEach((key) => {
+        // Check if the field is valid to update
+        if (!validFields.includes(key)) {
+          throw new M.OperationError(`Group property [${key}] cannot `
+            + 'be changed.', 'warn');
+        }
+
+        // Get validator for field if one exists
+        if (validators.group.hasOwnProperty(key)
+          && typeof validators.group[key] === 'function') {
+          // If validation fails, throw error
+          if (!validators.group[key](updateGroup[key])) {
+            throw new M.DataFormatError(
+              `Invalid ${key}: [${updateGroup[key]}]`, 'warn'
+            );
+          }
+        }
+
+        // Remove duplicate members
+        if (key === 'members') {
+          updateGroup.members = Array.from(new Set(updateGroup.members));
+        }
+
+        // Set archivedBy if archived field is being changed
+        if (key === 'archived') {
+          // If the group is being archived
+          if (updateGroup[key] && !group[key]) {
+            updateGroup.archivedBy = reqUser._id;
+            updateGroup.archivedOn = Date.now();
+          }
+          // If the group is being unarchived
+          else if (!updateGroup[key] && group[key]) {
+            updateGroup.archivedBy = null;
+            updateGroup.archivedOn = null;
+          }
+        }
+      });
+
+      // Update lastModifiedBy field and updatedOn
+      updateGroup.lastModifiedBy = reqUser._id;
+      updateGroup.updatedOn = Date.now();
+
+      // Update the group
+      bulkArray.push({
+        updateOne: {
+          filter: { _id: group._id },
+          update: updateGroup
+        }
+      });
+    });
+
+    // Update all groups through a bulk write to the database
+    await Group.bulkWrite(bulkArray);
+
+    // Find the updated groups
+    const foundUpdatedGroups = await Group.find(searchQuery, validatedOptions.fieldsString,
+      { populate: validatedOptions.populateString });
+
+    // Emit the event groups-updated
+    await EventEmitter.emit('groups-updated',
+      { actor: reqUser, before: foundGroups, after: foundUpdatedGroups });
+
+    return foundUpdatedGroups;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function removes one or many groups, as well as removes
+ * the groups from the permissions of all orgs and projects. This function is
+ * restricted to system-wide admins ONLY.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {(string|string[])} groups - The groups to remove. Can either be an
+ * array of group ids or a single group id.
+ * @param {object} [options] - A parameter that provides supported options.
+ * Currently there are no supported options.
+ *
+ * @returns {Promise<string[]>} Array of deleted group ids.
+ *
+ * @example
+ * remove({User}, ['group1', 'group2'])
+ * .then(function(groups) {
+ *   // Do something with the deleted groups
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function remove(requestingUser, groups, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType(['object', 'string'], groups, 'Groups');
+
+    // Sanitize input parameters and create function-wide variables
+    const saniGroups = sani.db(JSON.parse(JSON.stringify(groups)));
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    let searchedIDs = [];
+
+    // Define searchQuery
+    const searchQuery = {};
+
+    // Ensure user has permission to delete groups
+    permissions.deleteGroup(reqUser);
+
+    // Check the type of the groups parameter
+    if (Array.isArray(saniGroups)) {
+      // An array of group ids, remove all
+      searchedIDs = saniGroups;
+      searchQuery._id = { $in: saniGroups };
+    }
+    else if (typeof saniGroups === 'string') {
+      // A single group id
+      searchedIDs = [saniGroups];
+      searchQuery._id = saniGroups;
+    }
+    else {
+      // Invalid parameter, throw an error
+      throw new M.DataFormatError('Invalid input for removing groups.', 'warn');
+    }
+
+    // Find the groups to delete
+    const foundGroups = await Group.find(searchQuery);
+    const foundIDs = foundGroups.map(g => g._id);
+
+    // Check if all groups were found
+    const notFoundIDs = searchedIDs.filter(g => !foundIDs.includes(g));
+    // Some groups not found, throw an error
+    if (notFoundIDs.length > 0) {
+      throw new M.NotFoundError('The following groups were not found: '
+        + `[${notFoundIDs}].`, 'warn');
+    }
+
+    // Find any orgs and projects the groups have permissions on
+    const keys = foundIDs.map(g => `${utils.GROUP_PREFIX}${g}`);
+    const memberQuery = { $or: keys.map(k => ({ [`permissions.${k}`]: { $all: ['read'] } })) };
+    const orgs = await Organization.find(memberQuery);
+    const projects = await Project.find(memberQuery);
+
+    // Remove the groups from the permissions of each org and project
+    const promises = [];
+    orgs.forEach((org) => {
+      keys.forEach((key) => {
+        delete org.permissions[key];
+      });
+      promises.push(Organization.updateOne({ _id: org._id }, { permissions: org.permissions }));
+    });
+    projects.forEach((proj) => {
+      keys.forEach((key) => {
+        delete proj.permissions[key];
+      });
+      promises.push(Project.updateOne({ _id: proj._id }, { permissions: proj.permissions }));
+    });
+
+    // Save all orgs and projects and return once all are saved
+    await Promise.all(promises);
+
+    // Remove the groups
+    await Group.deleteMany(searchQuery);
+
+    // Emit the event groups-deleted
+    await EventEmitter.emit('groups-deleted', { actor: reqUser, before: foundGroups });
+
+    // Return the deleted groups
+    return foundIDs;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description Verifies that the members of each group being created or
+ * updated are existing users.
+ *
+ * @param {object[]} groups - The groups being created or updated.
+ *
+ * @throws {NotFoundError}
+ */
+async function checkMembers(groups) {
+  // Get the unique usernames of every member
+  const members = Array.from(new Set([].concat(...groups.map(g => g.members || []))));
+  if (members.length === 0) {
+    return;
+  }
+
+  // Find the users and check that all were found
+  const foundUsers = await User.find({ _id: { $in: members } }, '_id');
+  const foundUsernames = foundUsers.map(u => u._id);
+  const notFound = members.filter(m => !foundUsernames.includes(m));
+  if (notFound.length > 0) {
+    throw new M.NotFoundError('The following users were not found: '
+      + `[${notFound.toString()}].`, 'warn');
+  }
+}
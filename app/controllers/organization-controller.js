@@ -37,11 +37,14 @@ const path = require('path');
 // MBEE modules
 const Artifact = M.require('models.artifact');
 const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
 const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
 const Organization = M.require('models.organization');
 const Project = M.require('models.project');
 const User = M.require('models.user');
 const Webhook = M.require('models.webhook');
+const db = M.require('db');
 const EventEmitter = M.require('lib.events');
 const sani = M.require('lib.sanitization');
 const utils = M.require('lib.utils');
@@ -79,6 +82,12 @@ const ArtifactStrategy = M.require(`artifact.${M.config.artifact.strategy}`);
  * @param {string} [options.sort] - Provide a particular field to sort the results by.
  * You may also add a negative sign in front of the field to indicate sorting in
  * reverse order.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found orgs. Only the orgs after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching orgs is counted and returned in the property pageInfo.total of
+ * the found orgs.
  * @param {string} [options.name] - Search for orgs with a specific name.
  * @param {string} [options.createdBy] - Search for orgs with a specific
  * createdBy value.
@@ -125,7 +134,7 @@ async function find(requestingUser, orgs, options) {
 
     // Initialize and ensure options are valid
     const validatedOptions = utils.validateOptions(options, ['populate',
-      'includeArchived', 'fields', 'limit', 'skip', 'sort'], Organization);
+      'includeArchived', 'fields', 'limit', 'skip', 'sort', 'after', 'count'], Organization);
 
     // Ensure options are valid
     if (options) {
@@ -153,7 +162,12 @@ async function find(requestingUser, orgs, options) {
 
     // If not system admin, add permissions check
     if (!reqUser.admin) {
-      searchQuery[`permissions.${reqUser._id}`] = { $all: ['read'] };
+      Object.assign(searchQuery, permissions.getPermissionsQuery(reqUser));
+    }
+    // Only find orgs within the scopes of the personal access token, if used
+    const scopeQuery = permissions.getScopeQuery(reqUser, 'org');
+    if (scopeQuery) {
+      searchQuery.$and = [scopeQuery];
     }
     // If the includeArchived field is true, remove archived from the query; return everything
     if (validatedOptions.includeArchived) {
@@ -178,13 +192,18 @@ async function find(requestingUser, orgs, options) {
       throw new M.DataFormatError('Invalid input for finding organizations.', 'warn');
     }
 
-    // Find the orgs
-    return await Organization.find(searchQuery, validatedOptions.fieldsString,
+    // Find the orgs after the cursor, if provided
+    const foundOrgs = await Organization.find(utils.applyCursor(searchQuery, validatedOptions),
+      validatedOptions.fieldsString,
       { limit: validatedOptions.limit,
         skip: validatedOptions.skip,
         sort: validatedOptions.sort,
         populate: validatedOptions.populateString
       });
+
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundOrgs, validatedOptions,
+      () => Organization.countDocuments(searchQuery));
   }
   catch (error) {
     throw errors.captureError(error);
@@ -312,19 +331,15 @@ async function create(requestingUser, orgs, options) {
         + ` [${foundOrgIDs.toString()}].`, 'warn');
     }
 
-    // Get all existing users for permissions
-    const foundUsers = await User.find({}, null);
+    // Get the usernames of all users and the keys of all groups for permissions
+    const permissionKeys = await helper.findPermissionKeys();
 
-    // Create array of usernames
-    const foundUsernames = foundUsers.map(u => u._id);
     // For each object of org data, create the org object
     const orgObjects = orgsToCreate.map((o) => {
       // Set permissions
       Object.keys(o.permissions).forEach((u) => {
-        // If user does not exist, throw an error
-        if (!foundUsernames.includes(u)) {
-          throw new M.NotFoundError(`User [${u}] not found.`, 'warn');
-        }
+        // If the user or group does not exist, throw an error
+        helper.checkPermissionKey(u, permissionKeys);
 
         const permission = o.permissions[u];
 
@@ -355,7 +370,7 @@ async function create(requestingUser, orgs, options) {
     await Organization.insertMany(orgObjects);
 
     // Emit the event orgs-created
-    EventEmitter.emit('orgs-created', orgObjects);
+    await EventEmitter.emit('orgs-created', { actor: reqUser, after: orgObjects });
 
     return await Organization.find({ _id: { $in: arrIDs } },
       validatedOptions.fieldsString,
@@ -423,7 +438,7 @@ async function update(requestingUser, orgs, options) {
     const duplicateCheck = {};
     let foundOrgs = [];
     let orgsToUpdate = [];
-    let existingUsers = [];
+    let permissionKeys = [];
     let updatingPermissions = false;
 
     // Initialize and ensure options are valid
@@ -499,19 +514,18 @@ async function update(requestingUser, orgs, options) {
       );
     }
 
-    let foundUsers = [];
-    // Find users if updating permissions
+    // Find users and groups if updating permissions
     if (updatingPermissions) {
       try {
-        foundUsers = await User.find({});
+        permissionKeys = await helper.findPermissionKeys();
       }
       catch (error) {
         throw new M.DatabaseError(error.message, 'warn');
       }
     }
 
-    // Set existing users
-    existingUsers = foundUsers.map(u => u._id);
+    // Ensure none of the orgs have changed since the provided revisions
+    const revisionFilters = helper.checkRevisions(foundOrgs, orgsToUpdate, 'orgs');
 
     // Convert orgsToUpdate to JMI type 2
     const jmiType2 = jmi.convertJMI(1, 2, orgsToUpdate);
@@ -583,10 +597,8 @@ async function update(requestingUser, orgs, options) {
               throw new M.OperationError('User cannot update own permissions.', 'warn');
             }
 
-            // If user does not exist, throw an error
-            if (!existingUsers.includes(user)) {
-              throw new M.NotFoundError(`User [${user}] not found.`, 'warn');
-            }
+            // If the user or group does not exist, throw an error
+            helper.checkPermissionKey(user, permissionKeys);
 
             // Value must be an string containing highest permissions
             if (typeof permValue !== 'string') {
@@ -648,23 +660,28 @@ async function update(requestingUser, orgs, options) {
       updateOrg.lastModifiedBy = reqUser._id;
       updateOrg.updatedOn = Date.now();
 
-      // Update the org
+      // Update the org, if it is unchanged since its revision was checked
       bulkArray.push({
         updateOne: {
-          filter: { _id: org._id },
+          filter: Object.assign({ _id: org._id }, revisionFilters[org._id]),
           update: updateOrg
         }
       });
     });
 
-    // Update all orgs through a bulk write to the database
-    await Organization.bulkWrite(bulkArray);
+    // Update all orgs through a bulk write to the database, in a transaction so
+    // that none are updated if one has changed since its revision was checked
+    await db.withTransaction(async (session) => {
+      const result = await Organization.bulkWrite(bulkArray, { session: session });
+      await helper.checkWrittenRevisions(Organization, bulkArray, result, 'orgs', session);
+    });
 
     const foundUpdatedOrgs = await Organization.find(searchQuery, validatedOptions.fieldsString,
       { populate: validatedOptions.populateString });
 
     // Emit the event orgs-updated
-    EventEmitter.emit('orgs-updated', foundUpdatedOrgs);
+    await EventEmitter.emit('orgs-updated',
+      { actor: reqUser, before: foundOrgs, after: foundUpdatedOrgs });
 
     return foundUpdatedOrgs;
   }
@@ -781,6 +798,9 @@ async function createOrReplace(requestingUser, orgs, options) {
       permissions.updateOrg(reqUser, org);
     });
 
+    // Ensure none of the orgs have changed since the provided revisions
+    helper.checkRevisions(foundOrgs, orgsToLookup, 'orgs');
+
     // If data directory doesn't exist, create it
     if (!fs.existsSync(path.join(M.root, 'data'))) {
       fs.mkdirSync(path.join(M.root, 'data'));
@@ -799,7 +819,7 @@ async function createOrReplace(requestingUser, orgs, options) {
     await Organization.deleteMany({ _id: { $in: foundOrgs.map(o => o._id) } });
 
     // Emit the event orgs-deleted
-    EventEmitter.emit('orgs-deleted', foundOrgs);
+    await EventEmitter.emit('orgs-deleted', { actor: reqUser, before: foundOrgs });
 
     // Code block after original orgs have been deleted but before they have been replaced
     // If creation of new orgs fails, it will restore the previous orgs
@@ -918,31 +938,42 @@ async function remove(requestingUser, orgs, options) {
 
     const projectIDs = projectsToDelete.map(p => p._id);
 
-    // Delete any elements in the found projects
-    await Element.deleteMany({ project: { $in: projectIDs } });
+    // Delete the orgs and everything they own in a single transaction
+    const retQuery = await db.withTransaction(async (session) => {
+      const ownedQuery = { project: { $in: projectIDs } };
 
-    // Delete any artifacts in the found projects
-    await Artifact.deleteMany({ project: { $in: projectIDs } });
+      // Delete any elements in the found projects
+      await Element.deleteMany(ownedQuery, { session: session });
 
-    const promises = [];
-    // Remove all blobs under org
-    foundOrgIDs.forEach((orgID) => promises.push(ArtifactStrategy.clear(orgID)));
-    await Promise.all(promises);
+      // Delete the revision history of the elements in the found projects
+      await ElementRevision.deleteMany(ownedQuery, { session: session });
+
+      // Delete any artifacts in the found projects
+      await Artifact.deleteMany(ownedQuery, { session: session });
+
+      // Delete the recorded deletions of the copy-on-write branches
+      await Deletion.deleteMany(ownedQuery, { session: session });
+
+      // Delete any branches in the found projects
+      await Branch.deleteMany(ownedQuery, { session: session });
 
+      // Delete any projects in the orgs
+      await Project.deleteMany({ org: { $in: searchedIDs } }, { session: session });
 
-    // Delete any branches in the found projects
-    await Branch.deleteMany({ project: { $in: projectIDs } });
+      // Delete any webhooks on the orgs
+      await Webhook.deleteMany({ reference: { $in: searchedIDs } }, { session: session });
 
-    // Delete any projects in the orgs
-    await Project.deleteMany({ org: { $in: searchedIDs } });
+      // Delete the orgs
+      return Organization.deleteMany(searchQuery, { session: session });
+    });
 
-    // Delete any webhooks on the orgs
-    await Webhook.deleteMany({ reference: { $in: searchedIDs } });
+    const promises = [];
+    // Remove all blobs under org, once the orgs have been deleted
+    foundOrgIDs.forEach((orgID) => promises.push(ArtifactStrategy.clear(orgID)));
+    await Promise.all(promises);
 
-    // Delete the orgs
-    const retQuery = await Organization.deleteMany(searchQuery);
     // Emit the event orgs-deleted
-    EventEmitter.emit('orgs-deleted', foundOrgs);
+    await EventEmitter.emit('orgs-deleted', { actor: requestingUser, before: foundOrgs });
 
     // Verify that all of the orgs were correctly deleted
     if (retQuery.n !== foundOrgs.length) {
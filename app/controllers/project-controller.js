@@ -26,6 +26,7 @@ module.exports = {
   create,
   update,
   createOrReplace,
+  updateTypeProfiles,
   remove
 };
 
@@ -37,11 +38,14 @@ const path = require('path');
 // MBEE modules
 const Artifact = M.require('models.artifact');
 const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
 const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
 const Organization = M.require('models.organization');
 const Project = M.require('models.project');
 const User = M.require('models.user');
 const Webhook = M.require('models.webhook');
+const db = M.require('db');
 const EventEmitter = M.require('lib.events');
 const sani = M.require('lib.sanitization');
 const utils = M.require('lib.utils');
@@ -50,6 +54,7 @@ const jmi = M.require('lib.jmi-conversions');
 const errors = M.require('lib.errors');
 const helper = M.require('lib.controller-utils');
 const permissions = M.require('lib.permissions');
+const jsonSchema = M.require('lib.json-schema');
 const ArtifactStrategy = M.require(`artifact.${M.config.artifact.strategy}`);
 
 /**
@@ -80,6 +85,12 @@ const ArtifactStrategy = M.require(`artifact.${M.config.artifact.strategy}`);
  * @param {string} [options.sort] - Provide a particular field to sort the results by.
  * You may also add a negative sign in front of the field to indicate sorting in
  * reverse order.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found projects. Only the projects after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching projects is counted and returned in the property pageInfo.total of
+ * the found projects.
  * @param {string} [options.name] - Search for projects with a specific name.
  * @param {string} [options.visibility] - Search for projects with a certain
  * level of visibility.
@@ -135,7 +146,7 @@ async function find(requestingUser, organizationID, projects, options) {
 
     // Initialize and ensure options are valid
     const validatedOptions = utils.validateOptions(options, ['populate',
-      'includeArchived', 'fields', 'limit', 'skip', 'sort'], Project);
+      'includeArchived', 'fields', 'limit', 'skip', 'sort', 'after', 'count'], Project);
 
     // Ensure options are valid
     if (options) {
@@ -186,6 +197,10 @@ async function find(requestingUser, organizationID, projects, options) {
 
     let foundOrg;
     let foundProjects = [];
+    let countProjects;
+    // Only find projects within the scopes of the personal access token, if used
+    const scopeQuery = permissions.getScopeQuery(reqUser, 'project');
+    const scopeAnd = (scopeQuery) ? { $and: [scopeQuery] } : {};
     const opts = {
       limit: validatedOptions.limit,
       skip: validatedOptions.skip,
@@ -201,39 +216,53 @@ async function find(requestingUser, organizationID, projects, options) {
 
       // Find all projects on the provided org, parse after
       searchQuery.org = orgID;
-      foundProjects = await Project.find(searchQuery, validatedOptions.fieldsString, opts);
+      Object.assign(searchQuery, scopeAnd);
+      foundProjects = await Project.find(utils.applyCursor(searchQuery, validatedOptions),
+        validatedOptions.fieldsString, opts);
+      countProjects = () => Project.countDocuments(searchQuery);
     }
     // If orgID is null, find all projects the user has access to
     else {
       // Find all orgs the user has read access on
-      const orgQuery = {};
-      orgQuery[`permissions.${reqUser._id}`] = { $all: ['read'] };
-      const readOrgs = await Organization.find(orgQuery);
+      const readOrgs = await Organization.find(permissions.getPermissionsQuery(reqUser));
       const orgIDs = readOrgs.map(o => o._id);
 
       // Project must be internal and in an org the user has access to
       // Use JSON.parse, JSON.stringify to remove any undefined values
-      const internalQuery = JSON.parse(JSON.stringify({
+      const internalQuery = Object.assign(JSON.parse(JSON.stringify({
         archived: searchQuery.archived,
         visibility: 'internal',
         org: { $in: orgIDs }
-      }));
+      })), scopeAnd);
       // Find all internal projects
-      const internalProjects = await Project.find(internalQuery,
-        validatedOptions.fieldsString, opts);
+      const internalProjects = await Project.find(
+        utils.applyCursor(internalQuery, validatedOptions), validatedOptions.fieldsString, opts
+      );
 
       // Find all projects the user has read access to
       // Use JSON parse/stringify to remove undefined values
       const permissionsQuery = JSON.parse(JSON.stringify({ archived: searchQuery.archived }));
-      permissionsQuery[`permissions.${reqUser._id}`] = { $all: ['read'] };
-      const permissionProjects = await Project.find(permissionsQuery,
-        validatedOptions.fieldsString, opts);
+      Object.assign(permissionsQuery, permissions.getPermissionsQuery(reqUser), scopeAnd);
+      const permissionProjects = await Project.find(
+        utils.applyCursor(permissionsQuery, validatedOptions), validatedOptions.fieldsString, opts
+      );
 
       // Return only unique projects
       const internalProjectIDs = internalProjects.map(p => p._id);
       const projectsNotInInternal = permissionProjects
       .filter(p => !internalProjectIDs.includes(p._id));
       foundProjects = internalProjects.concat(projectsNotInInternal);
+
+      // Both queries are limited separately, sort the combined projects and limit them again
+      if (validatedOptions.limit > 0) {
+        foundProjects = sortProjects(foundProjects, validatedOptions.sort)
+        .slice(0, validatedOptions.limit);
+      }
+
+      // Projects which are internal and have read permissions are only counted once
+      countProjects = async () => await Project.countDocuments(internalQuery)
+        + await Project.countDocuments(permissionsQuery)
+        - await Project.countDocuments(Object.assign({}, internalQuery, permissionsQuery));
     }
 
     // If searching specific projects, remove projects not in that list
@@ -256,7 +285,8 @@ async function find(requestingUser, organizationID, projects, options) {
       });
     }
 
-    return foundProjects;
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundProjects, validatedOptions, countProjects);
   }
   catch (error) {
     throw errors.captureError(error);
@@ -409,11 +439,9 @@ async function create(requestingUser, organizationID, projects, options) {
       });
     }
 
-    // Get all existing users for permissions
-    const foundUsers = await User.find({}, '_id');
+    // Get the usernames of all users and the keys of all groups for permissions
+    const permissionKeys = await helper.findPermissionKeys();
 
-    // Create array of usernames
-    const foundUsernames = foundUsers.map(u => u._id);
     const promises = [];
     // For each object of project data, create the project object
     const projObjects = projectsToCreate.map((p) => {
@@ -421,10 +449,8 @@ async function create(requestingUser, organizationID, projects, options) {
       p.org = orgID;
       // Set permissions
       Object.keys(p.permissions).forEach((u) => {
-        // If user does not exist, throw an error
-        if (!foundUsernames.includes(u)) {
-          throw new M.NotFoundError(`User [${u}] not found.`, 'warn');
-        }
+        // If the user or group does not exist, throw an error
+        helper.checkPermissionKey(u, permissionKeys);
 
         const permission = p.permissions[u];
 
@@ -466,7 +492,7 @@ async function create(requestingUser, organizationID, projects, options) {
     await Project.insertMany(projObjects);
 
     // Emit the event projects-created
-    EventEmitter.emit('projects-created', projObjects);
+    await EventEmitter.emit('projects-created', { actor: reqUser, org: orgID, after: projObjects });
 
     // Create a branch for each project
     const branchObjects = projObjects.map((p) => ({
@@ -621,7 +647,7 @@ async function update(requestingUser, organizationID, projects, options) {
     const duplicateCheck = {};
     const loweredVisibility = [];
     let projectsToUpdate = [];
-    let existingUsers = [];
+    let permissionKeys = [];
     let updatingPermissions = false;
 
     // Initialize and ensure options are valid
@@ -697,14 +723,13 @@ async function update(requestingUser, organizationID, projects, options) {
       );
     }
 
-    let foundUsers = [];
-    // Find users if updating permissions
+    // Find users and groups if updating permissions
     if (updatingPermissions) {
-      foundUsers = await User.find({}, '_id');
+      permissionKeys = await helper.findPermissionKeys();
     }
 
-    // Set existing users
-    existingUsers = foundUsers.map(u => u._id);
+    // Ensure none of the projects have changed since the provided revisions
+    const revisionFilters = helper.checkRevisions(foundProjects, projectsToUpdate, 'projects');
 
     // Convert projectsToUpdate to JMI type 2
     const jmiType2 = jmi.convertJMI(1, 2, projectsToUpdate);
@@ -774,10 +799,8 @@ async function update(requestingUser, organizationID, projects, options) {
               throw new M.OperationError('User cannot update own permissions.', 'warn');
             }
 
-            // If user does not exist, throw an error
-            if (!existingUsers.includes(user)) {
-              throw new M.NotFoundError(`User [${user}] not found.`, 'warn');
-            }
+            // If the user or group does not exist, throw an error
+            helper.checkPermissionKey(user, permissionKeys);
 
             // Value must be an string containing highest permissions
             if (typeof permValue !== 'string') {
@@ -852,17 +875,21 @@ async function update(requestingUser, organizationID, projects, options) {
       updateProj.lastModifiedBy = reqUser._id;
       updateProj.updatedOn = Date.now();
 
-      // Update the project
+      // Update the project, if it is unchanged since its revision was checked
       bulkArray.push({
         updateOne: {
-          filter: { _id: proj._id },
+          filter: Object.assign({ _id: proj._id }, revisionFilters[proj._id]),
           update: updateProj
         }
       });
     });
 
-    // Update all projects through a bulk write to the database
-    promises.push(Project.bulkWrite(bulkArray));
+    // Update all projects through a bulk write to the database, in a transaction
+    // so that none are updated if one has changed since its revision was checked
+    promises.push(db.withTransaction(async (session) => {
+      const result = await Project.bulkWrite(bulkArray, { session: session });
+      await helper.checkWrittenRevisions(Project, bulkArray, result, 'projects', session);
+    }));
 
     // Return when all promises have been complete
     await Promise.all(promises);
@@ -956,7 +983,12 @@ async function update(requestingUser, organizationID, projects, options) {
       { populate: validatedOptions.populateString });
 
     // Emit the event projects-updated
-    EventEmitter.emit('projects-updated', foundUpdatedProjects);
+    await EventEmitter.emit('projects-updated', {
+      actor: reqUser,
+      org: orgID,
+      before: foundProjects,
+      after: foundUpdatedProjects
+    });
 
     return foundUpdatedProjects;
   }
@@ -1078,6 +1110,9 @@ async function createOrReplace(requestingUser, organizationID, projects, options
       permissions.updateProject(reqUser, foundOrg, proj);
     });
 
+    // Ensure none of the projects have changed since the provided revisions
+    helper.checkRevisions(foundProjects, projectsToLookUp, 'projects');
+
     // If data directory doesn't exist, create it
     if (!fs.existsSync(path.join(M.root, 'data'))) {
       fs.mkdirSync(path.join(M.root, 'data'));
@@ -1118,7 +1153,7 @@ async function createOrReplace(requestingUser, organizationID, projects, options
     await Project.deleteMany({ _id: { $in: foundProjects.map(p => p._id) } });
 
     // Emit the event projects-deleted
-    EventEmitter.emit('projects-deleted', foundProjects);
+    await EventEmitter.emit('projects-deleted', { actor: reqUser, org: orgID, before: foundProjects });
 
 
     // Try block after former project has been deleted but not yet replaced
@@ -1169,6 +1204,147 @@ async function createOrReplace(requestingUser, organizationID, projects, options
   }
 }
 
+/**
+ * @description This function changes the type profiles of a project. Each
+ * profile defines the JSON Schema which the custom data of elements of the type
+ * must match, and the types allowed as the parent, source and target of the
+ * elements. Profiles of types which are not provided are unchanged, and a
+ * profile of null removes the profile of the type. The type profiles can only
+ * be changed by project admins and system-wide admins.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} organizationID - The ID of the owning organization.
+ * @param {string} projectID - The ID of the project.
+ * @param {object} profiles - The type profiles to change.
+ * @param {boolean} [profiles.strict] - If true, every element created or
+ * updated in the project must have a type with a profile.
+ * @param {object} [profiles.types] - An object where keys are element types
+ * and values are the profiles of the types, or null to remove a profile.
+ * @param {object} [profiles.types.schema] - The JSON Schema which the custom
+ * data of the elements must match.
+ * @param {string[]} [profiles.types.parentTypes] - The types allowed as the
+ * parent of the elements. By default, any parent is allowed.
+ * @param {string[]} [profiles.types.sourceTypes] - The types allowed as the
+ * source of relationships. By default, any source is allowed.
+ * @param {string[]} [profiles.types.targetTypes] - The types allowed as the
+ * target of relationships. By default, any target is allowed.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string[]} [options.populate] - A list of fields to populate on return of
+ * the found objects. By default, no fields are populated.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id and id fields. To NOT include a field, provide a '-' in
+ * front.
+ *
+ * @returns {Promise<object>} The updated project.
+ *
+ * @example
+ * updateTypeProfiles({User}, 'orgID', 'projID', { types: { Requirement: {
+ *   schema: { required: ['priority'] },
+ *   parentTypes: ['Package']
+ * } } })
+ * .then(function(project) {
+ *   // Do something with the updated project
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function updateTypeProfiles(requestingUser, organizationID, projectID, profiles,
+  options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options, organizationID, projectID);
+    helper.checkParamsDataType('object', profiles, 'Type profiles');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const orgID = sani.db(organizationID);
+    const projID = sani.db(projectID);
+    const saniProfiles = sani.db(JSON.parse(JSON.stringify(profiles)));
+    const types = saniProfiles.types || {};
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], Project);
+
+    // Ensure the strict mode and the profile of each type are valid
+    Object.keys(saniProfiles).forEach((key) => {
+      if (!['strict', 'types'].includes(key)) {
+        throw new M.DataFormatError(`Invalid key [${key}].`, 'warn');
+      }
+    });
+    if (saniProfiles.hasOwnProperty('strict') && typeof saniProfiles.strict !== 'boolean') {
+      throw new M.DataFormatError('The type profiles field strict is not a boolean.', 'warn');
+    }
+    helper.checkParamsDataType('object', types, 'Types');
+    Object.keys(types).forEach((type) => {
+      if (!validators.project.typeName(type)) {
+        throw new M.DataFormatError(`Invalid type [${type}].`, 'warn');
+      }
+      // A profile of null removes the profile
+      if (types[type] === null) return;
+
+      const problems = (types[type] && types[type].hasOwnProperty('schema'))
+        ? jsonSchema.check(types[type].schema) : [];
+      if (problems.length > 0) {
+        throw new M.DataFormatError(`The schema of the type [${type}] is invalid: `
+          + `[${problems.join(', ')}].`, 'warn');
+      }
+      if (!validators.project.typeProfile(types[type])) {
+        throw new M.DataFormatError(`The profile of the type [${type}] is not properly `
+          + 'formatted.', 'warn');
+      }
+    });
+
+    // Find the organization and project and validate they were found
+    const organization = await helper.findAndValidate(Organization, orgID);
+    const project = await helper.findAndValidate(Project, utils.createID(orgID, projID));
+
+    // Permissions check
+    permissions.updateProject(reqUser, organization, project);
+
+    // Merge the changed profiles into the current profiles
+    const currentProfiles = Object.assign({ strict: false, types: {} }, project.typeProfiles);
+    const updatedProfiles = {
+      strict: (saniProfiles.hasOwnProperty('strict')) ? saniProfiles.strict
+        : currentProfiles.strict,
+      types: Object.assign({}, currentProfiles.types)
+    };
+    Object.keys(types).forEach((type) => {
+      if (types[type] !== null) {
+        updatedProfiles.types[type] = types[type];
+      }
+      else if (updatedProfiles.types.hasOwnProperty(type)) {
+        delete updatedProfiles.types[type];
+      }
+      else {
+        throw new M.NotFoundError(`The type [${type}] does not have a profile.`, 'warn');
+      }
+    });
+
+    await Project.updateOne({ _id: project._id }, {
+      typeProfiles: updatedProfiles,
+      lastModifiedBy: reqUser._id,
+      updatedOn: Date.now()
+    });
+
+    const foundUpdatedProject = await Project.findOne({ _id: project._id },
+      validatedOptions.fieldsString, { populate: validatedOptions.populateString });
+
+    // Emit the event projects-updated
+    await EventEmitter.emit('projects-updated', {
+      actor: reqUser,
+      org: orgID,
+      before: [project],
+      after: [foundUpdatedProject]
+    });
+
+    return foundUpdatedProject;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
 /**
  * @description This function removes one or many projects as well as the
  * elements that belong to them. This function can be used by system-wide
@@ -1245,30 +1421,40 @@ async function remove(requestingUser, organizationID, projects, options) {
         + `[${notFoundIDs.map(p => utils.parseID(p).pop())}].`, 'warn');
     }
 
-    // Delete any elements in the projects
-    await Element.deleteMany(ownedQuery);
+    // Delete the projects and everything they own in a single transaction
+    const retQuery = await db.withTransaction(async (session) => {
+      // Delete any elements in the projects
+      await Element.deleteMany(ownedQuery, { session: session });
+
+      // Delete the revision history of the elements in the projects
+      await ElementRevision.deleteMany(ownedQuery, { session: session });
 
-    // Delete any artifacts in the projects
-    await Artifact.deleteMany(ownedQuery);
+      // Delete any artifacts in the projects
+      await Artifact.deleteMany(ownedQuery, { session: session });
+
+      // Delete the recorded deletions of the copy-on-write branches
+      await Deletion.deleteMany(ownedQuery, { session: session });
+
+      // Delete any branches in the projects
+      await Branch.deleteMany(ownedQuery, { session: session });
+
+      // Delete any webhooks on the projects
+      await Webhook.deleteMany({ reference: ownedQuery.project }, { session: session });
+
+      // Delete the projects
+      return Project.deleteMany(searchQuery, { session: session });
+    });
 
     const promises = [];
-    // Remove all blobs under the projects
+    // Remove all blobs under the projects, once the projects have been deleted
     foundProjectIDs.forEach((p) => {
       promises.push(ArtifactStrategy.clear(path.join(orgID, utils.parseID(p).pop())));
     });
     await Promise.all(promises);
 
-    // Delete any branches in the projects
-    await Branch.deleteMany(ownedQuery);
-
-    // Delete any webhooks on the projects
-    await Webhook.deleteMany({ reference: ownedQuery.project });
-
-    // Delete the projects
-    const retQuery = await Project.deleteMany(searchQuery);
-
     // Emit the event projects-deleted
-    EventEmitter.emit('projects-deleted', foundProjects);
+    await EventEmitter.emit('projects-deleted',
+      { actor: requestingUser, org: orgID, before: foundProjects });
 
     // Verify that all of the projects were correctly deleted
     if (retQuery.n !== foundProjects.length) {
@@ -1281,3 +1467,28 @@ async function remove(requestingUser, organizationID, projects, options) {
     throw errors.captureError(error);
   }
 }
+
+/**
+ * @description Sorts projects found by separate queries by the validated sort
+ * option, so that they are in the same order the database would return them.
+ * @private
+ *
+ * @param {object[]} projects - The projects to sort.
+ * @param {object} sort - The validated sort option, in the format
+ * { sort_field: order }.
+ *
+ * @returns {object[]} The sorted projects.
+ */
+function sortProjects(projects, sort) {
+  const sortFields = Object.keys(sort || {}).filter(k => !k.startsWith('$'));
+  return projects.sort((a, b) => {
+    for (let i = 0; i < sortFields.length; i++) {
+      const f = sortFields[i];
+      const x = (a[f] instanceof Date) ? a[f].getTime() : a[f];
+      const y = (b[f] instanceof Date) ? b[f].getTime() : b[f];
+      if (x < y) return -sort[f];
+      if (x > y) return sort[f];
+    }
+    return 0;
+  });
+}
@@ -0,0 +1,394 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module controllers.token-controller
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Provides an abstraction layer on top of the Token model that
+ * implements controller logic and behavior for personal access tokens.
+ */
+
+// Expose token controller functions
+// Note: The export is being done before the import to solve the issues of
+// circular references between controllers.
+module.exports = {
+  find,
+  create,
+  remove
+};
+
+// Node modules
+const assert = require('assert');
+const crypto = require('crypto');
+
+// MBEE modules
+const Token = M.require('models.token');
+const Organization = M.require('models.organization');
+const Project = M.require('models.project');
+const User = M.require('models.user');
+const EventEmitter = M.require('lib.events');
+const mbeeCrypto = M.require('lib.crypto');
+const sani = M.require('lib.sanitization');
+const utils = M.require('lib.utils');
+const errors = M.require('lib.errors');
+const helper = M.require('lib.controller-utils');
+const permissions = M.require('lib.permissions');
+
+/**
+ * @description This function finds the personal access tokens of a user. The
+ * secrets of the tokens are never returned. Users can find their own tokens,
+ * and system-wide admins can find the tokens of any user.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} username - The username of the user the tokens belong to.
+ * @param {(string|string[])} [tokens] - The tokens to find. Can either be an
+ * array of token ids, a single token id, or not provided, which defaults to
+ * every token of the user being found.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {number} [options.limit = 0] - A number that specifies the maximum
+ * number of tokens to be returned. A limit of 0 is equivalent to setting no
+ * limit.
+ * @param {number} [options.skip = 0] - A non-negative number that specifies the
+ * number of tokens to skip returning.
+ *
+ * @returns {Promise<object[]>} Array of found tokens, ordered from newest to
+ * oldest.
+ *
+ * @example
+ * find({User}, 'username', ['token1', 'token2'])
+ * .then(function(tokens) {
+ *   // Do something with the found tokens
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function find(requestingUser, username, tokens, options) {
+  try {
+    // Set options if no tokens were provided, but options were
+    if (typeof tokens === 'object' && tokens !== null && !Array.isArray(tokens)) {
+      options = tokens; // eslint-disable-line no-param-reassign
+      tokens = undefined; // eslint-disable-line no-param-reassign
+    }
+
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType('string', username, 'Username');
+    helper.checkParamsDataType(['undefined', 'object', 'string'], tokens, 'Tokens');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniUsername = sani.db(username);
+    const saniTokens = (tokens !== undefined)
+      ? sani.db(JSON.parse(JSON.stringify(tokens)))
+      : undefined;
+
+    // Ensure user has permission to find the tokens
+    permissions.readToken(reqUser, saniUsername);
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['limit', 'skip'], Token);
+
+    // Define searchQuery
+    const searchQuery = { user: saniUsername };
+
+    // Check the type of the tokens parameter
+    if (Array.isArray(saniTokens)) {
+      // An array of token ids, find all
+      searchQuery._id = { $in: saniTokens };
+    }
+    else if (typeof saniTokens === 'string') {
+      // A single token id
+      searchQuery._id = saniTokens;
+    }
+    else if (saniTokens !== undefined) {
+      // Invalid parameter, throw an error
+      throw new M.DataFormatError('Invalid input for finding tokens.', 'warn');
+    }
+
+    // Find the tokens, newest first
+    return await Token.find(searchQuery, null,
+      { skip: validatedOptions.skip, limit: validatedOptions.limit, sort: { createdOn: -1 } });
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function creates one or many personal access tokens for
+ * the requesting user. The token of each created token is returned in the field
+ * "token", and is not stored, so it can only be retrieved once. Tokens can be
+ * limited to reading data and to specific orgs and projects. If a maximum age
+ * is configured for personal access tokens, tokens expire after the maximum age
+ * unless given an earlier expiration. Users can only create their own tokens.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} username - The username of the user the tokens belong to.
+ * @param {(object|object[])} tokens - Either an array of objects containing
+ * token data or a single object containing token data to create.
+ * @param {string} [tokens.name] - The name of the token.
+ * @param {boolean} [tokens.readOnly = false] - If true, the token can only be
+ * used to read data.
+ * @param {string[]} [tokens.orgs] - The IDs of the orgs the token is limited
+ * to.
+ * @param {object[]} [tokens.projects] - The projects the token is limited to,
+ * each an object containing the ids of the org and the project.
+ * @param {string} [tokens.expiresOn] - The date and time the token expires.
+ * @param {object} [options] - A parameter that provides supported options.
+ * Currently there are no supported options.
+ *
+ * @returns {Promise<object[]>} Array of created tokens, each containing its
+ * token in the field "token".
+ *
+ * @example
+ * create({User}, 'username', { name: 'CI', readOnly: true })
+ * .then(function(tokens) {
+ *   // Do something with the newly created tokens
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function create(requestingUser, username, tokens, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType('string', username, 'Username');
+    helper.checkParamsDataType('object', tokens, 'Tokens');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniUsername = sani.db(username);
+    const saniTokens = sani.db(JSON.parse(JSON.stringify(tokens)));
+
+    // Ensure user has permission to create the tokens
+    permissions.createToken(reqUser, saniUsername);
+
+    // Define array to store token data
+    let tokensToCreate = [];
+
+    // Check the type of the tokens parameter
+    if (Array.isArray(saniTokens)) {
+      // tokens is an array, create many tokens
+      tokensToCreate = saniTokens;
+    }
+    else if (typeof saniTokens === 'object') {
+      // tokens is an object, create a single token
+      tokensToCreate = [saniTokens];
+    }
+    else {
+      // tokens is not an object or array, throw an error
+      throw new M.DataFormatError('Invalid input for creating tokens.', 'warn');
+    }
+
+    // Find the latest expiration of tokens, if a maximum age is configured
+    const personalConfig = M.config.auth.token.personal;
+    const maxExpiresOn = (personalConfig)
+      ? Date.now() + personalConfig.expires * utils.timeConversions[personalConfig.units]
+      : null;
+
+    const validTokenKeys = ['name', 'readOnly', 'orgs', 'projects', 'expiresOn'];
+    const orgIDs = [];
+    const projectIDs = [];
+
+    // Validate each token
+    let index = 1;
+    tokensToCreate.forEach((token) => {
+      try {
+        // Ensure keys are valid
+        Object.keys(token).forEach((k) => {
+          assert.ok(validTokenKeys.includes(k), `Invalid key [${k}].`);
+        });
+
+        assert.ok(!token.hasOwnProperty('name') || typeof token.name === 'string',
+          `Token #${index}'s name is not a string.`);
+        assert.ok(!token.hasOwnProperty('readOnly') || typeof token.readOnly === 'boolean',
+          `Token #${index}'s readOnly field is not a boolean.`);
+        assert.ok(!token.hasOwnProperty('orgs') || (Array.isArray(token.orgs)
+          && token.orgs.every(o => typeof o === 'string')),
+        `Token #${index}'s orgs are not an array of org IDs.`);
+        assert.ok(!token.hasOwnProperty('projects') || (Array.isArray(token.projects)
+          && token.projects.every(p => typeof p === 'object' && p !== null
+            && typeof p.org === 'string' && typeof p.project === 'string')),
+        `Token #${index}'s projects are not an array of objects containing an org `
+          + 'and a project.');
+
+        // Ensure the expiration is a date in the future, before the maximum age
+        if (token.hasOwnProperty('expiresOn') && token.expiresOn !== null) {
+          assert.ok(typeof token.expiresOn === 'string' && !Number.isNaN(Date.parse(token.expiresOn)),
+            `Token #${index}'s expiresOn field is not a valid date.`);
+          assert.ok(Date.parse(token.expiresOn) > Date.now(),
+            `Token #${index}'s expiresOn field is not in the future.`);
+          if (maxExpiresOn !== null) {
+            assert.ok(Date.parse(token.expiresOn) <= maxExpiresOn,
+              `Token #${index} cannot expire later than ${personalConfig.expires} `
+              + `${personalConfig.units.toLowerCase()} from now.`);
+          }
+        }
+      }
+      catch (error) {
+        throw new M.DataFormatError(error.message, 'warn');
+      }
+
+      // Convert the projects into project IDs
+      token.orgs = Array.from(new Set(token.orgs || []));
+      token.projects = Array.from(new Set((token.projects || [])
+      .map(p => utils.createID(p.org, p.project))));
+      orgIDs.push(...token.orgs);
+      projectIDs.push(...token.projects);
+      index++;
+    });
+
+    // Ensure the user, orgs and projects exist
+    await helper.findAndValidate(User, saniUsername);
+    await checkExists(Organization, 'orgs', orgIDs);
+    await checkExists(Project, 'projects', projectIDs);
+
+    // Create the token objects, and the token of each
+    const secrets = [];
+    const tokenObjects = tokensToCreate.map((t) => {
+      const id = crypto.randomBytes(8).toString('hex');
+      const secret = crypto.randomBytes(20).toString('hex');
+      secrets.push(`${utils.TOKEN_PREFIX}${id}_${secret}`);
+
+      return {
+        _id: id,
+        user: saniUsername,
+        name: t.name || '',
+        hash: mbeeCrypto.sha256Hash(secret),
+        readOnly: t.readOnly || false,
+        orgs: t.orgs,
+        projects: t.projects,
+        expiresOn: (t.expiresOn) ? Date.parse(t.expiresOn) : maxExpiresOn,
+        createdOn: Date.now()
+      };
+    });
+
+    // Create the tokens
+    const createdTokens = await Token.insertMany(tokenObjects);
+
+    // Emit the event tokens-created
+    await EventEmitter.emit('tokens-created', { actor: reqUser, after: createdTokens });
+
+    // Return the created tokens, with the token of each
+    return createdTokens.map((t) => Object.assign({}, t,
+      { token: secrets[tokenObjects.findIndex(o => o._id === t._id)] }));
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function removes one or many personal access tokens of a
+ * user, which revokes them immediately. Users can remove their own tokens, and
+ * system-wide admins can remove the tokens of any user.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} username - The username of the user the tokens belong to.
+ * @param {(string|string[])} tokens - The tokens to remove. Can either be an
+ * array of token ids or a single token id.
+ * @param {object} [options] - A parameter that provides supported options.
+ * Currently there are no supported options.
+ *
+ * @returns {Promise<string[]>} Array of deleted token ids.
+ *
+ * @example
+ * remove({User}, 'username', ['token1', 'token2'])
+ * .then(function(tokens) {
+ *   // Do something with the deleted token ids
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function remove(requestingUser, username, tokens, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType('string', username, 'Username');
+    helper.checkParamsDataType(['object', 'string'], tokens, 'Tokens');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniUsername = sani.db(username);
+    const saniTokens = sani.db(JSON.parse(JSON.stringify(tokens)));
+    let searchedIDs = [];
+
+    // Ensure user has permission to delete the tokens
+    permissions.deleteToken(reqUser, saniUsername);
+
+    // Check the type of the tokens parameter
+    if (Array.isArray(saniTokens) && saniTokens.every(t => typeof t === 'string')) {
+      // An array of token ids, remove all
+      searchedIDs = saniTokens;
+    }
+    else if (typeof saniTokens === 'string') {
+      // A single token id
+      searchedIDs = [saniTokens];
+    }
+    else {
+      // Invalid parameter, throw an error
+      throw new M.DataFormatError('Invalid input for removing tokens.', 'warn');
+    }
+
+    // Find the tokens to delete
+    const searchQuery = { _id: { $in: searchedIDs }, user: saniUsername };
+    const foundTokens = await Token.find(searchQuery);
+    const foundIDs = foundTokens.map(t => t._id);
+
+    // Check if all tokens were found
+    const notFoundIDs = searchedIDs.filter(t => !foundIDs.includes(t));
+    // Some tokens not found, throw an error
+    if (notFoundIDs.length > 0) {
+      throw new M.NotFoundError('The following tokens were not found: '
+        + `[${notFoundIDs}].`, 'warn');
+    }
+
+    // Remove the tokens
+    await Token.deleteMany(searchQuery);
+
+    // Emit the event tokens-deleted
+    await EventEmitter.emit('tokens-deleted', { actor: reqUser, before: foundTokens });
+
+    // Return the deleted token ids
+    return foundIDs;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description Verifies that the orgs or projects a token is limited to
+ * exist.
+ *
+ * @param {object} Model - The model of the documents, either the Organization
+ * or Project model.
+ * @param {string} name - The name of the documents, used in error messages.
+ * @param {string[]} ids - The IDs of the documents.
+ *
+ * @throws {NotFoundError}
+ */
+async function checkExists(Model, name, ids) {
+  if (ids.length === 0) {
+    return;
+  }
+
+  const found = await Model.find({ _id: { $in: ids }, archived: false }, '_id');
+  const foundIDs = found.map(d => d._id);
+  const notFoundIDs = ids.filter(i => !foundIDs.includes(i))
+  .map(i => utils.parseID(i).pop());
+
+  if (notFoundIDs.length > 0) {
+    throw new M.NotFoundError(`The following ${name} were not found: [${notFoundIDs}].`, 'warn');
+  }
+}
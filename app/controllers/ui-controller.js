@@ -26,6 +26,7 @@ module.exports = {
   flightManual,
   adminConsole,
   profile,
+  search,
   organization,
   project,
   swaggerDoc,
@@ -44,6 +45,7 @@ const path = require('path');
 const swaggerJSDoc = require('swagger-jsdoc');
 
 // MBEE modules
+const AuthController = M.require('lib.auth');
 const utils = M.require('lib.utils');
 const validators = M.require('lib.validators');
 const logger = M.require('lib.logger');
@@ -107,6 +109,25 @@ function profile(req, res) {
   });
 }
 
+/**
+ * @description Renders the search of the elements of every project.
+ *
+ * @param {object} req - Request express object.
+ * @param {object} res - Response express object.
+ */
+function search(req, res) {
+  // Sanity check: confirm req.user exists
+  if (!req.user) {
+    M.log.critical('/search executed with invalid req.user object');
+    // redirect to the login screen
+    res.redirect('/login');
+  }
+  utils.render(req, res, 'search', {
+    name: 'search',
+    title: 'MBEE | Model-Based Engineering Environment'
+  });
+}
+
 /**
  * @description Renders the organization page.
  *
@@ -255,10 +276,18 @@ function showLoginPage(req, res) {
     next = req.query.next;
   }
 
+  // Cancel the pending two-factor login, to log in as a different user
+  if (req.query.restart) {
+    delete req.session.twoFactor;
+  }
+
   // render the login page
   return utils.render(req, res, 'login', {
     title: 'Login | Model-Based Engineering Environment',
     next: next,
+    sso: AuthController.authorizationCodeFlow,
+    // Ask for the code of a user with two-factor authentication
+    twoFactor: Boolean(req.session.twoFactor && req.session.twoFactor.expires > Date.now()),
     err: req.flash('loginError')
   });
 }
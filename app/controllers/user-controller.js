@@ -28,6 +28,10 @@ module.exports = {
   createOrReplace,
   remove,
   updatePassword,
+  unlock,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
   search
 };
 
@@ -37,10 +41,14 @@ const fs = require('fs');
 const path = require('path');
 
 // MBEE modules
+const Group = M.require('models.group');
 const Organization = M.require('models.organization');
 const Project = M.require('models.project');
+const Token = M.require('models.token');
 const User = M.require('models.user');
 const EventEmitter = M.require('lib.events');
+const mbeeCrypto = M.require('lib.crypto');
+const totp = M.require('lib.totp');
 const sani = M.require('lib.sanitization');
 const validators = M.require('lib.validators');
 const jmi = M.require('lib.jmi-conversions');
@@ -48,6 +56,7 @@ const utils = M.require('lib.utils');
 const errors = M.require('lib.errors');
 const helper = M.require('lib.controller-utils');
 const permissions = M.require('lib.permissions');
+const LocalStrategy = M.require('auth.local-strategy');
 
 /**
  * @description This function finds one or many users. Depending on the given
@@ -91,6 +100,12 @@ const permissions = M.require('lib.permissions');
  * @param {string} [options.sort] - Provide a particular field to sort the results by.
  * You may also add a negative sign in front of the field to indicate sorting in
  * reverse order.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found users. Only the users after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching users is counted and returned in the property pageInfo.total of
+ * the found users.
  *
  * @returns {Promise<object[]>} Array of found users.
  *
@@ -122,7 +137,7 @@ async function find(requestingUser, users, options) {
 
     // Initialize and ensure options are valid
     const validatedOptions = utils.validateOptions(options, ['populate',
-      'includeArchived', 'fields', 'limit', 'skip', 'sort'], User);
+      'includeArchived', 'fields', 'limit', 'skip', 'sort', 'after', 'count'], User);
 
     // Define searchQuery
     const searchQuery = { archived: false };
@@ -173,13 +188,18 @@ async function find(requestingUser, users, options) {
       throw new M.DataFormatError('Invalid input for finding users.', 'warn');
     }
 
-    // Find and return the users
-    return await User.find(searchQuery, validatedOptions.fieldsString,
+    // Find the users after the cursor, if provided
+    const foundUsers = await User.find(utils.applyCursor(searchQuery, validatedOptions),
+      validatedOptions.fieldsString,
       { limit: validatedOptions.limit,
         skip: validatedOptions.skip,
         sort: validatedOptions.sort,
         populate: validatedOptions.populateString
       });
+
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundUsers, validatedOptions,
+      () => User.countDocuments(searchQuery));
   }
   catch (error) {
     throw errors.captureError(error);
@@ -310,6 +330,7 @@ async function create(requestingUser, users, options) {
       u.updatedOn = Date.now();
       u.archivedBy = (u.archived) ? reqUser._id : null;
       u.archivedOn = (u.archived) ? Date.now() : null;
+      u.passwordUpdatedOn = (u.password) ? Date.now() : null;
       User.hashPassword(u);
       return u;
     });
@@ -318,7 +339,7 @@ async function create(requestingUser, users, options) {
     const createdUsers = await User.insertMany(userObjects);
 
     // Emit the event users-created
-    EventEmitter.emit('users-created', createdUsers);
+    await EventEmitter.emit('users-created', { actor: reqUser, after: createdUsers });
 
     // Find the default organization
     const defaultOrgQuery = { _id: M.config.server.defaultOrganizationId };
@@ -529,10 +550,11 @@ async function update(requestingUser, users, options) {
             updateUser.archivedBy = reqUser._id;
             updateUser.archivedOn = Date.now();
           }
-          // If the user is being unarchived
+          // If the user is being unarchived, which also unlocks a locked account
           else if (!updateUser[key] && user[key]) {
             updateUser.archivedBy = null;
             updateUser.archivedOn = null;
+            updateUser.lockedOn = null;
           }
         }
       });
@@ -557,7 +579,8 @@ async function update(requestingUser, users, options) {
       { populate: validatedOptions.populateString });
 
     // Emit the event users-updated
-    EventEmitter.emit('users-updated', foundUpdatedUsers);
+    await EventEmitter.emit('users-updated',
+      { actor: reqUser, before: foundUsers, after: foundUpdatedUsers });
 
     return foundUpdatedUsers;
   }
@@ -675,7 +698,7 @@ async function createOrReplace(requestingUser, users, options) {
     await User.deleteMany({ _id: { $in: foundUsers.map(u => u._id) } });
 
     // Emit the event users-deleted
-    EventEmitter.emit('users-deleted', foundUsers);
+    await EventEmitter.emit('users-deleted', { actor: requestingUser, before: foundUsers });
 
     // Try block to create new users after the old ones were deleted
     try {
@@ -701,7 +724,7 @@ async function createOrReplace(requestingUser, users, options) {
       });
     }
 
-    EventEmitter.emit('users-created', createdUsers);
+    await EventEmitter.emit('users-created', { actor: requestingUser, after: createdUsers });
 
     // Delete the temporary file.
     const filePath = path.join(M.root, 'data',
@@ -720,7 +743,8 @@ async function createOrReplace(requestingUser, users, options) {
 /**
  * @description This function removes one or many users. It additionally removes
  * the user from permissions lists on any org or project that the user was apart
- * of. This function can be used by system-wide admins ONLY.
+ * of, and from the members of any group. The personal access tokens of the
+ * users are revoked. This function can be used by system-wide admins ONLY.
  *
  * @param {User} requestingUser - The object containing the requesting user.
  * @param {(string|string[])} users - The users to remove. Can either be an
@@ -834,11 +858,23 @@ async function remove(requestingUser, users, options) {
     // Save all projects and return once all are saved
     await Promise.all(promises2);
 
+    // Find any groups the users were members of
+    const groups = await Group.find({
+      $or: foundUsernames.map(user => ({ members: { $all: [user] } }))
+    });
+
+    // For each group, remove users from the members
+    await Promise.all(groups.map(group => Group.updateOne({ _id: group._id },
+      { members: group.members.filter(m => !foundUsernames.includes(m)) })));
+
+    // Revoke the personal access tokens of the users
+    await Token.deleteMany({ user: { $in: foundUsernames } });
+
     // Remove the users
     await User.deleteMany(searchQuery);
 
     // Emit the event users-deleted
-    EventEmitter.emit('users-deleted', foundUsers);
+    await EventEmitter.emit('users-deleted', { actor: reqUser, before: foundUsers });
 
     // Return the deleted users
     return foundUsernames;
@@ -994,6 +1030,9 @@ async function updatePassword(requestingUser, targetUser, oldPassword, newPasswo
     const reqUser = JSON.parse(JSON.stringify(requestingUser));
     const tarUser = JSON.parse(JSON.stringify(targetUser));
 
+    // Ensure the user has permission to update the target user
+    permissions.updateUser(reqUser, { _id: tarUser });
+
     // Find the target user
     const userQuery = { _id: tarUser };
     const foundUser = await User.findOne(userQuery);
@@ -1003,11 +1042,8 @@ async function updatePassword(requestingUser, targetUser, oldPassword, newPasswo
       throw new M.NotFoundError('User not found.', 'warn');
     }
 
-    // Check if requesting and target user are the same, and requesting user is not an admin
-    if (reqUser._id !== tarUser && !reqUser.admin) {
-      throw new M.PermissionError('Cannot set another user\'s password.', 'warn');
-    }
-    else if (reqUser._id === tarUser) {
+    // Users setting their own password must confirm their old password
+    if (reqUser._id === tarUser) {
       // Verify the old password matches
       const verified = await User.verifyPassword(foundUser, oldPassword);
 
@@ -1019,6 +1055,7 @@ async function updatePassword(requestingUser, targetUser, oldPassword, newPasswo
 
     // Verify that the new password has not been used in the previous stored passwords
     const oldPasswords = await User.checkOldPasswords(foundUser, newPassword);
+    const beforeUser = Object.assign({}, foundUser);
 
     // Update password on requesting user
     foundUser.password = newPassword;
@@ -1029,13 +1066,306 @@ async function updatePassword(requestingUser, targetUser, oldPassword, newPasswo
     await User.updateOne(userQuery, {
       password: foundUser.password,
       oldPasswords: oldPasswords,
-      changePassword: reqUser._id !== tarUser
+      changePassword: reqUser._id !== tarUser,
+      passwordUpdatedOn: Date.now()
+    });
+
+    const updatedUser = await User.findOne(userQuery);
+
+    // Emit the event users-updated
+    await EventEmitter.emit('users-updated',
+      { actor: reqUser, before: [beforeUser], after: [updatedUser] });
+
+    // Return the updated user
+    return updatedUser;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description Unlocks the account of a user which was locked after exceeding
+ * the allowed number of failed logins. The failed logins of the user are
+ * cleared, and if the account was locked it is un-archived, including accounts
+ * which were locked before the time of locking was recorded. Only system-wide
+ * admins can unlock accounts.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} username - The username of the user to unlock.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {string[]} [options.populate] - A list of fields to populate on return of
+ * the found objects. By default, no fields are populated.
+ * @param {string[]} [options.fields] - An array of fields to return. By default
+ * includes the _id and username fields. To NOT include a field, provide a '-'
+ * in front.
+ *
+ * @returns {Promise<object>} The unlocked user.
+ *
+ * @example
+ * unlock({User}, 'username')
+ * .then(function(user) {
+ *   // Do something with the unlocked user
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function unlock(requestingUser, username, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType('string', username, 'Username');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniUsername = sani.db(username);
+
+    // Initialize and ensure options are valid
+    const validatedOptions = utils.validateOptions(options, ['populate', 'fields'], User);
+
+    // Ensure user has permission to unlock users
+    permissions.unlockUser(reqUser);
+
+    // Find the user to unlock
+    const foundUser = await User.findOne({ _id: saniUsername });
+    if (foundUser === null) {
+      throw new M.NotFoundError(`User [${saniUsername}] not found.`, 'warn');
+    }
+
+    // Clear the failed logins, and un-archive the account if it was locked
+    const updateQuery = {
+      failedlogins: [],
+      lastModifiedBy: reqUser._id,
+      updatedOn: Date.now()
+    };
+    if (LocalStrategy.isLocked(foundUser)) {
+      updateQuery.lockedOn = null;
+      updateQuery.archived = false;
+      updateQuery.archivedOn = null;
+      updateQuery.archivedBy = null;
+    }
+    await User.updateOne({ _id: saniUsername }, updateQuery);
+
+    const unlockedUser = await User.findOne({ _id: saniUsername },
+      validatedOptions.fieldsString, { populate: validatedOptions.populateString });
+
+    // Emit the events users-updated and user-account-unlocked
+    await EventEmitter.emit('users-updated',
+      { actor: reqUser, before: [foundUser], after: [unlockedUser] });
+    await EventEmitter.emit('user-account-unlocked', { actor: reqUser, ids: [saniUsername] });
+
+    return unlockedUser;
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description Starts the enrollment of a local user in two-factor
+ * authentication. A new TOTP secret and recovery codes are generated, and the
+ * secret is stored encrypted with the hashes of the recovery codes. Two-factor
+ * authentication is enabled once a code of the secret is confirmed with
+ * confirmTwoFactor(). Users can only enroll themselves.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} username - The username of the user to enroll.
+ *
+ * @returns {Promise<object>} An object containing the base32 encoded secret,
+ * the provisioning URI of the secret for authenticator apps, and the recovery
+ * codes. The secret and recovery codes are not returned again.
+ *
+ * @example
+ * enrollTwoFactor({User}, 'username')
+ * .then(function(enrollment) {
+ *   // Show enrollment.uri and enrollment.recoveryCodes to the user
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function enrollTwoFactor(requestingUser, username) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser);
+    helper.checkParamsDataType('string', username, 'Username');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniUsername = sani.db(username);
+
+    // Find the user and ensure they can enroll
+    const foundUser = await findTwoFactorUser(reqUser, saniUsername);
+    if (foundUser.twoFactor && foundUser.twoFactor.enabled) {
+      throw new M.OperationError('Two-factor authentication is already enabled.', 'warn');
+    }
+
+    // Generate the secret and recovery codes, and store them in the user
+    const secret = totp.generateSecret();
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await User.updateOne({ _id: saniUsername }, {
+      twoFactor: {
+        enabled: false,
+        secret: mbeeCrypto.encrypt(secret),
+        recoveryCodes: recoveryCodes.map(c => mbeeCrypto.sha256Hash(c))
+      }
+    });
+
+    const issuer = (M.config.auth.twoFactor && M.config.auth.twoFactor.issuer) || 'MBEE';
+    return {
+      secret: secret,
+      uri: totp.getProvisioningURI(secret, saniUsername, issuer),
+      recoveryCodes: recoveryCodes
+    };
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description Enables the two-factor authentication of a local user, once
+ * they have confirmed a code of the secret generated by enrollTwoFactor().
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} username - The username of the user to enable two-factor
+ * authentication for.
+ * @param {string} code - A code of the secret from the authenticator app.
+ *
+ * @returns {Promise<object>} The updated user.
+ *
+ * @example
+ * confirmTwoFactor({User}, 'username', '123456')
+ * .then(function(user) {
+ *   // Do something with the updated user
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function confirmTwoFactor(requestingUser, username, code) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser);
+    helper.checkParamsDataType('string', username, 'Username');
+    helper.checkParamsDataType('string', code, 'Code');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniUsername = sani.db(username);
+
+    // Find the user and ensure they have started enrolling
+    const foundUser = await findTwoFactorUser(reqUser, saniUsername);
+    if (!foundUser.twoFactor) {
+      throw new M.OperationError('Two-factor authentication enrollment has not been started.',
+        'warn');
+    }
+    if (foundUser.twoFactor.enabled) {
+      throw new M.OperationError('Two-factor authentication is already enabled.', 'warn');
+    }
+
+    // Verify the code, and store its time step so it cannot be used to log in
+    const lastStep = totp.verifyCode(mbeeCrypto.decrypt(foundUser.twoFactor.secret), code);
+    if (lastStep === null) {
+      throw new M.DataFormatError('Invalid two-factor authentication code.', 'warn');
+    }
+
+    await User.updateOne({ _id: saniUsername }, {
+      twoFactor: Object.assign({}, foundUser.twoFactor,
+        { enabled: true, enabledOn: Date.now(), lastStep: lastStep })
     });
 
-    // Find and return the updated user
-    return await User.findOne(userQuery);
+    // Emit the event user-two-factor-enabled
+    await EventEmitter.emit('user-two-factor-enabled', { actor: reqUser, ids: [saniUsername] });
+
+    return await User.findOne({ _id: saniUsername });
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description Disables the two-factor authentication of a user, removing their
+ * secret and recovery codes. Users can disable their own two-factor
+ * authentication, and system-wide admins can disable it for users who have lost
+ * their authenticator app and recovery codes. Users who are required to use
+ * two-factor authentication must enroll again.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} username - The username of the user to disable two-factor
+ * authentication for.
+ *
+ * @returns {Promise<object>} The updated user.
+ *
+ * @example
+ * disableTwoFactor({User}, 'username')
+ * .then(function(user) {
+ *   // Do something with the updated user
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function disableTwoFactor(requestingUser, username) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser);
+    helper.checkParamsDataType('string', username, 'Username');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniUsername = sani.db(username);
+
+    // Ensure the user has permission to update the user
+    permissions.updateUser(reqUser, { _id: saniUsername });
+
+    // Find the user
+    const foundUser = await User.findOne({ _id: saniUsername });
+    if (foundUser === null) {
+      throw new M.NotFoundError(`User [${saniUsername}] not found.`, 'warn');
+    }
+    if (!foundUser.twoFactor) {
+      throw new M.OperationError('Two-factor authentication is not enabled.', 'warn');
+    }
+
+    await User.updateOne({ _id: saniUsername }, { twoFactor: null });
+
+    // Emit the event user-two-factor-disabled
+    await EventEmitter.emit('user-two-factor-disabled', { actor: reqUser, ids: [saniUsername] });
+
+    return await User.findOne({ _id: saniUsername });
   }
   catch (error) {
     throw errors.captureError(error);
   }
 }
+
+/**
+ * @description A helper function which finds the user enrolling in two-factor
+ * authentication, and ensures the requesting user is that user, that they have
+ * permission to update themselves, and that they are a local user.
+ *
+ * @param {User} reqUser - The requesting user.
+ * @param {string} username - The sanitized username of the user to find.
+ *
+ * @returns {Promise<object>} The found user.
+ */
+async function findTwoFactorUser(reqUser, username) {
+  if (reqUser._id !== username) {
+    throw new M.PermissionError('Users can only enroll themselves in two-factor '
+      + 'authentication.', 'warn');
+  }
+  permissions.updateUser(reqUser, { _id: username });
+
+  const foundUser = await User.findOne({ _id: username });
+  if (foundUser === null) {
+    throw new M.NotFoundError(`User [${username}] not found.`, 'warn');
+  }
+  if (foundUser.provider && foundUser.provider !== 'local') {
+    throw new M.OperationError('Two-factor authentication is only available for local users.',
+      'warn');
+  }
+  return foundUser;
+}
@@ -22,7 +22,9 @@ module.exports = {
   find,
   create,
   update,
-  remove
+  remove,
+  findDeliveries,
+  redeliver
 };
 
 // NPM modules
@@ -33,9 +35,11 @@ const assert = require('assert');
 
 // MBEE modules
 const Webhook = M.require('models.webhook');
+const WebhookDelivery = M.require('models.webhook-delivery');
 const Org = M.require('models.organization');
 const Project = M.require('models.project');
 const Branch = M.require('models.branch');
+const db = M.require('db');
 const utils = M.require('lib.utils');
 const errors = M.require('lib.errors');
 const helper = M.require('lib.controller-utils');
@@ -44,6 +48,7 @@ const permissions = M.require('lib.permissions');
 const EventEmitter = M.require('lib.events');
 const jmi = M.require('lib.jmi-conversions');
 const validators = M.require('lib.validators');
+const webhookQueue = M.require('lib.webhook-queue');
 
 
 /**
@@ -72,6 +77,12 @@ const validators = M.require('lib.validators');
  * 5 documents will NOT be returned.
  * @param {string} [options.sort] - Provide a particular field to sort the results by. To sort
  * in reverse order, provide a '-' in front.
+ * @param {string} [options.after] - A cursor returned by a previous find, in
+ * the property pageInfo.next of the found webhooks. Only the webhooks after the
+ * cursor are returned, using the same sort option.
+ * @param {boolean} [options.count = false] - If true, the total number of
+ * matching webhooks is counted and returned in the property pageInfo.total of
+ * the found webhooks.
  * @param {string} [options.org] - An org ID to query for webhooks on.
  * @param {string} [options.project] - A project ID to query for webhooks on. The org must also
  * be provided.
@@ -121,7 +132,7 @@ async function find(requestingUser, webhooks, options) {
 
     // Validate the provided options
     const validatedOptions = utils.validateOptions(options, ['includeArchived',
-      'populate', 'fields', 'limit', 'skip', 'sort'], Webhook);
+      'populate', 'fields', 'limit', 'skip', 'sort', 'after', 'count'], Webhook);
 
     // Ensure search options are valid
     if (options) {
@@ -183,7 +194,9 @@ async function find(requestingUser, webhooks, options) {
       searchQuery.archived = true;
     }
 
-    const foundWebhooks = await Webhook.find(searchQuery, validatedOptions.fieldsString,
+    // Find the webhooks after the cursor, if provided
+    const foundWebhooks = await Webhook.find(utils.applyCursor(searchQuery, validatedOptions),
+      validatedOptions.fieldsString,
       { skip: validatedOptions.skip,
         limit: validatedOptions.limit,
         sort: validatedOptions.sort,
@@ -194,7 +207,9 @@ async function find(requestingUser, webhooks, options) {
     await checkPermissions(reqUser, foundWebhooks, 'readWebhook',
       ((options && options.archived) || validatedOptions.includeArchived));
 
-    return foundWebhooks;
+    // Add the cursor of the next page and the total count
+    return await helper.setPageInfo(foundWebhooks, validatedOptions,
+      () => Webhook.countDocuments(searchQuery));
   }
   catch (error) {
     throw errors.captureError(error);
@@ -227,6 +242,10 @@ async function find(requestingUser, webhooks, options) {
  * @param {string} [webhooks.reference.org] - The id of the owning organization.
  * @param {string} [webhooks.reference.project] - The id of the owning project.
  * @param {string} [webhooks.reference.branch] - The id of the owning branch.
+ * @param {object} [webhooks.filters] - Optional filters of the events which trigger an outgoing
+ * webhook.
+ * @param {string[]} [webhooks.filters.type] - The element types which trigger the webhook.
+ * @param {object} [webhooks.filters.custom] - The custom data values which trigger the webhook.
  * @param {object} [webhooks.custom] - Any additional key/value pairs for an
  * object. Must be proper JSON form.
  * @param {object} [options] - A parameter that provides supported options.
@@ -270,7 +289,7 @@ async function create(requestingUser, webhooks, options) {
 
     // Create a list of valid keys
     const validWebhookKeys = ['name', 'type', 'description', 'triggers', 'url', 'token',
-      'tokenLocation', 'reference', 'custom'];
+      'tokenLocation', 'reference', 'filters', 'custom'];
 
     // Check that user has permission to create webhooks
     await checkPermissions(reqUser, webhooksToCreate, 'createWebhook');
@@ -338,7 +357,7 @@ async function create(requestingUser, webhooks, options) {
       { populate: validatedOptions.populateString });
 
     // Emit the event for webhook creation
-    EventEmitter.emit('webhooks-created', foundWebhooks);
+    await EventEmitter.emit('webhooks-created', { actor: reqUser, after: foundWebhooks });
 
     return foundWebhooks;
   }
@@ -364,6 +383,8 @@ async function create(requestingUser, webhooks, options) {
  * provide in order to verify the request.
  * @param {string} [webhooks.tokenLocation] - A dot-delimited string that represents the location
  * of the token within an external request to trigger a webhook.
+ * @param {object} [webhooks.filters] - The updated filters of the events which trigger an
+ * outgoing webhook.
  * @param {object} [options] - A parameter that provides supported options.
  * @param {string[]} [options.populate] - A list of fields to populate on return
  * of the found objects. By default, no fields are populated.
@@ -441,6 +462,9 @@ async function update(requestingUser, webhooks, options) {
     // First check that the user has permission to modify the webhooks
     await checkPermissions(reqUser, foundWebhooks, 'updateWebhook');
 
+    // Ensure none of the webhooks have changed since the provided revisions
+    const revisionFilters = helper.checkRevisions(foundWebhooks, webhooksToUpdate, 'webhooks');
+
     // Check that the user isn't trying to make any invalid updates
     foundWebhooks.forEach((webhook) => {
       const webhookUpdate = jmiUpdates[webhook._id];
@@ -532,17 +556,22 @@ async function update(requestingUser, webhooks, options) {
         }
       }
 
-      // Push the update onto the list of updates
+      // Push the update onto the list of updates, which only matches the
+      // webhook if it is unchanged since its revision was checked
       bulkArray.push({
         updateOne: {
-          filter: { _id: id },
+          filter: Object.assign({ _id: id }, revisionFilters[id]),
           update: webhookUpdate
         }
       });
     });
 
-    // Send it
-    await Webhook.bulkWrite(bulkArray);
+    // Send it, in a transaction so that no webhook is updated if one has
+    // changed since its revision was checked
+    await db.withTransaction(async (session) => {
+      const result = await Webhook.bulkWrite(bulkArray, { session: session });
+      await helper.checkWrittenRevisions(Webhook, bulkArray, result, 'webhooks', session);
+    });
 
     // Find the updated webhooks
     const foundUpdatedWebhooks = await Webhook.find({ _id: { $in: webhookIDs } },
@@ -550,7 +579,11 @@ async function update(requestingUser, webhooks, options) {
       { populate: validatedOptions.populateString });
 
     // Emit the event webhooks-updated
-    EventEmitter.emit('webhooks-updated', foundUpdatedWebhooks);
+    await EventEmitter.emit('webhooks-updated', {
+      actor: reqUser,
+      before: foundWebhooks,
+      after: foundUpdatedWebhooks
+    });
 
     return foundUpdatedWebhooks;
   }
@@ -620,8 +653,11 @@ async function remove(requestingUser, webhooks, options) {
     // Delete the webhooks
     await Webhook.deleteMany({ _id: { $in: webhooksToDelete } });
 
+    // Delete the deliveries of the webhooks
+    await WebhookDelivery.deleteMany({ webhook: { $in: webhooksToDelete } });
+
     // Emit event for webhook deletion
-    EventEmitter.emit('webhooks-deleted', foundWebhooks);
+    await EventEmitter.emit('webhooks-deleted', { actor: reqUser, before: foundWebhooks });
 
     return foundWebhooks.map((w) => w._id);
   }
@@ -630,6 +666,147 @@ async function remove(requestingUser, webhooks, options) {
   }
 }
 
+/**
+ * @description This function finds the deliveries of an outgoing webhook. A
+ * delivery is created every time the webhook is triggered, and records every
+ * attempt to send it, including the status code of the response, the latency
+ * of the request and any error. The user making the request must have read
+ * permissions at the level of the webhook, or be a system-wide admin.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} webhookID - The ID of the webhook whose deliveries are found.
+ * @param {object} [options] - A parameter that provides supported options.
+ * @param {number} [options.limit = 0] - A number that specifies the maximum number of
+ * deliveries to be returned to the user. A limit of 0 is equivalent to setting no limit.
+ * @param {number} [options.skip = 0] - A non-negative number that specifies the number of
+ * deliveries to skip returning.
+ * @param {string} [options.status] - Search for deliveries with a specific status, either
+ * pending, delivered or failed.
+ *
+ * @returns {Promise<object[]>} Array of found deliveries, ordered from newest to oldest.
+ *
+ * @example
+ * findDeliveries({User}, 'webhookID', { status: 'failed' })
+ * .then(function(deliveries) {
+ *   // Do something with the found deliveries
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function findDeliveries(requestingUser, webhookID, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType('string', webhookID, 'Webhook ID');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniWebhookID = sani.db(webhookID);
+    const searchQuery = { webhook: saniWebhookID };
+
+    // Validate the provided options
+    const validatedOptions = utils.validateOptions(options, ['limit', 'skip'], WebhookDelivery);
+
+    // Add the status search option to the search query
+    if (options && options.hasOwnProperty('status')) {
+      if (typeof options.status !== 'string') {
+        throw new M.DataFormatError('The option \'status\' is not a string.', 'warn');
+      }
+      searchQuery.status = sani.db(options.status);
+    }
+
+    // Find the webhook and check permissions to read it
+    const webhook = await findWebhook(reqUser, saniWebhookID, 'readWebhook');
+    searchQuery.webhook = webhook._id;
+
+    // Find the deliveries, newest first
+    return await WebhookDelivery.find(searchQuery, null,
+      { skip: validatedOptions.skip, limit: validatedOptions.limit, sort: { createdOn: -1 } });
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description This function sends a delivery of an outgoing webhook again.
+ * The delivery is sent regardless of its status, and is retried if it fails.
+ * The new attempt is added to the attempts of the delivery. The user making
+ * the request must have update permissions at the level of the webhook, or be
+ * a system-wide admin.
+ *
+ * @param {User} requestingUser - The object containing the requesting user.
+ * @param {string} webhookID - The ID of the webhook the delivery belongs to.
+ * @param {string} deliveryID - The ID of the delivery to send again.
+ * @param {object} [options] - A parameter that provides supported options.
+ * Currently there are no supported options.
+ *
+ * @returns {Promise<object>} The delivery after it was sent again.
+ *
+ * @example
+ * redeliver({User}, 'webhookID', 'deliveryID')
+ * .then(function(delivery) {
+ *   // Do something with the delivery
+ * })
+ * .catch(function(error) {
+ *   M.log.error(error);
+ * });
+ */
+async function redeliver(requestingUser, webhookID, deliveryID, options) {
+  try {
+    // Ensure input parameters are correct type
+    helper.checkParams(requestingUser, options);
+    helper.checkParamsDataType('string', webhookID, 'Webhook ID');
+    helper.checkParamsDataType('string', deliveryID, 'Delivery ID');
+
+    // Sanitize input parameters and create function-wide variables
+    const reqUser = JSON.parse(JSON.stringify(requestingUser));
+    const saniWebhookID = sani.db(webhookID);
+    const saniDeliveryID = sani.db(deliveryID);
+
+    // Find the webhook and check permissions to update it
+    const webhook = await findWebhook(reqUser, saniWebhookID, 'updateWebhook');
+
+    // Ensure the webhook is an outgoing webhook
+    if (webhook.type !== 'Outgoing') {
+      throw new M.OperationError('Only outgoing webhooks can be redelivered.', 'warn');
+    }
+
+    // Find the delivery
+    const delivery = await WebhookDelivery.findOne({ _id: saniDeliveryID,
+      webhook: webhook._id }, null);
+    if (!delivery) {
+      throw new M.NotFoundError(`Delivery [${saniDeliveryID}] not found.`, 'warn');
+    }
+
+    // Send the delivery again
+    return await webhookQueue.redeliver(delivery._id);
+  }
+  catch (error) {
+    throw errors.captureError(error);
+  }
+}
+
+/**
+ * @description A helper function that finds a single webhook and checks that the
+ * requesting user has permission to access it.
+ *
+ * @param {User} reqUser - The model representing the requesting user.
+ * @param {string} webhookID - The ID of the webhook to find.
+ * @param {string} operation - The permission operation to check.
+ *
+ * @returns {Promise<Webhook>} The found webhook.
+ */
+async function findWebhook(reqUser, webhookID, operation) {
+  const webhook = await Webhook.findOne({ _id: webhookID }, null);
+  if (!webhook) {
+    throw new M.NotFoundError(`Webhook [${webhookID}] not found.`, 'warn');
+  }
+  await checkPermissions(reqUser, [webhook], operation);
+  return webhook;
+}
+
 /**
  * @description A helper function that parses the reference id of a webhook and then
  * checks that the requesting user has permission to access the webhook.
@@ -18,9 +18,17 @@
 // Node modules
 const events = require('events');
 
+// NPM modules
+const uuidv4 = require('uuid/v4');
+
 // MBEE modules
 const DBModule = M.require(`db.${M.config.db.strategy}.${M.config.db.strategy}`);
 
+// Each model by name, used to roll back the writes of journaled transactions
+const models = {};
+// The maximum number of documents stored in a single journal entry
+const journalBatchSize = 1000;
+
 const requiredFunctions = ['connect', 'disconnect', 'clear', 'sanitize',
   'Schema', 'Model', 'Store'];
 
@@ -98,6 +106,297 @@ function sanitize(data) {
   }
 }
 
+/**
+ * @description Rolls back any journaled transactions which did not complete,
+ * for example because the server stopped during the transaction. Transactions
+ * which were committed have their journal deleted. Should be run on startup,
+ * once all models are initialized.
+ * @async
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function recoverTransactions() {
+  const Transaction = M.require('models.transaction');
+  const transactions = await Transaction.find({ sequence: 0 });
+
+  for (let i = 0; i < transactions.length; i++) {
+    if (transactions[i].state === 'committed') {
+      // eslint-disable-next-line no-await-in-loop
+      await Transaction.deleteMany({ transaction: transactions[i]._id });
+    }
+    else {
+      M.log.warn(`Rolling back the incomplete transaction ${transactions[i]._id}.`);
+      await rollback(transactions[i]._id); // eslint-disable-line no-await-in-loop
+    }
+  }
+}
+
+/**
+ * @description Undoes the writes of a journaled transaction, in the reverse
+ * order they were made, and deletes the journal of the transaction. Documents
+ * which were inserted are deleted, and documents which were updated or
+ * deleted are restored to their state before the transaction.
+ * @async
+ *
+ * @param {string} transactionID - The ID of the transaction.
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function rollback(transactionID) {
+  const Transaction = M.require('models.transaction');
+  const entries = (await Transaction.find({ transaction: transactionID }))
+  .filter(e => e.sequence > 0)
+  .sort((a, b) => b.sequence - a.sequence);
+
+  /* eslint-disable no-await-in-loop */
+  for (let i = 0; i < entries.length; i++) {
+    const model = models[entries[i].model];
+    const ids = entries[i].inserted.concat(entries[i].restore.map(d => d._id));
+    // Delete the written documents in batches of 50000
+    for (let j = 0; j < ids.length; j += 50000) {
+      await model.deleteMany({ _id: { $in: ids.slice(j, j + 50000) } });
+    }
+    if (entries[i].restore.length > 0) {
+      await model.insertMany(entries[i].restore, { skipValidation: true });
+    }
+  }
+  /* eslint-enable no-await-in-loop */
+
+  await Transaction.deleteMany({ transaction: transactionID });
+}
+
+/**
+ * @description Defines the Session class, the journaled session which is used
+ * when the database strategy does not support transactions. Before each write
+ * made in the session, the documents which the write may change are stored in
+ * the transactions collection, so the write can be undone if the transaction
+ * fails, or if the server stops before the transaction is committed. Unlike
+ * the sessions of a database, a journaled session does not isolate the writes
+ * of the transaction from other requests until it is committed.
+ */
+class Session {
+
+  /**
+   * @description Runs a function in a new transaction. If the function throws
+   * an error, each write made in the session is undone and the error is
+   * rethrown. Otherwise, the transaction is committed and its journal deleted.
+   * @async
+   *
+   * @param {Function} fn - The async function to run.
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async withTransaction(fn) {
+    const Transaction = M.require('models.transaction');
+    this.id = uuidv4();
+    this.sequence = 0;
+
+    try {
+      await fn(this);
+    }
+    catch (error) {
+      if (this.sequence > 0) {
+        try {
+          await rollback(this.id);
+        }
+        catch (rollbackError) {
+          M.log.critical(`Failed to roll back the transaction ${this.id}: ${rollbackError.message}`);
+        }
+      }
+      throw error;
+    }
+
+    // Commit the transaction, then delete its journal
+    if (this.sequence > 0) {
+      await Transaction.updateOne({ _id: this.id }, { state: 'committed' });
+      await Transaction.deleteMany({ transaction: this.id });
+    }
+  }
+
+  /**
+   * @description Ends the session. Journaled sessions hold no resources, so
+   * this function does nothing, and is provided to match the sessions of the
+   * database strategies.
+   * @async
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async endSession() { // eslint-disable-line class-methods-use-this
+    return Promise.resolve();
+  }
+
+  /**
+   * @description Stores the documents which may be changed by a write in the
+   * journal of the transaction, before the write is made. Documents matching
+   * the filter of the write are stored so they can be restored, and the IDs of
+   * inserted documents are stored so they can be deleted. Documents filtered by
+   * _id are also treated as inserted, in case the write is an upsert.
+   * @async
+   *
+   * @param {Model} model - The model which is written to.
+   * @param {object[]} ops - The writes, each either an object containing an
+   * array of inserted documents (insert) or the filter of the write (filter).
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async journal(model, ops) {
+    if (this.id === undefined) {
+      throw new M.DatabaseError('The session has no active transaction.', 'critical');
+    }
+    const Transaction = M.require('models.transaction');
+    const filters = [];
+    let ids = [];
+
+    // Group the filters by _id, which are found in a single query
+    for (let i = 0; i < ops.length; i++) {
+      if (ops[i].insert) {
+        ids = ids.concat(ops[i].insert.map(d => d._id));
+      }
+      else if (typeof ops[i].filter._id === 'string') {
+        ids.push(ops[i].filter._id);
+      }
+      else if (ops[i].filter._id && Array.isArray(ops[i].filter._id.$in)
+        && Object.keys(ops[i].filter._id).length === 1) {
+        ids = ids.concat(ops[i].filter._id.$in);
+      }
+      if (ops[i].filter && Object.keys(ops[i].filter).some(k => k !== '_id')) {
+        filters.push(ops[i].filter);
+      }
+    }
+    ids = ids.filter((id, index) => id !== undefined && ids.indexOf(id) === index);
+
+    // Find the documents which currently exist
+    let found = [];
+    for (let i = 0; i < ids.length; i += 50000) {
+      // eslint-disable-next-line no-await-in-loop
+      found = found.concat(await model.find({ _id: { $in: ids.slice(i, i + 50000) } }));
+    }
+    for (let i = 0; i < filters.length; i++) {
+      found = found.concat(await model.find(filters[i])); // eslint-disable-line no-await-in-loop
+    }
+    const restore = {};
+    found.forEach((doc) => { restore[doc._id] = doc; });
+    const docs = Object.values(restore);
+
+    if (docs.length === 0 && ids.length === 0) {
+      return;
+    }
+
+    // Create the header of the transaction, once it makes its first write
+    if (this.sequence === 0) {
+      await Transaction.insertMany([{
+        _id: this.id,
+        transaction: this.id,
+        sequence: 0,
+        state: 'pending'
+      }]);
+    }
+
+    // Store the entries in batches, to limit the size of each document
+    const entries = [];
+    const count = Math.max(Math.ceil(docs.length / journalBatchSize),
+      Math.ceil(ids.length / (journalBatchSize * 10)));
+    for (let i = 0; i < count; i++) {
+      this.sequence++;
+      entries.push({
+        _id: `${this.id}:${this.sequence}`,
+        transaction: this.id,
+        sequence: this.sequence,
+        model: model.modelName,
+        inserted: ids.slice(i * journalBatchSize * 10, (i + 1) * journalBatchSize * 10),
+        restore: docs.slice(i * journalBatchSize, (i + 1) * journalBatchSize)
+      });
+    }
+    await Transaction.insertMany(entries);
+  }
+
+}
+
+/**
+ * @description Separates a journaled session from the options of a database
+ * operation, as the database strategy does not support the session.
+ *
+ * @param {object} [options] - The options of the operation.
+ *
+ * @returns {object} An object containing the journaled session (session), if
+ * any, and the options without the session (options).
+ */
+function splitSession(options) {
+  if (!options || !(options.session instanceof Session)) {
+    return { session: null, options: options };
+  }
+  const rest = Object.assign({}, options);
+  delete rest.session;
+  return { session: options.session, options: rest };
+}
+
+/**
+ * @description Starts a session, which is used to perform multiple writes as
+ * a single transaction. If the database strategy supports transactions, the
+ * session of the strategy is used, such as a MongoDB session when connected to
+ * a replica set. Otherwise, a journaled session is returned, which records how
+ * to undo each write before it is performed, and undoes the writes if the
+ * transaction fails.
+ * @async
+ *
+ * @example
+ * const session = await db.startSession();
+ * try {
+ *   await session.withTransaction(async () => {
+ *     await Element.insertMany(elements, { session: session });
+ *     await ElementRevision.insertMany(revisions, { session: session });
+ *   });
+ * }
+ * finally {
+ *   await session.endSession();
+ * }
+ *
+ * @returns {Promise<object>} The session, which provides the async functions
+ * withTransaction(fn) and endSession().
+ */
+async function startSession() {
+  if (typeof DBModule.startSession === 'function') {
+    try {
+      const session = await DBModule.startSession();
+      if (session) {
+        return session;
+      }
+    }
+    catch (error) {
+      throw new M.DatabaseError(error.message, 'critical');
+    }
+  }
+  return new Session();
+}
+
+/**
+ * @description Runs a function in a transaction, so that either every write
+ * made by the function is applied or none of them are. The function is passed
+ * the session, which must be provided in the options of each write, and of
+ * each read which should find the documents written in the transaction. The
+ * function may be run more than once, if the database asks for the transaction
+ * to be retried.
+ * @async
+ *
+ * @param {Function} fn - The async function to run, which is passed the
+ * session.
+ *
+ * @returns {Promise<*>} The result of the function.
+ */
+async function withTransaction(fn) {
+  const session = await startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  }
+  finally {
+    await session.endSession();
+  }
+}
+
 /**
  * @description Defines the Schema class. Schemas define the properties and
  * methods that each instance of a document should have, as well as the static
@@ -238,8 +537,11 @@ class Model extends DBModule.Model {
     // Call parent constructor
     super(name, schema, collection);
 
+    // Store the model, used to roll back journaled transactions
+    models[name] = this;
+
     // Check that expected functions are defined
-    const expectedFunctions = ['bulkWrite', 'countDocuments', 'deleteIndex',
+    const expectedFunctions = ['bulkWrite', 'countDocuments', 'cursor', 'deleteIndex',
       'deleteMany', 'find', 'findOne', 'getIndexes', 'insertMany', 'updateMany',
       'updateOne', 'init'];
     expectedFunctions.forEach((f) => {
@@ -294,6 +596,8 @@ class Model extends DBModule.Model {
    * @param {object} [ops.replaceOne.replacement] - The document to replace the
    * found document with.
    * @param {object} [options] - An object containing options.
+   * @param {object} [options.session] - The session of the transaction to
+   * make the write in, from startSession().
    *
    * @example
    * await bulkWrite([
@@ -333,7 +637,14 @@ class Model extends DBModule.Model {
    * success and 0 being failure.
    */
   async bulkWrite(ops, options) {
-    return super.bulkWrite(ops, options);
+    const split = splitSession(options);
+    if (split.session) {
+      await split.session.journal(this, ops.map((op) => {
+        const type = Object.keys(op)[0];
+        return (type === 'insertOne') ? { insert: [op.insertOne.document] } : op[type];
+      }));
+    }
+    return super.bulkWrite(ops, split.options);
   }
 
   /**
@@ -350,6 +661,29 @@ class Model extends DBModule.Model {
     return super.countDocuments(filter);
   }
 
+  /**
+   * @description Opens a cursor over the documents which match the filter
+   * provided. Unlike find(), the documents are read from the database as the
+   * cursor is iterated, rather than being loaded into memory at once.
+   *
+   * @param {object} filter - An object containing parameters to filter the find
+   * query by.
+   * @param {(string|null)} [projection] - Specifies the fields to return in
+   * the documents that match the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options. Supports the
+   * same options as find().
+   * @param {object} [options.session] - The session of the transaction to
+   * read the documents in, from startSession().
+   *
+   * @returns {object} A cursor with the async function next(), which returns
+   * the next document or null once every document has been read, and the async
+   * function close(), which closes the cursor.
+   */
+  cursor(filter, projection, options) {
+    return super.cursor(filter, projection, splitSession(options).options);
+  }
+
   /**
    * @description Deletes the specified index from the database.
    * @async
@@ -369,6 +703,8 @@ class Model extends DBModule.Model {
    * @param {object} filter - An object containing parameters to filter the
    * find query by, and thus delete documents by.
    * @param {object} [options] - An object containing options.
+   * @param {object} [options.session] - The session of the transaction to
+   * make the write in, from startSession().
    *
    * @returns {Promise<object>} An object denoting the success of the delete
    * operation. The object should contain the key "n" which is the number of
@@ -376,7 +712,11 @@ class Model extends DBModule.Model {
    * failure.
    */
   async deleteMany(filter, options) {
-    return super.deleteMany(filter, options);
+    const split = splitSession(options);
+    if (split.session) {
+      await split.session.journal(this, [{ filter: filter }]);
+    }
+    return super.deleteMany(filter, split.options);
   }
 
   /**
@@ -406,12 +746,14 @@ class Model extends DBModule.Model {
    * documents can be populated. Populating a field returns the entire
    * referenced document instead of that document's ID. If no document exists,
    * null is returned.
+   * @param {object} [options.session] - The session of the transaction to
+   * read the documents in, from startSession().
    *
    * @returns {Promise<object[]>} An array containing the found documents, if
    * any.
    */
   async find(filter, projection, options) {
-    return super.find(filter, projection, options);
+    return super.find(filter, projection, splitSession(options).options);
   }
 
   /**
@@ -429,12 +771,14 @@ class Model extends DBModule.Model {
    * documents can be populated. Populating a field returns the entire
    * referenced document instead of that document's ID. If no document exists,
    * null is returned.
+   * @param {object} [options.session] - The session of the transaction to
+   * read the documents in, from startSession().
    *
    * @returns {Promise<(object|null)>} The found document, if any otherwise
    * null.
    */
   async findOne(filter, projection, options) {
-    return super.findOne(filter, projection, options);
+    return super.findOne(filter, projection, splitSession(options).options);
   }
 
   /**
@@ -455,11 +799,17 @@ class Model extends DBModule.Model {
    * @param {object} [options] - An object containing options.
    * @param {boolean} [options.skipValidation] - If true, will not validate
    * the documents which are being created.
+   * @param {object} [options.session] - The session of the transaction to
+   * make the write in, from startSession().
    *
    * @returns {Promise<object[]>} The created documents.
    */
   async insertMany(docs, options) {
-    return super.insertMany(docs, options);
+    const split = splitSession(options);
+    if (split.session) {
+      await split.session.journal(this, [{ insert: [].concat(docs) }]);
+    }
+    return super.insertMany(docs, split.options);
   }
 
   /**
@@ -471,13 +821,19 @@ class Model extends DBModule.Model {
    * find query by.
    * @param {object} doc - The object containing updates to the found documents.
    * @param {object} [options] - An object containing options.
+   * @param {object} [options.session] - The session of the transaction to
+   * make the write in, from startSession().
    *
    * @returns {Promise<object>} An object denoting the success of the operation.
    * It should contain two keys, "n" which is the number of documents matched
    * and "nModified" which is the number of documents updated.
    */
   async updateMany(filter, doc, options) {
-    return super.updateMany(filter, doc, options);
+    const split = splitSession(options);
+    if (split.session) {
+      await split.session.journal(this, [{ filter: filter }]);
+    }
+    return super.updateMany(filter, doc, split.options);
   }
 
   /**
@@ -489,13 +845,19 @@ class Model extends DBModule.Model {
    * find query by.
    * @param {object} doc - The object containing updates to the found document.
    * @param {object} [options] - An object containing options.
+   * @param {object} [options.session] - The session of the transaction to
+   * make the write in, from startSession().
    *
    * @returns {Promise<object>} An object denoting the success of the operation.
    * It should contain two keys, "n" which is the number of documents matched
    * and "nModified" which is the number of documents updated.
    */
   async updateOne(filter, doc, options) {
-    return super.updateOne(filter, doc, options);
+    const split = splitSession(options);
+    if (split.session) {
+      await split.session.journal(this, [{ filter: filter }]);
+    }
+    return super.updateOne(filter, doc, split.options);
   }
 
 }
@@ -645,6 +1007,9 @@ module.exports = {
   disconnect,
   clear,
   sanitize,
+  startSession,
+  withTransaction,
+  recoverTransactions,
   Schema,
   Model,
   Store
@@ -127,6 +127,45 @@ function sanitize(data) {
   return data;
 }
 
+/**
+ * @description Checks whether the text fields of an item contain the terms of
+ * a $contains condition, ignoring case. DynamoDB only supports case sensitive
+ * contains() conditions, so the terms are matched once the items are scanned.
+ * Every term of the list all must be contained in one of the fields, and if
+ * the list any is not empty, one of its terms must be.
+ *
+ * @param {object} item - The scanned item.
+ * @param {object} [search] - The $contains condition, in the format
+ * { fields: [], all: [], any: [] }. Every item matches if it is undefined.
+ *
+ * @returns {boolean} True if the item contains the terms.
+ */
+function matchContains(item, search) {
+  if (!search) return true;
+
+  const texts = search.fields.map(f => item[f]).filter(v => typeof v === 'string')
+  .map(v => v.toLowerCase());
+  const contains = term => texts.some(t => t.includes(String(term).toLowerCase()));
+
+  return (search.all || []).every(contains)
+    && ((search.any || []).length === 0 || search.any.some(contains));
+}
+
+/**
+ * @description Removes the $contains condition from a query, as it cannot be
+ * part of a scan.
+ *
+ * @param {object} query - The query, which is not modified.
+ *
+ * @returns {object} The query without the $contains condition (filter), and
+ * the $contains condition (search), if any.
+ */
+function splitContains(query) {
+  const filter = Object.assign({}, query);
+  delete filter.$contains;
+  return { filter: filter, search: query.$contains };
+}
+
 class Schema {
 
   /**
@@ -351,14 +390,16 @@ class Query {
     if (keyName.includes('.')) {
       const split = keyName.split('.');
       // Handle each piece of the key separately
-      split.forEach((s) => {
-        const kName = (s.startsWith('_')) ? s.slice(1) : s;
+      const names = split.map((s) => {
+        const kName = this.formatPlaceholder((s.startsWith('_')) ? s.slice(1) : s);
         // Add key to ExpressionAttributeNames
         obj.ExpressionAttributeNames[`#${kName}`] = s;
+        return kName;
       });
-      keyName = split.join('.#');
+      keyName = names.join('.#');
     }
     else {
+      keyName = this.formatPlaceholder(keyName);
       // Add key to ExpressionAttributeNames
       obj.ExpressionAttributeNames[`#${keyName}`] = key;
     }
@@ -366,6 +407,20 @@ class Query {
     return keyName;
   }
 
+  /**
+   * @description Formats a name for use in an expression attribute name or
+   * value placeholder, which may only contain alphanumeric characters and
+   * underscores. Other characters, such as the colon in the permissions keys of
+   * groups, are replaced with their character code.
+   *
+   * @param {string} name - The name to format.
+   *
+   * @returns {string} The formatted name.
+   */
+  formatPlaceholder(name) { // eslint-disable-line class-methods-use-this
+    return name.replace(/[^A-Za-z0-9_]/g, c => `_${c.charCodeAt(0).toString(16)}_`);
+  }
+
   /**
    * @description Formats a JSON object properly for DynamoDB. Changes all null
    * values to strings. Since DynamoDB's DocumentClient is being used, the rest
@@ -583,8 +638,22 @@ class Query {
     if (Object.keys(query).length !== 0) {
       // Handle the FilterExpression
       Object.keys(query).forEach((k) => {
+        // Handle the special $or case, an array of conditions of which one must
+        // match, and the $and case, an array of conditions which must all match
+        if (k === '$or' || k === '$and') {
+          const conditionStrings = (k === '$or')
+            ? [this.scanConditions(findQuery, query[k])]
+            : query[k].map((c, i) => this.scanConditions(findQuery,
+              (c.hasOwnProperty('$or')) ? c.$or : [c], `and${i}_`));
+          const conditionString = conditionStrings.join(' AND ');
+          findQuery.FilterExpression = (!findQuery.FilterExpression)
+            ? conditionString
+            : `${findQuery.FilterExpression} AND ${conditionString}`;
+          return;
+        }
+
         const keyName = this.parseExpressionAttributeNames(findQuery, k);
-        const valueKey = (k.includes('.')) ? k.split('.').join('_') : k;
+        const valueKey = this.formatPlaceholder(k.split('.').join('_'));
         let filterString = '';
 
         // Handle the special $in case
@@ -614,6 +683,23 @@ class Query {
             findQuery.FilterExpression += filterString;
           }
         }
+        // Handle the special $nin case, the value must not equal any item
+        else if (typeof query[k] === 'object' && query[k] !== null
+          && Object.keys(query[k])[0] === '$nin') {
+          const arr = Object.values(query[k])[0];
+
+          if (arr.length > 0) {
+            const conditions = arr.map((item, i) => {
+              // Add value to ExpressionAttributeValues
+              findQuery.ExpressionAttributeValues[`:${valueKey}${i}`] = item;
+              return `#${keyName} = :${valueKey}${i}`;
+            });
+            filterString = `NOT ( ${conditions.join(' OR ')} )`;
+            findQuery.FilterExpression = (!findQuery.FilterExpression)
+              ? filterString
+              : `${findQuery.FilterExpression} AND ${filterString}`;
+          }
+        }
         // Handle the special $all case
         else if (typeof query[k] === 'object' && query[k] !== null
           && Object.keys(query[k])[0] === '$all') {
@@ -676,6 +762,76 @@ class Query {
     return findQuery;
   }
 
+  /**
+   * @description Creates the FilterExpression of the $or operator of a scan
+   * query. Each condition is an object whose keys must all match. The values
+   * are either compared for equality, checked for containing all items of an
+   * $all array, checked for equaling any item of an $in array or not equaling
+   * any item of a $nin array, or compared by the operators $gt, $gte, $lt and
+   * $lte.
+   *
+   * @param {object} findQuery - The scan query, whose ExpressionAttributeNames
+   * and ExpressionAttributeValues are modified by reference.
+   * @param {object[]} conditions - The conditions of the $or operator.
+   * @param {string} [prefix=''] - A prefix for the value placeholders, which
+   * keeps them unique when a query contains several sets of conditions.
+   *
+   * @returns {string} The FilterExpression of the conditions.
+   */
+  scanConditions(findQuery, conditions, prefix = '') {
+    const operators = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+    const expressions = conditions.map((condition, i) => Object.keys(condition).map((k) => {
+      const keyName = this.parseExpressionAttributeNames(findQuery, k);
+      const valueKey = `:${prefix}or${i}_${this.formatPlaceholder(k.split('.').join('_'))}`;
+      let operator = '=';
+      let value = condition[k];
+
+      // If the value is an object containing the $all operator
+      if (typeof value === 'object' && value !== null && Object.keys(value)[0] === '$all') {
+        return value.$all.map((item, j) => {
+          findQuery.ExpressionAttributeValues[`${valueKey}${j}`] = item;
+          return `contains (#${keyName}, ${valueKey}${j})`;
+        }).join(' AND ');
+      }
+
+      // If the value is an object containing the $in operator
+      if (typeof value === 'object' && value !== null && Object.keys(value)[0] === '$in') {
+        // An empty list matches nothing
+        if (value.$in.length === 0) {
+          return `( attribute_exists (#${keyName}) AND attribute_not_exists (#${keyName}) )`;
+        }
+        return `( ${value.$in.map((item, j) => {
+          findQuery.ExpressionAttributeValues[`${valueKey}${j}`] = item;
+          return `#${keyName} = ${valueKey}${j}`;
+        }).join(' OR ')} )`;
+      }
+
+      // If the value is an object containing the $nin operator
+      if (typeof value === 'object' && value !== null && Object.keys(value)[0] === '$nin') {
+        // An empty list excludes nothing
+        if (value.$nin.length === 0) {
+          return `( attribute_exists (#${keyName}) OR attribute_not_exists (#${keyName}) )`;
+        }
+        return `NOT ( ${value.$nin.map((item, j) => {
+          findQuery.ExpressionAttributeValues[`${valueKey}${j}`] = item;
+          return `#${keyName} = ${valueKey}${j}`;
+        }).join(' OR ')} )`;
+      }
+
+      // If the value is an object containing a comparison operator
+      if (typeof value === 'object' && value !== null && !(value instanceof Date)
+        && operators.hasOwnProperty(Object.keys(value)[0])) {
+        operator = operators[Object.keys(value)[0]];
+        value = Object.values(value)[0];
+      }
+
+      findQuery.ExpressionAttributeValues[valueKey] = this.formatJSON(value);
+      return `#${keyName} ${operator} ${valueKey}`;
+    }).join(' AND '));
+
+    return `( ${expressions.map(e => `( ${e} )`).join(' OR ')} )`;
+  }
+
   /**
    * @description Creates and returns a query, properly formatted to be used
    * in DynamoDB's DocumentClient.update(). Please view the following links for
@@ -684,7 +840,8 @@ class Query {
    * {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/DynamoDB/DocumentClient.html#update-property DocumentClient.update()}.
    *
    * @param {object} filter - The filter to parse, used to find the document to
-   * update.
+   * update. The first key is the key of the document, and the document is only
+   * updated if it matches the other keys.
    * @param {object} doc - An object containing the updates to be made to the
    * found document.
    *
@@ -746,6 +903,15 @@ class Query {
       delete updateQuery.UpdateExpression;
     }
 
+    // Only update the document if it matches the rest of the filter
+    const conditions = Object.assign({}, filter);
+    delete conditions[Object.keys(filter)[0]];
+    if (Object.keys(conditions).length > 0) {
+      updateQuery.ExpressionAttributeNames = updateQuery.ExpressionAttributeNames || {};
+      updateQuery.ExpressionAttributeValues = updateQuery.ExpressionAttributeValues || {};
+      updateQuery.ConditionExpression = this.scanConditions(updateQuery, [conditions], 'cond_');
+    }
+
     return updateQuery;
   }
 
@@ -998,11 +1164,13 @@ class Model {
    * @param {object} [options] - An object containing options.
    *
    * @returns {Promise<object>} An object specifying the number of documents
-   * inserted (insertedCount), the number updated (modifiedCount), the number
-   * deleted (deletedCount) and the result of the operation (result: 1|0).
+   * inserted (insertedCount), the number matched (matchedCount), the number
+   * updated (modifiedCount), the number deleted (deletedCount) and the result
+   * of the operation (result: 1|0).
    */
   async bulkWrite(ops, options) {
     const promises = [];
+    let matchedCount = 0;
     let modifiedCount = 0;
 
     // Connect to the DocumentClient
@@ -1016,10 +1184,14 @@ class Model {
         const filter = Object.values(op)[0].filter;
         const update = Object.values(op)[0].update;
 
-        // Perform the updateOne operation
+        // Perform the updateOne operation, which returns null if the document
+        // did not match the filter
         promises.push(this.updateOne(filter, update, options)
-        .then(() => {
-          modifiedCount += 1;
+        .then((updated) => {
+          if (updated) {
+            matchedCount += 1;
+            modifiedCount += 1;
+          }
         }));
       }
       // If it is a replaceOne operation
@@ -1030,6 +1202,7 @@ class Model {
         // Perform the put operation
         promises.push(conn.put(putQuery).promise()
         .then(() => {
+          matchedCount += 1;
           modifiedCount += 1;
         }));
       }
@@ -1038,7 +1211,7 @@ class Model {
     // Wait for promises to complete
     await Promise.all(promises);
 
-    return { modifiedCount: modifiedCount, result: 1 };
+    return { matchedCount: matchedCount, modifiedCount: modifiedCount, result: 1 };
   }
 
   /**
@@ -1053,6 +1226,11 @@ class Model {
    */
   async countDocuments(filter) {
     try {
+      // Items must be scanned to match the terms of a $contains condition
+      if (filter.hasOwnProperty('$contains')) {
+        return (await this.find(filter, '_id')).length;
+      }
+
       // Get a formatted scan query
       const scanObj = this.query.scan(filter);
 
@@ -1073,6 +1251,89 @@ class Model {
     }
   }
 
+  /**
+   * @description Opens a cursor over the documents which match the filter
+   * provided. The table is scanned one page at a time as the cursor is
+   * iterated. Text searches, searches by _id only and sorted searches require
+   * every matching document to be found first, and are read using find().
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {(object|string)} [projection] - Specifies the fields to return in
+   * the documents that match the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options. Supports the
+   * same options as find().
+   *
+   * @returns {object} A cursor with the async functions next() and close().
+   */
+  cursor(filter, projection, options = {}) {
+    const scanOptions = Object.assign({}, options);
+    const keys = Object.keys(filter);
+    const findAll = keys.includes('$text') || (keys.length === 1 && keys[0] === '_id')
+      || (scanOptions.sort && Object.keys(scanOptions.sort).length > 0);
+    const { filter: scanFilter, search } = splitContains(filter);
+    let skip = scanOptions.skip || 0;
+    let remaining = scanOptions.limit || Infinity;
+    delete scanOptions.skip;
+    delete scanOptions.limit;
+    delete scanOptions.sort;
+
+    let docs = [];
+    let more = true;
+    let closed = false;
+
+    // Reads the next page of documents into the buffer
+    const readPage = async () => {
+      if (findAll) {
+        docs = await this.find(filter, projection, Object.assign({}, options));
+        more = false;
+        return;
+      }
+
+      const conn = await connectDocument();
+      const scanObj = this.query.scan(scanFilter, scanOptions);
+      M.log.debug(`DB OPERATION: ${this.TableName} scan`);
+      const result = await conn.scan(scanObj).promise();
+
+      let items = result.Items.filter(d => matchContains(d, search));
+      // Skip the documents before the first requested document
+      if (skip > 0) {
+        const skipped = Math.min(skip, items.length);
+        items = items.slice(skipped);
+        skip -= skipped;
+      }
+      docs = await this.formatDocuments(items, projection, scanOptions);
+
+      // Set LastEvaluatedKey, used to paginate
+      scanOptions.LastEvaluatedKey = result.LastEvaluatedKey;
+      more = !!result.LastEvaluatedKey;
+    };
+
+    return {
+      next: async () => {
+        try {
+          // Read pages until a document is found or the table has been scanned
+          while (!closed && docs.length === 0 && more) {
+            await readPage(); // eslint-disable-line no-await-in-loop
+          }
+          if (closed || docs.length === 0 || remaining <= 0) return null;
+
+          remaining--;
+          return docs.shift();
+        }
+        catch (error) {
+          M.log.verbose(`Failed in ${this.modelName}.cursor().`);
+          throw errors.captureError(error);
+        }
+      },
+      close: async () => {
+        closed = true;
+        docs = [];
+      }
+    };
+  }
+
   /**
    * @description Deletes the specified index from the database.
    * @async
@@ -1232,6 +1493,8 @@ class Model {
         return await this.textSearch(filter, projection, options);
       }
 
+      // The terms of a $contains condition are matched once the items are scanned
+      const { filter: scanFilter, search } = splitContains(filter);
       let docs = [];
       let limit;
       let skip;
@@ -1278,14 +1541,14 @@ class Model {
         // Find all documents which match the query
         while (more) {
           // Get the formatted scan query
-          const scanObj = this.query.scan(filter, options);
+          const scanObj = this.query.scan(scanFilter, options);
 
           M.log.debug(`DB OPERATION: ${this.TableName} scan`);
           // Find the documents
           const result = await conn.scan(scanObj).promise(); // eslint-disable-line
 
           // Append found documents to the running array
-          docs = docs.concat(result.Items);
+          docs = docs.concat(result.Items.filter(d => matchContains(d, search)));
 
           // If the skip and/or limit options are provided
           if (limit || skip) {
@@ -1565,6 +1828,7 @@ class Model {
       // Get the text search and remove it from the filter
       const searchString = filter.$text;
       delete filter.$text;
+      const { filter: scanFilter, search } = splitContains(filter);
 
       // Handle case where there is no query
       if (!searchString) {
@@ -1598,12 +1862,12 @@ class Model {
       // Find all documents which match the query
       while (more) {
         // Get the formatted scan query
-        const scanObj = this.query.scan(filter, options);
+        const scanObj = this.query.scan(scanFilter, options);
 
         M.log.debug(`DB OPERATION: ${this.TableName} scan`);
         // Find the documents
         const result = await conn.scan(scanObj).promise(); // eslint-disable-line
-        const docs = result.Items;
+        const docs = result.Items.filter(d => matchContains(d, search));
 
         // For each document found
         docs.forEach((d) => { // eslint-disable-line no-loop-func
@@ -1710,7 +1974,8 @@ class Model {
    * @param {object} doc - The object containing updates to the found document.
    * @param {object} [options] - An object containing options.
    *
-   * @returns {Promise<object>} The updated document.
+   * @returns {Promise<object>} The updated document, or null if the document
+   * did not match the filter.
    */
   async updateOne(filter, doc, options) {
     try {
@@ -1735,6 +2000,8 @@ class Model {
       return await this.formatDocument(updatedItem.Attributes, null, options);
     }
     catch (error) {
+      // The document did not match the rest of the filter
+      if (error.code === 'ConditionalCheckFailedException') return null;
       M.log.verbose(`Failed in ${this.modelName}.updateOne().`);
       throw errors.captureError(error);
     }
@@ -0,0 +1,1592 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module db.memory-strategy.memory-strategy
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description This file defines the schema strategy for using MBEE with an
+ * embedded, in-memory database. No external database service is required,
+ * which makes the strategy suited for development and for running the tests.
+ * Queries, validation and population follow the behavior of the
+ * mongoose-mongodb-strategy. The data is lost when the server stops, unless
+ * the option "file" is provided in the db section of the config, in which case
+ * the data is saved to and loaded from that file.
+ */
+
+// Node modules
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+// NPM modules
+const session = require('express-session');
+
+// MBEE modules
+const errors = M.require('lib.errors');
+
+// The documents of each collection, stored by _id in the order they were inserted
+const collections = {};
+// The indexes of each collection
+const indexes = {};
+// Each model by name, used to populate references across models
+const models = {};
+// The supported types of schema fields
+const types = ['String', 'Number', 'Boolean', 'Date', 'Object'];
+// The order in which values of different types are sorted, the same as MongoDB
+const typeOrder = ['null', 'number', 'string', 'object', 'array', 'boolean', 'date'];
+// The query operators which are supported
+const operators = ['$in', '$nin', '$text', '$contains', '$all', '$or', '$and', '$gt', '$gte',
+  '$lt', '$lte'];
+
+// The timer of the next save to the database file, if one is configured
+let saveTimer = null;
+// Whether the database file has been loaded
+let loaded = false;
+
+/**
+ * @description Loads the database from the file in the config, if one is
+ * configured and exists. The file is only loaded on the first connection, as
+ * later connections share the data which is already in memory.
+ * @async
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function connect() {
+  const file = getFile();
+  if (loaded || !file) {
+    return;
+  }
+
+  if (fs.existsSync(file)) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.keys(data.collections).forEach((name) => {
+      collections[name] = new Map(data.collections[name].map(d => [d._id, decode(d)]));
+    });
+    Object.assign(indexes, data.indexes);
+  }
+
+  // Save any pending changes before the process exits
+  process.on('exit', save);
+  loaded = true;
+}
+
+/**
+ * @description Saves any pending changes to the database file. The data
+ * remains in memory, so that later connections can continue to use it.
+ * @async
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function disconnect() {
+  save();
+}
+
+/**
+ * @description Deletes all collections, documents and indexes from the
+ * database.
+ * @async
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function clear() {
+  Object.keys(collections).forEach((name) => {
+    delete collections[name];
+    delete indexes[name];
+  });
+  scheduleSave();
+}
+
+/**
+ * @description Sanitizes data which will be used in queries and inserted into
+ * the database. As queries use the same operators as MongoDB, any key/value
+ * pair whose key starts with a $ is deleted.
+ *
+ * @param {*} data - User input to be sanitized. May be in any data format.
+ *
+ * @returns {*} Sanitized user input.
+ */
+function sanitize(data) {
+  if (Array.isArray(data)) {
+    return data.map((value) => sanitize(value));
+  }
+  else if (data instanceof Object) {
+    // Check for '$' in each key parameter of userInput
+    Object.keys(data).forEach((key) => {
+      // If '$' in key, remove key from userInput
+      if (/^\$/.test(key)) {
+        delete data[key];
+      }
+      // If the value is an object
+      else if (typeof data[key] === 'object' && data[key] !== null) {
+        // Recursively call function on value
+        sanitize(data[key]);
+      }
+    });
+  }
+  // Return modified userInput
+  return data;
+}
+
+/**
+ * @description Returns the absolute path of the database file in the config.
+ *
+ * @returns {(string|null)} The path of the file, or null if no file is
+ * configured.
+ */
+function getFile() {
+  return (M.config.db.file) ? path.resolve(M.root, M.config.db.file) : null;
+}
+
+/**
+ * @description Writes every collection and index to the database file, if one
+ * is configured. The file is written to a temporary file first, so that it is
+ * never left partially written.
+ */
+function save() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  const file = getFile();
+  if (!file) {
+    return;
+  }
+
+  const data = { collections: {}, indexes: indexes };
+  Object.keys(collections).forEach((name) => {
+    data.collections[name] = Array.from(collections[name].values()).map(encode);
+  });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * @description Schedules a save to the database file, which batches the
+ * changes made within one second into a single write.
+ */
+function scheduleSave() {
+  if (saveTimer || !getFile()) {
+    return;
+  }
+  saveTimer = setTimeout(save, 1000);
+  // Do not keep the process running only to save the file, it is saved on exit
+  saveTimer.unref();
+}
+
+/**
+ * @description Encodes a value to be saved in the database file. Dates are
+ * stored as objects with the key $date, so they are restored as dates.
+ *
+ * @param {*} value - The value to encode.
+ *
+ * @returns {*} The encoded value.
+ */
+function encode(value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encode);
+  }
+  if (value !== null && typeof value === 'object') {
+    const encoded = {};
+    Object.keys(value).forEach((k) => { encoded[k] = encode(value[k]); });
+    return encoded;
+  }
+  return value;
+}
+
+/**
+ * @description Decodes a value which was loaded from the database file.
+ *
+ * @param {*} value - The value to decode.
+ *
+ * @returns {*} The decoded value.
+ */
+function decode(value) {
+  if (Array.isArray(value)) {
+    return value.map(decode);
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$date') {
+      return new Date(value.$date);
+    }
+    const decoded = {};
+    keys.forEach((k) => { decoded[k] = decode(value[k]); });
+    return decoded;
+  }
+  return value;
+}
+
+/**
+ * @description Deeply copies a value, so that documents in the database are
+ * never modified by reference. Unlike a JSON copy, dates are preserved.
+ *
+ * @param {*} value - The value to copy.
+ *
+ * @returns {*} The copy of the value.
+ */
+function clone(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach((k) => { copy[k] = clone(value[k]); });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * @description Checks whether a value is an object of query operators, such as
+ * { $in: [] }.
+ *
+ * @param {*} value - The value to check.
+ *
+ * @returns {boolean} True if the value is an object with at least one key, and
+ * every key is an operator.
+ */
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && Object.keys(value).length > 0
+    && Object.keys(value).every(k => k.startsWith('$'));
+}
+
+/**
+ * @description Finds the values at a path in a document. Paths may contain
+ * dots to refer to nested fields, and the values of the elements of arrays are
+ * found for paths through arrays, the same as MongoDB.
+ *
+ * @param {object} doc - The document.
+ * @param {string} field - The path of the field, such as "custom.priority".
+ *
+ * @returns {Array} The values found at the path. Missing values are returned as
+ * undefined.
+ */
+function getPathValues(doc, field) {
+  let values = [doc];
+  field.split('.').forEach((part) => {
+    const next = [];
+    values.forEach((value) => {
+      if (Array.isArray(value) && !/^[0-9]+$/.test(part)) {
+        value.forEach((item) => {
+          if (item !== null && typeof item === 'object') next.push(item[part]);
+        });
+      }
+      else if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        next.push(value[part]);
+      }
+      else {
+        next.push(undefined);
+      }
+    });
+    values = next;
+  });
+  return values;
+}
+
+/**
+ * @description Sets the value at a path in a document, creating any missing
+ * nested objects.
+ *
+ * @param {object} doc - The document to modify.
+ * @param {string} field - The path of the field, such as "custom.priority".
+ * @param {*} value - The value to set.
+ */
+function setPathValue(doc, field, value) {
+  const parts = field.split('.');
+  let current = doc;
+  parts.slice(0, -1).forEach((part) => {
+    if (current[part] === null || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  });
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * @description Returns the type of a value, used to compare and sort values.
+ *
+ * @param {*} value - The value.
+ *
+ * @returns {string} The type of the value, one of the types in typeOrder.
+ */
+function getType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * @description Compares two values. Values of different types are ordered by
+ * type, the same as MongoDB.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ *
+ * @returns {number} A negative number if a is before b, a positive number if a
+ * is after b, and 0 if they are equal.
+ */
+function compareValues(a, b) {
+  const typeA = getType(a);
+  const typeB = getType(b);
+  if (typeA !== typeB) {
+    return typeOrder.indexOf(typeA) - typeOrder.indexOf(typeB);
+  }
+
+  let x = a;
+  let y = b;
+  if (typeA === 'null') return 0;
+  if (typeA === 'date') {
+    x = a.getTime();
+    y = b.getTime();
+  }
+  else if (typeA === 'object' || typeA === 'array') {
+    x = JSON.stringify(a);
+    y = JSON.stringify(b);
+  }
+  if (x === y) return 0;
+  return (x < y) ? -1 : 1;
+}
+
+/**
+ * @description Checks whether any of the values at a path equal the expected
+ * value. Arrays match if the array equals the value or contains the value, and
+ * null matches missing values.
+ *
+ * @param {Array} values - The values at the path, from getPathValues().
+ * @param {*} expected - The expected value.
+ *
+ * @returns {boolean} True if any value matches.
+ */
+function matchValue(values, expected) {
+  return values.some((value) => {
+    if (expected === null && (value === null || value === undefined)) return true;
+    if (isDeepStrictEqual(value, expected)) return true;
+    return Array.isArray(value) && value.some(item => isDeepStrictEqual(item, expected));
+  });
+}
+
+/**
+ * @description Checks whether the values at a path match a condition of a
+ * query.
+ *
+ * @param {Array} values - The values at the path, from getPathValues().
+ * @param {*} condition - The condition, either a value to equal or an object
+ * of query operators.
+ *
+ * @returns {boolean} True if the values match the condition.
+ */
+function matchCondition(values, condition) {
+  if (!isOperatorObject(condition)) {
+    return matchValue(values, condition);
+  }
+
+  // Expand arrays to their items, to compare the items of arrays
+  const items = values.reduce((list, v) => list.concat(Array.isArray(v) ? v : [v]), []);
+  return Object.keys(condition).every((operator) => {
+    const operand = condition[operator];
+    switch (operator) {
+      case '$in':
+        return operand.some(o => matchValue(values, o));
+      case '$nin':
+        return !operand.some(o => matchValue(values, o));
+      case '$all':
+        return operand.length > 0 && operand.every(o => matchValue(values, o));
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        return items.some((item) => {
+          // Only values of the same type can be compared
+          if (getType(item) !== getType(operand)) return false;
+          const result = compareValues(item, operand);
+          if (result === 0) return operator === '$gte' || operator === '$lte';
+          return (operator.startsWith('$gt')) ? result > 0 : result < 0;
+        });
+      default:
+        throw new M.DataFormatError(`The query operator ${operator} is not supported.`, 'warn');
+    }
+  });
+}
+
+/**
+ * @description Checks whether the text fields of a document contain the terms
+ * of a $contains condition, ignoring case. Every term of the list all must be
+ * contained in one of the fields, and if the list any is not empty, one of its
+ * terms must be.
+ *
+ * @param {object} doc - The document.
+ * @param {object} condition - The $contains condition, in the format
+ * { fields: [], all: [], any: [] }.
+ *
+ * @returns {boolean} True if the document contains the terms.
+ */
+function matchContains(doc, condition) {
+  let texts = [];
+  condition.fields.forEach((f) => {
+    texts = texts.concat(getPathValues(doc, f).filter(v => typeof v === 'string')
+    .map(v => v.toLowerCase()));
+  });
+  const contains = term => texts.some(t => t.includes(String(term).toLowerCase()));
+
+  return (condition.all || []).every(contains)
+    && ((condition.any || []).length === 0 || condition.any.some(contains));
+}
+
+/**
+ * @description Checks whether a document matches a query. The $text condition
+ * is not checked, as text searches are handled separately.
+ *
+ * @param {object} doc - The document.
+ * @param {object} query - The query.
+ *
+ * @returns {boolean} True if the document matches the query.
+ */
+function matchQuery(doc, query) {
+  return Object.keys(query).every((key) => {
+    if (key === '$or') return query.$or.some(q => matchQuery(doc, q));
+    if (key === '$and') return query.$and.every(q => matchQuery(doc, q));
+    if (key === '$text') return true;
+    if (key === '$contains') return matchContains(doc, query.$contains);
+    return matchCondition(getPathValues(doc, key), query[key]);
+  });
+}
+
+/**
+ * @description Applies a projection to a document.
+ *
+ * @param {object} doc - The document, which is modified.
+ * @param {(string|object)} [projection] - A space separated list of the fields
+ * to include, or to exclude if they start with a '-'. May also be an object
+ * with the fields as keys and 1 to include or 0 to exclude the fields.
+ *
+ * @returns {object} The projected document.
+ */
+function project(doc, projection) {
+  let fields = projection;
+  if (typeof projection === 'string') {
+    fields = {};
+    projection.split(' ').filter(f => f !== '').forEach((f) => {
+      if (f.startsWith('-')) fields[f.slice(1)] = 0;
+      else fields[f] = 1;
+    });
+  }
+  if (!fields) {
+    return doc;
+  }
+
+  // Ignore projections of metadata, such as the text search score
+  const keys = Object.keys(fields).filter(k => !isOperatorObject(fields[k]));
+  const include = keys.some(k => fields[k]);
+
+  // Exclude the fields
+  if (!include) {
+    keys.forEach((k) => {
+      const parts = k.split('.');
+      const parent = getPathValues(doc, parts.slice(0, -1).join('.') || '_id');
+      if (parts.length === 1) delete doc[k];
+      else if (parent[0] !== null && typeof parent[0] === 'object') delete parent[0][parts.pop()];
+    });
+    return doc;
+  }
+
+  // Include only the fields, and the _id unless it is excluded
+  const projected = {};
+  if (fields._id !== 0) projected._id = doc._id;
+  keys.filter(k => k !== '_id' && fields[k]).forEach((k) => {
+    const value = getPathValues(doc, k)[0];
+    if (value !== undefined) setPathValue(projected, k, value);
+  });
+  return projected;
+}
+
+/**
+ * @description Splits a string into the words which are searched in a text
+ * search. Words are lowercased and the plural forms of words are reduced to
+ * their singular form, so that searches are case insensitive and a search for
+ * "blocks" also finds "block".
+ *
+ * @param {string} text - The text to split.
+ *
+ * @returns {string[]} The words of the text.
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).map((word) => {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.endsWith('sses')) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) {
+      return word.slice(0, -1);
+    }
+    return word;
+  });
+}
+
+/**
+ * @description Parses the string of a text search into its words, phrases and
+ * negated words, using the same syntax as MongoDB. Phrases are surrounded by
+ * double quotes and negated words start with a '-'.
+ *
+ * @param {string} search - The search string.
+ *
+ * @returns {object} An object containing the arrays words, phrases and
+ * negations.
+ */
+function parseSearch(search) {
+  const parsed = { words: [], phrases: [], negations: [] };
+  const rest = String(search).replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim() !== '') parsed.phrases.push(phrase.toLowerCase());
+    return ' ';
+  });
+  rest.split(/\s+/).filter(w => w !== '').forEach((word) => {
+    if (word.startsWith('-') && word.length > 1) {
+      parsed.negations = parsed.negations.concat(tokenize(word.slice(1)));
+    }
+    else {
+      parsed.words = parsed.words.concat(tokenize(word));
+    }
+  });
+  return parsed;
+}
+
+/**
+ * @description Scores a document in a text search. A document matches if it
+ * contains every phrase and none of the negated words, and if there are no
+ * phrases, at least one of the words. The score increases with each matched
+ * word in each field, and with the share of the words of the field which
+ * matched, similar to the text score of MongoDB.
+ *
+ * @param {object} doc - The document to score.
+ * @param {string[]} fields - The fields of the text index.
+ * @param {object} search - The parsed search, from parseSearch().
+ *
+ * @returns {(number|null)} The score of the document, or null if the document
+ * does not match.
+ */
+function scoreText(doc, fields, search) {
+  const texts = fields.map(f => getPathValues(doc, f).filter(v => typeof v === 'string').join(' '));
+  const words = new Set(search.words.concat(tokenize(search.phrases.join(' '))));
+  const tokenized = texts.map(tokenize);
+  if (tokenized.some(tokens => search.negations.some(n => tokens.includes(n)))) {
+    return null;
+  }
+
+  // Count how often each word of the search occurs in each field
+  const score = tokenized.reduce((total, tokens) => {
+    const counts = {};
+    tokens.filter(t => words.has(t)).forEach((t) => { counts[t] = (counts[t] || 0) + 1; });
+    return Object.values(counts)
+    .reduce((sum, count) => sum + 0.5 + 0.5 * count / tokens.length, total);
+  }, 0);
+
+  const lowered = texts.join('\n').toLowerCase();
+  if (!search.phrases.every(p => lowered.includes(p))) {
+    return null;
+  }
+  return (search.phrases.length > 0 || score > 0) ? score : null;
+}
+
+class Schema {
+
+  /**
+   * @description The Schema constructor. Stores the definition of each field,
+   * which is used to cast and validate documents, and the statics, virtuals
+   * and indexes of the schema.
+   *
+   * @param {object} definition - The schema definition object. Specifies fields
+   * which can be defined on a document, indexes on those fields, validators
+   * and other properties on each field.
+   * @param {object} [options] - An object containing schema options.
+   */
+  constructor(definition, options) {
+    this.definition = {};
+    this.statics = {};
+    this.virtuals = {};
+    this.indexes = [];
+    this.options = options || {};
+    this.add(definition);
+  }
+
+  /**
+   * @description Adds an object/schema to the current schema. Fields without a
+   * supported type are stored as strings.
+   *
+   * @param {(object|Schema)} obj - The object or schema to add to the current
+   * schema.
+   * @param {string} [prefix] - The optional prefix to add to the paths in obj.
+   *
+   * @returns {Schema} The modified Schema.
+   */
+  add(obj, prefix = '') {
+    const fields = (obj instanceof Schema) ? obj.definition : obj;
+    Object.keys(fields).forEach((key) => {
+      const field = Object.assign({}, fields[key]);
+      if (!types.includes(field.type)) {
+        field.type = 'String';
+      }
+      this.definition[`${prefix}${key}`] = field;
+
+      // Add an index on the field if it is indexed
+      if (field.index === true) {
+        this.index({ [`${prefix}${key}`]: 1 });
+      }
+    });
+    return this;
+  }
+
+  /**
+   * @description Registers a plugin for the schema.
+   *
+   * @param {Function} cb - A callback function to run, which is passed the
+   * schema and options.
+   * @param {object} [options] - An object containing options.
+   */
+  plugin(cb, options) {
+    cb(this, options);
+  }
+
+  /**
+   * @description Defines an index for the schema. Can support adding compound
+   * or text indexes. Indexes are created when the model is initialized.
+   *
+   * @param {object} fields - An object containing the key/value pairs where the
+   * keys are the fields to add indexes to, and the values define the index type
+   * where 1 defines an ascending index, -1 a descending index, and 'text'
+   * defines a text index.
+   * @param {object} [options] - An object containing options.
+   * @param {string} [options.name] - The name of the index. Defaults to the
+   * fields and types of the index joined with underscores, such as "branch_1".
+   */
+  index(fields, options = {}) {
+    this.indexes.push({
+      v: 2,
+      key: fields,
+      name: options.name || Object.keys(fields).map(k => `${k}_${fields[k]}`).join('_')
+    });
+  }
+
+  /**
+   * @description Defines a virtual field for the schema. Virtuals are not
+   * stored in the database, and are only added to documents when populated.
+   *
+   * @param {string} name - The name of the field to be added to the document
+   * post-find.
+   * @param {object} [options] - An object containing options.
+   * @param {string} [options.ref] - The name of the model which the virtual
+   * references.
+   * @param {string} [options.localField] - The field on the current schema
+   * which is being used to match the foreignField.
+   * @param {string} [options.foreignField] - The field on the referenced schema
+   * which is being used to match the localField.
+   * @param {boolean} [options.justOne] - If true, the virtual should only
+   * return a single document. If false, the virtual will be an array of
+   * documents.
+   *
+   * @returns {object} The options of the virtual.
+   */
+  virtual(name, options = {}) {
+    this.virtuals[name] = Object.assign({}, options);
+    return this.virtuals[name];
+  }
+
+  /**
+   * @description Adds a static method to the schema. This method should later
+   * be an accessible static method on the model. For example, Model.myFunc().
+   *
+   * @param {string} name - The name of the static function.
+   * @param {Function} fn - The function to be added to the model.
+   */
+  static(name, fn) {
+    this.statics[name] = fn;
+  }
+
+}
+
+class Model {
+
+  /**
+   * @description Class constructor. Stores the schema and model name, and adds
+   * the static methods defined in the Schema onto the Model class.
+   *
+   * @param {string} name - The name of the model being created. This name is
+   * used to create the collection name in the database.
+   * @param {Schema} schema - The schema which is being turned into a model.
+   * Should be an instance of the Schema class.
+   * @param {string} [collection] - Optional name of the collection in the
+   * database, if not provided the name should be used instead.
+   */
+  constructor(name, schema, collection) {
+    this.modelName = name;
+    this.schema = schema;
+    this.definition = schema.definition;
+    this.collectionName = collection || name;
+
+    // Add static functions to the model
+    Object.keys(schema.statics).forEach((f) => {
+      this[f] = schema.statics[f];
+    });
+
+    // Add the model to the file-wide models object, used for population
+    models[name] = this;
+  }
+
+  /**
+   * @description Returns the documents of the collection of the model. The
+   * collection is created with the indexes of the schema if it does not exist,
+   * the same as MongoDB creates collections on their first use.
+   *
+   * @returns {Map} The documents of the collection, by _id.
+   */
+  getCollection() {
+    if (!collections[this.collectionName]) {
+      collections[this.collectionName] = new Map();
+    }
+    if (!indexes[this.collectionName]) {
+      indexes[this.collectionName] = [{ v: 2, key: { _id: 1 }, name: '_id_' }]
+      .concat(clone(this.schema.indexes));
+    }
+    return collections[this.collectionName];
+  }
+
+  /**
+   * @description Creates the collection of the model if it does not exist, and
+   * ensures each index of the schema is created.
+   * @async
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async init() {
+    this.getCollection();
+    const existing = indexes[this.collectionName];
+    this.schema.indexes.forEach((index) => {
+      if (!existing.some(i => i.name === index.name)) {
+        existing.push(clone(index));
+      }
+    });
+    scheduleSave();
+  }
+
+  /**
+   * @description Casts a value to the type of a field in the schema. Null and
+   * undefined values are not cast.
+   *
+   * @param {string} field - The name of the field.
+   * @param {*} value - The value to cast.
+   *
+   * @returns {*} The cast value.
+   *
+   * @throws {DataFormatError} If the value cannot be cast to the type.
+   */
+  cast(field, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    const type = this.definition[field].type;
+    let cast;
+    switch (type) {
+      case 'String':
+        if (['string', 'number', 'boolean'].includes(typeof value)) cast = String(value);
+        break;
+      case 'Number':
+        if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) {
+          cast = Number(value);
+        }
+        if (Number.isNaN(cast)) cast = undefined;
+        break;
+      case 'Boolean':
+        if ([true, 'true', 1, '1'].includes(value)) cast = true;
+        else if ([false, 'false', 0, '0'].includes(value)) cast = false;
+        break;
+      case 'Date':
+        if (value instanceof Date || ['number', 'string'].includes(typeof value)) {
+          cast = new Date((value instanceof Date) ? value.getTime() : value);
+        }
+        if (cast && Number.isNaN(cast.getTime())) cast = undefined;
+        break;
+      default:
+        cast = clone(value);
+    }
+
+    if (cast === undefined) {
+      throw new M.DataFormatError(`${this.modelName} validation failed: `
+        + `${field}: Cast to ${type} failed for value "${JSON.stringify(value)}" `
+        + `at path "${field}"`, 'warn');
+    }
+    return cast;
+  }
+
+  /**
+   * @description Casts the values in a query to the types of the fields in the
+   * schema, so that a query for a date field can be provided a timestamp.
+   * Values which cannot be cast are left unchanged.
+   *
+   * @param {object} query - The query to cast.
+   *
+   * @returns {object} The cast query.
+   */
+  castQuery(query) {
+    const castValue = (field, value) => {
+      try {
+        return this.cast(field, value);
+      }
+      catch (error) {
+        return value;
+      }
+    };
+
+    const cast = {};
+    Object.keys(query).forEach((key) => {
+      const condition = query[key];
+      if (key === '$or' || key === '$and') {
+        cast[key] = condition.map(q => this.castQuery(q));
+      }
+      // Only cast fields which have a type other than Object
+      else if (!this.definition[key] || this.definition[key].type === 'Object') {
+        cast[key] = condition;
+      }
+      else if (isOperatorObject(condition)) {
+        cast[key] = {};
+        Object.keys(condition).forEach((operator) => {
+          cast[key][operator] = (Array.isArray(condition[operator]))
+            ? condition[operator].map(v => castValue(key, v))
+            : castValue(key, condition[operator]);
+        });
+      }
+      else {
+        cast[key] = castValue(key, condition);
+      }
+    });
+    return cast;
+  }
+
+  /**
+   * @description Validates a query to ensure it only uses supported
+   * operators.
+   *
+   * @param {object} query - The query to validate.
+   *
+   * @throws {ServerError}
+   */
+  validateQuery(query) {
+    // Loop over all keys in the query
+    Object.keys(query).forEach((k) => {
+      // If the value is an object, call recursively
+      if (typeof query[k] === 'object' && query[k] !== null && !(query[k] instanceof Date)) {
+        this.validateQuery(query[k]);
+      }
+
+      // If the key starts with '$' and is not a supported operator, throw an error
+      if (k.startsWith('$') && !operators.includes(k)) {
+        throw new M.ServerError(`The mongo keyword ${k} is no longer supported`
+          + ' after implementation of the database abstraction.', 'critical');
+      }
+    });
+  }
+
+  /**
+   * @description Ensures an update does not modify any immutable fields.
+   *
+   * @param {object} doc - The object containing the updates.
+   *
+   * @throws {OperationError}
+   */
+  checkImmutable(doc) {
+    Object.keys(doc).forEach((k) => {
+      if (this.definition[k] && this.definition[k].immutable === true) {
+        throw new M.OperationError(`${this.modelName} validation failed: `
+          + `${k}: Path \`${k}\` is immutable and cannot be modified.`);
+      }
+    });
+  }
+
+  /**
+   * @description Validates a document which is to be inserted into the
+   * database. Fields which are not defined in the schema are removed, default
+   * values are set, each value is cast to the type of its field, and the
+   * required, enum and custom validators of each field are run. As with
+   * mongoose, the validators of a field stop at the first failure, and the
+   * failures of every field are reported together.
+   *
+   * @param {object} doc - The document to be inserted into the database.
+   *
+   * @returns {object} The validated document.
+   *
+   * @throws {DataFormatError} If the document is invalid.
+   */
+  validate(doc) {
+    const validated = {};
+
+    // Set the default values and cast the values of each field
+    Object.keys(this.definition).forEach((field) => {
+      const definition = this.definition[field];
+      let value = doc[field];
+      if (value === undefined && definition.hasOwnProperty('default')) {
+        value = (typeof definition.default === 'function')
+          ? definition.default.call(doc)
+          : clone(definition.default);
+      }
+      if (value !== undefined) {
+        validated[field] = this.cast(field, value);
+      }
+    });
+
+    const failures = [];
+    Object.keys(this.definition).forEach((field) => {
+      const definition = this.definition[field];
+      const value = validated[field];
+
+      // Ensure required fields are provided
+      const required = (Array.isArray(definition.required))
+        ? definition.required[0] : definition.required;
+      if (required && (value === undefined || value === null || value === '')) {
+        const message = (Array.isArray(definition.required) && definition.required[1])
+          ? definition.required[1] : `Path \`${field}\` is required.`;
+        failures.push(`${field}: ${message}`);
+        return;
+      }
+      if (value === undefined) {
+        return;
+      }
+
+      // Ensure the value is one of the enum values
+      if (definition.enum && value !== null && !definition.enum.includes(value)) {
+        failures.push(`${field}: \`${value}\` is not a valid enum value for path \`${field}\`.`);
+        return;
+      }
+
+      // Run the validators, binding the document to "this"
+      const validators = [].concat(definition.validate || []);
+      const failed = validators.find(v => !v.validator.call(validated, value));
+      if (failed) {
+        const message = (typeof failed.message === 'function')
+          ? failed.message({ value: value, path: field })
+          : failed.message || `Validator failed for path \`${field}\` with value \`${value}\``;
+        failures.push(`${field}: ${message}`);
+      }
+    });
+
+    if (failures.length > 0) {
+      throw new M.DataFormatError(`${this.modelName} validation failed: `
+        + `${failures.join(', ')}`, 'warn');
+    }
+
+    return validated;
+  }
+
+  /**
+   * @description Finds the documents in the collection which match a filter,
+   * sorted, skipped and limited by the options. The documents are not copied,
+   * and must not be modified or returned directly.
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {object} [options] - An object containing the options sort, skip and
+   * limit of find().
+   *
+   * @returns {object[]} An array of objects containing the matching document
+   * in "doc", and its text search score in "score" for text searches.
+   */
+  findDocuments(filter, options = {}) {
+    const collection = this.getCollection();
+    const query = this.castQuery(filter);
+
+    // Find a single document by its _id directly
+    let candidates;
+    if (typeof query._id === 'string') {
+      candidates = (collection.has(query._id)) ? [collection.get(query._id)] : [];
+    }
+    else {
+      candidates = Array.from(collection.values());
+    }
+
+    let results = candidates.filter(d => matchQuery(d, query)).map(d => ({ doc: d }));
+
+    // Handle text search
+    const isTextSearch = query.hasOwnProperty('$text');
+    if (isTextSearch) {
+      const fields = this.getTextFields();
+      const search = parseSearch(query.$text);
+      results = results.map(r => ({ doc: r.doc, score: scoreText(r.doc, fields, search) }))
+      .filter(r => r.score !== null);
+    }
+
+    // Sort the results, with text search results sorted by score last
+    const sort = Object.assign({}, options.sort);
+    if (sort.$natural === -1) {
+      results.reverse();
+    }
+    delete sort.$natural;
+    if (isTextSearch && !Object.values(sort).some(o => isOperatorObject(o))) {
+      sort.score = { $meta: 'textScore' };
+    }
+    const keys = Object.keys(sort);
+    if (keys.length > 0) {
+      results.sort((a, b) => {
+        for (let i = 0; i < keys.length; i++) {
+          const order = sort[keys[i]];
+          const result = (isOperatorObject(order))
+            ? b.score - a.score
+            : compareValues(getPathValues(a.doc, keys[i])[0],
+              getPathValues(b.doc, keys[i])[0]) * order;
+          if (result !== 0) return result;
+        }
+        return 0;
+      });
+    }
+
+    // Skip and limit the results, where a limit of 0 is no limit
+    const skip = options.skip || 0;
+    return results.slice(skip, (options.limit) ? skip + options.limit : undefined);
+  }
+
+  /**
+   * @description Returns the fields of the text index of the collection.
+   *
+   * @returns {string[]} The fields of the text index.
+   *
+   * @throws {DatabaseError} If the collection does not have a text index.
+   */
+  getTextFields() {
+    const textIndex = (indexes[this.collectionName] || [])
+    .find(i => Object.values(i.key).includes('text'));
+    if (!textIndex) {
+      throw new M.DatabaseError('A text index is required for text searches on the '
+        + `collection ${this.collectionName}.`, 'warn');
+    }
+    return Object.keys(textIndex.key).filter(k => textIndex.key[k] === 'text');
+  }
+
+  /**
+   * @description Formats found documents to be returned. The documents are
+   * copied, projected and populated, and the score of text search results is
+   * added in the field "score".
+   *
+   * @param {object[]} results - The results of findDocuments().
+   * @param {(string|object)} [projection] - The fields to return or not
+   * return.
+   * @param {object} [options] - An object containing options.
+   * @param {string} [options.populate] - A space separated list of fields to
+   * populate.
+   *
+   * @returns {object[]} The formatted documents.
+   */
+  formatDocuments(results, projection, options = {}) {
+    const docs = results.map((r) => {
+      const doc = project(clone(r.doc), projection);
+      if (r.score !== undefined) doc.score = r.score;
+      return doc;
+    });
+    this.populate(docs, options);
+    return docs;
+  }
+
+  /**
+   * @description Populates documents with the fields specified in the options.
+   * Fields which reference another model are replaced with the referenced
+   * document, or null if it does not exist, and virtuals are set to the
+   * matching documents. The referenced documents are mapped once for all of
+   * the documents, rather than found separately for each document.
+   *
+   * @param {object[]} docs - The documents to populate, which are modified.
+   * @param {object} options - The object containing the options.
+   * @param {string} [options.populate] - A string of fields to populate,
+   * separated by spaces.
+   */
+  populate(docs, options) {
+    if (!options.populate || docs.length === 0) {
+      return;
+    }
+
+    const fields = [].concat(options.populate).join(' ').split(' ').filter(f => f !== '');
+    // Find every populated value before setting any, as fields may share local fields
+    const populated = fields.map((field) => {
+      // Find the reference, either a field with a ref or a virtual
+      const definition = this.definition[field];
+      const reference = (definition && definition.ref)
+        ? { ref: definition.ref, localField: field, foreignField: '_id', justOne: true }
+        : this.schema.virtuals[field];
+      if (!reference || !models[reference.ref]) {
+        return [];
+      }
+
+      // Map the referenced documents by the value of their foreign field
+      const referenced = new Map();
+      models[reference.ref].getCollection().forEach((d) => {
+        getPathValues(d, reference.foreignField).forEach((value) => {
+          [].concat(value).forEach((v) => {
+            if (v === null || v === undefined) return;
+            if (!referenced.has(v)) referenced.set(v, []);
+            referenced.get(v).push(d);
+          });
+        });
+      });
+
+      return docs.filter(doc => doc[reference.localField] !== undefined).map((doc) => {
+        const local = doc[reference.localField];
+        const found = [].concat(local)
+        .reduce((list, v) => list.concat(referenced.get(v) || []), [])
+        .map(clone);
+        const value = (reference.justOne && !Array.isArray(local)) ? (found[0] || null) : found;
+        return { doc: doc, field: field, value: value };
+      });
+    });
+
+    populated.forEach((list) => list.forEach((p) => { p.doc[p.field] = p.value; }));
+  }
+
+  /**
+   * @description Validates and inserts documents into the collection. The
+   * documents are only inserted if none of them are invalid or have the _id of
+   * an existing document.
+   *
+   * @param {object[]} docs - The documents to insert.
+   * @param {boolean} [skipValidation=false] - If true, the documents are
+   * inserted without being validated.
+   *
+   * @returns {object[]} The inserted documents, as stored in the collection.
+   */
+  insertDocuments(docs, skipValidation = false) {
+    const collection = this.getCollection();
+    const inserted = docs.map(d => ((skipValidation) ? clone(d) : this.validate(d)));
+
+    // Ensure the _ids are unique
+    const ids = new Set();
+    inserted.forEach((d) => {
+      if (collection.has(d._id) || ids.has(d._id)) {
+        throw new M.DatabaseError(`E11000 duplicate key error collection: ${this.collectionName}`
+          + ` index: _id_ dup key: { _id: "${d._id}" }`, 'warn');
+      }
+      ids.add(d._id);
+    });
+
+    inserted.forEach((d) => collection.set(d._id, d));
+    scheduleSave();
+    return inserted;
+  }
+
+  /**
+   * @description Applies an update to a document in the collection. The values
+   * of fields in the schema are cast to their type, and fields which are not
+   * in the schema are ignored.
+   *
+   * @param {object} doc - The document in the collection.
+   * @param {object} update - The object containing the updates, where keys may
+   * be paths to nested fields.
+   *
+   * @returns {boolean} True if the document was modified.
+   */
+  updateDocument(doc, update) {
+    const updated = clone(doc);
+    Object.keys(update).forEach((key) => {
+      const field = key.split('.')[0];
+      if (!this.definition[field]) {
+        return;
+      }
+      // Undefined values are set to null, the same as MongoDB
+      const value = (update[key] === undefined) ? null : update[key];
+      setPathValue(updated, key, (key === field) ? this.cast(field, value) : clone(value));
+    });
+
+    if (isDeepStrictEqual(doc, updated)) {
+      return false;
+    }
+    this.getCollection().set(doc._id, updated);
+    scheduleSave();
+    return true;
+  }
+
+  /**
+   * @description Performs a large write operation on a collection. Can create,
+   * update, replace, or delete multiple documents. The operations are
+   * performed in order, and no further operations are performed after an
+   * operation fails.
+   * @async
+   *
+   * @param {object[]} ops - An array of objects detailing what operations to
+   * perform and the data required for those operations.
+   * @param {object} [ops.insertOne] - Specifies an insertOne operation.
+   * @param {object} [ops.insertOne.document] - The document to create, for
+   * insertOne.
+   * @param {object} [ops.updateOne] - Specifies an updateOne operation.
+   * @param {object} [ops.updateOne.filter] - An object containing parameters to
+   * filter the find query by, for updateOne.
+   * @param {object} [ops.updateOne.update] - An object containing updates to
+   * the matched document from the updateOne filter.
+   * @param {object} [ops.updateMany] - Specifies an updateMany operation, with
+   * the same parameters as updateOne.
+   * @param {object} [ops.deleteOne] - Specifies a deleteOne operation.
+   * @param {object} [ops.deleteOne.filter] - An object containing parameters to
+   * filter the find query by, for deleteOne.
+   * @param {object} [ops.deleteMany] - Specifies a deleteMany operation.
+   * @param {object} [ops.deleteMany.filter] - An object containing parameters
+   * to filter the find query by, for deleteMany.
+   * @param {object} [ops.replaceOne] - Specifies a replace operation.
+   * @param {object} [ops.replaceOne.filter] - An object containing parameters
+   * to filter the find query by, for replaceOne.
+   * @param {object} [ops.replaceOne.replacement] - The document to replace the
+   * found document with.
+   * @param {object} [options] - An object containing options.
+   *
+   * @returns {Promise<object>} An object specifying the number of documents
+   * inserted (insertedCount), matched (matchedCount), updated (modifiedCount)
+   * and deleted (deletedCount), and the result of the operation (result.ok).
+   */
+  async bulkWrite(ops, options) { // eslint-disable-line no-unused-vars
+    try {
+      const result = {
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+        result: { ok: 1 }
+      };
+
+      // Verify there are no immutable fields in the updates
+      ops.forEach((op) => {
+        const update = (op.updateOne || op.updateMany || {}).update;
+        if (update) this.checkImmutable(update);
+      });
+
+      ops.forEach((op) => {
+        const type = Object.keys(op)[0];
+        const params = op[type];
+        switch (type) {
+          case 'insertOne':
+            this.insertDocuments([params.document]);
+            result.insertedCount++;
+            break;
+          case 'updateOne':
+          case 'updateMany':
+            this.findDocuments(params.filter, { limit: (type === 'updateOne') ? 1 : 0 })
+            .forEach((r) => {
+              result.matchedCount++;
+              if (this.updateDocument(r.doc, params.update)) result.modifiedCount++;
+            });
+            break;
+          case 'replaceOne':
+            this.findDocuments(params.filter, { limit: 1 }).forEach((r) => {
+              const replacement = this.validate(Object.assign({}, params.replacement,
+                { _id: r.doc._id }));
+              result.matchedCount++;
+              if (!isDeepStrictEqual(r.doc, replacement)) {
+                this.getCollection().set(r.doc._id, replacement);
+                result.modifiedCount++;
+              }
+            });
+            break;
+          case 'deleteOne':
+          case 'deleteMany':
+            this.findDocuments(params.filter, { limit: (type === 'deleteOne') ? 1 : 0 })
+            .forEach((r) => {
+              this.getCollection().delete(r.doc._id);
+              result.deletedCount++;
+            });
+            break;
+          default:
+            throw new M.DataFormatError(`Invalid bulkWrite operation: ${type}.`, 'warn');
+        }
+      });
+
+      scheduleSave();
+      return result;
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Counts the number of documents that match a filter.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   *
+   * @returns {Promise<number>} The number of documents which matched the
+   * filter.
+   */
+  async countDocuments(filter) {
+    try {
+      this.validateQuery(filter);
+      return this.findDocuments(filter).length;
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Opens a cursor over the documents which match the filter
+   * provided. The matching documents are found when the cursor is first
+   * iterated, and each document is copied, projected and populated as it is
+   * read.
+   *
+   * @param {object} filter - An object containing parameters to filter the find
+   * query by.
+   * @param {(string|object)} [projection] - Specifies the fields to return in
+   * the documents that match the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options. Supports the
+   * same options as find().
+   *
+   * @returns {object} A cursor with the async function next(), which returns
+   * the next document or null once every document has been read, and the async
+   * function close(), which closes the cursor.
+   */
+  cursor(filter, projection, options = {}) {
+    let results = null;
+
+    return {
+      next: async () => {
+        try {
+          if (results === null) {
+            this.validateQuery(filter);
+            results = this.findDocuments(filter, options);
+          }
+          if (results.length === 0) return null;
+
+          return this.formatDocuments([results.shift()], projection, options)[0];
+        }
+        catch (error) {
+          throw errors.captureError(error);
+        }
+      },
+      close: async () => {
+        results = [];
+      }
+    };
+  }
+
+  /**
+   * @description Deletes the specified index from the collection.
+   * @async
+   *
+   * @param {string} name - The name of the index.
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async deleteIndex(name) {
+    this.getCollection();
+    const existing = indexes[this.collectionName];
+    const index = existing.findIndex(i => i.name === name);
+    if (index === -1 || name === '_id_') {
+      throw new M.DatabaseError(`The index ${name} cannot be deleted from the collection `
+        + `${this.collectionName}.`, 'warn');
+    }
+    existing.splice(index, 1);
+    scheduleSave();
+  }
+
+  /**
+   * @description Deletes any documents that match the provided filter.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by, and thus delete documents by.
+   * @param {object} [options] - An object containing options.
+   *
+   * @returns {Promise<object>} An object denoting the success of the delete
+   * operation, containing the number of documents deleted (n) and the result of
+   * the operation (ok).
+   */
+  async deleteMany(filter, options) { // eslint-disable-line no-unused-vars
+    try {
+      this.validateQuery(filter);
+      const collection = this.getCollection();
+      const results = this.findDocuments(filter);
+      results.forEach((r) => collection.delete(r.doc._id));
+      scheduleSave();
+      return { n: results.length, ok: 1, deletedCount: results.length };
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Finds multiple documents based on the filter provided.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by. Supports the operators $in, $nin, $all, $or, $and, $gt,
+   * $gte, $lt and $lte, text searches with $text, and searches for terms
+   * contained in text fields with $contains.
+   * @param {(string|object)} [projection] - Specifies the fields to return in
+   * the documents that match the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options.
+   * @param {object} [options.sort] - An object specifying the order by which
+   * to sort and return the documents. Keys are fields by which to sort, and
+   * values are the sort order where 1 is ascending and -1 is descending. It is
+   * possible to sort by metadata by providing the key $meta and a non-numerical
+   * value. This is used primarily for text based search.
+   * @param {number} [options.limit] - Limits the number of documents returned.
+   * A limit of 0 is equivalent to setting no limit.
+   * @param {number} [options.skip] - Skips a specified number of documents that
+   * matched the query.
+   * @param {string} [options.populate] - A space separated list of fields to
+   * populate on return of a document.
+   *
+   * @returns {Promise<object[]>} An array containing the found documents, if
+   * any.
+   */
+  async find(filter, projection, options = {}) {
+    try {
+      this.validateQuery(filter);
+      return this.formatDocuments(this.findDocuments(filter, options), projection, options);
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Finds a single document based on the filter provided.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {(string|object)} [projection] - Specifies the fields to return in
+   * the document that matches the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options. Supports the
+   * same options as find().
+   *
+   * @returns {Promise<(object|null)>} The found document, if any. Returns null
+   * if no document is found.
+   */
+  async findOne(filter, projection, options = {}) {
+    const docs = await this.find(filter, projection, Object.assign({}, options, { limit: 1 }));
+    return docs[0] || null;
+  }
+
+  /**
+   * @description Returns an array of indexes for the given model.
+   * @async
+   *
+   * @returns {Promise<object[]>} Array of index objects, containing the fields
+   * of the index (key) and the name of the index (name).
+   */
+  async getIndexes() {
+    this.getCollection();
+    return clone(indexes[this.collectionName]);
+  }
+
+  /**
+   * @description Inserts any number of documents into the database.
+   * @async
+   *
+   * @param {(object|object[])} docs - An array of documents to insert.
+   * @param {object} [options] - An object containing options.
+   * @param {boolean} [options.skipValidation] - If true, will not validate
+   * the documents which are being created.
+   *
+   * @returns {Promise<object[]>} The created documents.
+   */
+  async insertMany(docs, options = {}) {
+    try {
+      const inserted = this.insertDocuments([].concat(docs), options.skipValidation);
+      return inserted.map(clone);
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Updates multiple documents matched by the filter with the same
+   * changes in the provided doc.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {object} doc - The object containing updates to the found documents.
+   * @param {object} [options] - An object containing options.
+   *
+   * @returns {Promise<object>} An object containing the number of documents
+   * matched (n) and the number of documents updated (nModified).
+   */
+  async updateMany(filter, doc, options) { // eslint-disable-line no-unused-vars
+    try {
+      this.checkImmutable(doc);
+      this.validateQuery(filter);
+
+      const results = this.findDocuments(filter);
+      const modified = results.filter(r => this.updateDocument(r.doc, doc));
+      return { n: results.length, nModified: modified.length, ok: 1 };
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Updates a single document which is matched by the filter, and
+   * is updated with the doc provided.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {object} doc - The object containing updates to the found document.
+   * @param {object} [options] - An object containing options.
+   *
+   * @returns {Promise<object>} An object containing the number of documents
+   * matched (n) and the number of documents updated (nModified).
+   */
+  async updateOne(filter, doc, options) { // eslint-disable-line no-unused-vars
+    try {
+      this.checkImmutable(doc);
+      this.validateQuery(filter);
+
+      const results = this.findDocuments(filter, { limit: 1 });
+      const modified = results.filter(r => this.updateDocument(r.doc, doc));
+      return { n: results.length, nModified: modified.length, ok: 1 };
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+}
+
+class Store extends session.MemoryStore {
+
+  /**
+   * @description Creates the in-memory session store of express-session.
+   * Sessions are not saved to the database file, so users must log in again
+   * after the server restarts.
+   *
+   * @param {object} [options] - An object containing options.
+   */
+  constructor(options) { // eslint-disable-line no-useless-constructor
+    super(options);
+  }
+
+}
+
+// Export different classes and functions
+module.exports = {
+  connect,
+  disconnect,
+  clear,
+  sanitize,
+  Schema,
+  Model,
+  Store
+};
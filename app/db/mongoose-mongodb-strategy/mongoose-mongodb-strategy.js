@@ -24,6 +24,9 @@ const mongoose = require('mongoose');
 const session = require('express-session');
 const MongoStore = require('connect-mongo')(session);
 
+// Whether the connected deployment supports multi-document transactions
+let transactions = false;
+
 /**
  * @description Create connection to database.
  * @async
@@ -75,6 +78,11 @@ async function connect() {
   catch (error) {
     throw error;
   }
+
+  // Transactions require a replica set or sharded cluster, on MongoDB 4.0+
+  const info = await mongoose.connection.db.admin().command({ isMaster: 1 });
+  transactions = (info.setName !== undefined || info.msg === 'isdbgrid')
+    && info.maxWireVersion >= 7;
 }
 
 /**
@@ -132,6 +140,79 @@ function sanitize(data) {
   return data;
 }
 
+/**
+ * @description Starts a MongoDB session, which is used to perform multiple
+ * writes in a transaction. Transactions are only supported by replica sets and
+ * sharded clusters, so no session is returned when connected to a standalone
+ * server.
+ * @async
+ *
+ * @returns {Promise<object|null>} The mongoose session, or null if the database
+ * does not support transactions.
+ */
+async function startSession() {
+  return (transactions) ? mongoose.startSession() : null;
+}
+
+/**
+ * @description Converts the $contains condition of a query, which MongoDB does
+ * not support, to case insensitive regular expressions which match the terms
+ * literally. Every term of the list all must be contained in one of the
+ * fields, and if the list any is not empty, one of its terms must be. If the
+ * model has a text index on the fields, the terms which are whole words are
+ * also searched for with $text, so that MongoDB finds the candidate documents
+ * through the index and only matches the regular expressions against them.
+ * Terms listed in prefixes may only be the start of a word, and are never
+ * searched for with $text. Words which the text index ignores, being the stop
+ * words of its language, are not found through the index.
+ * @private
+ *
+ * @param {object} query - The query, which is not modified.
+ * @param {Schema} schema - The schema of the model being queried.
+ *
+ * @returns {object} The converted query.
+ */
+function convertContains(query, schema) {
+  if (!query || !query.hasOwnProperty('$contains')) {
+    return query;
+  }
+
+  const search = query.$contains;
+  const contains = term => search.fields.map(f => ({
+    [f]: { $regex: String(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }
+  }));
+  const conditions = (search.all || []).map(term => ({ $or: contains(term) }));
+  if ((search.any || []).length > 0) {
+    conditions.push({ $or: [].concat(...search.any.map(contains)) });
+  }
+
+  const converted = Object.assign({}, query);
+  delete converted.$contains;
+  if (conditions.length > 0) {
+    converted.$and = (converted.$and || []).concat(conditions);
+  }
+
+  // Only one $text condition is allowed, on a text index covering every field
+  const textIndex = schema.indexes().map(i => i[0])
+  .find(fields => Object.keys(fields).some(f => fields[f] === 'text'));
+  if (converted.hasOwnProperty('$text') || !textIndex
+    || !search.fields.every(f => textIndex[f] === 'text')) {
+    return converted;
+  }
+
+  const isWord = term => /^[\p{L}\p{N}]+$/u.test(term)
+    && !(search.prefixes || []).includes(term);
+  const words = (search.all || []).filter(isWord);
+  // Quoted words must all be found, other words are alternatives
+  if (words.length > 0) {
+    converted.$text = { $search: words.map(w => `"${w}"`).join(' ') };
+  }
+  else if ((search.any || []).length > 0 && search.any.every(isWord)) {
+    converted.$text = { $search: search.any.join(' ') };
+  }
+  return converted;
+}
+
 class Schema extends mongoose.Schema {
 
   constructor(definition, options = {}) {
@@ -168,7 +249,8 @@ class Schema extends mongoose.Schema {
           // Call recursively
           object[k].forEach((j) => changeType(j));
         }
-        else {
+        // Skip values which are not path definitions, such as already converted types
+        else if (object[k] !== null && typeof object[k] === 'object') {
           // If not an object, use mongoose defined type
           switch (object[k].type) {
             case 'String': object[k].type = String; break;
@@ -307,7 +389,41 @@ class Model {
     // Validate the query
     this.validateQuery(filter);
 
-    return this.model.countDocuments(filter);
+    return this.model.countDocuments(convertContains(filter, this.schema));
+  }
+
+  /**
+   * @description Opens a cursor over the documents which match the filter
+   * provided. Calls the mongoose find() function and returns its query cursor,
+   * which reads the documents from the database in batches as it is iterated.
+   * Text searches with $text are not supported and should use find() instead.
+   *
+   * @param {object} filter - An object containing parameters to filter the find
+   * query by.
+   * @param {(string|null)} [projection] - Specifies the fields to return in
+   * the documents that match the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options. Supports the
+   * sort, limit, skip and populate options of find().
+   *
+   * @returns {object} A mongoose QueryCursor, which has the async functions
+   * next() and close().
+   */
+  cursor(filter, projection, options) {
+    // Validate the query
+    this.validateQuery(filter);
+
+    // Set lean option to true
+    const cursorOptions = Object.assign({}, options, { lean: true });
+    const query = convertContains(filter, this.schema);
+
+    // If options.sort is not defined, set it to $natural, which cannot be
+    // used when searching through the text index
+    if (!cursorOptions.sort && !query.hasOwnProperty('$text')) {
+      cursorOptions.sort = { $natural: 1 };
+    }
+
+    return this.model.find(query, projection, cursorOptions).cursor();
   }
 
   /**
@@ -428,6 +544,12 @@ class Model {
       options.sort.score = { $meta: 'textScore' };
     }
 
+    // Convert any $contains condition, which may search through the text index
+    filter = convertContains(filter, this.schema); // eslint-disable-line no-param-reassign
+    if (filter.hasOwnProperty('$text')) {
+      delete options.sort.$natural;
+    }
+
     // Call model.find()
     return this.model.find(filter, projection, options);
   }
@@ -454,6 +576,7 @@ class Model {
   async findOne(filter, projection, options) {
     // Validate the query
     this.validateQuery(filter);
+    filter = convertContains(filter, this.schema); // eslint-disable-line no-param-reassign
 
     // Set lean option to true
     if (!options) {
@@ -511,7 +634,8 @@ class Model {
 
     // If useCollection is true, use the MongoDB function directly
     if (useCollection) {
-      responseQuery = await this.model.collection.insertMany(docs);
+      responseQuery = await this.model.collection.insertMany(docs,
+        { session: options.session });
     }
     else {
       // Insert the documents
@@ -592,7 +716,8 @@ class Model {
         this.validateQuery(query[k]);
       }
 
-      const validKeys = ['$in', '$text', '$all'];
+      const validKeys = ['$in', '$nin', '$text', '$contains', '$all', '$or', '$and', '$gt',
+        '$gte', '$lt', '$lte'];
       // If the key starts with '$' and is not in the validKeys array, throw an error
       if (k.startsWith('$') && !validKeys.includes(k)) {
         throw new M.ServerError(`The mongo keyword ${k} is no longer supported`
@@ -619,6 +744,7 @@ module.exports = {
   disconnect,
   clear,
   sanitize,
+  startSession,
   Schema,
   Model,
   Store
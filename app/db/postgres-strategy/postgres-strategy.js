@@ -0,0 +1,1882 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module db.postgres-strategy.postgres-strategy
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description This file defines the schema strategy for using MBEE with the
+ * database PostgreSQL. Each model is stored in a table named after its
+ * collection, with a column for each field of the schema. Fields of the type
+ * "Object", such as custom data, are stored as JSONB. The MongoDB style
+ * queries used throughout MBEE are translated into parameterized SQL, and text
+ * searches use a generated tsvector column. Requires PostgreSQL 12 or later.
+ */
+
+// Node modules
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// NPM modules
+const { Pool } = require('pg');
+const session = require('express-session');
+const PgStore = require('connect-pg-simple')(session);
+
+// MBEE modules
+const errors = M.require('lib.errors');
+
+// Each model by name, used to populate references across models
+const models = {};
+// The column type of each supported type of schema field
+const columnTypes = {
+  String: 'TEXT',
+  Number: 'DOUBLE PRECISION',
+  Boolean: 'BOOLEAN',
+  Date: 'TIMESTAMPTZ',
+  Object: 'JSONB'
+};
+// The query operators which are supported
+const operators = ['$in', '$nin', '$text', '$contains', '$all', '$or', '$and', '$gt', '$gte',
+  '$lt', '$lte'];
+// The SQL operator of each comparison query operator
+const comparisons = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+// The text search configuration used to parse documents and searches
+const textConfig = 'english';
+// The name of the table which stores the express sessions
+const sessionTable = 'sessions';
+// The number of documents read at a time by a cursor
+const cursorBatchSize = 100;
+// The maximum number of parameters of a query in PostgreSQL
+const maxParameters = 65535;
+
+// The connection pool, created on the first connection
+let pool = null;
+
+/**
+ * @description Creates the connection pool to the database, ensures the
+ * database can be reached, and creates the table of the sessions if it does
+ * not exist.
+ * @async
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function connect() {
+  if (!pool) {
+    const options = {
+      host: M.config.db.url,
+      port: M.config.db.port,
+      database: M.config.db.name
+    };
+
+    // If username/password provided
+    if (M.config.db.username && M.config.db.password) {
+      options.user = M.config.db.username;
+      options.password = M.config.db.password;
+    }
+
+    // Configure an SSL connection
+    if (M.config.db.ssl) {
+      // Retrieve CA file
+      const caPath = path.join(M.root, M.config.db.ca);
+      options.ssl = { ca: fs.readFileSync(caPath, 'utf8') };
+    }
+
+    pool = new Pool(options);
+    pool.on('error', (error) => M.log.warn(`Idle database client error: ${error.message}`));
+  }
+
+  try {
+    await query('SELECT 1');
+    await createSessionTable();
+  }
+  catch (error) {
+    await disconnect();
+    throw error;
+  }
+}
+
+/**
+ * @description Closes every connection of the connection pool.
+ * @async
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function disconnect() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
+  }
+}
+
+/**
+ * @description Drops every table in the current schema of the database,
+ * including the table of the sessions, which is then recreated.
+ * @async
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function clear() {
+  const result = await query('SELECT tablename FROM pg_tables WHERE schemaname = current_schema()');
+  if (result.rows.length > 0) {
+    await query(`DROP TABLE IF EXISTS ${result.rows.map(r => quote(r.tablename)).join(', ')} CASCADE`);
+  }
+  await createSessionTable();
+
+  // The tables of the models are created again on their next use
+  Object.values(models).forEach((model) => { model.ready = null; });
+}
+
+/**
+ * @description Sanitizes data which will be used in queries and inserted into
+ * the database. As queries use the same operators as MongoDB, any key/value
+ * pair whose key starts with a $ is deleted. Values are always sent to the
+ * database as parameters, so no SQL escaping is required.
+ *
+ * @param {*} data - User input to be sanitized. May be in any data format.
+ *
+ * @returns {*} Sanitized user input.
+ */
+function sanitize(data) {
+  if (Array.isArray(data)) {
+    return data.map((value) => sanitize(value));
+  }
+  else if (data instanceof Object) {
+    // Check for '$' in each key parameter of userInput
+    Object.keys(data).forEach((key) => {
+      // If '$' in key, remove key from userInput
+      if (/^\$/.test(key)) {
+        delete data[key];
+      }
+      // If the value is an object
+      else if (typeof data[key] === 'object' && data[key] !== null) {
+        // Recursively call function on value
+        sanitize(data[key]);
+      }
+    });
+  }
+  // Return modified userInput
+  return data;
+}
+
+/**
+ * @description Runs a SQL statement on the database. Exported for use in the
+ * migration scripts of the strategy.
+ * @async
+ *
+ * @param {string} text - The SQL statement, where parameters are referenced as
+ * $1, $2 and so on.
+ * @param {Array} [values] - The values of the parameters.
+ * @param {object} [client] - A client of the pool to run the statement on, used
+ * to run statements in a transaction. Defaults to any client of the pool.
+ *
+ * @returns {Promise<object>} The result of the statement, containing the
+ * returned rows (rows) and the number of affected rows (rowCount).
+ */
+async function query(text, values, client) {
+  if (!pool) {
+    throw new M.DatabaseError('The database is not connected.', 'critical');
+  }
+  M.log.debug(`DB OPERATION: ${text.split(' ').slice(0, 3).join(' ')}`);
+  try {
+    return await (client || pool).query(text, values);
+  }
+  catch (error) {
+    // Report unique violations, such as duplicate _ids, as database errors
+    if (error.code === '23505') {
+      throw new M.DatabaseError(`Duplicate key error: ${error.detail || error.message}`, 'warn');
+    }
+    throw error;
+  }
+}
+
+/**
+ * @description Runs a function in a transaction on a single client of the
+ * pool. The transaction is committed if the function resolves, and rolled
+ * back if it rejects.
+ * @async
+ *
+ * @param {Function} fn - The async function to run, which is passed the client.
+ *
+ * @returns {Promise<*>} The result of the function.
+ */
+async function transaction(fn) {
+  if (!pool) {
+    throw new M.DatabaseError('The database is not connected.', 'critical');
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  }
+  catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+  finally {
+    client.release();
+  }
+}
+
+/**
+ * @description Creates the table of the express sessions, in the format used
+ * by connect-pg-simple, if it does not exist.
+ * @async
+ *
+ * @returns {Promise} Resolves upon completion.
+ */
+async function createSessionTable() {
+  await query(`CREATE TABLE IF NOT EXISTS ${quote(sessionTable)} ("sid" VARCHAR NOT NULL `
+    + 'PRIMARY KEY, "sess" JSON NOT NULL, "expire" TIMESTAMP(6) NOT NULL)');
+  await query(`CREATE INDEX IF NOT EXISTS ${quote(`${sessionTable}_expire`)} `
+    + `ON ${quote(sessionTable)} ("expire")`);
+}
+
+/**
+ * @description Quotes an identifier, such as the name of a table or column, to
+ * be used in a SQL statement.
+ *
+ * @param {string} name - The identifier.
+ *
+ * @returns {string} The quoted identifier.
+ */
+function quote(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * @description Quotes a string to be used as a literal in a SQL statement
+ * which does not support parameters, such as COMMENT.
+ *
+ * @param {string} value - The string.
+ *
+ * @returns {string} The quoted string.
+ */
+function literal(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * @description Deeply copies a value, so that a document populated on several
+ * documents is never shared between them. Unlike a JSON copy, dates are
+ * preserved.
+ *
+ * @param {*} value - The value to copy.
+ *
+ * @returns {*} The copy of the value.
+ */
+function clone(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach((k) => { copy[k] = clone(value[k]); });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * @description Returns the expression of an indexed field. Nested fields in a
+ * column of JSON are indexed by the path of the field.
+ *
+ * @param {string} field - The path of the field.
+ *
+ * @returns {string} The SQL expression.
+ */
+function indexColumn(field) {
+  const parts = field.split('.');
+  if (parts.length === 1) {
+    return quote(field);
+  }
+  return `(${quote(parts[0])} #> ${literal(`{${parts.slice(1).map(p => `"${p}"`).join(',')}}`)})`;
+}
+
+/**
+ * @description Checks whether a value is an object of query operators, such as
+ * { $in: [] }.
+ *
+ * @param {*} value - The value to check.
+ *
+ * @returns {boolean} True if the value is an object with at least one key, and
+ * every key is an operator.
+ */
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && Object.keys(value).length > 0
+    && Object.keys(value).every(k => k.startsWith('$'));
+}
+
+/**
+ * @description Finds the value at a path in a document.
+ *
+ * @param {object} doc - The document.
+ * @param {string} field - The path of the field, such as "custom.priority".
+ *
+ * @returns {*} The value at the path, or undefined if it does not exist.
+ */
+function getPathValue(doc, field) {
+  return field.split('.').reduce((value, part) => ((value !== null && typeof value === 'object')
+    ? value[part] : undefined), doc);
+}
+
+/**
+ * @description Sets the value at a path in a document, creating any missing
+ * nested objects.
+ *
+ * @param {object} doc - The document to modify.
+ * @param {string} field - The path of the field, such as "custom.priority".
+ * @param {*} value - The value to set.
+ */
+function setPathValue(doc, field, value) {
+  const parts = field.split('.');
+  let current = doc;
+  parts.slice(0, -1).forEach((part) => {
+    if (current[part] === null || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  });
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * @description Applies a projection to a document.
+ *
+ * @param {object} doc - The document, which is modified.
+ * @param {(string|object)} [projection] - A space separated list of the fields
+ * to include, or to exclude if they start with a '-'. May also be an object
+ * with the fields as keys and 1 to include or 0 to exclude the fields.
+ *
+ * @returns {object} The projected document.
+ */
+function project(doc, projection) {
+  let fields = projection;
+  if (typeof projection === 'string') {
+    fields = {};
+    projection.split(' ').filter(f => f !== '').forEach((f) => {
+      if (f.startsWith('-')) fields[f.slice(1)] = 0;
+      else fields[f] = 1;
+    });
+  }
+  if (!fields) {
+    return doc;
+  }
+
+  // Ignore projections of metadata, such as the text search score
+  const keys = Object.keys(fields).filter(k => !isOperatorObject(fields[k]));
+  const include = keys.some(k => fields[k]);
+
+  // Exclude the fields
+  if (!include) {
+    keys.forEach((k) => {
+      const parts = k.split('.');
+      const parent = (parts.length === 1) ? doc : getPathValue(doc, parts.slice(0, -1).join('.'));
+      if (parent !== null && typeof parent === 'object') delete parent[parts.pop()];
+    });
+    return doc;
+  }
+
+  // Include only the fields, and the _id unless it is excluded
+  const projected = {};
+  if (fields._id !== 0) projected._id = doc._id;
+  keys.filter(k => k !== '_id' && fields[k]).forEach((k) => {
+    const value = getPathValue(doc, k);
+    if (value !== undefined) setPathValue(projected, k, value);
+  });
+  return projected;
+}
+
+/**
+ * @description Parses the string of a text search into its words, phrases and
+ * negated words, using the same syntax as MongoDB. Phrases are surrounded by
+ * double quotes and negated words start with a '-'. The words are parsed
+ * further by PostgreSQL, which ignores stop words and reduces each word to its
+ * stem.
+ *
+ * @param {string} search - The search string.
+ *
+ * @returns {object} An object containing the arrays words, phrases and
+ * negations.
+ */
+function parseSearch(search) {
+  const parsed = { words: [], phrases: [], negations: [] };
+  const rest = String(search).replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim() !== '') parsed.phrases.push(phrase);
+    return ' ';
+  });
+  rest.split(/\s+/).filter(w => w !== '').forEach((word) => {
+    if (word.startsWith('-') && word.length > 1) {
+      parsed.negations.push(word.slice(1));
+    }
+    else {
+      parsed.words.push(word);
+    }
+  });
+  return parsed;
+}
+
+/**
+ * @description Builds the WHERE and ORDER BY clauses of a SQL statement from
+ * a query in the style of MongoDB, storing the values of the clauses as
+ * parameters of the statement.
+ */
+class Query {
+
+  /**
+   * @description Creates a query for a model.
+   *
+   * @param {Model} model - The model being queried.
+   * @param {Array} [values] - The values of the parameters which are already in
+   * the statement.
+   */
+  constructor(model, values = []) {
+    this.model = model;
+    this.values = values;
+    // The expression of the text search score, set if the query is a text search
+    this.rank = null;
+  }
+
+  /**
+   * @description Adds a parameter to the statement.
+   *
+   * @param {*} value - The value of the parameter.
+   * @param {string} [cast] - The type to cast the parameter to, such as
+   * "::jsonb".
+   *
+   * @returns {string} The reference to the parameter, such as "$1::jsonb".
+   */
+  param(value, cast = '') {
+    this.values.push(value);
+    return `$${this.values.length}${cast}`;
+  }
+
+  /**
+   * @description Returns the SQL expression of a path in the query. Paths
+   * through fields of the type Object, such as "custom.priority", refer to
+   * the value in the JSONB column.
+   *
+   * @param {string} field - The path of the field.
+   *
+   * @returns {(object|null)} An object containing the expression (sql) and the
+   * type of the field (type), or null if the field is not in the schema.
+   */
+  column(field) {
+    const parts = field.split('.');
+    const definition = this.model.definition[parts[0]];
+    if (!definition || (parts.length > 1 && definition.type !== 'Object')) {
+      return null;
+    }
+    if (parts.length === 1) {
+      return { sql: quote(field), type: definition.type, field: field };
+    }
+    return {
+      sql: `(${quote(parts[0])} #> ${this.param(parts.slice(1), '::text[]')})`,
+      type: 'Object'
+    };
+  }
+
+  /**
+   * @description Converts a query to the condition of a WHERE clause.
+   *
+   * @param {object} filter - The MongoDB style query.
+   *
+   * @returns {string} The SQL condition.
+   */
+  where(filter) {
+    const conditions = Object.keys(filter || {}).map((key) => {
+      const condition = filter[key];
+      switch (key) {
+        case '$or':
+          return `(${condition.map(q => this.where(q)).join(' OR ') || 'FALSE'})`;
+        case '$and':
+          return `(${condition.map(q => this.where(q)).join(' AND ') || 'TRUE'})`;
+        case '$text':
+          return this.text(condition);
+        case '$contains':
+          return this.contains(condition);
+        default:
+          return this.condition(key, condition);
+      }
+    });
+    return conditions.join(' AND ') || 'TRUE';
+  }
+
+  /**
+   * @description Converts the condition on a single field to SQL.
+   *
+   * @param {string} field - The path of the field.
+   * @param {*} condition - The condition, either a value to equal or an object
+   * of query operators.
+   *
+   * @returns {string} The SQL condition.
+   */
+  condition(field, condition) {
+    const column = this.column(field);
+    // Fields which are not stored can only match null
+    if (!column) {
+      return (condition === null) ? 'TRUE' : 'FALSE';
+    }
+    if (!isOperatorObject(condition)) {
+      return this.equals(column, condition);
+    }
+
+    const conditions = Object.keys(condition).map((operator) => {
+      const operand = condition[operator];
+      switch (operator) {
+        case '$in':
+          return this.in(column, [].concat(operand));
+        case '$nin':
+          // Rows whose value is missing do not equal any value
+          return `NOT COALESCE(${this.in(column, [].concat(operand))}, FALSE)`;
+        case '$all':
+          if ([].concat(operand).length === 0) return 'FALSE';
+          if (column.type === 'Object') {
+            return `(jsonb_typeof(${column.sql}) = 'array' AND ${column.sql} @> `
+              + `${this.param(JSON.stringify(operand), '::jsonb')})`;
+          }
+          return `(${operand.map(v => this.equals(column, v)).join(' AND ')})`;
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+          return this.compare(column, comparisons[operator], operand);
+        default:
+          throw new M.DataFormatError(`The query operator ${operator} is not supported.`, 'warn');
+      }
+    });
+    return `(${conditions.join(' AND ')})`;
+  }
+
+  /**
+   * @description Returns the condition that a column equals a value. The same
+   * as MongoDB, JSON arrays also match if they contain the value, and null
+   * matches missing values.
+   *
+   * @param {object} column - The column, from column().
+   * @param {*} value - The value.
+   *
+   * @returns {string} The SQL condition.
+   */
+  equals(column, value) {
+    if (column.type === 'Object') {
+      if (value === null || value === undefined) {
+        return `(${column.sql} IS NULL OR ${column.sql} = 'null'::jsonb)`;
+      }
+      return `(${column.sql} = ${this.param(JSON.stringify(value), '::jsonb')} OR `
+        + `(jsonb_typeof(${column.sql}) = 'array' AND ${column.sql} @> `
+        + `${this.param(JSON.stringify([value]), '::jsonb')}))`;
+    }
+    if (value === null || value === undefined) {
+      return `${column.sql} IS NULL`;
+    }
+    const cast = this.cast(column, value);
+    return (cast === undefined) ? 'FALSE' : `${column.sql} = ${this.param(cast)}`;
+  }
+
+  /**
+   * @description Returns the condition that a column equals one of a list of
+   * values. The values are sent as a single array parameter, so that the list
+   * may contain any number of values.
+   *
+   * @param {object} column - The column, from column().
+   * @param {Array} list - The values.
+   *
+   * @returns {string} The SQL condition.
+   */
+  in(column, list) {
+    const conditions = [];
+    const values = list.filter(v => v !== null && v !== undefined);
+    if (values.length < list.length) {
+      conditions.push(this.equals(column, null));
+    }
+
+    if (values.length > 0 && column.type === 'Object') {
+      const array = this.param(values.map(v => JSON.stringify(v)), '::jsonb[]');
+      conditions.push(`${column.sql} = ANY(${array})`);
+      conditions.push(`(CASE WHEN jsonb_typeof(${column.sql}) = 'array' THEN EXISTS (SELECT 1 `
+        + `FROM jsonb_array_elements(${column.sql}) AS "item" WHERE "item" = ANY(${array})) `
+        + 'ELSE FALSE END)');
+    }
+    else if (values.length > 0) {
+      const cast = values.map(v => this.cast(column, v)).filter(v => v !== undefined);
+      const type = columnTypes[column.type].toLowerCase();
+      if (cast.length > 0) conditions.push(`${column.sql} = ANY(${this.param(cast, `::${type}[]`)})`);
+    }
+    return `(${conditions.join(' OR ') || 'FALSE'})`;
+  }
+
+  /**
+   * @description Returns the condition that a column compares to a value. As
+   * with MongoDB, JSON values are only compared to values of the same type.
+   *
+   * @param {object} column - The column, from column().
+   * @param {string} operator - The SQL comparison operator.
+   * @param {*} value - The value to compare to.
+   *
+   * @returns {string} The SQL condition.
+   */
+  compare(column, operator, value) {
+    if (value === null || value === undefined) {
+      return 'FALSE';
+    }
+    if (column.type === 'Object') {
+      const json = this.param(JSON.stringify(value), '::jsonb');
+      return `(jsonb_typeof(${column.sql}) = jsonb_typeof(${json}) AND ${column.sql} `
+        + `${operator} ${json})`;
+    }
+    const cast = this.cast(column, value);
+    return (cast === undefined) ? 'FALSE' : `${column.sql} ${operator} ${this.param(cast)}`;
+  }
+
+  /**
+   * @description Casts a value in the query to the type of a column, so that a
+   * query for a date field can be provided a timestamp.
+   *
+   * @param {object} column - The column, from column().
+   * @param {*} value - The value to cast.
+   *
+   * @returns {*} The cast value, or undefined if it cannot be cast, in which
+   * case it cannot match any value of the column.
+   */
+  cast(column, value) {
+    try {
+      return this.model.cast(column.field, value);
+    }
+    catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * @description Returns the condition of a text search, and sets the
+   * expression of the score of the search. As with MongoDB, a document
+   * matches if it contains every phrase and none of the negated words, and if
+   * there are no phrases, at least one of the words.
+   *
+   * @param {string} search - The search string.
+   *
+   * @returns {string} The SQL condition.
+   *
+   * @throws {DatabaseError} If the model does not have a text index.
+   */
+  text(search) {
+    if (!this.model.getTextIndex()) {
+      throw new M.DatabaseError('A text index is required for text searches on the '
+        + `collection ${this.model.collectionName}.`, 'warn');
+    }
+
+    const parsed = parseSearch(search);
+    const toQuery = (fn, text) => `${fn}(${literal(textConfig)}, ${this.param(text)})`;
+    const any = parsed.words.concat(parsed.phrases).map(w => toQuery('plainto_tsquery', w));
+    if (any.length === 0) {
+      return 'FALSE';
+    }
+
+    let match = (parsed.phrases.length > 0)
+      ? parsed.phrases.map(p => toQuery('phraseto_tsquery', p)).join(' && ')
+      : any.join(' || ');
+    if (parsed.negations.length > 0) {
+      match = `(${match}) && !!(${parsed.negations.map(w => toQuery('plainto_tsquery', w))
+      .join(' || ')})`;
+    }
+
+    this.rank = `ts_rank("_search", ${any.join(' || ')})`;
+    return `"_search" @@ (${match})`;
+  }
+
+  /**
+   * @description Returns the condition that the text fields of a document
+   * contain the terms of a $contains search, ignoring case. Every term of the
+   * list all must be contained in one of the fields, and if the list any is not
+   * empty, one of its terms must be.
+   *
+   * @param {object} search - The search, in the format
+   * { fields: [], all: [], any: [] }.
+   *
+   * @returns {string} The SQL condition.
+   */
+  contains(search) {
+    const columns = search.fields.map(f => this.column(f))
+    .filter(c => c !== null && c.type === 'String');
+    const contains = (term) => {
+      // Escape the wildcards of LIKE, so that the term is matched literally
+      const pattern = this.param(`%${String(term).replace(/[\\%_]/g, '\\$&')}%`);
+      return `(${columns.map(c => `${c.sql} ILIKE ${pattern}`).join(' OR ') || 'FALSE'})`;
+    };
+
+    const conditions = (search.all || []).map(contains);
+    if ((search.any || []).length > 0) {
+      conditions.push(`(${search.any.map(contains).join(' OR ')})`);
+    }
+    return `(${conditions.join(' AND ') || 'TRUE'})`;
+  }
+
+  /**
+   * @description Converts the sort option of a find to an ORDER BY clause.
+   * Documents which sort equally remain in the order they were inserted, and
+   * the results of text searches are sorted by score last, unless sorted by
+   * score explicitly.
+   *
+   * @param {object} [sort] - The sort option, where keys are fields and values
+   * are 1 for ascending or -1 for descending order. The key $natural sorts by
+   * insertion order, and the value { $meta: 'textScore' } sorts by score.
+   *
+   * @returns {string} The ORDER BY clause.
+   */
+  orderBy(sort = {}) {
+    const clauses = [];
+    const keys = Object.keys(sort);
+    keys.forEach((key) => {
+      const order = sort[key];
+      if (key === '$natural') {
+        clauses.push(`"_seq" ${(order === -1) ? 'DESC' : 'ASC'}`);
+      }
+      else if (isOperatorObject(order)) {
+        if (this.rank) clauses.push('"_score" DESC');
+      }
+      else {
+        const column = this.column(key);
+        if (column) clauses.push(`${column.sql} ${(order === -1) ? 'DESC NULLS LAST' : 'ASC NULLS FIRST'}`);
+      }
+    });
+    if (this.rank && !keys.some(k => isOperatorObject(sort[k]))) {
+      clauses.push('"_score" DESC');
+    }
+    if (!keys.includes('$natural')) {
+      clauses.push('"_seq" ASC');
+    }
+    return `ORDER BY ${clauses.join(', ')}`;
+  }
+
+}
+
+class Schema {
+
+  /**
+   * @description The Schema constructor. Stores the definition of each field,
+   * which defines the columns of the table and is used to cast and validate
+   * documents, and the statics, virtuals and indexes of the schema.
+   *
+   * @param {object} definition - The schema definition object. Specifies fields
+   * which can be defined on a document, indexes on those fields, validators
+   * and other properties on each field.
+   * @param {object} [options] - An object containing schema options.
+   */
+  constructor(definition, options) {
+    this.definition = {};
+    this.statics = {};
+    this.virtuals = {};
+    this.indexes = [];
+    this.options = options || {};
+    this.add(definition);
+  }
+
+  /**
+   * @description Adds an object/schema to the current schema. Fields without a
+   * supported type are stored as strings.
+   *
+   * @param {(object|Schema)} obj - The object or schema to add to the current
+   * schema.
+   * @param {string} [prefix] - The optional prefix to add to the paths in obj.
+   *
+   * @returns {Schema} The modified Schema.
+   */
+  add(obj, prefix = '') {
+    const fields = (obj instanceof Schema) ? obj.definition : obj;
+    Object.keys(fields).forEach((key) => {
+      const field = Object.assign({}, fields[key]);
+      if (!columnTypes[field.type]) {
+        field.type = 'String';
+      }
+      this.definition[`${prefix}${key}`] = field;
+
+      // Add an index on the field if it is indexed
+      if (field.index === true) {
+        this.index({ [`${prefix}${key}`]: 1 });
+      }
+    });
+    return this;
+  }
+
+  /**
+   * @description Registers a plugin for the schema.
+   *
+   * @param {Function} cb - A callback function to run, which is passed the
+   * schema and options.
+   * @param {object} [options] - An object containing options.
+   */
+  plugin(cb, options) {
+    cb(this, options);
+  }
+
+  /**
+   * @description Defines an index for the schema. Can support adding compound
+   * or text indexes. Indexes are created when the model is initialized, and
+   * text indexes are created on a generated tsvector column of the fields.
+   *
+   * @param {object} fields - An object containing the key/value pairs where the
+   * keys are the fields to add indexes to, and the values define the index type
+   * where 1 defines an ascending index, -1 a descending index, and 'text'
+   * defines a text index.
+   * @param {object} [options] - An object containing options.
+   * @param {string} [options.name] - The name of the index. Defaults to the
+   * fields and types of the index joined with underscores, such as "branch_1".
+   */
+  index(fields, options = {}) {
+    this.indexes.push({
+      v: 2,
+      key: fields,
+      name: options.name || Object.keys(fields).map(k => `${k}_${fields[k]}`).join('_')
+    });
+  }
+
+  /**
+   * @description Defines a virtual field for the schema. Virtuals are not
+   * stored in the database, and are only added to documents when populated.
+   *
+   * @param {string} name - The name of the field to be added to the document
+   * post-find.
+   * @param {object} [options] - An object containing options.
+   * @param {string} [options.ref] - The name of the model which the virtual
+   * references.
+   * @param {string} [options.localField] - The field on the current schema
+   * which is being used to match the foreignField.
+   * @param {string} [options.foreignField] - The field on the referenced schema
+   * which is being used to match the localField.
+   * @param {boolean} [options.justOne] - If true, the virtual should only
+   * return a single document. If false, the virtual will be an array of
+   * documents.
+   *
+   * @returns {object} The options of the virtual.
+   */
+  virtual(name, options = {}) {
+    this.virtuals[name] = Object.assign({}, options);
+    return this.virtuals[name];
+  }
+
+  /**
+   * @description Adds a static method to the schema. This method should later
+   * be an accessible static method on the model. For example, Model.myFunc().
+   *
+   * @param {string} name - The name of the static function.
+   * @param {Function} fn - The function to be added to the model.
+   */
+  static(name, fn) {
+    this.statics[name] = fn;
+  }
+
+}
+
+class Model {
+
+  /**
+   * @description Class constructor. Stores the schema, model name and table,
+   * and adds the static methods defined in the Schema onto the Model class.
+   *
+   * @param {string} name - The name of the model being created. This name is
+   * used to create the table name in the database.
+   * @param {Schema} schema - The schema which is being turned into a model.
+   * Should be an instance of the Schema class.
+   * @param {string} [collection] - Optional name of the table in the database,
+   * if not provided the name should be used instead.
+   */
+  constructor(name, schema, collection) {
+    this.modelName = name;
+    this.schema = schema;
+    this.definition = schema.definition;
+    this.collectionName = collection || name;
+    this.table = quote(this.collectionName);
+    this.columns = Object.keys(this.definition);
+    // The creation of the table, set once the table is created
+    this.ready = null;
+
+    // Add static functions to the model
+    Object.keys(schema.statics).forEach((f) => {
+      this[f] = schema.statics[f];
+    });
+
+    // Add the model to the file-wide models object, used for population
+    models[name] = this;
+  }
+
+  /**
+   * @description Creates the table of the model if it does not exist, adds the
+   * columns of any fields which were added to the schema, and ensures each
+   * index of the schema is created. Any other changes to existing tables are
+   * made by the migration scripts of the strategy.
+   * @async
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async init() {
+    this.ready = this.createTable();
+    try {
+      await this.ready;
+    }
+    catch (error) {
+      this.ready = null;
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Ensures the table of the model has been created, so that
+   * tables are created on their first use, the same as collections in MongoDB.
+   * The table is only created once, unless the database is cleared.
+   * @async
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async ensureTable() {
+    if (!this.ready) {
+      await this.init();
+    }
+    await this.ready;
+  }
+
+  /**
+   * @description Creates the table, columns and indexes of the model, if they
+   * do not exist.
+   * @async
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async createTable() {
+    await query(`CREATE TABLE IF NOT EXISTS ${this.table} ("_seq" BIGSERIAL, `
+      + '"_id" TEXT PRIMARY KEY)');
+    const columns = this.columns.filter(f => f !== '_id')
+    .map(f => `ADD COLUMN IF NOT EXISTS ${quote(f)} ${columnTypes[this.definition[f].type]}`);
+
+    // Store the text of the fields of the text index in a generated column
+    const textIndex = this.getTextIndex();
+    if (textIndex) {
+      const text = Object.keys(textIndex.key).filter(k => textIndex.key[k] === 'text')
+      .map(k => `coalesce(${quote(k)}, '')`).join(" || ' ' || ");
+      columns.push('ADD COLUMN IF NOT EXISTS "_search" tsvector GENERATED ALWAYS AS '
+        + `(to_tsvector(${literal(textConfig)}, ${text})) STORED`);
+    }
+    if (columns.length > 0) {
+      await query(`ALTER TABLE ${this.table} ${columns.join(', ')}`);
+    }
+
+    // Create each index, storing its name and key in the comment of the index
+    for (let i = 0; i < this.schema.indexes.length; i++) {
+      const index = this.schema.indexes[i];
+      const name = this.getIndexName(index.name);
+      const keys = Object.keys(index.key);
+      const definition = (keys.some(k => index.key[k] === 'text'))
+        ? 'USING GIN ("_search")'
+        : `(${keys.map(k => `${indexColumn(k)} ${(index.key[k] === -1) ? 'DESC' : 'ASC'}`)
+        .join(', ')})`;
+
+      // eslint-disable-next-line no-await-in-loop
+      await query(`CREATE INDEX IF NOT EXISTS ${quote(name)} ON ${this.table} ${definition}`);
+      // eslint-disable-next-line no-await-in-loop
+      await query(`COMMENT ON INDEX ${quote(name)} IS `
+        + `${literal(JSON.stringify({ name: index.name, key: index.key }))}`);
+    }
+  }
+
+  /**
+   * @description Returns the name of an index in the database. Index names
+   * must be unique in a schema of PostgreSQL, so they are prefixed with the
+   * table name, and shortened with a hash if they exceed 63 characters.
+   *
+   * @param {string} name - The name of the index in the schema.
+   *
+   * @returns {string} The name of the index in the database.
+   */
+  getIndexName(name) {
+    const full = `${this.collectionName}_${name}`;
+    if (Buffer.byteLength(full) <= 63) {
+      return full;
+    }
+    const hash = crypto.createHash('sha256').update(name).digest('hex').slice(0, 16);
+    return `${this.collectionName.slice(0, 40)}_${hash}`;
+  }
+
+  /**
+   * @description Returns the text index of the schema.
+   *
+   * @returns {(object|undefined)} The text index, or undefined if the schema
+   * does not have one.
+   */
+  getTextIndex() {
+    return this.schema.indexes.find(i => Object.values(i.key).includes('text'));
+  }
+
+  /**
+   * @description Casts a value to the type of a field in the schema. Null and
+   * undefined values are not cast.
+   *
+   * @param {string} field - The name of the field.
+   * @param {*} value - The value to cast.
+   *
+   * @returns {*} The cast value.
+   *
+   * @throws {DataFormatError} If the value cannot be cast to the type.
+   */
+  cast(field, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    const type = this.definition[field].type;
+    let cast;
+    switch (type) {
+      case 'String':
+        if (['string', 'number', 'boolean'].includes(typeof value)) cast = String(value);
+        break;
+      case 'Number':
+        if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) {
+          cast = Number(value);
+        }
+        if (Number.isNaN(cast)) cast = undefined;
+        break;
+      case 'Boolean':
+        if ([true, 'true', 1, '1'].includes(value)) cast = true;
+        else if ([false, 'false', 0, '0'].includes(value)) cast = false;
+        break;
+      case 'Date':
+        if (value instanceof Date || ['number', 'string'].includes(typeof value)) {
+          cast = new Date((value instanceof Date) ? value.getTime() : value);
+        }
+        if (cast && Number.isNaN(cast.getTime())) cast = undefined;
+        break;
+      default:
+        cast = value;
+    }
+
+    if (cast === undefined) {
+      throw new M.DataFormatError(`${this.modelName} validation failed: `
+        + `${field}: Cast to ${type} failed for value "${JSON.stringify(value)}" `
+        + `at path "${field}"`, 'warn');
+    }
+    return cast;
+  }
+
+  /**
+   * @description Converts a value of a field to the value of its parameter in
+   * a SQL statement. Values of fields of the type Object are sent as JSON.
+   *
+   * @param {string} field - The name of the field.
+   * @param {*} value - The value.
+   *
+   * @returns {*} The value of the parameter.
+   */
+  toParam(field, value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return (this.definition[field].type === 'Object') ? JSON.stringify(value) : value;
+  }
+
+  /**
+   * @description Converts a row of the table to a document. Null columns are
+   * left out of the document unless their field has a default value, as they
+   * represent fields which were never set.
+   *
+   * @param {object} row - The row.
+   *
+   * @returns {object} The document.
+   */
+  fromRow(row) {
+    const doc = {};
+    this.columns.forEach((field) => {
+      if (row[field] !== null || this.definition[field].hasOwnProperty('default')) {
+        doc[field] = row[field];
+      }
+    });
+    return doc;
+  }
+
+  /**
+   * @description Validates a query to ensure it only uses supported
+   * operators.
+   *
+   * @param {object} filter - The query to validate.
+   *
+   * @throws {ServerError}
+   */
+  validateQuery(filter) {
+    // Loop over all keys in the query
+    Object.keys(filter).forEach((k) => {
+      // If the value is an object, call recursively
+      if (typeof filter[k] === 'object' && filter[k] !== null && !(filter[k] instanceof Date)) {
+        this.validateQuery(filter[k]);
+      }
+
+      // If the key starts with '$' and is not a supported operator, throw an error
+      if (k.startsWith('$') && !operators.includes(k)) {
+        throw new M.ServerError(`The mongo keyword ${k} is no longer supported`
+          + ' after implementation of the database abstraction.', 'critical');
+      }
+    });
+  }
+
+  /**
+   * @description Ensures an update does not modify any immutable fields.
+   *
+   * @param {object} doc - The object containing the updates.
+   *
+   * @throws {OperationError}
+   */
+  checkImmutable(doc) {
+    Object.keys(doc).forEach((k) => {
+      if (this.definition[k] && this.definition[k].immutable === true) {
+        throw new M.OperationError(`${this.modelName} validation failed: `
+          + `${k}: Path \`${k}\` is immutable and cannot be modified.`);
+      }
+    });
+  }
+
+  /**
+   * @description Validates a document which is to be inserted into the
+   * database. Fields which are not defined in the schema are removed, default
+   * values are set, each value is cast to the type of its field, and the
+   * required, enum and custom validators of each field are run. As with
+   * mongoose, the validators of a field stop at the first failure, and the
+   * failures of every field are reported together.
+   *
+   * @param {object} doc - The document to be inserted into the database.
+   *
+   * @returns {object} The validated document.
+   *
+   * @throws {DataFormatError} If the document is invalid.
+   */
+  validate(doc) {
+    const validated = {};
+
+    // Set the default values and cast the values of each field
+    this.columns.forEach((field) => {
+      const definition = this.definition[field];
+      let value = doc[field];
+      if (value === undefined && definition.hasOwnProperty('default')) {
+        value = (typeof definition.default === 'function')
+          ? definition.default.call(doc)
+          : JSON.parse(JSON.stringify(definition.default));
+      }
+      if (value !== undefined) {
+        validated[field] = this.cast(field, value);
+      }
+    });
+
+    const failures = [];
+    this.columns.forEach((field) => {
+      const definition = this.definition[field];
+      const value = validated[field];
+
+      // Ensure required fields are provided
+      const required = (Array.isArray(definition.required))
+        ? definition.required[0] : definition.required;
+      if (required && (value === undefined || value === null || value === '')) {
+        const message = (Array.isArray(definition.required) && definition.required[1])
+          ? definition.required[1] : `Path \`${field}\` is required.`;
+        failures.push(`${field}: ${message}`);
+        return;
+      }
+      if (value === undefined) {
+        return;
+      }
+
+      // Ensure the value is one of the enum values
+      if (definition.enum && value !== null && !definition.enum.includes(value)) {
+        failures.push(`${field}: \`${value}\` is not a valid enum value for path \`${field}\`.`);
+        return;
+      }
+
+      // Run the validators, binding the document to "this"
+      const validators = [].concat(definition.validate || []);
+      const failed = validators.find(v => !v.validator.call(validated, value));
+      if (failed) {
+        const message = (typeof failed.message === 'function')
+          ? failed.message({ value: value, path: field })
+          : failed.message || `Validator failed for path \`${field}\` with value \`${value}\``;
+        failures.push(`${field}: ${message}`);
+      }
+    });
+
+    if (failures.length > 0) {
+      throw new M.DataFormatError(`${this.modelName} validation failed: `
+        + `${failures.join(', ')}`, 'warn');
+    }
+
+    return validated;
+  }
+
+  /**
+   * @description Builds the SELECT statement of a find.
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {object} [options] - An object containing the options sort, skip and
+   * limit of find().
+   *
+   * @returns {object} An object containing the statement (text) and the values
+   * of its parameters (values).
+   */
+  selectStatement(filter, options = {}) {
+    const q = new Query(this);
+    const where = q.where(filter);
+    const score = (q.rank) ? `, ${q.rank} AS "_score"` : '';
+    let text = `SELECT ${this.columns.map(quote).join(', ')}${score} FROM ${this.table} `
+      + `WHERE ${where} ${q.orderBy(options.sort)}`;
+    // A limit of 0 is equivalent to setting no limit
+    if (options.limit) text += ` LIMIT ${q.param(options.limit)}`;
+    if (options.skip) text += ` OFFSET ${q.param(options.skip)}`;
+    return { text: text, values: q.values };
+  }
+
+  /**
+   * @description Formats found rows to be returned. The rows are converted to
+   * documents, projected and populated, and the score of text search results
+   * is added in the field "score".
+   * @async
+   *
+   * @param {object[]} rows - The found rows.
+   * @param {(string|object)} [projection] - The fields to return or not
+   * return.
+   * @param {object} [options] - An object containing options.
+   * @param {string} [options.populate] - A space separated list of fields to
+   * populate.
+   * @param {object} [client] - The client to find the populated documents with.
+   *
+   * @returns {Promise<object[]>} The formatted documents.
+   */
+  async formatRows(rows, projection, options = {}, client) {
+    const docs = rows.map((row) => {
+      const doc = project(this.fromRow(row), projection);
+      if (row._score !== undefined) doc.score = row._score;
+      return doc;
+    });
+    await this.populate(docs, options, client);
+    return docs;
+  }
+
+  /**
+   * @description Populates documents with the fields specified in the options.
+   * Fields which reference another model are replaced with the referenced
+   * document, or null if it does not exist, and virtuals are set to the
+   * matching documents. The referenced documents of each field are found with
+   * a single query for all of the documents.
+   * @async
+   *
+   * @param {object[]} docs - The documents to populate, which are modified.
+   * @param {object} options - The object containing the options.
+   * @param {string} [options.populate] - A string of fields to populate,
+   * separated by spaces.
+   * @param {object} [client] - The client to find the populated documents with.
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async populate(docs, options, client) {
+    if (!options.populate || docs.length === 0) {
+      return;
+    }
+
+    const fields = [].concat(options.populate).join(' ').split(' ').filter(f => f !== '');
+    // Find every populated value before setting any, as fields may share local fields
+    const populated = await Promise.all(fields.map(async (field) => {
+      // Find the reference, either a field with a ref or a virtual
+      const definition = this.definition[field];
+      const reference = (definition && definition.ref)
+        ? { ref: definition.ref, localField: field, foreignField: '_id', justOne: true }
+        : this.schema.virtuals[field];
+      const model = (reference) ? models[reference.ref] : null;
+      if (!model || !model.definition[reference.foreignField]) {
+        return [];
+      }
+
+      const withLocal = docs.filter(doc => doc[reference.localField] !== undefined);
+      const locals = withLocal.reduce((list, doc) => list.concat(doc[reference.localField]), [])
+      .filter(v => v !== null && v !== undefined);
+      await model.ensureTable();
+      const q = new Query(model);
+      const condition = q.in(q.column(reference.foreignField), Array.from(new Set(locals)));
+      const result = await query(`SELECT ${model.columns.map(quote).join(', ')} FROM `
+        + `${model.table} WHERE ${condition} ORDER BY "_seq"`, q.values, client);
+
+      // Map the referenced documents by the value of their foreign field
+      const referenced = new Map();
+      result.rows.map(row => model.fromRow(row)).forEach((d) => {
+        [].concat(d[reference.foreignField]).forEach((v) => {
+          if (!referenced.has(v)) referenced.set(v, []);
+          referenced.get(v).push(d);
+        });
+      });
+
+      return withLocal.map((doc) => {
+        const local = doc[reference.localField];
+        const found = [].concat(local)
+        .reduce((list, v) => list.concat(referenced.get(v) || []), [])
+        .map(clone);
+        const value = (reference.justOne && !Array.isArray(local)) ? (found[0] || null) : found;
+        return { doc: doc, field: field, value: value };
+      });
+    }));
+
+    populated.forEach((list) => list.forEach((p) => { p.doc[p.field] = p.value; }));
+  }
+
+  /**
+   * @description Inserts documents into the table. The documents are inserted
+   * in batches, each in a single statement.
+   * @async
+   *
+   * @param {object[]} docs - The documents to insert.
+   * @param {object} client - The client to insert the documents with, which
+   * should be in a transaction.
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async insertRows(docs, client) {
+    const batchSize = Math.floor(maxParameters / this.columns.length);
+    for (let i = 0; i < docs.length; i += batchSize) {
+      const q = new Query(this);
+      const rows = docs.slice(i, i + batchSize).map(doc => `(${this.columns.map((f) => {
+        const cast = (this.definition[f].type === 'Object') ? '::jsonb' : '';
+        return q.param(this.toParam(f, doc[f]), cast);
+      }).join(', ')})`);
+
+      // eslint-disable-next-line no-await-in-loop
+      await query(`INSERT INTO ${this.table} (${this.columns.map(quote).join(', ')}) `
+        + `VALUES ${rows.join(', ')}`, q.values, client);
+    }
+  }
+
+  /**
+   * @description Updates the documents which match a filter. The values of
+   * fields in the schema are cast to their type, nested fields of JSONB
+   * columns are set with jsonb_set(), and fields which are not in the schema
+   * are ignored.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {object} update - The object containing the updates, where keys may
+   * be paths to nested fields.
+   * @param {boolean} justOne - If true, only the first matching document is
+   * updated.
+   * @param {object} [client] - The client to update the documents with.
+   *
+   * @returns {Promise<object>} An object containing the number of documents
+   * matched (n) and the number of documents modified (nModified).
+   */
+  async updateRows(filter, update, justOne, client) {
+    const q = new Query(this);
+    const where = q.where(filter);
+    const limit = (justOne) ? 'ORDER BY "_seq" LIMIT 1' : '';
+
+    const sets = {};
+    Object.keys(update).forEach((key) => {
+      const parts = key.split('.');
+      const definition = this.definition[parts[0]];
+      // Undefined values are set to null, the same as MongoDB
+      const value = (update[key] === undefined) ? null : update[key];
+      if (!definition) {
+        return;
+      }
+      if (parts.length === 1) {
+        const cast = (definition.type === 'Object') ? '::jsonb' : '';
+        sets[key] = q.param(this.toParam(key, this.cast(key, value)), cast);
+      }
+      else if (definition.type === 'Object') {
+        const current = sets[parts[0]] || `COALESCE(${quote(parts[0])}, '{}'::jsonb)`;
+        sets[parts[0]] = `jsonb_set(${current}, ${q.param(parts.slice(1), '::text[]')}, `
+          + `${q.param(JSON.stringify(value), '::jsonb')}, true)`;
+      }
+    });
+
+    const columns = Object.keys(sets);
+    if (columns.length === 0) {
+      const count = await query(`SELECT count(*)::int AS "n" FROM (SELECT "_id" FROM ${this.table} `
+        + `WHERE ${where} ${limit}) AS "matched"`, q.values, client);
+      return { n: count.rows[0].n, nModified: 0, ok: 1 };
+    }
+
+    // Compare each row before and after the update to count the modified rows
+    const result = await query(`WITH "matched" AS (SELECT "_id", to_jsonb(${this.table}.*) AS `
+      + `"before" FROM ${this.table} WHERE ${where} ${limit} FOR UPDATE), "updated" AS (UPDATE `
+      + `${this.table} SET ${columns.map(c => `${quote(c)} = ${sets[c]}`).join(', ')} FROM `
+      + `"matched" WHERE ${this.table}."_id" = "matched"."_id" RETURNING `
+      + `to_jsonb(${this.table}.*) AS "after", "matched"."before") SELECT count(*)::int AS "n", `
+      + 'count(*) FILTER (WHERE "after" IS DISTINCT FROM "before")::int AS "nModified" '
+      + 'FROM "updated"', q.values, client);
+    return { n: result.rows[0].n, nModified: result.rows[0].nModified, ok: 1 };
+  }
+
+  /**
+   * @description Deletes the documents which match a filter.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {boolean} justOne - If true, only the first matching document is
+   * deleted.
+   * @param {object} [client] - The client to delete the documents with.
+   *
+   * @returns {Promise<number>} The number of deleted documents.
+   */
+  async deleteRows(filter, justOne, client) {
+    const q = new Query(this);
+    const where = (justOne)
+      ? `"_id" IN (SELECT "_id" FROM ${this.table} WHERE ${q.where(filter)} ORDER BY "_seq" LIMIT 1)`
+      : q.where(filter);
+    const result = await query(`DELETE FROM ${this.table} WHERE ${where}`, q.values, client);
+    return result.rowCount;
+  }
+
+  /**
+   * @description Performs a large write operation on a collection. Can create,
+   * update, replace, or delete multiple documents. The operations are
+   * performed in order in a single transaction, so either every operation
+   * succeeds or none of them are applied.
+   * @async
+   *
+   * @param {object[]} ops - An array of objects detailing what operations to
+   * perform and the data required for those operations.
+   * @param {object} [ops.insertOne] - Specifies an insertOne operation.
+   * @param {object} [ops.insertOne.document] - The document to create, for
+   * insertOne.
+   * @param {object} [ops.updateOne] - Specifies an updateOne operation.
+   * @param {object} [ops.updateOne.filter] - An object containing parameters to
+   * filter the find query by, for updateOne.
+   * @param {object} [ops.updateOne.update] - An object containing updates to
+   * the matched document from the updateOne filter.
+   * @param {object} [ops.updateMany] - Specifies an updateMany operation, with
+   * the same parameters as updateOne.
+   * @param {object} [ops.deleteOne] - Specifies a deleteOne operation.
+   * @param {object} [ops.deleteOne.filter] - An object containing parameters to
+   * filter the find query by, for deleteOne.
+   * @param {object} [ops.deleteMany] - Specifies a deleteMany operation.
+   * @param {object} [ops.deleteMany.filter] - An object containing parameters
+   * to filter the find query by, for deleteMany.
+   * @param {object} [ops.replaceOne] - Specifies a replace operation.
+   * @param {object} [ops.replaceOne.filter] - An object containing parameters
+   * to filter the find query by, for replaceOne.
+   * @param {object} [ops.replaceOne.replacement] - The document to replace the
+   * found document with.
+   * @param {object} [options] - An object containing options.
+   *
+   * @returns {Promise<object>} An object specifying the number of documents
+   * inserted (insertedCount), matched (matchedCount), updated (modifiedCount)
+   * and deleted (deletedCount), and the result of the operation (result.ok).
+   */
+  async bulkWrite(ops, options) { // eslint-disable-line no-unused-vars
+    try {
+      const result = {
+        insertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+        upsertedCount: 0,
+        result: { ok: 1 }
+      };
+
+      // Verify there are no immutable fields in the updates
+      ops.forEach((op) => {
+        const update = (op.updateOne || op.updateMany || {}).update;
+        if (update) this.checkImmutable(update);
+      });
+
+      await this.ensureTable();
+      await transaction(async (client) => {
+        for (let i = 0; i < ops.length; i++) {
+          const type = Object.keys(ops[i])[0];
+          const params = ops[i][type];
+          let q;
+          let updated;
+          /* eslint-disable no-await-in-loop */
+          switch (type) {
+            case 'insertOne':
+              await this.insertRows([this.validate(params.document)], client);
+              result.insertedCount++;
+              break;
+            case 'updateOne':
+            case 'updateMany':
+              updated = await this.updateRows(params.filter, params.update,
+                type === 'updateOne', client);
+              result.matchedCount += updated.n;
+              result.modifiedCount += updated.nModified;
+              break;
+            case 'replaceOne':
+              q = new Query(this);
+              updated = await query(`SELECT "_id" FROM ${this.table} WHERE `
+                + `${q.where(params.filter)} ORDER BY "_seq" LIMIT 1`, q.values, client);
+              if (updated.rows.length > 0) {
+                const replacement = this.validate(Object.assign({}, params.replacement,
+                  { _id: updated.rows[0]._id }));
+                // Set every field, so that fields missing from the replacement are removed
+                const update = {};
+                this.columns.forEach((f) => { update[f] = replacement[f]; });
+                updated = await this.updateRows({ _id: replacement._id }, update, true, client);
+                result.matchedCount += updated.n;
+                result.modifiedCount += updated.nModified;
+              }
+              break;
+            case 'deleteOne':
+            case 'deleteMany':
+              result.deletedCount += await this.deleteRows(params.filter,
+                type === 'deleteOne', client);
+              break;
+            default:
+              throw new M.DataFormatError(`Invalid bulkWrite operation: ${type}.`, 'warn');
+          }
+          /* eslint-enable no-await-in-loop */
+        }
+      });
+
+      return result;
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Counts the number of documents that match a filter.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   *
+   * @returns {Promise<number>} The number of documents which matched the
+   * filter.
+   */
+  async countDocuments(filter) {
+    try {
+      this.validateQuery(filter);
+      await this.ensureTable();
+      const q = new Query(this);
+      const result = await query(`SELECT count(*)::int AS "count" FROM ${this.table} `
+        + `WHERE ${q.where(filter)}`, q.values);
+      return result.rows[0].count;
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Opens a cursor over the documents which match the filter
+   * provided. The statement is run in a transaction on a dedicated client, and
+   * the documents are fetched from a SQL cursor in batches as they are read.
+   * Each batch is projected and populated before it is returned.
+   *
+   * @param {object} filter - An object containing parameters to filter the find
+   * query by.
+   * @param {(string|object)} [projection] - Specifies the fields to return in
+   * the documents that match the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options. Supports the
+   * same options as find().
+   *
+   * @returns {object} A cursor with the async function next(), which returns
+   * the next document or null once every document has been read, and the async
+   * function close(), which closes the cursor.
+   */
+  cursor(filter, projection, options = {}) {
+    let client = null;
+    let done = false;
+    let docs = [];
+
+    // Releases the client, ending the transaction of the cursor
+    const release = async (statement) => {
+      done = true;
+      if (client) {
+        const current = client;
+        client = null;
+        try {
+          await current.query(statement);
+        }
+        finally {
+          current.release();
+        }
+      }
+    };
+
+    return {
+      next: async () => {
+        try {
+          if (docs.length === 0 && !done) {
+            if (!client) {
+              this.validateQuery(filter);
+              await this.ensureTable();
+              const statement = this.selectStatement(filter, options);
+              client = await pool.connect();
+              await client.query('BEGIN');
+              await query(`DECLARE "cursor" NO SCROLL CURSOR FOR ${statement.text}`,
+                statement.values, client);
+            }
+            const result = await query(`FETCH ${cursorBatchSize} FROM "cursor"`, [], client);
+            docs = await this.formatRows(result.rows, projection, options, client);
+            if (result.rows.length < cursorBatchSize) await release('COMMIT');
+          }
+          return docs.shift() || null;
+        }
+        catch (error) {
+          await release('ROLLBACK');
+          throw errors.captureError(error);
+        }
+      },
+      close: async () => {
+        docs = [];
+        await release('ROLLBACK');
+      }
+    };
+  }
+
+  /**
+   * @description Deletes the specified index from the table.
+   * @async
+   *
+   * @param {string} name - The name of the index.
+   *
+   * @returns {Promise} Resolves upon completion.
+   */
+  async deleteIndex(name) {
+    const index = (await this.getIndexes()).find(i => i.name === name);
+    if (!index || name === '_id_') {
+      throw new M.DatabaseError(`The index ${name} cannot be deleted from the collection `
+        + `${this.collectionName}.`, 'warn');
+    }
+    await query(`DROP INDEX ${quote(index.relation)}`);
+  }
+
+  /**
+   * @description Deletes any documents that match the provided filter.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by, and thus delete documents by.
+   * @param {object} [options] - An object containing options.
+   *
+   * @returns {Promise<object>} An object denoting the success of the delete
+   * operation, containing the number of documents deleted (n) and the result of
+   * the operation (ok).
+   */
+  async deleteMany(filter, options) { // eslint-disable-line no-unused-vars
+    try {
+      this.validateQuery(filter);
+      await this.ensureTable();
+      const deleted = await this.deleteRows(filter, false);
+      return { n: deleted, ok: 1, deletedCount: deleted };
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Finds multiple documents based on the filter provided.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by. Supports the operators $in, $nin, $all, $or, $and, $gt,
+   * $gte, $lt and $lte, text searches with $text, and searches for terms
+   * contained in text fields with $contains.
+   * @param {(string|object)} [projection] - Specifies the fields to return in
+   * the documents that match the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options.
+   * @param {object} [options.sort] - An object specifying the order by which
+   * to sort and return the documents. Keys are fields by which to sort, and
+   * values are the sort order where 1 is ascending and -1 is descending. It is
+   * possible to sort by metadata by providing the key $meta and a non-numerical
+   * value. This is used primarily for text based search.
+   * @param {number} [options.limit] - Limits the number of documents returned.
+   * A limit of 0 is equivalent to setting no limit.
+   * @param {number} [options.skip] - Skips a specified number of documents that
+   * matched the query.
+   * @param {string} [options.populate] - A space separated list of fields to
+   * populate on return of a document.
+   *
+   * @returns {Promise<object[]>} An array containing the found documents, if
+   * any.
+   */
+  async find(filter, projection, options = {}) {
+    try {
+      this.validateQuery(filter);
+      await this.ensureTable();
+      const statement = this.selectStatement(filter, options);
+      const result = await query(statement.text, statement.values);
+      return await this.formatRows(result.rows, projection, options);
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Finds a single document based on the filter provided.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {(string|object)} [projection] - Specifies the fields to return in
+   * the document that matches the filter. To return all fields, omit this
+   * parameter.
+   * @param {object} [options] - An object containing options. Supports the
+   * same options as find().
+   *
+   * @returns {Promise<(object|null)>} The found document, if any. Returns null
+   * if no document is found.
+   */
+  async findOne(filter, projection, options = {}) {
+    const docs = await this.find(filter, projection, Object.assign({}, options, { limit: 1 }));
+    return docs[0] || null;
+  }
+
+  /**
+   * @description Returns an array of indexes for the given model. The name
+   * and key of each index are read from the comment of the index, and the
+   * primary key is returned as the index "_id_".
+   * @async
+   *
+   * @returns {Promise<object[]>} Array of index objects, containing the fields
+   * of the index (key), the name of the index (name) and the name of the index
+   * in the database (relation).
+   */
+  async getIndexes() {
+    try {
+      await this.ensureTable();
+      const result = await query('SELECT c.relname AS "relation", i.indisprimary AS "primary", '
+        + 'obj_description(c.oid, \'pg_class\') AS "comment" FROM pg_index i JOIN pg_class c '
+        + 'ON c.oid = i.indexrelid WHERE i.indrelid = $1::regclass ORDER BY c.oid', [this.table]);
+      return result.rows.map((row) => {
+        if (row.primary) {
+          return { v: 2, key: { _id: 1 }, name: '_id_', relation: row.relation };
+        }
+        let index = { name: row.relation, key: {} };
+        try {
+          index = Object.assign(index, JSON.parse(row.comment));
+        }
+        catch (error) {
+          // Indexes which were not created by the strategy have no comment
+        }
+        return { v: 2, key: index.key, name: index.name, relation: row.relation };
+      });
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Inserts any number of documents into the database. The
+   * documents are inserted in a single transaction, so none of them are
+   * inserted if any are invalid or have the _id of an existing document.
+   * @async
+   *
+   * @param {(object|object[])} docs - An array of documents to insert.
+   * @param {object} [options] - An object containing options.
+   * @param {boolean} [options.skipValidation] - If true, will not validate
+   * the documents which are being created.
+   *
+   * @returns {Promise<object[]>} The created documents.
+   */
+  async insertMany(docs, options = {}) {
+    try {
+      const inserted = [].concat(docs).map(d => ((options.skipValidation)
+        ? Object.assign({}, d) : this.validate(d)));
+      await this.ensureTable();
+      await transaction((client) => this.insertRows(inserted, client));
+      return inserted;
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Updates multiple documents matched by the filter with the same
+   * changes in the provided doc.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {object} doc - The object containing updates to the found documents.
+   * @param {object} [options] - An object containing options.
+   *
+   * @returns {Promise<object>} An object containing the number of documents
+   * matched (n) and the number of documents updated (nModified).
+   */
+  async updateMany(filter, doc, options) { // eslint-disable-line no-unused-vars
+    try {
+      this.checkImmutable(doc);
+      this.validateQuery(filter);
+      await this.ensureTable();
+      return await this.updateRows(filter, doc, false);
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+  /**
+   * @description Updates a single document which is matched by the filter, and
+   * is updated with the doc provided.
+   * @async
+   *
+   * @param {object} filter - An object containing parameters to filter the
+   * find query by.
+   * @param {object} doc - The object containing updates to the found document.
+   * @param {object} [options] - An object containing options.
+   *
+   * @returns {Promise<object>} An object containing the number of documents
+   * matched (n) and the number of documents updated (nModified).
+   */
+  async updateOne(filter, doc, options) { // eslint-disable-line no-unused-vars
+    try {
+      this.checkImmutable(doc);
+      this.validateQuery(filter);
+      await this.ensureTable();
+      return await this.updateRows(filter, doc, true);
+    }
+    catch (error) {
+      throw errors.captureError(error);
+    }
+  }
+
+}
+
+class Store extends PgStore {
+
+  /**
+   * @description Calls the parent constructor to initialize the store, using
+   * the connection pool of the strategy and the sessions table created on
+   * connection. Expired sessions are pruned by the store.
+   *
+   * @param {object} [options] - An object containing options.
+   */
+  constructor(options) {
+    super(Object.assign({ pool: pool, tableName: sessionTable }, options));
+  }
+
+}
+
+// Export different classes and functions
+module.exports = {
+  connect,
+  disconnect,
+  clear,
+  sanitize,
+  query,
+  Schema,
+  Model,
+  Store
+};
@@ -0,0 +1,121 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module lib.audit
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the audit log. Every event which creates, updates or
+ * deletes documents is recorded in the audit log by the global event emitter,
+ * with an audit record for each affected document. Each record contains the
+ * user who made the change, the IP address of their request, the time of the
+ * change and the changed fields.
+ */
+
+// NPM modules
+const uuidv4 = require('uuid/v4');
+
+// MBEE modules
+const AuditRecord = M.require('models.audit-record');
+const utils = M.require('lib.utils');
+
+// The actions which are recorded in the audit log
+const actions = ['created', 'updated', 'deleted'];
+
+/**
+ * @description Records the documents affected by an event in the audit log.
+ * The changes of each document are found by comparing the document before and
+ * after the event. Updates which did not change any recorded fields are not
+ * recorded.
+ *
+ * @param {string} type - The type of the affected documents, such as "element".
+ * @param {string} action - The type of change, either 'created', 'updated' or
+ * 'deleted', as events with any other action are not recorded.
+ * @param {object} details - The details of the event.
+ * @param {User} [details.actor] - The user who triggered the event, with the
+ * address of their request in the field "ip".
+ * @param {object[]} [details.before] - The affected documents before the event.
+ * @param {object[]} [details.after] - The affected documents after the event.
+ *
+ * @returns {Promise<object[]>} The created audit records.
+ */
+module.exports.record = async function(type, action, details) {
+  if (type === undefined || !actions.includes(action)) {
+    return [];
+  }
+
+  const ignoredFields = AuditRecord.getIgnoredFields();
+  const actor = details.actor;
+  const timestamp = Date.now();
+  const isDocument = (doc) => doc !== null && typeof doc === 'object' && doc._id !== undefined;
+
+  // Map the affected documents before the event by their id
+  const beforeMap = {};
+  (details.before || []).filter(isDocument).forEach((doc) => {
+    beforeMap[doc._id] = doc;
+  });
+  const docs = (action === 'deleted') ? Object.values(beforeMap)
+    : (details.after || []).filter(isDocument);
+
+  const records = docs.map((doc) => {
+    const previous = (action === 'created') ? {} : (beforeMap[doc._id] || {});
+    const current = (action === 'deleted') ? {} : doc;
+    const changes = {};
+
+    // Record the value before and after for each changed field
+    const fields = new Set(Object.keys(previous).concat(Object.keys(current)));
+    fields.forEach((f) => {
+      if (ignoredFields.includes(f) || f === '_id') return;
+      const beforeValue = getValue(previous[f]);
+      const afterValue = getValue(current[f]);
+      if (!utils.deepEqual(beforeValue, afterValue)) {
+        changes[f] = { before: beforeValue, after: afterValue };
+      }
+    });
+
+    return {
+      _id: uuidv4(),
+      actor: (actor && typeof actor === 'object') ? actor._id : (actor || null),
+      action: action,
+      type: type,
+      target: doc._id,
+      ip: (actor && typeof actor === 'object' && actor.ip) ? actor.ip : null,
+      timestamp: timestamp,
+      changes: changes
+    };
+  });
+
+  // Skip updates which did not change any recorded fields
+  const changedRecords = records.filter(r => r.action !== 'updated'
+    || Object.keys(r.changes).length > 0);
+
+  if (changedRecords.length === 0) {
+    return [];
+  }
+
+  return AuditRecord.insertMany(changedRecords);
+};
+
+/**
+ * @description Returns the value of a field which is stored in an audit
+ * record. Populated references are stored as their ids, and undefined values
+ * are stored as null.
+ *
+ * @param {*} value - The value of the field.
+ *
+ * @returns {*} The value to store.
+ */
+function getValue(value) {
+  if (value === undefined) return null;
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && value._id !== undefined) {
+    return value._id;
+  }
+  return value;
+}
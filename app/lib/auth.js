@@ -16,9 +16,31 @@
  * defined in the configuration file.
  */
 
+// Node modules
+const crypto = require('crypto');
+
 // MBEE modules
 const AuthModule = M.require(`auth.${M.config.auth.strategy}`);
+const LocalStrategy = M.require('auth.local-strategy');
+const Group = M.require('models.group');
+const Token = M.require('models.token');
+const User = M.require('models.user');
+const mbeeCrypto = M.require('lib.crypto');
 const sani = M.require('lib.sanitization');
+const totp = M.require('lib.totp');
+const utils = M.require('lib.utils');
+const validators = M.require('lib.validators');
+
+// The errors of the two-factor authentication step, which are returned to the user
+const twoFactorErrors = {
+  required: 'Two-factor authentication code required.',
+  invalid: 'Invalid two-factor authentication code.',
+  expired: 'Two-factor authentication expired. Please log in again.'
+};
+// The number of codes which can be tried, and the number of minutes a user has
+// to enter a code after entering their password
+const twoFactorAttempts = 5;
+const twoFactorMinutes = 5;
 
 // Error Check - Verify AuthModule is imported and implements required functions
 if (!AuthModule.hasOwnProperty('handleBasicAuth')) {
@@ -121,16 +143,19 @@ async function authenticate(req, res, next) {
       try {
         // Handle Basic Authentication
         const user = await AuthModule.handleBasicAuth(req, res, username, password);
+        // Verify the two-factor authentication code of the user
+        await checkTwoFactor(req, user);
         // Successfully authenticated basic auth!
         M.log.info(`Authenticated [${user._id}] via Basic Auth`);
 
-        // Set user req object
-        req.user = user;
+        // Set user req object, with the groups the user is a member of
+        req.user = await addUserDetails(req, user);
       }
       catch (err) {
         // Log the error
         M.log.error(err.stack);
-        if (err.message === 'Invalid username or password.') {
+        if (err.message === 'Invalid username or password.'
+          || Object.values(twoFactorErrors).includes(err.message)) {
           error = new M.AuthorizationError(err.message, 'warn');
         }
         else {
@@ -153,7 +178,8 @@ async function authenticate(req, res, next) {
      **********************************************************************
      * This section authenticates a user via a bearer token.
      * This is primarily used when the API is being called via a script
-     * or some other external method such as a micro-service.
+     * or some other external method such as a micro-service. The token is
+     * either a session token or a personal access token.
      */
     // Check for token authentication
     else if (RegExp('Bearer').test(scheme)) {
@@ -164,12 +190,14 @@ async function authenticate(req, res, next) {
 
       try {
         // Handle Token Authentication
-        const user = await AuthModule.handleTokenAuth(req, res, token);
+        const user = (token.startsWith(utils.TOKEN_PREFIX))
+          ? await handlePersonalAccessToken(token)
+          : await AuthModule.handleTokenAuth(req, res, token);
         // Successfully authenticated token auth!
         M.log.info(`Authenticated [${user._id}] via Token Auth`);
 
-        // Set user req object
-        req.user = user;
+        // Set user req object, with the groups the user is a member of
+        req.user = await addUserDetails(req, user);
       }
       catch (err) {
         if (err.message === 'Invalid username or password.') {
@@ -214,8 +242,8 @@ async function authenticate(req, res, next) {
       // Successfully authenticated token session!
       M.log.info(`Authenticated [${user._id}] via Session Token Auth`);
 
-      // Set user req object
-      req.user = user;
+      // Set user req object, with the groups the user is a member of
+      req.user = await addUserDetails(req, user);
     }
     catch (err) {
       // log the error
@@ -232,6 +260,63 @@ async function authenticate(req, res, next) {
     next();
   }
 
+  /**********************************************************************
+   * Handle Two-Factor Authentication Code
+   **********************************************************************
+   * This section completes the login of a user with two-factor
+   * authentication, who has entered their password and has been asked for
+   * a code. This is the second step of the login form and of "/api/login".
+   *
+   * The pending login is stored in the session by checkTwoFactor().
+   */
+  // Check for a pending two-factor login
+  else if (req.session.twoFactor && req.body.code && !req.body.password) {
+    M.log.verbose('Authenticating user via Two-Factor Code ...');
+    const pending = req.session.twoFactor;
+
+    try {
+      // Ensure the login has not expired and too many codes have not been tried
+      if (pending.expires < Date.now() || pending.attempts >= twoFactorAttempts) {
+        delete req.session.twoFactor;
+        throw new M.AuthorizationError(twoFactorErrors.expired, 'warn');
+      }
+
+      const user = await User.findOne({ _id: pending.username, archived: false });
+      if (!user) {
+        delete req.session.twoFactor;
+        throw new M.AuthorizationError('Invalid username or password.', 'warn');
+      }
+
+      try {
+        // Verify the two-factor authentication code of the user
+        await checkTwoFactor(req, user);
+      }
+      catch (err) {
+        pending.attempts += 1;
+        throw err;
+      }
+      delete req.session.twoFactor;
+      M.log.info(`Authenticated [${user._id}] via Two-Factor Code`);
+
+      // Set user req object, with the groups the user is a member of
+      req.user = await addUserDetails(req, user);
+    }
+    catch (err) {
+      M.log.warn(err.message);
+      const message = (err instanceof M.AuthorizationError) ? err.message
+        : 'Internal Server Error';
+      req.flash('loginError', message);
+
+      // return proper error for API route or redirect for UI
+      return (req.originalUrl.startsWith('/api'))
+        ? res.status(401).send(message)
+        : res.redirect('back');
+    }
+
+    // Move to the next function. Explicitly set error to null.
+    next(null);
+  }
+
   /**********************************************************************
    * Handle Form Input Authentication
    **********************************************************************
@@ -251,20 +336,27 @@ async function authenticate(req, res, next) {
     try {
       // Handle Basic Authentication
       const user = await AuthModule.handleBasicAuth(req, res, username, password);
+      // Verify the two-factor authentication code of the user
+      await checkTwoFactor(req, user);
       // Successfully authenticate credentials!
       M.log.info(`Authenticated [${user._id}] via Form Input`);
 
-      // Set user req object
-      req.user = user;
+      // Set user req object, with the groups the user is a member of
+      req.user = await addUserDetails(req, user);
     }
     catch (err) {
       M.log.error(err.stack);
-      req.flash('loginError', 'Invalid username or password.');
+      const message = (Object.values(twoFactorErrors).includes(err.message)) ? err.message
+        : 'Invalid username or password.';
+      // The login page asks for the code of users with two-factor authentication
+      if (message !== twoFactorErrors.required) {
+        req.flash('loginError', message);
+      }
 
       // return proper error for API route or redirect for UI
       // 'back' returns to the original login?next=originalUrl
       return (req.originalUrl.startsWith('/api'))
-        ? res.status(401).send('Invalid username or password.')
+        ? res.status(401).send(message)
         : res.redirect('back');
     }
 
@@ -284,6 +376,219 @@ async function authenticate(req, res, next) {
   }
 }
 
+/**
+ * @description Authenticates a user via a personal access token. The token
+ * contains the ID of the token and its secret, and is valid if the hash of the
+ * secret matches the stored hash and the token has not expired. The time the
+ * token was last used is updated, and the ID and scopes of the token are stored
+ * in the fields "token" and "scopes" of the user, which are used to enforce the
+ * scopes in lib/permissions.
+ *
+ * @param {string} token - The personal access token.
+ *
+ * @returns {Promise<User>} The user the token belongs to.
+ */
+async function handlePersonalAccessToken(token) {
+  // Extract the ID and secret of the token
+  const parts = token.slice(utils.TOKEN_PREFIX.length).split('_');
+  if (parts.length !== 2) {
+    throw new M.AuthorizationError('Invalid username or password.', 'warn');
+  }
+
+  // Find the token and ensure the secret matches
+  const foundToken = await Token.findOne({ _id: sani.db(parts[0]) });
+  const hash = Buffer.from(mbeeCrypto.sha256Hash(parts[1]));
+  if (!foundToken || !crypto.timingSafeEqual(hash, Buffer.from(foundToken.hash))) {
+    throw new M.AuthorizationError('Invalid username or password.', 'warn');
+  }
+
+  // Ensure the token has not expired
+  if (foundToken.expiresOn && Date.parse(foundToken.expiresOn) <= Date.now()) {
+    throw new M.AuthorizationError('Token is expired or session is invalid.', 'warn');
+  }
+
+  // Find the user the token belongs to
+  const user = await User.findOne({ _id: foundToken.user, archivedOn: null });
+  if (!user) {
+    throw new M.AuthorizationError('Invalid username or password.', 'warn');
+  }
+
+  // Record the time the token was used
+  await Token.updateOne({ _id: foundToken._id }, { lastUsedOn: Date.now() });
+
+  user.token = foundToken._id;
+  user.scopes = {
+    readOnly: foundToken.readOnly,
+    orgs: foundToken.orgs,
+    projects: foundToken.projects
+  };
+  return user;
+}
+
+/**
+ * @description Verifies the two-factor authentication code of a local user who
+ * has enabled two-factor authentication and authenticated with their password.
+ * The code is either a code from their authenticator app or one of their
+ * recovery codes, which are removed once used. The code is read from the
+ * "X-MBEE-OTP" header or the field "code" of the request body. If no code was
+ * provided, the pending login is stored in the session, so it can be completed
+ * by posting the code to the login page or "/api/login". Invalid codes count
+ * towards the failed logins of the user, the same as invalid passwords. Users
+ * of other providers, such as LDAP, are not affected.
+ *
+ * @param {object} req - Express request object.
+ * @param {User} user - The user who was authenticated with their password.
+ *
+ * @throws {AuthorizationError}
+ */
+async function checkTwoFactor(req, user) {
+  if ((user.provider && user.provider !== 'local') || !user.twoFactor
+    || !user.twoFactor.enabled) {
+    return;
+  }
+
+  const code = req.headers['x-mbee-otp'] || (req.body && req.body.code);
+  if (!code) {
+    // Store the pending login in the session
+    if (req.session) {
+      req.session.twoFactor = {
+        username: user._id,
+        expires: Date.now() + twoFactorMinutes * utils.timeConversions.MINUTES,
+        attempts: 0
+      };
+    }
+    throw new M.AuthorizationError(twoFactorErrors.required, 'warn');
+  }
+
+  // Verify the code from the authenticator app, and store its time step so it
+  // cannot be used again
+  const normalized = String(code).trim().toLowerCase();
+  const step = totp.verifyCode(mbeeCrypto.decrypt(user.twoFactor.secret), normalized,
+    user.twoFactor.lastStep);
+  if (step !== null) {
+    await User.updateOne({ _id: user._id }, {
+      twoFactor: Object.assign({}, user.twoFactor, { lastStep: step })
+    });
+    return;
+  }
+
+  // Verify the code is an unused recovery code, and remove it
+  const hash = mbeeCrypto.sha256Hash(normalized);
+  const recoveryCodes = user.twoFactor.recoveryCodes || [];
+  if (recoveryCodes.includes(hash)) {
+    await User.updateOne({ _id: user._id }, {
+      twoFactor: Object.assign({}, user.twoFactor,
+        { recoveryCodes: recoveryCodes.filter(c => c !== hash) })
+    });
+    M.log.info(`User [${user._id}] used a two-factor recovery code`);
+    return;
+  }
+
+  // Count the invalid code as a failed login, which locks the account once too
+  // many have failed
+  await LocalStrategy.recordFailedLogin(req, user);
+  throw new M.AuthorizationError(twoFactorErrors.invalid, 'warn');
+}
+
+/**
+ * @description Creates a session for a user who was authenticated, by calling
+ * doLogin() of the authentication strategy. Sessions cannot be created with
+ * personal access tokens, since sessions are not limited by the scopes of the
+ * token.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Callback to express authentication.
+ *
+ * @returns {Function} Either returns an express response to notify the user of
+ * an error or calls doLogin() of the authentication strategy.
+ */
+function doLogin(req, res, next) {
+  if (req.user && req.user.token) {
+    const error = new M.AuthorizationError('Cannot log in with a personal access token.', 'warn');
+    return (req.originalUrl.startsWith('/api'))
+      ? res.status(401).send(error.message)
+      : res.redirect('/login');
+  }
+  return AuthModule.doLogin(req, res, next);
+}
+
+/**
+ * @description Handles the authorization code flow on the login page, for
+ * strategies which implement getAuthorizationURL() and handleCodeAuth(). The
+ * flow is started by requesting the login page with the "sso" query parameter,
+ * which redirects the user to the provider, and is completed when the provider
+ * redirects the user back to the login page with an authorization code or an
+ * error. Once the user is authenticated, the session is created with doLogin()
+ * and the user is redirected to the page they requested. Otherwise, the login
+ * page is shown.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Callback to show the login page.
+ *
+ * @returns {Function} Either redirects the user or calls the next() callback.
+ */
+async function handleAuthorizationCode(req, res, next) {
+  // Strategies without the authorization code flow only show the login page
+  if (!module.exports.authorizationCodeFlow) {
+    return next();
+  }
+
+  try {
+    // Start the flow, storing the page the user requested in the session
+    if (req.query.sso) {
+      if (RegExp(validators.url.next).test(req.query.next)) {
+        req.session.loginNext = req.query.next;
+      }
+      return res.redirect(await AuthModule.getAuthorizationURL(req, res));
+    }
+
+    // Complete the flow
+    if (req.query.code || req.query.error) {
+      if (req.query.error) {
+        throw new M.AuthorizationError(`Authorization failed: ${req.query.error}`, 'warn');
+      }
+      const user = await AuthModule.handleCodeAuth(req, res, req.query.code, req.query.state);
+      M.log.info(`Authenticated [${user._id}] via Authorization Code`);
+
+      // Set user req object, with the groups the user is a member of
+      req.user = await addUserDetails(req, user);
+
+      const nextURL = req.session.loginNext || req.user.custom.homepage || '/';
+      delete req.session.loginNext;
+      return doLogin(req, res, () => res.redirect(nextURL));
+    }
+  }
+  catch (err) {
+    M.log.error(err.stack);
+    req.flash('loginError', 'Single sign-on failed.');
+  }
+
+  // Show the login page
+  next();
+}
+
+/**
+ * @description Finds the unarchived groups a user is a member of, and stores
+ * their IDs in the field "groups" of the user. The groups are used to find the
+ * effective permissions of the user in lib/permissions. The IP address of the
+ * request is stored in the field "ip" of the user, and is recorded in the audit
+ * log with the changes the user makes.
+ *
+ * @param {object} req - Express request object.
+ * @param {User} user - The authenticated user.
+ *
+ * @returns {Promise<User>} The user, with the IDs of their groups and their IP
+ * address.
+ */
+async function addUserDetails(req, user) {
+  const groups = await Group.find({ members: { $all: [user._id] }, archived: false }, '_id');
+  user.groups = groups.map(g => g._id);
+  user.ip = req.ip || null;
+  return user;
+}
+
 /**
  * @description Validates a users password with set rules.
  * Note: If validatePassword() function is NOT defined in custom strategy then
@@ -308,7 +613,10 @@ function validatePassword(password, provider) {
 
 // Export above functions
 module.exports.authenticate = authenticate;
-module.exports.doLogin = AuthModule.doLogin;
+module.exports.doLogin = doLogin;
+module.exports.handleAuthorizationCode = handleAuthorizationCode;
+module.exports.authorizationCodeFlow = AuthModule.hasOwnProperty('getAuthorizationURL')
+  && AuthModule.hasOwnProperty('handleCodeAuth');
 module.exports.handleBasicAuth = AuthModule.handleBasicAuth;
 module.exports.handleTokenAuth = AuthModule.handleTokenAuth;
 module.exports.validatePassword = validatePassword;
@@ -0,0 +1,870 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module lib.branch-utils
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines helper functions used to find and change elements and
+ * artifacts on copy-on-write branches. A copy-on-write branch does not copy the
+ * documents of its source branch when it is created. Instead, documents are
+ * found through the lineage of the branch: the branch itself, its source
+ * branch, the source of that branch and so on. A document found on a source
+ * branch is only used if it was created before the branch which inherits it,
+ * and if that branch has not stored or deleted its own copy of the document.
+ * Documents found on a source branch are returned with the IDs of the branch
+ * which was searched.
+ */
+
+// NPM modules
+const uuidv4 = require('uuid/v4');
+
+// MBEE modules
+const Artifact = M.require('models.artifact');
+const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
+const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
+const utils = M.require('lib.utils');
+
+/**
+ * @description Returns the lineage of a branch. The first entry is the branch
+ * itself, followed by each source branch whose documents it inherits. Each
+ * entry contains the time after which documents created on that branch are not
+ * inherited, or null for the branch itself.
+ *
+ * @param {string} branchID - The concatenated ID of the branch.
+ * @param {object} [session] - The database session of the transaction to read
+ * the branches in, if any.
+ *
+ * @returns {Promise<object[]>} Array of lineage entries, in the format
+ * { _id: branchID, cutoff: time }.
+ */
+module.exports.getLineage = async function(branchID, session) {
+  const lineage = [{ _id: branchID, cutoff: null }];
+  let cutoff = null;
+  let branch = await Branch.findOne({ _id: branchID }, null, { session: session });
+
+  // Follow the source of each copy-on-write branch
+  while (branch && branch.copyOnWrite && branch.source) {
+    const createdOn = new Date(branch.createdOn).getTime();
+    cutoff = (cutoff === null) ? createdOn : Math.min(cutoff, createdOn);
+    lineage.push({ _id: branch.source, cutoff: cutoff });
+    // eslint-disable-next-line no-await-in-loop
+    branch = await Branch.findOne({ _id: branch.source }, null, { session: session });
+  }
+
+  return lineage;
+};
+
+/**
+ * @description Finds elements or artifacts through the lineage of their
+ * branch. Accepts the same parameters as the model's find() function. The
+ * branch is taken from the branch field of the filter, or from the IDs of the
+ * _id field of the filter. If the filter only contains element references,
+ * such as parent, source or target, the referenced branch is searched along
+ * with any other branch that references those elements. If no branch can be
+ * found in the filter, or the branch is not a copy-on-write branch, the
+ * model's find() function is called directly. Otherwise, each branch of the
+ * lineage is queried for at most skip + limit sorted documents, and the
+ * results are merged.
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object} filter - An object containing parameters to filter the find
+ * query by.
+ * @param {(string|null)} [projection] - Specifies the fields to return.
+ * @param {object} [options] - An object containing the skip, limit, sort and
+ * populate options, the decoded cursor of the option 'after', and the database
+ * session of the transaction to read the documents in.
+ *
+ * @returns {Promise<object[]>} An array containing the found documents.
+ */
+module.exports.find = async function(model, filter, projection, options = {}) {
+  const sources = await getSources(model, filter, options.session);
+
+  // If a single branch which does not inherit documents is searched, search the database directly
+  if (sources.length === 1 && !sources[0].level) {
+    return model.find(utils.applyCursor(sources[0].filter, options), projection, options);
+  }
+
+  const populate = splitPopulate(model, options.populate);
+  const skip = options.skip || 0;
+  let found = [];
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i];
+    // eslint-disable-next-line no-await-in-loop
+    const docs = await model.find(getSourceFilter(source, options),
+      getMergeProjection(projection, options.sort),
+      { sort: Object.assign({}, options.sort),
+        limit: (options.limit) ? skip + options.limit : options.limit,
+        populate: (source.level) ? populate.direct : options.populate,
+        session: options.session
+      });
+    found = found.concat(docs.map(d => ({ doc: convertIDs(model, d, source), source: source })));
+  }
+
+  // Sort the documents of every source, then apply the skip and limit
+  found.sort((a, b) => compareDocs(a.doc, b.doc, options.sort));
+  const page = (options.limit) ? found.slice(skip, skip + options.limit) : found.slice(skip);
+
+  await populateSources(model, page, populate.lineage);
+  return page.map(f => f.doc);
+};
+
+/**
+ * @description Finds a single element or artifact through the lineage of its
+ * branch. See find() for the supported filters.
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object} filter - An object containing parameters to filter the find
+ * query by.
+ * @param {(string|null)} [projection] - Specifies the fields to return.
+ * @param {object} [options] - An object containing the populate option.
+ *
+ * @returns {Promise<object>} The found document, if any.
+ */
+module.exports.findOne = async function(model, filter, projection, options = {}) {
+  const foundDocs = await module.exports.find(model, filter, projection, options);
+  return (foundDocs.length > 0) ? foundDocs[0] : null;
+};
+
+/**
+ * @description Counts the elements or artifacts which match a filter through
+ * the lineage of their branch. See find() for the supported filters. The
+ * documents of each branch in the lineage are counted by the database.
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object} filter - An object containing parameters to filter the find
+ * query by.
+ *
+ * @returns {Promise<number>} The number of documents which match the filter.
+ */
+module.exports.countDocuments = async function(model, filter) {
+  const sources = await getSources(model, filter);
+  const counts = await Promise.all(sources.map(s => model.countDocuments(s.filter)));
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+/**
+ * @description Opens a cursor over elements or artifacts through the lineage
+ * of their branch. See find() for the supported filters. If the branch does not
+ * inherit any documents, the cursor of the model is returned. Otherwise, a
+ * database cursor is opened on each branch of the lineage, and the documents
+ * of the cursors are merged in sorted order as they are read.
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object} filter - An object containing parameters to filter the find
+ * query by.
+ * @param {(string|null)} [projection] - Specifies the fields to return.
+ * @param {object} [options] - An object containing the skip, limit, sort and
+ * populate options.
+ *
+ * @returns {Promise<object>} A cursor with the async functions next() and
+ * close().
+ */
+module.exports.cursor = async function(model, filter, projection, options = {}) {
+  const sources = await getSources(model, filter);
+
+  // If a single branch which does not inherit documents is searched, use a database cursor
+  if (sources.length === 1 && !sources[0].level) {
+    return model.cursor(sources[0].filter, projection, Object.assign({}, options));
+  }
+
+  const populate = splitPopulate(model, options.populate);
+  const cursors = sources.map(s => model.cursor(getSourceFilter(s, options),
+    getMergeProjection(projection, options.sort),
+    { sort: Object.assign({}, options.sort),
+      populate: (s.level) ? populate.direct : options.populate
+    }));
+  // The next unread document of each cursor, undefined if it must be read
+  const heads = sources.map(() => undefined);
+  let skip = options.skip || 0;
+  let remaining = options.limit || Infinity;
+  let buffer = [];
+
+  // Reads the next document of the lineage, in sorted order
+  const readNext = async () => {
+    for (let i = 0; i < cursors.length; i++) {
+      if (heads[i] === undefined) {
+        // eslint-disable-next-line no-await-in-loop
+        const doc = await cursors[i].next();
+        heads[i] = (doc) ? { doc: convertIDs(model, doc, sources[i]), source: sources[i] } : null;
+      }
+    }
+
+    // Take the first document in the sort order, preferring the closest branch
+    let next = -1;
+    heads.forEach((head, i) => {
+      if (head && (next === -1 || compareDocs(head.doc, heads[next].doc, options.sort) < 0)) {
+        next = i;
+      }
+    });
+    if (next === -1) return null;
+
+    const head = heads[next];
+    heads[next] = undefined;
+    return head;
+  };
+
+  return {
+    next: async () => {
+      // Read the next batch of documents, so that their fields are populated together
+      while (buffer.length === 0 && remaining > 0) {
+        // eslint-disable-next-line no-await-in-loop
+        let head = await readNext();
+        while (head && buffer.length < 100 && remaining > 0) {
+          if (skip > 0) {
+            skip--;
+          }
+          else {
+            buffer.push(head);
+            remaining--;
+          }
+          if (buffer.length < 100 && remaining > 0) {
+            head = await readNext(); // eslint-disable-line no-await-in-loop
+          }
+        }
+        if (buffer.length === 0) break;
+        // eslint-disable-next-line no-await-in-loop
+        await populateSources(model, buffer, populate.lineage);
+      }
+      return (buffer.length > 0) ? buffer.shift().doc : null;
+    },
+    close: async () => {
+      remaining = 0;
+      buffer = [];
+      await Promise.all(cursors.map(c => c.close()));
+    }
+  };
+};
+
+/**
+ * @description Prepares elements or artifacts on a branch to be changed or
+ * deleted. Any copy-on-write branch created from the branch which still
+ * inherits the documents is given its own copy of them, so that it is not
+ * affected by the change. If the branch itself inherits the documents, they are
+ * copied into the branch so that they can be changed.
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {string} branchID - The concatenated ID of the branch being changed.
+ * @param {string[]} ids - The concatenated IDs of the documents being changed.
+ * @param {boolean} [copyToBranch=true] - If false, inherited documents are not
+ * copied into the branch itself. Used when the documents are being deleted.
+ * @param {object} [session] - The database session of the transaction to make
+ * the changes in, if any.
+ */
+module.exports.prepareWrite = async function(model, branchID, ids, copyToBranch = true,
+  session) {
+  if (ids.length === 0) return;
+  const shortIDs = ids.map(id => utils.parseID(id).pop());
+
+  // Find the copy-on-write branches created from the branch
+  const children = await Branch.find({ source: branchID, copyOnWrite: true }, null,
+    { session: session });
+  const branchIDs = children.map(b => b._id);
+  if (copyToBranch) {
+    branchIDs.push(branchID);
+  }
+
+  for (let i = 0; i < branchIDs.length; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    const lineage = await module.exports.getLineage(branchIDs[i], session);
+    if (lineage.length > 1) {
+      const query = { _id: { $in: shortIDs.map(id => utils.createID(branchIDs[i], id)) } };
+      // eslint-disable-next-line no-await-in-loop
+      const inherited = await findInherited(model, lineage, query, session);
+
+      // Store a copy of each inherited document on the branch
+      if (inherited.length > 0) {
+        // eslint-disable-next-line no-await-in-loop
+        await model.insertMany(inherited, { session: session });
+      }
+    }
+  }
+};
+
+/**
+ * @description Finds the revisions of elements through the lineage of their
+ * branch. Revisions made on a source branch are included if they were made
+ * before the branch inherited the element. The IDs in the revisions are
+ * returned as IDs on the searched branch.
+ *
+ * @param {string} branchID - The concatenated ID of the branch.
+ * @param {string[]} [elementIDs] - The concatenated IDs of the elements. If
+ * not provided, the revisions of every element on the branch are found.
+ *
+ * @returns {Promise<object[]>} Array of revisions, sorted oldest first.
+ */
+module.exports.findRevisions = async function(branchID, elementIDs) {
+  const fields = getBranchFields(Element);
+  const lineage = await module.exports.getLineage(branchID);
+  let revisions = [];
+
+  for (let i = 0; i < lineage.length; i++) {
+    const level = lineage[i];
+    const query = { branch: level._id };
+    if (Array.isArray(elementIDs)) {
+      query.element = { $in: elementIDs.map(id => replaceBranch(id, branchID, level._id)) };
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const found = await ElementRevision.find(query, null, { sort: { createdOn: 1 } });
+
+    // Only include revisions made before the branch inherited the elements
+    revisions = revisions.concat(found.filter(r => level.cutoff === null
+      || new Date(r.createdOn).getTime() <= level.cutoff)
+    .map((r) => {
+      // Convert the IDs in the revision to IDs on the searched branch
+      r.element = replaceBranch(r.element, level._id, branchID);
+      r.branch = branchID;
+      fields.forEach((f) => {
+        if (r.snapshot && r.snapshot.hasOwnProperty(f)) {
+          r.snapshot[f] = replaceBranch(r.snapshot[f], level._id, branchID);
+        }
+        if (r.changes && r.changes.hasOwnProperty(f)) {
+          r.changes[f].before = replaceBranch(r.changes[f].before, level._id, branchID);
+          r.changes[f].after = replaceBranch(r.changes[f].after, level._id, branchID);
+        }
+      });
+      return r;
+    }));
+  }
+
+  return revisions.sort((a, b) => new Date(a.createdOn).getTime()
+    - new Date(b.createdOn).getTime());
+};
+
+/**
+ * @description Records the deletion of elements or artifacts from a
+ * copy-on-write branch, so that they are no longer found on its source branch.
+ * Should be called after the documents have been deleted.
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {string} branchID - The concatenated ID of the branch.
+ * @param {string[]} ids - The concatenated IDs of the deleted documents.
+ * @param {object} [session] - The database session of the transaction to record
+ * the deletions in, if any.
+ */
+module.exports.recordDeletions = async function(model, branchID, ids, session) {
+  const branch = await Branch.findOne({ _id: branchID }, null, { session: session });
+  if (ids.length === 0 || !branch || !branch.copyOnWrite) return;
+
+  // Remove any previous deletions of the documents
+  await module.exports.clearDeletions(model, ids, session);
+
+  await Deletion.insertMany(ids.map(id => ({
+    _id: uuidv4(),
+    model: model.modelName,
+    reference: id,
+    project: branch.project,
+    branch: branchID,
+    createdOn: Date.now()
+  })), { session: session });
+};
+
+/**
+ * @description Removes the recorded deletions of elements or artifacts. Should
+ * be called when documents are created, in case they were previously deleted.
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {string[]} ids - The concatenated IDs of the created documents.
+ * @param {object} [session] - The database session of the transaction to remove
+ * the deletions in, if any.
+ */
+module.exports.clearDeletions = async function(model, ids, session) {
+  if (ids.length === 0) return;
+  await Deletion.deleteMany({ model: model.modelName, reference: { $in: ids } },
+    { session: session });
+};
+
+/**
+ * @description Detaches the copy-on-write branches created from branches which
+ * are about to be deleted. Each detached branch is given its own copy of every
+ * element and artifact it inherits, and no longer inherits documents from its
+ * source branch.
+ *
+ * @param {string[]} branchIDs - The concatenated IDs of the branches being
+ * deleted.
+ * @param {object} [session] - The database session of the transaction to
+ * detach the branches in, if any.
+ */
+module.exports.detachBranches = async function(branchIDs, session) {
+  const children = await Branch.find({ source: { $in: branchIDs }, copyOnWrite: true }, null,
+    { session: session });
+
+  for (let i = 0; i < children.length; i++) {
+    const childID = children[i]._id;
+    // Branches which are also being deleted do not need to be detached
+    if (!branchIDs.includes(childID)) {
+      // eslint-disable-next-line no-await-in-loop
+      const lineage = await module.exports.getLineage(childID, session);
+      const models = [Element, Artifact];
+      for (let j = 0; j < models.length; j++) {
+        // eslint-disable-next-line no-await-in-loop
+        const inherited = await findInherited(models[j], lineage, {}, session);
+        // Store the inherited documents in batches of 50000
+        for (let k = 0; k < inherited.length / 50000; k++) {
+          // eslint-disable-next-line no-await-in-loop
+          await models[j].insertMany(inherited.slice(k * 50000, k * 50000 + 50000),
+            { session: session });
+        }
+      }
+
+      // The branch now stores a full copy, its deletions are no longer needed
+      // eslint-disable-next-line no-await-in-loop
+      await Deletion.deleteMany({ branch: childID }, { session: session });
+      // eslint-disable-next-line no-await-in-loop
+      await Branch.updateOne({ _id: childID }, { copyOnWrite: false }, { session: session });
+    }
+  }
+};
+
+/**
+ * @description Returns the fields of a model which contain the concatenated ID
+ * of a document on the same branch.
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ *
+ * @returns {string[]} Array of field names.
+ */
+function getBranchFields(model) {
+  return (model.modelName === 'Element')
+    ? ['_id', 'branch', 'parent', 'source', 'target', 'artifact']
+    : ['_id', 'branch'];
+}
+
+/**
+ * @description Replaces the branch portion of a concatenated ID.
+ * @private
+ *
+ * @param {*} value - The concatenated ID. Values which are not IDs on the
+ * original branch are returned unchanged.
+ * @param {string} fromBranch - The concatenated ID of the original branch.
+ * @param {string} toBranch - The concatenated ID of the new branch.
+ *
+ * @returns {*} The ID on the new branch.
+ */
+function replaceBranch(value, fromBranch, toBranch) {
+  if (value === fromBranch) {
+    return toBranch;
+  }
+  if (typeof value === 'string' && value.startsWith(`${fromBranch}${utils.ID_DELIMITER}`)) {
+    return `${toBranch}${value.slice(fromBranch.length)}`;
+  }
+  return value;
+}
+
+/**
+ * @description Splits a find filter into a filter for each branch which should
+ * be searched.
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object} filter - The find filter.
+ *
+ * @returns {(object|null)} An object mapping branch IDs to their filter, or
+ * null if the filter does not specify a branch.
+ */
+function groupByBranch(model, filter) {
+  const groups = {};
+  const getBranch = id => utils.createID(utils.parseID(id).slice(0, -1));
+
+  // The branch is provided directly
+  if (typeof filter.branch === 'string') {
+    groups[filter.branch] = filter;
+    return groups;
+  }
+
+  // Find the field which determines the branches, either the _id or a reference
+  const field = getBranchFields(model).filter(f => f !== 'branch')
+  .find(f => filter.hasOwnProperty(f) && filter[f] !== null);
+  if (field === undefined) {
+    return null;
+  }
+
+  const values = (typeof filter[field] === 'object') ? filter[field].$in : [filter[field]];
+  if (!Array.isArray(values)) {
+    return null;
+  }
+
+  // Group the values by their branch
+  values.forEach((v) => {
+    const branchID = getBranch(v);
+    if (!groups.hasOwnProperty(branchID)) {
+      groups[branchID] = Object.assign({}, filter, { branch: branchID });
+      groups[branchID][field] = { $in: [] };
+    }
+    groups[branchID][field].$in.push(v);
+  });
+
+  return groups;
+}
+
+/**
+ * @description Splits the populate option into fields which can be populated
+ * by the database, and fields which reference documents that may be inherited
+ * and must be found through the lineage of the branch.
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {string} [populate] - A space separated list of fields to populate.
+ *
+ * @returns {object} An object containing the direct populate string and the
+ * array of lineage fields.
+ */
+function splitPopulate(model, populate = '') {
+  const lineageFields = (model.modelName === 'Element')
+    ? ['parent', 'source', 'target', 'artifact', 'branch', 'contains', 'sourceOf', 'targetOf']
+    : ['branch'];
+  const fields = (populate || '').split(' ').filter(f => f !== '');
+  return {
+    direct: fields.filter(f => !lineageFields.includes(f)).join(' '),
+    lineage: fields.filter(f => lineageFields.includes(f))
+  };
+}
+
+/**
+ * @description Returns the queries which find the documents matching a filter
+ * through the lineage of the branches in the filter. Each query, or source,
+ * searches a single branch of a lineage. Documents stored on a source branch
+ * are only found if they were created before the branch which inherits them,
+ * and if no closer branch in the lineage has stored or deleted its own copy.
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object} filter - The find filter.
+ * @param {object} [session] - The database session to read the branches in.
+ *
+ * @returns {Promise<object[]>} Array of sources, in the format { filter,
+ * branch, level }. The branch is the ID of the searched branch and the level
+ * is the ID of the branch whose documents are found, both of which are only
+ * provided if the searched branch inherits documents.
+ */
+async function getSources(model, filter, session) {
+  const groups = groupByBranch(model, filter);
+
+  // If no branch was specified, search the database directly
+  if (groups === null) {
+    return [{ filter: filter }];
+  }
+
+  const branchIDs = Object.keys(groups);
+  let sources = [];
+  for (let i = 0; i < branchIDs.length; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    const lineage = await module.exports.getLineage(branchIDs[i], session);
+    // eslint-disable-next-line no-await-in-loop
+    sources = sources.concat(await getLineageSources(model, lineage, groups[branchIDs[i]],
+      session));
+  }
+
+  // If searching by references, add any documents on other branches which reference them
+  if (!filter.hasOwnProperty('branch') && !filter.hasOwnProperty('_id')) {
+    sources.push({ filter: Object.assign({}, filter, { branch: { $nin: branchIDs } }) });
+  }
+
+  return sources;
+}
+
+/**
+ * @description Returns the query of each branch in a lineage. See getSources().
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object[]} lineage - The lineage of the branch, from getLineage().
+ * @param {object} filter - The find filter, containing IDs on the branch.
+ * @param {object} [session] - The database session to read the documents in.
+ *
+ * @returns {Promise<object[]>} Array of sources, closest branch first.
+ */
+async function getLineageSources(model, lineage, filter, session) {
+  // If the branch does not inherit any documents, search it directly
+  if (lineage.length === 1) {
+    return [{ filter: filter }];
+  }
+
+  const fields = getBranchFields(model);
+  const branchID = lineage[0]._id;
+  const overridden = [];
+  const sources = [];
+
+  for (let i = 0; i < lineage.length; i++) {
+    const level = lineage[i];
+
+    // Convert the IDs in the filter to IDs on this branch
+    const levelFilter = {};
+    Object.keys(filter).forEach((k) => {
+      const value = filter[k];
+      if (fields.includes(k) && value !== null && typeof value === 'object'
+        && Array.isArray(value.$in)) {
+        levelFilter[k] = { $in: value.$in.map(v => replaceBranch(v, branchID, level._id)) };
+      }
+      else if (fields.includes(k)) {
+        levelFilter[k] = replaceBranch(value, branchID, level._id);
+      }
+      else {
+        levelFilter[k] = value;
+      }
+    });
+    levelFilter.branch = level._id;
+
+    // Only find documents created before the branch inherited them
+    if (level.cutoff !== null) {
+      levelFilter.$and = (levelFilter.$and || [])
+      .concat([{ createdOn: { $lte: new Date(level.cutoff) } }]);
+    }
+
+    // Skip documents stored or deleted on a closer branch
+    if (excludeIDs(levelFilter, overridden.map(id => utils.createID(level._id, id)))) {
+      sources.push({ filter: levelFilter, branch: branchID, level: level._id });
+    }
+
+    // Documents stored or deleted on this branch override those on its source
+    if (i < lineage.length - 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const ownDocs = await model.find({ branch: level._id }, '_id', { session: session });
+      // eslint-disable-next-line no-await-in-loop
+      const deletions = await Deletion.find({ branch: level._id, model: model.modelName },
+        'reference', { session: session });
+      ownDocs.forEach(d => overridden.push(utils.parseID(d._id).pop()));
+      deletions.forEach(d => overridden.push(utils.parseID(d.reference).pop()));
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * @description Finds the documents matching a filter which a branch inherits
+ * from the source branches in its lineage.
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object[]} lineage - The lineage of the branch, from getLineage().
+ * @param {object} filter - The find filter, containing IDs on the branch.
+ * @param {object} [session] - The database session to read the documents in.
+ *
+ * @returns {Promise<object[]>} The inherited documents, with their IDs
+ * converted to the branch.
+ */
+async function findInherited(model, lineage, filter, session) {
+  const sources = (await getLineageSources(model, lineage, filter, session))
+  .filter(s => s.level && s.level !== s.branch);
+  let inherited = [];
+  for (let i = 0; i < sources.length; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    const docs = await model.find(sources[i].filter, null, { session: session });
+    inherited = inherited.concat(docs.map(d => convertIDs(model, d, sources[i])));
+  }
+  return inherited;
+}
+
+/**
+ * @description Adds the condition that a document does not have one of a list
+ * of IDs to a filter. The filter is modified by reference.
+ * @private
+ *
+ * @param {object} filter - The find filter.
+ * @param {string[]} ids - The IDs of the documents to exclude.
+ *
+ * @returns {boolean} False if the filter can no longer match any document.
+ */
+function excludeIDs(filter, ids) {
+  if (ids.length === 0) {
+    return true;
+  }
+
+  const value = filter._id;
+  if (typeof value === 'string') {
+    return !ids.includes(value);
+  }
+  if (value !== null && typeof value === 'object' && Array.isArray(value.$in)) {
+    const excluded = new Set(ids);
+    filter._id = { $in: value.$in.filter(id => !excluded.has(id)) };
+    return filter._id.$in.length > 0;
+  }
+  if (value === undefined) {
+    filter._id = { $nin: ids };
+  }
+  else {
+    filter.$and = (filter.$and || []).concat([{ _id: { $nin: ids } }]);
+  }
+  return true;
+}
+
+/**
+ * @description Returns the filter of a source with the condition of the option
+ * 'after', whose _id is converted to an ID on the branch of the source.
+ * @private
+ *
+ * @param {object} source - The source, from getSources().
+ * @param {object} options - An object containing the decoded cursor of the
+ * option 'after' and the sort option.
+ *
+ * @returns {object} The filter of the source.
+ */
+function getSourceFilter(source, options) {
+  if (!options.after || !source.level) {
+    return utils.applyCursor(source.filter, options);
+  }
+
+  const after = Object.assign({}, options.after,
+    { id: replaceBranch(options.after.id, source.branch, source.level) });
+  return utils.applyCursor(source.filter, { after: after, sort: options.sort });
+}
+
+/**
+ * @description Adds the sort fields to a projection, as documents from
+ * several sources are sorted after they are found.
+ * @private
+ *
+ * @param {(string|null)} projection - Specifies the fields to return.
+ * @param {object} [sort] - The sort option.
+ *
+ * @returns {(string|null)} The projection containing the sort fields.
+ */
+function getMergeProjection(projection, sort = {}) {
+  if (typeof projection !== 'string' || projection.trim() === '') {
+    return projection;
+  }
+
+  const sortFields = Object.keys(sort).filter(k => !k.startsWith('$') && k !== 'score');
+  const keys = projection.split(' ').filter(k => k !== '');
+  // Exclude the sort fields from the excluded fields, or add them to the included fields
+  return (keys.every(k => k.startsWith('-')))
+    ? keys.filter(k => !sortFields.includes(k.slice(1))).join(' ')
+    : keys.concat(sortFields.filter(f => !keys.includes(f))).join(' ');
+}
+
+/**
+ * @description Converts the IDs in a document found on a source branch to IDs
+ * on the searched branch. The document is modified by reference.
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object} doc - The found document.
+ * @param {object} source - The source the document was found by.
+ *
+ * @returns {object} The document.
+ */
+function convertIDs(model, doc, source) {
+  if (source.level && source.level !== source.branch) {
+    getBranchFields(model).forEach((f) => {
+      if (doc.hasOwnProperty(f)) {
+        doc[f] = replaceBranch(doc[f], source.level, source.branch);
+      }
+    });
+  }
+  return doc;
+}
+
+/**
+ * @description Compares two documents in the order of the sort option, the
+ * same order in which the database sorts them. Text search results are
+ * ordered by their score after the sort fields.
+ * @private
+ *
+ * @param {object} a - The first document.
+ * @param {object} b - The second document.
+ * @param {object} [sort] - The sort option.
+ *
+ * @returns {number} A negative number if the first document comes first, a
+ * positive number if the second comes first, otherwise 0.
+ */
+function compareDocs(a, b, sort = {}) {
+  const sortFields = Object.keys(sort).filter(k => !k.startsWith('$'));
+  if (!sortFields.includes('score') && a.hasOwnProperty('score')) {
+    sortFields.push('score');
+  }
+
+  for (let i = 0; i < sortFields.length; i++) {
+    const f = sortFields[i];
+    // Text search scores are sorted highest first
+    const order = (f === 'score' && typeof sort[f] !== 'number') ? -1 : sort[f];
+    const x = (a[f] instanceof Date) ? a[f].getTime() : a[f];
+    const y = (b[f] instanceof Date) ? b[f].getTime() : b[f];
+    if (x < y) return -order;
+    if (x > y) return order;
+  }
+  return 0;
+}
+
+/**
+ * @description Populates the fields of documents found through the lineage of
+ * their branch, grouped by the searched branch.
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {object[]} found - The found documents, in the format { doc, source }.
+ * @param {string[]} fields - The fields to populate.
+ */
+async function populateSources(model, found, fields) {
+  if (fields.length === 0) return;
+
+  const groups = {};
+  found.filter(f => f.source.level).forEach((f) => {
+    groups[f.source.branch] = (groups[f.source.branch] || []).concat([f.doc]);
+  });
+  const branchIDs = Object.keys(groups);
+  for (let i = 0; i < branchIDs.length; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    await populateLineageFields(model, branchIDs[i], groups[branchIDs[i]], fields);
+  }
+}
+
+/**
+ * @description Populates the fields of documents on a copy-on-write branch
+ * which reference other documents on the branch, as they may be inherited.
+ * @private
+ *
+ * @param {object} model - The Element or Artifact model.
+ * @param {string} branchID - The concatenated ID of the branch.
+ * @param {object[]} docs - The documents to populate.
+ * @param {string[]} fields - The fields to populate.
+ */
+async function populateLineageFields(model, branchID, docs, fields) {
+  const virtuals = { contains: 'parent', sourceOf: 'source', targetOf: 'target' };
+  const docIDs = docs.map(d => d._id);
+
+  for (let i = 0; i < fields.length; i++) {
+    const f = fields[i];
+    if (f === 'branch') {
+      // eslint-disable-next-line no-await-in-loop
+      const branch = await Branch.findOne({ _id: branchID }, null);
+      docs.forEach((d) => {
+        d.branch = branch;
+      });
+    }
+    else if (virtuals.hasOwnProperty(f)) {
+      // Find the elements which reference the documents
+      const foreignField = virtuals[f];
+      const referencing = await module.exports.find(Element, // eslint-disable-line no-await-in-loop
+        { [foreignField]: { $in: docIDs } }, null);
+      docs.forEach((d) => {
+        d[f] = referencing.filter(e => e[foreignField] === d._id);
+      });
+    }
+    else {
+      // Find the referenced elements or artifacts
+      const refModel = (f === 'artifact') ? Artifact : Element;
+      const refIDs = Array.from(new Set(docs.map(d => d[f]).filter(id => typeof id === 'string')));
+      // eslint-disable-next-line no-await-in-loop
+      const referenced = await module.exports.find(refModel, { _id: { $in: refIDs } }, null);
+      const refMap = {};
+      referenced.forEach((r) => {
+        refMap[r._id] = r;
+      });
+      docs.forEach((d) => {
+        if (typeof d[f] === 'string') {
+          d[f] = refMap[d[f]] || null;
+        }
+      });
+    }
+  }
+}
@@ -77,7 +77,8 @@ module.exports.validate = function(config) {
   // ----------------------------- Verify auth ----------------------------- //
   test(config, 'auth', 'object');
   test(config, 'auth.strategy', 'string');
-  const authStrategies = ['local-strategy', 'ldap-strategy', 'local-ldap-strategy'];
+  const authStrategies = ['local-strategy', 'ldap-strategy', 'local-ldap-strategy',
+    'oidc-strategy'];
   if (!authStrategies.includes(config.auth.strategy)) {
     throw new Error(`Configuration file: ${config.auth.strategy} in "auth.strategy" is not a valid`
     + 'authentication strategy.');
@@ -120,14 +121,61 @@ module.exports.validate = function(config) {
     test(config, 'auth.ldap.attributes.preferredName', 'string');
     test(config, 'auth.ldap.attributes.lastName', 'string');
     test(config, 'auth.ldap.attributes.email', 'string');
+    if (config.auth.ldap.attributes.groups) test(config, 'auth.ldap.attributes.groups', 'string');
+  }
+  if (config.auth.strategy.includes('oidc')) {
+    test(config, 'auth.oidc', 'object');
+    test(config, 'auth.oidc.issuer', 'string');
+    test(config, 'auth.oidc.clientID', 'string');
+    test(config, 'auth.oidc.clientSecret', 'string');
+    test(config, 'auth.oidc.redirectURI', 'string');
+    if (config.auth.oidc.audience) test(config, 'auth.oidc.audience', 'string');
+    if (config.auth.oidc.scope) test(config, 'auth.oidc.scope', 'string');
+    test(config, 'auth.oidc.claims', 'object');
+    test(config, 'auth.oidc.claims.username', 'string');
+    test(config, 'auth.oidc.claims.firstName', 'string');
+    if (config.auth.oidc.claims.preferredName) test(config, 'auth.oidc.claims.preferredName', 'string');
+    test(config, 'auth.oidc.claims.lastName', 'string');
+    test(config, 'auth.oidc.claims.email', 'string');
   }
   test(config, 'auth.token', 'object');
   test(config, 'auth.token.expires', 'number');
   test(config, 'auth.token.units', 'string');
+  if (config.auth.token.personal) {
+    test(config, 'auth.token.personal', 'object');
+    test(config, 'auth.token.personal.expires', 'number');
+    test(config, 'auth.token.personal.units', 'string');
+  }
   test(config, 'auth.session', 'object');
   test(config, 'auth.session.expires', 'number');
   test(config, 'auth.session.units', 'string');
   if (config.auth.oldPasswords) test(config, 'auth.oldPasswords', 'number');
+  if (config.auth.password) {
+    test(config, 'auth.password', 'object');
+    ['minLength', 'digits', 'lowercase', 'uppercase', 'special'].forEach((rule) => {
+      if (config.auth.password[rule] !== undefined) test(config, `auth.password.${rule}`, 'number');
+    });
+    if (config.auth.password.maxAge) {
+      test(config, 'auth.password.maxAge', 'object');
+      test(config, 'auth.password.maxAge.expires', 'number');
+      test(config, 'auth.password.maxAge.units', 'string');
+    }
+  }
+  if (config.auth.lockout) {
+    test(config, 'auth.lockout', 'object');
+    test(config, 'auth.lockout.attempts', 'number');
+    test(config, 'auth.lockout.window', 'number');
+    test(config, 'auth.lockout.units', 'string');
+  }
+  if (config.auth.twoFactor) {
+    test(config, 'auth.twoFactor', 'object');
+    test(config, 'auth.twoFactor.require', 'string');
+    if (!['none', 'admins', 'local'].includes(config.auth.twoFactor.require)) {
+      throw new Error('Configuration file: "auth.twoFactor.require" must be one of '
+        + '[none, admins, local].');
+    }
+    if (config.auth.twoFactor.issuer) test(config, 'auth.twoFactor.issuer', 'string');
+  }
 
 
   // ----------------------------- Verify db ----------------------------- //
@@ -188,6 +236,32 @@ module.exports.validate = function(config) {
       test(config, 'db.proxy', 'string');
     }
   }
+  // Test PostgreSQL strategy
+  else if (config.db.strategy === 'postgres-strategy') {
+    test(config, 'db.url', 'string');
+    test(config, 'db.port', 'number');
+    test(config, 'db.name', 'string');
+
+    // Test optional fields
+    if (config.db.username !== undefined) test(config, 'db.username', 'string');
+    if (config.db.password !== undefined) test(config, 'db.password', 'string');
+    if (config.db.ssl !== undefined) test(config, 'db.ssl', 'boolean');
+
+    // If ssl is enabled, validate the ca file
+    if (config.db.ssl) {
+      test(config, 'db.ca', 'string');
+      const caFile = fs.readdirSync(path.join(M.root, 'certs'))
+      .filter((file) => config.db.ca.includes(file));
+      if (caFile.length === 0) {
+        throw new Error(`Configuration file: CA file ${config.db.ca} not found in certs directory.`);
+      }
+    }
+  }
+  // Test in-memory strategy
+  else if (config.db.strategy === 'memory-strategy') {
+    // Test the optional file field
+    if (config.db.file !== undefined) test(config, 'db.file', 'string');
+  }
 
 
   // ----------------------------- Verify docker ----------------------------- //
@@ -264,6 +338,16 @@ module.exports.validate = function(config) {
     if (config.server.api.userAPI.delete) test(config, 'server.api.userAPI.delete', 'boolean');
   }
   if (config.server.hasOwnProperty('uniqueProjects')) test(config, 'server.uniqueProjects', 'boolean');
+  if (config.server.hasOwnProperty('webhooks')) {
+    test(config, 'server.webhooks', 'object');
+    if (config.server.webhooks.hasOwnProperty('retries')) test(config, 'server.webhooks.retries', 'number');
+    if (config.server.webhooks.hasOwnProperty('retryDelay')) test(config, 'server.webhooks.retryDelay', 'number');
+  }
+  if (config.server.hasOwnProperty('locks')) {
+    test(config, 'server.locks', 'object');
+    if (config.server.locks.hasOwnProperty('timeout')) test(config, 'server.locks.timeout', 'number');
+    if (config.server.locks.hasOwnProperty('maxTimeout')) test(config, 'server.locks.maxTimeout', 'number');
+  }
   test(config, 'server.plugins', 'object');
   test(config, 'server.plugins.enabled', 'boolean');
   if (config.server.plugins.enabled) {
@@ -360,6 +444,8 @@ module.exports.validate = function(config) {
     if (config.validators.project_id_length) test(config, 'validators.project_id_length', 'number');
     if (config.validators.branch_id) test(config, 'validators.branch_id', 'string');
     if (config.validators.branch_id_length) test(config, 'validators.branch_id_length', 'number');
+    if (config.validators.group_id) test(config, 'validators.group_id', 'string');
+    if (config.validators.group_id_length) test(config, 'validators.group_id_length', 'number');
     if (config.validators.user_username) {
       test(config, 'validators.user_username', 'string');
       if (!RegExp(config.validators.user_username).test(config.server.defaultAdminUsername)) {
@@ -17,7 +17,13 @@
 // Node modules
 const assert = require('assert');
 
+// NPM modules
+const uuidv4 = require('uuid/v4');
+
 // MBEE modules
+const ElementRevision = M.require('models.element-revision');
+const Group = M.require('models.group');
+const User = M.require('models.user');
 const utils = M.require('lib.utils');
 
 /**
@@ -127,3 +133,269 @@ module.exports.findAndValidate = async function(model, id, archived = false) {
   // Return the found organization/project/branch
   return result;
 };
+
+/**
+ * @description Finds the keys which can be granted permissions on orgs and
+ * projects: the usernames of all users and the IDs of all groups, prefixed
+ * with utils.GROUP_PREFIX.
+ *
+ * @returns {Promise<string[]>} The usernames and prefixed group IDs.
+ */
+module.exports.findPermissionKeys = async function() {
+  const foundUsers = await User.find({}, '_id');
+  const foundGroups = await Group.find({}, '_id');
+
+  return foundUsers.map(u => u._id)
+  .concat(foundGroups.map(g => `${utils.GROUP_PREFIX}${g._id}`));
+};
+
+/**
+ * @description Verifies that a key of the permissions of an org or project is
+ * the username of an existing user, or the prefixed ID of an existing group.
+ *
+ * @param {string} key - The key of the permissions object.
+ * @param {string[]} permissionKeys - The keys returned by findPermissionKeys().
+ *
+ * @throws {NotFoundError}
+ */
+module.exports.checkPermissionKey = function(key, permissionKeys) {
+  if (!permissionKeys.includes(key)) {
+    if (key.startsWith(utils.GROUP_PREFIX)) {
+      throw new M.NotFoundError(`Group [${key.slice(utils.GROUP_PREFIX.length)}] not found.`,
+        'warn');
+    }
+    throw new M.NotFoundError(`User [${key}] not found.`, 'warn');
+  }
+};
+
+/**
+ * @description Adds the page information of a find operation to the found
+ * documents. If a limit was provided and a full page was found, the cursor of
+ * the next page is created from the last document. If the option 'count' was
+ * provided, the total number of documents which match the query is counted.
+ * The page information is stored in the non-enumerable property 'pageInfo' of
+ * the array, in the format { next, total }, so that the array is otherwise
+ * unchanged.
+ *
+ * @param {object[]} docs - The found documents.
+ * @param {object} validatedOptions - The options returned by
+ * utils.validateOptions().
+ * @param {Function} countDocuments - An async function which returns the
+ * total number of documents which match the query, without the limit, skip
+ * and after options.
+ *
+ * @returns {Promise<object[]>} The found documents.
+ */
+module.exports.setPageInfo = async function(docs, validatedOptions, countDocuments) {
+  const pageInfo = {};
+
+  // If the page is full, there may be another page after it
+  if (validatedOptions.limit > 0 && docs.length === validatedOptions.limit) {
+    pageInfo.next = utils.createCursor(docs[docs.length - 1], validatedOptions.sort);
+  }
+
+  // Count the total number of matching documents
+  if (validatedOptions.count) {
+    pageInfo.total = await countDocuments();
+  }
+
+  Object.defineProperty(docs, 'pageInfo', { value: pageInfo, enumerable: false });
+  return docs;
+};
+
+/**
+ * @description Verifies that the documents being updated have not changed
+ * since the revisions provided in the updates were read. Each update may
+ * contain the field _rev, which is either the revision returned by
+ * utils.getRevision() or an array of accepted revisions. The field _rev is
+ * removed from the updates. Updates with a revision whose document was not
+ * found are conflicts as well.
+ *
+ * @param {object[]} docs - The found documents which are being updated.
+ * @param {object[]} updates - The updates, containing the short ID of the
+ * document in the field id.
+ * @param {string} type - The type of the documents, used in the error message.
+ *
+ * @returns {object} The filters of the checked documents, by the _id of each
+ * document. Each filter contains the time the document was last updated, and
+ * is added to the filter of its update so that the update does not match the
+ * document if another request changes it before it is written. See
+ * checkWrittenRevisions().
+ *
+ * @throws {PreconditionError} With the list of conflicts in the field
+ * conflicts, see revisionError().
+ */
+module.exports.checkRevisions = function(docs, updates, type) {
+  // Map the found documents by their short ID
+  const docMap = {};
+  docs.forEach((doc) => {
+    docMap[utils.parseID(doc._id).pop()] = doc;
+  });
+
+  const filters = {};
+  const conflicts = [];
+  updates.forEach((update) => {
+    if (!update.hasOwnProperty('_rev')) return;
+    const revisions = [].concat(update._rev).map(String);
+    const id = utils.parseID(String(update.id)).pop();
+    const doc = docMap[id];
+    delete update._rev;
+
+    // The update conflicts if the document no longer has the provided revision
+    const current = (doc) ? utils.getRevision(doc) : null;
+    if (!revisions.includes(current)) {
+      conflicts.push({ id: id, revisions: revisions, current: current });
+    }
+    else {
+      filters[doc._id] = { updatedOn: doc.updatedOn || null };
+    }
+  });
+
+  if (conflicts.length > 0) {
+    throw revisionError(conflicts, type);
+  }
+  return filters;
+};
+
+/**
+ * @description Verifies that the updates which were given the filters from
+ * checkRevisions() matched their documents. The update of a document which was
+ * changed by another request after it was checked does not match, and is
+ * reported as a conflict. Should be called in the transaction of the updates,
+ * so that the other updates are undone when a conflict is found.
+ * @async
+ *
+ * @param {object} model - The model of the updated documents.
+ * @param {object[]} ops - The updateOne operations passed to bulkWrite().
+ * @param {object} result - The result of bulkWrite().
+ * @param {string} type - The type of the documents, used in the error message.
+ * @param {object} [session] - The database session of the transaction, if any.
+ *
+ * @throws {PreconditionError} With the list of conflicts in the field
+ * conflicts, see revisionError().
+ */
+module.exports.checkWrittenRevisions = async function(model, ops, result, type, session) {
+  // Every update matched its document
+  if (result.matchedCount === undefined || result.matchedCount >= ops.length) return;
+
+  // Find the checked documents which were not updated. If another request
+  // changed a document in the same millisecond, its revision matches the update,
+  // so every checked document is reported
+  const checked = ops.map(op => op.updateOne).filter(op => op.filter.hasOwnProperty('updatedOn'));
+  const docs = await model.find({ _id: { $in: checked.map(op => op.filter._id) } }, null,
+    { session: session });
+  const changed = checked.filter((op) => {
+    const doc = docs.find(d => d._id === op.filter._id);
+    return !doc || utils.getRevision(doc) !== utils.getRevision(op.update);
+  });
+  const conflicts = ((changed.length > 0) ? changed : checked).map((op) => {
+    const doc = docs.find(d => d._id === op.filter._id);
+    return {
+      id: utils.parseID(op.filter._id).pop(),
+      revisions: (op.filter.updatedOn) ? [utils.getRevision(op.filter)] : [],
+      current: (doc) ? utils.getRevision(doc) : null
+    };
+  });
+
+  if (conflicts.length > 0) {
+    throw revisionError(conflicts, type);
+  }
+};
+
+/**
+ * @description Creates the error of updates to documents which have changed
+ * since their revisions were read.
+ *
+ * @param {object[]} conflicts - The conflicts, each containing the short ID of
+ * the document (id), the provided revisions (revisions) and the current
+ * revision of the document (current), which is null if it was not found.
+ * @param {string} type - The type of the documents, used in the error message.
+ *
+ * @returns {PreconditionError} The error, containing the conflicts in the
+ * field conflicts.
+ */
+function revisionError(conflicts, type) {
+  const error = new M.PreconditionError(`The following ${type} have changed since they `
+    + `were read: [${conflicts.map(c => c.id).join(', ')}].`, 'warn');
+  error.conflicts = conflicts;
+  return error;
+}
+
+/**
+ * @description A function that records a revision for each created, updated or
+ * deleted element. Each revision contains the changed fields with their values
+ * before and after the change, and a snapshot of the element after the change.
+ *
+ * @param {object} requestingUser - The user who made the change.
+ * @param {string} action - The type of change, either 'created', 'updated' or
+ * 'deleted'.
+ * @param {object[]} elements - The elements after the change. For deleted
+ * elements, the elements which were deleted.
+ * @param {object[]} [before=[]] - The elements before the change. Only used
+ * for updated elements.
+ * @param {object} [session] - The database session of the transaction to
+ * record the revisions in, if any.
+ *
+ * @returns {Promise<object[]>} The created revisions.
+ */
+module.exports.recordElementRevisions = async function(requestingUser, action, elements,
+  before = [], session) {
+  const trackedFields = ElementRevision.getTrackedFields();
+  const snapshotFields = ElementRevision.getSnapshotFields();
+  const refFields = ['project', 'branch', 'parent', 'source', 'target', 'artifact',
+    'createdBy', 'lastModifiedBy', 'archivedBy'];
+  const createdOn = Date.now();
+
+  // Map the previous state of the elements by their id
+  const beforeMap = {};
+  before.forEach((e) => {
+    beforeMap[e._id] = e;
+  });
+
+  const revisions = elements.map((elem) => {
+    const previous = beforeMap[elem._id] || {};
+    const changes = {};
+
+    // Record the value before and after for each changed field
+    if (action !== 'deleted') {
+      trackedFields.forEach((f) => {
+        const beforeValue = (previous[f] === undefined) ? null : previous[f];
+        const afterValue = (elem[f] === undefined) ? null : elem[f];
+        if (action === 'created' || !utils.deepEqual(beforeValue, afterValue)) {
+          changes[f] = { before: beforeValue, after: afterValue };
+        }
+      });
+    }
+
+    // Store a snapshot of the element, with references stored as ids
+    const snapshot = {};
+    snapshotFields.forEach((f) => {
+      const value = (refFields.includes(f) && elem[f] !== null && typeof elem[f] === 'object')
+        ? elem[f]._id
+        : elem[f];
+      if (value !== undefined) snapshot[f] = value;
+    });
+
+    return {
+      _id: uuidv4(),
+      element: elem._id,
+      project: elem.project,
+      branch: elem.branch,
+      action: action,
+      changes: changes,
+      snapshot: snapshot,
+      createdBy: requestingUser._id,
+      createdOn: createdOn
+    };
+  });
+
+  // Skip updates which did not change any tracked fields
+  const changedRevisions = revisions.filter(r => r.action !== 'updated'
+    || Object.keys(r.changes).length > 0);
+
+  if (changedRevisions.length === 0) {
+    return [];
+  }
+
+  return ElementRevision.insertMany(changedRevisions, { session: session });
+};
@@ -17,9 +17,8 @@
 // Node modules
 const crypto = require('crypto');  // NOTE: Refers to standard node crypto library
 
-// Create an Initialization Vector (IV) of 16 random bytes for the createCipheriv
-// and createDecipheriv functions
-const iv = crypto.randomBytes(16);
+// Set the length of the Initialization Vector (IV) in bytes
+const ivLength = 16;
 // Set the length of the secret key in bytes
 const keyLength = 32;
 // Generate a cryptographic key in buffer form from the secret in the config.
@@ -29,7 +28,10 @@ const key = Buffer.concat([Buffer.from(M.config.server.secret)], keyLength);
 
 /**
  * @description Encrypts data with AES-256 using the app secret and returns the
- * encrypted data as a base64 encoded string.
+ * encrypted data as a base64 encoded string. A random initialization vector is
+ * used for each encryption and stored at the start of the encrypted data, so
+ * data encrypted before the server restarted, such as secrets stored in the
+ * database, can still be decrypted.
  *
  * @param {string} data - Data to be encrypted.
  *
@@ -37,6 +39,7 @@ const key = Buffer.concat([Buffer.from(M.config.server.secret)], keyLength);
  */
 module.exports.encrypt = function encrypt(data) {
   // Create aes-256-cbc cipher object using secret key and random initialization vector
+  const iv = crypto.randomBytes(ivLength);
   const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
 
   // Encrypt input using aes-256 cipher
@@ -44,8 +47,8 @@ module.exports.encrypt = function encrypt(data) {
   // Marks end of encryption and returns hex format
   encrypted += cipher.final('hex');
 
-  // Return base64 encrypted string
-  return Buffer.from(encrypted, 'hex').toString('base64');
+  // Return base64 encrypted string, prefixed by the initialization vector
+  return Buffer.concat([iv, Buffer.from(encrypted, 'hex')]).toString('base64');
 };
 
 /**
@@ -63,11 +66,15 @@ module.exports.decrypt = function decrypt(data) {
   }
 
   try {
-    // Create aes-256-cbc decipher object using secret key and random initialization vector
+    // Split the initialization vector from the base64 encoded string
+    const buffer = Buffer.from(data, 'base64');
+    const iv = buffer.slice(0, ivLength);
+
+    // Create aes-256-cbc decipher object using secret key and initialization vector
     const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
 
-    // Retrieve hex data from base64 encoded string
-    const hexData = Buffer.from(data, 'base64').toString('hex');
+    // Retrieve hex data from the rest of the buffer
+    const hexData = buffer.slice(ivLength).toString('hex');
 
     // Decrypt string
     let decrypted = decipher.update(hexData, 'hex', 'utf8');
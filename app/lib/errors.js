@@ -68,6 +68,9 @@ class OperationError extends CustomError {}
 // 404
 class NotFoundError extends CustomError {}
 
+// 412
+class PreconditionError extends CustomError {}
+
 // 500
 class ServerError extends CustomError {}
 class DatabaseError extends CustomError {}
@@ -95,6 +98,7 @@ function getStatusCode(error) {
     case 'PermissionError': return 403;
     case 'OperationError': return 403;
     case 'NotFoundError': return 404;
+    case 'PreconditionError': return 412;
     case 'BrewingError': return 418;
     case 'ServerError': return 500;
     case 'DatabaseError': return 500;
@@ -136,6 +140,7 @@ module.exports = {
   AuthorizationError,
   PermissionError,
   NotFoundError,
+  PreconditionError,
   ServerError,
   DatabaseError,
   NotImplementedError
@@ -12,12 +12,38 @@
  * @author Austin Bieber
  * @author Connor Doyle
  *
- * @description Defines the global event emitter.
+ * @description Defines the global event emitter. Every event carries an
+ * envelope which describes the event: the name of the event, the user who
+ * triggered it, the org, project and branch it occurred in, and the IDs and
+ * before/after snapshots of the affected documents. Outgoing webhooks are only
+ * triggered by events which occur inside the org, project or branch they
+ * reference, and which match their optional filters. Events which create,
+ * update or delete documents are also recorded in the audit log, before the
+ * promise returned by emit() resolves.
  */
 
 // Node modules
 const EventEmitter = require('events');
+
+// MBEE modules
 const Webhook = M.require('models.webhook');
+const audit = M.require('lib.audit');
+const publicData = M.require('lib.get-public-data');
+const utils = M.require('lib.utils');
+const webhookQueue = M.require('lib.webhook-queue');
+
+// The type of the affected documents of each group of events
+const eventTypes = {
+  orgs: 'org',
+  projects: 'project',
+  branches: 'branch',
+  elements: 'element',
+  artifacts: 'artifact',
+  users: 'user',
+  groups: 'group',
+  tokens: 'token',
+  webhooks: 'webhook'
+};
 
 /**
  * @description The CustomEmitter class. It extends Node.js built in event
@@ -26,34 +52,231 @@ const Webhook = M.require('models.webhook');
 class CustomEmitter extends EventEmitter {
 
   /**
-   * @description Overrides the events 'emit' class. On emit, finds all webhooks
-   * that contain that event, and calls Webhook.sendRequests().
+   * @description Overrides the events 'emit' class. On emit, records the
+   * affected documents in the audit log, creates the envelope of the event,
+   * finds all webhooks that contain that event, and adds a delivery of the
+   * envelope for each webhook which is in the scope of the event to the
+   * webhook queue.
    *
    * @param {string} event - The event name that was triggered.
-   * @param {object[]} args - An arbitrary number of arguments to be passed to
-   * listener callback functions.
+   * @param {object} [details] - The details of the event. See createEnvelope()
+   * for the supported fields.
+   *
+   * @returns {Promise} Resolves once the affected documents are recorded in the
+   * audit log. If they could not be recorded, the webhooks and listeners are
+   * still triggered, and the promise is rejected with a ServerError.
    */
-  async emit(event, ...args) {
+  async emit(event, details = {}) {
+    // Record the affected documents in the audit log
+    let auditError = null;
+    try {
+      await audit.record(eventTypes[event.split('-')[0]], event.split('-').pop(), details);
+    }
+    catch (error) {
+      M.log.error(`Failed to record event ${event} in the audit log`);
+      M.log.error(error);
+      auditError = new M.ServerError(`Failed to record event ${event} in the audit log.`,
+        'error');
+    }
+
+    let envelope;
     try {
+      envelope = createEnvelope(event, details);
+
       // Find all webhooks that include the triggered event
       const webhooks = await Webhook.find({ type: 'Outgoing', triggers: event });
       webhooks.forEach((webhook) => {
+        // Only deliver the parts of the event in the scope of the webhook
+        const payload = filterEnvelope(webhook, envelope);
+        if (payload === null) return;
+
         M.log.info(`Webhook ${webhook._id} triggered by event ${event}`);
-        // Send the request with the provided arguments.
-        Webhook.sendRequest(webhook, args);
+        // Queue a delivery of the event envelope
+        webhookQueue.enqueue(webhook, event, payload)
+        .catch((error) => {
+          M.log.error(`Failed to queue delivery of webhook ${webhook._id}`);
+          M.log.error(error);
+        });
       });
     }
     catch (error) {
-      // Failed to find webhooks, no webhooks will be triggered
-      M.log.error('Failed to find webhooks');
+      // Failed to create the envelope or find webhooks, no webhooks will be triggered
+      M.log.error(`Failed to trigger webhooks for event ${event}`);
       M.log.error(error);
     }
     // Run the normal EventEmitter.emit() function
-    super.emit(event, args);
+    super.emit(event, envelope);
+
+    if (auditError) {
+      throw auditError;
+    }
   }
 
 }
 
+/**
+ * @description Creates the envelope of an event. The affected documents are
+ * stored as public data, based on the type of document the event refers to.
+ * For example, the snapshots of the event "elements-updated" are the public
+ * data of elements.
+ *
+ * @param {string} event - The name of the event.
+ * @param {object} details - The details of the event.
+ * @param {(User|string)} [details.actor] - The user who triggered the event.
+ * @param {string} [details.org] - The ID of the org the event occurred in.
+ * @param {string} [details.project] - The ID of the project the event
+ * occurred in.
+ * @param {string} [details.branch] - The ID of the branch the event occurred in.
+ * @param {object[]} [details.before] - The affected documents before the event.
+ * @param {object[]} [details.after] - The affected documents after the event.
+ * @param {string[]} [details.ids] - The IDs of affected documents which are
+ * not provided as snapshots.
+ * @param {*} [details.data] - Any additional data of the event.
+ *
+ * @returns {object} The envelope of the event.
+ */
+function createEnvelope(event, details) {
+  const type = eventTypes[event.split('-')[0]];
+  const actor = details.actor;
+
+  // Convert documents into their public data. The public data is viewed as
+  // a user without any special privileges, since it is sent to other servers.
+  const toSnapshots = (docs) => (docs || []).map((doc) => {
+    if (type === undefined || doc === null || typeof doc !== 'object') return doc;
+    const snapshot = publicData.getPublicData({}, doc, type, {});
+    // The tokens of webhooks are never sent to other servers
+    if (type === 'webhook') snapshot.token = undefined;
+    return snapshot;
+  });
+  // Get the public ID of each document
+  const toIDs = (docs) => (docs || []).map((doc) => {
+    const id = (doc !== null && typeof doc === 'object') ? doc._id : doc;
+    return (typeof id === 'string') ? utils.parseID(id).pop() : id;
+  });
+
+  const before = toSnapshots(details.before);
+  const after = toSnapshots(details.after);
+  const ids = new Set(toIDs(details.ids).concat(toIDs(details.before), toIDs(details.after)));
+
+  const envelope = {
+    event: event,
+    actor: (actor && typeof actor === 'object') ? actor._id : (actor || null),
+    timestamp: new Date().toString(),
+    org: details.org || null,
+    project: details.project || null,
+    branch: details.branch || null,
+    ids: Array.from(ids),
+    before: before,
+    after: after
+  };
+  if (details.data !== undefined) envelope.data = details.data;
+
+  return envelope;
+}
+
+/**
+ * @description Returns the part of an event envelope which is in the scope
+ * of an outgoing webhook. A webhook with an empty reference is in the scope
+ * of every event. Otherwise, an affected document is in the scope of the
+ * webhook if it is the referenced org, project or branch, or is inside of
+ * it. The affected documents are further filtered by the optional filters of
+ * the webhook, which match the type of an element or the values of custom
+ * fields. Events which do not have any affected documents are in the scope
+ * of the webhook if they occurred inside the referenced org, project or
+ * branch.
+ *
+ * @param {Webhook} webhook - The outgoing webhook.
+ * @param {object} envelope - The envelope of the event.
+ *
+ * @returns {(object|null)} The envelope containing only the affected
+ * documents in the scope of the webhook, or null if the event is not in the
+ * scope of the webhook.
+ */
+function filterEnvelope(webhook, envelope) {
+  const type = eventTypes[envelope.event.split('-')[0]];
+  const reference = webhook.reference || '';
+  const filters = webhook.filters || {};
+
+  // Returns true if the ID is the referenced ID or is inside of it
+  const inReference = (id) => reference === ''
+    || id === reference || id.startsWith(`${reference}${utils.ID_DELIMITER}`);
+
+  // Get the scope of the event, which is the most specific of org, project and branch
+  const scope = [envelope.org, envelope.project, envelope.branch].filter(s => s);
+  const eventID = (scope.length > 0) ? utils.createID(scope) : '';
+
+  const snapshots = envelope.before.concat(envelope.after)
+  .filter(s => s !== null && typeof s === 'object');
+
+  // If there are no affected documents, check the scope of the event
+  if (snapshots.length === 0) {
+    return (reference === '' || (eventID !== '' && inReference(eventID))) ? envelope : null;
+  }
+
+  // Find the IDs of the affected documents which are in scope
+  const matchedIDs = new Set();
+  snapshots.forEach((s) => {
+    const id = s.id || s.username;
+    // Orgs, projects and branches are themselves part of the scope
+    const parents = { org: [], project: [envelope.org], branch: [envelope.org, envelope.project] };
+    const documentID = (parents[type])
+      ? utils.createID(parents[type].concat(id).filter(p => typeof p === 'string'))
+      : eventID;
+
+    if (!inReference(documentID)) return;
+    if (!matchesFilters(filters, s)) return;
+    matchedIDs.add(id);
+  });
+
+  // If no affected documents are in scope, the webhook is not triggered
+  if (matchedIDs.size === 0) return null;
+
+  const inScope = (s) => s !== null && typeof s === 'object' && matchedIDs.has(s.id || s.username);
+  return Object.assign({}, envelope, {
+    ids: envelope.ids.filter(id => matchedIDs.has(id)),
+    before: envelope.before.filter(inScope),
+    after: envelope.after.filter(inScope)
+  });
+}
+
+/**
+ * @description Checks whether a snapshot of an affected document matches the
+ * filters of a webhook. The type filter is an array of element types, one of
+ * which the snapshot must have. The custom filter is an object of custom data,
+ * all of which the snapshot must have. Nested objects in the custom filter
+ * match any custom data which contains their keys and values.
+ *
+ * @param {object} filters - The filters of the webhook.
+ * @param {object} snapshot - The public data of the affected document.
+ *
+ * @returns {boolean} True if the snapshot matches the filters.
+ */
+function matchesFilters(filters, snapshot) {
+  if (Array.isArray(filters.type) && filters.type.length > 0
+    && !filters.type.includes(snapshot.type)) {
+    return false;
+  }
+
+  return !filters.custom || containsData(snapshot.custom, filters.custom);
+}
+
+/**
+ * @description Checks whether data contains every key and value of a filter.
+ * Nested objects are compared recursively, and all other values must be equal.
+ *
+ * @param {*} data - The data to check.
+ * @param {*} filter - The keys and values the data must contain.
+ *
+ * @returns {boolean} True if the data contains the filter.
+ */
+function containsData(data, filter) {
+  if (typeof filter === 'object' && filter !== null && !Array.isArray(filter)) {
+    return typeof data === 'object' && data !== null
+      && Object.keys(filter).every((key) => containsData(data[key], filter[key]));
+  }
+  return JSON.stringify(data) === JSON.stringify(filter);
+}
+
 // Create instance of CustomEmitter
 const emitter = new CustomEmitter();
 
@@ -18,6 +18,7 @@
  */
 
 // MBEE modules
+const User = M.require('models.user');
 const utils = M.require('lib.utils');
 
 /**
@@ -54,8 +55,18 @@ module.exports.getPublicData = function(requestingUser, object, type, options) {
       return getOrgPublicData(requestingUser, object, options);
     case 'user':
       return getUserPublicData(requestingUser, object, options);
+    case 'group':
+      return getGroupPublicData(requestingUser, object, options);
     case 'webhook':
       return getWebhookPublicData(requestingUser, object, options);
+    case 'revision':
+      return getRevisionPublicData(requestingUser, object, options);
+    case 'delivery':
+      return getDeliveryPublicData(requestingUser, object, options);
+    case 'token':
+      return getTokenPublicData(requestingUser, object, options);
+    case 'audit':
+      return getAuditPublicData(requestingUser, object, options);
     default:
       throw new M.DataFormatError(`Invalid model type [${type}]`, 'warn');
   }
@@ -155,6 +166,7 @@ function getArtifactPublicData(requestingUser, artifact, options) {
     createdOn: (artifact.createdOn) ? artifact.createdOn.toString() : undefined,
     createdBy: createdBy,
     updatedOn: (artifact.updatedOn) ? artifact.updatedOn.toString() : undefined,
+    _rev: (artifact.updatedOn) ? utils.getRevision(artifact) : undefined,
     lastModifiedBy: lastModifiedBy,
     archived: artifact.archived,
     archivedOn: (artifact.archivedOn) ? artifact.archivedOn.toString() : undefined,
@@ -231,6 +243,7 @@ function getElementPublicData(requestingUser, element, options) {
   let project;
   let branch;
   let artifact;
+  let lockedBy = null;
 
   // If element.createdBy is defined
   if (element.createdBy) {
@@ -268,6 +281,20 @@ function getElementPublicData(requestingUser, element, options) {
     }
   }
 
+  // If the element is locked and the lock has not expired
+  const locked = Boolean(element.lockedBy && element.lockExpiresOn
+    && new Date(element.lockExpiresOn) > Date.now());
+  if (locked) {
+    // If element.lockedBy is populated
+    if (typeof element.lockedBy === 'object') {
+      // Get the public data of lockedBy
+      lockedBy = getUserPublicData(requestingUser, element.lockedBy, {});
+    }
+    else {
+      lockedBy = element.lockedBy;
+    }
+  }
+
   // If element.parent is defined
   if (element.parent) {
     // If element.parent is populated
@@ -385,12 +412,15 @@ function getElementPublicData(requestingUser, element, options) {
     createdOn: (element.createdOn) ? element.createdOn.toString() : undefined,
     createdBy: createdBy,
     updatedOn: (element.updatedOn) ? element.updatedOn.toString() : undefined,
+    _rev: (element.updatedOn) ? utils.getRevision(element) : undefined,
     lastModifiedBy: lastModifiedBy,
     archived: element.archived,
     archivedOn: (element.archivedOn) ? element.archivedOn.toString() : undefined,
     archivedBy: archivedBy,
-    artifact: artifact
-
+    artifact: artifact,
+    lockedBy: lockedBy,
+    lockedOn: (locked) ? element.lockedOn.toString() : undefined,
+    lockExpiresOn: (locked) ? element.lockExpiresOn.toString() : undefined
   };
 
   // Handle the virtual contains field
@@ -589,10 +619,13 @@ function getBranchPublicData(requestingUser, branch, options) {
     project: project,
     source: source,
     tag: branch.tag,
+    protection: Object.assign({ writers: [], adminOnly: false, requireMerge: false },
+      branch.protection),
     custom: branch.custom || {},
     createdOn: (branch.createdOn) ? branch.createdOn.toString() : undefined,
     createdBy: createdBy,
     updatedOn: (branch.updatedOn) ? branch.updatedOn.toString() : undefined,
+    _rev: (branch.updatedOn) ? utils.getRevision(branch) : undefined,
     lastModifiedBy: lastModifiedBy,
     archived: branch.archived,
     archivedOn: (branch.archivedOn) ? branch.archivedOn.toString() : undefined,
@@ -702,9 +735,11 @@ function getProjectPublicData(requestingUser, project, options) {
     permissions: permissions,
     custom: project.custom || {},
     visibility: project.visibility,
+    typeProfiles: Object.assign({ strict: false, types: {} }, project.typeProfiles),
     createdOn: (project.createdOn) ? project.createdOn.toString() : undefined,
     createdBy: createdBy,
     updatedOn: (project.updatedOn) ? project.updatedOn.toString() : undefined,
+    _rev: (project.updatedOn) ? utils.getRevision(project) : undefined,
     lastModifiedBy: lastModifiedBy,
     archived: project.archived,
     archivedOn: (project.archivedOn) ? project.archivedOn.toString() : undefined,
@@ -831,6 +866,7 @@ function getOrgPublicData(requestingUser, org, options) {
     createdOn: (org.createdOn) ? org.createdOn.toString() : undefined,
     createdBy: createdBy,
     updatedOn: (org.updatedOn) ? org.updatedOn.toString() : undefined,
+    _rev: (org.updatedOn) ? utils.getRevision(org) : undefined,
     lastModifiedBy: lastModifiedBy,
     archived: org.archived,
     archivedOn: (org.archivedOn) ? org.archivedOn.toString() : undefined,
@@ -938,6 +974,11 @@ function getUserPublicData(requestingUser, user, options) {
   if (requestingUser.admin || requestingUser._id === data.username) {
     data.changePassword = user.changePassword;
     data.failedlogins = user.failedlogins;
+    data.passwordUpdatedOn = (user.passwordUpdatedOn) ? user.passwordUpdatedOn.toString()
+      : undefined;
+    data.lockedOn = (user.lockedOn) ? user.lockedOn.toString() : undefined;
+    data.twoFactorEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+    data.twoFactorRequired = User.requiresTwoFactor(user);
   }
 
   // If the fields options is defined
@@ -968,6 +1009,99 @@ function getUserPublicData(requestingUser, user, options) {
   return data;
 }
 
+/**
+ * @description Returns a groups public data.
+ *
+ * @param {User} requestingUser - The user who made the request.
+ * @param {object} group - The raw JSON of the group.
+ * @param {object} options - A list of options passed in by the user to the API Controller.
+ *
+ * @returns {object} The public data of the group.
+ */
+function getGroupPublicData(requestingUser, group, options) {
+  let createdBy = null;
+  let lastModifiedBy = null;
+  let archivedBy;
+
+  // If group.createdBy is defined
+  if (group.createdBy) {
+    // If group.createdBy is populated
+    if (typeof group.createdBy === 'object') {
+      // Get the public data of createdBy
+      createdBy = getUserPublicData(requestingUser, group.createdBy, {});
+    }
+    else {
+      createdBy = group.createdBy;
+    }
+  }
+
+  // If group.lastModifiedBy is defined
+  if (group.lastModifiedBy) {
+    // If group.lastModifiedBy is populated
+    if (typeof group.lastModifiedBy === 'object') {
+      // Get the public data of lastModifiedBy
+      lastModifiedBy = getUserPublicData(requestingUser, group.lastModifiedBy, {});
+    }
+    else {
+      lastModifiedBy = group.lastModifiedBy;
+    }
+  }
+
+  // If group.archivedBy is defined
+  if (group.archivedBy && group.archived) {
+    // If group.archivedBy is populated
+    if (typeof group.archivedBy === 'object') {
+      // Get the public data of archivedBy
+      archivedBy = getUserPublicData(requestingUser, group.archivedBy, {});
+    }
+    else {
+      archivedBy = group.archivedBy;
+    }
+  }
+
+  const data = {
+    id: group._id,
+    name: group.name,
+    members: group.members || [],
+    ldap: group.ldap,
+    custom: group.custom || {},
+    createdOn: (group.createdOn) ? group.createdOn.toString() : undefined,
+    createdBy: createdBy,
+    updatedOn: (group.updatedOn) ? group.updatedOn.toString() : undefined,
+    lastModifiedBy: lastModifiedBy,
+    archived: group.archived,
+    archivedOn: (group.archivedOn) ? group.archivedOn.toString() : undefined,
+    archivedBy: archivedBy
+  };
+
+  // If the fields options is defined
+  if (options.hasOwnProperty('fields')) {
+    // If fields should be excluded
+    if (options.fields.every(f => f.startsWith('-'))) {
+      // For each of those fields
+      options.fields.forEach((f) => {
+        // If -id, ignore it
+        if (f === '-id') {
+          return;
+        }
+        // Remove the field from data
+        data[f.slice(1)] = undefined;
+      });
+    }
+    // If only specific fields should be included
+    else if (options.fields.every(f => !f.startsWith('-'))) {
+      const returnObj = { id: data.id };
+      // Add specific field to returnObj
+      options.fields.forEach((f) => {
+        returnObj[f] = (data.hasOwnProperty(f)) ? data[f] : undefined;
+      });
+      return returnObj;
+    }
+  }
+
+  return data;
+}
+
 /**
  * @description Returns a webhook's public data.
  *
@@ -1047,10 +1181,12 @@ function getWebhookPublicData(requestingUser, webhook, options) {
     token: token,
     tokenLocation: webhook.tokenLocation ? webhook.tokenLocation : undefined,
     reference: reference,
+    filters: (webhook.type === 'Outgoing') ? (webhook.filters || {}) : undefined,
     custom: webhook.custom || {},
     createdOn: (webhook.createdOn) ? webhook.createdOn.toString() : undefined,
     createdBy: createdBy,
     updatedOn: (webhook.updatedOn) ? webhook.updatedOn.toString() : undefined,
+    _rev: (webhook.updatedOn) ? utils.getRevision(webhook) : undefined,
     lastModifiedBy: lastModifiedBy,
     archived: webhook.archived,
     archivedOn: (webhook.archivedOn) ? webhook.archivedOn.toString() : undefined,
@@ -1084,3 +1220,132 @@ function getWebhookPublicData(requestingUser, webhook, options) {
 
   return data;
 }
+
+/**
+ * @description Returns an element revision's public data.
+ *
+ * @param {User} requestingUser - The user who made the request.
+ * @param {object} revision - The raw JSON of the element revision.
+ * @param {object} options - A list of options passed in by the user to the API Controller.
+ *
+ * @returns {object} The public data of the element revision.
+ */
+function getRevisionPublicData(requestingUser, revision, options) {
+  const changes = {};
+  const refFields = ['parent', 'source', 'target', 'artifact'];
+
+  // Convert the full IDs of referenced elements and artifacts to their short IDs
+  Object.keys(revision.changes || {}).forEach((field) => {
+    const change = revision.changes[field];
+    if (refFields.includes(field)) {
+      changes[field] = {
+        before: (typeof change.before === 'string') ? utils.parseID(change.before).pop() : null,
+        after: (typeof change.after === 'string') ? utils.parseID(change.after).pop() : null
+      };
+    }
+    else {
+      changes[field] = change;
+    }
+  });
+
+  // If revision.createdBy is populated, get the public data of createdBy
+  const createdBy = (revision.createdBy && typeof revision.createdBy === 'object')
+    ? getUserPublicData(requestingUser, revision.createdBy, {})
+    : revision.createdBy;
+
+  // Return the revision public fields
+  return {
+    id: revision._id,
+    element: utils.parseID(revision.element).pop(),
+    action: revision.action,
+    changes: changes,
+    createdBy: createdBy,
+    createdOn: (revision.createdOn) ? revision.createdOn.toString() : undefined
+  };
+}
+
+/**
+ * @description Returns a webhook delivery's public data.
+ *
+ * @param {User} requestingUser - The user who made the request.
+ * @param {object} delivery - The raw JSON of the webhook delivery.
+ * @param {object} options - A list of options passed in by the user to the API Controller.
+ *
+ * @returns {object} The public data of the webhook delivery.
+ */
+function getDeliveryPublicData(requestingUser, delivery, options) {
+  // Return the delivery public fields
+  return {
+    id: delivery._id,
+    webhook: delivery.webhook,
+    event: delivery.event,
+    status: delivery.status,
+    payload: delivery.payload,
+    attempts: (delivery.attempts || []).map((a) => ({
+      sentOn: (a.sentOn) ? new Date(a.sentOn).toString() : undefined,
+      statusCode: a.statusCode,
+      latency: a.latency,
+      error: a.error
+    })),
+    retries: delivery.retries,
+    nextAttemptOn: (delivery.nextAttemptOn)
+      ? new Date(delivery.nextAttemptOn).toString() : undefined,
+    createdOn: (delivery.createdOn) ? new Date(delivery.createdOn).toString() : undefined,
+    updatedOn: (delivery.updatedOn) ? new Date(delivery.updatedOn).toString() : undefined
+  };
+}
+
+/**
+ * @description Returns a personal access token's public data. The hash of the
+ * token is never returned, and the token itself is only returned when the
+ * token is created.
+ *
+ * @param {User} requestingUser - The user who made the request.
+ * @param {object} token - The raw JSON of the token.
+ * @param {object} options - A list of options passed in by the user to
+ * the API Controller.
+ *
+ * @returns {object} The public data of the token.
+ */
+function getTokenPublicData(requestingUser, token, options) {
+  // Return the token public fields
+  return {
+    id: token._id,
+    user: token.user,
+    name: token.name,
+    token: token.token,
+    readOnly: token.readOnly,
+    orgs: token.orgs,
+    projects: (token.projects || []).map((p) => {
+      const ids = utils.parseID(p);
+      return { org: ids[0], project: ids[1] };
+    }),
+    expiresOn: (token.expiresOn) ? new Date(token.expiresOn).toString() : null,
+    lastUsedOn: (token.lastUsedOn) ? new Date(token.lastUsedOn).toString() : null,
+    createdOn: (token.createdOn) ? new Date(token.createdOn).toString() : undefined
+  };
+}
+
+/**
+ * @description Returns an audit record's public data.
+ *
+ * @param {User} requestingUser - The user who made the request.
+ * @param {object} record - The raw JSON of the audit record.
+ * @param {object} options - A list of options passed in by the user to
+ * the API Controller.
+ *
+ * @returns {object} The public data of the audit record.
+ */
+function getAuditPublicData(requestingUser, record, options) {
+  // Return the audit record public fields
+  return {
+    id: record._id,
+    actor: record.actor,
+    action: record.action,
+    type: record.type,
+    target: record.target,
+    ip: record.ip,
+    timestamp: (record.timestamp) ? new Date(record.timestamp).toString() : undefined,
+    changes: record.changes
+  };
+}
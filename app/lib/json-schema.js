@@ -0,0 +1,224 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module lib.json-schema
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Implements the subset of JSON Schema which is used to validate
+ * the custom data of elements against the type profiles of their project. The
+ * supported keywords are type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, title and description. Other keywords, such as
+ * $ref, are rejected instead of being silently ignored.
+ */
+
+// Node modules
+const { isDeepStrictEqual } = require('util');
+
+// The types which can be provided in the keyword "type"
+const types = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+// The supported keywords and a check of the value of each keyword
+const keywords = {
+  type: v => (Array.isArray(v) ? v : [v]).every(t => types.includes(t)),
+  enum: v => Array.isArray(v),
+  const: () => true,
+  properties: v => isObject(v),
+  required: v => Array.isArray(v) && v.every(r => typeof r === 'string'),
+  additionalProperties: v => typeof v === 'boolean' || isObject(v),
+  items: v => isObject(v),
+  minItems: v => Number.isInteger(v) && v >= 0,
+  maxItems: v => Number.isInteger(v) && v >= 0,
+  minLength: v => Number.isInteger(v) && v >= 0,
+  maxLength: v => Number.isInteger(v) && v >= 0,
+  pattern: v => typeof v === 'string' && isRegExp(v),
+  minimum: v => typeof v === 'number',
+  maximum: v => typeof v === 'number',
+  title: v => typeof v === 'string',
+  description: v => typeof v === 'string'
+};
+
+/**
+ * @description Checks whether a value is a plain object.
+ *
+ * @param {*} value - The value to check.
+ *
+ * @returns {boolean} True if the value is an object which is not null or an
+ * array.
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @description Checks whether a string is a valid regular expression.
+ *
+ * @param {string} pattern - The pattern to check.
+ *
+ * @returns {boolean} True if the pattern can be compiled.
+ */
+function isRegExp(pattern) {
+  try {
+    RegExp(pattern);
+    return true;
+  }
+  catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @description Returns the JSON Schema type of a value.
+ *
+ * @param {*} value - The value.
+ *
+ * @returns {string} The type of the value, such as 'array' or 'null'.
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * @description Finds the problems with a schema, such as unsupported keywords
+ * or keywords with invalid values. The nested schemas of the keywords
+ * properties, additionalProperties and items are checked as well.
+ *
+ * @param {object} schema - The schema to check.
+ * @param {string} [path='schema'] - The path of the schema, used in the
+ * messages of the problems.
+ *
+ * @returns {string[]} The problems with the schema. An empty array if the
+ * schema is valid.
+ */
+module.exports.check = function check(schema, path = 'schema') {
+  if (!isObject(schema)) {
+    return [`${path} must be an object`];
+  }
+
+  let problems = [];
+  Object.keys(schema).forEach((keyword) => {
+    if (!keywords.hasOwnProperty(keyword)) {
+      problems.push(`${path}.${keyword} is not a supported keyword`);
+    }
+    else if (!keywords[keyword](schema[keyword])) {
+      problems.push(`${path}.${keyword} is invalid`);
+    }
+  });
+
+  // Check the nested schemas
+  if (isObject(schema.properties)) {
+    Object.keys(schema.properties).forEach((p) => {
+      problems = problems.concat(check(schema.properties[p], `${path}.properties.${p}`));
+    });
+  }
+  if (isObject(schema.additionalProperties)) {
+    problems = problems.concat(check(schema.additionalProperties,
+      `${path}.additionalProperties`));
+  }
+  if (isObject(schema.items)) {
+    problems = problems.concat(check(schema.items, `${path}.items`));
+  }
+
+  return problems;
+};
+
+/**
+ * @description Validates a value against a schema. The schema is expected to
+ * have been checked with check().
+ *
+ * @param {object} schema - The schema to validate against.
+ * @param {*} value - The value to validate.
+ * @param {string} [path='custom'] - The path of the value, used in the error
+ * messages.
+ *
+ * @returns {string[]} The reasons the value does not match the schema. An empty
+ * array if the value is valid.
+ *
+ * @example
+ * validate({ required: ['priority'] }, {}, 'custom');
+ * // Returns ['custom.priority is required']
+ */
+module.exports.validate = function validate(schema, value, path = 'custom') {
+  const valueType = getType(value);
+
+  // Check the type first, as the other keywords depend on it
+  if (schema.hasOwnProperty('type')) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(valueType)
+      || (allowed.includes('integer') && Number.isInteger(value));
+    if (!matches) {
+      return [`${path} must be of type ${allowed.join(' or ')}`];
+    }
+  }
+
+  let errors = [];
+  if (schema.hasOwnProperty('enum') && !schema.enum.some(e => isDeepStrictEqual(e, value))) {
+    errors.push(`${path} must be one of [${schema.enum.join(', ')}]`);
+  }
+  if (schema.hasOwnProperty('const') && !isDeepStrictEqual(schema.const, value)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (valueType === 'string') {
+    if (schema.hasOwnProperty('minLength') && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.hasOwnProperty('maxLength') && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.hasOwnProperty('pattern') && !RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match the pattern [${schema.pattern}]`);
+    }
+  }
+  else if (valueType === 'number') {
+    if (schema.hasOwnProperty('minimum') && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.hasOwnProperty('maximum') && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+  else if (valueType === 'array') {
+    if (schema.hasOwnProperty('minItems') && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.hasOwnProperty('maxItems') && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.hasOwnProperty('items')) {
+      value.forEach((item, i) => {
+        errors = errors.concat(validate(schema.items, item, `${path}[${i}]`));
+      });
+    }
+  }
+  else if (valueType === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((p) => {
+      if (!value.hasOwnProperty(p)) {
+        errors.push(`${path}.${p} is required`);
+      }
+    });
+    Object.keys(value).forEach((p) => {
+      if (properties.hasOwnProperty(p)) {
+        errors = errors.concat(validate(properties[p], value[p], `${path}.${p}`));
+      }
+      else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${p} is not allowed`);
+      }
+      else if (isObject(schema.additionalProperties)) {
+        errors = errors.concat(validate(schema.additionalProperties, value[p], `${path}.${p}`));
+      }
+    });
+  }
+
+  return errors;
+};
@@ -24,6 +24,7 @@ const path = require('path');
 const fs = require('fs');
 
 // MBEE modules
+const User = M.require('models.user');
 const errors = M.require('lib.errors');
 const utils = M.require('lib.utils');
 const logger = M.require('lib.logger');
@@ -232,6 +233,11 @@ function pluginPost(endpoint) {
  * @returns {object} Returns the response.
  */
 function respond(req, res) {
+  // If the response has already been streamed, there is nothing left to send
+  if (res.locals && res.locals.streamed) {
+    return res;
+  }
+
   const message = res.locals.message;
 
   // If the response hasn't been formatted already, format it
@@ -249,15 +255,29 @@ function respond(req, res) {
 }
 
 /**
- * @description Checks a requesting user to see if their password has expired.
- * If so, a 401 Unauthorized error is returned.
+ * @description Checks a requesting user to see if their password has expired,
+ * or if they are required to enable two-factor authentication and have not. If
+ * so, a 401 Unauthorized error is returned.
  * @param {object} req - Request express object.
  * @param {object} res - Response express object.
  * @param {Function} next - Callback to express authentication flow.
  */
 function expiredPassword(req, res, next) { // eslint-disable-line consistent-return
+  // If the user needs to enable two-factor authentication
+  if (User.requiresTwoFactor(req.user) && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+    // If it is NOT an API request
+    if (!req.originalUrl.startsWith('/api')) {
+      // Redirect user to their profile page
+      return res.redirect('/profile');
+    }
+    // API request, return a 401 error
+    else {
+      const error = new M.AuthorizationError('Two-factor authentication must be enabled.');
+      return res.status(errors.getStatusCode(error)).send(error.message);
+    }
+  }
   // If the user needs to change their password
-  if (req.user.changePassword) {
+  else if (req.user.changePassword) {
     // If it is NOT an API request
     if (!req.originalUrl.startsWith('/api')) {
       // Redirect user to their profile page
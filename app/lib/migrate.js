@@ -21,13 +21,20 @@ const path = require('path');
 
 // MBEE modules
 const Artifact = M.require('models.artifact');
+const AuditRecord = M.require('models.audit-record');
 const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
 const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
+const Group = M.require('models.group');
 const Organization = M.require('models.organization');
 const Project = M.require('models.project');
 const ServerData = M.require('models.server-data');
+const Token = M.require('models.token');
+const Transaction = M.require('models.transaction');
 const User = M.require('models.user');
 const Webhook = M.require('models.webhook');
+const WebhookDelivery = M.require('models.webhook-delivery');
 const db = M.require('db');
 
 /**
@@ -47,9 +54,10 @@ module.exports.migrate = async function(args) {
     await prompt(args);
 
     // Initialize models
-    await Promise.all([Artifact.init(), Branch.init(), Element.init(),
-      Organization.init(), Project.init(), ServerData.init(), User.init(),
-      Webhook.init()]);
+    await Promise.all([Artifact.init(), AuditRecord.init(), Branch.init(), Deletion.init(),
+      Element.init(), ElementRevision.init(), Group.init(), Organization.init(),
+      Project.init(), ServerData.init(), Token.init(), Transaction.init(), User.init(),
+      Webhook.init(), WebhookDelivery.init()]);
 
     // Get the server data documents
     const serverData = await ServerData.find({}, null);
@@ -201,9 +209,10 @@ module.exports.getVersion = async function() {
         await db.clear();
 
         // Re-initialize models
-        await Promise.all([Artifact.init(), Branch.init(), Element.init(),
-          Organization.init(), Project.init(), ServerData.init(), User.init(),
-          Webhook.init()]);
+        await Promise.all([Artifact.init(), AuditRecord.init(), Branch.init(), Deletion.init(),
+          Element.init(), ElementRevision.init(), Group.init(), Organization.init(),
+          Project.init(), ServerData.init(), Token.init(), Transaction.init(), User.init(),
+          Webhook.init(), WebhookDelivery.init()]);
 
         // Insert server data document, with current schema version
         await ServerData.insertMany({ _id: 'server_data', version: M.version });
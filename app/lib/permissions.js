@@ -31,6 +31,8 @@ module.exports = {
   createArtifact,
   createBlob,
   createWebhook,
+  createGroup,
+  createToken,
   deleteElement,
   deleteOrg,
   deleteProject,
@@ -39,6 +41,8 @@ module.exports = {
   deleteArtifact,
   deleteBlob,
   deleteWebhook,
+  deleteGroup,
+  deleteToken,
   readElement,
   readOrg,
   readProject,
@@ -47,6 +51,8 @@ module.exports = {
   readArtifact,
   readBlob,
   readWebhook,
+  readGroup,
+  readToken,
   updateElement,
   updateOrg,
   updateProject,
@@ -54,8 +60,19 @@ module.exports = {
   updateBranch,
   updateArtifact,
   updateWebhook,
+  updateGroup,
+  unlockUser,
   getLogs,
-  listBlobs
+  getAudit,
+  listBlobs,
+  mergeBranch,
+  updateBranchProtection,
+  breakElementLock,
+  getRoles,
+  hasRole,
+  hasScope,
+  getScopeQuery,
+  getPermissionsQuery
 };
 
 /**
@@ -66,6 +83,7 @@ module.exports = {
  * @throws {PermissionError}
  */
 function createUser(user) {
+  checkScope(user, null, null, true);
   if (!user.admin) {
     throw new M.PermissionError('User does not have permission to create users.', 'warn');
   }
@@ -87,6 +105,7 @@ function readUser(user) {}
  * @throws {PermissionError}
  */
 function updateUser(user, userToUpdate) {
+  checkScope(user, null, null, true);
   try {
     assert.ok(user.admin || user._id === userToUpdate._id, '');
   }
@@ -103,11 +122,132 @@ function updateUser(user, userToUpdate) {
  * @throws {PermissionError}
  */
 function deleteUser(user) {
+  checkScope(user, null, null, true);
   if (!user.admin) {
     throw new M.PermissionError('User does not have permission to delete users.', 'warn');
   }
 }
 
+/**
+ * @description Verifies if user has permission to unlock the accounts of
+ * users.
+ *
+ * @param {User} user - The user object to check permissions for.
+ *
+ * @throws {PermissionError}
+ */
+function unlockUser(user) {
+  checkScope(user, null, null, true);
+  if (!user.admin) {
+    throw new M.PermissionError('User does not have permission to unlock users.', 'warn');
+  }
+}
+
+/**
+ * @description Verifies if user has permission to create groups.
+ *
+ * @param {User} user - The user object to check permissions for.
+ *
+ * @throws {PermissionError}
+ */
+function createGroup(user) {
+  checkScope(user, null, null, true);
+  if (!user.admin) {
+    throw new M.PermissionError('User does not have permission to create groups.', 'warn');
+  }
+}
+
+/**
+ * @description Verifies if user has permission to read groups.
+ *
+ * @param {User} user - The user object to check permissions for.
+ */
+function readGroup(user) {}
+
+/**
+ * @description Verifies if user has permission to update groups.
+ *
+ * @param {User} user - The user object to check permissions for.
+ *
+ * @throws {PermissionError}
+ */
+function updateGroup(user) {
+  checkScope(user, null, null, true);
+  if (!user.admin) {
+    throw new M.PermissionError('User does not have permission to update groups.', 'warn');
+  }
+}
+
+/**
+ * @description Verifies if user has permission to delete groups.
+ *
+ * @param {User} user - The user object to check permissions for.
+ *
+ * @throws {PermissionError}
+ */
+function deleteGroup(user) {
+  checkScope(user, null, null, true);
+  if (!user.admin) {
+    throw new M.PermissionError('User does not have permission to delete groups.', 'warn');
+  }
+}
+
+/**
+ * @description Verifies if user has permission to create personal access
+ * tokens for a user. Users can only create their own tokens, and tokens cannot
+ * be created with a personal access token, which would allow a token to create
+ * tokens with more access than itself.
+ *
+ * @param {User} user - The user object to check permissions for.
+ * @param {string} username - The username of the user the tokens belong to.
+ *
+ * @throws {PermissionError}
+ */
+function createToken(user, username) {
+  try {
+    assert.ok(user._id === username,
+      'User does not have permission to create tokens for other users.');
+    assert.ok(!user.token,
+      'Personal access tokens cannot be created with a personal access token.');
+  }
+  catch (error) {
+    throw new M.PermissionError(error.message, 'warn');
+  }
+}
+
+/**
+ * @description Verifies if user has permission to read the personal access
+ * tokens of a user.
+ *
+ * @param {User} user - The user object to check permissions for.
+ * @param {string} username - The username of the user the tokens belong to.
+ *
+ * @throws {PermissionError}
+ */
+function readToken(user, username) {
+  if (!user.admin && user._id !== username) {
+    throw new M.PermissionError('User does not have permission to find the tokens of other '
+      + 'users.', 'warn');
+  }
+}
+
+/**
+ * @description Verifies if user has permission to delete the personal access
+ * tokens of a user. System-wide admins can revoke the tokens of any user.
+ *
+ * @param {User} user - The user object to check permissions for.
+ * @param {string} username - The username of the user the tokens belong to.
+ *
+ * @throws {PermissionError}
+ */
+function deleteToken(user, username) {
+  checkScope(user, null, null, true);
+  if (!user.admin && user._id !== username) {
+    throw new M.PermissionError('User does not have permission to delete the tokens of other '
+      + 'users.', 'warn');
+  }
+}
+
 /**
  * @description Verifies if user has permission to create an organization.
  *
@@ -116,6 +256,7 @@ function deleteUser(user) {
  * @throws {PermissionError}
  */
 function createOrg(user) {
+  checkScope(user, null, null, true);
   if (!user.admin) {
     throw new M.PermissionError('User does not have permission to create orgs.', 'warn');
   }
@@ -130,8 +271,9 @@ function createOrg(user) {
  * @throws {PermissionError}
  */
 function readOrg(user, org) {
+  checkScope(user, org, null, false);
   try {
-    assert.ok(user.admin || org.permissions.hasOwnProperty(user._id), '');
+    assert.ok(user.admin || hasRole(user, org), '');
   }
   catch (error) {
     throw new M.PermissionError(`User does not have permission to find the org [${org._id}].`, 'warn');
@@ -147,10 +289,10 @@ function readOrg(user, org) {
  * @throws {PermissionError}
  */
 function updateOrg(user, org) {
+  checkScope(user, org, null, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id), '');
-      assert.ok(org.permissions[user._id].includes('admin'), '');
+      assert.ok(hasRole(user, org, 'admin'), '');
     }
   }
   catch (error) {
@@ -167,6 +309,7 @@ function updateOrg(user, org) {
  * @throws {PermissionError}
  */
 function deleteOrg(user) {
+  checkScope(user, null, null, true);
   if (!user.admin) {
     throw new M.PermissionError('User does not have permission to delete orgs.', 'warn');
   }
@@ -182,10 +325,10 @@ function deleteOrg(user) {
  * @throws {PermissionError}
  */
 function createProject(user, org) {
+  checkScope(user, org, null, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id), '');
-      assert.ok(org.permissions[user._id].includes('write'), '');
+      assert.ok(hasRole(user, org, 'write'), '');
     }
   }
   catch (error) {
@@ -204,16 +347,17 @@ function createProject(user, org) {
  * @throws {PermissionError}
  */
 function readProject(user, org, project) {
+  checkScope(user, org, project, false);
   try {
     if (!user.admin) {
       if (project.visibility === 'internal') {
         // User only needs read permissions on the org to read the project.
-        assert.ok(org.permissions.hasOwnProperty(user._id), 'User does not have'
+        assert.ok(hasRole(user, org), 'User does not have'
           + ` permission to find projects in the org [${org._id}].`);
       }
       else if (project.visibility === 'private') {
         // User must have read permissions on project.
-        assert.ok(project.permissions.hasOwnProperty(user._id), 'User does not '
+        assert.ok(hasRole(user, project), 'User does not '
           + `have permission to find the project [${utils.parseID(project._id).pop()}].`);
       }
     }
@@ -233,13 +377,14 @@ function readProject(user, org, project) {
  * @throws {PermissionError}
  */
 function updateProject(user, org, project) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to update projects in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id), 'User does not '
+      assert.ok(hasRole(user, project), 'User does not '
         + `have permission to update the project [${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('admin'), 'User does not'
+      assert.ok(hasRole(user, project, 'admin'), 'User does not'
         + `have permission to update the project [${utils.parseID(project._id).pop()}].`);
     }
   }
@@ -258,6 +403,7 @@ function updateProject(user, org, project) {
  * @throws {PermissionError}
  */
 function deleteProject(user, org, project) {
+  checkScope(user, org, project, true);
   if (!user.admin) {
     throw new M.PermissionError('User does not have permissions to delete projects.', 'warn');
   }
@@ -269,21 +415,24 @@ function deleteProject(user, org, project) {
  * @param {User} user - The user object to check permissions for.
  * @param {Organization} org - The org object containing the project.
  * @param {Project} project - The project to add elements to.
- * @param {Branch} branch - Parameter currently unused.
+ * @param {Branch} branch - The branch the elements are in. The protection rules
+ * of the branch are enforced.
  *
  * @throws {PermissionError}
  */
 function createElement(user, org, project, branch) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to create items in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to create items in the project '
           + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to create items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
+      checkBranchProtection(user, project, branch, 'create items in', false);
     }
   }
   catch (error) {
@@ -303,14 +452,15 @@ function createElement(user, org, project, branch) {
  * @throws {PermissionError}
  */
 function readElement(user, org, project, branch) {
+  checkScope(user, org, project, false);
   try {
     if (!user.admin) {
       // User needs read permission of the org, regardless of the project visibility
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to find items in the org [${org._id}].`);
 
       if (project.visibility === 'private') {
-        assert.ok(project.permissions.hasOwnProperty(user._id),
+        assert.ok(hasRole(user, project),
           'User does not have permission to find items in the project '
           + `[${utils.parseID(project._id).pop()}].`);
       }
@@ -327,21 +477,24 @@ function readElement(user, org, project, branch) {
  * @param {User} user - The user object to check permissions for.
  * @param {Organization} org - The org object containing the project.
  * @param {Project} project - The project containing the elements.
- * @param {Branch} branch - Parameter currently unused.
+ * @param {Branch} branch - The branch the elements are in. The protection rules
+ * of the branch are enforced.
  *
  * @throws {PermissionError}
  */
 function updateElement(user, org, project, branch) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to update items in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to update items in the project '
           + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to update items in the project '
           + `[${utils.parseID(project._id).pop()}].`);
+      checkBranchProtection(user, project, branch, 'update items in', false);
     }
   }
   catch (error) {
@@ -355,21 +508,24 @@ function updateElement(user, org, project, branch) {
  * @param {User} user - The user object to check permissions for.
  * @param {Organization} org - The org object containing the project.
  * @param {Project} project - The project containing the elements.
- * @param {Branch} branch - Parameter currently unused.
+ * @param {Branch} branch - The branch the elements are in. The protection rules
+ * of the branch are enforced.
  *
  * @throws {PermissionError}
  */
 function deleteElement(user, org, project, branch) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to delete items in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to delete items in the project '
           + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to delete items in the project '
           + `[${utils.parseID(project._id).pop()}].`);
+      checkBranchProtection(user, project, branch, 'delete items in', false);
     }
   }
   catch (error) {
@@ -387,14 +543,15 @@ function deleteElement(user, org, project, branch) {
  * @throws {PermissionError}
  */
 function createBranch(user, org, project) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to create branches in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to create branches in the project '
           + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to create branches in the project '
           + `[${utils.parseID(project._id).pop()}].`);
     }
@@ -415,14 +572,15 @@ function createBranch(user, org, project) {
  * @throws {PermissionError}
  */
 function readBranch(user, org, project, branch) {
+  checkScope(user, org, project, false);
   try {
     if (!user.admin) {
       // User needs read permission of the org, regardless of the project visibility
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to find branches in the org [${org._id}].`);
 
       if (project.visibility === 'private') {
-        assert.ok(project.permissions.hasOwnProperty(user._id),
+        assert.ok(hasRole(user, project),
           'User does not have permission to find branches in the project '
           + `[${utils.parseID(project._id).pop()}].`);
       }
@@ -444,14 +602,15 @@ function readBranch(user, org, project, branch) {
  * @throws {PermissionError}
  */
 function updateBranch(user, org, project, branch) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to update branches in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to update branches in the project '
           + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to update branches in the project '
       + `[${utils.parseID(project._id).pop()}].`);
     }
@@ -472,15 +631,16 @@ function updateBranch(user, org, project, branch) {
  * @throws {PermissionError}
  */
 function deleteBranch(user, org, project, branch) {
+  checkScope(user, org, project, true);
   // Admin's can delete branches
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to delete branches in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to delete branches in the project '
           + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to delete branches in the project '
       + `[${utils.parseID(project._id).pop()}].`);
     }
@@ -491,6 +651,92 @@ function deleteBranch(user, org, project, branch) {
 }
 
 
+/**
+ * @description Verify if user has permission to merge changes into a branch.
+ * Merging creates, updates and deletes elements on the branch, and is the
+ * only way to change the elements of a branch which requires merges.
+ *
+ * @param {User} user - The user object to check permissions for.
+ * @param {Organization} org - The org object containing the project.
+ * @param {Project} project - The project containing the branch.
+ * @param {Branch} branch - The branch the changes are merged into.
+ *
+ * @throws {PermissionError}
+ */
+function mergeBranch(user, org, project, branch) {
+  checkScope(user, org, project, true);
+  try {
+    if (!user.admin) {
+      assert.ok(hasRole(user, org),
+        `User does not have permission to merge branches in the org [${org._id}].`);
+      assert.ok(hasRole(user, project),
+        'User does not have permission to merge branches in the project '
+          + `[${utils.parseID(project._id).pop()}].`);
+      assert.ok(hasRole(user, project, 'write'),
+        'User does not have permission to merge branches in the project '
+          + `[${utils.parseID(project._id).pop()}].`);
+      checkBranchProtection(user, project, branch, 'merge into', true);
+    }
+  }
+  catch (error) {
+    throw new M.PermissionError(error.message, 'warn');
+  }
+}
+
+/**
+ * @description Verify if user has permission to change the protection rules
+ * of a branch. Only project admins can change the protection rules.
+ *
+ * @param {User} user - The user object to check permissions for.
+ * @param {Organization} org - The org object containing the project.
+ * @param {Project} project - The project containing the branch.
+ * @param {Branch} branch - Parameter currently unused.
+ *
+ * @throws {PermissionError}
+ */
+function updateBranchProtection(user, org, project, branch) {
+  checkScope(user, org, project, true);
+  try {
+    if (!user.admin) {
+      assert.ok(hasRole(user, org),
+        `User does not have permission to protect branches in the org [${org._id}].`);
+      assert.ok(hasRole(user, project, 'admin'),
+        'User does not have permission to protect branches in the project '
+        + `[${utils.parseID(project._id).pop()}].`);
+    }
+  }
+  catch (error) {
+    throw new M.PermissionError(error.message, 'warn');
+  }
+}
+
+/**
+ * @description Verify if user has permission to break the locks which other
+ * users hold on elements. Only project admins can break locks.
+ *
+ * @param {User} user - The user object to check permissions for.
+ * @param {Organization} org - The org object containing the project.
+ * @param {Project} project - The project containing the elements.
+ * @param {Branch} branch - Parameter currently unused.
+ *
+ * @throws {PermissionError}
+ */
+function breakElementLock(user, org, project, branch) {
+  checkScope(user, org, project, true);
+  try {
+    if (!user.admin) {
+      assert.ok(hasRole(user, org),
+        `User does not have permission to unlock items in the org [${org._id}].`);
+      assert.ok(hasRole(user, project, 'admin'),
+        'User does not have permission to unlock items locked by other users in the project '
+        + `[${utils.parseID(project._id).pop()}].`);
+    }
+  }
+  catch (error) {
+    throw new M.PermissionError(error.message, 'warn');
+  }
+}
+
 /**
  * @description Verify if user has permission to create artifacts in the
  * project.
@@ -498,21 +744,24 @@ function deleteBranch(user, org, project, branch) {
  * @param {User} user - The user object to check permissions for.
  * @param {Organization} org - The org object containing the project.
  * @param {Project} project - The project to add artifacts to.
- * @param {Branch} branch - Parameter currently unused.
+ * @param {Branch} branch - The branch the artifacts are in. The protection rules
+ * of the branch are enforced.
  *
  * @throws {PermissionError}
  */
 function createArtifact(user, org, project, branch) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to create items in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to create items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to create items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
+      checkBranchProtection(user, project, branch, 'create items in', false);
     }
   }
   catch (error) {
@@ -532,14 +781,15 @@ function createArtifact(user, org, project, branch) {
  * @throws {PermissionError}
  */
 function readArtifact(user, org, project, branch) {
+  checkScope(user, org, project, false);
   try {
     if (!user.admin) {
       // User needs read permission of the org, regardless of the project visibility
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to find items in the org [${org._id}].`);
 
       if (project.visibility === 'private') {
-        assert.ok(project.permissions.hasOwnProperty(user._id),
+        assert.ok(hasRole(user, project),
           'User does not have permission to get artifacts in the project '
           + `[${utils.parseID(project._id).pop()}].`);
       }
@@ -557,21 +807,24 @@ function readArtifact(user, org, project, branch) {
  * @param {User} user - The user object to check permissions for.
  * @param {Organization} org - The org object containing the project.
  * @param {Project} project - The project containing the artifacts.
- * @param {Branch} branch - Parameter currently unused.
+ * @param {Branch} branch - The branch the artifacts are in. The protection rules
+ * of the branch are enforced.
  *
  * @throws {PermissionError}
  */
 function updateArtifact(user, org, project, branch) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to update items in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to update items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to update items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
+      checkBranchProtection(user, project, branch, 'update items in', false);
     }
   }
   catch (error) {
@@ -585,21 +838,24 @@ function updateArtifact(user, org, project, branch) {
  * @param {User} user - The user object to check permissions for.
  * @param {Organization} org - The org object containing the project.
  * @param {Project} project - The project containing the artifacts.
- * @param {Branch} branch - Parameter currently unused.
+ * @param {Branch} branch - The branch the artifacts are in. The protection rules
+ * of the branch are enforced.
  *
  * @throws {PermissionError}
  */
 function deleteArtifact(user, org, project, branch) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to delete items in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to delete items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to delete items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
+      checkBranchProtection(user, project, branch, 'delete items in', false);
     }
   }
   catch (error) {
@@ -618,14 +874,15 @@ function deleteArtifact(user, org, project, branch) {
  * @throws {PermissionError}
  */
 function createBlob(user, org, project) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to create items in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to create items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to create items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
     }
@@ -645,14 +902,15 @@ function createBlob(user, org, project) {
  * @throws {PermissionError}
  */
 function readBlob(user, org, project) {
+  checkScope(user, org, project, false);
   try {
     if (!user.admin) {
       // User needs read permission of the org, regardless of the project visibility
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to find items in the org [${org._id}].`);
 
       if (project.visibility === 'private') {
-        assert.ok(project.permissions.hasOwnProperty(user._id),
+        assert.ok(hasRole(user, project),
           'User does not have permission to get artifacts in the project '
           + `[${utils.parseID(project._id).pop()}].`);
       }
@@ -673,14 +931,15 @@ function readBlob(user, org, project) {
  * @throws {PermissionError}
  */
 function deleteBlob(user, org, project) {
+  checkScope(user, org, project, true);
   try {
     if (!user.admin) {
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to delete items in the org [${org._id}].`);
-      assert.ok(project.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, project),
         'User does not have permission to delete items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
-      assert.ok(project.permissions[user._id].includes('write'),
+      assert.ok(hasRole(user, project, 'write'),
         'User does not have permission to delete items in the project '
         + `[${utils.parseID(project._id).pop()}].`);
     }
@@ -700,14 +959,15 @@ function deleteBlob(user, org, project) {
  * @throws {PermissionError}
  */
 function listBlobs(user, org, project) {
+  checkScope(user, org, project, false);
   try {
     if (!user.admin) {
       // User needs read permission of the org, regardless of the project visibility
-      assert.ok(org.permissions.hasOwnProperty(user._id),
+      assert.ok(hasRole(user, org),
         `User does not have permission to find items in the org [${org._id}].`);
 
       if (project.visibility === 'private') {
-        assert.ok(project.permissions.hasOwnProperty(user._id),
+        assert.ok(hasRole(user, project),
           'User does not have permission to get artifacts in the project '
           + `[${utils.parseID(project._id).pop()}].`);
       }
@@ -729,17 +989,16 @@ function listBlobs(user, org, project) {
  * @throws {PermissionError}
  */
 function createWebhook(user, org = null, project = null, branch = null) {
+  checkScope(user, org, project, true);
   try {
     if (project) {
-      assert.ok(user.admin || (project.permissions.hasOwnProperty(user._id)
-        && project.permissions[user._id].includes('admin')),
-      'User does not have permission to create webhooks on the project '
+      assert.ok(user.admin || hasRole(user, project, 'admin'),
+        'User does not have permission to create webhooks on the project '
         + `[${utils.parseID(project._id).pop()}].`);
     }
     else if (org) {
-      assert.ok(user.admin || (org.permissions.hasOwnProperty(user._id)
-        && org.permissions[user._id].includes('admin')),
-      `User does not have permission to create webhooks on the org [${org._id}].`);
+      assert.ok(user.admin || hasRole(user, org, 'admin'),
+        `User does not have permission to create webhooks on the org [${org._id}].`);
     }
     else {
       assert.ok(user.admin,
@@ -762,17 +1021,16 @@ function createWebhook(user, org = null, project = null, branch = null) {
  * @throws {PermissionError}
  */
 function readWebhook(user, org = null, project = null, branch = null) {
+  checkScope(user, org, project, false);
   try {
     if (project) {
-      assert.ok(user.admin || (project.permissions.hasOwnProperty(user._id)
-        && project.permissions[user._id].includes('admin')),
-      'User does not have permission to read webhooks on the project '
+      assert.ok(user.admin || hasRole(user, project, 'admin'),
+        'User does not have permission to read webhooks on the project '
         + `[${utils.parseID(project._id).pop()}].`);
     }
     else if (org) {
-      assert.ok(user.admin || (org.permissions.hasOwnProperty(user._id)
-        && org.permissions[user._id].includes('admin')),
-      `User does not have permission to read webhooks on the org [${org._id}].`);
+      assert.ok(user.admin || hasRole(user, org, 'admin'),
+        `User does not have permission to read webhooks on the org [${org._id}].`);
     }
     else {
       assert.ok(user.admin,
@@ -795,17 +1053,16 @@ function readWebhook(user, org = null, project = null, branch = null) {
  * @throws {PermissionError}
  */
 function updateWebhook(user, org = null, project = null, branch = null) {
+  checkScope(user, org, project, true);
   try {
     if (project) {
-      assert.ok(user.admin || (project.permissions.hasOwnProperty(user._id)
-        && project.permissions[user._id].includes('admin')),
-      'User does not have permission to update webhooks on the project '
+      assert.ok(user.admin || hasRole(user, project, 'admin'),
+        'User does not have permission to update webhooks on the project '
         + `[${utils.parseID(project._id).pop()}].`);
     }
     else if (org) {
-      assert.ok(user.admin || (org.permissions.hasOwnProperty(user._id)
-        && org.permissions[user._id].includes('admin')),
-      `User does not have permission to update webhooks on the org [${org._id}].`);
+      assert.ok(user.admin || hasRole(user, org, 'admin'),
+        `User does not have permission to update webhooks on the org [${org._id}].`);
     }
     else {
       assert.ok(user.admin,
@@ -828,17 +1085,16 @@ function updateWebhook(user, org = null, project = null, branch = null) {
  * @throws {PermissionError}
  */
 function deleteWebhook(user, org = null, project = null, branch = null) {
+  checkScope(user, org, project, true);
   try {
     if (project) {
-      assert.ok(user.admin || (project.permissions.hasOwnProperty(user._id)
-        && project.permissions[user._id].includes('admin')),
-      'User does not have permission to delete webhooks on the project '
+      assert.ok(user.admin || hasRole(user, project, 'admin'),
+        'User does not have permission to delete webhooks on the project '
         + `[${utils.parseID(project._id).pop()}].`);
     }
     else if (org) {
-      assert.ok(user.admin || (org.permissions.hasOwnProperty(user._id)
-        && org.permissions[user._id].includes('admin')),
-      `User does not have permission to delete webhooks on the org [${org._id}].`);
+      assert.ok(user.admin || hasRole(user, org, 'admin'),
+        `User does not have permission to delete webhooks on the org [${org._id}].`);
     }
     else {
       assert.ok(user.admin,
@@ -858,6 +1114,7 @@ function deleteWebhook(user, org = null, project = null, branch = null) {
  * @throws {PermissionError}
  */
 function getLogs(user) {
+  checkScope(user, null, null, false);
   try {
     assert.ok(user.admin, 'User does not have permission to view system logs.');
   }
@@ -865,3 +1122,200 @@ function getLogs(user) {
     throw new M.PermissionError(error.message, 'warn');
   }
 }
+
+/**
+ * @description Verifies that the user has permission to view the audit log.
+ *
+ * @param {User} user - The user object to check permissions for.
+ *
+ * @throws {PermissionError}
+ */
+function getAudit(user) {
+  checkScope(user, null, null, false);
+  try {
+    assert.ok(user.admin, 'User does not have permission to view the audit log.');
+  }
+  catch (error) {
+    throw new M.PermissionError(error.message, 'warn');
+  }
+}
+
+/**
+ * @description Returns the effective roles of a user on an org or project,
+ * which are the roles granted to the user and the roles granted to each of the
+ * groups the user is a member of. The groups of the user are found during
+ * authentication and stored in the field "groups" of the user.
+ *
+ * @param {User} user - The user object to find the roles of.
+ * @param {(Organization|Project)} doc - The org or project containing the
+ * permissions.
+ *
+ * @returns {string[]} The unique roles of the user, e.g. ['read', 'write'].
+ */
+function getRoles(user, doc) {
+  const permissions = (doc && doc.permissions) || {};
+  const keys = [user._id].concat((user.groups || []).map(g => `${utils.GROUP_PREFIX}${g}`));
+  const roles = [];
+
+  keys.forEach((key) => {
+    if (permissions.hasOwnProperty(key) && Array.isArray(permissions[key])) {
+      permissions[key].forEach((role) => {
+        if (!roles.includes(role)) roles.push(role);
+      });
+    }
+  });
+
+  return roles;
+}
+
+/**
+ * @description Checks whether a user has a role on an org or project, either
+ * directly or through one of their groups.
+ *
+ * @param {User} user - The user object to check permissions for.
+ * @param {(Organization|Project)} doc - The org or project containing the
+ * permissions.
+ * @param {string} [role] - The role to check for. If not provided, checks
+ * whether the user has any role.
+ *
+ * @returns {boolean} True if the user has the role.
+ */
+function hasRole(user, doc, role) {
+  const roles = getRoles(user, doc);
+  return (role) ? roles.includes(role) : roles.length > 0;
+}
+
+/**
+ * @description Creates the part of a find query which matches the orgs or
+ * projects on which a user has a role, either directly or through one of
+ * their groups.
+ *
+ * @param {User} user - The user object to find the permissions of.
+ * @param {string} [role='read'] - The role the user must have.
+ *
+ * @returns {object} The query, which can be merged into a find query.
+ */
+function getPermissionsQuery(user, role = 'read') {
+  const keys = [user._id].concat((user.groups || []).map(g => `${utils.GROUP_PREFIX}${g}`));
+  const conditions = keys.map(key => ({ [`permissions.${key}`]: { $all: [role] } }));
+
+  return (conditions.length === 1) ? conditions[0] : { $or: conditions };
+}
+
+/**
+ * @description Checks whether the scopes of the personal access token a user
+ * authenticated with allow an action. Tokens can be limited to reading data,
+ * and to specific orgs and projects. A token limited to projects can read the
+ * orgs containing the projects, and tokens limited to orgs or projects can read
+ * data outside of orgs, such as users, but cannot change it. Users who did not
+ * authenticate with a personal access token are not limited by scopes.
+ *
+ * @param {User} user - The user object to check the scopes of.
+ * @param {Organization} [org] - The org of the action.
+ * @param {Project} [project] - The project of the action.
+ * @param {boolean} [write=false] - True if the action changes data.
+ *
+ * @returns {boolean} True if the scopes allow the action.
+ */
+function hasScope(user, org, project, write = false) {
+  const scopes = user.scopes;
+
+  // Users authenticated without a personal access token have every scope
+  if (!scopes) return true;
+  if (write && scopes.readOnly) return false;
+
+  // Tokens which are not limited to orgs or projects can access every org and project
+  if (scopes.orgs.length === 0 && scopes.projects.length === 0) return true;
+
+  // The action is outside of orgs
+  if (!org) return !write;
+
+  if (scopes.orgs.includes(org._id)) return true;
+  if (project) return scopes.projects.includes(project._id);
+  return !write && scopes.projects.some(p => utils.parseID(p)[0] === org._id);
+}
+
+/**
+ * @description Creates the part of a find query which matches the orgs or
+ * projects within the scopes of the personal access token a user
+ * authenticated with, so that documents outside of the scopes are excluded
+ * before the results are paged and counted. See hasScope() for the rules.
+ *
+ * @param {User} user - The user object to check the scopes of.
+ * @param {string} type - The type of the documents being found, either 'org'
+ * or 'project'.
+ *
+ * @returns {(object|null)} The query, which can be added to the $and of a
+ * find query, or null if the documents are not limited by scopes.
+ */
+function getScopeQuery(user, type) {
+  const scopes = user.scopes;
+
+  // Tokens which are not limited to orgs or projects can access every org and project
+  if (!scopes || (scopes.orgs.length === 0 && scopes.projects.length === 0)) return null;
+
+  // Tokens limited to projects can read the orgs containing the projects
+  if (type === 'org') {
+    const orgIDs = scopes.orgs.concat(scopes.projects.map(p => utils.parseID(p)[0]));
+    return { _id: { $in: Array.from(new Set(orgIDs)) } };
+  }
+  return { $or: [{ org: { $in: scopes.orgs } }, { _id: { $in: scopes.projects } }] };
+}
+
+/**
+ * @description Verifies that the scopes of the personal access token a user
+ * authenticated with allow an action. See hasScope() for the rules.
+ *
+ * @param {User} user - The user object to check the scopes of.
+ * @param {Organization} [org] - The org of the action.
+ * @param {Project} [project] - The project of the action.
+ * @param {boolean} write - True if the action changes data.
+ *
+ * @throws {PermissionError}
+ */
+function checkScope(user, org, project, write) {
+  if (hasScope(user, org, project, write)) return;
+
+  let message = 'The personal access token does not have access to the server.';
+  if (write && user.scopes.readOnly) {
+    message = 'The personal access token is read-only.';
+  }
+  else if (project) {
+    message = 'The personal access token does not have access to the project '
+      + `[${utils.parseID(project._id).pop()}].`;
+  }
+  else if (org) {
+    message = `The personal access token does not have access to the org [${org._id}].`;
+  }
+  throw new M.PermissionError(message, 'warn');
+}
+
+/**
+ * @description Verifies that the protection rules of a branch allow a user to
+ * change its elements. Branches which are admin-only can only be changed by
+ * project admins. Branches with a list of writers can only be changed by the
+ * listed users and project admins. Branches which require merges can only be
+ * changed by merging another branch into them. The assertions are caught by the
+ * calling function, which throws a PermissionError.
+ *
+ * @param {User} user - The user object to check permissions for.
+ * @param {Project} project - The project containing the branch.
+ * @param {Branch} [branch] - The branch being changed.
+ * @param {string} action - The action being performed, used in error messages.
+ * @param {boolean} merging - True if the changes are being merged into the
+ * branch.
+ */
+function checkBranchProtection(user, project, branch, action, merging) {
+  const protection = (branch && branch.protection) || {};
+  const branchID = (branch) ? utils.parseID(branch._id).pop() : '';
+  const isProjectAdmin = hasRole(user, project, 'admin');
+
+  assert.ok(!protection.adminOnly || isProjectAdmin,
+    `Only project admins can ${action} the protected branch [${branchID}].`);
+  assert.ok(!Array.isArray(protection.writers) || protection.writers.length === 0
+    || protection.writers.includes(user._id) || isProjectAdmin,
+  `User does not have permission to ${action} the protected branch [${branchID}].`);
+  assert.ok(!protection.requireMerge || merging,
+    `The protected branch [${branchID}] can only be changed by merging another branch `
+      + 'into it.');
+}
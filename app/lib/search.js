@@ -0,0 +1,820 @@
+/* eslint-disable jsdoc/require-description-complete-sentence */
+// Disabled to allow html in description
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module lib.search
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description
+ * <p>Defines the search service, used to search elements by text and by the
+ * values of their fields. The database finds the candidate elements, which
+ * contain the words that must be found in their text fields, using the
+ * $contains query operator of the database strategy, and which match the
+ * filters that every strategy supports. Only the candidates are then matched
+ * against the full query, scored and highlighted by MBEE, so that a search
+ * returns the same results on every database strategy.</p>
+ *
+ * <h4>Text</h4>
+ * <p>A query is made of words, which match the words of the name and
+ * documentation of an element, ignoring case and punctuation. Words may be
+ * modified as follows:</p>
+ * <ul>
+ *   <li>"fuel pump" matches the words as a phrase, which must be found.</li>
+ *   <li>pump* matches any word starting with pump.</li>
+ *   <li>pump~ matches words within an edit distance of pump, which is 0 for
+ *   words of up to 2 characters, 1 for words of up to 5 characters and 2
+ *   otherwise. The distance may be given explicitly, such as pump~1.</li>
+ *   <li>+pump must be found, and -pump must not be found.</li>
+ * </ul>
+ * If any phrase or word must be found, the other words only affect the score.
+ * Otherwise, at least one of the words must be found.
+ *
+ * <h4>Filters</h4>
+ * Filters are written as field:value, and must all match. Any field listed in
+ * filterFields, or any field of the custom data, such as custom.status, can be
+ * filtered on. A filter may be negated by starting it with a -.
+ * <ul>
+ *   <li>type:Block matches a single value.</li>
+ *   <li>type:(Block OR Part) matches any of the values.</li>
+ *   <li>createdOn:[2020-01-01 TO 2020-06-30] matches an inclusive range, where
+ *   * leaves the range open. Dates without a time cover the whole day.</li>
+ *   <li>updatedOn:>=2020-01-01 compares the value, using >, >=, < or <=.</li>
+ * </ul>
+ */
+
+// MBEE modules
+const Element = M.require('models.element');
+const branchUtils = M.require('lib.branch-utils');
+const sani = M.require('lib.sanitization');
+const utils = M.require('lib.utils');
+
+// The searched text fields and their weight in the score
+const textFields = { name: 2, documentation: 1 };
+// The fields which can be filtered on, in addition to the fields of custom data
+const filterFields = ['id', 'name', 'type', 'documentation', 'parent', 'source', 'target',
+  'artifact', 'project', 'branch', 'createdBy', 'lastModifiedBy', 'archivedBy', 'lockedBy',
+  'archived', 'createdOn', 'updatedOn', 'archivedOn'];
+// The filter fields which store dates
+const dateFields = ['createdOn', 'updatedOn', 'archivedOn'];
+// The filter fields which store the concatenated IDs of other documents
+const referenceFields = ['parent', 'source', 'target', 'artifact', 'project', 'branch'];
+// The filter fields which every database strategy can filter on directly
+const databaseFields = ['type', 'name', 'createdBy', 'lastModifiedBy', 'archivedBy'];
+// The number of characters shown around each highlighted match
+const fragmentSize = 40;
+// The maximum number of highlighted fragments returned per field
+const maxFragments = 3;
+
+/**
+ * @description Parses a search query into its text clauses and filters. See
+ * the description of this module for the syntax of a query.
+ *
+ * @param {string} [query=''] - The search query.
+ *
+ * @returns {object} The parsed query, in the format { clauses: [], filters: [] }.
+ * Each clause contains the words to match in order (words), whether the last
+ * word is a prefix (prefix), the fuzzy edit distance (distance, null for an
+ * automatic distance), and whether the clause must (required) or must not
+ * (excluded) be found.
+ */
+module.exports.parseQuery = function(query = '') {
+  if (typeof query !== 'string') {
+    throw new M.DataFormatError('The search query must be a string.', 'warn');
+  }
+
+  const parsed = { clauses: [], filters: [] };
+  const pattern = /([+-]?)("[^"]*"?|[A-Za-z_][\w.]*:(?:"[^"]*"?|\([^)]*\)?|\[[^\]]*\]?)|\S+)/g;
+  let match = pattern.exec(query);
+  while (match !== null) {
+    const sign = match[1];
+    const item = match[2];
+    const filter = /^([A-Za-z_][\w.]*):([\s\S]+)$/.exec(item);
+
+    if (filter && isFilterField(filter[1])) {
+      parsed.filters.push(parseFilter(filter[1], filter[2], sign === '-'));
+    }
+    else {
+      const clause = parseClause(item, sign);
+      if (clause.words.length > 0) {
+        parsed.clauses.push(clause);
+      }
+    }
+    match = pattern.exec(query);
+  }
+
+  return parsed;
+};
+
+/**
+ * @description Searches the elements of one or more branches. The filter, the
+ * words of the query which must be found and the supported filters of the
+ * query are passed to the database for each branch, and the candidate elements
+ * found are matched against the parsed query. The matched elements are sorted by their score, or
+ * by the sort option, and are returned with their score (score) and the
+ * highlighted fragments of each matched text field (highlights). Highlighted
+ * fragments are escaped HTML, with each match wrapped in an em tag. If the
+ * matches are sorted by their ID, which is the case if no words are scored,
+ * the branches are searched in that order, and the search stops once the
+ * requested page is filled. Otherwise every candidate of every branch must be
+ * scored.
+ * @async
+ *
+ * @param {string[]} branchIDs - The concatenated IDs of the searched branches.
+ * @param {object} search - The parsed query, from parseQuery().
+ * @param {object} [filter={}] - Additional conditions passed to the database,
+ * such as { archived: false }.
+ * @param {object} [options={}] - An object containing the validated sort,
+ * skip and limit options, and the fields and populate strings.
+ *
+ * @returns {Promise<object[]>} The matched elements.
+ */
+module.exports.searchElements = async function(branchIDs, search, filter = {}, options = {}) {
+  const dbFilter = Object.assign({}, filter, buildFilter(search.filters),
+    buildTextFilter(search.clauses));
+  const sortKey = (options.sort) ? Object.keys(options.sort)[0] : undefined;
+  const compare = compareMatches(sortKey, (sortKey) ? options.sort[sortKey] : 1);
+  const skip = options.skip || 0;
+  // Only the matches up to the end of the requested page are kept
+  const keep = (options.limit) ? skip + options.limit : Infinity;
+  const matches = [];
+
+  // The IDs of the elements of a branch start with the ID of the branch, so if
+  // the matches are sorted by ID, each branch only contains matches sorted after
+  // those of the branches before it
+  const byID = sortKey === '_id'
+    || ((!sortKey || sortKey === 'score') && search.clauses.every(c => c.excluded));
+  const order = (sortKey === '_id') ? options.sort._id : 1;
+  const branches = (!byID) ? branchIDs
+    : branchIDs.slice().sort((a, b) => compareValues(`${a}:`, `${b}:`) * order);
+
+  for (let i = 0; i < branches.length; i++) {
+    // Stop once the requested page is filled by the branches before
+    if (byID && matches.length >= keep) break;
+
+    // eslint-disable-next-line no-await-in-loop
+    const cursor = await branchUtils.cursor(Element,
+      Object.assign({}, dbFilter, { branch: branches[i] }), null);
+
+    let doc = await cursor.next(); // eslint-disable-line no-await-in-loop
+    while (doc) {
+      const result = matchElement(doc, search);
+      if (result) {
+        matches.push({
+          _id: doc._id,
+          score: result.score,
+          highlights: result.highlights,
+          sortValue: (sortKey && sortKey !== 'score') ? getValue(doc, sortKey) : undefined
+        });
+        // Discard the matches which sort after the requested page
+        if (matches.length >= 2 * keep) {
+          matches.sort(compare);
+          matches.length = keep;
+        }
+      }
+      doc = await cursor.next(); // eslint-disable-line no-await-in-loop
+    }
+    await cursor.close(); // eslint-disable-line no-await-in-loop
+  }
+
+  // Sort the matches, then find the requested page of elements
+  matches.sort(compare);
+  const page = matches.slice(skip, (options.limit) ? keep : undefined);
+
+  const docMap = {};
+  for (let i = 0; i < page.length; i += 50000) {
+    const query = { _id: { $in: page.slice(i, i + 50000).map(m => m._id) } };
+    // eslint-disable-next-line no-await-in-loop
+    const docs = await branchUtils.find(Element, query, options.fields,
+      { populate: options.populate });
+    docs.forEach((d) => {
+      docMap[d._id] = d;
+    });
+  }
+
+  return page.filter(m => docMap[m._id]).map(m => Object.assign(docMap[m._id],
+    { score: m.score, highlights: m.highlights }));
+};
+
+/**
+ * @description Checks whether a field can be filtered on.
+ * @private
+ *
+ * @param {string} field - The name of the field.
+ *
+ * @returns {boolean} True if the field can be filtered on.
+ */
+function isFilterField(field) {
+  return filterFields.includes(field)
+    || (field.startsWith('custom.') && field.split('.').every(key => key !== ''));
+}
+
+/**
+ * @description Parses a text clause of a search query.
+ * @private
+ *
+ * @param {string} text - The text of the clause, without its sign.
+ * @param {string} sign - Either '+' if the clause must be found, '-' if it
+ * must not be found, or an empty string.
+ *
+ * @returns {object} The parsed clause.
+ */
+function parseClause(text, sign) {
+  const phrase = text.startsWith('"');
+  let value = (phrase) ? text.replace(/"/g, '') : text;
+  let prefix = false;
+  let distance = 0;
+
+  if (!phrase && value.endsWith('*')) {
+    prefix = true;
+    value = value.slice(0, -1);
+  }
+  else if (!phrase && /~\d*$/.test(value)) {
+    const digits = value.slice(value.lastIndexOf('~') + 1);
+    value = value.slice(0, value.lastIndexOf('~'));
+    distance = (digits === '') ? null : Number(digits);
+    if (distance !== null && distance > 2) {
+      throw new M.DataFormatError(`The fuzzy distance of [${value}] must be 0, 1 or 2.`, 'warn');
+    }
+  }
+
+  return {
+    words: tokenize(value).map(t => t.word),
+    prefix: prefix,
+    distance: distance,
+    required: phrase || sign === '+',
+    excluded: sign === '-'
+  };
+}
+
+/**
+ * @description Parses a filter of a search query.
+ * @private
+ *
+ * @param {string} field - The filtered field.
+ * @param {string} value - The value of the filter, as written in the query.
+ * @param {boolean} negate - If true, the filter must not match.
+ *
+ * @returns {object} The parsed filter. Filters which match a list of values
+ * have the kind 'in' and contain the values (values). Filters which match a
+ * range have the kind 'range' and contain the bounds (min and max), which may
+ * be undefined, and whether they are inclusive (minInclusive, maxInclusive).
+ */
+function parseFilter(field, value, negate) {
+  const isDate = dateFields.includes(field);
+  const filter = { field: field, negate: negate };
+  let comparison = /^(>=|<=|>|<)(.+)$/.exec(value);
+
+  if (value.startsWith('(')) {
+    // A list of values, separated by OR or commas
+    const values = [];
+    const pattern = /"([^"]*)"|([^\s,()]+)/g;
+    let match = pattern.exec(value);
+    while (match !== null) {
+      if (match[1] !== undefined || match[2] !== 'OR') {
+        values.push((match[1] !== undefined) ? match[1] : match[2]);
+      }
+      match = pattern.exec(value);
+    }
+    if (values.length === 0) {
+      throw new M.DataFormatError(`The filter [${field}] does not contain any values.`, 'warn');
+    }
+    filter.kind = 'in';
+    filter.values = values;
+  }
+  else if (value.startsWith('[')) {
+    // An inclusive range
+    const range = /^\[\s*(\S+)\s+TO\s+(\S+)\s*\]$/.exec(value);
+    if (!range) {
+      throw new M.DataFormatError(`The range of the filter [${field}] must be in the format `
+        + '[from TO to].', 'warn');
+    }
+    filter.kind = 'range';
+    filter.min = (range[1] === '*') ? undefined : range[1];
+    filter.max = (range[2] === '*') ? undefined : range[2];
+    filter.minInclusive = true;
+    filter.maxInclusive = true;
+  }
+  else if (comparison) {
+    filter.kind = 'range';
+    filter[(comparison[1].startsWith('>')) ? 'min' : 'max'] = comparison[2];
+    filter.minInclusive = comparison[1] === '>=';
+    filter.maxInclusive = comparison[1] === '<=';
+  }
+  else {
+    filter.kind = 'in';
+    filter.values = [value.replace(/"/g, '')];
+  }
+
+  // Convert dates to timestamps
+  if (isDate && filter.kind === 'in') {
+    // A date without a time matches the whole day
+    comparison = filter.values.length === 1 && /^\d{4}-\d{2}-\d{2}$/.test(filter.values[0]);
+    filter.values = filter.values.map(v => parseDate(field, v));
+    if (comparison) {
+      filter.kind = 'range';
+      filter.min = filter.values[0];
+      filter.max = filter.values[0] + 24 * 60 * 60 * 1000;
+      filter.minInclusive = true;
+      filter.maxInclusive = false;
+    }
+  }
+  else if (isDate) {
+    if (filter.min !== undefined) filter.min = parseDate(field, filter.min);
+    if (filter.max !== undefined) {
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(filter.max);
+      filter.max = parseDate(field, filter.max);
+      // The end of a range of dates includes the whole day
+      if (dateOnly && filter.maxInclusive) {
+        filter.max += 24 * 60 * 60 * 1000;
+        filter.maxInclusive = false;
+      }
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * @description Parses the date of a filter.
+ * @private
+ *
+ * @param {string} field - The filtered field.
+ * @param {string} value - The date, in any format supported by Date.
+ *
+ * @returns {number} The timestamp of the date.
+ */
+function parseDate(field, value) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new M.DataFormatError(`The value [${value}] of the filter [${field}] is not a `
+      + 'valid date.', 'warn');
+  }
+  return time;
+}
+
+/**
+ * @description Creates the database filter of the filters which every database
+ * strategy supports, being single values and lists of values of string fields,
+ * and ranges of dates. The elements found are still matched against every
+ * filter.
+ * @private
+ *
+ * @param {object[]} filters - The parsed filters.
+ *
+ * @returns {object} The database filter.
+ */
+function buildFilter(filters) {
+  const query = {};
+  const ranges = [];
+  filters.forEach((f) => {
+    if (databaseFields.includes(f.field) && f.kind === 'in' && !f.negate
+      && !query.hasOwnProperty(f.field) && f.values.every(v => v !== 'null')) {
+      query[f.field] = (f.values.length === 1) ? f.values[0] : { $in: f.values };
+    }
+    // Each bound is a separate condition, as some strategies only support a
+    // single comparison per condition
+    else if (dateFields.includes(f.field) && f.kind === 'range' && !f.negate) {
+      if (f.min !== undefined) {
+        ranges.push({ [f.field]: { [(f.minInclusive) ? '$gte' : '$gt']: new Date(f.min) } });
+      }
+      if (f.max !== undefined) {
+        ranges.push({ [f.field]: { [(f.maxInclusive) ? '$lte' : '$lt']: new Date(f.max) } });
+      }
+    }
+  });
+  if (ranges.length > 0) {
+    query.$and = ranges;
+  }
+  return query;
+}
+
+/**
+ * @description Creates the $contains condition of the words of the text
+ * clauses, so that the database only finds the elements which may match. A
+ * word is only passed to the database if a match always contains it, which
+ * excludes fuzzy words, and excluded clauses are never passed. If no clause is
+ * required, one word of each optional clause is passed, of which one must be
+ * contained. The words which may only be the start of a word of a match are
+ * listed in prefixes, so that strategies which find whole words through an
+ * index do not search for them.
+ * @private
+ *
+ * @param {object[]} clauses - The parsed clauses.
+ *
+ * @returns {object} The database filter, which is empty if no word can be
+ * passed to the database.
+ */
+function buildTextFilter(clauses) {
+  // The words of a clause which are contained in the text of every match
+  const exactWords = clause => clause.words.filter(word => ((clause.distance === null)
+    ? autoDistance(word) : clause.distance) === 0);
+
+  const required = clauses.filter(c => c.required && !c.excluded);
+  const optional = clauses.filter(c => !c.required && !c.excluded);
+  const contains = { fields: Object.keys(textFields), all: [], any: [], prefixes: [] };
+
+  if (required.length > 0) {
+    required.forEach((c) => {
+      contains.all = Array.from(new Set(contains.all.concat(exactWords(c))));
+    });
+  }
+  else if (optional.length > 0 && optional.every(c => exactWords(c).length > 0)) {
+    // The longest word of each clause is the most selective
+    contains.any = optional.map(c => exactWords(c).reduce((a, b) => ((b.length > a.length)
+      ? b : a)));
+  }
+
+  clauses.filter(c => c.prefix && !c.excluded).forEach((c) => {
+    contains.prefixes.push(c.words[c.words.length - 1]);
+  });
+
+  return (contains.all.length > 0 || contains.any.length > 0) ? { $contains: contains } : {};
+}
+
+/**
+ * @description Matches an element against a parsed query.
+ * @private
+ *
+ * @param {object} doc - The element.
+ * @param {object} search - The parsed query.
+ *
+ * @returns {(object|null)} The score and highlights of the element, or null if
+ * it does not match.
+ */
+function matchElement(doc, search) {
+  if (!search.filters.every(f => matchFilter(doc, f))) {
+    return null;
+  }
+
+  const fields = Object.keys(textFields);
+  const tokens = {};
+  const ranges = {};
+  fields.forEach((f) => {
+    tokens[f] = tokenize((typeof doc[f] === 'string') ? doc[f] : '');
+    ranges[f] = [];
+  });
+
+  let score = 0;
+  let optional = false;
+  let optionalMatched = false;
+  for (let i = 0; i < search.clauses.length; i++) {
+    const clause = search.clauses[i];
+    let matched = false;
+
+    for (let j = 0; j < fields.length; j++) {
+      const f = fields[j];
+      const result = matchClause(tokens[f], clause);
+      if (result.count > 0) {
+        matched = true;
+        if (!clause.excluded) {
+          score += textFields[f] * result.quality * (1 + Math.log(result.count))
+            / Math.sqrt(tokens[f].length);
+          ranges[f] = ranges[f].concat(result.ranges);
+        }
+      }
+    }
+
+    if (clause.excluded && matched) return null;
+    if (clause.required && !matched) return null;
+    if (!clause.required && !clause.excluded) {
+      optional = true;
+      optionalMatched = optionalMatched || matched;
+    }
+  }
+
+  // If no clause is required, at least one of the optional clauses must match
+  const required = search.clauses.some(c => c.required);
+  if (!required && optional && !optionalMatched) {
+    return null;
+  }
+
+  const highlights = {};
+  fields.forEach((f) => {
+    if (ranges[f].length > 0) {
+      highlights[f] = highlight(doc[f], ranges[f]);
+    }
+  });
+
+  return { score: Math.round(score * 10000) / 10000, highlights: highlights };
+}
+
+/**
+ * @description Finds each occurrence of a clause in the words of a field.
+ * @private
+ *
+ * @param {object[]} tokens - The words of the field, from tokenize().
+ * @param {object} clause - The parsed clause.
+ *
+ * @returns {object} The number of occurrences (count), the best quality of an
+ * occurrence between 0 and 1 (quality), and the character ranges of the
+ * occurrences (ranges).
+ */
+function matchClause(tokens, clause) {
+  const result = { count: 0, quality: 0, ranges: [] };
+  const length = clause.words.length;
+
+  for (let i = 0; i + length <= tokens.length; i++) {
+    let quality = 0;
+    for (let j = 0; j < length; j++) {
+      const word = clause.words[j];
+      const q = matchWord(tokens[i + j].word, word, clause.prefix && j === length - 1,
+        (clause.distance === null) ? autoDistance(word) : clause.distance);
+      if (q === 0) {
+        quality = 0;
+        break;
+      }
+      quality += q / length;
+    }
+
+    if (quality > 0) {
+      result.count++;
+      result.quality = Math.max(result.quality, quality);
+      result.ranges.push({ start: tokens[i].start, end: tokens[i + length - 1].end });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @description Matches a single word of a field against a word of a query.
+ * @private
+ *
+ * @param {string} fieldWord - The word of the field.
+ * @param {string} word - The word of the query.
+ * @param {boolean} prefix - If true, the word of the query is a prefix.
+ * @param {number} distance - The maximum edit distance of a fuzzy match.
+ *
+ * @returns {number} The quality of the match between 0 and 1, where 0 is no
+ * match and 1 is an exact match.
+ */
+function matchWord(fieldWord, word, prefix, distance) {
+  if (fieldWord === word) return 1;
+  if (prefix && fieldWord.startsWith(word)) {
+    return 0.5 + 0.5 * word.length / fieldWord.length;
+  }
+  if (distance > 0) {
+    const d = editDistance(fieldWord, word, distance);
+    if (d <= distance) return 1 - d / (word.length + 1);
+  }
+  return 0;
+}
+
+/**
+ * @description Returns the automatic fuzzy edit distance of a word.
+ * @private
+ *
+ * @param {string} word - The word of the query.
+ *
+ * @returns {number} The maximum edit distance.
+ */
+function autoDistance(word) {
+  if (word.length <= 2) return 0;
+  return (word.length <= 5) ? 1 : 2;
+}
+
+/**
+ * @description Computes the Levenshtein distance between two words, stopping
+ * once the distance exceeds a maximum.
+ * @private
+ *
+ * @param {string} a - The first word.
+ * @param {string} b - The second word.
+ * @param {number} max - The maximum distance of interest.
+ *
+ * @returns {number} The distance, or max + 1 if it is greater than max.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (v, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * @description Splits text into lowercase words of letters and numbers.
+ * @private
+ *
+ * @param {string} text - The text to split.
+ *
+ * @returns {object[]} The words, in the format { word, start, end }, where
+ * start and end are the character range of the word in the text.
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match = pattern.exec(text);
+  while (match !== null) {
+    tokens.push({
+      word: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+    match = pattern.exec(text);
+  }
+  return tokens;
+}
+
+/**
+ * @description Returns the value of a field of an element, for filters and
+ * sorting. The id field is the ID of the element without its branch, and
+ * fields of custom data are found through their dot notation.
+ * @private
+ *
+ * @param {object} doc - The element.
+ * @param {string} field - The name of the field.
+ *
+ * @returns {*} The value of the field.
+ */
+function getValue(doc, field) {
+  if (field === 'id') return utils.parseID(doc._id).pop();
+  return field.split('.').reduce((value, key) => ((value !== null && value !== undefined)
+    ? value[key] : undefined), doc);
+}
+
+/**
+ * @description Matches an element against a parsed filter.
+ * @private
+ *
+ * @param {object} doc - The element.
+ * @param {object} filter - The parsed filter.
+ *
+ * @returns {boolean} True if the element matches the filter.
+ */
+function matchFilter(doc, filter) {
+  const value = getValue(doc, filter.field);
+  let matched = false;
+
+  if (filter.kind === 'in') {
+    const values = (Array.isArray(value)) ? value : [value];
+    matched = values.some(v => filter.values.some(expected => equals(filter.field, v, expected)));
+  }
+  else if (value !== null && value !== undefined) {
+    const actual = toComparable(filter.field, value);
+    const min = (filter.min === undefined) ? undefined : toComparable(filter.field, filter.min);
+    const max = (filter.max === undefined) ? undefined : toComparable(filter.field, filter.max);
+    matched = (min === undefined || actual > min || (filter.minInclusive && actual >= min))
+      && (max === undefined || actual < max || (filter.maxInclusive && actual <= max))
+      && typeof actual === typeof (min === undefined ? max : min);
+  }
+
+  return (filter.negate) ? !matched : matched;
+}
+
+/**
+ * @description Checks whether the value of a field equals the value of a
+ * filter. References to other elements may be compared by the ID of the
+ * element alone, or by its concatenated ID.
+ * @private
+ *
+ * @param {string} field - The name of the field.
+ * @param {*} actual - The value of the field.
+ * @param {*} expected - The value of the filter.
+ *
+ * @returns {boolean} True if the values are equal.
+ */
+function equals(field, actual, expected) {
+  if (actual === null || actual === undefined) {
+    return expected === null || expected === 'null';
+  }
+  if (dateFields.includes(field)) {
+    return new Date(actual).getTime() === expected;
+  }
+  if (referenceFields.includes(field) && typeof actual === 'string'
+    && !String(expected).includes(':')) {
+    return utils.parseID(actual).pop() === expected;
+  }
+  return String(actual) === String(expected);
+}
+
+/**
+ * @description Converts a value into a number, if it is a date or numeric, so
+ * that it can be compared with the bounds of a range.
+ * @private
+ *
+ * @param {string} field - The name of the field.
+ * @param {*} value - The value to convert.
+ *
+ * @returns {(number|string)} The comparable value.
+ */
+function toComparable(field, value) {
+  if (dateFields.includes(field) || value instanceof Date) {
+    return new Date(value).getTime();
+  }
+  if (typeof value === 'number') return value;
+  return (String(value).trim() !== '' && !Number.isNaN(Number(value)))
+    ? Number(value) : String(value);
+}
+
+/**
+ * @description Creates a function which compares two matches, by the sort
+ * field if provided, then by score, then by ID.
+ * @private
+ *
+ * @param {string} [sortKey] - The field to sort by, or 'score'.
+ * @param {number} order - 1 for ascending, or -1 for descending.
+ *
+ * @returns {Function} The comparison function.
+ */
+function compareMatches(sortKey, order) {
+  return (a, b) => {
+    let result = 0;
+    if (sortKey === 'score') {
+      result = (a.score - b.score) * order;
+    }
+    else if (sortKey) {
+      result = compareValues(a.sortValue, b.sortValue) * order;
+    }
+    if (result === 0) result = b.score - a.score;
+    if (result === 0) result = compareValues(a._id, b._id);
+    return result;
+  };
+}
+
+/**
+ * @description Compares two values for sorting, where null and undefined
+ * values are sorted first.
+ * @private
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ *
+ * @returns {number} A negative number if a is sorted first, a positive number
+ * if b is sorted first, or 0 if they are equal.
+ */
+function compareValues(a, b) {
+  const x = (a instanceof Date) ? a.getTime() : a;
+  const y = (b instanceof Date) ? b.getTime() : b;
+  if (x === y) return 0;
+  if (x === null || x === undefined) return -1;
+  if (y === null || y === undefined) return 1;
+  return (x < y) ? -1 : 1;
+}
+
+/**
+ * @description Creates the highlighted fragments of a text field. Each
+ * fragment contains one or more matches and the text around them. The text is
+ * escaped, and each match is wrapped in an em tag.
+ * @private
+ *
+ * @param {string} text - The text of the field.
+ * @param {object[]} ranges - The character ranges of the matches.
+ *
+ * @returns {string[]} The highlighted fragments.
+ */
+function highlight(text, ranges) {
+  // Sort and merge overlapping matches
+  const merged = [];
+  ranges.slice().sort((a, b) => a.start - b.start).forEach((r) => {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) {
+      last.end = Math.max(last.end, r.end);
+    }
+    else {
+      merged.push({ start: r.start, end: r.end });
+    }
+  });
+
+  // Group matches which are close together into a single fragment
+  const fragments = [];
+  merged.forEach((r) => {
+    const last = fragments[fragments.length - 1];
+    if (last && r.start - last.end <= 2 * fragmentSize) {
+      last.end = r.end;
+      last.ranges.push(r);
+    }
+    else {
+      fragments.push({ start: r.start, end: r.end, ranges: [r] });
+    }
+  });
+
+  return fragments.slice(0, maxFragments).map((f) => {
+    const start = Math.max(0, f.start - fragmentSize);
+    const end = Math.min(text.length, f.end + fragmentSize);
+    let result = (start > 0) ? '...' : '';
+    let position = start;
+    f.ranges.forEach((r) => {
+      result += `${sani.html(text.slice(position, r.start))}`
+        + `<em>${sani.html(text.slice(r.start, r.end))}</em>`;
+      position = r.end;
+    });
+    return `${result}${sani.html(text.slice(position, end))}${(end < text.length) ? '...' : ''}`;
+  });
+}
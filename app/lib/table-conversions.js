@@ -0,0 +1,638 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module lib.table-conversions
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the functions which convert elements to and from
+ * tables, and tables to and from CSV and xlsx spreadsheets. Each row of a
+ * table is an element, and each column is a field of the elements. Nested
+ * fields, such as custom data, are flattened into a column per field whose
+ * name is the path of the field, for example "custom.level.priority".
+ */
+
+// Node modules
+const zlib = require('zlib');
+
+// MBEE modules
+const xmiConversions = M.require('lib.xmi-conversions');
+
+// The fields of an element which can be imported from a table
+const stringFields = ['id', 'name', 'parent', 'source', 'target', 'documentation', 'type',
+  'artifact'];
+const namespaceFields = ['sourceNamespace', 'targetNamespace'];
+
+// The characters which cause a spreadsheet to interpret a CSV cell as a formula
+const formulaCharacters = ['=', '+', '-', '@', '\t', '\r', '\''];
+
+// The content type of xlsx spreadsheets
+module.exports.xlsxContentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * @description Converts the public data of elements into a table. Custom data
+ * and the source and target namespaces are flattened into a column per field.
+ * Custom values which are not strings, and strings which would otherwise be
+ * read as another type, are stored as JSON so that they are imported with the
+ * same type. Other nested values, such as populated fields, are also stored
+ * as JSON. The custom columns follow all other columns, sorted by name.
+ *
+ * @param {object[]} elements - The public data of the elements.
+ *
+ * @returns {object} The table, containing an array of column names and an
+ * array of rows, each of which is an array of values.
+ */
+module.exports.elementsToTable = function(elements) {
+  const columns = [];
+  const customColumns = [];
+
+  const flattened = elements.map((element) => {
+    const row = {};
+    Object.keys(element).forEach((key) => {
+      const value = element[key];
+      if (value === undefined || value === null) return;
+
+      if (key === 'custom') {
+        flattenCustom(value, 'custom', row);
+      }
+      else if (namespaceFields.includes(key) && typeof value === 'object') {
+        Object.keys(value).forEach((k) => { row[`${key}.${k}`] = value[k]; });
+      }
+      else if (typeof value === 'object') {
+        row[key] = JSON.stringify(value);
+      }
+      else {
+        row[key] = value;
+      }
+    });
+
+    // Record the columns in the order they are first found
+    Object.keys(row).forEach((column) => {
+      const list = (column.startsWith('custom.')) ? customColumns : columns;
+      if (!list.includes(column)) list.push(column);
+    });
+    return row;
+  });
+
+  const allColumns = columns.concat(customColumns.sort());
+  return {
+    columns: allColumns,
+    rows: flattened.map(row => allColumns.map(c => ((row[c] === undefined) ? '' : row[c])))
+  };
+};
+
+/**
+ * @description Converts a table into elements which can be created or updated
+ * by the element controller. Columns which are not fields of an element, such
+ * as createdOn, are ignored, as are empty cells. Custom values which are
+ * valid JSON are parsed, and are otherwise strings. Values are not validated; the
+ * element controller validates each element when it is created or updated.
+ *
+ * @param {object} table - The table, containing an array of column names and
+ * an array of rows.
+ *
+ * @returns {object} An object containing the array of elements, and an array of
+ * the row numbers of each element in the spreadsheet. The header is row 1.
+ * Rows in which every cell is empty are skipped.
+ */
+module.exports.tableToElements = function(table) {
+  const elements = [];
+  const rowNumbers = [];
+  const columns = table.columns.map(c => String(c).trim());
+
+  table.rows.forEach((row, index) => {
+    const element = {};
+    let empty = true;
+
+    columns.forEach((column, i) => {
+      const value = row[i];
+      if (value === undefined || value === null || value === '') return;
+      empty = false;
+
+      const path = column.split('.');
+      if (stringFields.includes(column)) {
+        element[column] = String(value);
+      }
+      else if (column === 'archived') {
+        element.archived = (value === 'true' || value === 'false') ? value === 'true' : value;
+      }
+      else if (namespaceFields.includes(path[0]) && path.length === 2) {
+        if (!element[path[0]]) element[path[0]] = {};
+        element[path[0]][path[1]] = String(value);
+      }
+      else if (path[0] === 'custom' && path.length > 1) {
+        if (!element.custom) element.custom = {};
+        setPath(element.custom, path.slice(1), parseCustomValue(value));
+      }
+    });
+
+    if (!empty) {
+      elements.push(element);
+      rowNumbers.push(index + 2);
+    }
+  });
+
+  return { elements: elements, rows: rowNumbers };
+};
+
+/**
+ * @description Formats a table as CSV. Cells which contain commas, quotes or
+ * line breaks are quoted. Strings which a spreadsheet would interpret as a
+ * formula are prefixed with a single quote, which is removed by parseCSV().
+ *
+ * @param {object} table - The table, containing an array of column names and
+ * an array of rows.
+ *
+ * @returns {string} The CSV document.
+ */
+module.exports.toCSV = function(table) {
+  const formatCell = (value) => {
+    let cell = String(value);
+    if (typeof value === 'string' && formulaCharacters.includes(cell[0])) {
+      cell = `'${cell}`;
+    }
+    return (/[",\r\n]/.test(cell) || cell.trim() !== cell)
+      ? `"${cell.replace(/"/g, '""')}"`
+      : cell;
+  };
+
+  return [table.columns].concat(table.rows)
+  .map(row => row.map(formatCell).join(','))
+  .join('\r\n');
+};
+
+/**
+ * @description Parses a CSV document into a table. The first line of the
+ * document contains the column names.
+ *
+ * @param {string} csv - The CSV document.
+ *
+ * @returns {object} The table, containing an array of column names and an
+ * array of rows, each of which is an array of strings.
+ */
+module.exports.parseCSV = function(csv) {
+  if (typeof csv !== 'string') {
+    throw new M.DataFormatError('CSV must be a string.', 'warn');
+  }
+
+  const lines = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let pos = (csv.charCodeAt(0) === 0xFEFF) ? 1 : 0;
+
+  // Removes the prefix which prevents a cell from being read as a formula
+  const unescape = (value) => ((value[0] === '\'' && formulaCharacters.includes(value[1]))
+    ? value.slice(1) : value);
+
+  for (; pos < csv.length; pos++) {
+    const char = csv[pos];
+    if (quoted) {
+      if (char === '"' && csv[pos + 1] === '"') {
+        cell += '"';
+        pos++;
+      }
+      else if (char === '"') {
+        quoted = false;
+      }
+      else {
+        cell += char;
+      }
+    }
+    else if (char === '"') {
+      quoted = true;
+    }
+    else if (char === ',') {
+      row.push(unescape(cell));
+      cell = '';
+    }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && csv[pos + 1] === '\n') pos++;
+      row.push(unescape(cell));
+      lines.push(row);
+      row = [];
+      cell = '';
+    }
+    else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new M.DataFormatError('Invalid CSV: a quoted cell is not closed.', 'warn');
+  }
+  // Add the last line if the document does not end with a line break
+  if (cell !== '' || row.length > 0) {
+    row.push(unescape(cell));
+    lines.push(row);
+  }
+  if (lines.length === 0) {
+    throw new M.DataFormatError('Invalid CSV: the header row is missing.', 'warn');
+  }
+
+  return { columns: lines[0], rows: lines.slice(1) };
+};
+
+/**
+ * @description Creates an xlsx spreadsheet containing a table in its first
+ * sheet. Numbers and booleans are stored as numeric and boolean cells, and all
+ * other values are stored as strings.
+ *
+ * @param {object} table - The table, containing an array of column names and
+ * an array of rows.
+ *
+ * @returns {Buffer} The xlsx spreadsheet.
+ */
+module.exports.toXLSX = function(table) {
+  const formatRow = (row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r}`;
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${(value) ? 1 : 0}</v></c>`;
+      }
+      if (value === '') return '';
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escape(value)}</t></is></c>`;
+    });
+    return `<row r="${r}">${cells.join('')}</row>`;
+  };
+
+  const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${[table.columns].concat(table.rows).map((row, i) => formatRow(row, i + 1))
+    .join('')}</sheetData></worksheet>`;
+
+  return createZip({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" '
+      + 'ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" '
+      + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" '
+      + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Target="xl/workbook.xml" Type="http://schemas.openxmlformats.org'
+      + '/officeDocument/2006/relationships/officeDocument"/>'
+      + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+      + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + '<sheets><sheet name="Elements" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Target="worksheets/sheet1.xml" Type="http://schemas.'
+      + 'openxmlformats.org/officeDocument/2006/relationships/worksheet"/>'
+      + '</Relationships>',
+    'xl/worksheets/sheet1.xml': sheet
+  });
+};
+
+/**
+ * @description Parses the first sheet of an xlsx spreadsheet into a table. The
+ * first row of the sheet contains the column names.
+ *
+ * @param {Buffer} xlsx - The xlsx spreadsheet.
+ *
+ * @returns {object} The table, containing an array of column names and an
+ * array of rows, each of which is an array of strings, numbers and booleans.
+ */
+module.exports.parseXLSX = function(xlsx) {
+  if (!Buffer.isBuffer(xlsx)) {
+    throw new M.DataFormatError('xlsx spreadsheet must be a buffer.', 'warn');
+  }
+
+  const files = readZip(xlsx);
+  const readXML = (name) => {
+    if (files[name] === undefined) {
+      throw new M.DataFormatError(`Invalid xlsx spreadsheet: ${name} not found.`, 'warn');
+    }
+    return xmiConversions.parseXML(files[name].toString('utf8'));
+  };
+  const find = (node, name) => node.children.find(c => localName(c.name) === name);
+  const findAll = (node, name) => node.children.filter(c => localName(c.name) === name);
+  // Returns the text of a string item, which may be split into runs
+  const text = (node) => {
+    const t = find(node, 't');
+    return (t) ? t.text : findAll(node, 'r').map(r => (find(r, 't') || { text: '' }).text).join('');
+  };
+
+  // Find the first sheet of the workbook
+  const workbook = readXML('xl/workbook.xml');
+  const sheets = find(workbook, 'sheets');
+  const firstSheet = (sheets) ? find(sheets, 'sheet') : undefined;
+  if (!firstSheet) {
+    throw new M.DataFormatError('Invalid xlsx spreadsheet: the workbook has no sheets.', 'warn');
+  }
+  const relID = Object.keys(firstSheet.attributes).find(a => localName(a) === 'id');
+  const rels = readXML('xl/_rels/workbook.xml.rels');
+  const rel = findAll(rels, 'Relationship')
+  .find(r => r.attributes.Id === firstSheet.attributes[relID]);
+  if (!rel) {
+    throw new M.DataFormatError('Invalid xlsx spreadsheet: the first sheet is not found.', 'warn');
+  }
+  const target = rel.attributes.Target;
+  const sheetPath = (target.startsWith('/')) ? target.slice(1) : `xl/${target}`;
+
+  // Read the shared strings, if there are any
+  const sharedStrings = (files['xl/sharedStrings.xml'] !== undefined)
+    ? findAll(readXML('xl/sharedStrings.xml'), 'si').map(text)
+    : [];
+
+  // Read the cells of each row
+  const sheetData = find(readXML(sheetPath), 'sheetData');
+  const lines = [];
+  findAll(sheetData || { children: [] }, 'row').forEach((rowNode, index) => {
+    const rowNumber = Number(rowNode.attributes.r) || index + 1;
+    const row = [];
+    findAll(rowNode, 'c').forEach((cell, c) => {
+      const ref = /^([A-Z]+)/.exec(cell.attributes.r || '');
+      const column = (ref) ? columnIndex(ref[1]) : c;
+      const v = find(cell, 'v');
+      const value = (v) ? v.text : '';
+
+      switch (cell.attributes.t) {
+        case 's':
+          row[column] = sharedStrings[Number(value)];
+          break;
+        case 'inlineStr':
+          row[column] = (find(cell, 'is')) ? text(find(cell, 'is')) : '';
+          break;
+        case 'b':
+          row[column] = value === '1';
+          break;
+        case 'str':
+        case 'e':
+          row[column] = value;
+          break;
+        default:
+          row[column] = (value === '') ? '' : Number(value);
+      }
+    });
+    lines[rowNumber - 1] = row;
+  });
+
+  // Fill missing rows and cells with empty strings
+  const width = lines.reduce((max, row) => Math.max(max, (row || []).length), 0);
+  const table = Array.from(lines, row => Array.from({ length: width },
+    (v, i) => ((row && row[i] !== undefined) ? row[i] : '')));
+  if (table.length === 0) {
+    throw new M.DataFormatError('Invalid xlsx spreadsheet: the header row is missing.', 'warn');
+  }
+
+  return { columns: table[0], rows: table.slice(1) };
+};
+
+/**
+ * @description Flattens custom data into columns. Each value which is not an
+ * object is a column.
+ *
+ * @param {*} value - The custom data to flatten.
+ * @param {string} prefix - The name of the column of the value.
+ * @param {object} row - The row to add the columns to.
+ */
+function flattenCustom(value, prefix, row) {
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)
+    && Object.keys(value).length > 0) {
+    Object.keys(value).forEach(k => flattenCustom(value[k], `${prefix}.${k}`, row));
+  }
+  else if (prefix === 'custom') {
+    // Empty custom data has no columns
+  }
+  else if (typeof value === 'string') {
+    // Store strings which would be parsed as another type as JSON
+    row[prefix] = (parseCustomValue(value) === value) ? value : JSON.stringify(value);
+  }
+  else if (typeof value === 'number' || typeof value === 'boolean') {
+    row[prefix] = value;
+  }
+  else {
+    row[prefix] = JSON.stringify(value);
+  }
+}
+
+/**
+ * @description Parses the value of a custom column. Values which are
+ * valid JSON are parsed, and all other values are strings.
+ *
+ * @param {*} value - The value of the cell.
+ *
+ * @returns {*} The parsed value.
+ */
+function parseCustomValue(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  }
+  catch (error) {
+    return value;
+  }
+}
+
+/**
+ * @description Sets the value of a nested field of an object, creating the
+ * objects along its path.
+ *
+ * @param {object} object - The object to set the field of.
+ * @param {string[]} path - The keys of the field.
+ * @param {*} value - The value of the field.
+ */
+function setPath(object, path, value) {
+  let current = object;
+  path.slice(0, -1).forEach((key) => {
+    if (typeof current[key] !== 'object' || current[key] === null) current[key] = {};
+    current = current[key];
+  });
+  current[path[path.length - 1]] = value;
+}
+
+/**
+ * @description Returns the name of a spreadsheet column, such as "A" or "AB".
+ *
+ * @param {number} index - The zero-based index of the column.
+ *
+ * @returns {string} The name of the column.
+ */
+function columnName(index) {
+  let name = '';
+  for (let i = index + 1; i > 0; i = Math.floor((i - 1) / 26)) {
+    name = String.fromCharCode(65 + ((i - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * @description Returns the index of a spreadsheet column.
+ *
+ * @param {string} name - The name of the column, such as "A" or "AB".
+ *
+ * @returns {number} The zero-based index of the column.
+ */
+function columnIndex(name) {
+  return name.split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * @description Returns the local name of a qualified XML name.
+ *
+ * @param {string} name - The qualified name.
+ *
+ * @returns {string} The name without its namespace prefix.
+ */
+function localName(name) {
+  return name.split(':').pop();
+}
+
+/**
+ * @description Encodes a value as XML text. Characters which are not allowed
+ * in XML are removed.
+ *
+ * @param {*} value - The value to encode.
+ *
+ * @returns {string} The encoded text.
+ */
+function escape(value) {
+  return String(value)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '') // eslint-disable-line no-control-regex
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\r/g, '&#13;');
+}
+
+/**
+ * @description Computes the CRC-32 checksum of data, as used by zip files.
+ *
+ * @param {Buffer} data - The data.
+ *
+ * @returns {number} The checksum.
+ */
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc ^= data[i]; // eslint-disable-line no-bitwise
+    for (let k = 0; k < 8; k++) {
+      crc = (crc & 1) ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1; // eslint-disable-line no-bitwise
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0; // eslint-disable-line no-bitwise
+}
+
+/**
+ * @description Creates a zip file. Each file is compressed with deflate.
+ *
+ * @param {object} files - The contents of each file, keyed by file name.
+ *
+ * @returns {Buffer} The zip file.
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.keys(files).forEach((name) => {
+    const data = Buffer.from(files[name], 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, compressed);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat(localParts.concat(centralDirectory, end));
+}
+
+/**
+ * @description Reads the files of a zip file. Files must be stored or
+ * compressed with deflate.
+ *
+ * @param {Buffer} zip - The zip file.
+ *
+ * @returns {object} The contents of each file as a Buffer, keyed by file name.
+ */
+function readZip(zip) {
+  const invalid = () => new M.DataFormatError('Invalid xlsx spreadsheet: not a zip file.', 'warn');
+
+  // Find the end of central directory record, which may be followed by a comment
+  let end = zip.length - 22;
+  while (end >= 0 && zip.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < 0) throw invalid();
+
+  const count = zip.readUInt16LE(end + 10);
+  let pos = zip.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > zip.length || zip.readUInt32LE(pos) !== 0x02014b50) throw invalid();
+    const method = zip.readUInt16LE(pos + 10);
+    const compressedSize = zip.readUInt32LE(pos + 20);
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const extraLength = zip.readUInt16LE(pos + 30);
+    const commentLength = zip.readUInt16LE(pos + 32);
+    const localOffset = zip.readUInt32LE(pos + 42);
+    const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+    // The data follows the local file header
+    if (zip.readUInt32LE(localOffset) !== 0x04034b50) throw invalid();
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26)
+      + zip.readUInt16LE(localOffset + 28);
+    const data = zip.slice(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files[name] = data;
+    }
+    else if (method === 8) {
+      files[name] = zlib.inflateRawSync(data);
+    }
+    else {
+      throw new M.DataFormatError('Invalid xlsx spreadsheet: unsupported compression.', 'warn');
+    }
+
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
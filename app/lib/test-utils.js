@@ -33,7 +33,9 @@ const Randexp = require('randexp');
 // MBEE modules
 const Artifact = M.require('models.artifact');
 const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
 const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
 const Organization = M.require('models.organization');
 const Project = M.require('models.project');
 const User = M.require('models.user');
@@ -283,6 +285,10 @@ module.exports.removeTestOrg = async function() {
 
   // Delete any elements in the found projects
   await Element.deleteMany({ project: { $in: projectIDs } });
+  // Delete the element revisions in the found projects
+  await ElementRevision.deleteMany({ project: { $in: projectIDs } });
+  // Delete the recorded deletions in the found projects
+  await Deletion.deleteMany({ project: { $in: projectIDs } });
   // Delete any branches in the found projects
   await Branch.deleteMany({ project: { $in: projectIDs } });
   // Delete any projects in the org
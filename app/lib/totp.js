@@ -0,0 +1,173 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module lib.totp
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Implements the time-based one-time passwords (TOTP) which are
+ * used for the two-factor authentication of local users, as defined in the
+ * standard RFC 6238.
+ * Codes are six digits long, use HMAC-SHA1 and change every 30 seconds, which
+ * is supported by common authenticator apps. Secrets are base32 encoded, so
+ * they can be entered in authenticator apps by hand.
+ */
+
+// Node modules
+const crypto = require('crypto');
+
+// The alphabet of base32 encoded secrets
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// The number of digits in a code
+const digits = 6;
+// The number of seconds each code is valid for
+const period = 30;
+
+/**
+ * @description Encodes a buffer as a base32 string, without padding.
+ *
+ * @param {Buffer} buffer - The buffer to encode.
+ *
+ * @returns {string} The base32 encoded string.
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += base32Alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+}
+
+/**
+ * @description Decodes a base32 string, ignoring padding, spaces and case.
+ *
+ * @param {string} encoded - The base32 encoded string.
+ *
+ * @returns {Buffer} The decoded buffer.
+ */
+function base32Decode(encoded) {
+  let bits = '';
+  encoded.toUpperCase().replace(/[\s=]/g, '').split('').forEach((char) => {
+    const index = base32Alphabet.indexOf(char);
+    if (index === -1) {
+      throw new M.DataFormatError('The secret is not base32 encoded.', 'warn');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @description Generates a random secret.
+ *
+ * @returns {string} The base32 encoded secret.
+ */
+module.exports.generateSecret = function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * @description Returns the provisioning URI of a secret, which can be added to
+ * authenticator apps, usually as a QR code.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} username - The username of the account the secret is for.
+ * @param {string} issuer - The name of the service the account belongs to.
+ *
+ * @returns {string} The otpauth URI of the secret.
+ *
+ * @example
+ * getProvisioningURI('JBSWY3DPEHPK3PXP', 'jdoe', 'MBEE');
+ * // Returns 'otpauth://totp/MBEE:jdoe?secret=JBSWY3DPEHPK3PXP&issuer=MBEE&...'
+ */
+module.exports.getProvisioningURI = function getProvisioningURI(secret, username, issuer) {
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`
+    + `&algorithm=SHA1&digits=${digits}&period=${period}`;
+};
+
+/**
+ * @description Generates the code of a secret at a point in time.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {number} [time=Date.now()] - The time in milliseconds.
+ *
+ * @returns {string} The code, padded with zeros to six digits.
+ */
+module.exports.generateCode = function generateCode(secret, time = Date.now()) {
+  // The code is the HMAC of the number of periods since the epoch
+  const step = Math.floor(time / 1000 / period);
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamically truncate the HMAC, as defined in RFC 4226
+  const offset = hmac[hmac.length - 1] & 0xf; // eslint-disable-line no-bitwise
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff; // eslint-disable-line no-bitwise
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * @description Verifies a code of a secret. Codes of the previous and next
+ * periods are accepted as well, to allow for clock drift between the server
+ * and the authenticator app. Each code may only be used once, so codes of the
+ * time step of the last accepted code or of earlier time steps are rejected.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} code - The code to verify.
+ * @param {number} [lastStep] - The time step of the last accepted code.
+ * @param {number} [time=Date.now()] - The time in milliseconds.
+ *
+ * @returns {(number|null)} The time step of the code if it is valid, which
+ * should be stored as the last step, otherwise null.
+ */
+module.exports.verifyCode = function verifyCode(secret, code, lastStep, time = Date.now()) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!RegExp(`^[0-9]{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const step = Math.floor(time / 1000 / period);
+  const drift = [-1, 0, 1].find((d) => {
+    const expected = module.exports.generateCode(secret, time + d * period * 1000);
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized));
+  });
+
+  // Reject invalid codes and codes which were already used
+  if (drift === undefined || (typeof lastStep === 'number' && step + drift <= lastStep)) {
+    return null;
+  }
+  return step + drift;
+};
+
+/**
+ * @description Generates random recovery codes, which can be used once each
+ * in place of a code if the authenticator app is lost.
+ *
+ * @param {number} [count=10] - The number of recovery codes.
+ *
+ * @returns {string[]} The recovery codes, such as 'a1b2c-3d4e5'.
+ */
+module.exports.generateRecoveryCodes = function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
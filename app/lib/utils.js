@@ -23,6 +23,7 @@
 const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
+const { StringDecoder } = require('string_decoder');
 const zlib = require('zlib');
 
 // MBEE modules
@@ -71,6 +72,21 @@ module.exports.timeConversions = {
  */
 module.exports.ID_DELIMITER = ':';
 
+/**
+ * The prefix of the keys of groups in the permissions of orgs and projects.
+ *
+ * @type {string}
+ */
+module.exports.GROUP_PREFIX = 'group:';
+
+/**
+ * The prefix of personal access tokens, which distinguishes them from session
+ * tokens in the Authorization header.
+ *
+ * @type {string}
+ */
+module.exports.TOKEN_PREFIX = 'pat_';
+
 /**
  * @description Defines a render utility wrapper for the Express res.render
  * function to define and pass in default options.
@@ -304,10 +320,23 @@ module.exports.validateOptions = function(options, validOptions, model) {
       validSearchOptions = ['fname', 'preferredName', 'lname', 'email', 'createdBy',
         'lastModifiedBy', 'archived', 'archivedBy'];
       break;
+    case 'Group':
+      validSearchOptions = ['name', 'ldap', 'createdBy', 'lastModifiedBy', 'archived',
+        'archivedBy'];
+      break;
+    case 'Token':
+      validSearchOptions = [];
+      break;
     case 'Webhook':
       validSearchOptions = ['type', 'name', 'createdBy', 'lastModifiedBy', 'archived',
         'archivedBy', 'org', 'project', 'branch'];
       break;
+    case 'WebhookDelivery':
+      validSearchOptions = ['status'];
+      break;
+    case 'AuditRecord':
+      validSearchOptions = ['actor', 'action', 'type', 'target'];
+      break;
     default:
       throw new M.DataFormatError('No model provided', 'warn');
   }
@@ -501,11 +530,257 @@ module.exports.validateOptions = function(options, validOptions, model) {
       // Set the deleteBlob option in the returnObject
       validatedOptions.deleteBlob = val;
     }
+
+    // Handle the dryRun option
+    if (opt === 'dryRun') {
+      // Ensure the value is a boolean
+      if (typeof options.dryRun !== 'boolean') {
+        throw new M.DataFormatError('The option \'dryRun\' is not a boolean.', 'warn');
+      }
+
+      // Set the dryRun option in the returnObject
+      validatedOptions.dryRun = val;
+    }
+
+    // Handle the asOf option
+    if (opt === 'asOf') {
+      // Timestamps may be provided as a number of milliseconds or a date string
+      const date = (typeof val === 'string' && /^[0-9]+$/.test(val))
+        ? new Date(Number(val))
+        : new Date(val);
+
+      // Ensure the value is a valid date
+      if (!['string', 'number'].includes(typeof val) && !(val instanceof Date)) {
+        throw new M.DataFormatError('The option \'asOf\' is not a valid date.', 'warn');
+      }
+      if (isNaN(date.getTime())) { // eslint-disable-line no-restricted-globals
+        throw new M.DataFormatError('The option \'asOf\' is not a valid date.', 'warn');
+      }
+
+      // Set the asOf option in the returnObject
+      validatedOptions.asOf = date;
+    }
+
+    // Handle the from and to options, which bound a date range
+    if (opt === 'from' || opt === 'to') {
+      // Timestamps may be provided as a number of milliseconds or a date string
+      const date = (typeof val === 'string' && /^[0-9]+$/.test(val))
+        ? new Date(Number(val))
+        : new Date(val);
+
+      // Ensure the value is a valid date
+      if (!['string', 'number'].includes(typeof val) && !(val instanceof Date)) {
+        throw new M.DataFormatError(`The option '${opt}' is not a valid date.`, 'warn');
+      }
+      if (Number.isNaN(date.getTime())) {
+        throw new M.DataFormatError(`The option '${opt}' is not a valid date.`, 'warn');
+      }
+
+      // Set the date option in the returnObject
+      validatedOptions[opt] = date;
+    }
+
+    // Handle the after option
+    if (opt === 'after') {
+      // Ensure the value is a string
+      if (typeof val !== 'string') {
+        throw new M.DataFormatError('The option \'after\' is not a string.', 'warn');
+      }
+
+      // Set the decoded cursor in the returnObject
+      validatedOptions.after = module.exports.parseCursor(val);
+    }
+
+    // Handle the count option
+    if (opt === 'count') {
+      // Ensure the value is a boolean
+      if (typeof val !== 'boolean') {
+        throw new M.DataFormatError('The option \'count\' is not a boolean.', 'warn');
+      }
+
+      // Set the count option in the returnObject
+      validatedOptions.count = val;
+    }
+
+    // Handle the timeout option
+    if (opt === 'timeout') {
+      // Ensure the value is a number
+      if (typeof val !== 'number') {
+        throw new M.DataFormatError('The option \'timeout\' is not a number.', 'warn');
+      }
+
+      // Ensure the value is positive
+      if (val <= 0) {
+        throw new M.DataFormatError('The option \'timeout\' must be positive.', 'warn');
+      }
+
+      // Set the timeout option in the returnObject
+      validatedOptions.timeout = val;
+    }
   });
 
+  // Pages of results need a stable order, so that a cursor continues where
+  // the previous page ended. Sort by _id by default, and break ties by _id.
+  if (validOptions.includes('after') && (validatedOptions.after || validatedOptions.limit > 0)) {
+    if (!validatedOptions.sort) {
+      validatedOptions.sort = { _id: 1 };
+    }
+    const sortKey = Object.keys(validatedOptions.sort)[0];
+    if (!validatedOptions.sort.hasOwnProperty('_id')) {
+      validatedOptions.sort._id = validatedOptions.sort[sortKey];
+    }
+
+    // Ensure the cursor was created with the same sort order
+    if (validatedOptions.after && validatedOptions.after.key !== sortKey) {
+      throw new M.DataFormatError('The cursor provided in the option \'after\' does not '
+        + 'match the sort option.', 'warn');
+    }
+  }
+
   return validatedOptions;
 };
 
+/**
+ * @description Returns the revision of a document, which changes every time
+ * the document is updated. The revision is the time the document was last
+ * updated, in milliseconds, and is used as the ETag of the document.
+ *
+ * @param {object} doc - The document, containing the field updatedOn.
+ *
+ * @returns {string} The revision of the document.
+ */
+module.exports.getRevision = function(doc) {
+  return String(new Date(doc.updatedOn || doc.createdOn).getTime());
+};
+
+/**
+ * @description Creates an opaque cursor which points to the position of a
+ * document in results sorted by the sort option. The cursor contains the value
+ * of the sort field and the _id of the document, so that the next page can be
+ * found by querying for the documents after it rather than skipping over the
+ * documents before it.
+ *
+ * @param {object} doc - The last document of a page of results.
+ * @param {object} sort - The validated sort option, in the format
+ * { sort_field: order, _id: order }.
+ *
+ * @returns {string} The cursor, which can be provided in the option 'after'.
+ */
+module.exports.createCursor = function(doc, sort) {
+  const key = Object.keys(sort)[0];
+  let value = (doc[key] === undefined) ? null : doc[key];
+
+  // Dates are stored as strings in the cursor, keep track of them to convert them back
+  const isDate = value instanceof Date;
+  if (isDate) value = value.toISOString();
+
+  const json = JSON.stringify({ k: key, v: value, d: isDate, id: doc._id });
+  // Make the cursor safe to use in a URL
+  return Buffer.from(json).toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+};
+
+/**
+ * @description Parses a cursor created by createCursor().
+ *
+ * @param {string} cursor - The cursor provided in the option 'after'.
+ *
+ * @returns {object} The decoded cursor, in the format { key, value, id }.
+ */
+module.exports.parseCursor = function(cursor) {
+  let parsed;
+  try {
+    const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+    parsed = JSON.parse(Buffer.from(base64, 'base64').toString());
+  }
+  catch (error) {
+    parsed = null;
+  }
+
+  // Ensure the cursor contains a sort field and an _id
+  if (parsed === null || typeof parsed !== 'object' || typeof parsed.k !== 'string'
+    || parsed.k.startsWith('$') || !['string', 'number'].includes(typeof parsed.id)) {
+    throw new M.DataFormatError('The option \'after\' is not a valid cursor.', 'warn');
+  }
+
+  return {
+    key: parsed.k,
+    value: (parsed.d) ? new Date(parsed.v) : parsed.v,
+    id: parsed.id
+  };
+};
+
+/**
+ * @description Adds the condition of the option 'after' to a find query, so
+ * that only the documents after the cursor are found. The query is not
+ * modified, a copy is returned.
+ *
+ * @param {object} query - The find query.
+ * @param {object} options - The validated options, containing the decoded
+ * cursor in 'after' and the sort option.
+ *
+ * @returns {object} The query containing the condition of the cursor.
+ */
+module.exports.applyCursor = function(query, options) {
+  if (!options || !options.after) {
+    return query;
+  }
+
+  const after = options.after;
+  const order = options.sort[after.key];
+  const operator = (order === -1) ? '$lt' : '$gt';
+  const conditions = [{ _id: { [operator]: after.id } }];
+
+  // If not sorting by _id, find documents after the value, or equal to the value
+  // and after the _id
+  if (after.key !== '_id') {
+    conditions[0][after.key] = after.value;
+    conditions.unshift({ [after.key]: { [operator]: after.value } });
+  }
+
+  // If the query already contains an $or, both sets of conditions must match
+  if (query.hasOwnProperty('$or')) {
+    const cursorQuery = Object.assign({}, query,
+      { $and: (query.$and || []).concat([{ $or: query.$or }, { $or: conditions }]) });
+    delete cursorQuery.$or;
+    return cursorQuery;
+  }
+
+  return Object.assign({}, query, { $or: conditions });
+};
+
+/**
+ * @description Checks whether a document is after the cursor of the option
+ * 'after'. Used for documents which are sorted in memory rather than by the
+ * database.
+ *
+ * @param {object} doc - The document to check.
+ * @param {object} options - The validated options, containing the decoded
+ * cursor in 'after' and the sort option.
+ *
+ * @returns {boolean} True if the document is after the cursor, or if no
+ * cursor was provided.
+ */
+module.exports.isAfterCursor = function(doc, options) {
+  if (!options || !options.after) {
+    return true;
+  }
+
+  const after = options.after;
+  const order = options.sort[after.key];
+  const compare = (a, b) => {
+    const x = (a instanceof Date) ? a.getTime() : a;
+    const y = (b instanceof Date) ? b.getTime() : b;
+    if (x === y) return 0;
+    return ((x > y) ? 1 : -1) * order;
+  };
+
+  const result = (after.key === '_id') ? 0 : compare(doc[after.key], after.value);
+  return result > 0 || (result === 0 && compare(doc._id, after.id) > 0);
+};
+
 /**
  * @description Handles a data stream containing gzipped data.
  *
@@ -538,6 +813,88 @@ module.exports.handleGzip = function(dataStream) {
   });
 };
 
+/**
+ * @description Reads newline delimited JSON from a stream, one line at a time,
+ * and passes the parsed objects to a handler in batches. The stream is paused
+ * while each batch is handled, so that only a single batch is held in memory
+ * at once. Empty lines are ignored.
+ *
+ * @param {object} dataStream - The readable stream, such as a request.
+ * @param {number} batchSize - The maximum number of objects in each batch.
+ * @param {Function} handler - An async function called with each batch of
+ * objects and the line number of the first object in the batch. The next batch
+ * is not handled until the returned promise resolves.
+ *
+ * @returns {Promise<number>} The number of objects which were read.
+ */
+module.exports.handleNDJSON = function(dataStream, batchSize, handler) {
+  return new Promise((resolve, reject) => {
+    const decoder = new StringDecoder('utf8');
+    let remainder = '';
+    let batch = [];
+    let lineNumber = 0;
+    let count = 0;
+    let failed = false;
+    // The promise of the data which is being handled, so that chunks are handled in order
+    let handling = Promise.resolve();
+
+    // Parses the complete lines of text into the current batch
+    const parseLines = (lines) => {
+      lines.forEach((line) => {
+        lineNumber++;
+        if (line.trim() === '') return;
+        try {
+          batch.push({ line: lineNumber, object: JSON.parse(line) });
+        }
+        catch (error) {
+          throw new M.DataFormatError(`Line ${lineNumber} is not valid JSON.`, 'warn');
+        }
+        count++;
+      });
+    };
+
+    // Handles each full batch, or every remaining object if the stream has ended
+    const handleBatches = async (ended) => {
+      while (batch.length >= batchSize || (ended && batch.length > 0)) {
+        const objects = batch.slice(0, batchSize);
+        batch = batch.slice(batchSize);
+        // eslint-disable-next-line no-await-in-loop
+        await handler(objects.map(o => o.object), objects[0].line);
+      }
+    };
+
+    // Stops handling the stream and rejects with the error
+    const fail = (error) => {
+      failed = true;
+      batch = [];
+      // Continue reading the remaining data so that the stream is not left open
+      dataStream.resume();
+      reject(error);
+    };
+
+    dataStream.on('data', (chunk) => {
+      if (failed) return;
+      dataStream.pause();
+      const lines = (remainder + decoder.write(chunk)).split('\n');
+      remainder = lines.pop();
+      handling = handling
+      .then(() => parseLines(lines))
+      .then(() => handleBatches(false))
+      .then(() => dataStream.resume())
+      .catch(fail);
+    });
+    dataStream.on('end', () => {
+      if (failed) return;
+      handling = handling
+      .then(() => parseLines([remainder + decoder.end()]))
+      .then(() => handleBatches(true))
+      .then(() => resolve(count))
+      .catch(fail);
+    });
+    dataStream.on('error', fail);
+  });
+};
+
 /**
  * @description Looks up the content type based on the file extension.
  * Defaults to 'application/octet-stream' if no extension is found.
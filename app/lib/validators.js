@@ -22,6 +22,7 @@
 
 // MBEE modules
 const utils = M.require('lib.utils');
+const jsonSchema = M.require('lib.json-schema');
 const artifactVal = M.require(`artifact.${M.config.artifact.strategy}`).validator;
 
 // If validators isn't defined, just set custom to an empty object.
@@ -150,6 +151,44 @@ const project = {
   },
   org: org._id.match,
   permissions: permissionsValidator,
+  typeName: function(data) {
+    // Must be a non-empty string which can be stored as a key
+    return typeof data === 'string' && data.length > 0 && !data.includes('.')
+      && !data.startsWith('$');
+  },
+  typeProfile: function(data) {
+    // Must be an object containing only a valid schema and lists of types
+    if (typeof data !== 'object' || Array.isArray(data) || data === null) return false;
+    return Object.keys(data).every((key) => {
+      switch (key) {
+        case 'schema':
+          return jsonSchema.check(data.schema).length === 0;
+        case 'parentTypes':
+        case 'sourceTypes':
+        case 'targetTypes':
+          return Array.isArray(data[key]) && data[key].every(t => typeof t === 'string');
+        default:
+          return false;
+      }
+    });
+  },
+  typeProfiles: function(data) {
+    // Must be an object containing only the strict mode and the profile of each type
+    if (typeof data !== 'object' || Array.isArray(data) || data === null) return false;
+    return Object.keys(data).every((key) => {
+      switch (key) {
+        case 'strict':
+          return typeof data.strict === 'boolean';
+        case 'types':
+          if (typeof data.types !== 'object' || data.types === null
+            || Array.isArray(data.types)) return false;
+          return Object.keys(data.types)
+          .every(t => project.typeName(t) && project.typeProfile(data.types[t]));
+        default:
+          return false;
+      }
+    });
+  },
   custom: customDataValidator
 };
 
@@ -195,6 +234,21 @@ const branch = {
     // Allow either null or a matching id
     return data === null || RegExp(branch.id).test(data);
   },
+  protection: function(data) {
+    // Must be an object containing only the protection rules
+    if (typeof data !== 'object' || Array.isArray(data) || data === null) return false;
+    return Object.keys(data).every((key) => {
+      switch (key) {
+        case 'writers':
+          return Array.isArray(data.writers) && data.writers.every(w => typeof w === 'string');
+        case 'adminOnly':
+        case 'requireMerge':
+          return typeof data[key] === 'boolean';
+        default:
+          return false;
+      }
+    });
+  },
   custom: customDataValidator
 };
 
@@ -395,6 +449,10 @@ const user = {
  *   - MUST be a string
  * tokenLocation:
  *   - MUST be a string
+ * filters:
+ *   - MUST be an object
+ *   - The type filter MUST be an array of strings
+ *   - The custom filter MUST be an object
  */
 const webhook = {
   type: {
@@ -429,6 +487,74 @@ const webhook = {
   reference: function(data) {
     return (data === '' || RegExp(org.id).test(data)
       || RegExp(project.id).test(data) || RegExp(branch.id).test(data));
+  },
+  filters: function(data) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) return false;
+    // The type filter must be an array of strings
+    if (data.hasOwnProperty('type') && !(Array.isArray(data.type)
+      && data.type.every((s) => typeof s === 'string'))) return false;
+    // The custom filter must be an object
+    return !data.hasOwnProperty('custom') || (typeof data.custom === 'object'
+      && data.custom !== null && !Array.isArray(data.custom));
+  }
+};
+
+/**
+ * @description Regular Expressions to validate group data and corresponding
+ * validator functions.
+ *
+ * id:
+ *   - MUST start with a lowercase letter
+ *   - MUST only include lowercase letters, numbers, '_' or '-'
+ *   Examples:
+ *      - engineering [valid]
+ *      - systems-team [valid]
+ *      - Engineering [invalid - cannot use uppercase characters]
+ *      - systems.team [invalid - cannot include '.']
+ * members:
+ *   - MUST be an array of strings
+ * ldap:
+ *   - MUST be either null or a string
+ */
+const group = {
+  id: customValidators.group_id || '^([a-z])([a-z0-9_-]){0,}$',
+  idLength: customValidators.group_id_length
+    ? parseInt(customValidators.group_id_length, 10)
+    : idLength,
+  _id: {
+    reserved: reserved,
+    match: function(data) {
+      // If the ID is invalid, reject
+      return RegExp(group.id).test(data);
+    },
+    maxLength: function(data) {
+      // If the ID is longer than max length, reject
+      return data.length <= group.idLength;
+    },
+    minLength: function(data) {
+      // If the ID is shorter than min length, reject
+      return data.length > 1;
+    }
+  },
+  members: function(data) {
+    return Array.isArray(data) && data.every(m => typeof m === 'string');
+  },
+  ldap: function(data) {
+    return data === null || typeof data === 'string';
+  },
+  custom: customDataValidator
+};
+
+/**
+ * @description Validator functions for personal access token data.
+ *
+ * ids:
+ *   - MUST be an array of strings, used for the IDs of the orgs and projects
+ *   the token is limited to
+ */
+const token = {
+  ids: function(data) {
+    return Array.isArray(data) && data.every(i => typeof i === 'string');
   }
 };
 
@@ -455,6 +581,8 @@ module.exports = {
   element,
   user,
   webhook,
+  group,
+  token,
   url,
   id,
   idLength
@@ -0,0 +1,202 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module lib.webhook-queue
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the delivery queue of outgoing webhooks. Each time an
+ * outgoing webhook is triggered, a delivery is stored in the database and sent
+ * to the url of the webhook. Every attempt to send a delivery is recorded on
+ * the delivery. Failed deliveries are retried with an exponential backoff; the
+ * delay before each retry is double the delay before the previous retry. The
+ * number of retries and the initial delay can be set in the server.webhooks
+ * section of the config. Deliveries which are still pending when the server
+ * stops are resumed when the server starts.
+ */
+
+// NPM modules
+const uuidv4 = require('uuid/v4');
+
+// MBEE modules
+const Webhook = M.require('models.webhook');
+const WebhookDelivery = M.require('models.webhook-delivery');
+
+// The default number of retries and the delay before the first retry in milliseconds
+const defaultRetries = 5;
+const defaultRetryDelay = 1000;
+// The timers of the scheduled attempts, keyed by delivery ID
+const timers = new Map();
+
+/**
+ * @description Returns the number of times a failed delivery is retried.
+ *
+ * @returns {number} The maximum number of retries.
+ */
+module.exports.getMaxRetries = function() {
+  const config = M.config.server.webhooks || {};
+  return (typeof config.retries === 'number') ? config.retries : defaultRetries;
+};
+
+/**
+ * @description Returns the delay before a delivery is retried. The delay
+ * doubles with each failed attempt.
+ *
+ * @param {number} retries - The number of failed attempts of the delivery.
+ *
+ * @returns {number} The delay in milliseconds.
+ */
+module.exports.getRetryDelay = function(retries) {
+  const config = M.config.server.webhooks || {};
+  const delay = (typeof config.retryDelay === 'number') ? config.retryDelay : defaultRetryDelay;
+  return delay * (2 ** Math.max(retries - 1, 0));
+};
+
+/**
+ * @description Creates a delivery for an outgoing webhook which was triggered
+ * by an event, and sends the first attempt of the delivery.
+ *
+ * @param {object} webhook - The triggered outgoing webhook.
+ * @param {string} event - The event which triggered the webhook.
+ * @param {*} data - The data to send to the webhook url.
+ *
+ * @returns {Promise<object>} The delivery after its first attempt.
+ */
+module.exports.enqueue = async function(webhook, event, data) {
+  const deliveries = await WebhookDelivery.insertMany([{
+    _id: uuidv4(),
+    webhook: webhook._id,
+    event: event,
+    payload: (data !== undefined) ? JSON.parse(JSON.stringify(data)) : null,
+    status: 'pending',
+    attempts: [],
+    retries: 0,
+    nextAttemptOn: Date.now(),
+    createdOn: Date.now()
+  }]);
+
+  return module.exports.deliver(deliveries[0]._id);
+};
+
+/**
+ * @description Sends a pending delivery to the url of its webhook and records
+ * the attempt. If the attempt fails and the delivery has retries remaining,
+ * the next attempt is scheduled.
+ *
+ * @param {string} deliveryID - The ID of the delivery to send.
+ *
+ * @returns {Promise<object>} The delivery after the attempt.
+ */
+module.exports.deliver = async function(deliveryID) {
+  const delivery = await WebhookDelivery.findOne({ _id: deliveryID }, null);
+  // Only pending deliveries are sent
+  if (!delivery || delivery.status !== 'pending') return delivery;
+
+  const update = { updatedOn: Date.now() };
+  const webhook = await Webhook.findOne({ _id: delivery.webhook }, null);
+  const attempt = { sentOn: Date.now(), statusCode: null, latency: 0, error: null };
+
+  if (!webhook || webhook.type !== 'Outgoing') {
+    // The webhook was removed; the delivery cannot be sent
+    attempt.error = 'Webhook not found.';
+  }
+  else {
+    const result = await Webhook.sendRequest(webhook, delivery.payload, {
+      'X-MBEE-Event': delivery.event,
+      'X-MBEE-Delivery': delivery._id
+    });
+    Object.assign(attempt, result);
+  }
+
+  update.attempts = (delivery.attempts || []).concat(attempt);
+  if (attempt.error === null) {
+    update.status = 'delivered';
+    update.nextAttemptOn = null;
+  }
+  else if (webhook && delivery.retries < module.exports.getMaxRetries()) {
+    // Schedule the next attempt
+    update.retries = delivery.retries + 1;
+    const delay = module.exports.getRetryDelay(update.retries);
+    update.nextAttemptOn = Date.now() + delay;
+    schedule(delivery._id, delay);
+  }
+  else {
+    update.status = 'failed';
+    update.nextAttemptOn = null;
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+  return Object.assign(delivery, update);
+};
+
+/**
+ * @description Sends a delivery again, regardless of its status. The retries
+ * of the delivery are reset, and previous attempts remain recorded. Any retry
+ * already scheduled for the delivery is cancelled.
+ *
+ * @param {string} deliveryID - The ID of the delivery to send again.
+ *
+ * @returns {Promise<object>} The delivery after the attempt.
+ */
+module.exports.redeliver = async function(deliveryID) {
+  cancel(deliveryID);
+  await WebhookDelivery.updateOne({ _id: deliveryID },
+    { status: 'pending', retries: 0, nextAttemptOn: Date.now() });
+  return module.exports.deliver(deliveryID);
+};
+
+/**
+ * @description Schedules every pending delivery. Should be called when the
+ * server starts, so that deliveries pending when the server stopped are sent.
+ *
+ * @returns {Promise<number>} The number of scheduled deliveries.
+ */
+module.exports.resume = async function() {
+  const pending = await WebhookDelivery.find({ status: 'pending' }, null);
+  pending.forEach((delivery) => {
+    const nextAttempt = (delivery.nextAttemptOn) ? new Date(delivery.nextAttemptOn).getTime() : 0;
+    schedule(delivery._id, Math.max(nextAttempt - Date.now(), 0));
+  });
+  return pending.length;
+};
+
+/**
+ * @description Sends a delivery after a delay. The timer does not keep the
+ * process running. Replaces any attempt already scheduled for the delivery.
+ * @private
+ *
+ * @param {string} deliveryID - The ID of the delivery to send.
+ * @param {number} delay - The delay in milliseconds.
+ */
+function schedule(deliveryID, delay) {
+  cancel(deliveryID);
+  const timer = setTimeout(() => {
+    timers.delete(deliveryID);
+    module.exports.deliver(deliveryID)
+    .catch((error) => {
+      M.log.error(`Failed to send webhook delivery ${deliveryID}.`);
+      M.log.error(error);
+    });
+  }, delay);
+  timer.unref();
+  timers.set(deliveryID, timer);
+}
+
+/**
+ * @description Cancels the scheduled attempt of a delivery, if any.
+ * @private
+ *
+ * @param {string} deliveryID - The ID of the delivery.
+ */
+function cancel(deliveryID) {
+  if (timers.has(deliveryID)) {
+    clearTimeout(timers.get(deliveryID));
+    timers.delete(deliveryID);
+  }
+}
@@ -0,0 +1,520 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module lib.xmi-conversions
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Defines the functions which convert elements to and from XMI,
+ * the XML Metadata Interchange format used by UML and SysML modeling tools.
+ * Containment in the XMI maps to the parent of an element, the client and
+ * supplier of a relationship map to its source and target, and applied
+ * stereotypes map to the type of an element and are kept in its custom data.
+ * Exported XMI stores the fields of an element which have no XMI equivalent
+ * in an MBEE extension, so that exported elements are imported without loss.
+ */
+
+// MBEE modules
+const utils = M.require('lib.utils');
+
+// The namespaces of the XMI documents created by MBEE
+const namespaces = {
+  xmi: 'http://www.omg.org/spec/XMI/20131001',
+  uml: 'http://www.omg.org/spec/UML/20161101'
+};
+
+// The UML metaclasses which an element type is exported as directly
+const metaclasses = ['Model', 'Package', 'Class', 'Component', 'Interface', 'DataType',
+  'Enumeration', 'EnumerationLiteral', 'PrimitiveType', 'Property', 'Port', 'Operation',
+  'Parameter', 'Constraint', 'Comment', 'Activity', 'Action', 'StateMachine', 'State',
+  'Transition', 'Interaction', 'UseCase', 'Actor', 'Association', 'Dependency', 'Abstraction',
+  'Realization', 'Usage', 'Generalization', 'InformationFlow', 'Connector', 'Diagram'];
+
+// The name of the extender of the XMI extensions created by MBEE
+const extender = 'MBEE';
+
+/**
+ * @description Parses an XML document into a tree of nodes. Each node contains
+ * the qualified name of the XML element, an object of its attributes, an array
+ * of its child nodes and its text content. Processing instructions, comments
+ * and document type declarations are skipped.
+ *
+ * @param {string} xml - The XML document.
+ *
+ * @returns {object} The root node of the document.
+ */
+module.exports.parseXML = function(xml) {
+  if (typeof xml !== 'string') {
+    throw new M.DataFormatError('XML must be a string.', 'warn');
+  }
+
+  let pos = 0;
+
+  // Throws an error describing the position of invalid XML
+  const fail = (message) => {
+    throw new M.DataFormatError(`Invalid XML at position ${pos}: ${message}`, 'warn');
+  };
+
+  // Skips whitespace, processing instructions, comments and declarations
+  const skipMisc = () => {
+    for (;;) {
+      while (pos < xml.length && /\s/.test(xml[pos])) pos++;
+      if (xml.startsWith('<?', pos)) {
+        pos = xml.indexOf('?>', pos);
+        if (pos === -1) fail('Unterminated processing instruction.');
+        pos += 2;
+      }
+      else if (xml.startsWith('<!--', pos)) {
+        pos = xml.indexOf('-->', pos);
+        if (pos === -1) fail('Unterminated comment.');
+        pos += 3;
+      }
+      else if (xml.startsWith('<!DOCTYPE', pos)) {
+        pos = xml.indexOf('>', pos);
+        if (pos === -1) fail('Unterminated document type declaration.');
+        pos += 1;
+      }
+      else {
+        return;
+      }
+    }
+  };
+
+  // Parses an XML element starting at the current position
+  const parseNode = () => {
+    const nameMatch = /^<([A-Za-z_][-\w.:]*)/.exec(xml.slice(pos, pos + 256));
+    if (!nameMatch) fail('Expected an element.');
+    const node = { name: nameMatch[1], attributes: {}, children: [], text: '' };
+    pos += nameMatch[0].length;
+
+    // Parse the attributes
+    const attrRegex = /\s*([A-Za-z_][-\w.:]*)\s*=\s*("([^"]*)"|'([^']*)')/y;
+    for (;;) {
+      attrRegex.lastIndex = pos;
+      const attr = attrRegex.exec(xml);
+      if (!attr) break;
+      node.attributes[attr[1]] = decode((attr[3] !== undefined) ? attr[3] : attr[4]);
+      pos = attrRegex.lastIndex;
+    }
+    while (pos < xml.length && /\s/.test(xml[pos])) pos++;
+
+    // Self-closing element
+    if (xml.startsWith('/>', pos)) {
+      pos += 2;
+      return node;
+    }
+    if (xml[pos] !== '>') fail(`Malformed start tag of element ${node.name}.`);
+    pos++;
+
+    // Parse the content
+    for (;;) {
+      if (pos >= xml.length) fail(`Element ${node.name} is not closed.`);
+      if (xml.startsWith('</', pos)) {
+        const end = xml.indexOf('>', pos);
+        if (xml.slice(pos + 2, end).trim() !== node.name) {
+          fail(`Mismatched end tag of element ${node.name}.`);
+        }
+        pos = end + 1;
+        return node;
+      }
+      if (xml.startsWith('<![CDATA[', pos)) {
+        const end = xml.indexOf(']]>', pos);
+        if (end === -1) fail('Unterminated CDATA section.');
+        node.text += xml.slice(pos + 9, end);
+        pos = end + 3;
+      }
+      else if (xml.startsWith('<!--', pos) || xml.startsWith('<?', pos)) {
+        skipMisc();
+      }
+      else if (xml[pos] === '<') {
+        node.children.push(parseNode());
+      }
+      else {
+        const end = xml.indexOf('<', pos);
+        node.text += decode(xml.slice(pos, (end === -1) ? xml.length : end));
+        pos = (end === -1) ? xml.length : end;
+      }
+    }
+  };
+
+  // Skip a byte order mark
+  if (xml.charCodeAt(0) === 0xFEFF) pos++;
+  skipMisc();
+  const root = parseNode();
+  skipMisc();
+  if (pos < xml.length) fail('Unexpected content after the root element.');
+
+  return root;
+};
+
+/**
+ * @description Converts an XMI document into elements which can be created
+ * in a branch. Every XML element with an xmi:id is converted into an element,
+ * other than comments, which become the documentation of their owner, and
+ * stereotype applications, which become the type of the element they are
+ * applied to. The root element of the model, if it has the ID "model", is not
+ * converted, and its children are added to the provided parent.
+ *
+ * @param {string} xmi - The XMI document.
+ * @param {string} [parentID='model'] - The ID of the parent of the top level
+ * elements of the XMI.
+ *
+ * @returns {object[]} The elements, in the format accepted by the element
+ * controller.
+ */
+module.exports.xmiToElements = function(xmi, parentID = 'model') {
+  const root = module.exports.parseXML(xmi);
+  const elements = [];
+  const stereotypes = {};
+  const rootIDs = ['model', '__mbee__', 'holding_bin', 'undefined'];
+
+  // Get the namespaces declared on the root of the document
+  const declared = {};
+  Object.keys(root.attributes).filter(a => a.startsWith('xmlns:')).forEach((a) => {
+    declared[a.slice(6)] = root.attributes[a];
+  });
+
+  // The top level nodes are children of the xmi:XMI root, or the root itself
+  const topLevel = (localName(root.name) === 'XMI') ? root.children : [root];
+
+  // Find the stereotype applications, which reference their element with a base_ attribute
+  const isApplication = (node) => Object.keys(node.attributes).some(a => a.startsWith('base_'));
+  topLevel.filter(isApplication).forEach((node) => {
+    const base = Object.keys(node.attributes).find(a => a.startsWith('base_'));
+    const elementID = node.attributes[base];
+    const attributes = Object.assign({}, node.attributes);
+    delete attributes[base];
+    delete attributes['xmi:id'];
+    delete attributes['xmi:type'];
+
+    const prefix = node.name.split(':')[0];
+    if (!stereotypes[elementID]) stereotypes[elementID] = [];
+    stereotypes[elementID].push({
+      name: node.name,
+      namespace: declared[prefix] || null,
+      base: base,
+      attributes: attributes
+    });
+  });
+
+  /**
+   * @description Converts a node and its contained nodes into elements.
+   *
+   * @param {object} node - The XMI node.
+   * @param {string} parent - The ID of the parent of the element.
+   */
+  function convertNode(node, parent) {
+    const id = getID(node);
+    const children = node.children.filter(c => getID(c) && localName(c.name) !== 'ownedComment'
+      && c.name !== 'xmi:Extension');
+
+    // Root elements already exist in every branch
+    if (rootIDs.includes(id)) {
+      children.forEach(c => convertNode(c, (id === 'model') ? parentID : id));
+      return;
+    }
+
+    const element = { id: id, name: node.attributes.name || '', parent: parent };
+
+    // Get the documentation from the owned comments
+    const comments = node.children.filter(c => localName(c.name) === 'ownedComment');
+    if (comments.length > 0) {
+      element.documentation = comments.map((c) => {
+        if (c.attributes.body !== undefined) return c.attributes.body;
+        const body = c.children.find(b => b.name === 'body');
+        return (body) ? body.text : '';
+      }).join('\n');
+    }
+
+    // Get the source and target of relationships
+    const source = getReference(node, 'client') || getReference(node, 'source');
+    const target = getReference(node, 'supplier') || getReference(node, 'target');
+    const general = getReference(node, 'general');
+    if (source && target) {
+      element.source = source;
+      element.target = target;
+    }
+    else if (general) {
+      // A generalization is owned by its specific classifier
+      element.source = parent;
+      element.target = general;
+    }
+
+    // If the element was exported by MBEE, the extension contains its remaining fields
+    const extension = node.children.find(c => c.name === 'xmi:Extension'
+      && c.attributes.extender === extender);
+    const fields = (extension) ? extension.children.find(c => c.name === 'element') : null;
+    if (fields) {
+      element.type = fields.attributes.type || '';
+      element.custom = JSON.parse(fields.attributes.custom || '{}');
+      if (fields.attributes.archived === 'true') element.archived = true;
+      if (fields.attributes.artifact) element.artifact = fields.attributes.artifact;
+      if (fields.attributes.sourceNamespace) {
+        element.sourceNamespace = parseNamespace(fields.attributes.sourceNamespace);
+      }
+      if (fields.attributes.targetNamespace) {
+        element.targetNamespace = parseNamespace(fields.attributes.targetNamespace);
+      }
+    }
+    else {
+      // Otherwise, the type is the last applied stereotype or the metaclass
+      const metaclass = localName(node.attributes['xmi:type'] || node.name);
+      const applied = stereotypes[id] || [];
+      element.type = (applied.length > 0) ? localName(applied[applied.length - 1].name)
+        : metaclass;
+
+      // Keep the XMI specific data in the custom data
+      const xmiData = { metaclass: metaclass };
+      if (applied.length > 0) xmiData.stereotypes = applied;
+      const attributes = Object.assign({}, node.attributes);
+      ['xmi:id', 'xmi:type', 'name', 'client', 'supplier', 'source', 'target', 'general']
+      .forEach(a => delete attributes[a]);
+      Object.keys(attributes).filter(a => a.startsWith('xmlns')).forEach(a => delete attributes[a]);
+      if (Object.keys(attributes).length > 0) xmiData.attributes = attributes;
+      element.custom = { xmi: xmiData };
+    }
+
+    elements.push(element);
+    children.forEach(c => convertNode(c, id));
+  }
+
+  topLevel.filter(n => getID(n) && !isApplication(n)).forEach(n => convertNode(n, parentID));
+
+  return elements;
+};
+
+/**
+ * @description Converts elements into an XMI document. The elements must
+ * contain the root element and all of its descendants, and are expected in
+ * the format they are stored in the database. The root element is the top
+ * level element of the XMI.
+ *
+ * @param {object[]} elements - The elements to convert.
+ * @param {string} rootID - The concatenated ID of the root element.
+ *
+ * @returns {string} The XMI document.
+ */
+module.exports.elementsToXMI = function(elements, rootID) {
+  const root = elements.find(e => e._id === rootID);
+  if (!root) {
+    throw new M.NotFoundError(`Element [${utils.parseID(rootID).pop()}] not found.`, 'warn');
+  }
+  const branchID = root.branch;
+
+  // Group the elements by their parent
+  const children = {};
+  elements.forEach((e) => {
+    if (e._id === rootID || !e.parent) return;
+    if (!children[e.parent]) children[e.parent] = [];
+    children[e.parent].push(e);
+  });
+
+  const declared = Object.assign({}, namespaces);
+  const applications = [];
+
+  // Returns the ID of a referenced element, and the namespace if it is in another branch
+  const reference = (id) => {
+    const parts = utils.parseID(id);
+    const ref = { id: parts.pop() };
+    if (utils.createID(parts) !== branchID) ref.namespace = utils.createID(parts);
+    return ref;
+  };
+
+  /**
+   * @description Converts an element and its descendants into XMI.
+   *
+   * @param {object} element - The element to convert.
+   * @param {(string|null)} tag - The XML tag of the element. If null, the tag
+   * is the UML metaclass of the element.
+   * @param {string} indent - The indentation of the element.
+   *
+   * @returns {string} The XMI of the element.
+   */
+  function convertElement(element, tag, indent) {
+    const id = utils.parseID(element._id).pop();
+    const custom = element.custom || {};
+    const xmiData = (custom.xmi && typeof custom.xmi === 'object') ? custom.xmi : {};
+
+    // Get the UML metaclass of the element
+    const metaclass = getMetaclass(element);
+
+    const attributes = { 'xmi:type': `uml:${metaclass}`, 'xmi:id': id, name: element.name || '' };
+    const fields = { type: element.type || '', custom: JSON.stringify(custom) };
+    if (element.source && element.target) {
+      const source = reference(element.source);
+      const target = reference(element.target);
+      // A generalization is owned by its specific classifier and only references the general one
+      if (metaclass === 'Generalization' && element.source === element.parent) {
+        attributes.general = target.id;
+      }
+      else {
+        attributes.client = source.id;
+        attributes.supplier = target.id;
+      }
+      if (source.namespace) fields.sourceNamespace = source.namespace;
+      if (target.namespace) fields.targetNamespace = target.namespace;
+    }
+    if (element.archived) fields.archived = 'true';
+    if (element.artifact) fields.artifact = utils.parseID(element.artifact).pop();
+    Object.assign(attributes, xmiData.attributes);
+
+    // Keep the stereotype applications to add after the model
+    (Array.isArray(xmiData.stereotypes) ? xmiData.stereotypes : []).forEach((s) => {
+      const prefix = s.name.split(':')[0];
+      if (s.namespace && !declared[prefix]) declared[prefix] = s.namespace;
+      applications.push(`  <${s.name}${formatAttributes(Object.assign({
+        [s.base || 'base_Element']: id }, s.attributes))}/>`);
+    });
+
+    const elementTag = tag || `uml:${metaclass}`;
+    const lines = [`${indent}<${elementTag}${formatAttributes(attributes)}>`];
+    if (element.documentation) {
+      const comment = {
+        'xmi:type': 'uml:Comment',
+        'xmi:id': `${id}_documentation`,
+        body: element.documentation
+      };
+      lines.push(`${indent}  <ownedComment${formatAttributes(comment)}/>`);
+    }
+    lines.push(`${indent}  <xmi:Extension extender="${extender}">`);
+    lines.push(`${indent}    <element${formatAttributes(fields)}/>`);
+    lines.push(`${indent}  </xmi:Extension>`);
+
+    // Convert the children of the element, sorted by ID for a stable output
+    (children[element._id] || []).sort((a, b) => ((a._id < b._id) ? -1 : 1))
+    .forEach((c) => {
+      const isGeneralization = getMetaclass(c) === 'Generalization' && c.source === c.parent;
+      lines.push(convertElement(c, (isGeneralization) ? 'generalization' : 'packagedElement',
+        `${indent}  `));
+    });
+    lines.push(`${indent}</${elementTag}>`);
+
+    return lines.join('\n');
+  }
+
+  const model = convertElement(root, null, '  ');
+
+  const xmlns = {};
+  Object.keys(declared).forEach((prefix) => { xmlns[`xmlns:${prefix}`] = declared[prefix]; });
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>',
+    `<xmi:XMI xmi:version="2.5.1"${formatAttributes(xmlns)}>`,
+    model]
+  .concat(applications, '</xmi:XMI>', '').join('\n');
+};
+
+/**
+ * @description Returns the UML metaclass an element is exported as. The
+ * metaclass of an imported element is kept in its custom data. Otherwise, the
+ * type of the element is used if it is a UML metaclass, and elements which are
+ * not are exported as dependencies if they are relationships, or as classes.
+ *
+ * @param {object} element - The element.
+ *
+ * @returns {string} The name of the metaclass.
+ */
+function getMetaclass(element) {
+  const custom = element.custom || {};
+  if (custom.xmi && typeof custom.xmi === 'object' && custom.xmi.metaclass) {
+    return custom.xmi.metaclass;
+  }
+  if (!element.parent && utils.parseID(element._id).pop() === 'model') return 'Model';
+  if (metaclasses.includes(element.type)) return element.type;
+  return (element.source && element.target) ? 'Dependency' : 'Class';
+}
+
+/**
+ * @description Returns the local name of a qualified XML name.
+ *
+ * @param {string} name - The qualified name, such as "uml:Class".
+ *
+ * @returns {string} The local name, such as "Class".
+ */
+function localName(name) {
+  return name.split(':').pop();
+}
+
+/**
+ * @description Returns the xmi:id of an XMI node.
+ *
+ * @param {object} node - The XMI node.
+ *
+ * @returns {(string|undefined)} The ID of the node.
+ */
+function getID(node) {
+  return node.attributes['xmi:id'];
+}
+
+/**
+ * @description Returns the first element an XMI node references through an
+ * attribute or a child node with an xmi:idref.
+ *
+ * @param {object} node - The XMI node.
+ * @param {string} name - The name of the reference.
+ *
+ * @returns {(string|undefined)} The ID of the referenced element.
+ */
+function getReference(node, name) {
+  if (typeof node.attributes[name] === 'string' && node.attributes[name].trim() !== '') {
+    return node.attributes[name].trim().split(/\s+/)[0];
+  }
+  const child = node.children.find(c => c.name === name && c.attributes['xmi:idref']);
+  return (child) ? child.attributes['xmi:idref'] : undefined;
+}
+
+/**
+ * @description Parses the namespace of a referenced element in another branch.
+ *
+ * @param {string} namespace - The concatenated ID of the branch.
+ *
+ * @returns {object} The namespace, containing the org, project and branch.
+ */
+function parseNamespace(namespace) {
+  const parts = utils.parseID(namespace);
+  return { org: parts[0], project: parts[1], branch: parts[2] };
+}
+
+/**
+ * @description Decodes the XML entities of a string.
+ *
+ * @param {string} text - The encoded text.
+ *
+ * @returns {string} The decoded text.
+ */
+function decode(text) {
+  const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    return (entities[entity] !== undefined) ? entities[entity] : match;
+  });
+}
+
+/**
+ * @description Formats an object as XML attributes. Values are encoded so that
+ * any whitespace they contain is preserved when parsed.
+ *
+ * @param {object} attributes - The attributes to format.
+ *
+ * @returns {string} The formatted attributes, each preceded by a space.
+ */
+function formatAttributes(attributes) {
+  return Object.keys(attributes).filter(a => attributes[a] !== undefined && attributes[a] !== null)
+  .map((a) => {
+    const value = String(attributes[a])
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;');
+    return ` ${a}="${value}"`;
+  }).join('');
+}
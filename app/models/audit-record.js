@@ -0,0 +1,117 @@
+/* eslint-disable jsdoc/require-description-complete-sentence */
+// Disabled to allow html in description
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module models.audit-record
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description
+ * <p>This module defines the audit record model. An audit record is stored
+ * every time an org, project, branch, element, artifact, user, group, personal
+ * access token or webhook is created, updated or deleted, and makes up the
+ * audit log of the server. Audit records are never modified.</p>
+ *
+ * <h4>Actor</h4>
+ * <p>The actor is the username of the user who made the change, and the ip is
+ * the IP address their request came from.</p>
+ *
+ * <h4>Target</h4>
+ * <p>The target is the full ID of the changed document, and the type is the
+ * type of the document, such as "element" or "user".</p>
+ *
+ * <h4>Changes</h4>
+ * <p>The changes field maps each changed field to its value before and after
+ * the change, in the format { field: { before: value, after: value } }. Created
+ * documents have a null value for every field before the change, and deleted
+ * documents have a null value for every field after the change. Secrets, such
+ * as password hashes, are never recorded.</p>
+ */
+
+// MBEE modules
+const db = M.require('db');
+
+/* -------------------------( Audit Record Schema )-------------------------- */
+/**
+ * @namespace
+ *
+ * @description Defines the Audit Record Schema
+ *
+ * @property {string} _id - The audit record's unique ID.
+ * @property {string} actor - The username of the user who made the change.
+ * @property {string} action - The type of change, either created, updated or
+ * deleted.
+ * @property {string} type - The type of the changed document.
+ * @property {string} target - The ID of the changed document.
+ * @property {string} ip - The IP address of the request which made the change.
+ * @property {Date} timestamp - The time the change was made.
+ * @property {object} changes - The changed fields and their values before and
+ * after the change.
+ */
+const AuditRecordSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  actor: {
+    type: 'String',
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  action: {
+    type: 'String',
+    required: true,
+    enum: ['created', 'updated', 'deleted']
+  },
+  type: {
+    type: 'String',
+    required: true,
+    index: true
+  },
+  target: {
+    type: 'String',
+    required: true,
+    index: true
+  },
+  ip: {
+    type: 'String',
+    default: null
+  },
+  timestamp: {
+    type: 'Date',
+    default: Date.now,
+    index: true
+  },
+  changes: {
+    type: 'Object',
+    default: {}
+  }
+});
+
+/* ------------------------( Audit Record Methods )-------------------------- */
+
+/**
+ * @description Returns the fields which are never recorded in the changes of
+ * an audit record, either because they store secrets, because they change
+ * with every update, or because they are virtuals which are only present when
+ * populated.
+ * @memberOf AuditRecordSchema
+ *
+ * @returns {string[]} Array of ignored fields.
+ */
+AuditRecordSchema.static('getIgnoredFields', function() {
+  return ['__v', 'password', 'oldPasswords', 'twoFactor', 'hash', 'token', 'updatedOn',
+    'lastModifiedBy', 'projects', 'contains', 'sourceOf', 'targetOf', 'referencedBy'];
+});
+
+/* ----------------------( Audit Record Schema Export )---------------------- */
+
+module.exports = new db.Model('AuditRecord', AuditRecordSchema, 'audit_records');
@@ -37,6 +37,24 @@
  * branch. Tags are designed to be read-only moments in the model and allow for
  * quick retrieval of the model at a certain point in time.</p>
  *
+ * <h4>Copy-On-Write</h4>
+ * <p>The copyOnWrite field is a boolean which is set to true when a branch is
+ * created. Copy-on-write branches do not copy the elements and artifacts of
+ * their source branch when created. Instead, they find the elements and
+ * artifacts of their source branch, as they were when the branch was created,
+ * and only store the elements and artifacts which they change. Branches created
+ * before copy-on-write branches were introduced store a full copy of their
+ * source branch, and have a copyOnWrite value of false.</p>
+ *
+ * <h4>Protection</h4>
+ * <p>The protection field contains the rules which restrict who can create,
+ * update and delete the elements of the branch. If adminOnly is true, only
+ * project admins can change the elements. If the list of writers is not empty,
+ * only the listed users and project admins can change the elements. If
+ * requireMerge is true, the elements can only be changed by merging another
+ * branch into the branch. Only project admins can change the protection
+ * rules.</p>
+ *
  * <h4>Custom Data</h4>
  * <p>Custom data is designed to store any arbitrary JSON meta-data. Custom data
  * is stored in an object, and can contain any valid JSON the user desires.
@@ -63,6 +81,10 @@ const extensions = M.require('models.plugin.extensions');
  * @property {string} name - The branches non-unique name.
  * @property {string} project - A reference to an branch's project.
  * @property {string} tag - Verifying if the branch is a tagged branch.
+ * @property {boolean} copyOnWrite - Verifying if the branch finds unchanged
+ * elements and artifacts through its source branch.
+ * @property {object} protection - The rules which restrict who can change the
+ * elements of the branch.
  *
  */
 const BranchSchema = new db.Schema({
@@ -118,6 +140,18 @@ const BranchSchema = new db.Schema({
     type: 'Boolean',
     default: false,
     immutable: true
+  },
+  copyOnWrite: {
+    type: 'Boolean',
+    default: false
+  },
+  protection: {
+    type: 'Object',
+    default: () => ({ writers: [], adminOnly: false, requireMerge: false }),
+    validate: [{
+      validator: validators.branch.protection,
+      message: props => 'The branch protection object is not properly formatted.'
+    }]
   }
 });
 
@@ -0,0 +1,83 @@
+/* eslint-disable jsdoc/require-description-complete-sentence */
+// Disabled to allow html in description
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module models.deletion
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description
+ * <p>This module defines the deletion model. Copy-on-write branches do not
+ * store the elements and artifacts of their source branch, and instead find
+ * them through their source branch until they are changed. A deletion is
+ * recorded when an element or artifact is deleted from a copy-on-write branch,
+ * so that the deleted document is no longer found through the source branch.</p>
+ *
+ * <h4>Model</h4>
+ * <p>The model field is the name of the model of the deleted document, and is
+ * either "Element" or "Artifact".</p>
+ *
+ * <h4>Reference</h4>
+ * <p>The reference field is the concatenated ID of the deleted document, in the
+ * form org:project:branch:id.</p>
+ */
+
+// MBEE modules
+const db = M.require('db');
+
+/* ---------------------------( Deletion Schema )---------------------------- */
+/**
+ * @namespace
+ *
+ * @description Defines the Deletion Schema
+ *
+ * @property {string} _id - The deletion's unique ID.
+ * @property {string} model - The name of the model of the deleted document.
+ * @property {string} reference - The ID of the deleted document.
+ * @property {string} project - The ID of the project the document belonged to.
+ * @property {string} branch - The ID of the branch the document was deleted from.
+ * @property {Date} createdOn - The time the document was deleted.
+ */
+const DeletionSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  model: {
+    type: 'String',
+    required: true,
+    enum: ['Element', 'Artifact']
+  },
+  reference: {
+    type: 'String',
+    required: true,
+    index: true
+  },
+  project: {
+    type: 'String',
+    required: true,
+    ref: 'Project',
+    index: true
+  },
+  branch: {
+    type: 'String',
+    required: true,
+    ref: 'Branch',
+    index: true
+  },
+  createdOn: {
+    type: 'Date',
+    default: Date.now
+  }
+});
+
+/* ------------------------( Deletion Schema Export )------------------------ */
+
+module.exports = new db.Model('Deletion', DeletionSchema, 'deletions');
@@ -0,0 +1,134 @@
+/* eslint-disable jsdoc/require-description-complete-sentence */
+// Disabled to allow html in description
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module models.element-revision
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description
+ * <p>This module defines the element revision model. An element revision is
+ * recorded every time an element is created, updated or deleted, and makes up
+ * the change history of that element.</p>
+ *
+ * <h4>Action</h4>
+ * <p>The action is the type of change which created the revision, and is one of
+ * "created", "updated" or "deleted".</p>
+ *
+ * <h4>Changes</h4>
+ * <p>The changes field is an object which maps each changed element field to its
+ * value before and after the change, in the format
+ * { field: { before: value, after: value } }.</p>
+ *
+ * <h4>Snapshot</h4>
+ * <p>The snapshot is the full stored state of the element after the change. For
+ * deleted elements, the snapshot is the state of the element when it was
+ * deleted. Snapshots are used to retrieve the state of elements at a previous
+ * point in time.</p>
+ */
+
+// MBEE modules
+const db = M.require('db');
+
+/* ----------------------( Element Revision Schema )------------------------- */
+/**
+ * @namespace
+ *
+ * @description Defines the Element Revision Schema
+ *
+ * @property {string} _id - The revision's unique ID.
+ * @property {string} element - The ID of the element the revision belongs to.
+ * @property {string} project - The ID of the project the element belongs to.
+ * @property {string} branch - The ID of the branch the element belongs to.
+ * @property {string} action - The type of change, either created, updated or
+ * deleted.
+ * @property {object} changes - The changed fields and their values before and
+ * after the change.
+ * @property {object} snapshot - The state of the element after the change.
+ * @property {string} createdBy - The user who made the change.
+ * @property {Date} createdOn - The time the change was made.
+ */
+const ElementRevisionSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  element: {
+    type: 'String',
+    required: true,
+    ref: 'Element',
+    index: true
+  },
+  project: {
+    type: 'String',
+    required: true,
+    ref: 'Project',
+    index: true
+  },
+  branch: {
+    type: 'String',
+    required: true,
+    ref: 'Branch',
+    index: true
+  },
+  action: {
+    type: 'String',
+    required: true,
+    enum: ['created', 'updated', 'deleted']
+  },
+  changes: {
+    type: 'Object',
+    default: {}
+  },
+  snapshot: {
+    type: 'Object',
+    default: {}
+  },
+  createdBy: {
+    type: 'String',
+    ref: 'User',
+    default: null
+  },
+  createdOn: {
+    type: 'Date',
+    default: Date.now
+  }
+});
+
+/* ---------------------( Element Revision Methods )------------------------- */
+
+/**
+ * @description Returns the element fields which are recorded in the changes of
+ * a revision.
+ * @memberOf ElementRevisionSchema
+ *
+ * @returns {string[]} Array of tracked element fields.
+ */
+ElementRevisionSchema.static('getTrackedFields', function() {
+  return ['name', 'documentation', 'custom', 'archived', 'parent', 'type',
+    'source', 'target', 'artifact'];
+});
+
+/**
+ * @description Returns the element fields which are stored in the snapshot of
+ * a revision.
+ * @memberOf ElementRevisionSchema
+ *
+ * @returns {string[]} Array of snapshot element fields.
+ */
+ElementRevisionSchema.static('getSnapshotFields', function() {
+  return ['_id', 'project', 'branch', 'name', 'documentation', 'custom', 'archived',
+    'parent', 'type', 'source', 'target', 'artifact', 'createdBy', 'createdOn',
+    'lastModifiedBy', 'updatedOn', 'archivedBy', 'archivedOn'];
+});
+
+/* ------------------( Element Revision Schema Export )---------------------- */
+
+module.exports = new db.Model('ElementRevision', ElementRevisionSchema, 'element_revisions');
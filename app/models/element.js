@@ -46,6 +46,12 @@
  * certain element. The documentation field is included with the name in a
  * "text" index, and can be searched through using a text search.</p>
  *
+ * <h4>Locks</h4>
+ * <p>An element can be locked by a user who is editing it, to prevent other
+ * users from changing or deleting it at the same time. The lockedBy field
+ * stores the user who holds the lock, and the lock expires at the time stored
+ * in the lockExpiresOn field. Expired locks are ignored.</p>
+ *
  * <h4>Virtuals</h4>
  * <p>Elements support three virtuals: contains, sourceOf and targetOf. These
  * fields are not stored in the database, and are rather calculated after an
@@ -87,6 +93,9 @@ const utils = M.require('lib.utils');
  * @property {string} documentation - The element documentation.
  * @property {string} type - An optional type string.
  * @property {string} artifact - A reference to an artifact.
+ * @property {string} lockedBy - The user who holds the lock of the element.
+ * @property {Date} lockedOn - The time the element was locked.
+ * @property {Date} lockExpiresOn - The time the lock of the element expires.
  */
 const ElementSchema = new db.Schema({
   _id: {
@@ -191,6 +200,19 @@ const ElementSchema = new db.Schema({
       validator: validators.element.artifact,
       message: props => `${props.value} is not a valid artifact ID.`
     }]
+  },
+  lockedBy: {
+    type: 'String',
+    ref: 'User',
+    default: null
+  },
+  lockedOn: {
+    type: 'Date',
+    default: null
+  },
+  lockExpiresOn: {
+    type: 'Date',
+    default: null
   }
 }); // end of ElementSchema
 
@@ -249,7 +271,7 @@ ElementSchema.static('getValidBulkUpdateFields', function() {
 ElementSchema.static('getValidPopulateFields', function() {
   return ['archivedBy', 'lastModifiedBy', 'createdBy', 'parent', 'source',
     'target', 'project', 'branch', 'sourceOf', 'targetOf', 'contains',
-    'artifact'];
+    'artifact', 'lockedBy'];
 });
 
 /**
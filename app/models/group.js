@@ -0,0 +1,134 @@
+/* eslint-disable jsdoc/require-description-complete-sentence */
+// Disabled to allow html in description
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module models.group
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description
+ * <p>This module defines the group data model. Groups are named sets of users,
+ * such as teams, which can be granted permissions on organizations and
+ * projects in place of granting the permissions to each user.</p>
+ *
+ * <h4>Members</h4>
+ * <p>The members field is an array containing the usernames of the users in
+ * the group. Users have the highest of their own permissions and the
+ * permissions of each of their groups.</p>
+ *
+ * <h4>Permissions</h4>
+ * <p>Groups are granted permissions on organizations and projects by adding
+ * a key to the permissions object of the organization or project, which is
+ * the ID of the group prefixed with "group:". For example, the group
+ * "engineering" is granted write permissions on an organization through the
+ * permissions {"group:engineering": "write"}.</p>
+ *
+ * <h4>LDAP</h4>
+ * <p>The ldap field is the name of an LDAP group, which is one of the values
+ * of the group attribute of LDAP users. If the group attribute is configured,
+ * the members of the group are synced when LDAP users log in: users who are in
+ * the LDAP group are added to the group, and users who are no longer in the
+ * LDAP group are removed from the group.</p>
+ *
+ * <h4>Custom Data</h4>
+ * <p>Custom data is designed to store any arbitrary JSON meta-data. Custom data
+ * is stored in an object, and can contain any valid JSON the user desires.
+ * Only system-wide admins can update the custom data. The field "custom" is
+ * common to all models, and is added through the extensions plugin.</p>
+ */
+
+// MBEE modules
+const db = M.require('db');
+const validators = M.require('lib.validators');
+const extensions = M.require('models.plugin.extensions');
+
+/* ----------------------------( Group Schema )------------------------------ */
+/**
+ * @namespace
+ *
+ * @description Defines the Group Schema
+ *
+ * @property {string} _id - The group's unique ID.
+ * @property {string} name - The group's name.
+ * @property {string[]} members - The usernames of the users in the group.
+ * @property {string} ldap - The name of the LDAP group the members are synced
+ * with.
+ * @property {object} custom - JSON used to store additional data.
+ *
+ */
+const GroupSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true,
+    validate: [{
+      validator: validators.group._id.reserved,
+      message: props => 'Group ID cannot include the following words: '
+        + `[${validators.reserved}].`
+    }, {
+      validator: validators.group._id.match,
+      message: props => `Invalid group ID [${props.value}].`
+    }, {
+      validator: validators.group._id.maxLength,
+      message: props => `Group ID length [${props.value.length}] must not be more`
+        + ` than ${validators.group.idLength} characters.`
+    }, {
+      validator: validators.group._id.minLength,
+      message: props => `Group ID length [${props.value.length}] must not be less`
+        + ' than 2 characters.'
+    }]
+  },
+  name: {
+    type: 'String',
+    index: true,
+    default: ''
+  },
+  members: {
+    type: 'Object',
+    default: [],
+    validate: [{
+      validator: validators.group.members,
+      message: props => 'The group members must be an array of usernames.'
+    }]
+  },
+  ldap: {
+    type: 'String',
+    default: null,
+    validate: [{
+      validator: validators.group.ldap,
+      message: props => 'The LDAP group must be a string.'
+    }]
+  }
+});
+
+/* ---------------------------( Model Plugin )---------------------------- */
+// Use extensions model plugin;
+GroupSchema.plugin(extensions);
+
+/* ----------------------------( Group Methods )----------------------------- */
+/**
+ * @description Returns group fields that can be changed
+ * @memberOf GroupSchema
+ */
+GroupSchema.static('getValidUpdateFields', function() {
+  return ['name', 'members', 'ldap', 'custom', 'archived'];
+});
+
+/**
+ * @description Returns a list of fields a requesting user can populate
+ * @memberOf GroupSchema
+ */
+GroupSchema.static('getValidPopulateFields', function() {
+  return ['archivedBy', 'lastModifiedBy', 'createdBy'];
+});
+
+/* -------------------------( Group Schema Export )-------------------------- */
+
+// Export model as "Group"
+module.exports = new db.Model('Group', GroupSchema, 'groups');
@@ -49,6 +49,13 @@
  * on internal projects in their own organization or the "default"
  * organization.</p>
  *
+ * <h4>Type Profiles</h4>
+ * <p>The typeProfiles field defines the element types of the project. Each
+ * profile can contain a JSON Schema which the custom data of elements of the
+ * type must match, and the types allowed as the parent, source and target of
+ * the elements. If strict is true, every element must have a type with a
+ * profile. Only project admins can change the type profiles.</p>
+ *
  * <h4>Custom Data</h4>
  * <p>Custom data is designed to store any arbitrary JSON meta-data. Custom data
  * is stored in an object, and can contain any valid JSON the user desires.
@@ -78,6 +85,8 @@ const utils = M.require('lib.utils');
  * given permissions.
  * @property {string} visibility - The visibility level of a project defining
  * its permissions behaviour.
+ * @property {object} typeProfiles - The profiles which the elements of each
+ * type must match, and whether every element must have a type with a profile.
  *
  */
 const ProjectSchema = new db.Schema({
@@ -131,6 +140,14 @@ const ProjectSchema = new db.Schema({
     type: 'String',
     default: 'private',
     enum: ['private', 'internal']
+  },
+  typeProfiles: {
+    type: 'Object',
+    default: () => ({ strict: false, types: {} }),
+    validate: [{
+      validator: validators.project.typeProfiles,
+      message: props => 'The project type profiles object is not properly formatted.'
+    }]
   }
 });
 
@@ -0,0 +1,119 @@
+/* eslint-disable jsdoc/require-description-complete-sentence */
+// Disabled to allow html in description
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module models.token
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description
+ * <p>This module defines the personal access token model. Personal access
+ * tokens are long-lived tokens which users create for API clients, such as
+ * CI pipelines, and which are sent as Bearer tokens. Unlike session tokens,
+ * personal access tokens can be revoked at any time by deleting them.</p>
+ *
+ * <h4>Hash</h4>
+ * <p>The secret part of a token is only returned when the token is created.
+ * The token itself is never stored, only the SHA-256 hash of its secret,
+ * which is compared to the hash of the secret sent with each request.</p>
+ *
+ * <h4>Scopes</h4>
+ * <p>Tokens can be limited to reading data, by setting readOnly to true, and
+ * to specific orgs and projects, by listing the IDs of the orgs and projects.
+ * A token which does not list any orgs or projects can access every org and
+ * project the user can. The scopes only ever restrict the permissions of the
+ * user, and are enforced in lib/permissions.</p>
+ *
+ * <h4>Expiration</h4>
+ * <p>Tokens expire at the time stored in expiresOn. A token without an
+ * expiration never expires, unless a maximum age is configured for personal
+ * access tokens. The time each token was last used is stored in lastUsedOn.</p>
+ */
+
+// MBEE modules
+const db = M.require('db');
+const validators = M.require('lib.validators');
+
+/* ----------------------------( Token Schema )------------------------------ */
+/**
+ * @namespace
+ *
+ * @description Defines the Token Schema
+ *
+ * @property {string} _id - The token's unique ID.
+ * @property {string} user - The username of the user the token belongs to.
+ * @property {string} name - The name of the token.
+ * @property {string} hash - The SHA-256 hash of the secret of the token.
+ * @property {boolean} readOnly - If true, the token can only be used to read
+ * data.
+ * @property {string[]} orgs - The IDs of the orgs the token is limited to.
+ * @property {string[]} projects - The IDs of the projects the token is limited
+ * to.
+ * @property {Date} expiresOn - The time the token expires.
+ * @property {Date} lastUsedOn - The time the token was last used.
+ * @property {Date} createdOn - The time the token was created.
+ */
+const TokenSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  user: {
+    type: 'String',
+    required: true,
+    ref: 'User',
+    index: true
+  },
+  name: {
+    type: 'String',
+    default: ''
+  },
+  hash: {
+    type: 'String',
+    required: true
+  },
+  readOnly: {
+    type: 'Boolean',
+    default: false
+  },
+  orgs: {
+    type: 'Object',
+    default: [],
+    validate: [{
+      validator: validators.token.ids,
+      message: props => 'The orgs of the token must be an array of org IDs.'
+    }]
+  },
+  projects: {
+    type: 'Object',
+    default: [],
+    validate: [{
+      validator: validators.token.ids,
+      message: props => 'The projects of the token must be an array of project IDs.'
+    }]
+  },
+  expiresOn: {
+    type: 'Date',
+    default: null
+  },
+  lastUsedOn: {
+    type: 'Date',
+    default: null
+  },
+  createdOn: {
+    type: 'Date',
+    default: Date.now
+  }
+});
+
+/* -------------------------( Token Schema Export )-------------------------- */
+
+// Export model as "Token"
+module.exports = new db.Model('Token', TokenSchema, 'tokens');
@@ -0,0 +1,91 @@
+/* eslint-disable jsdoc/require-description-complete-sentence */
+// Disabled to allow html in description
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module models.transaction
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description
+ * <p>This module defines the transaction model, the journal of the
+ * transactions which are run without the support of the database. Before each
+ * write made in a transaction, the documents which the write may change are
+ * stored, so that the write can be undone if the transaction fails. The journal
+ * of a transaction is deleted once it is committed.</p>
+ *
+ * <h4>Header</h4>
+ * <p>The first document of each transaction has a sequence of 0 and an _id
+ * equal to the transaction, and stores the state of the transaction, either
+ * "pending" or "committed". Transactions which are still pending on startup
+ * are rolled back.</p>
+ *
+ * <h4>Entries</h4>
+ * <p>Each following document stores the name of the written model, the IDs of
+ * the documents which were inserted, and the documents to restore, in the
+ * order the writes were made.</p>
+ */
+
+// MBEE modules
+const db = M.require('db');
+
+/* -------------------------( Transaction Schema )--------------------------- */
+/**
+ * @namespace
+ *
+ * @description Defines the Transaction Schema
+ *
+ * @property {string} _id - The entry's unique ID.
+ * @property {string} transaction - The ID of the transaction.
+ * @property {number} sequence - The order of the entry in the transaction.
+ * @property {string} state - The state of the transaction, stored in the header.
+ * @property {string} model - The name of the model which was written to.
+ * @property {string[]} inserted - The IDs of the inserted documents.
+ * @property {object[]} restore - The documents before they were written.
+ * @property {Date} createdOn - The time the entry was created.
+ */
+const TransactionSchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  transaction: {
+    type: 'String',
+    required: true,
+    index: true
+  },
+  sequence: {
+    type: 'Number',
+    required: true
+  },
+  state: {
+    type: 'String',
+    default: null
+  },
+  model: {
+    type: 'String',
+    default: null
+  },
+  inserted: {
+    type: 'Object',
+    default: []
+  },
+  restore: {
+    type: 'Object',
+    default: []
+  },
+  createdOn: {
+    type: 'Date',
+    default: Date.now
+  }
+});
+
+/* ----------------------( Transaction Schema Export )----------------------- */
+
+module.exports = new db.Model('Transaction', TransactionSchema, 'transactions');
@@ -35,8 +35,9 @@
  * handled differently. Based on the provider field, different authentication
  * strategies can handle login in different ways, and even validate passwords
  * differently. Currently the supported options are 'local' and 'ldap', which
- * are used by the local-ldap-strategy. Other provider options can be used when
- * different authentication strategies are created.</p>
+ * are used by the local-ldap-strategy, and 'oidc', which is used by the
+ * oidc-strategy. Other provider options can be used when different
+ * authentication strategies are created.</p>
  *
  * <h4>Custom Data</h4>
  * <p>Custom data is designed to store any arbitrary JSON meta-data. Custom data
@@ -74,6 +75,14 @@ const extensions = M.require('models.plugin.extensions');
  * from re-using recent passwords.
  * @property {boolean} [changePassword=true] - A boolean which if true, blocks
  * users from making requests until they change their password.
+ * @property {Date} passwordUpdatedOn - The date the password was last set,
+ * used to expire passwords older than the configured maximum age.
+ * @property {Date} lockedOn - The date the account was locked after exceeding
+ * the allowed number of failed logins. Null if the account is not locked.
+ * @property {object} twoFactor - The two-factor authentication of the user,
+ * containing the encrypted TOTP secret, the hashes of the unused recovery codes,
+ * whether it has been enabled and the time step of the last accepted code, so
+ * codes cannot be used twice. Null if the user has not enrolled.
  *
  */
 const UserSchema = new db.Schema({
@@ -164,6 +173,18 @@ const UserSchema = new db.Schema({
   changePassword: {
     type: 'Boolean',
     default: true
+  },
+  passwordUpdatedOn: {
+    type: 'Date',
+    default: null
+  },
+  lockedOn: {
+    type: 'Date',
+    default: null
+  },
+  twoFactor: {
+    type: 'Object',
+    default: null
   }
 });
 
@@ -263,6 +284,26 @@ UserSchema.static('checkOldPasswords', function(user, pass) {
   return [];
 });
 
+/**
+ * @description Checks whether a user is required to enable two-factor
+ * authentication by the config. Two-factor authentication can be required for
+ * all local users or for local admins only. It is never required for users of
+ * other providers, such as LDAP.
+ *
+ * @param {object} user - The user to check.
+ *
+ * @returns {boolean} True if the user is required to enable two-factor
+ * authentication.
+ * @memberOf UserSchema
+ */
+UserSchema.static('requiresTwoFactor', function(user) {
+  const twoFactor = M.config.auth.twoFactor;
+  if (!twoFactor || (user.provider && user.provider !== 'local')) {
+    return false;
+  }
+  return twoFactor.require === 'local' || (twoFactor.require === 'admins' && user.admin === true);
+});
+
 /* ------------------------------( User Index )------------------------------ */
 /**
  * @description Adds a compound text index on the first name, preferred name,
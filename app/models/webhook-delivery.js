@@ -0,0 +1,112 @@
+/* eslint-disable jsdoc/require-description-complete-sentence */
+// Disabled to allow html in description
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module models.webhook-delivery
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description
+ * <p>This module defines the webhook delivery model. A webhook delivery is
+ * created every time an outgoing webhook is triggered, and stores the event
+ * and the data sent to the webhook's url. Deliveries which fail are retried
+ * with an exponential backoff until they succeed or run out of retries.</p>
+ *
+ * <h4>Status</h4>
+ * <p>The status of the delivery is one of "pending", "delivered" or "failed".
+ * Pending deliveries are waiting to be sent or retried, delivered deliveries
+ * received a successful response, and failed deliveries did not receive a
+ * successful response after every retry.</p>
+ *
+ * <h4>Attempts</h4>
+ * <p>The attempts field is an array which records every attempt to send the
+ * delivery. Each attempt stores the time it was sent, the status code of the
+ * response, the latency of the request in milliseconds and the error message
+ * if the request failed.</p>
+ *
+ * <h4>Retries</h4>
+ * <p>The retries field is the number of attempts which have failed since the
+ * delivery was last triggered or redelivered. It is used to compute the delay
+ * before the next attempt.</p>
+ */
+
+// MBEE modules
+const db = M.require('db');
+
+/* ----------------------( Webhook Delivery Schema )------------------------- */
+/**
+ * @namespace
+ *
+ * @description Defines the Webhook Delivery Schema
+ *
+ * @property {string} _id - The delivery's unique ID.
+ * @property {string} webhook - The ID of the webhook the delivery belongs to.
+ * @property {string} event - The event which triggered the webhook.
+ * @property {object} payload - The data sent with the delivery.
+ * @property {string} status - The status of the delivery, either pending,
+ * delivered or failed.
+ * @property {object[]} attempts - The recorded attempts to send the delivery.
+ * @property {number} retries - The number of failed attempts since the
+ * delivery was last triggered.
+ * @property {Date} nextAttemptOn - The time of the next attempt of a pending
+ * delivery.
+ * @property {Date} createdOn - The time the delivery was created.
+ * @property {Date} updatedOn - The time the delivery was last attempted.
+ */
+const WebhookDeliverySchema = new db.Schema({
+  _id: {
+    type: 'String',
+    required: true
+  },
+  webhook: {
+    type: 'String',
+    required: true,
+    ref: 'Webhook',
+    index: true
+  },
+  event: {
+    type: 'String',
+    required: true
+  },
+  payload: {
+    type: 'Object',
+    default: null
+  },
+  status: {
+    type: 'String',
+    required: true,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: 'Object',
+    default: []
+  },
+  retries: {
+    type: 'Number',
+    default: 0
+  },
+  nextAttemptOn: {
+    type: 'Date',
+    default: null
+  },
+  createdOn: {
+    type: 'Date',
+    default: Date.now
+  },
+  updatedOn: {
+    type: 'Date',
+    default: null
+  }
+});
+
+/* ------------------( Webhook Delivery Schema Export )---------------------- */
+
+module.exports = new db.Model('WebhookDelivery', WebhookDeliverySchema, 'webhook_deliveries');
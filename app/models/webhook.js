@@ -54,7 +54,15 @@
  * <p>A webhook can be registered at one of four levels: server, org, project, and branch.  A
  * server-level webhook can listen for server-wide events, such as user creation, while the scope
  * gets progressively narrower at the org, project, and branch level. The server level is
- * represented by an empty string, while the other levels are represented by their _ids.</p>
+ * represented by an empty string, while the other levels are represented by their _ids. An
+ * outgoing webhook is only triggered by events which occur inside of the org, project, or branch
+ * it is registered to.</p>
+ *
+ * <h4>Filters</h4>
+ * <p>The filters field optionally narrows the events which trigger an outgoing webhook. The type
+ * filter is an array of element types, and the custom filter is an object of custom data keys
+ * and values, which may be nested. If filters are specified, the webhook is only triggered by
+ * the affected documents which match every filter.</p>
  *
  * <h4>Custom Data</h4>
  * <p>Custom data is designed to store any arbitrary JSON meta-data. Custom data is stored in an
@@ -63,6 +71,9 @@
  * "custom" is common to all models, and is added through the extensions plugin.</p>
  */
 
+// Node modules
+const crypto = require('crypto');
+
 // NPM modules
 const request = require('request');
 
@@ -97,6 +108,10 @@ const extensions = M.require('models.plugin.extensions');
  * @property {string} tokenLocation - The location of the token in the external request.
  * @property {string} reference - The _id of the org, project, or branch the webhook is registered
  * to. An empty string denotes a server-level webhook.
+ * @property {object} filters - Optional filters of the events which trigger an outgoing
+ * webhook.
+ * @property {string[]} filters.type - The element types which trigger the webhook.
+ * @property {object} filters.custom - The custom data values which trigger the webhook.
  */
 const WebhookSchema = new db.Schema({
   _id: {
@@ -163,6 +178,15 @@ const WebhookSchema = new db.Schema({
         + 'either be an empty string or match an org, project, or branch id.'
     }],
     default: ''
+  },
+  filters: {
+    type: 'Object',
+    validate: [{
+      validator: validators.webhook.filters,
+      message: props => 'The filters field must be an object containing an '
+        + 'array of strings named type and an object named custom.'
+    }],
+    default: {}
   }
 });
 
@@ -176,24 +200,71 @@ WebhookSchema.plugin(extensions);
 /* ----------------------------( Webhook Methods )-----------------------------*/
 
 /**
- * @description Send the requests stored in the webhook.
+ * @description Sends a single HTTP request to the url of an outgoing webhook.
+ * If the webhook has a token, the request is signed with an HMAC-SHA256
+ * signature of the request body, using the token as the key. The signature is
+ * sent in the X-MBEE-Signature header. The request never rejects; errors are
+ * returned in the result.
  * @memberOf WebhookSchema
+ *
+ * @param {object} webhook - The outgoing webhook.
+ * @param {*} data - The data to send in the request body.
+ * @param {object} [headers] - Additional headers to send with the request.
+ *
+ * @returns {Promise<object>} An object containing the statusCode of the
+ * response, the latency of the request in milliseconds and the error message,
+ * which is null if a successful response was received.
  */
-WebhookSchema.static('sendRequest', function(webhook, data) {
+WebhookSchema.static('sendRequest', function(webhook, data, headers = {}) {
+  const body = (data !== null && data !== undefined) ? JSON.stringify(data) : '';
   const options = {
     url: webhook.url,
-    headers: { 'Content-Type': 'application/json' },
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
     method: 'POST',
-    body: data || undefined
+    body: body,
+    timeout: 30000
   };
-  if (options.body) options.json = true;
-  if (webhook.token) options.token = webhook.token;
-  // Send an HTTP request to given URL
-  request(options, (err) => {
-    if (err) M.log.warn(`Webhook ${webhook._id} request error: ${err.message}`);
+  // Sign the request body with the webhook token
+  if (webhook.token) {
+    options.headers['X-MBEE-Signature'] = this.getSignature(webhook.token, body);
+  }
+
+  const start = Date.now();
+  return new Promise((resolve) => {
+    // Send an HTTP request to given URL
+    request(options, (err, response) => {
+      const result = {
+        statusCode: (response) ? response.statusCode : null,
+        latency: Date.now() - start,
+        error: null
+      };
+      if (err) {
+        result.error = err.message;
+        M.log.warn(`Webhook ${webhook._id} request error: ${err.message}`);
+      }
+      else if (result.statusCode < 200 || result.statusCode >= 300) {
+        result.error = `Received status code ${result.statusCode}.`;
+      }
+      resolve(result);
+    });
   });
 });
 
+/**
+ * @description Computes the signature of an outgoing webhook request body. The
+ * signature is the hex encoded HMAC-SHA256 of the body, keyed with the webhook
+ * token, and prefixed with "sha256=".
+ * @memberOf WebhookSchema
+ *
+ * @param {string} token - The webhook token.
+ * @param {string} body - The request body.
+ *
+ * @returns {string} The signature of the request body.
+ */
+WebhookSchema.static('getSignature', function(token, body) {
+  return `sha256=${crypto.createHmac('sha256', token).update(body).digest('hex')}`;
+});
+
 /**
  * @description Validates the token sent for an incoming webhook.
  * @memberOf WebhookSchema
@@ -210,7 +281,7 @@ WebhookSchema.static('verifyAuthority', function(webhook, value) {
  */
 WebhookSchema.static('getValidUpdateFields', function() {
   return ['name', 'description', 'triggers', 'url', 'token', 'tokenLocation',
-    'archived', 'custom'];
+    'filters', 'archived', 'custom'];
 });
 
 /**
@@ -55,13 +55,15 @@ router.route('/about')
 
 /* ---------- Authenticated Routes ----------*/
 /**
- * @description GET shows the login page.
+ * @description GET shows the login page, and handles the authorization code
+ * flow for strategies which implement it.
  * POST is the route that actually logs in the user.
  * It's the login form's submit action.
  */
 router.route('/login')
 .get(
   Middleware.logRoute,
+  AuthController.handleAuthorizationCode,
   UIController.showLoginPage
 )
 .post(
@@ -119,6 +121,18 @@ router.route('/admin/projects')
   UIController.adminConsole
 );
 
+/**
+ * @description This renders the admin console to view the audit log
+ * for admins ONLY.
+ **/
+router.route('/admin/audit')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  UIController.adminConsole
+);
+
 /**
  * @description This renders the user page for logged in users.
  **/
@@ -146,6 +160,18 @@ router.route('/profile/:username')
   UIController.profile
 );
 
+/**
+ * @description This renders the search of the elements of every project for
+ * logged in users.
+ **/
+router.route('/search')
+.get(
+  AuthController.authenticate,
+  Middleware.expiredPassword,
+  Middleware.logRoute,
+  UIController.search
+);
+
 /**
  * @description  Logs the user out by unsetting the req.user and req.session.token objects.
  */
@@ -27,6 +27,7 @@ import SidebarLink from '../general/sidebar/sidebar-link.jsx';
 import UserList from '../admin-console-views/user-list.jsx';
 import OrganizationList from '../admin-console-views/organization-list.jsx';
 import ProjectList from '../admin-console-views/project-list.jsx';
+import AuditLog from '../admin-console-views/audit-log.jsx';
 
 // Define component
 class AdminConsoleHome extends Component {
@@ -78,6 +79,10 @@ class AdminConsoleHome extends Component {
                              title='Projects'
                              icon='fas fa-boxes'
                              routerLink='/admin/projects'/>
+                <SidebarLink id='audit-log'
+                             title='Audit Log'
+                             icon='fas fa-history'
+                             routerLink='/admin/audit'/>
               </Sidebar>
               { // Define routes for admin page
                 <Switch>
@@ -88,10 +93,16 @@ class AdminConsoleHome extends Component {
                   <Route exact path='/admin/orgs'
                          render={(props) => (<OrganizationList {...props}
                                                                adminPage={true}/>)}/>
+                  { /* Route to audit log page */ }
+                  <Route exact path='/admin/audit'
+                         render={(props) => (<AuditLog {...props}/>)}/>
                   { /* Route to projects management page */ }
                   <Route exact path='/admin/projects'
                          render={(props) => (<ProjectList {...props}
                                                           adminPage={true}/>)}/>
+                  { /* Route to audit log page */ }
+                  <Route exact path='/admin/audit'
+                         render={(props) => (<AuditLog {...props}/>)}/>
                 </Switch>
               }
             </div>
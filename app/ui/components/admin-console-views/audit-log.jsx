@@ -0,0 +1,217 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module ui.components.admin-console-views.audit-log
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner James Eckstein
+ *
+ * @author Connor Doyle
+ *
+ * @description This renders the audit log page, which lists the records of
+ * every change made on the server and allows admins to filter the records by
+ * user, target, action and date.
+ */
+
+/* Modified ESLint rules for React. */
+/* eslint-disable no-unused-vars */
+
+// React modules
+import React, { Component } from 'react';
+import { Button, Col, Form, FormGroup, Input, Label, Row, Table } from 'reactstrap';
+
+/* eslint-enable no-unused-vars */
+
+// Define component
+class AuditLog extends Component {
+
+  constructor(props) {
+    // Initialize parent props
+    super(props);
+
+    // Initialize state props
+    this.state = {
+      actor: '',
+      target: '',
+      action: '',
+      from: '',
+      to: '',
+      records: [],
+      next: null,
+      message: '',
+      error: null
+    };
+
+    // Bind component functions
+    this.onChange = this.onChange.bind(this);
+    this.doSearch = this.doSearch.bind(this);
+    this.getRecords = this.getRecords.bind(this);
+  }
+
+  componentDidMount() {
+    // Get the newest records
+    this.doSearch();
+  }
+
+  onChange(event) {
+    this.setState({ [event.target.name]: event.target.value });
+  }
+
+  // Get the first page of records matching the filters
+  doSearch(e) {
+    // Disable form submit
+    if (e) {
+      e.preventDefault();
+    }
+
+    const params = ['limit=50', 'minified=true'];
+    ['actor', 'target', 'action', 'from', 'to'].forEach((filter) => {
+      const value = this.state[filter].trim();
+      if (value.length > 0) {
+        params.push(`${filter}=${encodeURIComponent(value)}`);
+      }
+    });
+
+    this.getRecords(`/api/audit?${params.join('&')}`, false);
+  }
+
+  // Get a page of records, appending them to the current records if requested
+  getRecords(url, append) {
+    $.ajax({
+      method: 'GET',
+      url: url,
+      statusCode: {
+        401: () => {
+          // Refresh when session expires
+          window.location.reload();
+        }
+      }
+    })
+    .done((records, status, xhr) => {
+      const link = xhr.getResponseHeader('Link');
+      const next = (link) ? link.slice(link.indexOf('<') + 1, link.indexOf('>')) : null;
+
+      this.setState((prevState) => ({
+        records: (append) ? prevState.records.concat(records) : records,
+        next: next,
+        message: (!append && records.length === 0) ? 'No audit records found.' : '',
+        error: null
+      }));
+    })
+    .fail((res) => {
+      this.setState({ error: res.responseText });
+    });
+  }
+
+  render() {
+    // Create a row for each record
+    const rows = this.state.records.map((record) => (
+      <tr key={`audit-key-${record.id}`}>
+        <td>{new Date(record.timestamp).toLocaleString()}</td>
+        <td>{record.actor}</td>
+        <td>{record.ip}</td>
+        <td>{record.action}</td>
+        <td>{record.type}</td>
+        <td>{record.target}</td>
+        <td>{Object.keys(record.changes).join(', ')}</td>
+      </tr>
+    ));
+
+    // Return audit log
+    return (
+      <div id='workspace'>
+        <div className='workspace-header header-box-depth'>
+          <h2 className='workspace-title'>Audit Log</h2>
+        </div>
+        <div id='workspace-body' className='extra-padding'>
+          { /* Filters of the audit log */ }
+          <Form onSubmit={this.doSearch}>
+            <Row form>
+              <Col md={2}>
+                <FormGroup>
+                  <Label for='actor'>User</Label>
+                  <Input name='actor' id='actor' value={this.state.actor}
+                         onChange={this.onChange}/>
+                </FormGroup>
+              </Col>
+              <Col md={3}>
+                <FormGroup>
+                  <Label for='target'>Target</Label>
+                  <Input name='target' id='target' value={this.state.target}
+                         onChange={this.onChange}/>
+                </FormGroup>
+              </Col>
+              <Col md={2}>
+                <FormGroup>
+                  <Label for='action'>Action</Label>
+                  <Input type='select' name='action' id='action' value={this.state.action}
+                         onChange={this.onChange}>
+                    <option value=''>Any</option>
+                    <option value='created'>Created</option>
+                    <option value='updated'>Updated</option>
+                    <option value='deleted'>Deleted</option>
+                  </Input>
+                </FormGroup>
+              </Col>
+              <Col md={2}>
+                <FormGroup>
+                  <Label for='from'>From</Label>
+                  <Input type='date' name='from' id='from' value={this.state.from}
+                         onChange={this.onChange}/>
+                </FormGroup>
+              </Col>
+              <Col md={2}>
+                <FormGroup>
+                  <Label for='to'>To</Label>
+                  <Input type='date' name='to' id='to' value={this.state.to}
+                         onChange={this.onChange}/>
+                </FormGroup>
+              </Col>
+              <Col md={1}>
+                <Button type='submit' outline color='primary' style={{ marginTop: '32px' }}>
+                  <i className='fas fa-search'/>
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+          {(this.state.error)
+            ? (<div className='main-workspace list-item'>
+                <h3> {this.state.error} </h3>
+               </div>)
+            : (<Table size='sm' hover>
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>User</th>
+                    <th>IP Address</th>
+                    <th>Action</th>
+                    <th>Type</th>
+                    <th>Target</th>
+                    <th>Changed Fields</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows}
+                </tbody>
+               </Table>)
+          }
+          {(this.state.message) ? (<p>{this.state.message}</p>) : ''}
+          {(this.state.next)
+            ? (<Button outline color='secondary'
+                       onClick={() => this.getRecords(this.state.next, true)}>
+                Load more
+               </Button>)
+            : ''
+          }
+        </div>
+      </div>
+    );
+  }
+
+}
+
+// Export component
+export default AuditLog;
@@ -62,6 +62,7 @@ class UserList extends Component {
     this.handleCreateToggle = this.handleCreateToggle.bind(this);
     this.handleDeleteToggle = this.handleDeleteToggle.bind(this);
     this.togglePasswordModal = this.togglePasswordModal.bind(this);
+    this.handleUnlock = this.handleUnlock.bind(this);
   }
 
   handleDeleteToggle(username) {
@@ -91,6 +92,37 @@ class UserList extends Component {
     this.setState((prevState) => ({ modalEdit: !prevState.modalEdit }));
   }
 
+  handleUnlock(username) {
+    const url = `/api/users/${username}/unlock`;
+
+    // Unlock the user and clear their failed logins
+    $.ajax({
+      method: 'POST',
+      url: `${url}?minified=true`,
+      contentType: 'application/json',
+      statusCode: {
+        200: (unlockedUser) => {
+          // Replace the unlocked user in the list
+          this.setState((prevState) => ({
+            users: prevState.users.map((u) => ((u.username === username) ? unlockedUser : u))
+          }));
+        },
+        401: (err) => {
+          this.setState({ error: err.responseText });
+
+          // Refresh when session expires
+          window.location.reload();
+        },
+        403: (err) => {
+          this.setState({ error: err.responseText });
+        },
+        404: (err) => {
+          this.setState({ error: err.responseText });
+        }
+      }
+    });
+  }
+
   handleCreateToggle() {
     // Toggle the modal
     this.setState((prevState) => ({ modalCreate: !prevState.modalCreate }));
@@ -176,6 +208,18 @@ class UserList extends Component {
                           _key={`user-${user.username}`}
                           href={`/profile/${user.username}`}/>
             <div className='controls-container'>
+              {/* Verify the user is locked or has failed logins */}
+              {(user.lockedOn || (user.failedlogins && user.failedlogins.length > 0))
+                ? (<React.Fragment>
+                    <UncontrolledTooltip placement='top' target={`unlock-${user.username}`}>
+                      Unlock
+                    </UncontrolledTooltip>
+                    <i id={`unlock-${user.username}`}
+                       onClick={() => this.handleUnlock(user.username)}
+                       className='fas fa-unlock add-btn'/>
+                  </React.Fragment>)
+                : ''
+              }
               <UncontrolledTooltip placement='top' target={`edit-user-${user.username}`}>
                 Edit
               </UncontrolledTooltip>
@@ -0,0 +1,30 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module ui.components.apps.search-app
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description This renders the search of every project.
+ */
+
+/* Modified ESLint rules for React. */
+/* eslint-disable no-unused-vars */
+
+// React modules
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { BrowserRouter as Router, Route } from 'react-router-dom';
+
+import GlobalSearch from '../search-views/global-search.jsx';
+
+// Render on main html element
+ReactDOM.render(<Router>
+                  <Route path={'/search'} component={GlobalSearch} />
+                </Router>, document.getElementById('main'));
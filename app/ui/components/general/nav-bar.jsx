@@ -31,7 +31,9 @@ import {
   UncontrolledDropdown,
   DropdownToggle,
   DropdownMenu,
-  DropdownItem } from 'reactstrap';
+  DropdownItem,
+  Form,
+  Input } from 'reactstrap';
 
 // Define component
 class MbeeNav extends Component {
@@ -48,6 +50,7 @@ class MbeeNav extends Component {
       user: null,
       width: 0,
       height: 0,
+      search: '',
       error: null
     };
 
@@ -55,6 +58,8 @@ class MbeeNav extends Component {
     this.toggle = this.toggle.bind(this);
     this.setComponentSize = this.setComponentSize.bind(this);
     this.sessionDestroy = this.sessionDestroy.bind(this);
+    this.onSearchChange = this.onSearchChange.bind(this);
+    this.onSearchSubmit = this.onSearchSubmit.bind(this);
   }
 
   componentDidMount() {
@@ -96,6 +101,18 @@ class MbeeNav extends Component {
     });
   }
 
+  onSearchChange(event) {
+    this.setState({ search: event.target.value });
+  }
+
+  // Open the search of every project the user can read
+  onSearchSubmit(event) {
+    event.preventDefault();
+    if (this.state.search.trim().length > 0) {
+      window.location.href = `/search?q=${encodeURIComponent(this.state.search)}`;
+    }
+  }
+
   /* eslint-disable class-methods-use-this */
   sessionDestroy() {
     window.sessionStorage.removeItem('mbee-user');
@@ -124,6 +141,18 @@ class MbeeNav extends Component {
           <NavbarToggler onClick={this.toggle} />
           <Collapse isOpen={this.state.isOpen} navbar>
             <Nav className='ml-auto' navbar>
+              { /* Create the search box for logged in users */ }
+              {(this.state.user === null)
+                ? ''
+                : (<Form inline id='nav-search-form' onSubmit={this.onSearchSubmit}>
+                  <Input type='search'
+                         id='nav-search-input'
+                         placeholder='Search elements'
+                         aria-label='Search elements'
+                         value={this.state.search}
+                         onChange={this.onSearchChange}/>
+                </Form>)
+              }
               { /* Create links in navbar for documentation drop down */ }
               <UncontrolledDropdown nav inNavbar>
                 <DropdownToggle nav caret>
@@ -24,6 +24,7 @@ import { Button, Modal, ModalBody } from 'reactstrap';
 // MBEE modules
 import ProfileEdit from './profile-edit.jsx';
 import PasswordEdit from './password-edit.jsx';
+import TwoFactorEdit from './two-factor-edit.jsx';
 import CustomData from '../general/custom-data/custom-data.jsx';
 /* eslint-enable no-unused-vars */
 
@@ -34,19 +35,25 @@ class Profile extends Component {
     // Initialize parent props
     super(props);
 
-    const { changePassword } = this.props.user;
+    const { changePassword, twoFactorEnabled, twoFactorRequired } = this.props.user;
+    // Verify if the user must enable two-factor authentication on their own profile
+    const enableTwoFactor = !this.props.viewingUser && !changePassword
+      && twoFactorRequired === true && !twoFactorEnabled;
 
     // Initialize state props
     this.state = {
       modal: false,
       editPasswordModal: changePassword,
       passwordExpired: changePassword,
-      staticBackdrop: (changePassword) ? 'static' : true
+      staticBackdrop: (changePassword) ? 'static' : true,
+      twoFactorModal: enableTwoFactor,
+      twoFactorBackdrop: (enableTwoFactor) ? 'static' : true
     };
 
     // Bind component functions
     this.handleToggle = this.handleToggle.bind(this);
     this.togglePasswordModal = this.togglePasswordModal.bind(this);
+    this.toggleTwoFactorModal = this.toggleTwoFactorModal.bind(this);
   }
 
   // Define toggle function
@@ -66,6 +73,12 @@ class Profile extends Component {
     this.setState({ editPasswordModal: !this.state.editPasswordModal });
   }
 
+  // Define toggle function
+  toggleTwoFactorModal() {
+    // Open or close modal
+    this.setState({ twoFactorModal: !this.state.twoFactorModal });
+  }
+
 
   render() {
     // Initialize variables
@@ -92,6 +105,14 @@ class Profile extends Component {
                             passwordExpired={this.state.passwordExpired}/>
           </ModalBody>
         </Modal>
+        <Modal isOpen={this.state.twoFactorModal}
+               toggle={this.toggleTwoFactorModal}
+               backdrop={this.state.twoFactorBackdrop}>
+          <ModalBody>
+              <TwoFactorEdit user={this.props.user}
+                             toggle={this.toggleTwoFactorModal}/>
+          </ModalBody>
+        </Modal>
         <div id='workspace'>
           <div className='workspace-header header-box-depth'>
             <h2 className='workspace-title'>
@@ -106,6 +127,14 @@ class Profile extends Component {
                   Edit
                 </Button>)
               }
+              {(this.props.viewingUser || user.provider !== 'local')
+                ? ''
+                : (<Button className='btn'
+                           outline color="secondary"
+                           onClick={this.toggleTwoFactorModal}>
+                  Two-Factor
+                </Button>)
+              }
             </div>
           </div>
           <div id='workspace-body'>
@@ -120,6 +149,13 @@ class Profile extends Component {
                   <th>Email:</th>
                   <td>{user.email}</td>
                 </tr>
+                {(user.twoFactorEnabled === undefined)
+                  ? null
+                  : (<tr>
+                      <th>Two-Factor Authentication:</th>
+                      <td>{(user.twoFactorEnabled) ? 'Enabled' : 'Disabled'}</td>
+                    </tr>)
+                }
                 </tbody>
               </table>
               <CustomData data={user.custom}/>
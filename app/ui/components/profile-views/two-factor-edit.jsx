@@ -0,0 +1,238 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module ui.components.profile-views.two-factor-edit
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner James Eckstein
+ *
+ * @author Connor Doyle
+ *
+ * @description This renders the two-factor authentication page, used to enroll
+ * in and disable two-factor authentication.
+ */
+
+/* Modified ESLint rules for React. */
+/* eslint-disable no-unused-vars */
+
+// React modules
+import React, { Component } from 'react';
+import {
+  Form,
+  FormGroup,
+  Label,
+  Input,
+  Button,
+  UncontrolledAlert
+} from 'reactstrap';
+
+
+/* eslint-enable no-unused-vars */
+
+// Define component
+class TwoFactorEdit extends Component {
+
+  constructor(props) {
+    // Initialize parent props
+    super(props);
+
+    // Initialize state props
+    this.state = {
+      enrollment: null,
+      code: '',
+      error: null
+    };
+
+    // Bind component functions
+    this.handleChange = this.handleChange.bind(this);
+    this.onEnroll = this.onEnroll.bind(this);
+    this.onConfirm = this.onConfirm.bind(this);
+    this.onDisable = this.onDisable.bind(this);
+  }
+
+  handleChange(event) {
+    // Change the state with new value
+    this.setState({ [event.target.name]: event.target.value });
+  }
+
+  onEnroll() {
+    // Start the enrollment, which returns the secret and recovery codes
+    $.ajax({
+      method: 'POST',
+      url: `/api/users/${this.props.user.username}/2fa?minified=true`,
+      contentType: 'application/json',
+      statusCode: {
+        200: (enrollment) => {
+          this.setState({ enrollment: enrollment, error: null });
+        },
+        401: (err) => {
+          this.setState({ error: err.responseText });
+
+          // Refresh when session expires
+          window.location.reload();
+        },
+        403: (err) => {
+          this.setState({ error: err.responseText });
+        }
+      }
+    });
+  }
+
+  onConfirm() {
+    // Confirm a code of the secret, which enables two-factor authentication
+    $.ajax({
+      method: 'POST',
+      url: `/api/users/${this.props.user.username}/2fa/confirm?minified=true`,
+      contentType: 'application/json',
+      data: JSON.stringify({ code: this.state.code }),
+      statusCode: {
+        200: () => {
+          // Remove the stored session user, which contains the old two-factor state
+          window.sessionStorage.removeItem('mbee-user');
+          window.location.reload();
+        },
+        400: (err) => {
+          this.setState({ error: err.responseText });
+        },
+        401: (err) => {
+          this.setState({ error: err.responseText });
+
+          // Refresh when session expires
+          window.location.reload();
+        },
+        403: (err) => {
+          this.setState({ error: err.responseText });
+        }
+      }
+    });
+  }
+
+  onDisable() {
+    // Disable two-factor authentication
+    $.ajax({
+      method: 'DELETE',
+      url: `/api/users/${this.props.user.username}/2fa?minified=true`,
+      contentType: 'application/json',
+      statusCode: {
+        200: () => {
+          // Remove the stored session user, which contains the old two-factor state
+          window.sessionStorage.removeItem('mbee-user');
+          window.location.reload();
+        },
+        401: (err) => {
+          this.setState({ error: err.responseText });
+
+          // Refresh when session expires
+          window.location.reload();
+        },
+        403: (err) => {
+          this.setState({ error: err.responseText });
+        }
+      }
+    });
+  }
+
+  render() {
+    // Initialize variables
+    const enrollment = this.state.enrollment;
+    let body;
+
+    // Verify if two-factor authentication is enabled
+    if (this.props.user.twoFactorEnabled) {
+      body = (
+        <Form>
+          <p>Two-factor authentication is enabled for your account.</p>
+          {(this.props.user.twoFactorRequired)
+            ? <p>Two-factor authentication is required. You will need to enroll again after
+                disabling it.</p>
+            : ''}
+          <Button outline color='danger' onClick={this.onDisable}> Disable </Button>
+          {' '}
+          <Button outline onClick={this.props.toggle}> Cancel </Button>
+        </Form>
+      );
+    }
+    // Verify if the enrollment has not been started
+    else if (!enrollment) {
+      body = (
+        <Form>
+          {(this.props.user.twoFactorRequired)
+            ? <p>Two-factor authentication is required for your account. Please enable it
+                to continue.</p>
+            : <p>Two-factor authentication protects your account with a code from an
+                authenticator app in addition to your password.</p>}
+          <Button outline color='primary' onClick={this.onEnroll}> Enable </Button>
+          {' '}
+          <Button outline
+                  disabled={this.props.user.twoFactorRequired}
+                  onClick={this.props.toggle}> Cancel </Button>
+        </Form>
+      );
+    }
+    else {
+      body = (
+        <Form>
+          <p>Add the following URI to your authenticator app, or enter the secret by hand.</p>
+          <FormGroup>
+            <Label for='uri'>URI</Label>
+            <Input type='text' id='uri' readOnly value={enrollment.uri}/>
+          </FormGroup>
+          <FormGroup>
+            <Label for='secret'>Secret</Label>
+            <Input type='text' id='secret' readOnly value={enrollment.secret}/>
+          </FormGroup>
+          <p>
+            Store the following recovery codes in a safe place. Each code can be used once to
+            log in if you lose your authenticator app. They will not be shown again.
+          </p>
+          <pre>{enrollment.recoveryCodes.join('\n')}</pre>
+          {/* Input the code from the authenticator app */}
+          <FormGroup>
+            <Label for='code'>Code</Label>
+            <Input type='text'
+                   name='code'
+                   id='code'
+                   placeholder='Enter the code from your authenticator app'
+                   value={this.state.code || ''}
+                   onChange={this.handleChange}/>
+          </FormGroup>
+          {/* Button to submit or cancel */}
+          <Button outline color='primary'
+                  disabled={!this.state.code}
+                  onClick={this.onConfirm}> Confirm </Button>
+          {' '}
+          <Button outline
+                  disabled={this.props.user.twoFactorRequired}
+                  onClick={this.props.toggle}> Cancel </Button>
+        </Form>
+      );
+    }
+
+    // Render the two-factor authentication page
+    return (
+      <div id='workspace'>
+        <div className='workspace-header'>
+          <h2 className='workspace-title workspace-title-padding'>Two-Factor Authentication</h2>
+        </div>
+        <div id='workspace-body' className='extra-padding'>
+          <div className='main-workspace'>
+            {(!this.state.error)
+              ? ''
+              : (<UncontrolledAlert color="danger">
+                {this.state.error}
+              </UncontrolledAlert>)
+            }
+            {body}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+}
+
+// Export component
+export default TwoFactorEdit;
@@ -30,6 +30,20 @@ const headerLimit = 5;
 // Limit the search results to 10 records per page
 const pageLimit = 10;
 
+// Generates the rows of the highlighted matches of an element result, which are escaped by
+// the API with each match wrapped in em tags
+const getHighlights = (result) => Object.keys(result.highlights || {}).map(field => (
+  <tr key={field}>
+    {/* eslint-disable-next-line no-undef */}
+    <th>{`${convertCase(field, 'proper')} Matches:`}</th>
+    <td colSpan={5}>
+      {result.highlights[field].map((fragment, i) => (
+        <div key={i} className='search-highlight' dangerouslySetInnerHTML={{ __html: fragment }}/>
+      ))}
+    </td>
+  </tr>
+));
+
 class SearchResults extends Component {
 
   constructor(props) {
@@ -127,6 +141,7 @@ class SearchResults extends Component {
               <th>Updated On:</th>
               <td>{updated}</td>
             </tr>
+            { getHighlights(result) }
           </tbody>
         </table>
       );
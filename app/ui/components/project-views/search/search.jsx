@@ -217,13 +217,13 @@ class Search extends Component {
     //  2 - Advanced search criteria entered
     //  3 - Basic search criteria entered
     if ((basicQuery) && (query)) {
-      query = `?q=${basicQuery}&${query}`;
+      query = `?q=${encodeURIComponent(basicQuery)}&${query}`;
     }
     else if (query) {
       query = `?${query}`;
     }
     else if (basicQuery) {
-      query = `?q=${basicQuery}`;
+      query = `?q=${encodeURIComponent(basicQuery)}`;
     }
 
     // Append search to URL
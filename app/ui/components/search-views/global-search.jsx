@@ -0,0 +1,189 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module ui.components.search-views.global-search
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description This renders the search of the elements of every project the
+ * user can read, with the results grouped by project and branch.
+ */
+
+/* Modified ESLint rules for React. */
+/* eslint-disable no-unused-vars */
+
+// React modules
+import React, { Component } from 'react';
+import { Button, Form, Input, Spinner } from 'reactstrap';
+
+/* eslint-enable no-unused-vars */
+// Limit the search results to 50 elements per page
+const pageLimit = 50;
+
+class GlobalSearch extends Component {
+
+  constructor(props) {
+    // Initialize parent props
+    super(props);
+
+    // Parse the query and org from the URL parameters
+    const params = new URLSearchParams(this.props.location.search);
+
+    this.state = {
+      query: params.get('q') || '',
+      org: params.get('org'),
+      groups: null,
+      page: 1,
+      hasNext: false,
+      message: ''
+    };
+
+    this.onChange = this.onChange.bind(this);
+    this.onSubmit = this.onSubmit.bind(this);
+    this.doSearch = this.doSearch.bind(this);
+  }
+
+  componentDidMount() {
+    // Perform API call if user has entered search terms into the URL
+    if (this.state.query) {
+      this.doSearch(1);
+    }
+  }
+
+  onChange(event) {
+    this.setState({ [event.target.name]: event.target.value });
+  }
+
+  onSubmit(event) {
+    event.preventDefault();
+
+    // Append search to URL
+    const org = (this.state.org) ? `&org=${encodeURIComponent(this.state.org)}` : '';
+    this.props.history.push({
+      pathname: this.props.location.pathname,
+      search: `?q=${encodeURIComponent(this.state.query)}${org}`
+    });
+    this.doSearch(1);
+  }
+
+  // Search the elements of a single org if provided, otherwise of every org
+  doSearch(page) {
+    this.setState({ groups: 'Searching ...', page: page, message: '' });
+
+    const url = (this.state.org)
+      ? `/api/orgs/${this.state.org}/elements/search`
+      : '/api/elements/search';
+    const skip = (page - 1) * pageLimit;
+
+    $.ajax({
+      method: 'GET',
+      // Request one more element than is shown to find if there is a next page
+      url: `${url}?q=${encodeURIComponent(this.state.query)}&limit=${pageLimit + 1}`
+        + `&skip=${skip}&minified=true`,
+      statusCode: {
+        401: () => {
+          // Refresh when session expires
+          window.location.reload();
+        }
+      }
+    })
+    .done(data => {
+      // Remove the extra element from the last group
+      let count = 0;
+      const groups = [];
+      data.forEach((group) => {
+        const elements = group.elements.slice(0, pageLimit - count);
+        count += elements.length;
+        if (elements.length > 0) groups.push(Object.assign({}, group, { elements: elements }));
+      });
+      const total = data.reduce((sum, group) => sum + group.elements.length, 0);
+      this.setState({ groups: groups, hasNext: total > pageLimit });
+    })
+    .fail(res => {
+      const message = (res.status === 404) ? 'No results found.' : res.responseText;
+      this.setState({ groups: [], hasNext: false, message: message });
+    });
+  }
+
+  render() {
+    let results = null;
+
+    if (this.state.groups === 'Searching ...') {
+      results = (
+        <div style={{ width: '100%', textAlign: 'center' }}>
+          <Spinner type="grow" color="primary" />
+          <span style={{ paddingLeft: '20px' }}>Searching ...</span>
+        </div>
+      );
+    }
+    else if (Array.isArray(this.state.groups)) {
+      results = this.state.groups.map((group) => {
+        const href = `/orgs/${group.org}/projects/${group.project}/branches/${group.branch}/elements`;
+        return (
+          <div className='global-search-group' key={`${group.project}:${group.branch}`}>
+            <h5>
+              <a href={href}>{`${group.org} / ${group.project} / ${group.branch}`}</a>
+            </h5>
+            {group.elements.map((element) => (
+              <div className='global-search-result' key={element.id}>
+                <a href={`${href}#${element.id}`}>{element.name || element.id}</a>
+                <span className='global-search-type'>{element.type}</span>
+                <span className='global-search-score'>{element.score}</span>
+                { /* The highlights are escaped by the API, with each match wrapped in em tags */ }
+                {Object.keys(element.highlights || {}).map(field => (
+                  element.highlights[field].map((fragment, i) => (
+                    <div key={`${field}-${i}`}
+                         className='global-search-highlight'
+                         dangerouslySetInnerHTML={{ __html: fragment }}/>
+                  ))
+                ))}
+              </div>
+            ))}
+          </div>
+        );
+      });
+    }
+
+    return (
+      <div id='view' className='global-search'>
+        <h2>{(this.state.org) ? `Search ${this.state.org}` : 'Search All Projects'}</h2>
+        <Form id='global-search-form' onSubmit={this.onSubmit}>
+          <Input type='text'
+                 name='query'
+                 id='global-search-input'
+                 placeholder='Search, e.g. type:Interface "fuel pump"'
+                 value={this.state.query}
+                 onChange={this.onChange}/>
+          <Button id='btn-global-search' type='submit'>
+            <i className='fas fa-search'/>
+          </Button>
+        </Form>
+        <div className='global-search-message'>{this.state.message}</div>
+        { results }
+        <div id='btn-pagination-grp'>
+          {(this.state.page > 1)
+            ? <Button id='btn-back' onClick={() => this.doSearch(this.state.page - 1)}>
+                <i className='fas fa-arrow-left'/>
+                <span style={{ paddingLeft: '4px' }}>back</span>
+              </Button>
+            : ''}
+          {(this.state.hasNext)
+            ? <Button id='btn-next' onClick={() => this.doSearch(this.state.page + 1)}>
+                <span style={{ paddingRight: '4px' }}>next</span>
+                <i className='fas fa-arrow-right'/>
+              </Button>
+            : ''}
+        </div>
+      </div>
+    );
+  }
+
+}
+
+export default GlobalSearch;
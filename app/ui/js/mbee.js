@@ -66,7 +66,9 @@ function mbeeWhoAmI(callback) {
         custom: _data.custom,
         admin: _data.admin,
         provider: _data.provider,
-        changePassword: _data.changePassword
+        changePassword: _data.changePassword,
+        twoFactorEnabled: _data.twoFactorEnabled,
+        twoFactorRequired: _data.twoFactorRequired
       };
       if (data.username) {
         window.sessionStorage.setItem('mbee-user', JSON.stringify(data));
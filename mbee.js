@@ -174,6 +174,9 @@ if (installComplete) {
     NotFoundError: {
       value: M.require('lib.errors').NotFoundError
     },
+    PreconditionError: {
+      value: M.require('lib.errors').PreconditionError
+    },
     ServerError: {
       value: M.require('lib.errors').ServerError
     },
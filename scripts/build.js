@@ -196,6 +196,7 @@ function build(_args) {
           'org-app': path.join(M.root, 'app', 'ui', 'components', 'apps', 'org-app.jsx'),
           'project-app': path.join(M.root, 'app', 'ui', 'components', 'apps', 'project-app.jsx'),
           'profile-app': path.join(M.root, 'app', 'ui', 'components', 'apps', 'profile-app.jsx'),
+          'search-app': path.join(M.root, 'app', 'ui', 'components', 'apps', 'search-app.jsx'),
           'admin-console-app': path.join(M.root, 'app', 'ui', 'components', 'apps', 'admin-console-app.jsx')
         },
         output: {
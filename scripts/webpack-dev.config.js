@@ -26,6 +26,7 @@ module.exports = {
     'org-app': path.join(rootPath, 'app', 'ui', 'components', 'apps', 'org-app.jsx'),
     'project-app': path.join(rootPath, 'app', 'ui', 'components', 'apps', 'project-app.jsx'),
     'profile-app': path.join(rootPath, 'app', 'ui', 'components', 'apps', 'profile-app.jsx'),
+    'search-app': path.join(rootPath, 'app', 'ui', 'components', 'apps', 'search-app.jsx'),
     'admin-console-app': path.join(rootPath, 'app', 'ui', 'components', 'apps', 'admin-console-app.jsx')
   },
   output: {
@@ -25,12 +25,16 @@ const chai = require('chai');
 // MBEE modules
 const Artifact = M.require('models.artifact');
 const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
 const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
 const Organization = M.require('models.organization');
 const Project = M.require('models.project');
 const ServerData = M.require('models.server-data');
+const Transaction = M.require('models.transaction');
 const User = M.require('models.user');
 const Webhook = M.require('models.webhook');
+const WebhookDelivery = M.require('models.webhook-delivery');
 const db = M.require('db');
 const ArtifactStrategy = M.require(`artifact.${M.config.artifact.strategy}`);
 
@@ -81,9 +85,9 @@ async function cleanDB() {
 async function initModels() {
   try {
     // Initialize all models
-    await Promise.all([Artifact.init(), Branch.init(), Element.init(),
-      Organization.init(), Project.init(), ServerData.init(), User.init(),
-      Webhook.init()]);
+    await Promise.all([Artifact.init(), Branch.init(), Deletion.init(), Element.init(),
+      ElementRevision.init(), Organization.init(), Project.init(), ServerData.init(),
+      Transaction.init(), User.init(), Webhook.init(), WebhookDelivery.init()]);
 
     // Insert server data
     await ServerData.insertMany([{ _id: 'server_data', version: M.version }]);
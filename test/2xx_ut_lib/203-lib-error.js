@@ -43,6 +43,7 @@ async function getStatusCode() {
   const auth = errors.getStatusCode(new M.AuthorizationError('This is an auth error.'));
   const perm = errors.getStatusCode(new M.PermissionError('This is a permission error.'));
   const find = errors.getStatusCode(new M.NotFoundError('This is a not found error.'));
+  const precondition = errors.getStatusCode(new M.PreconditionError('This is a precondition error.'));
   const server = errors.getStatusCode(new M.ServerError('This is a server error.'));
   const database = errors.getStatusCode(new M.DatabaseError('This is a database error.'));
   const normal = errors.getStatusCode(new Error('This is a normal error.'));
@@ -52,6 +53,7 @@ async function getStatusCode() {
   chai.expect(auth).to.equal(401);
   chai.expect(perm).to.equal(403);
   chai.expect(find).to.equal(404);
+  chai.expect(precondition).to.equal(412);
   chai.expect(server).to.equal(500);
   chai.expect(database).to.equal(500);
   chai.expect(normal).to.equal(500);
@@ -14,11 +14,15 @@
  * @description This file tests the utility functions.
  */
 
+// Node modules
+const { PassThrough } = require('stream');
+
 // NPM modules
 const chai = require('chai');
 
 // MBEE modules
 const utils = M.require('lib.utils');
+const Organization = M.require('models.organization');
 
 /* --------------------( Main )-------------------- */
 /**
@@ -34,6 +38,11 @@ describe(M.getModuleName(module.filename), () => {
   it('should parse a valid uid and get the second element', parseValidUIDSecondElement);
   it('should title-case a valid word', validTitleCase);
   it('should NOT title-case an invalid word', invalidTitleCase);
+  it('should read newline delimited JSON in batches', handleNDJSON);
+  it('should reject newline delimited JSON with an invalid line', handleInvalidNDJSON);
+  it('should page through documents using cursors', paginateWithCursors);
+  it('should create a query which finds the documents after a cursor', applyCursor);
+  it('should reject invalid cursors', rejectInvalidCursors);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -124,3 +133,139 @@ async function invalidTitleCase() {
   // Expect the word to NOT have changed
   chai.expect(titleCased).to.equal(word);
 }
+
+/**
+ * @description Verifies that newline delimited JSON split across chunks is
+ * read in batches, ignoring empty lines, and that each batch is handled before
+ * the next one.
+ */
+async function handleNDJSON() {
+  const stream = new PassThrough();
+  const batches = [];
+
+  const reading = utils.handleNDJSON(stream, 2, async (batch, line) => {
+    // Wait before completing the batch, so the order of the batches is tested
+    await new Promise(resolve => setTimeout(resolve, 5));
+    batches.push({ line: line, ids: batch.map(o => o.id) });
+  });
+
+  // Write the lines in chunks which split the lines and characters
+  const data = Buffer.from('{"id":"a"}\n\n{"id":"\u00e9"}\n{"id":"c"}\n{"id":"d"}');
+  for (let i = 0; i < data.length; i += 3) {
+    stream.write(data.slice(i, i + 3));
+  }
+  stream.end();
+
+  const count = await reading;
+  chai.expect(count).to.equal(4);
+  chai.expect(batches).to.deep.equal([
+    { line: 1, ids: ['a', '\u00e9'] },
+    { line: 4, ids: ['c', 'd'] }
+  ]);
+}
+
+/**
+ * @description Verifies that newline delimited JSON containing a line which
+ * is not valid JSON is rejected with the line number.
+ */
+async function handleInvalidNDJSON() {
+  const stream = new PassThrough();
+  const reading = utils.handleNDJSON(stream, 10, async () => {});
+  stream.end('{"id":"a"}\nnot json\n');
+
+  try {
+    await reading;
+    chai.assert.fail('Expected an error to be thrown');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.DataFormatError);
+    chai.expect(error.message).to.equal('Line 2 is not valid JSON.');
+  }
+}
+
+/**
+ * @description Verifies that validated cursors return every document exactly
+ * once when paging through documents in ascending and descending order, with
+ * duplicate values of the sorted field.
+ */
+async function paginateWithCursors() {
+  const docs = [];
+  for (let i = 0; i < 7; i++) {
+    docs.push({ _id: `org${i}`, name: (i % 2 === 0) ? 'Even' : 'Odd' });
+  }
+
+  ['name', '-name', undefined].forEach((sort) => {
+    const found = [];
+    let after;
+    let page;
+    do {
+      const query = { limit: 3 };
+      if (sort) query.sort = sort;
+      if (after) query.after = after;
+      const options = utils.validateOptions(query, ['limit', 'sort', 'after'], Organization);
+      const keys = Object.keys(options.sort);
+
+      // The _id is always used to order documents with the same value
+      chai.expect(keys[keys.length - 1]).to.equal('_id');
+
+      // Sort the documents after the cursor and get the page
+      page = docs.filter(d => utils.isAfterCursor(d, options))
+      .sort((a, b) => {
+        const key = keys.find(k => a[k] !== b[k]);
+        return (a[key] < b[key] ? -1 : 1) * options.sort[key];
+      })
+      .slice(0, options.limit);
+      found.push(...page);
+
+      if (page.length > 0) after = utils.createCursor(page[page.length - 1], options.sort);
+    } while (page.length === 3);
+
+    chai.expect(found.map(d => d._id)).to.have.members(docs.map(d => d._id));
+    chai.expect(found.length).to.equal(docs.length);
+  });
+}
+
+/**
+ * @description Verifies that the query created from a cursor finds the
+ * documents with a greater value of the sorted field, or the same value and a
+ * greater _id, and that the original query is not modified.
+ */
+async function applyCursor() {
+  const cursor = utils.createCursor({ _id: 'org1', name: 'Org' }, { name: -1, _id: -1 });
+  const options = utils.validateOptions({ sort: '-name', after: cursor },
+    ['sort', 'after'], Organization);
+  const query = { archived: false };
+
+  chai.expect(utils.applyCursor(query, options)).to.deep.equal({
+    archived: false,
+    $or: [{ name: { $lt: 'Org' } }, { name: 'Org', _id: { $lt: 'org1' } }]
+  });
+  chai.expect(query).to.deep.equal({ archived: false });
+
+  // A query which already has conditions in $or keeps them
+  const permissionsQuery = { $or: [{ 'permissions.user1': { $all: ['read'] } }] };
+  chai.expect(utils.applyCursor(permissionsQuery, options)).to.deep.equal({
+    $and: [
+      { $or: [{ 'permissions.user1': { $all: ['read'] } }] },
+      { $or: [{ name: { $lt: 'Org' } }, { name: 'Org', _id: { $lt: 'org1' } }] }
+    ]
+  });
+
+  // Without a cursor, the query is unchanged
+  chai.expect(utils.applyCursor(query, {})).to.deep.equal(query);
+}
+
+/**
+ * @description Verifies that cursors which cannot be parsed, or which were
+ * created for a different sort option, are rejected.
+ */
+async function rejectInvalidCursors() {
+  const cursor = utils.createCursor({ _id: 'org1', name: 'Org' }, { name: 1, _id: 1 });
+
+  chai.expect(() => utils.validateOptions({ after: 'invalid' }, ['after'], Organization))
+  .to.throw(M.DataFormatError, 'The option \'after\' is not a valid cursor.');
+  chai.expect(() => utils.validateOptions({ after: cursor, sort: 'createdOn' },
+    ['after', 'sort'], Organization))
+  .to.throw(M.DataFormatError, 'The cursor provided in the option \'after\' does not match '
+    + 'the sort option.');
+}
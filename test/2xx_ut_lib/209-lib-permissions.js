@@ -85,7 +85,10 @@ describe(M.getModuleName(module.filename), () => {
   it('should handle user element permissions', verifyElementPermissions);
   it('should handle user artifact permissions', verifyArtifactPermissions);
   it('should handle user branch permissions', verifyBranchPermissions);
+  it('should enforce the protection rules of branches', verifyBranchProtection);
   it('should handle misc non-admin permissions', verifyNonAdminPermissions);
+  it('should grant the permissions of the groups of users', verifyGroupPermissions);
+  it('should enforce the scopes of personal access tokens', verifyTokenScopes);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -124,6 +127,7 @@ async function verifyAdminPermissions() {
 
   // Misc Actions
   chai.expect(can.getLogs.bind(can, user)).to.not.throw(M.PermissionError); // get server logs
+  chai.expect(can.getAudit.bind(can, user)).to.not.throw(M.PermissionError); // get audit log
 }
 
 /**
@@ -278,6 +282,75 @@ async function verifyBranchPermissions() {
   chai.expect(can.deleteBranch.bind(can, user2, org, project2)).to.throw(M.PermissionError);
 }
 
+/**
+ * @description Checks that the protection rules of branches restrict which
+ * users can change elements and artifacts, and that merges can change branches
+ * which require merges.
+ */
+async function verifyBranchProtection() {
+  // Test data
+  const org = orgs[1];
+  const project = {
+    _id: 'project4',
+    permissions: {
+      test1: ['read', 'write', 'admin'],
+      test2: ['read', 'write', 'admin'],
+      test3: ['read', 'write']
+    },
+    visibility: 'private'
+  };
+  const admin = users[0];
+  const projectAdmin = users[1];
+  const writer = users[2];
+  const branch = (protection) => ({ _id: 'project4:master', protection: protection });
+  const adminOnly = branch({ writers: [], adminOnly: true, requireMerge: false });
+  const writers = branch({ writers: ['test1'], adminOnly: false, requireMerge: false });
+  const requireMerge = branch({ writers: [], adminOnly: false, requireMerge: true });
+  const unprotected = branch({ writers: [], adminOnly: false, requireMerge: false });
+
+  const writeFunctions = [can.createElement, can.updateElement, can.deleteElement,
+    can.createArtifact, can.updateArtifact, can.deleteArtifact];
+
+  // Users with write permissions can change unprotected branches
+  writeFunctions.concat(can.mergeBranch).forEach((fn) => {
+    chai.expect(fn.bind(can, writer, org, project, unprotected)).to.not.throw(M.PermissionError);
+  });
+
+  // Only project admins can change admin-only branches
+  chai.expect(can.createElement.bind(can, writer, org, project, adminOnly))
+  .to.throw(M.PermissionError);
+  chai.expect(can.mergeBranch.bind(can, writer, org, project, adminOnly))
+  .to.throw(M.PermissionError);
+  chai.expect(can.createArtifact.bind(can, writer, org, project, adminOnly))
+  .to.throw(M.PermissionError);
+  chai.expect(can.updateElement.bind(can, projectAdmin, org, project, adminOnly))
+  .to.not.throw(M.PermissionError);
+
+  // Only the listed writers and project admins can change branches with writers
+  chai.expect(can.updateElement.bind(can, writer, org, project, writers))
+  .to.throw(M.PermissionError);
+  chai.expect(can.deleteElement.bind(can, projectAdmin, org, project, writers))
+  .to.not.throw(M.PermissionError);
+  chai.expect(can.updateArtifact.bind(can, writer, org, project, writers))
+  .to.throw(M.PermissionError);
+
+  // Branches which require merges can only be changed through merges
+  writeFunctions.forEach((fn) => {
+    chai.expect(fn.bind(can, projectAdmin, org, project, requireMerge))
+    .to.throw(M.PermissionError);
+    chai.expect(fn.bind(can, admin, org, project, requireMerge))
+    .to.not.throw(M.PermissionError);
+  });
+  chai.expect(can.mergeBranch.bind(can, writer, org, project, requireMerge))
+  .to.not.throw(M.PermissionError);
+
+  // Only project admins can change the protection rules
+  chai.expect(can.updateBranchProtection.bind(can, writer, org, project, unprotected))
+  .to.throw(M.PermissionError);
+  chai.expect(can.updateBranchProtection.bind(can, projectAdmin, org, project, unprotected))
+  .to.not.throw(M.PermissionError);
+}
+
 /**
  * @description Checks that permissions are handled as expected with non-admin
  * users.
@@ -288,4 +361,106 @@ async function verifyNonAdminPermissions() {
 
   // Misc Actions
   chai.expect(can.getLogs.bind(can, user)).to.throw(M.PermissionError); // get server logs
+  chai.expect(can.getAudit.bind(can, user)).to.throw(M.PermissionError); // get audit log
+}
+
+/**
+ * @description Checks that users have the highest of their own permissions and
+ * the permissions of their groups, and that only admins can change groups.
+ */
+async function verifyGroupPermissions() {
+  // Test data
+  const org = {
+    _id: 'org3',
+    permissions: {
+      test3: ['read'],
+      'group:team': ['read', 'write']
+    }
+  };
+  const project = {
+    _id: 'project5',
+    permissions: {
+      'group:team': ['read', 'write', 'admin']
+    },
+    visibility: 'private'
+  };
+  const member = { _id: 'test3', admin: false, groups: ['team'] };
+  const user = users[2];
+
+  // Verify the roles include the roles of the groups of the user
+  chai.expect(can.getRoles(member, org)).to.have.members(['read', 'write']);
+  chai.expect(can.getRoles(user, org)).to.have.members(['read']);
+  chai.expect(can.hasRole(member, project)).to.equal(true);
+  chai.expect(can.hasRole(member, project, 'admin')).to.equal(true);
+  chai.expect(can.hasRole(user, project)).to.equal(false);
+
+  // Verify the group permissions are checked
+  chai.expect(can.createProject.bind(can, member, org)).to.not.throw(M.PermissionError);
+  chai.expect(can.createProject.bind(can, user, org)).to.throw(M.PermissionError);
+  chai.expect(can.deleteBranch.bind(can, member, org, project)).to.not.throw(M.PermissionError);
+  chai.expect(can.readBranch.bind(can, user, org, project)).to.throw(M.PermissionError);
+
+  // Verify the permissions query includes the groups of the user
+  chai.expect(can.getPermissionsQuery(user)).to.deep.equal({
+    'permissions.test3': { $all: ['read'] }
+  });
+  chai.expect(can.getPermissionsQuery(member, 'write')).to.deep.equal({
+    $or: [
+      { 'permissions.test3': { $all: ['write'] } },
+      { 'permissions.group:team': { $all: ['write'] } }
+    ]
+  });
+
+  // Verify only admins can change groups
+  chai.expect(can.readGroup.bind(can, member)).to.not.throw(M.PermissionError);
+  chai.expect(can.createGroup.bind(can, member)).to.throw(M.PermissionError);
+  chai.expect(can.updateGroup.bind(can, member)).to.throw(M.PermissionError);
+  chai.expect(can.deleteGroup.bind(can, member)).to.throw(M.PermissionError);
+  chai.expect(can.deleteGroup.bind(can, users[0])).to.not.throw(M.PermissionError);
+}
+
+/**
+ * @description Checks that the scopes of personal access tokens restrict the
+ * permissions of users, and that tokens cannot be used to create tokens.
+ */
+async function verifyTokenScopes() {
+  // Test data
+  const org = orgs[1];
+  const project = Object.assign({}, projects[1], { _id: 'org2:project2' });
+  const otherProject = Object.assign({}, projects[2], { _id: 'org2:project3' });
+  const readOnly = Object.assign({}, users[0],
+    { token: 'token1', scopes: { readOnly: true, orgs: [], projects: [] } });
+  const orgScoped = Object.assign({}, users[1],
+    { token: 'token2', scopes: { readOnly: false, orgs: ['org1'], projects: [] } });
+  const projectScoped = Object.assign({}, users[1],
+    { token: 'token3', scopes: { readOnly: false, orgs: [], projects: [project._id] } });
+
+  // Read-only tokens can read, but not change data, even for admins
+  chai.expect(can.readOrg.bind(can, readOnly, org)).to.not.throw(M.PermissionError);
+  chai.expect(can.readElement.bind(can, readOnly, org, project)).to.not.throw(M.PermissionError);
+  chai.expect(can.updateElement.bind(can, readOnly, org, project))
+  .to.throw(M.PermissionError, 'The personal access token is read-only.');
+  chai.expect(can.createUser.bind(can, readOnly)).to.throw(M.PermissionError);
+
+  // Tokens limited to orgs cannot access other orgs
+  chai.expect(can.readProject.bind(can, orgScoped, org, project))
+  .to.throw(M.PermissionError, 'The personal access token does not have access to the '
+    + 'project [project2].');
+  chai.expect(can.readUser.bind(can, orgScoped)).to.not.throw(M.PermissionError);
+
+  // Tokens limited to projects can read their orgs, but not change them
+  chai.expect(can.readOrg.bind(can, projectScoped, org)).to.not.throw(M.PermissionError);
+  chai.expect(can.createProject.bind(can, projectScoped, org)).to.throw(M.PermissionError);
+  chai.expect(can.createElement.bind(can, projectScoped, org, project))
+  .to.not.throw(M.PermissionError);
+  chai.expect(can.readBranch.bind(can, projectScoped, org, otherProject))
+  .to.throw(M.PermissionError);
+  chai.expect(can.hasScope(projectScoped, orgs[0])).to.equal(false);
+
+  // Tokens can only be created by their user, without a token
+  chai.expect(can.createToken.bind(can, users[1], 'test2')).to.not.throw(M.PermissionError);
+  chai.expect(can.createToken.bind(can, users[0], 'test2')).to.throw(M.PermissionError);
+  chai.expect(can.createToken.bind(can, projectScoped, 'test2')).to.throw(M.PermissionError);
+  chai.expect(can.deleteToken.bind(can, users[0], 'test2')).to.not.throw(M.PermissionError);
+  chai.expect(can.readToken.bind(can, users[2], 'test2')).to.throw(M.PermissionError);
 }
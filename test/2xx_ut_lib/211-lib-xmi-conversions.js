@@ -0,0 +1,176 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.211-lib-xmi-conversions
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the conversion of elements to and from XMI in the
+ * library.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MBEE modules
+const xmiConversions = M.require('lib.xmi-conversions');
+const utils = M.require('lib.utils');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const branchID = utils.createID('org', 'proj', 'master');
+const toolXMI = '<?xml version="1.0" encoding="UTF-8"?>'
+  + '<xmi:XMI xmlns:xmi="http://www.omg.org/spec/XMI/20131001"'
+  + ' xmlns:uml="http://www.omg.org/spec/UML/20161101"'
+  + ' xmlns:sysml="http://www.omg.org/spec/SysML/20181001/SysML">'
+  + '<uml:Model xmi:type="uml:Model" xmi:id="model" name="Model">'
+  + '<packagedElement xmi:type="uml:Class" xmi:id="car" name="Car" isAbstract="true">'
+  + '<ownedComment xmi:type="uml:Comment" xmi:id="car_comment"><body>A car</body></ownedComment>'
+  + '<generalization xmi:type="uml:Generalization" xmi:id="car_general" general="vehicle"/>'
+  + '</packagedElement>'
+  + '<packagedElement xmi:type="uml:Class" xmi:id="vehicle" name="Vehicle &amp; Co"/>'
+  + '<packagedElement xmi:type="uml:Abstraction" xmi:id="abstraction">'
+  + '<client xmi:idref="car"/><supplier xmi:idref="vehicle"/>'
+  + '</packagedElement>'
+  + '</uml:Model>'
+  + '<sysml:Block xmi:id="car_block" base_Class="car"/>'
+  + '</xmi:XMI>';
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  it('should convert XMI into elements', convertXMI);
+  it('should add the top level elements to the provided parent', convertXMIParent);
+  it('should convert elements to XMI and back without loss', roundTrip);
+  it('should reject invalid XMI', rejectInvalidXMI);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that containment, relationships, comments and
+ * stereotypes of XMI created by a modeling tool are converted into the
+ * fields of elements.
+ */
+async function convertXMI() {
+  const elements = xmiConversions.xmiToElements(toolXMI);
+  const byID = {};
+  elements.forEach((e) => { byID[e.id] = e; });
+
+  // The root model is not converted, and comments and stereotype
+  // applications are not elements
+  chai.expect(Object.keys(byID)).to.have.members(['car', 'car_general', 'vehicle',
+    'abstraction']);
+
+  // Verify containment, documentation and stereotypes
+  chai.expect(byID.car.parent).to.equal('model');
+  chai.expect(byID.car.documentation).to.equal('A car');
+  chai.expect(byID.car.type).to.equal('Block');
+  chai.expect(byID.car.custom.xmi.metaclass).to.equal('Class');
+  chai.expect(byID.car.custom.xmi.attributes).to.deep.equal({ isAbstract: 'true' });
+  chai.expect(byID.car.custom.xmi.stereotypes[0].name).to.equal('sysml:Block');
+  chai.expect(byID.vehicle.name).to.equal('Vehicle & Co');
+  chai.expect(byID.vehicle.type).to.equal('Class');
+
+  // Verify relationships
+  chai.expect(byID.car_general.parent).to.equal('car');
+  chai.expect(byID.car_general.source).to.equal('car');
+  chai.expect(byID.car_general.target).to.equal('vehicle');
+  chai.expect(byID.abstraction.type).to.equal('Abstraction');
+  chai.expect(byID.abstraction.source).to.equal('car');
+  chai.expect(byID.abstraction.target).to.equal('vehicle');
+}
+
+/**
+ * @description Verifies that the top level elements of the XMI are added to
+ * the provided parent.
+ */
+async function convertXMIParent() {
+  const elements = xmiConversions.xmiToElements(toolXMI, 'pkg');
+  const topLevel = elements.filter(e => e.parent === 'pkg').map(e => e.id);
+
+  chai.expect(topLevel).to.have.members(['car', 'vehicle', 'abstraction']);
+}
+
+/**
+ * @description Verifies that elements converted to XMI and back keep every
+ * field MBEE stores.
+ */
+async function roundTrip() {
+  const id = (elemID) => utils.createID(branchID, elemID);
+  const elements = [
+    { _id: id('model'), name: 'Model', parent: null, branch: branchID, type: '', custom: {} },
+    {
+      _id: id('pkg'),
+      name: 'Package <"&">',
+      parent: id('model'),
+      branch: branchID,
+      type: 'Package',
+      documentation: 'Line one\nLine two\t"quoted"',
+      custom: { list: [1, { nested: 'value\r\n' }] }
+    },
+    {
+      _id: id('block'),
+      name: 'Block',
+      parent: id('pkg'),
+      branch: branchID,
+      type: 'Block',
+      archived: true,
+      artifact: utils.createID(branchID, 'artifact'),
+      custom: {}
+    },
+    {
+      _id: id('satisfy'),
+      name: 'Satisfy',
+      parent: id('pkg'),
+      branch: branchID,
+      type: 'Satisfy',
+      source: id('block'),
+      target: utils.createID('org', 'other', 'master', 'requirement'),
+      custom: {}
+    }
+  ];
+
+  const xmi = xmiConversions.elementsToXMI(elements, id('model'));
+  const converted = xmiConversions.xmiToElements(xmi);
+  const byID = {};
+  converted.forEach((e) => { byID[e.id] = e; });
+
+  chai.expect(converted.length).to.equal(3);
+  chai.expect(byID.pkg.name).to.equal('Package <"&">');
+  chai.expect(byID.pkg.parent).to.equal('model');
+  chai.expect(byID.pkg.type).to.equal('Package');
+  chai.expect(byID.pkg.documentation).to.equal('Line one\nLine two\t"quoted"');
+  chai.expect(byID.pkg.custom).to.deep.equal({ list: [1, { nested: 'value\r\n' }] });
+  chai.expect(byID.block.parent).to.equal('pkg');
+  chai.expect(byID.block.type).to.equal('Block');
+  chai.expect(byID.block.archived).to.equal(true);
+  chai.expect(byID.block.artifact).to.equal('artifact');
+  chai.expect(byID.satisfy.source).to.equal('block');
+  chai.expect(byID.satisfy.target).to.equal('requirement');
+  chai.expect(byID.satisfy.targetNamespace).to.deep.equal({
+    org: 'org', project: 'other', branch: 'master'
+  });
+}
+
+/**
+ * @description Verifies that documents which are not valid XML are rejected.
+ */
+async function rejectInvalidXMI() {
+  const invalid = ['', '<xmi:XMI><uml:Model xmi:id="a"></xmi:XMI>', '<a></a><b/>'];
+
+  invalid.forEach((xmi) => {
+    chai.expect(() => xmiConversions.xmiToElements(xmi))
+    .to.throw(M.DataFormatError);
+  });
+}
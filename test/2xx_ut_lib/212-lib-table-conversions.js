@@ -0,0 +1,180 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.212-lib-table-conversions
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the conversion of elements to and from CSV and xlsx
+ * spreadsheets in the library.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MBEE modules
+const tableConversions = M.require('lib.table-conversions');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const elements = [
+  {
+    id: 'req1',
+    name: '=SUM(A1)',
+    parent: 'model',
+    type: 'Requirement',
+    documentation: 'Line one\nLine "two", continued',
+    archived: false,
+    createdOn: 'Tue Oct 01 2019',
+    custom: {
+      priority: 'high',
+      level: { value: 5, verified: true },
+      tags: ['a', 'b'],
+      code: '42'
+    }
+  },
+  {
+    id: 'req2',
+    name: '-Negative',
+    source: 'req1',
+    target: 'req3',
+    targetNamespace: { org: 'org', project: 'other', branch: 'master' },
+    custom: {}
+  }
+];
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  it('should flatten elements into a table', flattenElements);
+  it('should convert elements to CSV and back without loss', roundTripCSV);
+  it('should convert elements to xlsx and back without loss', roundTripXLSX);
+  it('should skip empty rows and ignore unknown columns', skipEmptyRows);
+  it('should reject invalid CSV', rejectInvalidCSV);
+  it('should reject invalid xlsx spreadsheets', rejectInvalidXLSX);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that custom data and namespaces are flattened into a
+ * column per field, and that custom columns follow the other columns.
+ */
+async function flattenElements() {
+  const table = tableConversions.elementsToTable(elements);
+
+  chai.expect(table.columns.slice(-5)).to.deep.equal(['custom.code', 'custom.level.value',
+    'custom.level.verified', 'custom.priority', 'custom.tags']);
+  chai.expect(table.columns).to.include.members(['id', 'name', 'targetNamespace.org',
+    'targetNamespace.project', 'targetNamespace.branch']);
+  chai.expect(table.rows.length).to.equal(2);
+
+  // Verify the values of the first row
+  const cell = (column) => table.rows[0][table.columns.indexOf(column)];
+  chai.expect(cell('custom.level.value')).to.equal(5);
+  chai.expect(cell('custom.tags')).to.equal('["a","b"]');
+  chai.expect(cell('custom.code')).to.equal('"42"');
+  chai.expect(cell('target')).to.equal('');
+}
+
+/**
+ * @description Verifies that elements converted to CSV and back keep their
+ * fields, including strings which a spreadsheet would read as formulas.
+ */
+async function roundTripCSV() {
+  const csv = tableConversions.toCSV(tableConversions.elementsToTable(elements));
+
+  // Verify formulas are escaped
+  chai.expect(csv).to.include('\'=SUM(A1)');
+
+  const converted = tableConversions.tableToElements(tableConversions.parseCSV(csv));
+  verifyElements(converted);
+}
+
+/**
+ * @description Verifies that elements converted to xlsx and back keep their
+ * fields.
+ */
+async function roundTripXLSX() {
+  const xlsx = tableConversions.toXLSX(tableConversions.elementsToTable(elements));
+  chai.expect(Buffer.isBuffer(xlsx)).to.equal(true);
+
+  const converted = tableConversions.tableToElements(tableConversions.parseXLSX(xlsx));
+  verifyElements(converted);
+}
+
+/**
+ * @description Verifies that rows without any values are skipped, that the
+ * row numbers of the remaining rows are reported, and that columns which are
+ * not element fields are ignored.
+ */
+async function skipEmptyRows() {
+  const csv = 'id,name,createdOn,archived\n\nelem1,Element 1,yesterday,true\n,,,\n'
+    + 'elem2,Element 2,,\n';
+  const converted = tableConversions.tableToElements(tableConversions.parseCSV(csv));
+
+  chai.expect(converted.rows).to.deep.equal([3, 5]);
+  chai.expect(converted.elements).to.deep.equal([
+    { id: 'elem1', name: 'Element 1', archived: true },
+    { id: 'elem2', name: 'Element 2' }
+  ]);
+}
+
+/**
+ * @description Verifies that CSV with an unclosed quote or without a header is
+ * rejected.
+ */
+async function rejectInvalidCSV() {
+  ['', 'id,name\nelem1,"Element'].forEach((csv) => {
+    chai.expect(() => tableConversions.parseCSV(csv)).to.throw(M.DataFormatError);
+  });
+}
+
+/**
+ * @description Verifies that files which are not xlsx spreadsheets are
+ * rejected.
+ */
+async function rejectInvalidXLSX() {
+  [Buffer.from('id,name\nelem1,Element 1'), Buffer.alloc(0)].forEach((xlsx) => {
+    chai.expect(() => tableConversions.parseXLSX(xlsx)).to.throw(M.DataFormatError);
+  });
+}
+
+/**
+ * @description Verifies that elements converted from a table match the test
+ * elements.
+ *
+ * @param {object} converted - The elements and row numbers converted from a
+ * table.
+ */
+function verifyElements(converted) {
+  chai.expect(converted.rows).to.deep.equal([2, 3]);
+  chai.expect(converted.elements).to.deep.equal([
+    {
+      id: 'req1',
+      name: '=SUM(A1)',
+      parent: 'model',
+      type: 'Requirement',
+      documentation: 'Line one\nLine "two", continued',
+      archived: false,
+      custom: elements[0].custom
+    },
+    {
+      id: 'req2',
+      name: '-Negative',
+      source: 'req1',
+      target: 'req3',
+      targetNamespace: { org: 'org', project: 'other', branch: 'master' }
+    }
+  ]);
+}
@@ -0,0 +1,102 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.213-lib-json-schema
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the checking of JSON schemas and the validation of values
+ * against them in the library.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MBEE modules
+const jsonSchema = M.require('lib.json-schema');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const schema = {
+  type: 'object',
+  required: ['priority'],
+  additionalProperties: false,
+  properties: {
+    priority: { type: 'string', enum: ['low', 'high'] },
+    level: { type: 'integer', minimum: 1, maximum: 5 },
+    code: { type: 'string', pattern: '^[A-Z]+-[0-9]+$' },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+  }
+};
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  it('should accept a valid schema', checkValidSchema);
+  it('should reject unsupported keywords and invalid values', checkInvalidSchema);
+  it('should validate a matching value', validateMatchingValue);
+  it('should find the reasons a value does not match', validateInvalidValue);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that a schema which only uses supported keywords has
+ * no problems.
+ */
+function checkValidSchema() {
+  chai.expect(jsonSchema.check(schema)).to.deep.equal([]);
+}
+
+/**
+ * @description Verifies that unsupported keywords and invalid keyword values
+ * are found, including in nested schemas.
+ */
+function checkInvalidSchema() {
+  const problems = jsonSchema.check({
+    $ref: '#/definitions/a',
+    type: 'date',
+    properties: { level: { minimum: 'one' } }
+  });
+  chai.expect(problems).to.deep.equal([
+    'schema.$ref is not a supported keyword',
+    'schema.type is invalid',
+    'schema.properties.level.minimum is invalid'
+  ]);
+  chai.expect(jsonSchema.check([])).to.deep.equal(['schema must be an object']);
+}
+
+/**
+ * @description Verifies that a value which matches the schema is valid.
+ */
+function validateMatchingValue() {
+  const value = { priority: 'high', level: 3, code: 'REQ-1', tags: ['a'] };
+  chai.expect(jsonSchema.validate(schema, value)).to.deep.equal([]);
+}
+
+/**
+ * @description Verifies that each reason a value does not match the schema is
+ * returned with the path of the invalid field.
+ */
+function validateInvalidValue() {
+  const value = { level: 2.5, code: 'req-1', tags: ['a', 1, 'c'], extra: true };
+  chai.expect(jsonSchema.validate(schema, value)).to.deep.equal([
+    'custom.priority is required',
+    'custom.level must be of type integer',
+    'custom.code must match the pattern [^[A-Z]+-[0-9]+$]',
+    'custom.tags must contain at most 2 items',
+    'custom.tags[1] must be of type string',
+    'custom.extra is not allowed'
+  ]);
+  chai.expect(jsonSchema.validate(schema, 'high')).to.deep.equal(['custom must be of type object']);
+}
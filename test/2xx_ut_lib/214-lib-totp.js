@@ -0,0 +1,112 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.214-lib-totp
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the generation and verification of time-based one-time
+ * passwords (TOTP) and recovery codes in the library.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MBEE modules
+const totp = M.require('lib.totp');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+// The base32 encoding of the secret '12345678901234567890' from RFC 6238
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  it('should generate the codes of the RFC 6238 test vectors', generateCodes);
+  it('should verify codes of adjacent periods', verifyCodes);
+  it('should reject invalid and used codes', rejectInvalidCodes);
+  it('should return the provisioning URI of a secret', provisioningURI);
+  it('should generate unique recovery codes', recoveryCodes);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that the generated codes match the SHA1 test vectors
+ * of RFC 6238, truncated to six digits.
+ */
+function generateCodes() {
+  chai.expect(totp.generateCode(secret, 59 * 1000)).to.equal('287082');
+  chai.expect(totp.generateCode(secret, 1111111109 * 1000)).to.equal('081804');
+  chai.expect(totp.generateCode(secret, 1234567890 * 1000)).to.equal('005924');
+  chai.expect(totp.generateCode(secret, 2000000000 * 1000)).to.equal('279037');
+}
+
+/**
+ * @description Verifies that codes of the current, previous and next periods
+ * are accepted and return their time step, but not codes of older periods.
+ */
+function verifyCodes() {
+  const time = 1111111109 * 1000;
+  const step = Math.floor(1111111109 / 30);
+  chai.expect(totp.verifyCode(secret, '081804', null, time)).to.equal(step);
+  chai.expect(totp.verifyCode(secret, '081804', null, time + 30 * 1000)).to.equal(step);
+  chai.expect(totp.verifyCode(secret, '081804', null, time - 30 * 1000)).to.equal(step);
+  chai.expect(totp.verifyCode(secret, '081804', null, time + 90 * 1000)).to.equal(null);
+
+  // Codes of a generated secret are verified as well
+  const generated = totp.generateSecret();
+  chai.expect(generated).to.match(/^[A-Z2-7]{32}$/);
+  chai.expect(totp.verifyCode(generated, totp.generateCode(generated))).to.be.a('number');
+}
+
+/**
+ * @description Verifies that codes which are not six digits are rejected, as
+ * well as codes of the time step of the last accepted code or earlier.
+ */
+function rejectInvalidCodes() {
+  const time = 1111111109 * 1000;
+  const step = Math.floor(1111111109 / 30);
+  chai.expect(totp.verifyCode(secret, '81804', null, time)).to.equal(null);
+  chai.expect(totp.verifyCode(secret, 'abcdef', null, time)).to.equal(null);
+  chai.expect(totp.verifyCode(secret, '', null, time)).to.equal(null);
+  chai.expect(totp.verifyCode(secret, '0818045', null, time)).to.equal(null);
+
+  // Codes which were already used are rejected
+  chai.expect(totp.verifyCode(secret, '081804', step - 1, time)).to.equal(step);
+  chai.expect(totp.verifyCode(secret, '081804', step, time)).to.equal(null);
+  chai.expect(totp.verifyCode(secret, '081804', step + 1, time)).to.equal(null);
+}
+
+/**
+ * @description Verifies the format of the provisioning URI.
+ */
+function provisioningURI() {
+  const uri = totp.getProvisioningURI('JBSWY3DPEHPK3PXP', 'jdoe', 'MBEE');
+  chai.expect(uri).to.equal('otpauth://totp/MBEE%3Ajdoe?secret=JBSWY3DPEHPK3PXP&issuer=MBEE'
+    + '&algorithm=SHA1&digits=6&period=30');
+}
+
+/**
+ * @description Verifies the format and number of the recovery codes.
+ */
+function recoveryCodes() {
+  const codes = totp.generateRecoveryCodes();
+  chai.expect(codes.length).to.equal(10);
+  chai.expect(new Set(codes).size).to.equal(10);
+  codes.forEach((code) => {
+    chai.expect(code).to.match(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  });
+  chai.expect(totp.generateRecoveryCodes(3).length).to.equal(3);
+}
@@ -0,0 +1,117 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.215-lib-search
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the parsing of search queries into text clauses and
+ * filters in the search library.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MBEE modules
+const search = M.require('lib.search');
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  it('should parse words, phrases, prefixes and fuzzy words', parseText);
+  it('should parse filters on fields and custom data', parseFilters);
+  it('should parse ranges of dates', parseDateRanges);
+  it('should reject invalid queries', rejectInvalidQueries);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that the text of a query is parsed into clauses.
+ */
+function parseText() {
+  const { clauses, filters } = search.parseQuery('"Fuel Pump" valv* +motor~ -tank~1 a-b');
+
+  chai.expect(filters).to.have.lengthOf(0);
+  chai.expect(clauses).to.deep.equal([
+    { words: ['fuel', 'pump'], prefix: false, distance: 0, required: true, excluded: false },
+    { words: ['valv'], prefix: true, distance: 0, required: false, excluded: false },
+    { words: ['motor'], prefix: false, distance: null, required: true, excluded: false },
+    { words: ['tank'], prefix: false, distance: 1, required: false, excluded: true },
+    { words: ['a', 'b'], prefix: false, distance: 0, required: false, excluded: false }
+  ]);
+
+  // Fields which cannot be filtered on are searched as text
+  chai.expect(search.parseQuery('note:urgent').clauses[0].words).to.deep.equal(['note',
+    'urgent']);
+}
+
+/**
+ * @description Verifies that filters on fields, lists of values, comparisons
+ * and negations are parsed.
+ */
+function parseFilters() {
+  const { clauses, filters } = search.parseQuery('pump type:(Block OR "Part Property") '
+    + '-custom.status:closed custom.mass:>=10 parent:model');
+
+  chai.expect(clauses).to.have.lengthOf(1);
+  chai.expect(filters).to.deep.equal([
+    { field: 'type', negate: false, kind: 'in', values: ['Block', 'Part Property'] },
+    { field: 'custom.status', negate: true, kind: 'in', values: ['closed'] },
+    {
+      field: 'custom.mass',
+      negate: false,
+      kind: 'range',
+      min: '10',
+      minInclusive: true,
+      maxInclusive: false
+    },
+    { field: 'parent', negate: false, kind: 'in', values: ['model'] }
+  ]);
+}
+
+/**
+ * @description Verifies that dates are converted to timestamps, and that
+ * dates without a time cover the whole day.
+ */
+function parseDateRanges() {
+  const day = 24 * 60 * 60 * 1000;
+  const start = Date.parse('2020-01-01');
+  const { filters } = search.parseQuery('createdOn:[2020-01-01 TO 2020-01-31] '
+    + 'updatedOn:2020-01-01 archivedOn:<2020-01-01');
+
+  chai.expect(filters[0]).to.include({
+    kind: 'range',
+    min: start,
+    max: start + 31 * day,
+    minInclusive: true,
+    maxInclusive: false
+  });
+  chai.expect(filters[1]).to.include({ kind: 'range', min: start, max: start + day });
+  chai.expect(filters[2]).to.include({ kind: 'range', max: start, maxInclusive: false });
+  chai.expect(filters[2].min).to.equal(undefined);
+}
+
+/**
+ * @description Verifies that invalid dates, ranges and fuzzy distances are
+ * rejected.
+ */
+function rejectInvalidQueries() {
+  chai.expect(() => search.parseQuery('createdOn:yesterday')).to.throw(M.DataFormatError,
+    'The value [yesterday] of the filter [createdOn] is not a valid date.');
+  chai.expect(() => search.parseQuery('updatedOn:[2020-01-01 2020-02-01]'))
+  .to.throw(M.DataFormatError, 'The range of the filter [updatedOn] must be in the format '
+    + '[from TO to].');
+  chai.expect(() => search.parseQuery('pump~3')).to.throw(M.DataFormatError,
+    'The fuzzy distance of [pump] must be 0, 1 or 2.');
+}
@@ -16,11 +16,13 @@
  * find, update and delete the webhooks.
  */
 
+// Node modules
+const http = require('http');
+
 // NPM modules
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const uuidv4 = require('uuid/v4');
-const request = require('request');
 
 // Use async chai
 chai.use(chaiAsPromised);
@@ -213,7 +215,7 @@ async function validUpdateFields() {
   try {
     // Set the array of correct update fields;
     const updateFields = ['name', 'description', 'triggers', 'url', 'token',
-      'tokenLocation', 'archived', 'custom'];
+      'tokenLocation', 'filters', 'archived', 'custom'];
 
     // Get the update fields from the webhook model
     const modelUpdateFields = Webhook.getValidUpdateFields();
@@ -253,40 +255,52 @@ async function validPopulateFields() {
 
 /**
  * @description Verifies that the webhook model function sendRequest can successfully send
- * an HTTP request.
+ * an HTTP request, signed with the webhook token, to a local stand-in receiver.
  */
 async function sendRequest() {
-  // First check that the api is up
-  const options = {
-    url: `${M.config.test.url}/api/test`,
-    method: 'GET'
-  };
-  const apiUp = await new Promise((resolve) => {
-    request(options, (err, response) => {
-      if (err) resolve(false);
-      if (response && response.statusCode === 200) resolve(true);
-      else resolve(false);
+  // Start a local HTTP server which records the received request
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received = { method: req.method, headers: req.headers, body: body };
+      res.end();
     });
   });
-  // Skip the test if the api isn't up
-  if (!apiUp) this.skip();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
 
   try {
     // Create a mock outgoing webhook object
     const webhook = {
+      _id: webhookID,
       type: 'Outgoing',
-      response: {
-        url: `${M.config.test.url}/api/test`,
-        method: 'GET'
-      }
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      token: 'test token'
     };
-
-    // Test the sendRequest function with no data
-    Webhook.sendRequest(webhook, null);
+    const data = { test: 'data' };
+
+    // Test the sendRequest function
+    const result = await Webhook.sendRequest(webhook, data);
+
+    // Verify the result of the request
+    chai.expect(result.statusCode).to.equal(200);
+    chai.expect(result.error).to.equal(null);
+    chai.expect(result.latency).to.be.a('number');
+
+    // Verify the request which was received
+    chai.expect(received.method).to.equal('POST');
+    chai.expect(JSON.parse(received.body)).to.deep.equal(data);
+    chai.expect(received.headers['x-mbee-signature']).to.equal(
+      Webhook.getSignature(webhook.token, received.body)
+    );
   }
   catch (error) {
     M.log.error(error);
     // There should be no error
     should.not.exist(error);
   }
+  finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
 }
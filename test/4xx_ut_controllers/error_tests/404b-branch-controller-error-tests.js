@@ -109,6 +109,9 @@ describe(M.getModuleName(module.filename), () => {
   it('should reject an attempt to delete a branch on an archived org', archivedTest(Organization, 'remove'));
   it('should reject an attempt to delete a branch on an archived project', archivedTest(Project, 'remove'));
   it('should reject deletion of master branch', deleteMasterBranch);
+  // ------------- Merge --------------
+  it('should reject an attempt to merge into a tag', mergeIntoTag);
+  it('should reject an attempt to merge branches without a common ancestor', mergeUnrelated);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -262,3 +265,48 @@ async function deleteMasterBranch() {
   await BranchController.remove(adminUser, org._id, projID, branchID)
   .should.eventually.be.rejectedWith(`User cannot delete branch: ${branchID}.`);
 }
+
+/**
+ * @description Verifies that a branch cannot be merged into a tag.
+ */
+async function mergeIntoTag() {
+  try {
+    const branchID = testData.branches[1].id;
+    const tagData = testData.branches[7];
+
+    // Create the tag
+    await BranchController.create(adminUser, org._id, projID, tagData);
+
+    // Attempt to merge the branch into the tag; should be rejected
+    await BranchController.merge(adminUser, org._id, projID, branchID, tagData.id)
+    .should.eventually.be.rejectedWith(`[${tagData.id}] is a tag and `
+      + 'does not allow elements to be created, updated, or deleted.');
+  }
+  catch (error) {
+    M.log.warn(error);
+    should.not.exist(error);
+  }
+}
+
+/**
+ * @description Verifies that branches which were not created from one another
+ * cannot be merged.
+ */
+async function mergeUnrelated() {
+  try {
+    const branchID = testData.branches[1].id;
+    const otherBranchData = testData.branches[2];
+
+    // Create a second branch from master
+    await BranchController.create(adminUser, org._id, projID, otherBranchData);
+
+    // Attempt to merge the sibling branches; should be rejected
+    await BranchController.merge(adminUser, org._id, projID, branchID, otherBranchData.id)
+    .should.eventually.be.rejectedWith(`Branches [${branchID}] and [${otherBranchData.id}] `
+      + 'do not share a common ancestor. One branch must be the source of the other.');
+  }
+  catch (error) {
+    M.log.warn(error);
+    should.not.exist(error);
+  }
+}
@@ -22,9 +22,14 @@ const chai = require('chai');
 // MBEE modules
 const UserController = M.require('controllers.user-controller');
 const User = M.require('models.user');
+const LocalStrategy = M.require('auth.local-strategy');
+const Auth = M.require('lib.auth');
+const totp = M.require('lib.totp');
+const mbeeCrypto = M.require('lib.crypto');
 
 /* --------------------( Test Data )-------------------- */
 const testUtils = M.require('lib.test-utils');
+const testData = testUtils.importTestData('test_data.json');
 let adminUser = null;
 
 /* --------------------( Main )-------------------- */
@@ -73,6 +78,10 @@ describe(M.getModuleName(module.filename), () => {
   it('should return a second batch of users with the limit and skip option'
     + ' from find()', optionSkipFind);
   it('should sort find results', optionSortFind);
+  it('should return the next page of users with the after option from find()',
+    optionAfterFind);
+  it('should return the total number of users with the count option from find()',
+    optionCountFind);
   // ------------- Create -------------
   it('should create an archived user', createArchivedUser);
   it('should populate allowed fields when creating a user', optionPopulateCreate);
@@ -88,6 +97,19 @@ describe(M.getModuleName(module.filename), () => {
     + ' createOrReplace()', optionFieldsReplace);
   // ------------- Remove -------------
   // --------- Update Password --------
+  it('should validate passwords against the configured password policy', passwordPolicy);
+  it('should require a password change once the password has expired', expirePassword);
+  // ------------- Unlock -------------
+  it('should lock an account after failed logins and unlock it', lockAndUnlockUser);
+  it('should unlock an account locked before the time of locking was recorded',
+    unlockPreviouslyLockedUser);
+  it('should reject a non-admin user unlocking an account', rejectNonAdminUnlock);
+  // ------------ Two-Factor ------------
+  it('should enroll a user in two-factor authentication', enrollTwoFactor);
+  it('should reject enrolling another user in two-factor authentication',
+    rejectEnrollOtherUser);
+  it('should reject used two-factor codes and lock an account after invalid codes',
+    lockOutTwoFactor);
   // ------------- Search -------------
   it('should search an archived user when the option archived is provided',
     optionArchivedSearch);
@@ -561,6 +583,85 @@ async function optionSkipFind() {
   }
 }
 
+/**
+ * @description Verifies that every user is returned exactly once when paging
+ * through users with the 'limit' and 'after' options in the find() function,
+ * and that the cursor of the next page is only provided for full pages.
+ */
+async function optionAfterFind() {
+  try {
+    // Create user objects
+    const users = ['testuser00', 'testuser01', 'testuser02', 'testuser03', 'testuser04']
+    .map((username) => ({ username: username, password: 'Abc123!@', fname: 'Test' }));
+    const usernames = users.map(u => u.username);
+
+    // Create the test users
+    const createdUsers = await UserController.create(adminUser, users);
+    // Verify that five users were created
+    chai.expect(createdUsers.length).to.equal(5);
+
+    // Find the users in pages of two, sorted by username in descending order
+    const pages = [];
+    let options = { limit: 2, sort: '-username' };
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const foundUsers = await UserController.find(adminUser, usernames, options);
+      pages.push(foundUsers.map(u => u._id));
+      options = { limit: 2, sort: '-username', after: foundUsers.pageInfo.next };
+    } while (options.after);
+
+    // Verify the users were returned in order, exactly once
+    chai.expect(pages).to.deep.equal([
+      ['testuser04', 'testuser03'],
+      ['testuser02', 'testuser01'],
+      ['testuser00']
+    ]);
+
+    // Remove test users
+    await UserController.remove(adminUser, usernames);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that the total number of matching users, ignoring the
+ * 'limit' option, is returned when the option 'count' is supplied to the
+ * find() function.
+ */
+async function optionCountFind() {
+  try {
+    // Create user objects
+    const users = ['testuser00', 'testuser01', 'testuser02']
+    .map((username) => ({ username: username, password: 'Abc123!@', fname: 'Test' }));
+    const usernames = users.map(u => u.username);
+
+    // Create the test users
+    await UserController.create(adminUser, users);
+
+    // Find the first user and count all of the users
+    const foundUsers = await UserController.find(adminUser, usernames,
+      { limit: 1, count: true });
+    chai.expect(foundUsers.length).to.equal(1);
+    chai.expect(foundUsers.pageInfo.total).to.equal(3);
+
+    // Verify the total is not counted by default
+    const uncounted = await UserController.find(adminUser, usernames, { limit: 1 });
+    chai.expect(uncounted.pageInfo.total).to.equal(undefined);
+
+    // Remove test users
+    await UserController.remove(adminUser, usernames);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
 /**
  * @description Validates that the populate option when specified with the update
  * function will cause the returned objects to populate the specified fields with objects.
@@ -1266,3 +1367,258 @@ async function optionSortSearch() {
     chai.expect(error.message).to.equal(null);
   }
 }
+
+/**
+ * @description Verifies that passwords are validated against the password
+ * policy in the config, and against the default policy if none is defined.
+ */
+function passwordPolicy() {
+  const policy = M.config.auth.password;
+  try {
+    delete M.config.auth.password;
+    chai.expect(LocalStrategy.validatePassword('Abcdef1!')).to.equal(true);
+    chai.expect(LocalStrategy.validatePassword('abcdefg1!')).to.equal(false);
+
+    M.config.auth.password = { minLength: 12, uppercase: 0, special: 0, digits: 2 };
+    chai.expect(LocalStrategy.validatePassword('abcdefghij12')).to.equal(true);
+    chai.expect(LocalStrategy.validatePassword('abcdefghijk1')).to.equal(false);
+    chai.expect(LocalStrategy.validatePassword('Abcdef1!')).to.equal(false);
+  }
+  finally {
+    M.config.auth.password = policy;
+  }
+}
+
+/**
+ * @description Verifies that a user whose password is older than the maximum
+ * age in the config must change their password after logging in.
+ */
+async function expirePassword() {
+  const policy = M.config.auth.password;
+  const user = await testUtils.createNonAdminUser();
+  try {
+    M.config.auth.password = { maxAge: { expires: 1, units: 'MILLISECONDS' } };
+    const req = { connection: { remoteAddress: '127.0.0.1' } };
+    const loggedIn = await LocalStrategy.handleBasicAuth(req, {}, user._id,
+      testData.users[1].password);
+    chai.expect(loggedIn.changePassword).to.equal(true);
+
+    const foundUser = await User.findOne({ _id: user._id });
+    chai.expect(foundUser.changePassword).to.equal(true);
+  }
+  finally {
+    M.config.auth.password = policy;
+    await testUtils.removeNonAdminUser();
+  }
+}
+
+/**
+ * @description Verifies that an account is locked after the number of failed
+ * logins in the lockout config, and that an admin can unlock it.
+ */
+async function lockAndUnlockUser() {
+  const lockout = M.config.auth.lockout;
+  const user = await testUtils.createNonAdminUser();
+  const req = { connection: { remoteAddress: '127.0.0.1' } };
+  try {
+    M.config.auth.lockout = { attempts: 2, window: 1, units: 'MINUTES' };
+
+    // The first failed login is within the allowed number of attempts
+    try {
+      await LocalStrategy.handleBasicAuth(req, {}, user._id, 'incorrect');
+      chai.assert.fail('Expected handleBasicAuth() to reject the password');
+    }
+    catch (error) {
+      chai.expect(error.message).to.equal('Invalid username or password.');
+    }
+
+    // The second failed login locks the account
+    try {
+      await LocalStrategy.handleBasicAuth(req, {}, user._id, 'incorrect');
+      chai.assert.fail('Expected handleBasicAuth() to lock the account');
+    }
+    catch (error) {
+      chai.expect(error.message).to.include(`Account '${user._id}' has been locked`);
+    }
+    const lockedUser = await User.findOne({ _id: user._id });
+    chai.expect(lockedUser.archived).to.equal(true);
+    chai.expect(lockedUser.lockedOn).to.not.equal(null);
+
+    // Unlock the account
+    const unlockedUser = await UserController.unlock(adminUser, user._id);
+    chai.expect(unlockedUser.archived).to.equal(false);
+    chai.expect(unlockedUser.lockedOn).to.equal(null);
+    chai.expect(unlockedUser.failedlogins).to.deep.equal([]);
+
+    // The user can log in again
+    const loggedIn = await LocalStrategy.handleBasicAuth(req, {}, user._id,
+      testData.users[1].password);
+    chai.expect(loggedIn._id).to.equal(user._id);
+  }
+  finally {
+    M.config.auth.lockout = lockout;
+    await testUtils.removeNonAdminUser();
+  }
+}
+
+/**
+ * @description Verifies that an account which was locked before the time of
+ * locking was recorded, which is archived after exceeding the allowed number of
+ * failed logins, is un-archived when unlocked, while an archived account
+ * without those failed logins stays archived.
+ */
+async function unlockPreviouslyLockedUser() {
+  const lockout = M.config.auth.lockout;
+  const user = await testUtils.createNonAdminUser();
+  const failedLogin = { ipaddress: '127.0.0.1', timestamp: Date.now() - 60000 };
+  try {
+    M.config.auth.lockout = { attempts: 3, window: 15, units: 'MINUTES' };
+
+    // An archived account with a single failed login was not locked
+    await User.updateOne({ _id: user._id }, { archived: true, failedlogins: [failedLogin] });
+    const archivedUser = await UserController.unlock(adminUser, user._id);
+    chai.expect(archivedUser.archived).to.equal(true);
+    chai.expect(archivedUser.failedlogins).to.deep.equal([]);
+
+    // Lock the account without recording the time of locking
+    await User.updateOne({ _id: user._id },
+      { archived: true, failedlogins: [failedLogin, failedLogin, failedLogin] });
+    const unlockedUser = await UserController.unlock(adminUser, user._id);
+    chai.expect(unlockedUser.archived).to.equal(false);
+    chai.expect(unlockedUser.failedlogins).to.deep.equal([]);
+  }
+  finally {
+    M.config.auth.lockout = lockout;
+    await testUtils.removeNonAdminUser();
+  }
+}
+
+/**
+ * @description Verifies that only system-wide admins can unlock accounts.
+ */
+async function rejectNonAdminUnlock() {
+  const user = await testUtils.createNonAdminUser();
+  try {
+    await UserController.unlock(user, adminUser._id);
+    chai.assert.fail('Expected unlock() to reject the non-admin user');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.PermissionError);
+    chai.expect(error.message).to.equal('User does not have permission to unlock users.');
+  }
+  finally {
+    await testUtils.removeNonAdminUser();
+  }
+}
+
+/**
+ * @description Verifies that a user can enroll in two-factor authentication,
+ * which is enabled once a code of the secret is confirmed, and that an admin
+ * can disable it.
+ */
+async function enrollTwoFactor() {
+  const user = await testUtils.createNonAdminUser();
+  try {
+    const enrollment = await UserController.enrollTwoFactor(user, user._id);
+    chai.expect(enrollment.uri).to.include('otpauth://totp/');
+    chai.expect(enrollment.uri).to.include(`secret=${enrollment.secret}`);
+    chai.expect(enrollment.recoveryCodes.length).to.equal(10);
+
+    // The secret is stored encrypted and the recovery codes are stored hashed
+    const enrolledUser = await User.findOne({ _id: user._id });
+    chai.expect(enrolledUser.twoFactor.enabled).to.equal(false);
+    chai.expect(enrolledUser.twoFactor.secret).to.not.equal(enrollment.secret);
+    chai.expect(mbeeCrypto.decrypt(enrolledUser.twoFactor.secret)).to.equal(enrollment.secret);
+    chai.expect(enrolledUser.twoFactor.recoveryCodes).to.not.include(enrollment.recoveryCodes[0]);
+
+    // An invalid code is rejected
+    try {
+      await UserController.confirmTwoFactor(user, user._id, 'abcdef');
+      chai.assert.fail('Expected confirmTwoFactor() to reject the code');
+    }
+    catch (error) {
+      chai.expect(error).to.be.an.instanceOf(M.DataFormatError);
+      chai.expect(error.message).to.equal('Invalid two-factor authentication code.');
+    }
+
+    // A valid code enables two-factor authentication
+    const code = totp.generateCode(enrollment.secret);
+    const enabledUser = await UserController.confirmTwoFactor(user, user._id, code);
+    chai.expect(enabledUser.twoFactor.enabled).to.equal(true);
+
+    // An admin can disable two-factor authentication
+    const disabledUser = await UserController.disableTwoFactor(adminUser, user._id);
+    chai.expect(disabledUser.twoFactor).to.equal(null);
+  }
+  finally {
+    await testUtils.removeNonAdminUser();
+  }
+}
+
+/**
+ * @description Verifies that a two-factor code cannot be used twice, and that
+ * invalid codes sent with Basic auth count as failed logins and lock the
+ * account, the same as invalid passwords.
+ */
+async function lockOutTwoFactor() {
+  const lockout = M.config.auth.lockout;
+  const user = await testUtils.createNonAdminUser();
+  const basic = Buffer.from(`${user._id}:${testData.users[1].password}`).toString('base64');
+
+  // Authenticates the user with their password and a code, resolving the response
+  const login = (code) => new Promise((resolve) => {
+    const req = {
+      headers: { authorization: `Basic ${basic}`, 'x-mbee-otp': code },
+      originalUrl: '/api/login',
+      connection: { remoteAddress: '127.0.0.1' },
+      flash: () => {}
+    };
+    const res = { status: (status) => ({ send: (message) => resolve({ status, message }) }) };
+    Auth.authenticate(req, res, () => resolve({ status: 200, user: req.user }));
+  });
+
+  try {
+    M.config.auth.lockout = { attempts: 2, window: 1, units: 'MINUTES' };
+    const enrollment = await UserController.enrollTwoFactor(user, user._id);
+    await UserController.confirmTwoFactor(user, user._id, totp.generateCode(enrollment.secret));
+
+    // A code of the next period is accepted once
+    const code = totp.generateCode(enrollment.secret, Date.now() + 30 * 1000);
+    chai.expect((await login(code)).status).to.equal(200);
+    const replayed = await login(code);
+    chai.expect(replayed.status).to.equal(401);
+    chai.expect(replayed.message).to.equal('Invalid two-factor authentication code.');
+    const failedUser = await User.findOne({ _id: user._id });
+    chai.expect(failedUser.failedlogins.length).to.equal(1);
+
+    // The second invalid code locks the account
+    await login(totp.generateCode(enrollment.secret, Date.now() - 10 * 60 * 1000));
+    const lockedUser = await User.findOne({ _id: user._id });
+    chai.expect(lockedUser.archived).to.equal(true);
+    chai.expect(lockedUser.lockedOn).to.not.equal(null);
+  }
+  finally {
+    M.config.auth.lockout = lockout;
+    await testUtils.removeNonAdminUser();
+  }
+}
+
+/**
+ * @description Verifies that users cannot enroll other users in two-factor
+ * authentication, even as a system-wide admin.
+ */
+async function rejectEnrollOtherUser() {
+  const user = await testUtils.createNonAdminUser();
+  try {
+    await UserController.enrollTwoFactor(adminUser, user._id);
+    chai.assert.fail('Expected enrollTwoFactor() to reject the admin user');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.PermissionError);
+    chai.expect(error.message).to.equal('Users can only enroll themselves in two-factor '
+      + 'authentication.');
+  }
+  finally {
+    await testUtils.removeNonAdminUser();
+  }
+}
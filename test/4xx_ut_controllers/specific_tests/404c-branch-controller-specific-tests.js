@@ -18,10 +18,23 @@
 
 // NPM modules
 const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// Use async chai
+chai.use(chaiAsPromised);
+// Initialize chai should function, used for expecting promise rejections
+const should = chai.should(); // eslint-disable-line no-unused-vars
 
 // MBEE modules
+const ArtifactController = M.require('controllers.artifact-controller');
 const BranchController = M.require('controllers.branch-controller');
+const ElementController = M.require('controllers.element-controller');
+const OrgController = M.require('controllers.organization-controller');
+const ProjectController = M.require('controllers.project-controller');
 const Branch = M.require('models.branch');
+const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
+const EventEmitter = M.require('lib.events');
 const utils = M.require('lib.utils');
 
 /* --------------------( Test Data )-------------------- */
@@ -109,6 +122,29 @@ describe(M.getModuleName(module.filename), () => {
   it('should populate the return object from update', optionPopulateUpdate);
   it('should only return specified fields from update', optionFieldsUpdate);
   // ------------- Remove -------------
+  // -------------- Diff --------------
+  it('should find the differences between two branches', diffBranches);
+  it('should find the differences between a tag and a branch', diffTag);
+  // -------------- Merge -------------
+  it('should compute a merge without applying it', mergeDryRun);
+  it('should merge a branch into its source branch', mergeBranches);
+  it('should report conflicts when an element changed on both branches', mergeConflict);
+  it('should leave the target branch unchanged if a merge fails', mergeRollback);
+  // ----------- Protection -----------
+  it('should restrict changes to the elements of a protected branch', protectBranch);
+  // ---------- Copy-On-Write ---------
+  it('should create a branch without copying the elements of its source', copyOnWriteCreate);
+  it('should not change the source branch when an element is updated on a'
+    + ' copy-on-write branch', copyOnWriteUpdate);
+  it('should not change a copy-on-write branch when an element is updated on'
+    + ' its source branch', copyOnWriteUpdateSource);
+  it('should not find elements deleted from a copy-on-write branch', copyOnWriteRemove);
+  it('should not find elements created on the source branch after the'
+    + ' copy-on-write branch was created', copyOnWriteCreateSource);
+  it('should page, count and stream the elements of a copy-on-write branch',
+    copyOnWritePaging);
+  it('should keep the elements of a copy-on-write branch when its source is'
+    + ' deleted', copyOnWriteRemoveSource);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -765,3 +801,577 @@ async function optionFieldsUpdate() {
     chai.expect(error.message).to.equal(null);
   }
 }
+
+/**
+ * @description Validates that the added, removed and modified elements between
+ * two branches are found.
+ */
+async function diffBranches() {
+  try {
+    // Select the branches to compare
+    const branchID = utils.parseID(branches[3]._id).pop();
+    const otherBranchID = utils.parseID(branches[4]._id).pop();
+
+    // Create three elements on the first branch and two on the second
+    await ElementController.create(adminUser, org._id, projID, branchID,
+      testData.elements.slice(0, 3));
+    await ElementController.create(adminUser, org._id, projID, otherBranchID,
+      testData.elements.slice(0, 2));
+
+    // Modify an element on the second branch
+    const elemID = testData.elements[0].id;
+    await ElementController.update(adminUser, org._id, projID, otherBranchID,
+      { id: elemID, documentation: 'Diff documentation' });
+
+    // Compare the branches
+    const changes = await BranchController.diff(adminUser, org._id, projID, branchID,
+      otherBranchID);
+
+    // Verify that the missing element is reported as removed
+    chai.expect(changes.elements.added.length).to.equal(0);
+    chai.expect(changes.elements.removed.length).to.equal(1);
+    chai.expect(utils.parseID(changes.elements.removed[0]._id).pop())
+    .to.equal(testData.elements[2].id);
+
+    // Verify that only the updated field is reported as modified
+    chai.expect(changes.elements.modified.length).to.equal(1);
+    chai.expect(changes.elements.modified[0].id).to.equal(elemID);
+    chai.expect(changes.elements.modified[0].changes).to.deep.equal({
+      documentation: {
+        before: testData.elements[0].documentation,
+        after: 'Diff documentation'
+      }
+    });
+
+    // There should be no artifact changes
+    chai.expect(changes.artifacts.added.length).to.equal(0);
+    chai.expect(changes.artifacts.removed.length).to.equal(0);
+    chai.expect(changes.artifacts.modified.length).to.equal(0);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that a tag can be compared with a branch.
+ */
+async function diffTag() {
+  try {
+    // Select the tag and the branch to compare
+    const tagID = utils.parseID(branches[6]._id).pop();
+    const branchID = utils.parseID(branches[3]._id).pop();
+    chai.expect(branches[6].tag).to.equal(true);
+
+    // Compare the tag with the branch
+    const changes = await BranchController.diff(adminUser, org._id, projID, tagID, branchID);
+
+    // The elements created on the branch should be reported as added
+    const addedIDs = changes.elements.added.map(e => utils.parseID(e._id).pop());
+    chai.expect(addedIDs.sort()).to.deep.equal(
+      testData.elements.slice(0, 3).map(e => e.id).sort()
+    );
+    chai.expect(changes.elements.removed.length).to.equal(0);
+    chai.expect(changes.elements.modified.length).to.equal(0);
+
+    // Compare the branch with the tag
+    const reverseChanges = await BranchController.diff(adminUser, org._id, projID,
+      branchID, tagID);
+
+    // The elements created on the branch should be reported as removed
+    chai.expect(reverseChanges.elements.added.length).to.equal(0);
+    chai.expect(reverseChanges.elements.removed.length).to.equal(3);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that a dry run merge reports the changes without
+ * applying them.
+ */
+async function mergeDryRun() {
+  try {
+    const mergeBranch = { id: 'mergebranch', name: 'Merge Branch', source: 'master' };
+    const elemIDs = testData.elements.slice(0, 2).map(e => e.id);
+
+    // Create a branch, and add elements to it
+    await BranchController.create(adminUser, org._id, projID, mergeBranch);
+    await ElementController.create(adminUser, org._id, projID, mergeBranch.id,
+      testData.elements.slice(0, 2));
+
+    // Perform a dry run merge into master
+    const result = await BranchController.merge(adminUser, org._id, projID, mergeBranch.id,
+      'master', { dryRun: true });
+
+    // Verify the added elements are reported, but not merged
+    chai.expect(result.dryRun).to.equal(true);
+    chai.expect(result.merged).to.equal(false);
+    chai.expect(result.conflicts.length).to.equal(0);
+    chai.expect(result.elements.added.sort()).to.deep.equal(elemIDs.sort());
+    chai.expect(result.elements.modified.length).to.equal(0);
+    chai.expect(result.elements.removed.length).to.equal(0);
+
+    // Verify the elements do not exist on master
+    const foundElements = await ElementController.find(adminUser, org._id, projID, 'master',
+      elemIDs);
+    chai.expect(foundElements.length).to.equal(0);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that a branch can be merged into its source branch.
+ */
+async function mergeBranches() {
+  try {
+    const elemData = testData.elements.slice(0, 2);
+
+    // Merge the branch into master
+    const result = await BranchController.merge(adminUser, org._id, projID, 'mergebranch',
+      'master');
+
+    // Verify the elements were merged
+    chai.expect(result.merged).to.equal(true);
+    chai.expect(result.conflicts.length).to.equal(0);
+    chai.expect(result.elements.added.length).to.equal(elemData.length);
+
+    // Verify the elements exist on master
+    const foundElements = await ElementController.find(adminUser, org._id, projID, 'master',
+      elemData.map(e => e.id));
+    chai.expect(foundElements.length).to.equal(elemData.length);
+    foundElements.forEach((elem) => {
+      const data = elemData.find(e => e.id === utils.parseID(elem._id).pop());
+      chai.expect(elem.name).to.equal(data.name);
+      chai.expect(elem.branch).to.equal(utils.createID(org._id, projID, 'master'));
+      chai.expect(elem.parent).to.equal(utils.createID(org._id, projID, 'master', data.parent));
+    });
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that conflicting changes are reported and not merged.
+ */
+async function mergeConflict() {
+  try {
+    const elemID = testData.elements[0].id;
+
+    // Update the same element differently on both branches
+    await ElementController.update(adminUser, org._id, projID, 'mergebranch',
+      { id: elemID, name: 'Merge branch name' });
+    await ElementController.update(adminUser, org._id, projID, 'master',
+      { id: elemID, name: 'Master branch name' });
+
+    // Attempt to merge the branch into master
+    const result = await BranchController.merge(adminUser, org._id, projID, 'mergebranch',
+      'master');
+
+    // Verify the conflict was reported and nothing was merged
+    chai.expect(result.merged).to.equal(false);
+    chai.expect(result.conflicts.length).to.equal(1);
+    chai.expect(result.conflicts[0].id).to.equal(elemID);
+    chai.expect(result.conflicts[0].type).to.equal('element');
+    chai.expect(result.conflicts[0].source).to.equal('modified');
+
+    // Verify the element on master was not changed
+    const foundElements = await ElementController.find(adminUser, org._id, projID, 'master',
+      elemID);
+    chai.expect(foundElements[0].name).to.equal('Master branch name');
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that the changes of a merge are applied in a single
+ * transaction, so the target branch is unchanged and no events are emitted if
+ * any write of the merge fails.
+ */
+async function mergeRollback() {
+  const branchData = { id: 'rollbackbranch', name: 'Rollback Branch', source: 'master' };
+  const elemData = { id: 'rollback-elem', name: 'Rollback Element' };
+  const insertMany = ElementRevision.insertMany;
+  const emitted = [];
+  const listener = (envelope) => {
+    if (envelope.branch === 'master') emitted.push('elements-created');
+  };
+
+  await BranchController.create(adminUser, org._id, projID, branchData);
+  await ElementController.create(adminUser, org._id, projID, branchData.id, elemData);
+
+  // Fail to record the revisions of the merged elements, after they are inserted
+  ElementRevision.insertMany = async () => {
+    throw new M.DatabaseError('Failed to insert the revisions.', 'warn');
+  };
+  EventEmitter.on('elements-created', listener);
+  try {
+    await BranchController.merge(adminUser, org._id, projID, branchData.id, 'master');
+    chai.assert.fail('Expected merge() to reject the failed write');
+  }
+  catch (error) {
+    chai.expect(error.message).to.equal('Failed to insert the revisions.');
+  }
+  finally {
+    ElementRevision.insertMany = insertMany;
+    EventEmitter.removeListener('elements-created', listener);
+  }
+
+  // Verify the element was not merged into master, and no event was emitted
+  const foundElements = await ElementController.find(adminUser, org._id, projID, 'master',
+    elemData.id);
+  chai.expect(foundElements.length).to.equal(0);
+  chai.expect(emitted).to.deep.equal([]);
+
+  await BranchController.remove(adminUser, org._id, projID, branchData.id);
+}
+
+/**
+ * @description Validates that the protection rules of a branch are changed by
+ * project admins, and restrict which users can change the elements of the
+ * branch.
+ */
+async function protectBranch() {
+  try {
+    const elemID = testData.elements[0].id;
+
+    // Create the non-admin user and give them write permissions on the project
+    const user = await testUtils.createNonAdminUser();
+    const orgUpdate = { id: org._id, permissions: {} };
+    orgUpdate.permissions[user._id] = 'read';
+    await OrgController.update(adminUser, orgUpdate);
+    const projUpdate = { id: projID, permissions: {} };
+    projUpdate.permissions[user._id] = 'write';
+    await ProjectController.update(adminUser, org._id, projUpdate);
+
+    // Only allow the non-admin user to change the elements of master
+    let branch = await BranchController.updateProtection(adminUser, org._id, projID, 'master',
+      { writers: [user._id] });
+    chai.expect(branch.protection).to.deep.equal({
+      writers: [user._id], adminOnly: false, requireMerge: false
+    });
+
+    // Verify the non-admin user can update an element
+    await ElementController.update(user, org._id, projID, 'master',
+      { id: elemID, name: 'Protected branch name' });
+
+    // Require merges, the other rules are unchanged
+    branch = await BranchController.updateProtection(adminUser, org._id, projID, 'master',
+      { requireMerge: true });
+    chai.expect(branch.protection).to.deep.equal({
+      writers: [user._id], adminOnly: false, requireMerge: true
+    });
+
+    // Verify the non-admin user can no longer update the element directly
+    await ElementController.update(user, org._id, projID, 'master',
+      { id: elemID, name: 'Unmerged name' })
+    .should.eventually.be.rejectedWith('The protected branch [master] can only be changed by '
+      + 'merging another branch into it.');
+
+    // Verify the non-admin user cannot create an artifact directly either
+    await ArtifactController.create(user, org._id, projID, 'master',
+      Object.assign({}, testData.artifacts[0], { id: 'protected-artifact' }))
+    .should.eventually.be.rejectedWith('The protected branch [master] can only be changed by '
+      + 'merging another branch into it.');
+
+    // Verify the non-admin user cannot change the protection rules
+    await BranchController.updateProtection(user, org._id, projID, 'master',
+      { requireMerge: false })
+    .should.eventually.be.rejectedWith('User does not have permission to protect branches in '
+      + `the project [${projID}].`);
+
+    // Verify writers must have write permissions on the project
+    await BranchController.updateProtection(adminUser, org._id, projID, 'master',
+      { writers: ['notauser'] })
+    .should.eventually.be.rejectedWith('The following users do not have write permissions on '
+      + 'the project: [notauser].');
+
+    // Remove the protection rules and the non-admin user
+    await BranchController.updateProtection(adminUser, org._id, projID, 'master',
+      { writers: [], requireMerge: false });
+    await testUtils.removeNonAdminUser();
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that a new branch does not store the elements of its
+ * source branch, but still finds them through the source branch.
+ */
+async function copyOnWriteCreate() {
+  try {
+    const cowBranch = { id: 'cowbranch', name: 'Copy-On-Write Branch', source: 'master' };
+    const cowBranchID = utils.createID(org._id, projID, cowBranch.id);
+
+    // Create the branch
+    const createdBranches = await BranchController.create(adminUser, org._id, projID,
+      cowBranch);
+    chai.expect(createdBranches.length).to.equal(1);
+
+    // Verify no elements were stored on the new branch
+    const storedElements = await Element.find({ branch: cowBranchID }, null);
+    chai.expect(storedElements.length).to.equal(0);
+
+    // Verify the elements of master are found on the new branch
+    const masterElements = await ElementController.find(adminUser, org._id, projID, 'master');
+    const cowElements = await ElementController.find(adminUser, org._id, projID, cowBranch.id);
+    chai.expect(cowElements.length).to.equal(masterElements.length);
+    chai.expect(cowElements.map(e => utils.parseID(e._id).pop())).to.have.members(
+      masterElements.map(e => utils.parseID(e._id).pop())
+    );
+    cowElements.forEach((elem) => {
+      chai.expect(elem.branch).to.equal(cowBranchID);
+      if (elem.parent) {
+        chai.expect(utils.parseID(elem.parent).slice(0, 3)).to.deep.equal(
+          utils.parseID(cowBranchID)
+        );
+      }
+    });
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that updating an inherited element on a copy-on-write
+ * branch does not change the element on the source branch.
+ */
+async function copyOnWriteUpdate() {
+  try {
+    const elemData = testData.elements[1];
+    const cowBranchID = utils.createID(org._id, projID, 'cowbranch');
+
+    // Update the element on the copy-on-write branch
+    await ElementController.update(adminUser, org._id, projID, 'cowbranch',
+      { id: elemData.id, name: 'Copy-on-write name' });
+
+    // Verify only the updated element is stored on the branch
+    const storedElements = await Element.find({ branch: cowBranchID }, null);
+    chai.expect(storedElements.map(e => e._id)).to.deep.equal(
+      [utils.createID(cowBranchID, elemData.id)]
+    );
+
+    // Verify the element was updated on the branch
+    const cowElements = await ElementController.find(adminUser, org._id, projID, 'cowbranch',
+      elemData.id);
+    chai.expect(cowElements[0].name).to.equal('Copy-on-write name');
+
+    // Verify the element was not updated on master
+    const masterElements = await ElementController.find(adminUser, org._id, projID, 'master',
+      elemData.id);
+    chai.expect(masterElements[0].name).to.equal(elemData.name);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that updating an element on the source branch does not
+ * change the element inherited by a copy-on-write branch.
+ */
+async function copyOnWriteUpdateSource() {
+  try {
+    const elemData = testData.elements[0];
+
+    // Find the element on the copy-on-write branch before the update
+    const beforeElements = await ElementController.find(adminUser, org._id, projID,
+      'cowbranch', elemData.id);
+    chai.expect(beforeElements.length).to.equal(1);
+
+    // Update the element on master
+    await ElementController.update(adminUser, org._id, projID, 'master',
+      { id: elemData.id, documentation: 'Master documentation' });
+
+    // Verify the element on the copy-on-write branch was not changed
+    const cowElements = await ElementController.find(adminUser, org._id, projID, 'cowbranch',
+      elemData.id);
+    chai.expect(cowElements.length).to.equal(1);
+    chai.expect(cowElements[0].documentation).to.equal(beforeElements[0].documentation);
+    chai.expect(cowElements[0].name).to.equal(beforeElements[0].name);
+
+    // Verify the element on master was changed
+    const masterElements = await ElementController.find(adminUser, org._id, projID, 'master',
+      elemData.id);
+    chai.expect(masterElements[0].documentation).to.equal('Master documentation');
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that an inherited element deleted from a
+ * copy-on-write branch is no longer found on the branch, but is still found on
+ * the source branch.
+ */
+async function copyOnWriteRemove() {
+  try {
+    const elemID = testData.elements[1].id;
+
+    // Delete the element from the copy-on-write branch
+    const deletedIDs = await ElementController.remove(adminUser, org._id, projID, 'cowbranch',
+      elemID);
+    chai.expect(deletedIDs).to.include(utils.createID(org._id, projID, 'cowbranch', elemID));
+
+    // Verify the element is not found on the branch
+    const cowElements = await ElementController.find(adminUser, org._id, projID, 'cowbranch',
+      elemID);
+    chai.expect(cowElements.length).to.equal(0);
+
+    // Verify the element is still found on master
+    const masterElements = await ElementController.find(adminUser, org._id, projID, 'master',
+      elemID);
+    chai.expect(masterElements.length).to.equal(1);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that elements created on the source branch after a
+ * copy-on-write branch was created are not found on the copy-on-write branch.
+ */
+async function copyOnWriteCreateSource() {
+  try {
+    const elemData = Object.assign({}, testData.elements[3], { parent: 'model' });
+
+    // Create the element on master
+    await ElementController.create(adminUser, org._id, projID, 'master', elemData);
+
+    // Verify the element is not found on the copy-on-write branch
+    const cowElements = await ElementController.find(adminUser, org._id, projID, 'cowbranch',
+      elemData.id);
+    chai.expect(cowElements.length).to.equal(0);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that pages, counts and cursors of a copy-on-write
+ * branch only contain the elements found through its lineage, in the same
+ * order as a single find.
+ */
+async function copyOnWritePaging() {
+  try {
+    const options = { sort: 'name', limit: 1000 };
+    const allElements = await ElementController.find(adminUser, org._id, projID, 'cowbranch',
+      Object.assign({}, options));
+    chai.expect(allElements.length).to.be.above(4);
+
+    // Verify the elements are sorted by name, then by id
+    const sorted = allElements.slice().sort((a, b) => {
+      if (a.name !== b.name) return (a.name < b.name) ? -1 : 1;
+      return (a._id < b._id) ? -1 : 1;
+    });
+    chai.expect(allElements.map(e => e._id)).to.deep.equal(sorted.map(e => e._id));
+
+    // Verify the deleted element and the element created on master are not found
+    const ids = allElements.map(e => utils.parseID(e._id).pop());
+    chai.expect(ids).to.not.include(testData.elements[1].id);
+    chai.expect(ids).to.not.include(testData.elements[3].id);
+
+    // Find a page of elements, and the page after it
+    const page = await ElementController.find(adminUser, org._id, projID, 'cowbranch',
+      { sort: 'name', skip: 1, limit: 2, count: true });
+    chai.expect(page.map(e => e._id)).to.deep.equal(allElements.slice(1, 3).map(e => e._id));
+    chai.expect(page.pageInfo.total).to.equal(allElements.length);
+    const nextPage = await ElementController.find(adminUser, org._id, projID, 'cowbranch',
+      { sort: 'name', limit: 2, after: page.pageInfo.next });
+    chai.expect(nextPage.map(e => e._id)).to.deep.equal(allElements.slice(3, 5).map(e => e._id));
+
+    // Verify a cursor returns the same elements in the same order
+    const cursor = await ElementController.findCursor(adminUser, org._id, projID, 'cowbranch',
+      Object.assign({}, options));
+    const cursorElements = [];
+    let element = await cursor.next();
+    while (element !== null) {
+      cursorElements.push(element);
+      element = await cursor.next(); // eslint-disable-line no-await-in-loop
+    }
+    await cursor.close();
+    chai.expect(cursorElements.map(e => e._id)).to.deep.equal(allElements.map(e => e._id));
+    cursorElements.forEach((elem) => {
+      chai.expect(elem.branch).to.equal(utils.createID(org._id, projID, 'cowbranch'));
+    });
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that a copy-on-write branch keeps the elements it
+ * inherited when its source branch is deleted.
+ */
+async function copyOnWriteRemoveSource() {
+  try {
+    const childBranch = { id: 'cowchild', name: 'Copy-On-Write Child', source: 'cowbranch' };
+
+    // Create a branch from the copy-on-write branch
+    await BranchController.create(adminUser, org._id, projID, childBranch);
+    const beforeElements = await ElementController.find(adminUser, org._id, projID,
+      childBranch.id);
+
+    // Delete the source branch
+    await BranchController.remove(adminUser, org._id, projID, 'cowbranch');
+
+    // Verify the child branch still finds the same elements
+    const afterElements = await ElementController.find(adminUser, org._id, projID,
+      childBranch.id);
+    chai.expect(afterElements.length).to.equal(beforeElements.length);
+    afterElements.forEach((elem) => {
+      const before = beforeElements.find(e => e._id === elem._id);
+      chai.expect(before).to.not.equal(undefined);
+      chai.expect(elem.name).to.equal(before.name);
+    });
+
+    // Verify the child branch now stores its own copy of the elements
+    const foundBranch = await Branch.findOne({ _id: utils.createID(org._id, projID,
+      childBranch.id) }, null);
+    chai.expect(foundBranch.copyOnWrite).to.equal(false);
+    const storedElements = await Element.find({ branch: foundBranch._id }, null);
+    chai.expect(storedElements.length).to.equal(afterElements.length);
+  }
+  catch (error) {
+    M.log.error(error.message);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
@@ -23,9 +23,16 @@ const chai = require('chai');
 // MBEE modules
 const ElementController = M.require('controllers.element-controller');
 const ProjectController = M.require('controllers.project-controller');
+const OrgController = M.require('controllers.organization-controller');
 const Element = M.require('models.element');
+const Project = M.require('models.project');
+const ElementRevision = M.require('models.element-revision');
+const Transaction = M.require('models.transaction');
+const db = M.require('db');
+const EventEmitter = M.require('lib.events');
 const jmi = M.require('lib.jmi-conversions');
 const utils = M.require('lib.utils');
+const publicData = M.require('lib.get-public-data');
 
 /* --------------------( Test Data )-------------------- */
 const testUtils = M.require('lib.test-utils');
@@ -163,6 +170,35 @@ describe(M.getModuleName(module.filename), () => {
     + 'from search()', optionSkipSearch);
   it('should sort search results', optionSortSearch);
   it('should search element via artifact reference.', artRefSearch);
+  it('should search with phrases, prefixes, fuzzy words and filters', searchQuerySyntax);
+  it('should only read the candidate elements of a search from the database', searchCandidates);
+  it('should default and cap the number of elements found by searchAll()', searchAllLimit);
+  it('should search the elements of every readable project in an org or globally', searchAll);
+  it('should only find the searched projects and branches from the database', searchAllQuery);
+  // ------------- History ------------
+  it('should record the history of an element', findElementHistory);
+  it('should find an element as it was at a previous time with the asOf option',
+    optionAsOfFind);
+  // --------------- XMI --------------
+  it('should export a subtree as XMI and import it without loss', exportImportXMI);
+  // ------------- Import -------------
+  it('should import valid elements and report the elements which failed', importElements);
+  // ------------- Cursor -------------
+  it('should find elements through a cursor', findCursor);
+  it('should reject options which cannot be used with a cursor', findCursorInvalidOption);
+  // -------------- Locks -------------
+  it('should lock an element and its subtree', lockElements);
+  it('should reject changes to elements locked by another user', rejectLockedChanges);
+  it('should only allow admins to break the locks of other users', breakLocks);
+  it('should reject updates to elements changed since their revisions', rejectRevisionConflicts);
+  // ---------- Type Profiles ---------
+  it('should reject elements which do not match the type profiles of the project',
+    enforceTypeProfiles);
+  // ---------- Transactions ----------
+  it('should undo every change of a transaction which fails', rollbackTransaction);
+  it('should roll back interrupted transactions on startup', recoverTransactions);
+  it('should keep the replaced elements if creating the new elements fails',
+    rollbackCreateOrReplace);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -1344,6 +1380,131 @@ async function optionSortSearch() {
   }
 }
 
+/**
+ * @description Validates that the elements of every project and branch the
+ * user can read are searched within an org or globally, and are grouped by
+ * their project and branch.
+ */
+async function searchAll() {
+  try {
+    await ElementController.create(adminUser, org._id, projIDs[0], branchID, {
+      id: 'search-all-block',
+      name: 'Fuel Pump',
+      type: 'Block',
+      custom: { group: 'searchall' }
+    });
+    await ElementController.create(adminUser, org._id, projIDs[1], branchID, {
+      id: 'search-all-interface',
+      name: 'Fuel Pump Interface',
+      type: 'Interface',
+      custom: { group: 'searchall' }
+    });
+    const query = 'fuel custom.group:searchall';
+
+    // Search the org, expecting a group for each project
+    const groups = await ElementController.searchAll(adminUser, org._id, query);
+    chai.expect(groups.map(g => g.project)).to.have.members([projIDs[0], projIDs[1]]);
+    groups.forEach((group) => {
+      chai.expect(group.org).to.equal(org._id);
+      chai.expect(group.branch).to.equal(branchID);
+      chai.expect(group.elements).to.have.lengthOf(1);
+    });
+
+    // Search every org, filtering on the type and project
+    const interfaces = await ElementController.searchAll(adminUser, null,
+      `type:Interface ${query}`);
+    chai.expect(interfaces.map(g => g.project)).to.deep.equal([projIDs[1]]);
+    chai.expect(interfaces[0].elements[0]._id).to.equal(utils.createID(org._id, projIDs[1],
+      branchID, 'search-all-interface'));
+    const filtered = await ElementController.searchAll(adminUser, null, query,
+      { project: projIDs[0] });
+    chai.expect(filtered.map(g => g.project)).to.deep.equal([projIDs[0]]);
+
+    // A user without permissions on the org cannot search it, and finds nothing globally
+    const user = await testUtils.createNonAdminUser();
+    try {
+      await ElementController.searchAll(user, org._id, query);
+      chai.assert.fail('Expected searchAll() to reject the unreadable org');
+    }
+    catch (error) {
+      chai.expect(error).to.be.an.instanceOf(M.PermissionError);
+      chai.expect(error.message).to.equal('User does not have permission to find the org '
+        + `[${org._id}].`);
+    }
+    chai.expect(await ElementController.searchAll(user, null, query)).to.deep.equal([]);
+
+    // Once the user can read the org, only the internal project is searched
+    const orgUpdate = { id: org._id, permissions: {} };
+    orgUpdate.permissions[user._id] = 'read';
+    await OrgController.update(adminUser, orgUpdate);
+    const readable = await ElementController.searchAll(user, null, query);
+    chai.expect(readable.map(g => g.project)).to.deep.equal([projIDs[1]]);
+
+    await testUtils.removeNonAdminUser();
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that searchAll() only finds the projects which the user
+ * can read and which match the project filters from the database, and that a
+ * search whose matches are sorted by ID stops once the requested page is
+ * filled.
+ */
+async function searchAllQuery() {
+  const find = Project.find;
+  const cursor = Element.cursor;
+  const foundProjects = [];
+  const searchedBranches = [];
+  const query = 'custom.group:searchall';
+
+  // Record the projects found and the branches searched
+  Project.find = async (...args) => {
+    const found = await find.apply(Project, args);
+    foundProjects.push(found.map(p => utils.parseID(p._id).pop()));
+    return found;
+  };
+  Element.cursor = (filter, projection, options) => {
+    searchedBranches.push(filter.branch);
+    return cursor.call(Element, filter, projection, options);
+  };
+
+  try {
+    // Only the filtered project is found
+    await ElementController.searchAll(adminUser, org._id, query, { project: projIDs[0] });
+    chai.expect(foundProjects).to.deep.equal([[projIDs[0]]]);
+
+    // Only the internal project is found for a user who can only read the org
+    const user = await testUtils.createNonAdminUser();
+    const orgUpdate = { id: org._id, permissions: {} };
+    orgUpdate.permissions[user._id] = 'read';
+    await OrgController.update(adminUser, orgUpdate);
+    foundProjects.length = 0;
+    await ElementController.searchAll(user, org._id, query);
+    chai.expect(foundProjects).to.deep.equal([[projIDs[1]]]);
+    await testUtils.removeNonAdminUser();
+
+    // Without scored words, the matches are sorted by ID and the branch sorted
+    // last is not searched once the first fills the page
+    const branchIDs = projIDs.slice(0, 2).map(p => utils.createID(org._id, p, branchID))
+    .sort((a, b) => ((`${a}:` < `${b}:`) ? -1 : 1));
+    searchedBranches.length = 0;
+    const groups = await ElementController.searchAll(adminUser, org._id, query, { limit: 1 });
+    chai.expect(groups.map(g => utils.createID(g.org, g.project, g.branch)))
+    .to.deep.equal([branchIDs[0]]);
+    chai.expect(searchedBranches).to.include(branchIDs[0]);
+    chai.expect(searchedBranches).to.not.include(branchIDs[1]);
+  }
+  finally {
+    Project.find = find;
+    Element.cursor = cursor;
+  }
+}
+
 /**
  * @description Validates that an element can be searched by artifact reference.
  */
@@ -1372,3 +1533,786 @@ async function artRefSearch() {
     chai.expect(error.message).to.equal(null);
   }
 }
+
+/**
+ * @description Validates that search results are matched by phrase, prefix,
+ * fuzzy words and filters, and are returned with their scores and highlights.
+ */
+async function searchQuerySyntax() {
+  try {
+    await ElementController.create(adminUser, org._id, projIDs[0], branchID, [{
+      id: 'search-fuel-pump',
+      name: 'Fuel Pump',
+      documentation: 'Pumps fuel from the tank to the <engine>.',
+      type: 'Block',
+      custom: { group: 'searchtest', status: 'open' }
+    },
+    {
+      id: 'search-oil-pumpkin',
+      name: 'Oil Pumpkin',
+      documentation: 'A spare part.',
+      type: 'Part',
+      custom: { group: 'searchtest', status: 'closed' }
+    },
+    {
+      id: 'search-fuel-tank',
+      name: 'Fuel Tank',
+      documentation: 'Stores fuel.',
+      type: 'Interface',
+      custom: { group: 'searchtest', status: 'open' }
+    }]);
+    const search = async (query, options) => (await ElementController.search(adminUser,
+      org._id, projIDs[0], branchID, `${query} custom.group:searchtest`, options))
+    .map(e => utils.parseID(e._id).pop());
+
+    // Phrases must be found, and are highlighted
+    const phrase = await ElementController.search(adminUser, org._id, projIDs[0], branchID,
+      '"fuel pump" custom.group:searchtest');
+    chai.expect(phrase.map(e => utils.parseID(e._id).pop())).to.deep.equal(['search-fuel-pump']);
+    chai.expect(phrase[0].score).to.be.above(0);
+    chai.expect(phrase[0].highlights.name).to.deep.equal(['<em>Fuel Pump</em>']);
+
+    // Exact words score higher than words matched by prefix
+    chai.expect(await search('pump*')).to.deep.equal(['search-fuel-pump', 'search-oil-pumpkin']);
+
+    // Fuzzy words match similar words, and matches in the name score higher
+    chai.expect(await search('tonk~')).to.deep.equal(['search-fuel-tank', 'search-fuel-pump']);
+    chai.expect(await search('tonk')).to.deep.equal([]);
+
+    // Required and excluded words
+    chai.expect(await search('+fuel -stores')).to.deep.equal(['search-fuel-pump']);
+
+    // Filters on fields, custom data and dates
+    chai.expect(await search('fuel type:(Block OR Part) -custom.status:closed '
+      + 'createdOn:[2020-01-01 TO *]')).to.deep.equal(['search-fuel-pump']);
+    chai.expect(await search('updatedOn:<2020-01-01')).to.deep.equal([]);
+
+    // Results can be sorted by other fields
+    chai.expect(await search('pump* fuel', { sort: 'name' })).to.deep.equal(['search-fuel-pump',
+      'search-fuel-tank', 'search-oil-pumpkin']);
+
+    // Highlighted text is escaped
+    const escaped = await ElementController.search(adminUser, org._id, projIDs[0], branchID,
+      'engine custom.group:searchtest');
+    chai.expect(escaped[0].highlights.documentation).to.deep.equal(
+      ['Pumps fuel from the tank to the &lt;<em>engine</em>&gt;.']
+    );
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that the words which must be found and the ranges of
+ * dates of a search are passed to the database, so that only the elements
+ * which may match are read and scored.
+ */
+async function searchCandidates() {
+  const cursor = Element.cursor;
+  const filters = [];
+  const read = [];
+
+  // Record the filter of each cursor and the elements it reads
+  Element.cursor = (filter, projection, options) => {
+    filters.push(filter);
+    const opened = cursor.call(Element, filter, projection, options);
+    return {
+      next: async () => {
+        const doc = await opened.next();
+        if (doc) read.push(utils.parseID(doc._id).pop());
+        return doc;
+      },
+      close: async () => opened.close()
+    };
+  };
+
+  try {
+    const found = await ElementController.search(adminUser, org._id, projIDs[0], branchID,
+      '+PUMP* "fuel pump" tonk~ -stores createdOn:>=2020-01-01');
+    chai.expect(found.map(e => utils.parseID(e._id).pop())).to.deep.equal(['search-fuel-pump']);
+
+    // Fuzzy and excluded words are only matched once the candidates are read,
+    // and prefixes are listed so they are not searched for as whole words
+    chai.expect(filters[0].$contains).to.deep.equal({
+      fields: ['name', 'documentation'],
+      all: ['pump', 'fuel'],
+      any: [],
+      prefixes: ['pump']
+    });
+    chai.expect(filters[0].$and).to.deep.include({ createdOn: { $gte: new Date('2020-01-01') } });
+    chai.expect(read).to.deep.equal(['search-fuel-pump']);
+
+    // If no word is required, one of the optional words must be found
+    filters.length = 0;
+    await ElementController.search(adminUser, org._id, projIDs[0], branchID, 'oil tank');
+    chai.expect(filters[0].$contains.any).to.deep.equal(['oil', 'tank']);
+  }
+  finally {
+    Element.cursor = cursor;
+  }
+}
+
+/**
+ * @description Verifies that searchAll() returns the configured default number
+ * of elements if no limit is provided, and caps the limit at the configured
+ * maximum.
+ */
+async function searchAllLimit() {
+  const search = M.config.server.api.search;
+  const ids = groups => [].concat(...groups.map(g => g.elements))
+  .map(e => utils.parseID(e._id).pop());
+  const query = 'fuel pump* custom.group:searchtest';
+
+  M.config.server.api.search = { defaultLimit: 1, maxLimit: 2 };
+  try {
+    // Only the best match is found by default
+    chai.expect(ids(await ElementController.searchAll(adminUser, null, query)))
+    .to.deep.equal(['search-fuel-pump']);
+
+    // The limit is capped, and pages are still found in order of score
+    const capped = ids(await ElementController.searchAll(adminUser, null, query, { limit: 5 }));
+    chai.expect(capped).to.have.lengthOf(2);
+    chai.expect(capped[0]).to.equal('search-fuel-pump');
+    chai.expect(ids(await ElementController.searchAll(adminUser, null, query,
+      { limit: 1, skip: 1 }))).to.deep.equal([capped[1]]);
+  }
+  finally {
+    M.config.server.api.search = search;
+  }
+}
+
+/**
+ * @description Verifies that the creation and updates of an element are
+ * recorded in its history, along with the values of the changed fields.
+ */
+async function findElementHistory() {
+  try {
+    // Create an element and update its name and documentation
+    const elemData = { id: 'historyelem', name: 'History Element' };
+    await ElementController.create(adminUser, org._id, projIDs[0], branchID, elemData);
+    const updateObj = { id: elemData.id, name: 'Updated Name', documentation: 'Updated' };
+    await ElementController.update(adminUser, org._id, projIDs[0], branchID, updateObj);
+
+    // Find the history of the element
+    const revisions = await ElementController.findHistory(adminUser, org._id, projIDs[0],
+      branchID, elemData.id);
+
+    // Verify the creation and update were recorded, in order
+    chai.expect(revisions.length).to.equal(2);
+    chai.expect(revisions[0].action).to.equal('created');
+    chai.expect(revisions[0].changes.name.after).to.equal(elemData.name);
+    chai.expect(revisions[0].createdBy).to.equal(adminUser._id);
+    chai.expect(revisions[1].action).to.equal('updated');
+    chai.expect(revisions[1].createdBy).to.equal(adminUser._id);
+
+    // Verify only the changed fields were recorded
+    chai.expect(Object.keys(revisions[1].changes)).to.have.members(['name', 'documentation']);
+    chai.expect(revisions[1].changes.name.before).to.equal(elemData.name);
+    chai.expect(revisions[1].changes.name.after).to.equal(updateObj.name);
+    chai.expect(revisions[1].changes.documentation.before).to.equal('');
+    chai.expect(revisions[1].changes.documentation.after).to.equal(updateObj.documentation);
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that the option 'asOf' returns elements as they were at
+ * the specified time, and does not return elements created after that time.
+ */
+async function optionAsOfFind() {
+  try {
+    // Create an element and record the time after it was created
+    const elemData = { id: 'asofelem', name: 'Original Name' };
+    await ElementController.create(adminUser, org._id, projIDs[0], branchID, elemData);
+    const asOf = Date.now();
+
+    // Wait to ensure the following changes are recorded after the asOf time
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Update the element and create another element
+    await ElementController.update(adminUser, org._id, projIDs[0], branchID,
+      { id: elemData.id, name: 'New Name' });
+    await ElementController.create(adminUser, org._id, projIDs[0], branchID,
+      { id: 'asofelem2' });
+
+    // Find the elements as they were at the asOf time
+    const foundElements = await ElementController.find(adminUser, org._id, projIDs[0],
+      branchID, [elemData.id, 'asofelem2'], { asOf: asOf });
+
+    // Verify only the first element was found, with its original name
+    chai.expect(foundElements.length).to.equal(1);
+    chai.expect(foundElements[0]._id).to.equal(
+      utils.createID(org._id, projIDs[0], branchID, elemData.id)
+    );
+    chai.expect(foundElements[0].name).to.equal(elemData.name);
+
+    // Verify the element is found in its current state without the asOf option
+    const currentElements = await ElementController.find(adminUser, org._id, projIDs[0],
+      branchID, elemData.id);
+    chai.expect(currentElements[0].name).to.equal('New Name');
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that a subtree exported as XMI, removed, and imported
+ * again is recreated with the same fields.
+ */
+async function exportImportXMI() {
+  try {
+    // Create a package containing a block and a relationship
+    const elemData = [
+      { id: 'xmipkg', name: 'XMI Package', type: 'Package', documentation: 'Line 1\nLine 2' },
+      {
+        id: 'xmiblock',
+        name: 'Block <1>',
+        type: 'Block',
+        parent: 'xmipkg',
+        custom: { level: { priority: 'high' }, tags: ['a', 'b'] }
+      },
+      {
+        id: 'xmirel',
+        name: 'Satisfy',
+        type: 'Satisfy',
+        parent: 'xmipkg',
+        source: 'xmiblock',
+        target: 'xmipkg',
+        archived: true
+      }
+    ];
+    const ids = elemData.map(e => e.id);
+    const created = await ElementController.create(adminUser, org._id, projIDs[0], branchID,
+      elemData);
+
+    // Export the package as XMI
+    const xmi = await ElementController.exportXMI(adminUser, org._id, projIDs[0], branchID,
+      { rootid: 'xmipkg' });
+    chai.expect(xmi.startsWith('<?xml')).to.equal(true);
+
+    // Remove the package and import the XMI
+    await ElementController.remove(adminUser, org._id, projIDs[0], branchID, 'xmipkg');
+    const imported = await ElementController.importXMI(adminUser, org._id, projIDs[0],
+      branchID, xmi);
+    chai.expect(imported.map(e => utils.parseID(e._id).pop())).to.have.members(ids);
+
+    // Verify the imported elements match the exported elements
+    const found = await ElementController.find(adminUser, org._id, projIDs[0], branchID, ids,
+      { includeArchived: true });
+    created.forEach((original) => {
+      const element = found.find(e => e._id === original._id);
+      chai.expect(element.name).to.equal(original.name);
+      chai.expect(element.type).to.equal(original.type);
+      chai.expect(element.documentation).to.equal(original.documentation);
+      chai.expect(element.custom).to.deep.equal(original.custom);
+      chai.expect(element.parent).to.equal(original.parent);
+      chai.expect(element.source).to.equal(original.source);
+      chai.expect(element.target).to.equal(original.target);
+      chai.expect(element.archived).to.equal(original.archived);
+    });
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that importElements() creates the valid elements,
+ * including elements whose parent is created later in the import, and reports
+ * the index and error of each element which failed.
+ */
+async function importElements() {
+  try {
+    const elemData = [
+      { id: 'importchild', name: 'Import Child', parent: 'importparent' },
+      { id: 'importinvalid', name: 'Import Invalid', parent: 'importmissing' },
+      { id: 'importparent', name: 'Import Parent' },
+      { id: 'importparent', name: 'Duplicate Import Parent' }
+    ];
+
+    // Import the elements
+    const result = await ElementController.importElements(adminUser, org._id, projIDs[0],
+      branchID, elemData);
+
+    // Verify the child was created after its parent
+    const importedIDs = result.elements.map(e => utils.parseID(e._id).pop());
+    chai.expect(importedIDs).to.deep.equal(['importchild', 'importparent']);
+    chai.expect(result.elements[0].parent).to.equal(
+      utils.createID(org._id, projIDs[0], branchID, 'importparent')
+    );
+
+    // Verify the missing parent and duplicate ID were reported
+    chai.expect(result.errors.map(e => e.index)).to.deep.equal([1, 3]);
+    chai.expect(result.errors.map(e => e.id)).to.deep.equal(['importinvalid', 'importparent']);
+
+    // Update the elements, one of which does not exist
+    const updated = await ElementController.importElements(adminUser, org._id, projIDs[0],
+      branchID, [{ id: 'importchild', name: 'Updated' }, { id: 'importinvalid', name: 'None' }],
+      { update: true });
+    chai.expect(updated.elements.length).to.equal(1);
+    chai.expect(updated.elements[0].name).to.equal('Updated');
+    chai.expect(updated.errors.map(e => e.id)).to.deep.equal(['importinvalid']);
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that a cursor returns the same elements as find(),
+ * one element at a time, and supports the search and sort options.
+ */
+async function findCursor() {
+  try {
+    const options = { parent: 'model', sort: 'name' };
+    const foundElements = await ElementController.find(adminUser, org._id, projIDs[0],
+      branchID, Object.assign({}, options));
+
+    // Open a cursor with the same options and read every element
+    const cursor = await ElementController.findCursor(adminUser, org._id, projIDs[0],
+      branchID, Object.assign({}, options));
+    const cursorElements = [];
+    let element = await cursor.next();
+    while (element !== null) {
+      cursorElements.push(element);
+      element = await cursor.next(); // eslint-disable-line no-await-in-loop
+    }
+    await cursor.close();
+
+    // Verify the cursor returned the same elements in the same order
+    chai.expect(cursorElements.map(e => e._id)).to.deep.equal(foundElements.map(e => e._id));
+
+    // Verify a cursor over specific elements only returns those elements
+    const ids = foundElements.slice(0, 1).map(e => utils.parseID(e._id).pop());
+    const idCursor = await ElementController.findCursor(adminUser, org._id, projIDs[0],
+      branchID, ids);
+    const first = await idCursor.next();
+    chai.expect(first._id).to.equal(foundElements[0]._id);
+    chai.expect(await idCursor.next()).to.equal(null);
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that options which require every element to be found
+ * first cannot be used when opening a cursor.
+ */
+async function findCursorInvalidOption() {
+  try {
+    await ElementController.findCursor(adminUser, org._id, projIDs[0], branchID,
+      { subtree: true });
+    chai.assert.fail('Expected findCursor() to reject the subtree option');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.DataFormatError);
+    chai.expect(error.message).to.equal('The option \'subtree\' cannot be used when '
+      + 'streaming elements.');
+  }
+}
+
+/**
+ * @description Verifies that an element and its subtree are locked by the
+ * requesting user until the timeout, and that the lock holder is shown in the
+ * public data of the elements.
+ */
+async function lockElements() {
+  try {
+    // Create the non-admin user and give them write permissions on the project
+    const user = await testUtils.createNonAdminUser();
+    const orgUpdate = { id: org._id, permissions: {} };
+    orgUpdate.permissions[user._id] = 'read';
+    await OrgController.update(adminUser, orgUpdate);
+    const projUpdate = { id: projIDs[0], permissions: {} };
+    projUpdate.permissions[user._id] = 'write';
+    await ProjectController.update(adminUser, org._id, projUpdate);
+
+    // Find the element and its subtree
+    const elemID = utils.parseID(elements[2]._id).pop();
+    const subtree = await ElementController.find(adminUser, org._id, projIDs[0], branchID,
+      elemID, { subtree: true, includeArchived: true });
+
+    // Lock the element and its subtree for 10 minutes
+    const before = Date.now();
+    const lockedElements = await ElementController.lock(user, org._id, projIDs[0], branchID,
+      elemID, { subtree: true, timeout: 10 });
+
+    // Expect the element and every element in its subtree to be locked
+    chai.expect(lockedElements.map(e => e._id)).to.have.members(subtree.map(e => e._id));
+    lockedElements.forEach((elem) => {
+      chai.expect(elem.lockedBy).to.equal(user._id);
+      chai.expect(new Date(elem.lockExpiresOn).getTime()).to.be.at.least(before + 10 * 60000);
+    });
+
+    // Verify the lock holder is shown in the public data of the element
+    const data = publicData.getPublicData(adminUser, lockedElements.find(e => e._id
+      === elements[2]._id), 'element', {});
+    chai.expect(data.lockedBy).to.equal(user._id);
+    chai.expect(data.lockExpiresOn).to.be.a('string');
+
+    // Verify the lock holder can still update the element
+    const updated = await ElementController.update(user, org._id, projIDs[0], branchID,
+      { id: elemID, name: 'Checked out element' });
+    chai.expect(updated[0].name).to.equal('Checked out element');
+    chai.expect(updated[0].lockedBy).to.equal(user._id);
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that elements locked by another user cannot be
+ * updated, deleted or locked, even by admins.
+ */
+async function rejectLockedChanges() {
+  const elemID = utils.parseID(elements[2]._id).pop();
+  const message = `The following elements are locked by other users: [${elemID} `
+    + `(${testData.users[1].username})`;
+
+  // Attempt to update the locked element
+  try {
+    await ElementController.update(adminUser, org._id, projIDs[0], branchID,
+      { id: elemID, name: 'Overwritten name' });
+    chai.assert.fail('Expected update() to reject the locked element');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.OperationError);
+    chai.expect(error.message.startsWith(message)).to.equal(true);
+  }
+
+  // Attempt to lock the locked element
+  try {
+    await ElementController.lock(adminUser, org._id, projIDs[0], branchID, elemID);
+    chai.assert.fail('Expected lock() to reject the locked element');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.OperationError);
+    chai.expect(error.message.startsWith(message)).to.equal(true);
+  }
+
+  // Attempt to delete the parent of the locked element
+  try {
+    await ElementController.remove(adminUser, org._id, projIDs[0], branchID,
+      utils.parseID(elements[2].parent).pop());
+    chai.assert.fail('Expected remove() to reject the locked subtree');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.OperationError);
+    chai.expect(error.message).to.include(`${elemID} (${testData.users[1].username})`);
+  }
+}
+
+/**
+ * @description Verifies that users without admin permissions on the project
+ * cannot break the locks of other users, and that admins can.
+ */
+async function breakLocks() {
+  try {
+    const user = await testUtils.createNonAdminUser();
+    const elemID = utils.parseID(elements[3]._id).pop();
+
+    // Lock an element as the admin
+    await ElementController.lock(adminUser, org._id, projIDs[0], branchID, elemID);
+
+    // Verify the non-admin user cannot break the lock
+    try {
+      await ElementController.unlock(user, org._id, projIDs[0], branchID, elemID);
+      chai.assert.fail('Expected unlock() to reject breaking the lock');
+    }
+    catch (error) {
+      chai.expect(error).to.be.an.instanceOf(M.PermissionError);
+      chai.expect(error.message).to.equal('User does not have permission to unlock items '
+        + `locked by other users in the project [${projIDs[0]}].`);
+    }
+
+    // Release the lock as the admin, and break the lock of the non-admin user
+    const unlocked = await ElementController.unlock(adminUser, org._id, projIDs[0], branchID,
+      [elemID, utils.parseID(elements[2]._id).pop()], { subtree: true });
+    unlocked.forEach((elem) => {
+      chai.expect(elem.lockedBy).to.equal(null);
+      chai.expect(elem.lockExpiresOn).to.equal(null);
+    });
+
+    await testUtils.removeNonAdminUser();
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Verifies that elements are only updated if they have the
+ * revisions provided in the field _rev, that every element which has changed
+ * since its revision is reported, and that an element changed by a concurrent
+ * update after its revision was checked is not overwritten.
+ */
+async function rejectRevisionConflicts() {
+  const elemIDs = [utils.parseID(elements[3]._id).pop(), utils.parseID(elements[4]._id).pop()];
+  const found = await ElementController.find(adminUser, org._id, projIDs[0], branchID, elemIDs);
+  const revisions = {};
+  found.forEach((elem) => {
+    revisions[utils.parseID(elem._id).pop()] = utils.getRevision(elem);
+  });
+
+  // Update the first element with its current revision
+  const updated = await ElementController.update(adminUser, org._id, projIDs[0], branchID,
+    [{ id: elemIDs[0], name: 'Revision update', _rev: revisions[elemIDs[0]] }]);
+  chai.expect(updated[0].name).to.equal('Revision update');
+  chai.expect(updated[0]).to.not.have.property('_rev');
+
+  // Attempt to update both elements with the revisions from before the update
+  try {
+    await ElementController.update(adminUser, org._id, projIDs[0], branchID,
+      elemIDs.map(id => ({ id: id, name: 'Conflicting update', _rev: revisions[id] })));
+    chai.assert.fail('Expected update() to reject the changed element');
+  }
+  catch (error) {
+    chai.expect(error).to.be.an.instanceOf(M.PreconditionError);
+    chai.expect(error.message).to.equal('The following elements have changed since they '
+      + `were read: [${elemIDs[0]}].`);
+    chai.expect(error.conflicts).to.deep.equal([{
+      id: elemIDs[0],
+      revisions: [revisions[elemIDs[0]]],
+      current: utils.getRevision(updated[0])
+    }]);
+  }
+
+  // Verify neither element was updated
+  const current = await ElementController.find(adminUser, org._id, projIDs[0], branchID, elemIDs);
+  current.forEach((elem) => {
+    chai.expect(elem.name).to.not.equal('Conflicting update');
+  });
+
+  // Concurrently update the second element twice with the same revision, so
+  // that both updates are checked before either is written
+  const results = await Promise.all(['First', 'Second'].map(name => ElementController.update(
+    adminUser, org._id, projIDs[0], branchID,
+    { id: elemIDs[1], name: name, _rev: revisions[elemIDs[1]] }
+  ).catch(error => error)));
+
+  // Verify only one update was written, and the other was rejected
+  const rejected = results.filter(r => r instanceof M.PreconditionError);
+  const written = results.filter(r => Array.isArray(r));
+  chai.expect(rejected.length).to.equal(1);
+  chai.expect(written.length).to.equal(1);
+  const [second] = await ElementController.find(adminUser, org._id, projIDs[0], branchID,
+    elemIDs[1]);
+  chai.expect(second.name).to.equal(written[0][0].name);
+}
+
+/**
+ * @description Verifies that created and updated elements are validated
+ * against the type profiles of the project, including the schema of their
+ * custom data, the types of their parents and strict mode.
+ */
+async function enforceTypeProfiles() {
+  const args = [adminUser, org._id, projIDs[0], branchID];
+  await ProjectController.updateTypeProfiles(adminUser, org._id, projIDs[0], {
+    types: {
+      Requirement: {
+        schema: { type: 'object', required: ['priority'] },
+        parentTypes: ['Package']
+      },
+      Package: {}
+    }
+  });
+
+  try {
+    // Create a package and a requirement which matches its profile
+    await ElementController.create(...args, [
+      { id: 'profile-pkg', type: 'Package' },
+      {
+        id: 'profile-req',
+        type: 'Requirement',
+        parent: 'profile-pkg',
+        custom: { priority: 'high' }
+      }
+    ]);
+
+    // Attempt to create a requirement without a priority under the model
+    try {
+      await ElementController.create(...args,
+        { id: 'profile-invalid', type: 'Requirement', parent: 'model' });
+      chai.assert.fail('Expected create() to reject the invalid element');
+    }
+    catch (error) {
+      chai.expect(error).to.be.an.instanceOf(M.DataFormatError);
+      chai.expect(error.message).to.equal('The following elements do not match the type '
+        + 'profiles of the project: [profile-invalid (custom.priority is required; the parent '
+        + 'type [] is not one of [Package])].');
+    }
+
+    // Attempt to remove the priority of the valid requirement
+    try {
+      await ElementController.update(...args, { id: 'profile-req', custom: {} });
+      chai.assert.fail('Expected update() to reject the invalid element');
+    }
+    catch (error) {
+      chai.expect(error).to.be.an.instanceOf(M.DataFormatError);
+      chai.expect(error.message).to.include('profile-req (custom.priority is required)');
+    }
+
+    // In strict mode, elements whose type has no profile are rejected
+    await ProjectController.updateTypeProfiles(adminUser, org._id, projIDs[0], { strict: true });
+    try {
+      await ElementController.create(...args, { id: 'profile-block', type: 'Block' });
+      chai.assert.fail('Expected create() to reject the element without a profile');
+    }
+    catch (error) {
+      chai.expect(error.message).to.include('profile-block (the type [Block] does not have '
+        + 'a profile)');
+    }
+  }
+  finally {
+    // Remove the profiles and the created elements
+    await ProjectController.updateTypeProfiles(adminUser, org._id, projIDs[0],
+      { strict: false, types: { Requirement: null, Package: null } });
+    await ElementController.remove(...args, ['profile-pkg']);
+  }
+}
+
+/**
+ * @description Verifies that when a function run in a transaction fails, the
+ * elements it created, updated and deleted are restored to their state before
+ * the transaction.
+ */
+async function rollbackTransaction() {
+  const branch = utils.createID(org._id, projIDs[0], branchID);
+  const updatedID = elements[0]._id;
+  const deletedID = elements[1]._id;
+  const createdID = utils.createID(branch, 'transaction-elem');
+
+  try {
+    await db.withTransaction(async (session) => {
+      await Element.insertMany([{
+        _id: createdID,
+        name: 'Transaction Element',
+        project: utils.createID(org._id, projIDs[0]),
+        branch: branch,
+        parent: utils.createID(branch, 'model')
+      }], { session: session });
+      await Element.updateOne({ _id: updatedID }, { name: 'Changed' }, { session: session });
+      await Element.deleteMany({ _id: deletedID }, { session: session });
+      throw new M.OperationError('Transaction failed.', 'warn');
+    });
+    chai.assert.fail('Expected withTransaction() to reject the failed transaction');
+  }
+  catch (error) {
+    chai.expect(error.message).to.equal('Transaction failed.');
+  }
+
+  // Verify the changes were undone
+  const found = await Element.find({ _id: { $in: [createdID, updatedID, deletedID] } });
+  chai.expect(found.map(e => e._id).sort()).to.deep.equal([updatedID, deletedID].sort());
+  chai.expect(found.find(e => e._id === updatedID).name).to.equal(elements[0].name);
+
+  // Verify the journal of the transaction was removed
+  const journal = await Transaction.find({});
+  chai.expect(journal.length).to.equal(0);
+}
+
+/**
+ * @description Verifies that recoverTransactions() rolls back a journaled
+ * transaction which is still pending, as when MBEE stops during a request.
+ */
+async function recoverTransactions() {
+  // Transactions of the database are rolled back by the database itself
+  const session = await db.startSession();
+  await session.endSession();
+  if (typeof session.journal !== 'function') {
+    this.skip();
+  }
+
+  const elem = elements[2];
+  const revision = {
+    _id: 'transaction-revision',
+    element: elem._id,
+    project: elem.project,
+    branch: elem.branch,
+    action: 'updated',
+    createdBy: adminUser._id
+  };
+
+  await db.withTransaction(async (s) => {
+    await Element.updateOne({ _id: elem._id }, { documentation: 'Interrupted' },
+      { session: s });
+    await ElementRevision.insertMany([revision], { session: s });
+
+    // Recover the transaction while it is still pending
+    await db.recoverTransactions();
+  });
+
+  // Verify the changes were undone and the journal removed
+  const found = await Element.findOne({ _id: elem._id });
+  chai.expect(found.documentation).to.equal(elem.documentation);
+  const revisions = await ElementRevision.find({ _id: revision._id });
+  chai.expect(revisions.length).to.equal(0);
+  const journal = await Transaction.find({});
+  chai.expect(journal.length).to.equal(0);
+}
+
+/**
+ * @description Verifies that createOrReplace() deletes the replaced elements
+ * and creates the new elements in a single transaction, so the replaced
+ * elements are kept and no events are emitted if the creation fails.
+ */
+async function rollbackCreateOrReplace() {
+  const elem = await Element.findOne({ _id: elements[3]._id });
+  const elemID = utils.parseID(elem._id).pop();
+  const insertMany = ElementRevision.insertMany;
+  const emitted = [];
+  const listener = (envelope) => {
+    if (envelope.ids.includes(elemID)) emitted.push('elements-deleted');
+  };
+
+  // Fail to record the revisions of the new elements, after the replaced
+  // elements are deleted
+  ElementRevision.insertMany = async (revisions, options) => {
+    if (revisions.some(r => r.action === 'created')) {
+      throw new M.DatabaseError('Failed to insert the revisions.', 'warn');
+    }
+    return insertMany.call(ElementRevision, revisions, options);
+  };
+  EventEmitter.on('elements-deleted', listener);
+  try {
+    await ElementController.createOrReplace(adminUser, org._id, projIDs[0], branchID,
+      { id: elemID, name: 'Replaced' });
+    chai.assert.fail('Expected createOrReplace() to reject the failed insert');
+  }
+  catch (error) {
+    chai.expect(error.message).to.equal('Failed to insert the revisions.');
+  }
+  finally {
+    ElementRevision.insertMany = insertMany;
+    EventEmitter.removeListener('elements-deleted', listener);
+  }
+
+  // Verify the replaced element was kept, and no event was emitted
+  const found = await Element.findOne({ _id: elem._id });
+  chai.expect(found.name).to.equal(elem.name);
+  chai.expect(emitted).to.deep.equal([]);
+  const revisions = await ElementRevision.find({ element: elem._id, action: 'deleted' });
+  chai.expect(revisions.length).to.equal(0);
+}
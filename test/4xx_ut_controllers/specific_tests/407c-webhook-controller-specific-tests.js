@@ -16,12 +16,19 @@
  * specific than the core tests.
  */
 
+// Node modules
+const http = require('http');
+
 // NPM modules
 const chai = require('chai');
 
 // MBEE modules
+const ElementController = M.require('controllers.element-controller');
 const WebhookController = M.require('controllers.webhook-controller');
 const Webhook = M.require('models.webhook');
+const WebhookDelivery = M.require('models.webhook-delivery');
+const webhookQueue = M.require('lib.webhook-queue');
+const events = M.require('lib.events');
 const utils = M.require('lib.utils');
 
 /* --------------------( Test Data )-------------------- */
@@ -33,6 +40,15 @@ let project;
 let projID;
 const branchID = 'master';
 const webhookIDs = [];
+// A local HTTP server which stands in for the receiver of outgoing webhooks
+let receiver;
+let receiverURL;
+const receivedRequests = [];
+// The status codes the receiver responds with, in order; defaults to 200
+const receiverStatusCodes = [];
+let deliveryWebhookID;
+let deliveryID;
+const eventWebhookIDs = [];
 
 /* --------------------( Main )-------------------- */
 /**
@@ -51,6 +67,19 @@ describe(M.getModuleName(module.filename), () => {
       org = await testUtils.createTestOrg(adminUser);
       project = await testUtils.createTestProject(adminUser, org._id);
       projID = utils.parseID(project._id).pop();
+
+      // Start the stand-in receiver of outgoing webhooks on a random port
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          receivedRequests.push({ headers: req.headers, body: body });
+          res.statusCode = (receiverStatusCodes.length > 0) ? receiverStatusCodes.shift() : 200;
+          res.end();
+        });
+      });
+      await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+      receiverURL = `http://127.0.0.1:${receiver.address().port}/hook`;
     }
     catch (error) {
       M.log.error(error);
@@ -65,7 +94,10 @@ describe(M.getModuleName(module.filename), () => {
    */
   after(async () => {
     try {
-      await Webhook.deleteMany({ _id: { $in: webhookIDs } });
+      const ids = webhookIDs.concat(deliveryWebhookID, eventWebhookIDs);
+      await Webhook.deleteMany({ _id: { $in: ids } });
+      await WebhookDelivery.deleteMany({ webhook: { $in: ids } });
+      await new Promise((resolve) => receiver.close(resolve));
       await testUtils.removeTestOrg();
       await testUtils.removeTestAdmin();
     }
@@ -99,6 +131,14 @@ describe(M.getModuleName(module.filename), () => {
   it('should archive a webhook', archiveWebhook);
   it('should populate allowed fields when updating a webhook', optionPopulateUpdate);
   it('should return a webhook with only the specific fields specified from update()', optionFieldsUpdate);
+  // ------------ Delivery ------------
+  it('should send and record a signed delivery of an outgoing webhook', deliverWebhook);
+  it('should retry a failed delivery', retryDelivery);
+  it('should find the deliveries of a webhook', findDeliveries);
+  it('should redeliver a delivery', redeliver);
+  it('should cancel the scheduled retry of a redelivered delivery', redeliverPendingRetry);
+  it('should only trigger webhooks for events in their reference', scopeEvents);
+  it('should only trigger webhooks for elements matching their filters', filterEvents);
   // ------------- Remove -------------
   it('should delete a webhook from an org', deleteOnOrg);
   it('should delete a webhook from a project', deleteOnProject);
@@ -947,3 +987,323 @@ async function deleteOnBranch() {
     chai.expect(error.message).to.equal(null);
   }
 }
+
+/**
+ * @description Waits until a webhook delivery is no longer pending.
+ *
+ * @param {string} id - The ID of the delivery.
+ *
+ * @returns {Promise<object>} The delivery.
+ */
+async function waitForDelivery(id) {
+  let delivery = await WebhookDelivery.findOne({ _id: id }, null);
+  for (let i = 0; i < 100 && delivery.status === 'pending'; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    // eslint-disable-next-line no-await-in-loop
+    delivery = await WebhookDelivery.findOne({ _id: id }, null);
+  }
+  return delivery;
+}
+
+/**
+ * @description Validates that a triggered outgoing webhook sends a delivery to its url,
+ * signs the delivery with the webhook token, and records the attempt.
+ */
+async function deliverWebhook() {
+  try {
+    const webhookData = {
+      name: 'Delivery Webhook',
+      type: 'Outgoing',
+      triggers: ['delivery-event'],
+      url: receiverURL,
+      token: 'delivery token',
+      reference: { org: org._id }
+    };
+    const data = [{ id: 'elem0' }];
+
+    // Create the webhook
+    const createdWebhooks = await WebhookController.create(adminUser, webhookData);
+    const webhook = createdWebhooks[0];
+    deliveryWebhookID = webhook._id;
+
+    // Queue a delivery of the webhook
+    receivedRequests.length = 0;
+    const delivery = await webhookQueue.enqueue(webhook, 'delivery-event', data);
+    deliveryID = delivery._id;
+
+    // Verify the delivery was received
+    chai.expect(receivedRequests.length).to.equal(1);
+    const received = receivedRequests[0];
+    chai.expect(JSON.parse(received.body)).to.deep.equal(data);
+    chai.expect(received.headers['x-mbee-event']).to.equal('delivery-event');
+    chai.expect(received.headers['x-mbee-delivery']).to.equal(delivery._id);
+
+    // Verify the signature was derived from the webhook token
+    chai.expect(received.headers['x-mbee-signature']).to.equal(
+      Webhook.getSignature(webhook.token, received.body)
+    );
+
+    // Verify the attempt was recorded
+    const storedDelivery = await WebhookDelivery.findOne({ _id: delivery._id }, null);
+    chai.expect(storedDelivery.status).to.equal('delivered');
+    chai.expect(storedDelivery.event).to.equal('delivery-event');
+    chai.expect(storedDelivery.attempts.length).to.equal(1);
+    chai.expect(storedDelivery.attempts[0].statusCode).to.equal(200);
+    chai.expect(storedDelivery.attempts[0].error).to.equal(null);
+    chai.expect(storedDelivery.attempts[0].latency).to.be.a('number');
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that a failed delivery is retried until it succeeds.
+ */
+async function retryDelivery() {
+  const webhookConfig = M.config.server.webhooks;
+  try {
+    // Retry quickly during the test
+    M.config.server.webhooks = { retries: 3, retryDelay: 10 };
+
+    // Fail the first two attempts
+    receiverStatusCodes.push(500, 503);
+    const webhook = await Webhook.findOne({ _id: deliveryWebhookID }, null);
+    const delivery = await webhookQueue.enqueue(webhook, 'delivery-event', { retry: true });
+
+    // Verify the first attempt failed and a retry was scheduled
+    chai.expect(delivery.status).to.equal('pending');
+    chai.expect(delivery.retries).to.equal(1);
+    chai.expect(delivery.attempts[0].statusCode).to.equal(500);
+    chai.expect(delivery.attempts[0].error).to.not.equal(null);
+
+    // Verify the delivery succeeded after the retries
+    const storedDelivery = await waitForDelivery(delivery._id);
+    chai.expect(storedDelivery.status).to.equal('delivered');
+    chai.expect(storedDelivery.attempts.map(a => a.statusCode)).to.deep.equal([500, 503, 200]);
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+  finally {
+    M.config.server.webhooks = webhookConfig;
+  }
+}
+
+/**
+ * @description Validates that the Webhook Controller can find the deliveries of a webhook.
+ */
+async function findDeliveries() {
+  try {
+    // Find all deliveries of the webhook
+    const deliveries = await WebhookController.findDeliveries(adminUser, deliveryWebhookID);
+    chai.expect(deliveries.length).to.equal(2);
+    deliveries.forEach((d) => {
+      chai.expect(d.webhook).to.equal(deliveryWebhookID);
+    });
+
+    // Find the deliveries with the limit option
+    const limited = await WebhookController.findDeliveries(adminUser, deliveryWebhookID,
+      { limit: 1 });
+    chai.expect(limited.length).to.equal(1);
+
+    // Find the deliveries with the status option
+    const failed = await WebhookController.findDeliveries(adminUser, deliveryWebhookID,
+      { status: 'failed' });
+    chai.expect(failed.length).to.equal(0);
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that the Webhook Controller can send a delivery again.
+ */
+async function redeliver() {
+  try {
+    receivedRequests.length = 0;
+
+    // Send the first delivery again
+    const delivery = await WebhookController.redeliver(adminUser, deliveryWebhookID, deliveryID);
+
+    // Verify the delivery was received again with the same data
+    chai.expect(receivedRequests.length).to.equal(1);
+    chai.expect(JSON.parse(receivedRequests[0].body)).to.deep.equal([{ id: 'elem0' }]);
+    chai.expect(receivedRequests[0].headers['x-mbee-delivery']).to.equal(deliveryID);
+
+    // Verify the new attempt was added to the delivery
+    chai.expect(delivery.status).to.equal('delivered');
+    chai.expect(delivery.attempts.length).to.equal(2);
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that redelivering a delivery whose retry is scheduled
+ * cancels the retry, so that the delivery is not sent twice.
+ */
+async function redeliverPendingRetry() {
+  const webhookConfig = M.config.server.webhooks;
+  try {
+    M.config.server.webhooks = { retries: 3, retryDelay: 50 };
+
+    // Fail the first attempt, so that a retry is scheduled
+    receiverStatusCodes.push(500);
+    const webhook = await Webhook.findOne({ _id: deliveryWebhookID }, null);
+    const delivery = await webhookQueue.enqueue(webhook, 'delivery-event', { redeliver: true });
+    chai.expect(delivery.status).to.equal('pending');
+
+    // Redeliver before the retry is sent, and fail the redelivery as well
+    receivedRequests.length = 0;
+    receiverStatusCodes.push(503);
+    const redelivered = await WebhookController.redeliver(adminUser, deliveryWebhookID,
+      delivery._id);
+    chai.expect(redelivered.status).to.equal('pending');
+
+    // Verify only the retry of the redelivery was sent
+    const storedDelivery = await waitForDelivery(delivery._id);
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    chai.expect(storedDelivery.status).to.equal('delivered');
+    chai.expect(receivedRequests.length).to.equal(2);
+    const finalDelivery = await WebhookDelivery.findOne({ _id: delivery._id }, null);
+    chai.expect(finalDelivery.attempts.map(a => a.statusCode)).to.deep.equal([500, 503, 200]);
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+  finally {
+    M.config.server.webhooks = webhookConfig;
+  }
+}
+
+/**
+ * @description Waits until a webhook has a number of deliveries which are no longer pending.
+ *
+ * @param {string} webhookID - The ID of the webhook.
+ * @param {number} count - The number of expected deliveries.
+ *
+ * @returns {Promise<object[]>} The deliveries of the webhook.
+ */
+async function waitForDeliveries(webhookID, count) {
+  let deliveries = [];
+  for (let i = 0; i < 100; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    deliveries = await WebhookDelivery.find({ webhook: webhookID, status: 'delivered' }, null);
+    if (deliveries.length >= count) break;
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return deliveries;
+}
+
+/**
+ * @description Validates that an outgoing webhook is only triggered by events which occur inside
+ * of the project it is registered to, and that the delivered event envelope contains the event,
+ * the actor and the org, project and branch of the event.
+ */
+async function scopeEvents() {
+  try {
+    const webhookData = {
+      name: 'Scoped Webhook',
+      type: 'Outgoing',
+      triggers: ['scoped-event'],
+      url: receiverURL,
+      reference: { org: org._id, project: projID }
+    };
+
+    // Create the webhook
+    const createdWebhooks = await WebhookController.create(adminUser, webhookData);
+    const webhookID = createdWebhooks[0]._id;
+    eventWebhookIDs.push(webhookID);
+
+    // Emit an event in another project of the org, and an event in a branch of the project
+    await events.emit('scoped-event', { actor: adminUser, org: org._id, project: 'other' });
+    await events.emit('scoped-event',
+      { actor: adminUser, org: org._id, project: projID, branch: branchID, data: 'test data' });
+
+    // Verify only the event in the project triggered the webhook
+    const deliveries = await waitForDeliveries(webhookID, 1);
+    chai.expect(deliveries.length).to.equal(1);
+
+    // Verify the envelope of the event
+    const envelope = deliveries[0].payload;
+    chai.expect(envelope.event).to.equal('scoped-event');
+    chai.expect(envelope.actor).to.equal(adminUser._id);
+    chai.expect(envelope.org).to.equal(org._id);
+    chai.expect(envelope.project).to.equal(projID);
+    chai.expect(envelope.branch).to.equal(branchID);
+    chai.expect(envelope.data).to.equal('test data');
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
+
+/**
+ * @description Validates that an outgoing webhook with filters is only triggered by the elements
+ * which match the element type and custom data filters, and that the delivered event envelope
+ * only contains the snapshots of the matching elements.
+ */
+async function filterEvents() {
+  try {
+    const webhookData = {
+      name: 'Filtered Webhook',
+      type: 'Outgoing',
+      triggers: ['elements-created'],
+      url: receiverURL,
+      reference: { org: org._id, project: projID, branch: branchID },
+      filters: { type: ['Block'], custom: { level: { priority: 'high' } } }
+    };
+
+    // Create the webhook
+    const createdWebhooks = await WebhookController.create(adminUser, webhookData);
+    const webhookID = createdWebhooks[0]._id;
+    eventWebhookIDs.push(webhookID);
+    chai.expect(createdWebhooks[0].filters).to.deep.equal(webhookData.filters);
+
+    // Create elements, only one of which matches both filters
+    await ElementController.create(adminUser, org._id, projID, branchID, [
+      { id: 'filter-match', type: 'Block', custom: { level: { priority: 'high' } } },
+      { id: 'filter-type', type: 'Requirement', custom: { level: { priority: 'high' } } },
+      { id: 'filter-custom', type: 'Block', custom: { level: { priority: 'low' } } }
+    ]);
+
+    // Verify the webhook was triggered once
+    const deliveries = await waitForDeliveries(webhookID, 1);
+    chai.expect(deliveries.length).to.equal(1);
+
+    // Verify the envelope only contains the matching element
+    const envelope = deliveries[0].payload;
+    chai.expect(envelope.event).to.equal('elements-created');
+    chai.expect(envelope.actor).to.equal(adminUser._id);
+    chai.expect(envelope.org).to.equal(org._id);
+    chai.expect(envelope.project).to.equal(projID);
+    chai.expect(envelope.branch).to.equal(branchID);
+    chai.expect(envelope.ids).to.deep.equal(['filter-match']);
+    chai.expect(envelope.before).to.deep.equal([]);
+    chai.expect(envelope.after.length).to.equal(1);
+    chai.expect(envelope.after[0].id).to.equal('filter-match');
+    chai.expect(envelope.after[0].type).to.equal('Block');
+  }
+  catch (error) {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+  }
+}
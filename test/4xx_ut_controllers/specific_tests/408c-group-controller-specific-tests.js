@@ -0,0 +1,248 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.408c-group-controller-specific-tests
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description These tests test for specific use cases within the group
+ * controller. The tests verify that groups can be created, found, updated and
+ * removed, and that the members of groups are granted the permissions of the
+ * groups on orgs and projects.
+ */
+
+// NPM modules
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// Use async chai
+chai.use(chaiAsPromised);
+// Initialize chai should function, used for expecting promise rejections
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+// MBEE modules
+const GroupController = M.require('controllers.group-controller');
+const OrgController = M.require('controllers.organization-controller');
+const ProjectController = M.require('controllers.project-controller');
+const UserController = M.require('controllers.user-controller');
+const Group = M.require('models.group');
+const Organization = M.require('models.organization');
+
+/* --------------------( Test Data )-------------------- */
+const testUtils = M.require('lib.test-utils');
+let adminUser;
+let nonAdminUser;
+let org;
+const groupIDs = ['group-controller-group-01', 'group-controller-group-02'];
+const removedUser = 'groupcontrollerremoveduser';
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: runs before all tests. Creates the test admin, a non-admin user and
+   * the test org.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+      nonAdminUser = await testUtils.createNonAdminUser();
+      org = await testUtils.createTestOrg(adminUser);
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: runs after all tests. Removes any remaining test groups, the test
+   * org, the non-admin user and the test admin.
+   */
+  after(async () => {
+    try {
+      await Group.deleteMany({ _id: { $in: groupIDs } });
+      await testUtils.removeTestOrg();
+      await testUtils.removeNonAdminUser();
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute the tests */
+  it('should create groups', createGroups);
+  it('should reject groups with members who do not exist', rejectUnknownMembers);
+  it('should reject non-admins changing groups', rejectNonAdmin);
+  it('should find groups', findGroups);
+  it('should update the members of a group', updateMembers);
+  it('should grant the permissions of a group on an org', grantOrgPermissions);
+  it('should grant the permissions of a group on a project', grantProjectPermissions);
+  it('should reject permissions for groups which do not exist', rejectUnknownGroup);
+  it('should remove deleted users from groups', removeUserFromGroups);
+  it('should remove the permissions of deleted groups', removeGroups);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that groups are created with their members.
+ */
+async function createGroups() {
+  const groups = await GroupController.create(adminUser, [
+    { id: groupIDs[0], name: 'Group 01', members: [nonAdminUser._id] },
+    { id: groupIDs[1], name: 'Group 02', ldap: 'cn=group02' }
+  ]);
+
+  chai.expect(groups.length).to.equal(2);
+  const group = groups.find(g => g._id === groupIDs[0]);
+  chai.expect(group.name).to.equal('Group 01');
+  chai.expect(group.members).to.deep.equal([nonAdminUser._id]);
+  chai.expect(group.ldap).to.equal(null);
+  chai.expect(group.createdBy).to.equal(adminUser._id);
+  chai.expect(groups.find(g => g._id === groupIDs[1]).ldap).to.equal('cn=group02');
+}
+
+/**
+ * @description Verifies that groups with members who are not existing users
+ * are rejected.
+ */
+async function rejectUnknownMembers() {
+  await GroupController.create(adminUser, { id: 'group-controller-group-03',
+    members: ['notarealuser'] })
+  .should.eventually.be.rejectedWith('The following users were not found: [notarealuser].');
+  await GroupController.update(adminUser, { id: groupIDs[0], members: 'notarealuser' })
+  .should.eventually.be.rejectedWith(M.DataFormatError);
+}
+
+/**
+ * @description Verifies that only admins can create, update and remove groups.
+ */
+async function rejectNonAdmin() {
+  await GroupController.create(nonAdminUser, { id: 'group-controller-group-03' })
+  .should.eventually.be.rejectedWith('User does not have permission to create groups.');
+  await GroupController.update(nonAdminUser, { id: groupIDs[0], name: 'Updated' })
+  .should.eventually.be.rejectedWith('User does not have permission to update groups.');
+  await GroupController.remove(nonAdminUser, groupIDs[0])
+  .should.eventually.be.rejectedWith('User does not have permission to delete groups.');
+}
+
+/**
+ * @description Verifies that any user can find groups, and that groups can be
+ * found by their LDAP group.
+ */
+async function findGroups() {
+  const groups = await GroupController.find(nonAdminUser, groupIDs);
+  chai.expect(groups.map(g => g._id)).to.have.members(groupIDs);
+
+  const ldapGroups = await GroupController.find(adminUser, { ldap: 'cn=group02' });
+  chai.expect(ldapGroups.map(g => g._id)).to.deep.equal([groupIDs[1]]);
+}
+
+/**
+ * @description Verifies that the members of a group are replaced on update.
+ */
+async function updateMembers() {
+  const groups = await GroupController.update(adminUser, { id: groupIDs[1],
+    members: [nonAdminUser._id, adminUser._id] });
+
+  chai.expect(groups[0].members).to.have.members([nonAdminUser._id, adminUser._id]);
+}
+
+/**
+ * @description Verifies that a user without permissions on an org is granted
+ * the permissions of their group on the org.
+ */
+async function grantOrgPermissions() {
+  // Remove the permissions of the user, and grant write permissions to the group
+  await OrgController.update(adminUser, { id: org._id,
+    permissions: { [nonAdminUser._id]: 'remove_all', [`group:${groupIDs[0]}`]: 'write' } });
+  const member = Object.assign({}, nonAdminUser, { groups: [groupIDs[0]] });
+  const nonMember = Object.assign({}, nonAdminUser, { groups: [] });
+
+  // Verify the members of the group can find the org
+  const foundOrgs = await OrgController.find(member, org._id);
+  chai.expect(foundOrgs.length).to.equal(1);
+  const allOrgs = await OrgController.find(member);
+  chai.expect(allOrgs.map(o => o._id)).to.include(org._id);
+
+  // Verify users who are not members of the group cannot find the org
+  const notFoundOrgs = await OrgController.find(nonMember);
+  chai.expect(notFoundOrgs.map(o => o._id)).to.not.include(org._id);
+
+  // Verify the members of the group can create projects in the org
+  const projects = await ProjectController.create(member, org._id,
+    { id: 'group-controller-project', name: 'Group Project' });
+  chai.expect(projects.length).to.equal(1);
+  await ProjectController.create(nonMember, org._id, { id: 'group-controller-project-2' })
+  .should.eventually.be.rejectedWith(M.PermissionError);
+}
+
+/**
+ * @description Verifies that the members of a group with admin permissions on
+ * a project can update the project.
+ */
+async function grantProjectPermissions() {
+  const member = Object.assign({}, nonAdminUser, { groups: groupIDs });
+
+  // Remove the permissions of the user, and grant admin permissions to the second group
+  await ProjectController.update(adminUser, org._id, { id: 'group-controller-project',
+    permissions: { [nonAdminUser._id]: 'remove_all', [`group:${groupIDs[1]}`]: 'admin' } });
+
+  const projects = await ProjectController.update(member, org._id,
+    { id: 'group-controller-project', name: 'Updated Group Project' });
+  chai.expect(projects[0].name).to.equal('Updated Group Project');
+}
+
+/**
+ * @description Verifies that permissions cannot be granted to groups which do
+ * not exist.
+ */
+async function rejectUnknownGroup() {
+  await OrgController.update(adminUser, { id: org._id,
+    permissions: { 'group:notarealgroup': 'read' } })
+  .should.eventually.be.rejectedWith('Group [notarealgroup] not found.');
+}
+
+/**
+ * @description Verifies that deleted users are removed from the members of
+ * their groups.
+ */
+async function removeUserFromGroups() {
+  await UserController.create(adminUser, { username: removedUser, password: 'Abc123!@' });
+  await GroupController.update(adminUser, { id: groupIDs[0],
+    members: [nonAdminUser._id, removedUser] });
+
+  await UserController.remove(adminUser, removedUser);
+
+  const groups = await GroupController.find(adminUser, groupIDs[0]);
+  chai.expect(groups[0].members).to.deep.equal([nonAdminUser._id]);
+}
+
+/**
+ * @description Verifies that removing groups removes their permissions from
+ * orgs and projects.
+ */
+async function removeGroups() {
+  const removedIDs = await GroupController.remove(adminUser, groupIDs);
+  chai.expect(removedIDs).to.have.members(groupIDs);
+
+  const foundOrg = await Organization.findOne({ _id: org._id });
+  chai.expect(foundOrg.permissions).to.not.have.any.keys(`group:${groupIDs[0]}`);
+  const projects = await ProjectController.find(adminUser, org._id, 'group-controller-project');
+  chai.expect(projects[0].permissions).to.not.have.any.keys(`group:${groupIDs[1]}`);
+}
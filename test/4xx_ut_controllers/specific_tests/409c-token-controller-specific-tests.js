@@ -0,0 +1,306 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.409c-token-controller-specific-tests
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description These tests test for specific use cases within the token
+ * controller. The tests verify that personal access tokens can be created,
+ * found and removed, that they authenticate Bearer requests, and that their
+ * scopes and expiration are enforced.
+ */
+
+// NPM modules
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// Use async chai
+chai.use(chaiAsPromised);
+// Initialize chai should function, used for expecting promise rejections
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+// MBEE modules
+const TokenController = M.require('controllers.token-controller');
+const OrgController = M.require('controllers.organization-controller');
+const ProjectController = M.require('controllers.project-controller');
+const Token = M.require('models.token');
+const UserController = M.require('controllers.user-controller');
+const AuthController = M.require('lib.auth');
+
+/* --------------------( Test Data )-------------------- */
+const testUtils = M.require('lib.test-utils');
+let adminUser;
+let nonAdminUser;
+let org;
+let proj;
+let readOnlyToken;
+let orgToken;
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: runs before all tests. Creates the test admin, a non-admin user,
+   * the test org and the test project.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+      nonAdminUser = await testUtils.createNonAdminUser();
+      org = await testUtils.createTestOrg(adminUser);
+      proj = await testUtils.createTestProject(adminUser, org._id);
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: runs after all tests. Removes any remaining tokens, the test org,
+   * the non-admin user and the test admin.
+   */
+  after(async () => {
+    try {
+      await Token.deleteMany({ user: { $in: [adminUser._id, nonAdminUser._id] } });
+      await testUtils.removeTestOrg();
+      await testUtils.removeNonAdminUser();
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute the tests */
+  it('should create personal access tokens', createTokens);
+  it('should reject invalid tokens', rejectInvalidTokens);
+  it('should reject creating tokens for other users', rejectOtherUsers);
+  it('should find tokens without their secrets', findTokens);
+  it('should authenticate with a token and record its use', authenticateToken);
+  it('should enforce the scopes of a token', enforceScopes);
+  it('should reject password and two-factor changes with a scoped token', enforceUserScopes);
+  it('should reject expired tokens', rejectExpiredToken);
+  it('should revoke removed tokens', removeTokens);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that tokens are created with their scopes, and that
+ * the token of each is only returned on creation.
+ */
+async function createTokens() {
+  const expiresOn = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const tokens = await TokenController.create(adminUser, adminUser._id, [
+    { name: 'Read only', readOnly: true, expiresOn: expiresOn },
+    { name: 'Org', orgs: [org._id] }
+  ]);
+
+  chai.expect(tokens.length).to.equal(2);
+  readOnlyToken = tokens.find(t => t.name === 'Read only');
+  orgToken = tokens.find(t => t.name === 'Org');
+
+  chai.expect(readOnlyToken.token.startsWith(`pat_${readOnlyToken._id}_`)).to.equal(true);
+  chai.expect(readOnlyToken.readOnly).to.equal(true);
+  chai.expect(new Date(readOnlyToken.expiresOn).toISOString()).to.equal(expiresOn);
+  chai.expect(orgToken.orgs).to.deep.equal([org._id]);
+  chai.expect(orgToken.readOnly).to.equal(false);
+  chai.expect(orgToken.lastUsedOn).to.equal(null);
+}
+
+/**
+ * @description Verifies that tokens with invalid fields, expirations in the
+ * past or orgs which do not exist are rejected.
+ */
+async function rejectInvalidTokens() {
+  await TokenController.create(adminUser, adminUser._id, { admin: true })
+  .should.eventually.be.rejectedWith('Invalid key [admin].');
+  await TokenController.create(adminUser, adminUser._id, { expiresOn: '2000-01-01' })
+  .should.eventually.be.rejectedWith('Token #1\'s expiresOn field is not in the future.');
+  await TokenController.create(adminUser, adminUser._id, { projects: ['project'] })
+  .should.eventually.be.rejectedWith(M.DataFormatError);
+  await TokenController.create(adminUser, adminUser._id, { orgs: ['notarealorg'] })
+  .should.eventually.be.rejectedWith('The following orgs were not found: [notarealorg].');
+}
+
+/**
+ * @description Verifies that users can only create their own tokens, and only
+ * read the tokens of other users if they are admins.
+ */
+async function rejectOtherUsers() {
+  await TokenController.create(adminUser, nonAdminUser._id, { name: 'Other' })
+  .should.eventually.be.rejectedWith('User does not have permission to create tokens for '
+    + 'other users.');
+  await TokenController.find(nonAdminUser, adminUser._id)
+  .should.eventually.be.rejectedWith(M.PermissionError);
+}
+
+/**
+ * @description Verifies that the tokens of a user are found, and that the
+ * tokens themselves are not returned.
+ */
+async function findTokens() {
+  const tokens = await TokenController.find(adminUser, adminUser._id);
+
+  chai.expect(tokens.map(t => t._id)).to.have.members([readOnlyToken._id, orgToken._id]);
+  tokens.forEach((token) => {
+    chai.expect(token).to.not.have.any.keys('token');
+  });
+
+  const foundTokens = await TokenController.find(adminUser, adminUser._id, orgToken._id);
+  chai.expect(foundTokens.map(t => t._id)).to.deep.equal([orgToken._id]);
+}
+
+/**
+ * @description Verifies that a Bearer request with a token is authenticated as
+ * the user of the token, with the scopes of the token, and that the time the
+ * token was used is recorded.
+ */
+async function authenticateToken() {
+  const req = await authenticate(orgToken.token);
+
+  chai.expect(req.user._id).to.equal(adminUser._id);
+  chai.expect(req.user.token).to.equal(orgToken._id);
+  chai.expect(req.user.scopes).to.deep.equal({ readOnly: false, orgs: [org._id], projects: [] });
+
+  const foundToken = await Token.findOne({ _id: orgToken._id });
+  chai.expect(foundToken.lastUsedOn).to.not.equal(null);
+
+  // A token with the wrong secret is rejected
+  const invalidReq = await authenticate(`pat_${orgToken._id}_notthesecret`);
+  chai.expect(invalidReq.user).to.equal(undefined);
+  chai.expect(invalidReq.statusCode).to.equal(401);
+}
+
+/**
+ * @description Verifies that the scopes of tokens restrict the permissions of
+ * the user, and that tokens cannot be used to create tokens.
+ */
+async function enforceScopes() {
+  // Read-only tokens cannot change data
+  const readOnlyUser = (await authenticate(readOnlyToken.token)).user;
+  const orgs = await OrgController.find(readOnlyUser, org._id);
+  chai.expect(orgs.length).to.equal(1);
+  await OrgController.update(readOnlyUser, { id: org._id, name: 'Updated' })
+  .should.eventually.be.rejectedWith('The personal access token is read-only.');
+
+  // Tokens limited to orgs only find those orgs
+  const orgUser = (await authenticate(orgToken.token)).user;
+  const foundOrgs = await OrgController.find(orgUser);
+  chai.expect(foundOrgs.map(o => o._id)).to.deep.equal([org._id]);
+  // The orgs and projects outside of the scopes are not paged or counted
+  const orgPage = await OrgController.find(orgUser, { limit: 1, count: true });
+  chai.expect(orgPage.map(o => o._id)).to.deep.equal([org._id]);
+  chai.expect(orgPage.pageInfo.total).to.equal(1);
+  const projectPage = await ProjectController.find(orgUser, null, { limit: 1, count: true });
+  chai.expect(projectPage.map(p => p._id)).to.deep.equal([proj._id]);
+  chai.expect(projectPage.pageInfo.total).to.equal(1);
+  await OrgController.create(orgUser, { id: 'token-controller-org' })
+  .should.eventually.be.rejectedWith(M.PermissionError);
+
+  // Tokens cannot create tokens
+  await TokenController.create(orgUser, adminUser._id, { name: 'New' })
+  .should.eventually.be.rejectedWith('Personal access tokens cannot be created with a '
+    + 'personal access token.');
+}
+
+/**
+ * @description Verifies that read-only tokens and tokens limited to orgs
+ * cannot change passwords or enroll in two-factor authentication, as these
+ * change the user outside of any org.
+ */
+async function enforceUserScopes() {
+  const readOnlyUser = (await authenticate(readOnlyToken.token)).user;
+  const orgUser = (await authenticate(orgToken.token)).user;
+  const password = 'NewPassword1!';
+
+  // Neither token can reset the password of another user
+  await UserController.updatePassword(readOnlyUser, nonAdminUser._id, undefined, password,
+    password).should.eventually.be.rejectedWith(M.PermissionError,
+    'The personal access token is read-only.');
+  await UserController.updatePassword(orgUser, nonAdminUser._id, undefined, password, password)
+  .should.eventually.be.rejectedWith(M.PermissionError,
+    'The personal access token does not have access to the server.');
+
+  // Neither token can enroll in or confirm two-factor authentication
+  await UserController.enrollTwoFactor(readOnlyUser, adminUser._id)
+  .should.eventually.be.rejectedWith(M.PermissionError, 'The personal access token is read-only.');
+  await UserController.enrollTwoFactor(orgUser, adminUser._id)
+  .should.eventually.be.rejectedWith(M.PermissionError,
+    'The personal access token does not have access to the server.');
+  await UserController.confirmTwoFactor(orgUser, adminUser._id, '123456')
+  .should.eventually.be.rejectedWith(M.PermissionError,
+    'The personal access token does not have access to the server.');
+}
+
+/**
+ * @description Verifies that tokens which have expired are rejected.
+ */
+async function rejectExpiredToken() {
+  await Token.updateOne({ _id: readOnlyToken._id }, { expiresOn: Date.now() - 1000 });
+
+  const req = await authenticate(readOnlyToken.token);
+  chai.expect(req.user).to.equal(undefined);
+  chai.expect(req.statusCode).to.equal(401);
+}
+
+/**
+ * @description Verifies that removed tokens are revoked, and that users cannot
+ * remove the tokens of other users.
+ */
+async function removeTokens() {
+  await TokenController.remove(nonAdminUser, adminUser._id, orgToken._id)
+  .should.eventually.be.rejectedWith(M.PermissionError);
+
+  const removedIDs = await TokenController.remove(adminUser, adminUser._id,
+    [readOnlyToken._id, orgToken._id]);
+  chai.expect(removedIDs).to.have.members([readOnlyToken._id, orgToken._id]);
+
+  const req = await authenticate(orgToken.token);
+  chai.expect(req.user).to.equal(undefined);
+  chai.expect(req.statusCode).to.equal(401);
+}
+
+/* --------------------( Helper Functions )-------------------- */
+/**
+ * @description Authenticates a mock API request with a Bearer token.
+ *
+ * @param {string} token - The token sent in the Authorization header.
+ *
+ * @returns {Promise<object>} The request after authentication, with the
+ * status code of the response if authentication failed.
+ */
+async function authenticate(token) {
+  const req = {
+    headers: { authorization: `Bearer ${token}` },
+    originalUrl: '/api/orgs',
+    session: {},
+    body: {},
+    flash: () => {}
+  };
+  const res = {
+    status: (code) => {
+      req.statusCode = code;
+      return res;
+    },
+    send: () => {}
+  };
+
+  await AuthController.authenticate(req, res, () => {});
+  return req;
+}
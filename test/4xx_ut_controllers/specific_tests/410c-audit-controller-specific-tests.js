@@ -0,0 +1,204 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.410c-audit-controller-specific-tests
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description These tests test for specific use cases within the audit
+ * controller. The tests verify that creating, updating and deleting documents
+ * records the changes in the audit log before the controllers return, that
+ * password changes are recorded, that the records can be filtered, and that
+ * only admins can find audit records.
+ */
+
+// NPM modules
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// Use async chai
+chai.use(chaiAsPromised);
+// Initialize chai should function, used for expecting promise rejections
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+// MBEE modules
+const AuditController = M.require('controllers.audit-controller');
+const OrgController = M.require('controllers.organization-controller');
+const UserController = M.require('controllers.user-controller');
+const AuditRecord = M.require('models.audit-record');
+
+/* --------------------( Test Data )-------------------- */
+const testUtils = M.require('lib.test-utils');
+const orgID = 'audit-test-org';
+let adminUser;
+let nonAdminUser;
+let startTime;
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: runs before all tests. Creates the test admin and a non-admin user.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+      nonAdminUser = await testUtils.createNonAdminUser();
+      // Give the admin the IP address of a request
+      adminUser.ip = '127.0.0.1';
+      startTime = new Date();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: runs after all tests. Removes the audit records of the tests, the
+   * non-admin user and the test admin.
+   */
+  after(async () => {
+    try {
+      await AuditRecord.deleteMany({ target: { $in: [orgID, nonAdminUser._id] } });
+      await testUtils.removeNonAdminUser();
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute the tests */
+  it('should record created, updated and deleted documents', recordChanges);
+  it('should record password changes', recordPasswordChange);
+  it('should reject a change which could not be recorded', rejectUnrecordedChange);
+  it('should find audit records by action and date', findByActionAndDate);
+  it('should reject an invalid date', rejectInvalidDate);
+  it('should reject a non-admin user finding audit records', rejectNonAdmin);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that creating, updating and deleting an org records
+ * the user, IP address and changed fields of each change.
+ */
+async function recordChanges() {
+  await OrgController.create(adminUser, { id: orgID, name: 'Audit Org' });
+  await OrgController.update(adminUser, { id: orgID, name: 'Audited Org' });
+  await OrgController.remove(adminUser, orgID);
+
+  // The records are stored before the controllers return
+  const records = await AuditController.find(adminUser, { target: orgID });
+  chai.expect(records.length).to.equal(3);
+
+  // Records created within the same millisecond have no defined order
+  const [created, updated, deleted] = ['created', 'updated', 'deleted']
+  .map(action => records.find(r => r.action === action));
+  records.forEach((record) => {
+    chai.expect(record.actor).to.equal(adminUser._id);
+    chai.expect(record.ip).to.equal('127.0.0.1');
+    chai.expect(record.type).to.equal('org');
+    chai.expect(record.target).to.equal(orgID);
+  });
+
+  // Verify the records are sorted from newest to oldest by default
+  const timestamps = records.map(r => new Date(r.timestamp).getTime());
+  chai.expect(timestamps).to.deep.equal(timestamps.slice().sort((a, b) => b - a));
+
+  chai.expect(created.changes.name).to.deep.equal({ before: null, after: 'Audit Org' });
+
+  chai.expect(updated.changes).to.have.keys('name');
+  chai.expect(updated.changes.name).to.deep.equal({ before: 'Audit Org', after: 'Audited Org' });
+
+  chai.expect(deleted.changes.name).to.deep.equal({ before: 'Audited Org', after: null });
+}
+
+/**
+ * @description Verifies that changing the password of a user records the
+ * changed fields, without recording the password itself.
+ */
+async function recordPasswordChange() {
+  const password = 'AuditPass1234?';
+  const changedOn = Date.now();
+  await UserController.updatePassword(adminUser, nonAdminUser._id, undefined, password,
+    password);
+
+  // Other tests may have changed the user before
+  const records = await AuditController.find(adminUser,
+    { target: nonAdminUser._id, from: changedOn });
+  chai.expect(records.length).to.equal(1);
+  chai.expect(records[0].action).to.equal('updated');
+  chai.expect(records[0].type).to.equal('user');
+  chai.expect(records[0].actor).to.equal(adminUser._id);
+  chai.expect(records[0].changes).to.include.keys('passwordUpdatedOn');
+  chai.expect(records[0].changes).to.not.have.any.keys('password', 'oldPasswords');
+}
+
+/**
+ * @description Verifies that a change whose audit record could not be stored
+ * is rejected, so that the failure is not lost.
+ */
+async function rejectUnrecordedChange() {
+  await OrgController.create(adminUser, { id: orgID, name: 'Audit Org' });
+
+  const insertMany = AuditRecord.insertMany;
+  AuditRecord.insertMany = async () => {
+    throw new Error('Audit log unavailable');
+  };
+  try {
+    await OrgController.update(adminUser, { id: orgID, name: 'Unrecorded Org' })
+    .should.eventually.be.rejectedWith(M.ServerError,
+      'Failed to record event orgs-updated in the audit log.');
+  }
+  finally {
+    AuditRecord.insertMany = insertMany;
+    await OrgController.remove(adminUser, orgID);
+  }
+}
+
+/**
+ * @description Verifies that audit records are filtered by their action and
+ * the date range of their timestamp.
+ */
+async function findByActionAndDate() {
+  const updated = await AuditController.find(adminUser,
+    { target: orgID, action: 'updated', from: startTime.toISOString() });
+  chai.expect(updated.length).to.equal(1);
+  chai.expect(updated[0].changes.name.after).to.equal('Audited Org');
+
+  // The range is inclusive, so end it before the records could have been created
+  const none = await AuditController.find(adminUser,
+    { target: orgID, to: startTime.getTime() - 1 });
+  chai.expect(none.length).to.equal(0);
+}
+
+/**
+ * @description Verifies that an invalid date is rejected.
+ */
+async function rejectInvalidDate() {
+  await AuditController.find(adminUser, { from: 'not a date' })
+  .should.eventually.be.rejectedWith('The option \'from\' is not a valid date.');
+}
+
+/**
+ * @description Verifies that a non-admin user cannot find audit records.
+ */
+async function rejectNonAdmin() {
+  await AuditController.find(nonAdminUser, {})
+  .should.eventually.be.rejectedWith('User does not have permission to view the audit log.');
+}
@@ -86,6 +86,7 @@ describe(M.getModuleName(module.filename), () => {
   it('should GET multiple elements', getElements);
   it('should GET ALL elements', getAllElements);
   it('should GET an element through text search', searchElement);
+  it('should GET elements through org and global text search', searchAllElements);
   it('should PATCH an element', patchElement);
   it('should PATCH multiple elements', patchElements);
   it('should DELETE an element', deleteElement);
@@ -725,6 +726,62 @@ function searchElement(done) {
   APIController.searchElements(req, res, next(req, res));
 }
 
+/**
+ * @description Verifies mock GET requests to search the elements of an org and
+ * of every org, grouped by project and branch.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function searchAllElements(done) {
+  const elemData = testData.elements[0];
+  const query = { q: `"${elemData.name}"`, project: projID };
+  const method = 'GET';
+
+  // Creates a request and response which verify the groups of found elements
+  const search = (params) => new Promise((resolve) => {
+    const req = testUtils.createRequest(adminUser, params, {}, method, query);
+
+    // Set response as empty object
+    const res = {};
+
+    // Verifies status code and headers
+    testUtils.createResponse(res);
+
+    // Verifies the response data
+    res.send = function send(_data) {
+      // Verify response body
+      const response = JSON.parse(_data);
+
+      // Expect a single group, containing the searched element
+      chai.expect(response.length).to.equal(1);
+      chai.expect(response[0].org).to.equal(org._id);
+      chai.expect(response[0].project).to.equal(projID);
+      chai.expect(response[0].branch).to.equal(branchID);
+      chai.expect(response[0].elements.length).to.equal(1);
+
+      // Verify the found element, its score and its highlights
+      const foundElement = response[0].elements[0];
+      chai.expect(foundElement.id).to.equal(elemData.id);
+      chai.expect(foundElement.name).to.equal(elemData.name);
+      chai.expect(foundElement.score).to.be.above(0);
+      chai.expect(foundElement.highlights.name).to.have.lengthOf(1);
+
+      // Expect the statusCode to be 200
+      chai.expect(res.statusCode).to.equal(200);
+
+      resolve();
+    };
+
+    // GET elements through org or global text search
+    APIController.searchAllElements(req, res, next(req, res));
+  });
+
+  search({ orgid: org._id })
+  .then(() => search({}))
+  .then(() => done())
+  .catch(done);
+}
+
 /**
  * @description Verifies mock PATCH request to update an element.
  *
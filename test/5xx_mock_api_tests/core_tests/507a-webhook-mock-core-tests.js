@@ -645,8 +645,8 @@ async function triggerWebhook() {
 
   promises.push(new Promise((resolve, reject) => {
     // Register a listener for the incoming webhook event
-    events.on(webhookData.triggers[0], function(data) {
-      if (data[1] === body.data) resolve();
+    events.on(webhookData.triggers[0], function(envelope) {
+      if (envelope.data === body.data && envelope.actor === adminUser._id) resolve();
       else reject(new Error('Data not found in emitted webhook event'));
     });
   }));
@@ -87,6 +87,8 @@ describe(M.getModuleName(module.filename), () => {
   it('should reject a PATCH branch request with no requesting user', noReqUser('patchBranch'));
   it('should reject a DELETE branches request with no requesting user', noReqUser('deleteBranches'));
   it('should reject a DELETE branch request with no requesting user', noReqUser('deleteBranch'));
+  it('should reject a GET branch diff request with no requesting user', noReqUser('getBranchDiff'));
+  it('should reject a POST branch merge request with no requesting user', noReqUser('postBranchMerge'));
   // ------------- Invalid options -------------
   it('should reject a GET branches request with invalid options', invalidOptions('getBranches'));
   it('should reject a GET branch request with invalid options', invalidOptions('getBranch'));
@@ -96,6 +98,8 @@ describe(M.getModuleName(module.filename), () => {
   it('should reject a PATCH branch request with invalid options', invalidOptions('patchBranch'));
   it('should reject a DELETE branches request with invalid options', invalidOptions('deleteBranches'));
   it('should reject a DELETE branch request with invalid options', invalidOptions('deleteBranch'));
+  it('should reject a GET branch diff request with invalid options', invalidOptions('getBranchDiff'));
+  it('should reject a POST branch merge request with invalid options', invalidOptions('postBranchMerge'));
   // ------- Non matching ids in body vs url -------
   it('should reject a POST branch request with conflicting ids in the body and url', conflictingIDs('postBranch'));
   it('should reject a PATCH branch request with conflicting ids in the body and url', conflictingIDs('patchBranch'));
@@ -91,6 +91,7 @@ describe(M.getModuleName(module.filename), () => {
   it('should reject a PUT element request with no requesting user', noReqUser('putElement'));
   it('should reject a DELETE elements request with no requesting user', noReqUser('deleteElements'));
   it('should reject a DELETE element request with no requesting user', noReqUser('deleteElement'));
+  it('should reject a GET element history request with no requesting user', noReqUser('getElementHistory'));
   // ------------- Invalid options -------------
   it('should reject a GET elements request with invalid options', invalidOptions('getElements'));
   it('should reject a GET element request with invalid options', invalidOptions('getElement'));
@@ -103,6 +104,7 @@ describe(M.getModuleName(module.filename), () => {
   it('should reject a PUT element request with invalid options', invalidOptions('putElement'));
   it('should reject a DELETE elements request with invalid options', invalidOptions('deleteElements'));
   it('should reject a DELETE element request with invalid options', invalidOptions('deleteElement'));
+  it('should reject a GET element history request with invalid options', invalidOptions('getElementHistory'));
   // ------- Non matching ids in body vs url -------
   it('should reject a POST element request with conflicting ids in the body and url', conflictingIDs('postElement'));
   it('should reject a PATCH element request with conflicting ids in the body and url', conflictingIDs('patchElement'));
@@ -117,6 +119,7 @@ describe(M.getModuleName(module.filename), () => {
   it('should return 404 for a PUT element request for a nonexistent branch', notFound('putElement'));
   it('should return 404 for a DELETE elements request for nonexistent branches', notFound('deleteElements'));
   it('should return 404 for a DELETE element request for a nonexistent branch', notFound('deleteElement'));
+  it('should return 404 for a GET element history request that returned no results', notFound('getElementHistory'));
   // ------------- No arrays in singular endpoints -------------
   it('should reject a POST singular element request containing an array in the body', noArrays('postElement'));
   it('should reject a PATCH singular element request containing an array in the body', noArrays('patchElement'));
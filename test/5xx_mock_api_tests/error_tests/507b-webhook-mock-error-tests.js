@@ -82,6 +82,8 @@ describe(M.getModuleName(module.filename), () => {
   it('should reject a PATCH webhook request with no requesting user', noReqUser('patchWebhook'));
   it('should reject a DELETE webhooks request with no requesting user', noReqUser('deleteWebhooks'));
   it('should reject a DELETE webhook request with no requesting user', noReqUser('deleteWebhook'));
+  it('should reject a GET webhook deliveries request with no requesting user', noReqUser('getWebhookDeliveries'));
+  it('should reject a POST webhook redelivery request with no requesting user', noReqUser('redeliverWebhook'));
   // ------------- Invalid options -------------
   it('should reject a GET webhooks request with invalid options', invalidOptions('getWebhooks'));
   it('should reject a GET webhook request with invalid options', invalidOptions('getWebhook'));
@@ -90,11 +92,14 @@ describe(M.getModuleName(module.filename), () => {
   it('should reject a PATCH webhook request with invalid options', invalidOptions('patchWebhook'));
   it('should reject a DELETE webhooks request with invalid options', invalidOptions('deleteWebhooks'));
   it('should reject a DELETE webhook request with invalid options', invalidOptions('deleteWebhook'));
+  it('should reject a GET webhook deliveries request with invalid options', invalidOptions('getWebhookDeliveries'));
+  it('should reject a POST webhook redelivery request with invalid options', invalidOptions('redeliverWebhook'));
   // ------- Non matching ids in body vs url -------
   it('should reject a PATCH webhook request with conflicting ids in the body and url', conflictingIDs('patchWebhook'));
   // ------------- 404 Not Found -------------
   it('should return 404 for a GET webhooks request that returned no results', notFound('getWebhooks'));
   it('should return 404 for a GET webhook request for a nonexistent webhook', notFound('getWebhook'));
+  it('should return 404 for a GET webhook deliveries request for a nonexistent webhook', notFound('getWebhookDeliveries'));
   // ------------- No arrays in singular endpoints -------------
   it('should reject a PATCH singular webhook request containing an array in the body', noArrays('patchWebhook'));
   //  ------------- Trigger -------------
@@ -26,6 +26,7 @@ const chai = require('chai');
 // MBEE modules
 const UserController = M.require('controllers.user-controller');
 const APIController = M.require('controllers.api-controller');
+const User = M.require('models.user');
 
 /* --------------------( Test Data )-------------------- */
 const testUtils = M.require('lib.test-utils');
@@ -86,6 +87,8 @@ describe(M.getModuleName(module.filename), () => {
   it('should post users from an uploaded gzip file', postGzip);
   it('should put users from an uploaded gzip file', putGzip);
   it('should patch users from an uploaded gzip file', patchGzip);
+  it('should POST to unlock a locked user', postUserUnlock);
+  it('should POST to enroll in two-factor authentication', postTwoFactor);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -320,3 +323,78 @@ function patchGzip(done) {
     APIController.patchUsers(req, res, next(req, res));
   });
 }
+
+/**
+ * @description Verifies mock POST request to unlock the account of a user
+ * which was locked after exceeding the allowed number of failed logins.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postUserUnlock(done) {
+  // Lock the account of the non-admin user
+  User.updateOne({ _id: nonAdminUser._id }, {
+    archived: true,
+    lockedOn: Date.now(),
+    failedlogins: [{ ipaddress: '127.0.0.1', timestamp: Date.now() }]
+  })
+  .then(() => {
+    // Create request object
+    const params = { username: nonAdminUser._id };
+    const req = testUtils.createRequest(adminUser, params, {}, 'POST');
+
+    // Create response object
+    const res = {};
+    testUtils.createResponse(res);
+
+    // Verifies the response data
+    res.send = function send(_data) {
+      const unlockedUser = JSON.parse(_data);
+      chai.expect(unlockedUser.username).to.equal(nonAdminUser._id);
+      chai.expect(unlockedUser.archived).to.equal(false);
+      chai.expect(unlockedUser.failedlogins).to.deep.equal([]);
+      chai.expect(unlockedUser).to.not.have.property('lockedOn');
+
+      // Expect the statusCode to be 200
+      chai.expect(res.statusCode).to.equal(200);
+      done();
+    };
+
+    // POSTs to unlock the user
+    APIController.postUserUnlock(req, res, next(req, res));
+  })
+  .catch(done);
+}
+
+/**
+ * @description Verifies mock POST request to enroll the requesting user in
+ * two-factor authentication.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postTwoFactor(done) {
+  // Create request object
+  const params = { username: nonAdminUser._id };
+  const req = testUtils.createRequest(nonAdminUser, params, {}, 'POST');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const enrollment = JSON.parse(_data);
+    chai.expect(enrollment.uri).to.include(`secret=${enrollment.secret}`);
+    chai.expect(enrollment.recoveryCodes.length).to.equal(10);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    // Remove the pending enrollment
+    User.updateOne({ _id: nonAdminUser._id }, { twoFactor: null })
+    .then(() => done())
+    .catch(done);
+  };
+
+  // POSTs to enroll the user
+  APIController.postTwoFactor(req, res, next(req, res));
+}
@@ -75,6 +75,7 @@ describe(M.getModuleName(module.filename), () => {
   it('should post orgs from an uploaded gzip file', postGzip);
   it('should put orgs from an uploaded gzip file', putGzip);
   it('should patch orgs from an uploaded gzip file', patchGzip);
+  it('should get a page of orgs with the next page and total count headers', getOrgsPage);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -249,3 +250,67 @@ function patchGzip(done) {
     APIController.patchOrgs(req, res, next(req, res));
   });
 }
+
+/**
+ * @description Verifies that the cursor and URL of the next page, and the
+ * total number of matching orgs, are returned in the headers of the response
+ * when a page of orgs is found.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getOrgsPage(done) {
+  const orgIDs = testData.orgs.slice(0, 3).map(o => o.id);
+
+  // Create the test orgs
+  OrgController.create(adminUser, testData.orgs.slice(0, 3))
+  .then(() => {
+    // Create request object
+    const params = {};
+    const body = {};
+    const method = 'GET';
+    const query = { ids: orgIDs.join(','), limit: '2', skip: '0', count: 'true' };
+    const req = testUtils.createRequest(adminUser, params, body, method, query);
+    req.originalUrl = '/api/orgs?limit=2';
+
+    // Set response as empty object
+    const res = {};
+    const headers = {};
+
+    // Verifies status code and headers
+    testUtils.createResponse(res);
+    // Store the headers of the response
+    res.header = function header(name, value) {
+      headers[name] = value;
+      return this;
+    };
+
+    // Verifies the response data
+    res.send = function send(_data) {
+      // Verify the first page of orgs was returned
+      const foundOrgs = JSON.parse(_data);
+      chai.expect(foundOrgs.map(o => o.id)).to.deep.equal(orgIDs.slice(0, 2));
+
+      // Verify the page headers
+      chai.expect(headers['X-Total-Count']).to.equal('3');
+      chai.expect(headers['X-Next-Cursor']).to.be.a('string');
+      chai.expect(headers.Link).to.equal('</api/orgs?ids='
+        + `${encodeURIComponent(orgIDs.join(','))}&limit=2&count=true`
+        + `&after=${headers['X-Next-Cursor']}>; rel="next"`);
+
+      // Remove the test orgs
+      OrgController.remove(adminUser, orgIDs)
+      .then(() => {
+        done();
+      });
+    };
+
+    // GETs the orgs
+    APIController.getOrgs(req, res, next(req, res));
+  })
+  .catch((error) => {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+    done();
+  });
+}
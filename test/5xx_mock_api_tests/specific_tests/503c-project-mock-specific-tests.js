@@ -84,6 +84,8 @@ describe(M.getModuleName(module.filename), () => {
   it('should post projects from an uploaded gzip file', postGzip);
   it('should put projects from an uploaded gzip file', putGzip);
   it('should patch projects from an uploaded gzip file', patchGzip);
+  it('should PUT the type profile of a project', putTypeProfile);
+  it('should DELETE the type profile of a project', deleteTypeProfile);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -254,3 +256,63 @@ function patchGzip(done) {
     APIController.patchProjects(req, res, next(req, res));
   });
 }
+
+/**
+ * @description Verifies mock PUT request to set the profile of a type on a
+ * project.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function putTypeProfile(done) {
+  // Create request object
+  const params = { orgid: org._id, projectid: testData.projects[0].id, typeid: 'Requirement' };
+  const body = { schema: { type: 'object', required: ['priority'] }, parentTypes: ['Package'] };
+  const req = testUtils.createRequest(adminUser, params, body, 'PUT');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const typeProfiles = JSON.parse(_data);
+    chai.expect(typeProfiles.strict).to.equal(false);
+    chai.expect(typeProfiles.types.Requirement).to.deep.equal(body);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // PUTs a type profile
+  APIController.putTypeProfile(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock DELETE request to remove the profile of a type
+ * from a project.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteTypeProfile(done) {
+  // Create request object
+  const params = { orgid: org._id, projectid: testData.projects[0].id, typeid: 'Requirement' };
+  const req = testUtils.createRequest(adminUser, params, {}, 'DELETE');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const typeProfiles = JSON.parse(_data);
+    chai.expect(typeProfiles.types).to.deep.equal({});
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // DELETEs a type profile
+  APIController.deleteTypeProfile(req, res, next(req, res));
+}
@@ -25,6 +25,7 @@ const chai = require('chai');
 
 // MBEE modules
 const BranchController = M.require('controllers.branch-controller');
+const ElementController = M.require('controllers.element-controller');
 const APIController = M.require('controllers.api-controller');
 const utils = M.require('lib.utils');
 
@@ -37,6 +38,7 @@ let adminUser = null;
 let org = null;
 let proj = null;
 let projID = null;
+let exportedXMI = null;
 
 /* --------------------( Main )-------------------- */
 /**
@@ -89,6 +91,12 @@ describe(M.getModuleName(module.filename), () => {
   /* Execute tests */
   it('should post branches from an uploaded gzip file', postGzip);
   it('should patch branches from an uploaded gzip file', patchGzip);
+  it('should GET the differences between a tag and a branch', getBranchDiff);
+  it('should POST a dry run merge of a branch into its source', postBranchMerge);
+  it('should PATCH the protection rules of a branch', patchBranchProtection);
+  it('should GET the protection rules of a branch', getBranchProtection);
+  it('should GET a subtree of a branch as XMI', getBranchXMI);
+  it('should POST XMI to import elements into a branch', postBranchXMI);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -211,3 +219,296 @@ function patchGzip(done) {
     APIController.patchBranches(req, res, next(req, res));
   });
 }
+
+/**
+ * @description Verifies mock GET request to find the differences between a
+ * tag and a branch.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getBranchDiff(done) {
+  const tagData = testData.branches[7];
+  const branchData = testData.branches[3];
+  const elemData = testData.elements.slice(0, 2);
+
+  // Create the tag and the branch to be compared
+  BranchController.create(adminUser, org._id, projID, tagData)
+  .then(() => BranchController.create(adminUser, org._id, projID, branchData))
+  // Create elements on the branch
+  .then(() => ElementController.create(adminUser, org._id, projID, branchData.id, elemData))
+  .then(() => {
+    // Create request object
+    const params = {
+      orgid: org._id,
+      projectid: projID,
+      branchid: tagData.id,
+      otherbranchid: branchData.id
+    };
+    const method = 'GET';
+    const req = testUtils.createRequest(adminUser, params, {}, method);
+
+    // Set response as empty object
+    const res = {};
+
+    // Verifies status code and headers
+    testUtils.createResponse(res);
+
+    // Verifies the response data
+    res.send = function send(_data) {
+      // Verify response body
+      const changes = JSON.parse(_data);
+
+      // Verify the created elements are reported as added
+      const addedIDs = changes.elements.added.map(e => e.id);
+      chai.expect(addedIDs.sort()).to.deep.equal(elemData.map(e => e.id).sort());
+      changes.elements.added.forEach((elem) => {
+        chai.expect(elem.branch).to.equal(branchData.id);
+      });
+      chai.expect(changes.elements.removed.length).to.equal(0);
+      chai.expect(changes.elements.modified.length).to.equal(0);
+
+      // Verify there are no artifact changes
+      chai.expect(changes.artifacts.added.length).to.equal(0);
+      chai.expect(changes.artifacts.removed.length).to.equal(0);
+      chai.expect(changes.artifacts.modified.length).to.equal(0);
+
+      // Expect the statusCode to be 200
+      chai.expect(res.statusCode).to.equal(200);
+
+      done();
+    };
+
+    // GETs the branch differences
+    APIController.getBranchDiff(req, res, next(req, res));
+  })
+  .catch((error) => {
+    M.log.error(error);
+    // Expect no error
+    chai.expect(error.message).to.equal(null);
+    done();
+  });
+}
+
+/**
+ * @description Verifies mock POST request to perform a dry run merge of a
+ * branch into its source branch.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postBranchMerge(done) {
+  const branchData = testData.branches[3];
+  const elemData = testData.elements.slice(0, 2);
+
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchData.id,
+    targetbranchid: branchData.source
+  };
+  const method = 'POST';
+  const query = { dryRun: 'true' };
+  const req = testUtils.createRequest(adminUser, params, {}, method, query);
+
+  // Set response as empty object
+  const res = {};
+
+  // Verifies status code and headers
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Verify response body
+    const result = JSON.parse(_data);
+
+    // Verify the elements created on the branch would be added to the source
+    chai.expect(result.dryRun).to.equal(true);
+    chai.expect(result.merged).to.equal(false);
+    chai.expect(result.conflicts.length).to.equal(0);
+    chai.expect(result.elements.added.sort()).to.deep.equal(elemData.map(e => e.id).sort());
+    chai.expect(result.elements.removed.length).to.equal(0);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // POSTs the branch merge
+  APIController.postBranchMerge(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock PATCH request to change the protection rules of
+ * a branch.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function patchBranchProtection(done) {
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: 'master'
+  };
+  const body = { adminOnly: true };
+  const method = 'PATCH';
+  const req = testUtils.createRequest(adminUser, params, body, method);
+
+  // Set response as empty object
+  const res = {};
+
+  // Verifies status code and headers
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Verify response body
+    const protection = JSON.parse(_data);
+    chai.expect(protection).to.deep.equal({ writers: [], adminOnly: true, requireMerge: false });
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // PATCHes the branch protection
+  APIController.patchBranchProtection(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock GET request to find the protection rules of a
+ * branch.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getBranchProtection(done) {
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: 'master'
+  };
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+
+  // Set response as empty object
+  const res = {};
+
+  // Verifies status code and headers
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Verify response body
+    const protection = JSON.parse(_data);
+    chai.expect(protection).to.deep.equal({ writers: [], adminOnly: true, requireMerge: false });
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    // Remove the protection rules, so other tests can change master
+    BranchController.updateProtection(adminUser, org._id, projID, 'master',
+      { adminOnly: false })
+    .then(() => done())
+    .catch(done);
+  };
+
+  // GETs the branch protection
+  APIController.getBranchProtection(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock GET request to export a subtree of a branch
+ * as XMI.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getBranchXMI(done) {
+  const branchData = testData.branches[3];
+  const elemData = testData.elements[1];
+
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchData.id
+  };
+  const method = 'GET';
+  const query = { rootid: elemData.id };
+  const req = testUtils.createRequest(adminUser, params, {}, method, query);
+
+  // Set response as empty object
+  const res = {};
+
+  // Verifies status code and headers
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Verify the root element of the XMI is the requested element
+    chai.expect(_data).to.include(`xmi:id="${elemData.id}"`);
+    chai.expect(_data).to.include(`name="${elemData.name}"`);
+    chai.expect(_data).to.not.include(`xmi:id="${testData.elements[0].id}"`);
+    exportedXMI = _data;
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // GETs the XMI
+  APIController.getBranchXMI(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock POST request to import the elements of XMI
+ * into a branch.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postBranchXMI(done) {
+  const branchData = testData.branches[0];
+  const elemData = testData.elements[1];
+
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchData.id
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+  req.body = exportedXMI;
+
+  // Set response as empty object
+  const res = {};
+
+  // Verifies status code and headers
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Verify response body
+    const importedElements = JSON.parse(_data);
+
+    // Verify the exported element was imported
+    chai.expect(importedElements.length).to.equal(1);
+    chai.expect(importedElements[0].id).to.equal(elemData.id);
+    chai.expect(importedElements[0].name).to.equal(elemData.name);
+    chai.expect(importedElements[0].type).to.equal(elemData.type);
+    chai.expect(importedElements[0].documentation).to.equal(elemData.documentation);
+    chai.expect(importedElements[0].parent).to.equal(elemData.parent);
+    chai.expect(importedElements[0].branch).to.equal(branchData.id);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // POSTs the XMI
+  APIController.postBranchXMI(req, res, next(req, res));
+}
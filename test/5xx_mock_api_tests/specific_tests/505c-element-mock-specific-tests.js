@@ -18,6 +18,7 @@
 // Node modules
 const path = require('path');
 const fs = require('fs');
+const { Writable } = require('stream');
 const zlib = require('zlib');
 
 // NPM modules
@@ -27,6 +28,7 @@ const chai = require('chai');
 const ElementController = M.require('controllers.element-controller');
 const ProjectController = M.require('controllers.project-controller');
 const APIController = M.require('controllers.api-controller');
+const tableConversions = M.require('lib.table-conversions');
 const utils = M.require('lib.utils');
 
 /* --------------------( Test Data )-------------------- */
@@ -34,11 +36,13 @@ const testUtils = M.require('lib.test-utils');
 const testData = testUtils.importTestData('test_data.json');
 const next = testUtils.next;
 const filepath = path.join(M.root, '/test/testzip.json');
+const ndjsonFilepath = path.join(M.root, '/test/testelements.ndjson');
 let adminUser = null;
 let org = null;
 let proj = null;
 let projID = null;
 const branchID = 'master';
+let etag = null;
 
 /* --------------------( Main )-------------------- */
 /**
@@ -80,6 +84,7 @@ describe(M.getModuleName(module.filename), () => {
       await testUtils.removeTestOrg();
       await testUtils.removeTestAdmin();
       await fs.unlinkSync(filepath);
+      await fs.unlinkSync(ndjsonFilepath);
     }
     catch (error) {
       M.log.error(error);
@@ -92,6 +97,21 @@ describe(M.getModuleName(module.filename), () => {
   it('should create elements from an uploaded gzip file', postGzip);
   it('should put elements from an uploaded gzip file', putGzip);
   it('should patch elements from an uploaded gzip file', patchGzip);
+  it('should get the history of an element', getElementHistory);
+  it('should lock an element', postElementLock);
+  it('should unlock an element', deleteElementLock);
+  it('should get the revision of an element in the ETag header', getElementETag);
+  it('should reject a PATCH with an outdated revision in If-Match', rejectOutdatedIfMatch);
+  it('should reject a PATCH with a weak tag in If-Match', rejectWeakIfMatch);
+  it('should PATCH an element with its revision in If-Match', patchElementIfMatch);
+  it('should create elements from a CSV spreadsheet and report the rows which failed',
+    postElementsCSV);
+  it('should get elements as a CSV spreadsheet', getElementsCSV);
+  it('should update elements from an xlsx spreadsheet', patchElementsXLSX);
+  it('should create elements from newline delimited JSON', postElementsNDJSON);
+  it('should stream elements as newline delimited JSON', getElementsNDJSON);
+  it('should report the committed batches of newline delimited JSON when a batch fails',
+    postElementsNDJSONFailedBatch);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -269,3 +289,624 @@ function patchGzip(done) {
     APIController.patchElements(req, res, next(req, res));
   });
 }
+
+/**
+ * @description Verifies mock GET request to get the revision history of an
+ * element.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getElementHistory(done) {
+  const elementData = testData.elements[0];
+
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID,
+    elementid: elementData.id
+  };
+  const method = 'GET';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Parse the JSON response
+    const revisions = JSON.parse(_data);
+
+    // Verify the element creation was recorded
+    chai.expect(revisions.length).to.equal(1);
+    chai.expect(revisions[0].element).to.equal(elementData.id);
+    chai.expect(revisions[0].action).to.equal('created');
+    chai.expect(revisions[0].createdBy).to.equal(adminUser._id);
+    chai.expect(revisions[0].changes.name.after).to.equal(elementData.name);
+    chai.expect(revisions[0].changes.parent.after).to.equal(elementData.parent);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // GETs the element history
+  APIController.getElementHistory(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock POST request to lock an element.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postElementLock(done) {
+  const elementData = testData.elements[0];
+
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID,
+    elementid: elementData.id
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, {}, method, { timeout: '5' });
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Parse the JSON response
+    const lockedElements = JSON.parse(_data);
+
+    // Verify the element is locked by the admin for 5 minutes
+    chai.expect(lockedElements.length).to.equal(1);
+    chai.expect(lockedElements[0].id).to.equal(elementData.id);
+    chai.expect(lockedElements[0].lockedBy).to.equal(adminUser._id);
+    const duration = new Date(lockedElements[0].lockExpiresOn)
+      - new Date(lockedElements[0].lockedOn);
+    chai.expect(duration).to.equal(5 * 60000);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // POSTs the element lock
+  APIController.postElementLock(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock DELETE request to unlock an element.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteElementLock(done) {
+  const elementData = testData.elements[0];
+
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID,
+    elementid: elementData.id
+  };
+  const method = 'DELETE';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Parse the JSON response
+    const unlockedElements = JSON.parse(_data);
+
+    // Verify the element is no longer locked
+    chai.expect(unlockedElements.length).to.equal(1);
+    chai.expect(unlockedElements[0].lockedBy).to.equal(null);
+    chai.expect(unlockedElements[0]).to.not.have.any.keys('lockedOn', 'lockExpiresOn');
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // DELETEs the element lock
+  APIController.deleteElementLock(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock GET request to find an element sets the revision
+ * of the element in the ETag header.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getElementETag(done) {
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID,
+    elementid: testData.elements[0].id
+  };
+  const req = testUtils.createRequest(adminUser, params, {}, 'GET');
+
+  // Create response object
+  const res = {};
+  const headers = {};
+  testUtils.createResponse(res);
+  // Store the headers of the response
+  res.header = function header(name, value) {
+    headers[name] = value;
+    return this;
+  };
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const foundElement = JSON.parse(_data);
+
+    // Expect the ETag to be the quoted revision of the element
+    etag = headers.ETag;
+    chai.expect(etag).to.match(/^"[0-9]+"$/);
+    chai.expect(etag).to.equal(`"${foundElement._rev}"`);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // GETs the element
+  APIController.getElement(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock PATCH request to update an element is rejected
+ * if the element does not have the revision in the If-Match header, and that
+ * the conflict is returned as JSON.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function rejectOutdatedIfMatch(done) {
+  // Create request object
+  const elemID = testData.elements[0].id;
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID,
+    elementid: elemID
+  };
+  const req = testUtils.createRequest(adminUser, params, { name: 'Outdated' }, 'PATCH');
+  req.headers['if-match'] = '"0"';
+
+  // Create response object
+  const res = {};
+  const headers = {};
+  testUtils.createResponse(res);
+  // Store the headers of the response
+  res.header = function header(name, value) {
+    headers[name] = value;
+    return this;
+  };
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Expect the conflict to contain the provided and the current revision
+    chai.expect(JSON.parse(_data)).to.deep.equal({
+      message: `The following elements have changed since they were read: [${elemID}].`,
+      conflicts: [{ id: elemID, revisions: ['0'], current: JSON.parse(etag) }]
+    });
+    chai.expect(headers['Content-Type']).to.equal('application/json');
+
+    // Expect the statusCode to be 412
+    chai.expect(res.statusCode).to.equal(412);
+    done();
+  };
+
+  // PATCHes the element
+  APIController.patchElement(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock PATCH request to update an element is rejected
+ * if the If-Match header only contains a weak tag of the current revision,
+ * since weak tags never match in the strong comparison of If-Match.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function rejectWeakIfMatch(done) {
+  // Create request object
+  const elemID = testData.elements[0].id;
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID,
+    elementid: elemID
+  };
+  const req = testUtils.createRequest(adminUser, params, { name: 'Weak' }, 'PATCH');
+  req.headers['if-match'] = `W/${etag}`;
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Expect the weak tag to be returned as it was sent
+    chai.expect(JSON.parse(_data).conflicts).to.deep.equal(
+      [{ id: elemID, revisions: [`W/${etag}`], current: JSON.parse(etag) }]
+    );
+
+    // Expect the statusCode to be 412
+    chai.expect(res.statusCode).to.equal(412);
+    done();
+  };
+
+  // PATCHes the element
+  APIController.patchElement(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock PATCH request to update an element succeeds if
+ * the element has the revision in the If-Match header, and returns the new
+ * revision in the ETag header.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function patchElementIfMatch(done) {
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID,
+    elementid: testData.elements[0].id
+  };
+  const req = testUtils.createRequest(adminUser, params, { name: 'Matched' }, 'PATCH');
+  req.headers['if-match'] = `"0", ${etag}`;
+
+  // Create response object
+  const res = {};
+  const headers = {};
+  testUtils.createResponse(res);
+  // Store the headers of the response
+  res.header = function header(name, value) {
+    headers[name] = value;
+    return this;
+  };
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const updatedElement = JSON.parse(_data);
+    chai.expect(updatedElement.name).to.equal('Matched');
+
+    // Expect the ETag to be the new revision of the element
+    chai.expect(headers.ETag).to.not.equal(etag);
+    chai.expect(headers.ETag).to.equal(`"${updatedElement._rev}"`);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // PATCHes the element
+  APIController.patchElement(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock POST request to create elements from a CSV
+ * spreadsheet. Valid rows are created, and invalid rows are reported with
+ * their row number.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postElementsCSV(done) {
+  const existingID = testData.elements[0].id;
+  const csv = 'id,name,parent,custom.priority,custom.level.value\r\n'
+    + 'csvelem0,"CSV Element, 0",model,high,5\r\n'
+    + 'csvelem1,CSV Element 1,missingparent,,\r\n'
+    + `${existingID},Duplicate,model,,\r\n`;
+
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID
+  };
+  const method = 'POST';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+  req.headers['content-type'] = 'text/csv';
+  req.body = csv;
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Parse the JSON response
+    const report = JSON.parse(_data);
+
+    // Verify the valid row was created with its custom data
+    chai.expect(report.elements.length).to.equal(1);
+    chai.expect(report.elements[0].id).to.equal('csvelem0');
+    chai.expect(report.elements[0].name).to.equal('CSV Element, 0');
+    chai.expect(report.elements[0].custom).to.deep.equal({ priority: 'high', level: { value: 5 } });
+
+    // Verify the invalid rows were reported
+    chai.expect(report.errors.map(e => e.row)).to.deep.equal([3, 4]);
+    chai.expect(report.errors.map(e => e.id)).to.deep.equal(['csvelem1', existingID]);
+    report.errors.forEach((e) => {
+      chai.expect(typeof e.message).to.equal('string');
+    });
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // POSTs the elements
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock GET request to find elements as a CSV
+ * spreadsheet with flattened custom data.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getElementsCSV(done) {
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID
+  };
+  const method = 'GET';
+  const query = { format: 'csv', ids: 'csvelem0' };
+  const req = testUtils.createRequest(adminUser, params, {}, method, query);
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Parse the CSV response
+    const table = tableConversions.parseCSV(_data);
+    const row = table.rows[0];
+    const cell = (column) => row[table.columns.indexOf(column)];
+
+    // Verify the element is a row, with a column per custom field
+    chai.expect(table.rows.length).to.equal(1);
+    chai.expect(cell('id')).to.equal('csvelem0');
+    chai.expect(cell('name')).to.equal('CSV Element, 0');
+    chai.expect(cell('custom.priority')).to.equal('high');
+    chai.expect(cell('custom.level.value')).to.equal('5');
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // GETs the elements
+  APIController.getElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock PATCH request to update elements from an xlsx
+ * spreadsheet.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function patchElementsXLSX(done) {
+  const xlsx = tableConversions.toXLSX({
+    columns: ['id', 'name', 'custom.priority'],
+    rows: [['csvelem0', 'Updated CSV Element', 'low']]
+  });
+
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID
+  };
+  const method = 'PATCH';
+  const req = testUtils.createRequest(adminUser, params, {}, method);
+  req.headers['content-type'] = tableConversions.xlsxContentType;
+  req.body = xlsx;
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Parse the JSON response
+    const report = JSON.parse(_data);
+
+    // Verify the element was updated
+    chai.expect(report.errors.length).to.equal(0);
+    chai.expect(report.elements.length).to.equal(1);
+    chai.expect(report.elements[0].name).to.equal('Updated CSV Element');
+    chai.expect(report.elements[0].custom.priority).to.equal('low');
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // PATCHes the elements
+  APIController.patchElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock POST request to create elements from newline
+ * delimited JSON, which is read from the request stream.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postElementsNDJSON(done) {
+  const elementData = [
+    { id: 'ndelem0', name: 'Stream Element 0', type: 'Stream' },
+    { id: 'ndelem1', name: 'Stream Element 1', type: 'Stream', parent: 'ndelem0' },
+    { id: 'ndelem2', name: 'Stream Element 2', type: 'Stream', parent: 'ndelem1' }
+  ];
+
+  // Create a newline delimited JSON file for testing
+  fs.writeFileSync(ndjsonFilepath, `${elementData.map(e => JSON.stringify(e)).join('\n')}\n`);
+
+  // Create a read stream of the file and give it request-like attributes
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID
+  };
+  const method = 'POST';
+  const req = testUtils.createReadStreamRequest(adminUser, params, {}, method, {},
+    ndjsonFilepath, 'application/x-ndjson');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    // Parse the JSON response
+    const report = JSON.parse(_data);
+
+    // Verify the number of created elements was reported
+    chai.expect(report).to.deep.equal({
+      elements: 3,
+      batches: [{ batch: 1, firstLine: 1, elements: 3 }]
+    });
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    // Verify the elements were created
+    ElementController.find(adminUser, org._id, projID, branchID, elementData.map(e => e.id))
+    .then((foundElements) => {
+      chai.expect(foundElements.length).to.equal(3);
+      const elem = foundElements.find(e => e._id.endsWith('ndelem2'));
+      chai.expect(elem.parent).to.equal(utils.createID(org._id, projID, branchID, 'ndelem1'));
+      done();
+    })
+    .catch(done);
+  };
+
+  // POSTs the elements
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that when a batch of newline delimited JSON fails
+ * after another batch was created, the created batch and the failed batch are
+ * reported.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postElementsNDJSONFailedBatch(done) {
+  const ndjsonConfig = M.config.server.api.ndjson;
+  M.config.server.api.ndjson = { batchSize: 2 };
+  const elementData = [
+    { id: 'ndelem3', name: 'Stream Element 3' },
+    { id: 'ndelem4', name: 'Stream Element 4' },
+    { id: 'ndelem5', name: 'Stream Element 5', parent: 'ndmissing' }
+  ];
+
+  // Create a newline delimited JSON file for testing
+  fs.writeFileSync(ndjsonFilepath, `${elementData.map(e => JSON.stringify(e)).join('\n')}\n`);
+
+  // Create a read stream of the file and give it request-like attributes
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID
+  };
+  const method = 'POST';
+  const req = testUtils.createReadStreamRequest(adminUser, params, {}, method, {},
+    ndjsonFilepath, 'application/x-ndjson');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    M.config.server.api.ndjson = ndjsonConfig;
+    const report = JSON.parse(_data);
+
+    // Verify the first batch was created and the second batch failed
+    chai.expect(report.elements).to.equal(2);
+    chai.expect(report.batches).to.deep.equal([{ batch: 1, firstLine: 1, elements: 2 }]);
+    chai.expect(report.error.batch).to.equal(2);
+    chai.expect(report.error.firstLine).to.equal(3);
+    chai.expect(report.error.message).to.be.a('string');
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  };
+
+  // POSTs the elements
+  APIController.postElements(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock GET request to stream elements as newline
+ * delimited JSON, when requested by the Accept header.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getElementsNDJSON(done) {
+  // Create request object
+  const params = {
+    orgid: org._id,
+    projectid: projID,
+    branchid: branchID
+  };
+  const method = 'GET';
+  const query = { type: 'Stream', sort: 'name' };
+  const req = testUtils.createRequest(adminUser, params, {}, method, query);
+  req.headers.accept = 'application/x-ndjson';
+
+  // Create a writable response object, which collects the streamed lines
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  testUtils.createResponse(res);
+
+  // Verifies the streamed data
+  res.on('finish', () => {
+    const lines = Buffer.concat(chunks).toString().split('\n');
+
+    // Verify there is one element per line, followed by a final newline
+    chai.expect(lines.pop()).to.equal('');
+    const foundElements = lines.map(l => JSON.parse(l));
+    chai.expect(foundElements.map(e => e.id)).to.deep.equal(['ndelem0', 'ndelem1', 'ndelem2']);
+    chai.expect(foundElements[0].name).to.equal('Stream Element 0');
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+
+    done();
+  });
+
+  // GETs the elements
+  APIController.getElements(req, res, next(req, res));
+}
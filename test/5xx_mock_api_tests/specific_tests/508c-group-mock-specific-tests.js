@@ -0,0 +1,364 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.508c-group-mock-specific-tests
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description This tests mock requests of the API controller functionality:
+ * GET, POST, PATCH, and DELETE groups.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MBEE modules
+const APIController = M.require('controllers.api-controller');
+const Group = M.require('models.group');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const testUtils = M.require('lib.test-utils');
+const next = testUtils.next;
+let adminUser;
+let nonAdminUser;
+const groupData = [
+  { id: 'group-mock-group-01', name: 'Group 01' },
+  { id: 'group-mock-group-02', name: 'Group 02', ldap: 'cn=group02' },
+  { id: 'group-mock-group-03', name: 'Group 03' }
+];
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Runs before all tests. Creates an admin user and a non-admin user.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+      nonAdminUser = await testUtils.createNonAdminUser();
+      groupData[0].members = [nonAdminUser._id];
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: Runs after all tests. Removes any remaining groups, the non-admin
+   * user and the admin user.
+   */
+  after(async () => {
+    try {
+      await Group.deleteMany({ _id: { $in: groupData.map(g => g.id) } });
+      await testUtils.removeNonAdminUser();
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute tests */
+  it('should POST a group', postGroup);
+  it('should POST multiple groups', postGroups);
+  it('should reject a POST of a group from a non-admin', rejectNonAdminPost);
+  it('should GET a group', getGroup);
+  it('should GET multiple groups', getGroups);
+  it('should PATCH a group', patchGroup);
+  it('should PATCH multiple groups', patchGroups);
+  it('should DELETE a group', deleteGroup);
+  it('should DELETE multiple groups', deleteGroups);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies mock POST request to create a group.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postGroup(done) {
+  // Create request object
+  const params = { groupid: groupData[0].id };
+  const req = testUtils.createRequest(adminUser, params, groupData[0], 'POST');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const createdGroup = JSON.parse(_data);
+
+    chai.expect(createdGroup.id).to.equal(groupData[0].id);
+    chai.expect(createdGroup.name).to.equal(groupData[0].name);
+    chai.expect(createdGroup.members).to.deep.equal([nonAdminUser._id]);
+    chai.expect(createdGroup.ldap).to.equal(null);
+    chai.expect(createdGroup.createdBy).to.equal(adminUser._id);
+    chai.expect(createdGroup.archived).to.equal(false);
+    chai.expect(createdGroup).to.not.have.any.keys('archivedOn', 'archivedBy', '__v', '_id');
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // POSTs a group
+  APIController.postGroup(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock POST request to create multiple groups.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postGroups(done) {
+  // Create request object
+  const body = groupData.slice(1);
+  const req = testUtils.createRequest(adminUser, {}, body, 'POST');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const createdGroups = JSON.parse(_data);
+
+    chai.expect(createdGroups.length).to.equal(body.length);
+    body.forEach((group) => {
+      const createdGroup = createdGroups.find(g => g.id === group.id);
+      chai.expect(createdGroup.name).to.equal(group.name);
+      chai.expect(createdGroup.ldap).to.equal(group.ldap || null);
+      chai.expect(createdGroup.members).to.deep.equal([]);
+    });
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // POSTs multiple groups
+  APIController.postGroups(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies that a non-admin cannot POST a group.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function rejectNonAdminPost(done) {
+  // Create request object
+  const params = { groupid: 'group-mock-group-04' };
+  const req = testUtils.createRequest(nonAdminUser, params, {}, 'POST');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    chai.expect(_data).to.equal('User does not have permission to create groups.');
+
+    // Expect the statusCode to be 403
+    chai.expect(res.statusCode).to.equal(403);
+    done();
+  };
+
+  // POSTs a group
+  APIController.postGroup(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock GET request to find a group.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getGroup(done) {
+  // Create request object
+  const params = { groupid: groupData[0].id };
+  const req = testUtils.createRequest(nonAdminUser, params, {}, 'GET');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const foundGroup = JSON.parse(_data);
+
+    chai.expect(foundGroup.id).to.equal(groupData[0].id);
+    chai.expect(foundGroup.members).to.deep.equal([nonAdminUser._id]);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // GETs a group
+  APIController.getGroup(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock GET request to find multiple groups, filtered
+ * by their LDAP group.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getGroups(done) {
+  // Create request object
+  const query = { ldap: 'cn=group02' };
+  const req = testUtils.createRequest(nonAdminUser, {}, {}, 'GET', query);
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const foundGroups = JSON.parse(_data);
+
+    chai.expect(foundGroups.map(g => g.id)).to.deep.equal([groupData[1].id]);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // GETs multiple groups
+  APIController.getGroups(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock PATCH request to update a group.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function patchGroup(done) {
+  // Create request object
+  const params = { groupid: groupData[0].id };
+  const body = { name: 'Updated Group 01', members: [adminUser._id] };
+  const req = testUtils.createRequest(adminUser, params, body, 'PATCH');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const updatedGroup = JSON.parse(_data);
+
+    chai.expect(updatedGroup.id).to.equal(groupData[0].id);
+    chai.expect(updatedGroup.name).to.equal(body.name);
+    chai.expect(updatedGroup.members).to.deep.equal([adminUser._id]);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // PATCHes a group
+  APIController.patchGroup(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock PATCH request to update multiple groups.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function patchGroups(done) {
+  // Create request object
+  const body = groupData.slice(1).map(g => ({ id: g.id, custom: { team: true } }));
+  const req = testUtils.createRequest(adminUser, {}, body, 'PATCH');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const updatedGroups = JSON.parse(_data);
+
+    chai.expect(updatedGroups.length).to.equal(body.length);
+    updatedGroups.forEach((group) => {
+      chai.expect(group.custom).to.deep.equal({ team: true });
+    });
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // PATCHes multiple groups
+  APIController.patchGroups(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock DELETE request to delete a group.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteGroup(done) {
+  // Create request object
+  const params = { groupid: groupData[0].id };
+  const req = testUtils.createRequest(adminUser, params, {}, 'DELETE');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    chai.expect(JSON.parse(_data)).to.equal(groupData[0].id);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // DELETEs a group
+  APIController.deleteGroup(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock DELETE request to delete multiple groups.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteGroups(done) {
+  // Create request object
+  const body = groupData.slice(1).map(g => g.id);
+  const req = testUtils.createRequest(adminUser, {}, body, 'DELETE');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    chai.expect(JSON.parse(_data)).to.have.members(body);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // DELETEs multiple groups
+  APIController.deleteGroups(req, res, next(req, res));
+}
@@ -0,0 +1,202 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.509c-token-mock-specific-tests
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description This tests mock requests of the API controller functionality:
+ * GET, POST, and DELETE personal access tokens.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MBEE modules
+const APIController = M.require('controllers.api-controller');
+const Token = M.require('models.token');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const testUtils = M.require('lib.test-utils');
+const next = testUtils.next;
+let adminUser;
+const tokenIDs = [];
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Runs before all tests. Creates an admin user.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: Runs after all tests. Removes any remaining tokens and the admin
+   * user.
+   */
+  after(async () => {
+    try {
+      await Token.deleteMany({ user: adminUser._id });
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute tests */
+  it('should POST tokens', postTokens);
+  it('should GET tokens', getTokens);
+  it('should DELETE a token', deleteToken);
+  it('should DELETE multiple tokens', deleteTokens);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies mock POST request to create tokens.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function postTokens(done) {
+  // Create request object
+  const params = { username: adminUser._id };
+  const body = [{ name: 'CI', readOnly: true }, { name: 'Deploy' }, { name: 'Sync' }];
+  const req = testUtils.createRequest(adminUser, params, body, 'POST');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const createdTokens = JSON.parse(_data);
+
+    chai.expect(createdTokens.length).to.equal(3);
+    createdTokens.forEach((token) => {
+      chai.expect(token.token.startsWith(`pat_${token.id}_`)).to.equal(true);
+      chai.expect(token.user).to.equal(adminUser._id);
+      chai.expect(token.lastUsedOn).to.equal(null);
+      chai.expect(token).to.not.have.any.keys('hash', '_id');
+      tokenIDs.push(token.id);
+    });
+    chai.expect(createdTokens.find(t => t.name === 'CI').readOnly).to.equal(true);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // POSTs tokens
+  APIController.postTokens(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock GET request to find tokens, without their
+ * secrets.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getTokens(done) {
+  // Create request object
+  const params = { username: adminUser._id };
+  const req = testUtils.createRequest(adminUser, params, {}, 'GET');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const foundTokens = JSON.parse(_data);
+
+    chai.expect(foundTokens.map(t => t.id)).to.have.members(tokenIDs);
+    foundTokens.forEach((token) => {
+      chai.expect(token).to.not.have.any.keys('token', 'hash');
+    });
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // GETs tokens
+  APIController.getTokens(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock DELETE request to delete a token.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteToken(done) {
+  // Create request object
+  const params = { username: adminUser._id, tokenid: tokenIDs[0] };
+  const req = testUtils.createRequest(adminUser, params, {}, 'DELETE');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    chai.expect(JSON.parse(_data)).to.equal(tokenIDs[0]);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // DELETEs a token
+  APIController.deleteToken(req, res, next(req, res));
+}
+
+/**
+ * @description Verifies mock DELETE request to delete multiple tokens.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function deleteTokens(done) {
+  // Create request object
+  const params = { username: adminUser._id };
+  const body = tokenIDs.slice(1);
+  const req = testUtils.createRequest(adminUser, params, body, 'DELETE');
+
+  // Create response object
+  const res = {};
+  testUtils.createResponse(res);
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    chai.expect(JSON.parse(_data)).to.have.members(body);
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // DELETEs multiple tokens
+  APIController.deleteTokens(req, res, next(req, res));
+}
@@ -0,0 +1,131 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.510c-audit-mock-specific-tests
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description This tests mock requests of the API controller functionality:
+ * GET audit records.
+ */
+
+// NPM modules
+const chai = require('chai');
+
+// MBEE modules
+const APIController = M.require('controllers.api-controller');
+const AuditRecord = M.require('models.audit-record');
+
+/* --------------------( Test Data )-------------------- */
+// Variables used across test functions
+const testUtils = M.require('lib.test-utils');
+const next = testUtils.next;
+let adminUser;
+const target = 'audit-mock-target';
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Runs before all tests. Creates an admin user and audit records of
+   * changes to a test target.
+   */
+  before(async () => {
+    try {
+      adminUser = await testUtils.createTestAdmin();
+      await AuditRecord.insertMany(['created', 'updated', 'deleted'].map((action, i) => ({
+        _id: `${target}-${action}`,
+        actor: adminUser._id,
+        action: action,
+        type: 'org',
+        target: target,
+        ip: '127.0.0.1',
+        timestamp: Date.now() + i,
+        changes: { name: { before: null, after: action } }
+      })));
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /**
+   * After: Runs after all tests. Removes the audit records of the test target
+   * and the admin user.
+   */
+  after(async () => {
+    try {
+      await AuditRecord.deleteMany({ target: target });
+      await testUtils.removeTestAdmin();
+    }
+    catch (error) {
+      M.log.error(error);
+      // Expect no error
+      chai.expect(error).to.equal(null);
+    }
+  });
+
+  /* Execute tests */
+  it('should GET audit records', getAudit);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies mock GET request to find audit records, sorted from
+ * newest to oldest and paginated.
+ *
+ * @param {Function} done - The mocha callback.
+ */
+function getAudit(done) {
+  // Create request object
+  const query = { target: target, limit: '2', count: 'true' };
+  const req = testUtils.createRequest(adminUser, {}, {}, 'GET', query);
+  req.originalUrl = `/api/audit?target=${target}&limit=2&count=true`;
+
+  // Create response object
+  const res = {};
+  const headers = {};
+  testUtils.createResponse(res);
+  // Store the headers of the response
+  res.header = function header(name, value) {
+    headers[name] = value;
+    return this;
+  };
+
+  // Verifies the response data
+  res.send = function send(_data) {
+    const foundRecords = JSON.parse(_data);
+
+    chai.expect(foundRecords.map(r => r.action)).to.deep.equal(['deleted', 'updated']);
+    foundRecords.forEach((record) => {
+      chai.expect(record.actor).to.equal(adminUser._id);
+      chai.expect(record.ip).to.equal('127.0.0.1');
+      chai.expect(record.target).to.equal(target);
+      chai.expect(record.changes.name.after).to.equal(record.action);
+    });
+
+    // Expect the next page and total count in the headers
+    chai.expect(headers['X-Total-Count']).to.equal('3');
+    chai.expect(headers['X-Next-Cursor']).to.be.a('string');
+
+    // Expect the statusCode to be 200
+    chai.expect(res.statusCode).to.equal(200);
+    done();
+  };
+
+  // GETs audit records
+  APIController.getAudit(req, res, next(req, res));
+}
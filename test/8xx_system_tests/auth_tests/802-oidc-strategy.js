@@ -0,0 +1,447 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.802-auth-oidc-strategy
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the OIDC authentication strategy against a mock OIDC
+ * provider, which is served locally. The tests verify that users are created
+ * with the provider "oidc" from the claims of the tokens, that JWTs are
+ * validated against the JWKS of the provider, and that the authorization code
+ * flow validates the state of the login attempt.
+ */
+
+// Node modules
+const crypto = require('crypto');
+const http = require('http');
+
+// NPM modules
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// Use async chai
+chai.use(chaiAsPromised);
+// Initialize chai should function, used for expecting promise rejections
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+// MBEE modules
+const Organization = M.require('models.organization');
+const User = M.require('models.user');
+
+/* --------------------( Test Data )-------------------- */
+const testUtils = M.require('lib.test-utils');
+// The keys are generated in formats which every supported version of Node can export
+const rsaKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048,
+  publicKeyEncoding: { type: 'pkcs1', format: 'der' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' } });
+const ecKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256',
+  publicKeyEncoding: { type: 'spki', format: 'der' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' } });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048,
+  publicKeyEncoding: { type: 'pkcs1', format: 'der' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' } }).privateKey;
+const oidcUser = {
+  sub: 'oidc-subject-01',
+  preferred_username: 'oidctestuser',
+  given_name: 'OIDC',
+  family_name: 'User',
+  email: 'oidctestuser@example.com'
+};
+const ldapUsername = 'oidcldapuser';
+let adminUser = null;
+let oidcAuth = null;
+let server = null;
+let issuer = null;
+let originalConfig = null;
+let lastAuthorization = null;
+let jwksRequests = 0;
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: runs before all tests. Starts the mock OIDC provider, configures
+   * the OIDC strategy to use it and creates a test admin.
+   */
+  before(async () => {
+    try {
+      server = http.createServer(mockProvider);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      issuer = `http://127.0.0.1:${server.address().port}`;
+
+      // Configure the strategy before it is loaded
+      M.config.auth.oidc = M.config.auth.oidc || {};
+      originalConfig = Object.assign({}, M.config.auth.oidc);
+      Object.assign(M.config.auth.oidc, {
+        issuer: issuer,
+        clientID: 'mbee',
+        clientSecret: 'secret',
+        redirectURI: 'http://localhost/login',
+        audience: 'mbee-api',
+        claims: {
+          username: 'preferred_username',
+          firstName: 'given_name',
+          lastName: 'family_name',
+          email: 'email'
+        }
+      });
+      oidcAuth = M.require('auth.oidc-strategy');
+
+      adminUser = await testUtils.createTestAdmin();
+    }
+    catch (error) {
+      should.not.exist(error);
+    }
+  });
+
+  /**
+   * After: runs after all tests. Removes the OIDC user, the LDAP user and the test admin,
+   * restores the configuration and stops the mock OIDC provider.
+   */
+  after(async () => {
+    try {
+      await User.deleteMany({ _id: { $in: [adminUser._id, oidcUser.preferred_username,
+        ldapUsername] } });
+      const defaultOrg = await Organization.findOne({ _id: M.config.server.defaultOrganizationId });
+      delete defaultOrg.permissions[oidcUser.preferred_username];
+      await Organization.updateOne({ _id: M.config.server.defaultOrganizationId },
+        { permissions: defaultOrg.permissions });
+
+      Object.keys(M.config.auth.oidc).forEach((key) => delete M.config.auth.oidc[key]);
+      Object.assign(M.config.auth.oidc, originalConfig);
+      await new Promise(resolve => server.close(resolve));
+    }
+    catch (error) {
+      should.not.exist(error);
+    }
+  });
+
+  /* Execute the tests */
+  it('should create a user from the claims of the ID token on login', createUser);
+  it('should authenticate a JWT sent as a Bearer token', authenticateJWT);
+  it('should authenticate a JWT signed with an EC key', authenticateECJWT);
+  it('should not fetch the keys for every unknown key ID', rejectUnknownKey);
+  it('should reject JWTs which are not valid', rejectInvalidJWT);
+  it('should complete the authorization code flow', authorizationCodeFlow);
+  it('should reject authorization codes with the wrong state', rejectInvalidState);
+  it('should not authenticate local users with the provider', rejectLocalUser);
+  it('should not authenticate users of other providers', rejectOtherProviders);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that a user who logs in with their credentials is
+ * created from the claims of the ID token, with the provider "oidc", and is
+ * added to the default org.
+ */
+async function createUser() {
+  await oidcAuth.handleBasicAuth({}, {}, oidcUser.preferred_username, 'wrongPassword')
+  .should.eventually.be.rejectedWith('Invalid username or password.');
+
+  const user = await oidcAuth.handleBasicAuth({}, {}, oidcUser.preferred_username, 'password');
+  chai.expect(user._id).to.equal(oidcUser.preferred_username);
+  chai.expect(user.provider).to.equal('oidc');
+  chai.expect(user.fname).to.equal(oidcUser.given_name);
+  chai.expect(user.preferredName).to.equal(oidcUser.given_name);
+  chai.expect(user.lname).to.equal(oidcUser.family_name);
+  chai.expect(user.email).to.equal(oidcUser.email);
+
+  const defaultOrg = await Organization.findOne({ _id: M.config.server.defaultOrganizationId });
+  chai.expect(defaultOrg.permissions[user._id]).to.deep.equal(['read', 'write']);
+}
+
+/**
+ * @description Verifies that a JWT issued by the provider authenticates its
+ * user, and that the user is updated when their claims change. The claims of
+ * access tokens without the username claim are found with the userinfo
+ * endpoint.
+ */
+async function authenticateJWT() {
+  const token = signToken({ aud: 'mbee-api', family_name: 'Updated' });
+  const user = await oidcAuth.handleTokenAuth({}, {}, token);
+  chai.expect(user._id).to.equal(oidcUser.preferred_username);
+  chai.expect(user.lname).to.equal('Updated');
+
+  const accessToken = signToken({ aud: 'mbee-api', preferred_username: undefined });
+  const infoUser = await oidcAuth.handleTokenAuth({}, {}, accessToken);
+  chai.expect(infoUser._id).to.equal(oidcUser.preferred_username);
+  chai.expect(infoUser.lname).to.equal(oidcUser.family_name);
+}
+
+/**
+ * @description Verifies that a JWT signed with an EC key of the provider, whose
+ * signature is the concatenation of the integers r and s, authenticates its
+ * user.
+ */
+async function authenticateECJWT() {
+  const token = signToken({ aud: 'mbee-api' }, ecKey.privateKey,
+    { alg: 'ES256', kid: 'test-ec-key' });
+  const user = await oidcAuth.handleTokenAuth({}, {}, token);
+  chai.expect(user._id).to.equal(oidcUser.preferred_username);
+
+  // The signature is not valid for another key of the provider
+  await oidcAuth.handleTokenAuth({}, {}, signToken({ aud: 'mbee-api' }, ecKey.privateKey,
+    { alg: 'ES256', kid: 'test-key' }))
+  .should.eventually.be.rejectedWith('Invalid token signature.');
+}
+
+/**
+ * @description Verifies that tokens with an unknown key ID are rejected, and
+ * that the keys of the provider are not fetched again for each of them.
+ */
+async function rejectUnknownKey() {
+  const requests = jwksRequests;
+  const token = signToken({ aud: 'mbee-api' }, rsaKey.privateKey, { kid: 'unknown-key' });
+
+  await oidcAuth.handleTokenAuth({}, {}, token)
+  .should.eventually.be.rejectedWith('Signing key [unknown-key] not found.');
+  await oidcAuth.handleTokenAuth({}, {}, token)
+  .should.eventually.be.rejectedWith('Signing key [unknown-key] not found.');
+  chai.expect(jwksRequests).to.equal(requests);
+}
+
+/**
+ * @description Verifies that JWTs with an invalid signature, audience, issuer
+ * or expiration are rejected.
+ */
+async function rejectInvalidJWT() {
+  await oidcAuth.handleTokenAuth({}, {}, signToken({ aud: 'mbee-api' }, otherKey))
+  .should.eventually.be.rejectedWith('Invalid token signature.');
+  await oidcAuth.handleTokenAuth({}, {}, signToken({ aud: 'another-api' }))
+  .should.eventually.be.rejectedWith('Invalid token audience.');
+  await oidcAuth.handleTokenAuth({}, {}, signToken({ aud: 'mbee-api', iss: 'http://other' }))
+  .should.eventually.be.rejectedWith('Invalid token issuer.');
+  await oidcAuth.handleTokenAuth({}, {}, signToken({ aud: 'mbee-api',
+    exp: Math.floor(Date.now() / 1000) - 3600 }))
+  .should.eventually.be.rejectedWith('Token is expired or session is invalid.');
+}
+
+/**
+ * @description Verifies that the authorization URL contains the state, nonce
+ * and PKCE code challenge stored in the session, and that the authorization
+ * code is exchanged for the user.
+ */
+async function authorizationCodeFlow() {
+  const req = { session: {} };
+  const url = new URL(await oidcAuth.getAuthorizationURL(req, {}));
+
+  chai.expect(url.pathname).to.equal('/authorize');
+  chai.expect(url.searchParams.get('client_id')).to.equal('mbee');
+  chai.expect(url.searchParams.get('redirect_uri')).to.equal('http://localhost/login');
+  chai.expect(url.searchParams.get('state')).to.equal(req.session.oidc.state);
+  chai.expect(url.searchParams.get('code_challenge_method')).to.equal('S256');
+
+  // Mock the provider redirecting the user back with a code
+  lastAuthorization = {
+    code: 'authorization-code',
+    nonce: url.searchParams.get('nonce'),
+    challenge: url.searchParams.get('code_challenge')
+  };
+  const user = await oidcAuth.handleCodeAuth(req, {}, 'authorization-code',
+    url.searchParams.get('state'));
+  chai.expect(user._id).to.equal(oidcUser.preferred_username);
+  chai.expect(req.session.oidc).to.equal(undefined);
+}
+
+/**
+ * @description Verifies that authorization codes returned with a state which
+ * does not match the session are rejected.
+ */
+async function rejectInvalidState() {
+  const req = { session: {} };
+  await oidcAuth.getAuthorizationURL(req, {});
+
+  await oidcAuth.handleCodeAuth(req, {}, 'authorization-code', 'wrong-state')
+  .should.eventually.be.rejectedWith('Invalid authorization state.');
+}
+
+/**
+ * @description Verifies that local users are authenticated locally, and that
+ * tokens from the provider cannot authenticate them.
+ */
+async function rejectLocalUser() {
+  const token = signToken({ aud: 'mbee-api', preferred_username: adminUser._id });
+  await oidcAuth.handleTokenAuth({}, {}, token)
+  .should.eventually.be.rejectedWith('Invalid username or password.');
+}
+
+/**
+ * @description Verifies that the accounts of users created by other providers,
+ * such as LDAP, cannot be taken over by tokens from the provider with the same
+ * username.
+ */
+async function rejectOtherProviders() {
+  await User.insertMany({ _id: ldapUsername, provider: 'ldap', fname: 'LDAP' });
+
+  const token = signToken({ aud: 'mbee-api', preferred_username: ldapUsername });
+  await oidcAuth.handleTokenAuth({}, {}, token)
+  .should.eventually.be.rejectedWith('Invalid username or password.');
+
+  // The user is not updated with the claims of the token
+  const user = await User.findOne({ _id: ldapUsername });
+  chai.expect(user.provider).to.equal('ldap');
+  chai.expect(user.fname).to.equal('LDAP');
+}
+
+/* --------------------( Helper Functions )-------------------- */
+/**
+ * @description Signs a JWT with the claims of the OIDC user.
+ *
+ * @param {object} claims - Claims which override the claims of the OIDC user.
+ * @param {string} [key] - The private key to sign the token with, which is
+ * the RSA key of the mock provider by default.
+ * @param {object} [header] - The algorithm (alg) and key ID (kid) of the
+ * token, which are RS256 and the RSA key of the mock provider by default.
+ *
+ * @returns {string} The signed JWT.
+ */
+function signToken(claims, key = rsaKey.privateKey, header = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const fullHeader = Object.assign({ alg: 'RS256', typ: 'JWT', kid: 'test-key' }, header);
+  const payload = Object.assign({ iss: issuer, iat: now, exp: now + 300 }, oidcUser, claims);
+  const encode = (data) => base64url(Buffer.from(JSON.stringify(data)));
+
+  const content = `${encode(fullHeader)}.${encode(payload)}`;
+  let signature = crypto.createSign('sha256').update(content).sign(key);
+  // JWTs contain the integers r and s of ECDSA signatures instead of their DER encoding
+  if (fullHeader.alg === 'ES256') {
+    signature = Buffer.concat(readIntegers(signature).map(i => Buffer.concat([Buffer.alloc(32),
+      i]).slice(-32)));
+  }
+  return `${content}.${base64url(signature)}`;
+}
+
+/**
+ * @description Reads the integers of a DER encoded sequence, such as an RSA
+ * public key or an ECDSA signature.
+ *
+ * @param {Buffer} buffer - The DER encoded sequence.
+ *
+ * @returns {Buffer[]} The bytes of each integer.
+ */
+function readIntegers(buffer) {
+  let position = 1;
+  const readLength = () => {
+    let length = buffer[position++];
+    if (length >= 0x80) {
+      const bytes = length - 0x80;
+      length = 0;
+      for (let i = 0; i < bytes; i++) {
+        length = length * 256 + buffer[position++];
+      }
+    }
+    return length;
+  };
+
+  readLength();
+  const integers = [];
+  while (position < buffer.length) {
+    position++;
+    const length = readLength();
+    integers.push(buffer.slice(position, position + length));
+    position += length;
+  }
+  return integers;
+}
+
+/**
+ * @description Creates the JWKS of the mock provider, which contains its RSA
+ * and EC keys.
+ *
+ * @returns {object[]} The public keys in JWK format.
+ */
+function getJWKS() {
+  // The modulus is encoded with a leading zero, which is not part of the JWK
+  const [modulus, e] = readIntegers(rsaKey.publicKey);
+  const n = (modulus[0] === 0) ? modulus.slice(1) : modulus;
+  // The public key of the EC key ends with the uncompressed point of the curve
+  const point = ecKey.publicKey.slice(-64);
+  return [
+    { kid: 'test-key', use: 'sig', kty: 'RSA', n: base64url(n), e: base64url(e) },
+    {
+      kid: 'test-ec-key',
+      use: 'sig',
+      kty: 'EC',
+      crv: 'P-256',
+      x: base64url(point.slice(0, 32)),
+      y: base64url(point.slice(32))
+    }
+  ];
+}
+
+/**
+ * @description Encodes a buffer as base64url.
+ *
+ * @param {Buffer} buffer - The buffer to encode.
+ *
+ * @returns {string} The base64url encoded buffer.
+ */
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @description Handles the requests to the mock OIDC provider, which serves
+ * its discovery document, JWKS, token endpoint and userinfo endpoint.
+ *
+ * @param {object} req - The incoming request.
+ * @param {object} res - The response.
+ */
+function mockProvider(req, res) {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    const form = new URLSearchParams(body);
+
+    switch (req.url) {
+      case '/.well-known/openid-configuration':
+        return send(200, {
+          issuer: issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          userinfo_endpoint: `${issuer}/userinfo`,
+          jwks_uri: `${issuer}/jwks`
+        });
+      case '/jwks':
+        jwksRequests++;
+        return send(200, { keys: getJWKS() });
+      case '/userinfo':
+        return send(200, oidcUser);
+      case '/token':
+        if (form.get('client_id') !== 'mbee' || form.get('client_secret') !== 'secret') {
+          return send(401, { error: 'invalid_client' });
+        }
+        // Resource owner password grant
+        if (form.get('grant_type') === 'password' && form.get('password') === 'password') {
+          return send(200, { id_token: signToken({ aud: 'mbee' }), access_token: 'access' });
+        }
+        // Authorization code grant, which verifies the PKCE code verifier
+        if (form.get('grant_type') === 'authorization_code' && lastAuthorization
+          && form.get('code') === lastAuthorization.code
+          && base64url(crypto.createHash('sha256').update(form.get('code_verifier')).digest())
+            === lastAuthorization.challenge) {
+          return send(200, { id_token: signToken({ aud: 'mbee', nonce: lastAuthorization.nonce }),
+            access_token: 'access' });
+        }
+        return send(400, { error: 'invalid_grant' });
+      default:
+        return send(404, { error: 'not_found' });
+    }
+  });
+}
@@ -0,0 +1,254 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.803-auth-ldap-strategy
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the LDAP authentication strategy against a mock LDAP
+ * server, which is served locally. The tests verify that users are created
+ * with the provider "ldap" on their first login, and that later logins update
+ * the user without recording it as created in the audit log, and that the
+ * users are added to the groups linked to their LDAP groups.
+ */
+
+// NPM modules
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const ldap = require('ldapjs');
+
+// Use async chai
+chai.use(chaiAsPromised);
+// Initialize chai should function, used for expecting promise rejections
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+// MBEE modules
+const AuditRecord = M.require('models.audit-record');
+const Group = M.require('models.group');
+const Organization = M.require('models.organization');
+const User = M.require('models.user');
+
+/* --------------------( Test Data )-------------------- */
+const bindDN = 'cn=admin, dc=example';
+const ldapUser = {
+  uid: 'ldaptestuser',
+  givenName: 'LDAP',
+  sn: 'User',
+  mail: 'ldaptestuser@example.com',
+  memberOf: [],
+  objectclass: 'person'
+};
+const otherUser = {
+  uid: 'ldaptestuser2',
+  givenName: 'Other',
+  sn: 'User',
+  mail: 'ldaptestuser2@example.com',
+  memberOf: [],
+  objectclass: 'person'
+};
+const ldapUsers = [ldapUser, otherUser];
+const groupID = 'ldap-test-group';
+let ldapAuth = null;
+let server = null;
+let originalConfig = null;
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: runs before all tests. Starts the mock LDAP server, configures
+   * the LDAP strategy to use it and creates a group linked to an LDAP group.
+   */
+  before(async () => {
+    try {
+      server = ldap.createServer();
+      server.bind('dc=example', mockBind);
+      server.search('dc=example', mockSearch);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      // Configure the strategy before it is loaded
+      M.config.auth.ldap = M.config.auth.ldap || {};
+      originalConfig = JSON.parse(JSON.stringify(M.config.auth.ldap));
+      Object.assign(M.config.auth.ldap, {
+        url: 'ldap://127.0.0.1',
+        port: server.address().port,
+        bind_dn: bindDN,
+        bind_dn_pass: 'bindPassword',
+        base: 'dc=example',
+        filter: '(objectclass=person)',
+        attributes: {
+          username: 'uid',
+          firstName: 'givenName',
+          lastName: 'sn',
+          email: 'mail',
+          groups: 'memberOf'
+        }
+      });
+      ldapAuth = M.require('auth.ldap-strategy');
+
+      await Group.insertMany({ _id: groupID, name: 'LDAP Group', ldap: 'cn=Engineers' });
+    }
+    catch (error) {
+      should.not.exist(error);
+    }
+  });
+
+  /**
+   * After: runs after all tests. Removes the LDAP users, their audit records
+   * and the group, restores the configuration and stops the mock LDAP server.
+   */
+  after(async () => {
+    try {
+      const usernames = ldapUsers.map(u => u.uid);
+      await User.deleteMany({ _id: { $in: usernames } });
+      await AuditRecord.deleteMany({ target: { $in: usernames } });
+      await Group.deleteMany({ _id: groupID });
+      const defaultOrg = await Organization.findOne({ _id: M.config.server.defaultOrganizationId });
+      usernames.forEach((username) => delete defaultOrg.permissions[username]);
+      await Organization.updateOne({ _id: M.config.server.defaultOrganizationId },
+        { permissions: defaultOrg.permissions });
+
+      Object.keys(M.config.auth.ldap).forEach((key) => delete M.config.auth.ldap[key]);
+      Object.assign(M.config.auth.ldap, originalConfig);
+      server.close();
+    }
+    catch (error) {
+      should.not.exist(error);
+    }
+  });
+
+  /* Execute the tests */
+  it('should create a user from the LDAP directory on login', createUser);
+  it('should not record a user as created when they log in again', updateUser);
+  it('should add users who log in at the same time to their groups', syncGroups);
+  it('should remove a user from a group they are no longer in', removeFromGroup);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies that a user who logs in with their LDAP credentials is
+ * created with the provider "ldap", and that their creation is recorded in the
+ * audit log.
+ */
+async function createUser() {
+  await ldapAuth.handleBasicAuth({}, {}, ldapUser.uid, 'wrongPassword')
+  .should.eventually.be.rejectedWith('Invalid username or password.');
+
+  const user = await ldapAuth.handleBasicAuth({}, {}, ldapUser.uid, 'password');
+  chai.expect(user._id).to.equal(ldapUser.uid);
+  chai.expect(user.provider).to.equal('ldap');
+  chai.expect(user.fname).to.equal(ldapUser.givenName);
+  chai.expect(user.email).to.equal(ldapUser.mail);
+
+  const records = await AuditRecord.find({ target: ldapUser.uid });
+  chai.expect(records.map(r => r.action)).to.deep.equal(['created']);
+}
+
+/**
+ * @description Verifies that a user who logs in again is updated with the
+ * information of the directory, which is recorded as an update rather than a
+ * creation.
+ */
+async function updateUser() {
+  ldapUser.mail = 'ldapupdated@example.com';
+  const user = await ldapAuth.handleBasicAuth({}, {}, ldapUser.uid, 'password');
+  chai.expect(user.email).to.equal(ldapUser.mail);
+
+  const records = await AuditRecord.find({ target: ldapUser.uid });
+  chai.expect(records.filter(r => r.action === 'created').length).to.equal(1);
+  const updated = records.filter(r => r.action === 'updated');
+  chai.expect(updated.length).to.equal(1);
+  chai.expect(updated[0].changes).to.have.keys('email');
+}
+
+/**
+ * @description Verifies that users in an LDAP group who log in at the same time
+ * are each added to the group linked to it, without one of the logins
+ * overwriting the members added by the other.
+ */
+async function syncGroups() {
+  ldapUsers.forEach((user) => { user.memberOf = ['cn=engineers', 'cn=other']; });
+
+  // Delay the reads of the groups, so both logins read them before either writes
+  const find = Group.find;
+  Group.find = async function(...args) {
+    const groups = await find.apply(this, args);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return groups;
+  };
+  try {
+    await Promise.all(ldapUsers.map(u => ldapAuth.handleBasicAuth({}, {}, u.uid, 'password')));
+  }
+  finally {
+    Group.find = find;
+  }
+
+  const group = await Group.findOne({ _id: groupID });
+  chai.expect(group.members).to.have.members(ldapUsers.map(u => u.uid));
+}
+
+/**
+ * @description Verifies that a user who is no longer in an LDAP group is
+ * removed from the group linked to it when they log in, and that the other
+ * members of the group are kept.
+ */
+async function removeFromGroup() {
+  ldapUser.memberOf = 'cn=other';
+  await ldapAuth.handleBasicAuth({}, {}, ldapUser.uid, 'password');
+
+  const group = await Group.findOne({ _id: groupID });
+  chai.expect(group.members).to.deep.equal([otherUser.uid]);
+}
+
+/* --------------------( Mock LDAP Server )-------------------- */
+/**
+ * @description Handles the binds of the mock LDAP server. The bind DN binds
+ * with its password, and the test users bind with the password "password".
+ *
+ * @param {object} req - The LDAP bind request.
+ * @param {object} res - The LDAP response.
+ * @param {Function} next - The callback of the handler.
+ *
+ * @returns {*} The result of the callback.
+ */
+function mockBind(req, res, next) {
+  const dn = req.dn.toString();
+  if ((dn === bindDN && req.credentials === 'bindPassword')
+    || (ldapUsers.some(u => dn === `uid=${u.uid}, dc=example`)
+      && req.credentials === 'password')) {
+    res.end();
+    return next();
+  }
+  return next(new ldap.InvalidCredentialsError());
+}
+
+/**
+ * @description Handles the searches of the mock LDAP server, which finds the
+ * test users who match the filter of the search.
+ *
+ * @param {object} req - The LDAP search request.
+ * @param {object} res - The LDAP response.
+ * @param {Function} next - The callback of the handler.
+ *
+ * @returns {*} The result of the callback.
+ */
+function mockSearch(req, res, next) {
+  ldapUsers.forEach((user) => {
+    if (req.filter.matches(user)) {
+      res.send({ dn: `uid=${user.uid}, dc=example`, attributes: user });
+    }
+  });
+  res.end();
+  return next();
+}
@@ -21,6 +21,7 @@ const chai = require('chai');
 
 // MBEE modules
 const mongoStrategy = M.require('db.mongoose-mongodb-strategy.mongoose-mongodb-strategy');
+const Element = M.require('models.element');
 
 /* --------------------( Main )-------------------- */
 /**
@@ -32,6 +33,7 @@ const mongoStrategy = M.require('db.mongoose-mongodb-strategy.mongoose-mongodb-s
 describe(M.getModuleName(module.filename), () => {
   /* Execute the tests */
   it('should sanitize data specific to mongoDB', sanitizeTest);
+  it('should find the candidates of $contains through the text index', containsTextTest);
 });
 
 /* --------------------( Tests )-------------------- */
@@ -52,3 +54,58 @@ async function sanitizeTest() {
   // Verify data correctly sanitized
   chai.expect(Object.keys(mongoSan).length).to.equal(0);
 }
+
+/**
+ * @description Verifies the whole words of a $contains condition on the text
+ * fields of elements are searched for with $text, so that the candidates are
+ * found through the text index, while prefixes are only matched by the
+ * regular expressions.
+ */
+async function containsTextTest() {
+  // If not using the mongoose-mongodb-strategy strategy, skip this test
+  if (M.config.db.strategy !== 'mongoose-mongodb-strategy') {
+    M.log.verbose('Test skipped because the mongoose-mongodb-strategy is not '
+      + 'being used.');
+    this.skip();
+  }
+
+  const fields = ['name', 'documentation'];
+  const queries = [];
+  // Capture the queries passed to mongoose instead of running them
+  const find = Element.model.find;
+  Element.model.find = (filter, projection, options) => {
+    queries.push({ filter: filter, options: options });
+    return { cursor: () => ({}) };
+  };
+
+  try {
+    Element.cursor({ branch: 'branch',
+      $contains: { fields: fields, all: ['fuel', 'pump'], any: [], prefixes: [] } });
+    Element.cursor({ branch: 'branch',
+      $contains: { fields: fields, all: [], any: ['fuel', 'pump'], prefixes: [] } });
+    Element.cursor({ branch: 'branch',
+      $contains: { fields: fields, all: ['fuel', 'pu'], any: [], prefixes: ['pu'] } });
+    Element.cursor({ branch: 'branch',
+      $contains: { fields: fields, all: ['pu'], any: [], prefixes: ['pu'] } });
+    await Element.find({ branch: 'branch',
+      $contains: { fields: fields, all: ['pump'], any: [], prefixes: [] } });
+  }
+  finally {
+    Element.model.find = find;
+  }
+
+  // Required words must all be found, and are still matched literally
+  chai.expect(queries[0].filter.$text).to.deep.equal({ $search: '"fuel" "pump"' });
+  chai.expect(queries[0].filter.$and.length).to.equal(2);
+  chai.expect(queries[0].filter).to.not.have.property('$contains');
+  chai.expect(queries[0].options).to.not.have.property('sort');
+  // One of the optional words must be found
+  chai.expect(queries[1].filter.$text).to.deep.equal({ $search: 'fuel pump' });
+  // Prefixes are not searched for with $text
+  chai.expect(queries[2].filter.$text).to.deep.equal({ $search: '"fuel"' });
+  chai.expect(queries[3].filter).to.not.have.property('$text');
+  chai.expect(queries[3].options.sort).to.deep.equal({ $natural: 1 });
+  // find() does not sort by $natural when searching through the text index
+  chai.expect(queries[4].filter.$text).to.deep.equal({ $search: '"pump"' });
+  chai.expect(queries[4].options.sort).to.not.have.property('$natural');
+}
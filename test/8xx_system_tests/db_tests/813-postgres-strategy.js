@@ -0,0 +1,373 @@
+/**
+ * @classification UNCLASSIFIED
+ *
+ * @module test.813-db-postgres-strategy
+ *
+ * @copyright Copyright (C) 2018, Lockheed Martin Corporation
+ *
+ * @license MIT
+ *
+ * @owner Connor Doyle
+ *
+ * @author Connor Doyle
+ *
+ * @description Tests the exported functions and classes from the
+ * postgres-strategy. If this strategy is NOT selected in the running config,
+ * the tests will be skipped. The tests use their own tables, which are dropped
+ * once the tests complete.
+ */
+
+// NPM modules
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// Use async chai
+chai.use(chaiAsPromised);
+// Initialize chai should function, used for expecting promise rejections
+const should = chai.should(); // eslint-disable-line no-unused-vars
+
+// MBEE modules
+const postgresStrategy = M.require('db.postgres-strategy.postgres-strategy');
+
+/* --------------------( Test Data )-------------------- */
+let Part = null;
+let Owner = null;
+
+/* --------------------( Main )-------------------- */
+/**
+ * The "describe" function is provided by Mocha and provides a way of wrapping
+ * or grouping several "it" tests into a single group. In this case, the name of
+ * that group (the first parameter passed into describe) is derived from the
+ * name of the current file.
+ */
+describe(M.getModuleName(module.filename), () => {
+  /**
+   * Before: Creates the test models and inserts the test documents.
+   */
+  before(async function() {
+    // If not using the postgres-strategy, skip these tests
+    if (M.config.db.strategy !== 'postgres-strategy') {
+      M.log.verbose('Tests skipped because the postgres-strategy is not being used.');
+      this.skip();
+    }
+
+    const OwnerSchema = new postgresStrategy.Schema({
+      _id: { type: 'String', required: true },
+      name: { type: 'String', default: '' }
+    });
+    const PartSchema = new postgresStrategy.Schema({
+      _id: { type: 'String', required: true },
+      name: {
+        type: 'String',
+        default: '',
+        validate: [{
+          validator: (v) => v.length <= 20,
+          message: props => `Name ${props.value} is too long.`
+        }]
+      },
+      documentation: { type: 'String', default: '' },
+      owner: { type: 'String', ref: 'PostgresTestOwner', default: null },
+      quantity: { type: 'Number', default: 0 },
+      createdOn: { type: 'Date', default: Date.now, immutable: true },
+      tags: { type: 'Object', default: [] },
+      custom: { type: 'Object', default: {} }
+    });
+    PartSchema.index({ name: 'text', documentation: 'text' });
+    PartSchema.virtual('owned', {
+      ref: 'PostgresTestPart',
+      localField: 'owner',
+      foreignField: 'owner',
+      justOne: false
+    });
+
+    Owner = new postgresStrategy.Model('PostgresTestOwner', OwnerSchema, 'postgres_test_owners');
+    Part = new postgresStrategy.Model('PostgresTestPart', PartSchema, 'postgres_test_parts');
+    await Owner.init();
+    await Part.init();
+
+    await Owner.insertMany([{ _id: 'alice', name: 'Alice' }]);
+    await Part.insertMany([
+      {
+        _id: 'p1',
+        name: 'Engine block',
+        documentation: 'Block of the engine',
+        owner: 'alice',
+        quantity: 4,
+        tags: ['a', 'b']
+      },
+      { _id: 'p2', name: 'Wheel', documentation: 'Round blocks', quantity: 2, tags: ['b'] },
+      { _id: 'p3', name: 'Axle', quantity: 8, custom: { color: 'red' } }
+    ]);
+  });
+
+  /**
+   * After: Drops the test tables.
+   */
+  after(async () => {
+    if (M.config.db.strategy === 'postgres-strategy') {
+      await postgresStrategy.query('DROP TABLE IF EXISTS "postgres_test_parts", '
+        + '"postgres_test_owners"');
+    }
+  });
+
+  /* Execute the tests */
+  it('should sanitize data specific to the postgres-strategy', sanitizeTest);
+  it('should validate, cast and set defaults on insert', insertValidationTest);
+  it('should reject documents with a duplicate _id', duplicateIdTest);
+  it('should find documents with query operators', findOperatorsTest);
+  it('should find documents with queries on JSON fields', findJSONTest);
+  it('should find documents with a text search', textSearchTest);
+  it('should find documents whose text fields contain terms', containsTest);
+  it('should project, sort, skip and limit found documents', findOptionsTest);
+  it('should populate references and virtuals', populateTest);
+  it('should update documents and reject immutable fields', updateTest);
+  it('should perform a bulkWrite', bulkWriteTest);
+  it('should manage indexes', indexTest);
+  it('should provide a session store', storeTest);
+});
+
+/* --------------------( Tests )-------------------- */
+/**
+ * @description Verifies the sanitization function properly sanitizes keys
+ * with '$'.
+ */
+async function sanitizeTest() {
+  // Sanitize the data
+  const sanitized = postgresStrategy.sanitize({ $lt: 10, name: { $ne: 'a' } });
+  // Verify data correctly sanitized
+  chai.expect(sanitized).to.deep.equal({ name: {} });
+}
+
+/**
+ * @description Verifies documents are validated, cast and given their default
+ * values when inserted.
+ */
+async function insertValidationTest() {
+  const part = await Part.findOne({ _id: 'p2' });
+
+  // Verify the default values were set
+  chai.expect(part.owner).to.equal(null);
+  chai.expect(part.custom).to.deep.equal({});
+  chai.expect(part.createdOn).to.be.an.instanceOf(Date);
+
+  // Verify the values are cast to the type of the field
+  const [cast] = await Part.insertMany([{ _id: 'cast', quantity: '3' }]);
+  chai.expect(cast.quantity).to.equal(3);
+  await Part.deleteMany({ _id: 'cast' });
+
+  // Verify invalid documents are rejected
+  await Part.insertMany([{ name: 'Missing id' }]).should.eventually.be.rejectedWith(
+    'PostgresTestPart validation failed: _id: Path `_id` is required.'
+  );
+  await Part.insertMany([{ _id: 'long', name: 'A name which is much too long' }])
+  .should.eventually.be.rejectedWith('name: Name A name which is much too long is too long.');
+  await Part.insertMany([{ _id: 'nan', quantity: 'many' }])
+  .should.eventually.be.rejectedWith('Cast to Number failed');
+}
+
+/**
+ * @description Verifies documents with the _id of an existing document are
+ * rejected, and that none of the documents are inserted.
+ */
+async function duplicateIdTest() {
+  await Part.insertMany([{ _id: 'p4' }, { _id: 'p1' }])
+  .should.eventually.be.rejectedWith('Duplicate key error');
+
+  // Verify the valid document was not inserted either
+  chai.expect(await Part.findOne({ _id: 'p4' })).to.equal(null);
+}
+
+/**
+ * @description Verifies the supported query operators, dotted paths and
+ * matching of array values.
+ */
+async function findOperatorsTest() {
+  const ids = async (filter) => (await Part.find(filter)).map(p => p._id);
+
+  chai.expect(await ids({ _id: { $in: ['p1', 'p3', 'p9'] } })).to.deep.equal(['p1', 'p3']);
+  chai.expect(await ids({ tags: 'b' })).to.deep.equal(['p1', 'p2']);
+  chai.expect(await ids({ tags: { $all: ['a', 'b'] } })).to.deep.equal(['p1']);
+  chai.expect(await ids({ 'custom.color': 'red' })).to.deep.equal(['p3']);
+  chai.expect(await ids({ quantity: { $gt: 2, $lte: 4 } })).to.deep.equal(['p1']);
+  chai.expect(await ids({ $or: [{ _id: 'p2' }, { quantity: 8 }] })).to.deep.equal(['p2', 'p3']);
+  chai.expect(await ids({ owner: null })).to.deep.equal(['p2', 'p3']);
+  chai.expect(await Part.countDocuments({ quantity: { $gte: 2 } })).to.equal(3);
+
+  // Verify unsupported operators are rejected
+  await Part.find({ quantity: { $ne: 2 } }).should.eventually.be.rejectedWith('$ne');
+}
+
+/**
+ * @description Verifies queries on the nested fields and arrays of JSONB
+ * columns, which are compared by their JSON type.
+ */
+async function findJSONTest() {
+  const ids = async (filter) => (await Part.find(filter)).map(p => p._id);
+  await Part.updateOne({ _id: 'p1' }, { 'custom.priority': 2, 'custom.color': 'blue' });
+
+  chai.expect(await ids({ 'custom.color': { $in: ['red', 'blue'] } })).to.deep.equal(['p1', 'p3']);
+  chai.expect(await ids({ 'custom.priority': { $gte: 2 } })).to.deep.equal(['p1']);
+  chai.expect(await ids({ 'custom.color': { $gt: 1 } })).to.deep.equal([]);
+  chai.expect(await ids({ 'custom.missing': null })).to.deep.equal(['p1', 'p2', 'p3']);
+  chai.expect(await ids({ tags: { $in: ['a', 'c'] } })).to.deep.equal(['p1']);
+  chai.expect(await ids({ custom: { color: 'red' } })).to.deep.equal(['p3']);
+
+  // Verify the values of custom fields are sorted by their JSON value
+  const sorted = await Part.find({}, '_id', { sort: { 'custom.color': -1 } });
+  chai.expect(sorted.map(p => p._id)).to.deep.equal(['p3', 'p1', 'p2']);
+
+  await Part.updateOne({ _id: 'p1' }, { custom: {} });
+}
+
+/**
+ * @description Verifies text searches find the documents containing the words
+ * of the search in the fields of the text index, and are sorted by score.
+ */
+async function textSearchTest() {
+  // Verify words are matched by their stem and the best match is first
+  const parts = await Part.find({ $text: 'block' });
+  chai.expect(parts.map(p => p._id)).to.deep.equal(['p1', 'p2']);
+  chai.expect(parts[0].score).to.be.greaterThan(parts[1].score);
+
+  // Verify phrases and negations
+  chai.expect((await Part.find({ $text: '"round blocks"' })).map(p => p._id))
+  .to.deep.equal(['p2']);
+  chai.expect((await Part.find({ $text: 'block -wheel' })).map(p => p._id))
+  .to.deep.equal(['p1']);
+
+  // Verify text searches require a text index
+  await Owner.find({ $text: 'alice' }).should.eventually.be.rejectedWith('text index');
+}
+
+/**
+ * @description Verifies $contains finds the documents whose text fields
+ * contain every term of the list all, and one term of the list any, ignoring
+ * case. Terms are matched literally, even if they contain wildcards.
+ */
+async function containsTest() {
+  const ids = async (filter) => (await Part.find(filter)).map(p => p._id);
+  const fields = ['name', 'documentation'];
+
+  chai.expect(await ids({ $contains: { fields: fields, all: ['BLOCK'] } }))
+  .to.deep.equal(['p1', 'p2']);
+  chai.expect(await ids({ $contains: { fields: fields, all: ['block', 'engine'] } }))
+  .to.deep.equal(['p1']);
+  chai.expect(await ids({ $contains: { fields: fields, all: ['round'], any: ['eel', 'axl'] } }))
+  .to.deep.equal(['p2']);
+  chai.expect(await ids({ $contains: { fields: fields, all: ['e_g'] } })).to.deep.equal([]);
+  chai.expect(await ids({ $contains: { fields: fields, all: ['%'] } })).to.deep.equal([]);
+  chai.expect(await Part.countDocuments({ quantity: { $lt: 8 },
+    $contains: { fields: fields, any: ['whe', 'axl'] } })).to.equal(1);
+}
+
+/**
+ * @description Verifies the projection, sort, skip and limit of find().
+ */
+async function findOptionsTest() {
+  const sorted = await Part.find({}, '_id quantity', { sort: { quantity: -1 }, skip: 1, limit: 1 });
+  chai.expect(sorted).to.deep.equal([{ _id: 'p1', quantity: 4 }]);
+
+  const excluded = await Part.findOne({ _id: 'p1' }, '-custom -tags');
+  chai.expect(excluded).to.not.have.any.keys('custom', 'tags');
+  chai.expect(excluded.name).to.equal('Engine block');
+
+  // Verify the natural order can be reversed
+  const reversed = await Part.find({}, '_id', { sort: { $natural: -1 } });
+  chai.expect(reversed.map(p => p._id)).to.deep.equal(['p3', 'p2', 'p1']);
+
+  // Verify documents can be read with a cursor
+  const cursor = Part.cursor({ quantity: { $gt: 2 } }, '_id');
+  chai.expect(await cursor.next()).to.deep.equal({ _id: 'p1' });
+  chai.expect(await cursor.next()).to.deep.equal({ _id: 'p3' });
+  chai.expect(await cursor.next()).to.equal(null);
+}
+
+/**
+ * @description Verifies references and virtuals are populated.
+ */
+async function populateTest() {
+  const part = await Part.findOne({ _id: 'p1' }, null, { populate: 'owner owned' });
+  chai.expect(part.owner).to.deep.equal({ _id: 'alice', name: 'Alice' });
+  chai.expect(part.owned.map(p => p._id)).to.deep.equal(['p1']);
+
+  // Verify a missing reference is populated as null
+  const unowned = await Part.findOne({ _id: 'p2' }, null, { populate: 'owner' });
+  chai.expect(unowned.owner).to.equal(null);
+}
+
+/**
+ * @description Verifies updateOne() and updateMany() update the matched
+ * documents, and reject updates to immutable fields.
+ */
+async function updateTest() {
+  const one = await Part.updateOne({ _id: 'p2' }, { quantity: '5', 'custom.color': 'blue' });
+  chai.expect(one.n).to.equal(1);
+  chai.expect(one.nModified).to.equal(1);
+
+  const part = await Part.findOne({ _id: 'p2' });
+  chai.expect(part.quantity).to.equal(5);
+  chai.expect(part.custom).to.deep.equal({ color: 'blue' });
+
+  const many = await Part.updateMany({ tags: 'b' }, { documentation: 'Updated' });
+  chai.expect(many.n).to.equal(2);
+  chai.expect(await Part.countDocuments({ documentation: 'Updated' })).to.equal(2);
+
+  await Part.updateOne({ _id: 'p2' }, { createdOn: Date.now() })
+  .should.eventually.be.rejectedWith('Path `createdOn` is immutable and cannot be modified.');
+}
+
+/**
+ * @description Verifies bulkWrite() performs each type of operation.
+ */
+async function bulkWriteTest() {
+  const result = await Part.bulkWrite([
+    { insertOne: { document: { _id: 'p5', name: 'Bolt' } } },
+    { updateOne: { filter: { _id: 'p5' }, update: { quantity: 100 } } },
+    { replaceOne: { filter: { _id: 'p3' }, replacement: { name: 'New axle' } } },
+    { deleteOne: { filter: { _id: 'p2' } } }
+  ]);
+
+  chai.expect(result.insertedCount).to.equal(1);
+  chai.expect(result.modifiedCount).to.equal(2);
+  chai.expect(result.deletedCount).to.equal(1);
+
+  chai.expect((await Part.findOne({ _id: 'p5' })).quantity).to.equal(100);
+  chai.expect((await Part.findOne({ _id: 'p3' })).name).to.equal('New axle');
+  chai.expect(await Part.findOne({ _id: 'p2' })).to.equal(null);
+}
+
+/**
+ * @description Verifies the indexes of the schema are created, and can be
+ * deleted.
+ */
+async function indexTest() {
+  const indexes = await Part.getIndexes();
+  chai.expect(indexes.map(i => i.name)).to.deep.equal(['_id_', 'name_text_documentation_text']);
+
+  await Part.deleteIndex('name_text_documentation_text');
+  chai.expect((await Part.getIndexes()).map(i => i.name)).to.deep.equal(['_id_']);
+  await Part.deleteIndex('_id_').should.eventually.be.rejectedWith('cannot be deleted');
+
+  // Recreate the index
+  await Part.init();
+  chai.expect(await Part.getIndexes()).to.have.lengthOf(2);
+}
+
+/**
+ * @description Verifies the session store saves and retrieves sessions.
+ */
+async function storeTest() {
+  const store = new postgresStrategy.Store();
+  const sessionData = { cookie: { maxAge: 10000 }, user: 'alice' };
+
+  await new Promise((resolve, reject) => {
+    store.set('session-id', sessionData, (err) => ((err) ? reject(err) : resolve()));
+  });
+  const found = await new Promise((resolve, reject) => {
+    store.get('session-id', (err, s) => ((err) ? reject(err) : resolve(s)));
+  });
+  chai.expect(found.user).to.equal('alice');
+
+  // Stop pruning expired sessions
+  store.close();
+}
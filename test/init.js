@@ -15,17 +15,27 @@
  * run.
  */
 
+// Node modules
+const http = require('http');
+
 // MBEE modules
 const Artifact = M.require('models.artifact');
 const Branch = M.require('models.branch');
+const Deletion = M.require('models.deletion');
 const Element = M.require('models.element');
+const ElementRevision = M.require('models.element-revision');
 const Organization = M.require('models.organization');
 const Project = M.require('models.project');
 const ServerData = M.require('models.server-data');
+const Transaction = M.require('models.transaction');
 const User = M.require('models.user');
 const Webhook = M.require('models.webhook');
+const WebhookDelivery = M.require('models.webhook-delivery');
 const db = M.require('db');
 
+// The server started for the API tests when using the memory-strategy
+let server = null;
+
 // Before function, is run before any tests are run
 before(async () => {
   try {
@@ -33,9 +43,18 @@ before(async () => {
     await db.connect();
 
     // Initialize all models
-    await Promise.all([Artifact.init(), Branch.init(), Element.init(),
-      Organization.init(), Project.init(), ServerData.init(), User.init(),
-      Webhook.init()]);
+    await Promise.all([Artifact.init(), Branch.init(), Deletion.init(), Element.init(),
+      ElementRevision.init(), Organization.init(), Project.init(), ServerData.init(),
+      Transaction.init(), User.init(), Webhook.init(), WebhookDelivery.init()]);
+
+    // The memory-strategy only stores data within this process, so the server
+    // used by the API tests must be run in this process as well
+    if (M.config.db.strategy === 'memory-strategy') {
+      const app = M.require('app');
+      await app.locals.ready;
+      server = http.createServer(app);
+      await new Promise((resolve) => server.listen(new URL(M.config.test.url).port, resolve));
+    }
   }
   catch (error) {
     M.log.error(error);
@@ -46,6 +65,11 @@ before(async () => {
 // After function, is run after all tests are run
 after(async () => {
   try {
+    // Stop the server started for the API tests
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
     // Disconnect from the database
     await db.disconnect();
   }